@@ -17,7 +17,12 @@ import ContentList from './pages/ContentList';
 /* import ContentEditor from './pages/ContentEditor'; */
 import TemplateList from './pages/TemplateList';
 import TemplateEditor from './pages/TemplateEditor';
+import VoiceProfiles from './pages/VoiceProfiles';
+import Batches from './pages/Batches';
+import KnowledgeBase from './pages/KnowledgeBase';
+import ModerationQueue from './pages/ModerationQueue';
 import GenerationHistory from './pages/GenerationHistory';
+import GenerationAudit from './pages/GenerationAudit';
 import IntegrationList from './pages/IntegrationList';
 import IntegrationSettings from './pages/IntegrationSettings';
 import CreditPurchase from './pages/CreditPurchase';
@@ -110,9 +115,19 @@ const App = () => {
               <Route path="templates" element={<TemplateList />} />
               <Route path="templates/new" element={<TemplateEditor />} />
               <Route path="templates/:id" element={<TemplateEditor />} />
+
+              {/* Brand voice routes */}
+              <Route path="voice-profiles" element={<VoiceProfiles />} />
+
+              {/* Batch generation routes */}
+              <Route path="batches" element={<Batches />} />
+
+              {/* Knowledge base routes */}
+              <Route path="knowledge" element={<KnowledgeBase />} />
               
               {/* Generation history */}
               <Route path="generations" element={<GenerationHistory />} />
+              <Route path="generations/:id/audit" element={<GenerationAudit />} />
               
               {/* Integrations */}
               <Route path="integrations" element={<IntegrationList />} />
@@ -132,6 +147,7 @@ const App = () => {
                   <AdminRoute>
                     <Routes>
                       <Route path="users" element={<div>Admin Users</div>} />
+                      <Route path="moderation" element={<ModerationQueue />} />
                       <Route path="analytics" element={<div>Admin Analytics</div>} />
                       <Route path="system-settings" element={<div>System Settings</div>} />
                     </Routes>
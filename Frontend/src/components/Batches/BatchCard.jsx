@@ -0,0 +1,108 @@
+// /frontend/src/components/Batches/BatchCard.jsx
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { FiPause, FiPlay, FiDownload, FiSliders, FiAlertCircle } from 'react-icons/fi';
+import Button from '../common/Button';
+import Card from '../common/Card';
+
+const STATUS_CLASSES = {
+  draft: 'bg-gray-100 text-gray-700',
+  processing: 'bg-blue-100 text-blue-700',
+  paused: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700'
+};
+
+// A batch with its aggregate progress, controls and failed rows
+const BatchCard = ({ batch, onSetUp, onPause, onResume, onDownload, onLoadFailedRows }) => {
+  const [failedRows, setFailedRows] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const { progress } = batch;
+
+  const run = async (action, errorMessage) => {
+    try {
+      setIsBusy(true);
+      await action();
+    } catch (err) {
+      toast.error(err.response?.data?.error || errorMessage);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const toggleFailedRows = () => {
+    if (failedRows) {
+      setFailedRows(null);
+      return;
+    }
+
+    run(async () => setFailedRows(await onLoadFailedRows(batch.id)), 'Failed to load failed rows');
+  };
+
+  return (
+    <Card>
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">{batch.name}</h3>
+          <p className="text-sm text-gray-500">
+            {batch.rowCount} rows • {new Date(batch.createdAt).toLocaleString()}
+          </p>
+        </div>
+        <span className={`px-2 py-1 text-xs font-medium rounded ${STATUS_CLASSES[batch.status]}`}>
+          {batch.status}
+        </span>
+      </div>
+
+      {batch.status !== 'draft' && (
+        <div className="mt-4">
+          <div className="w-full h-2 bg-gray-200 rounded">
+            <div className="h-2 bg-blue-500 rounded" style={{ width: `${progress.percent}%` }} />
+          </div>
+          <p className="mt-2 text-xs text-gray-600">
+            {progress.completed} completed • {progress.failed} failed • {progress.queued + progress.processing} remaining
+            {' • '}{progress.creditsUsed} of ~{progress.estimatedCredits} credits
+          </p>
+          {batch.error && <p className="mt-1 text-xs text-red-600">{batch.error}</p>}
+        </div>
+      )}
+
+      <div className="mt-4 flex flex-wrap gap-2">
+        {batch.status === 'draft' && (
+          <Button size="sm" icon={<FiSliders />} onClick={() => onSetUp(batch)}>
+            Map columns
+          </Button>
+        )}
+        {batch.status === 'processing' && (
+          <Button variant="outline" size="sm" icon={<FiPause />} disabled={isBusy} onClick={() => run(() => onPause(batch.id), 'Failed to pause batch')}>
+            Pause
+          </Button>
+        )}
+        {batch.status === 'paused' && (
+          <Button variant="outline" size="sm" icon={<FiPlay />} disabled={isBusy} onClick={() => run(() => onResume(batch.id), 'Failed to resume batch')}>
+            Resume
+          </Button>
+        )}
+        {batch.status !== 'draft' && (
+          <Button variant="outline" size="sm" icon={<FiDownload />} disabled={isBusy} onClick={() => run(() => onDownload(batch), 'Failed to download results')}>
+            Results CSV
+          </Button>
+        )}
+        {progress && progress.failed > 0 && (
+          <Button variant="outline" size="sm" icon={<FiAlertCircle />} disabled={isBusy} onClick={toggleFailedRows}>
+            {failedRows ? 'Hide failed rows' : 'Failed rows'}
+          </Button>
+        )}
+      </div>
+
+      {failedRows && (
+        <ul className="mt-3 text-sm text-red-700 space-y-1 max-h-48 overflow-auto">
+          {failedRows.map(row => (
+            <li key={row.generationId}>Row {row.row}: {row.error}</li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
+
+export default BatchCard;
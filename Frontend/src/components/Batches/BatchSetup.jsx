@@ -0,0 +1,227 @@
+// /frontend/src/components/Batches/BatchSetup.jsx
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { FiDollarSign, FiPlay } from 'react-icons/fi';
+import Button from '../common/Button';
+import Card from '../common/Card';
+import { useTemplates } from '../../hooks/useTemplates';
+import { useVoiceProfiles } from '../../hooks/useVoiceProfiles';
+
+const normalize = name => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Map each variable onto the column of the same name or label, if there is one
+const guessMapping = (variables, columns) => {
+  const mapping = {};
+  const findColumn = names => columns.find(column => names.map(normalize).includes(normalize(column)));
+
+  variables.forEach((variable) => {
+    const column = findColumn([variable.name, variable.label]);
+    if (column) {
+      mapping[variable.name] = column;
+    }
+  });
+
+  const titleColumn = findColumn(['title', 'name']);
+  if (titleColumn) {
+    mapping.title = titleColumn;
+  }
+
+  return mapping;
+};
+
+const errorMessage = (err, fallback) => {
+  const errors = err.response?.data?.errors;
+  return errors ? errors.map(item => item.msg).join(', ') : err.response?.data?.error || fallback;
+};
+
+// Map the columns of an uploaded batch onto a template's variables, preview the cost and start it
+const BatchSetup = ({ batch, sample, onPreview, onStart, onClose }) => {
+  const { templates, loading: loadingTemplates } = useTemplates();
+  const { voiceProfiles } = useVoiceProfiles();
+  const [templateId, setTemplateId] = useState('');
+  const [columnMapping, setColumnMapping] = useState({});
+  const [voiceProfileId, setVoiceProfileId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const template = templates.find(item => item.id === templateId);
+  const variables = template ? template.variables || [] : [];
+
+  const settings = {
+    templateId,
+    columnMapping,
+    voiceProfileId: voiceProfileId || undefined
+  };
+
+  // Any change invalidates the previewed cost
+  const handleTemplateChange = (id) => {
+    const selected = templates.find(item => item.id === id);
+    setTemplateId(id);
+    setColumnMapping(selected ? guessMapping(selected.variables || [], batch.columns) : {});
+    setPreview(null);
+  };
+
+  const handleMappingChange = (key, column) => {
+    const mapping = { ...columnMapping };
+    if (column) {
+      mapping[key] = column;
+    } else {
+      delete mapping[key];
+    }
+    setColumnMapping(mapping);
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    try {
+      setIsBusy(true);
+      setPreview(await onPreview(batch.id, settings));
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to preview batch'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleStart = async () => {
+    try {
+      setIsBusy(true);
+      await onStart(batch.id, settings);
+      toast.success(`Generating ${preview.validRows} items`);
+      onClose();
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to start batch'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const columnSelect = (key, label) => (
+    <div key={key}>
+      <label htmlFor={`column-${key}`} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <select
+        id={`column-${key}`}
+        className="w-full p-2 border rounded"
+        value={columnMapping[key] || ''}
+        onChange={(e) => handleMappingChange(key, e.target.value)}
+        disabled={isBusy}
+      >
+        <option value="">Not mapped</option>
+        {batch.columns.map(column => (
+          <option key={column} value={column}>{column}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  const invalidRows = preview ? preview.rows.filter(row => row.errors.length > 0) : [];
+  const insufficientCredits = preview && preview.creditsRemaining !== null && preview.estimatedCost > preview.creditsRemaining;
+
+  return (
+    <Card title={`Set up "${batch.name}"`} subtitle={`${batch.rowCount} rows • columns: ${batch.columns.join(', ')}`} className="mb-8">
+      <div className="space-y-4">
+        {sample && sample.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-xs text-left text-gray-700">
+              <thead>
+                <tr>
+                  {batch.columns.map(column => <th key={column} className="px-2 py-1 font-medium bg-gray-50">{column}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {sample.map((row, index) => (
+                  <tr key={index} className="border-t">
+                    {batch.columns.map(column => <td key={column} className="px-2 py-1 max-w-xs truncate">{String(row[column] ?? '')}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="batch-template" className="block text-sm font-medium text-gray-700 mb-1">Template</label>
+            <select
+              id="batch-template"
+              className="w-full p-2 border rounded"
+              value={templateId}
+              onChange={(e) => handleTemplateChange(e.target.value)}
+              disabled={isBusy || loadingTemplates}
+            >
+              <option value="">Select a template</option>
+              {templates.map(item => (
+                <option key={item.id} value={item.id}>{item.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="batch-voice" className="block text-sm font-medium text-gray-700 mb-1">Brand voice</label>
+            <select
+              id="batch-voice"
+              className="w-full p-2 border rounded"
+              value={voiceProfileId}
+              onChange={(e) => { setVoiceProfileId(e.target.value); setPreview(null); }}
+              disabled={isBusy}
+            >
+              <option value="">Template default</option>
+              {voiceProfiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {template && (
+          <div>
+            <h4 className="text-sm font-medium text-gray-900 mb-2">Columns</h4>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {columnSelect('title', 'Content title')}
+              {variables.map(variable => columnSelect(
+                variable.name,
+                `${variable.label || variable.name}${variable.required ? ' *' : ''}`
+              ))}
+            </div>
+          </div>
+        )}
+
+        {preview && (
+          <div className="p-3 rounded bg-gray-50 text-sm">
+            <p className="text-gray-900">
+              {preview.validRows} of {preview.rowCount} rows can be generated for about <strong>{preview.estimatedCost} credits</strong>
+              {preview.creditsRemaining !== null && ` (${preview.creditsRemaining} available)`}.
+            </p>
+            {insufficientCredits && (
+              <p className="mt-1 text-red-600">You do not have enough credits for this batch.</p>
+            )}
+            {invalidRows.length > 0 && (
+              <ul className="mt-2 text-red-700 space-y-1 max-h-40 overflow-auto">
+                {invalidRows.map(row => (
+                  <li key={row.row}>Row {row.row}: {row.errors.map(error => error.msg).join(', ')}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <Button variant="outline" onClick={onClose} disabled={isBusy}>
+            Close
+          </Button>
+          <Button variant="secondary" icon={<FiDollarSign />} onClick={handlePreview} disabled={isBusy || !templateId}>
+            Preview cost
+          </Button>
+          <Button
+            icon={<FiPlay />}
+            onClick={handleStart}
+            disabled={isBusy || !preview || preview.validRows === 0 || insufficientCredits}
+          >
+            Start batch
+          </Button>
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default BatchSetup;
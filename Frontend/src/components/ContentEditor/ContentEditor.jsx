@@ -1,12 +1,12 @@
 // frontend/src/components/ContentEditor/ContentEditor.jsx
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { Link, useParams, useNavigate } from 'react-router-dom';
 import { Formik, Form, Field, ErrorMessage } from 'formik';
 import * as Yup from 'yup';
 import { toast } from 'react-hot-toast';
 import ReactMarkdown from 'react-markdown';
 import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
-import { FiPlus, FiTrash2, FiEdit, FiMove, FiSave, FiRefreshCw, FiCheck, FiXCircle } from 'react-icons/fi';
+import { FiPlus, FiTrash2, FiEdit, FiMove, FiSave, FiRefreshCw, FiCheck, FiXCircle, FiClock } from 'react-icons/fi';
 
 import { useContentItem } from '../../hooks/useContentItem';
 import { useTemplates } from '../../hooks/useTemplates';
@@ -14,6 +14,15 @@ import { useGeneration } from '../../hooks/useGeneration';
 import { ContentElementEditor } from './ContentElementEditor';
 import { TemplateSelector } from './TemplateSelector';
 import { GenerationSettingsPanel } from './GenerationSettingsPanel';
+import OutlineReview from './OutlineReview';
+import VariationsPanel from './VariationsPanel';
+import SeoPanel from './SeoPanel';
+import StructuredFields from './StructuredFields';
+import TranslationsPanel from './TranslationsPanel';
+import InlineEditMenu from './InlineEditMenu';
+import RevisionHistory from './RevisionHistory';
+import VoiceViolations from './VoiceViolations';
+import ModerationNotice from './ModerationNotice';
 import { PublishingSettings } from './PublishingSettings';
 import { LoadingSpinner } from '../common/LoadingSpinner';
 import { Button } from '../common/Button';
@@ -27,6 +36,26 @@ const ContentItemSchema = Yup.object().shape({
   format: Yup.string().required('Format is required')
 });
 
+// Progress message for the live output panel
+const describeProgress = (generationStatus) => {
+  const step = generationStatus?.currentStep;
+
+  switch (generationStatus?.status) {
+    case 'awaiting_outline':
+      return 'The outline is ready for review.';
+    case 'processing':
+      if (step?.step === 'outline') {
+        return 'Planning the outline...';
+      }
+      if (step?.step === 'section') {
+        return `Writing section ${step.position}: ${step.title}`;
+      }
+      return 'Writing content...';
+    default:
+      return 'Waiting for a generation worker...';
+  }
+};
+
 export const ContentEditor = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -36,6 +65,11 @@ export const ContentEditor = () => {
   const [isGenerating, setIsGenerating] = useState(false);
   const [elements, setElements] = useState([]);
   const [previewMode, setPreviewMode] = useState(false);
+  // Text selected in a block, for inline AI edits: { index, start, end }
+  const [selection, setSelection] = useState(null);
+  // Inline edits accepted since the last save, credited in the revision it records
+  const [inlineEditIds, setInlineEditIds] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
   const [generationSettings, setGenerationSettings] = useState({
     aiProvider: 'openai',
     model: 'gpt-4',
@@ -61,9 +95,12 @@ export const ContentEditor = () => {
   // Generation hook
   const { 
     createGeneration, 
+    approveOutline,
+    cancelGeneration,
     generationStatus, 
-    checkGenerationStatus 
+    streamedContent 
   } = useGeneration();
+  const [isApprovingOutline, setIsApprovingOutline] = useState(false);
 
   // Initialize editor with content from API
   useEffect(() => {
@@ -92,16 +129,8 @@ export const ContentEditor = () => {
     }
   }, [contentItem]);
 
-  // Check generation status
+  // React to status updates streamed by the generation hook
   useEffect(() => {
-    if (generationStatus && generationStatus.status === 'processing') {
-      const intervalId = setInterval(() => {
-        checkGenerationStatus(generationStatus.id);
-      }, 5000);
-
-      return () => clearInterval(intervalId);
-    }
-
     if (generationStatus && generationStatus.status === 'completed') {
       setIsGenerating(false);
       toast.success('Content generation completed!');
@@ -111,7 +140,7 @@ export const ContentEditor = () => {
       setIsGenerating(false);
       toast.error(`Generation failed: ${generationStatus.error || 'Unknown error'}`);
     }
-  }, [generationStatus, checkGenerationStatus, navigate]);
+  }, [generationStatus, navigate]);
 
   // Loading state
   if (isLoadingContent || isLoadingTemplates) {
@@ -176,6 +205,14 @@ export const ContentEditor = () => {
     setElements(newElements);
   };
 
+  // Remember the selection of the block being edited
+  const handleSelectText = (index, e) => {
+    const { selectionStart, selectionEnd } = e.target;
+    if (typeof selectionStart === 'number') {
+      setSelection({ index, start: selectionStart, end: selectionEnd });
+    }
+  };
+
   // Get the combined content text
   const getCombinedContent = () => {
     return elements.map(el => el.content).join('\n\n');
@@ -187,6 +224,7 @@ export const ContentEditor = () => {
       const updatedContent = {
         ...values,
         content: getCombinedContent(),
+        inlineEditIds,
         metadata: {
           ...contentItem.metadata,
           elements,
@@ -195,6 +233,7 @@ export const ContentEditor = () => {
       };
 
       await saveContentItem(updatedContent);
+      setInlineEditIds([]);
       toast.success('Content saved successfully!');
       setShowSaveConfirmation(false);
     } catch (error) {
@@ -209,8 +248,10 @@ export const ContentEditor = () => {
       setIsGenerating(true);
       setShowGenerateConfirmation(false);
 
+      // The voice profile is applied by the server rather than sent as a prompt parameter
+      const { voiceProfileId, ...settings } = generationSettings;
       const promptData = {
-        ...generationSettings,
+        ...settings,
         title: contentItem.title,
         contentType: contentItem.contentType,
         templateId: contentItem.templateId
@@ -224,6 +265,7 @@ export const ContentEditor = () => {
       await createGeneration({
         contentItemId: contentItem.id,
         promptData,
+        voiceProfileId: voiceProfileId || undefined,
         isNewContent: false
       });
 
@@ -235,6 +277,20 @@ export const ContentEditor = () => {
     }
   };
 
+  // Approve the long-form outline so its sections are written
+  const handleApproveOutline = async (outline) => {
+    try {
+      setIsApprovingOutline(true);
+      await approveOutline(generationStatus.id, outline);
+      toast.success('Outline approved, writing sections...');
+    } catch (error) {
+      console.error('Error approving outline:', error);
+      toast.error('Failed to approve outline: ' + (error.response?.data?.error || error.message || 'Unknown error'));
+    } finally {
+      setIsApprovingOutline(false);
+    }
+  };
+
   // Handle template selection
   const handleTemplateSelect = async (templateId) => {
     if (!templateId) return;
@@ -292,6 +348,14 @@ export const ContentEditor = () => {
                 {contentItem?.contentType?.charAt(0).toUpperCase() + contentItem?.contentType?.slice(1)} • 
                 {contentItem?.wordCount ? ` ${contentItem.wordCount} words • ` : ' '}
                 Last edited: {contentItem?.updatedAt ? new Date(contentItem.updatedAt).toLocaleString() : 'Never'}
+                {contentItem?.metadata?.generationId && (
+                  <>
+                    {' • '}
+                    <Link to={`/generations/${contentItem.metadata.generationId}/audit`} className="text-blue-600 hover:underline">
+                      Audit trail
+                    </Link>
+                  </>
+                )}
               </p>
             </div>
             <div className="flex items-center gap-2">
@@ -314,10 +378,40 @@ export const ContentEditor = () => {
               >
                 <FiSave className="mr-2" /> Save
               </Button>
+              {contentItem?.id && (
+                <Button variant="outline" onClick={() => setShowHistory(!showHistory)}>
+                  <FiClock className="mr-2" /> History
+                </Button>
+              )}
             </div>
           </div>
         </div>
 
+        {/* Live output while the provider streams */}
+        {isGenerating && (
+          <div className="p-6 border-b bg-blue-50">
+            <p className="text-sm font-medium text-blue-700 mb-2">
+              {describeProgress(generationStatus)}
+            </p>
+            {generationStatus?.status === 'awaiting_outline' && generationStatus.outline && (
+              <OutlineReview
+                outline={generationStatus.outline}
+                onApprove={handleApproveOutline}
+                onCancel={() => cancelGeneration(generationStatus.id)}
+                isSubmitting={isApprovingOutline}
+              />
+            )}
+            {streamedContent && (
+              <pre className="bg-white p-4 rounded overflow-auto text-sm whitespace-pre-wrap max-h-96">
+                {streamedContent}
+              </pre>
+            )}
+          </div>
+        )}
+
+        <ModerationNotice contentItem={contentItem} />
+        <VoiceViolations violations={contentItem?.metadata?.voiceViolations} />
+
         {/* Tab navigation */}
         <div className="border-b border-gray-200">
           <nav className="flex">
@@ -345,6 +439,22 @@ export const ContentEditor = () => {
             >
               Preview
             </button>
+            <button
+              className={`px-4 py-3 text-sm font-medium ${activeTab === 'variations' 
+                ? 'border-b-2 border-blue-500 text-blue-600' 
+                : 'text-gray-500 hover:text-gray-700'}`}
+              onClick={() => handleTabChange('variations')}
+            >
+              Variations
+            </button>
+            <button
+              className={`px-4 py-3 text-sm font-medium ${activeTab === 'translations' 
+                ? 'border-b-2 border-blue-500 text-blue-600' 
+                : 'text-gray-500 hover:text-gray-700'}`}
+              onClick={() => handleTabChange('translations')}
+            >
+              Translations
+            </button>
             <button
               className={`px-4 py-3 text-sm font-medium ${activeTab === 'publish' 
                 ? 'border-b-2 border-blue-500 text-blue-600' 
@@ -491,11 +601,28 @@ export const ContentEditor = () => {
                                           <FiTrash2 />
                                         </button>
                                       </div>
-                                      <ContentElementEditor
-                                        content={element.content}
-                                        type={element.type}
-                                        onChange={(content) => handleUpdateElement(index, content)}
-                                      />
+                                      <div
+                                        onSelect={(e) => handleSelectText(index, e)}
+                                        onKeyUp={(e) => handleSelectText(index, e)}
+                                        onMouseUp={(e) => handleSelectText(index, e)}
+                                      >
+                                        <ContentElementEditor
+                                          content={element.content}
+                                          type={element.type}
+                                          onChange={(content) => handleUpdateElement(index, content)}
+                                        />
+                                      </div>
+                                      {contentItem?.id && (
+                                        <InlineEditMenu
+                                          contentItemId={contentItem.id}
+                                          text={element.content}
+                                          selection={selection?.index === index ? selection : null}
+                                          onApply={(content, generationId) => {
+                                            handleUpdateElement(index, content);
+                                            setInlineEditIds(current => [...current, generationId]);
+                                          }}
+                                        />
+                                      )}
                                     </div>
                                   )}
                                 </Draggable>
@@ -540,6 +667,7 @@ export const ContentEditor = () => {
               settings={generationSettings}
               onChange={setGenerationSettings}
               contentType={contentItem?.contentType || 'blog'}
+              contentItem={contentItem}
             />
           </TabPanel>
 
@@ -570,7 +698,26 @@ export const ContentEditor = () => {
             </div>
           </TabPanel>
 
+          <TabPanel active={activeTab === 'variations'}>
+            <VariationsPanel
+              contentItem={contentItem}
+              onPromoted={() => navigate(0)}
+            />
+          </TabPanel>
+
+          <TabPanel active={activeTab === 'translations'}>
+            <TranslationsPanel
+              contentItem={contentItem}
+              onTranslated={() => navigate(0)}
+            />
+          </TabPanel>
+
           <TabPanel active={activeTab === 'publish'}>
+            <StructuredFields contentItem={contentItem} />
+            <SeoPanel
+              contentItem={contentItem}
+              onGenerated={() => navigate(0)}
+            />
             <PublishingSettings
               contentItem={contentItem}
               onPublish={() => {
@@ -581,6 +728,14 @@ export const ContentEditor = () => {
         </div>
       </div>
 
+      {showHistory && (
+        <RevisionHistory
+          contentItemId={contentItem.id}
+          onRestored={() => navigate(0)}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
       {/* Save Confirmation Modal */}
       <Modal
         isOpen={showSaveConfirmation}
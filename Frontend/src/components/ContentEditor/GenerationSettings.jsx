@@ -2,8 +2,11 @@
 import React from 'react';
 import { FaTimes } from 'react-icons/fa';
 import LoadingSpinner from '../common/LoadingSpinner';
+import { useModels } from '../../hooks/useModels';
+import { useCostEstimate } from '../../hooks/useCostEstimate';
+import { useVoiceProfiles } from '../../hooks/useVoiceProfiles';
 
-const GenerationSettings = ({ settings, onChange, onGenerate, onClose, isGenerating }) => {
+const GenerationSettings = ({ settings, contentItem, onChange, onGenerate, onClose, isGenerating }) => {
   const handleChange = (field, value) => {
     onChange({
       ...settings,
@@ -11,6 +14,35 @@ const GenerationSettings = ({ settings, onChange, onGenerate, onClose, isGenerat
     });
   };
 
+  const { modelsByProvider, loading: loadingModels, error: modelsError } = useModels();
+  const { voiceProfiles, loading: loadingVoices } = useVoiceProfiles();
+
+  // Estimated from the prompt these settings would render, as they change
+  const { voiceProfileId, ...promptSettings } = settings;
+  const { estimate, loading: estimating, error: estimateError } = useCostEstimate({
+    contentType: contentItem?.contentType,
+    templateId: contentItem?.templateId || undefined,
+    aiProvider: settings.aiProvider,
+    voiceProfileId: voiceProfileId || undefined,
+    promptData: {
+      ...promptSettings,
+      title: contentItem?.title
+    }
+  }, { enabled: !isGenerating });
+  const insufficientCredits = estimate && estimate.creditsRemaining !== null &&
+    estimate.estimatedCost > estimate.creditsRemaining;
+
+  // Options are keyed by provider and model, since model IDs may repeat across providers
+  const handleModelChange = (value) => {
+    const [aiProvider, ...model] = value.split(':');
+
+    onChange({
+      ...settings,
+      aiProvider: aiProvider || undefined,
+      model: model.join(':') || undefined
+    });
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white rounded-lg w-full max-w-2xl max-h-[80vh] flex flex-col">
@@ -26,6 +58,53 @@ const GenerationSettings = ({ settings, onChange, onGenerate, onClose, isGenerat
         </div>
         
         <div className="flex-grow overflow-auto p-4">
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Model
+            </label>
+            <select
+              className="w-full p-2 border rounded"
+              value={settings.aiProvider && settings.model ? `${settings.aiProvider}:${settings.model}` : ''}
+              onChange={(e) => handleModelChange(e.target.value)}
+              disabled={isGenerating || loadingModels}
+            >
+              <option value="">Default model</option>
+              {Object.entries(modelsByProvider).map(([provider, models]) => (
+                <optgroup key={provider} label={provider}>
+                  {models.map((model) => (
+                    <option
+                      key={`${provider}:${model.id}`}
+                      value={`${provider}:${model.id}`}
+                      disabled={!model.available}
+                    >
+                      {model.name} ({model.creditMultiplier}x credits){model.available ? '' : ' - unavailable'}
+                    </option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+            {modelsError && (
+              <p className="text-sm text-red-600 mt-1">{modelsError}</p>
+            )}
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Brand voice
+            </label>
+            <select
+              className="w-full p-2 border rounded"
+              value={voiceProfileId || ''}
+              onChange={(e) => handleChange('voiceProfileId', e.target.value || undefined)}
+              disabled={isGenerating || loadingVoices}
+            >
+              <option value="">The template's voice, if any</option>
+              {voiceProfiles.map((profile) => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+          </div>
+
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Tone
@@ -88,9 +167,50 @@ const GenerationSettings = ({ settings, onChange, onGenerate, onClose, isGenerat
               disabled={isGenerating}
             />
           </div>
+
+          <div className="mb-4">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={Boolean(settings.reviewOutline)}
+                onChange={(e) => handleChange('reviewOutline', e.target.checked)}
+                disabled={isGenerating}
+              />
+              Review the outline of long posts before the sections are written
+            </label>
+          </div>
+
+          <div className="mb-4">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={Boolean(settings.useKnowledgeBase)}
+                onChange={(e) => handleChange('useKnowledgeBase', e.target.checked)}
+                disabled={isGenerating}
+              />
+              Ground the content in my knowledge base and list the sources it cites
+            </label>
+          </div>
         </div>
         
-        <div className="p-4 border-t flex justify-end">
+        <div className="p-4 border-t flex items-center justify-end">
+          <div className="flex-grow text-sm text-gray-600">
+            {estimateError ? (
+              <span className="text-red-600">{estimateError}</span>
+            ) : estimate ? (
+              <span
+                className={insufficientCredits ? 'text-red-600' : ''}
+                title={`${estimate.promptTokens} prompt + ${estimate.completionTokens} completion tokens${estimate.model ? ` with ${estimate.model}` : ''}`}
+              >
+                Estimated cost: {estimate.estimatedCost} credits
+                {estimate.creditsRemaining !== null && ` of ${estimate.creditsRemaining} remaining`}
+                {estimating && '...'}
+              </span>
+            ) : estimating && 'Estimating cost...'}
+          </div>
+
           <button
             className="px-4 py-2 bg-gray-200 text-gray-800 rounded mr-2"
             onClick={onClose}
@@ -102,7 +222,7 @@ const GenerationSettings = ({ settings, onChange, onGenerate, onClose, isGenerat
           <button
             className="px-4 py-2 bg-green-500 text-white rounded flex items-center"
             onClick={onGenerate}
-            disabled={isGenerating}
+            disabled={isGenerating || insufficientCredits}
           >
             {isGenerating ? (
               <>
@@ -0,0 +1,130 @@
+// /frontend/src/components/ContentEditor/InlineEditMenu.jsx
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { FiZap, FiCheck, FiX } from 'react-icons/fi';
+import Button from '../common/Button';
+import { useInlineEdit } from '../../hooks/useInlineEdit';
+
+const OPERATIONS = [
+  { value: 'rewrite', label: 'Rewrite' },
+  { value: 'shorten', label: 'Shorten' },
+  { value: 'expand', label: 'Expand' },
+  { value: 'simplify', label: 'Simplify' },
+  { value: 'grammar', label: 'Fix grammar' },
+  { value: 'continue', label: 'Continue writing' }
+];
+
+const TONES = ['professional', 'friendly', 'casual', 'persuasive', 'playful', 'formal'];
+
+// AI edits of the text selected in a content block, or of the whole block
+// when nothing is selected. The edit comes back as a suggestion shown next to
+// the original, which replaces it only if accepted.
+const InlineEditMenu = ({ contentItemId, text, selection, onApply }) => {
+  const [range, setRange] = useState(null);
+  const { requestEdit, resolveSuggestion, suggestion, isEditing, error } = useInlineEdit(contentItemId);
+
+  const hasSelection = selection && selection.end > selection.start;
+
+  const handleEdit = async (operation, tone) => {
+    const start = hasSelection ? selection.start : 0;
+    const end = hasSelection ? selection.end : text.length;
+
+    try {
+      setRange({ start, end });
+      await requestEdit({
+        operation,
+        text: text.slice(start, end),
+        before: text.slice(0, start),
+        after: text.slice(end),
+        ...(tone && { tone })
+      });
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to edit the passage');
+    }
+  };
+
+  const handleAccept = async () => {
+    const accepted = await resolveSuggestion('accept');
+
+    // The block may have been edited while the suggestion was written
+    let { start, end } = range;
+    if (text.slice(start, end) !== accepted.original) {
+      start = text.indexOf(accepted.original);
+      end = start + accepted.original.length;
+    }
+
+    if (start < 0) {
+      toast.error('The selected text has changed; the suggestion was not applied');
+      return;
+    }
+
+    onApply(`${text.slice(0, start)}${accepted.text}${text.slice(end)}`, accepted.generationId);
+  };
+
+  if (!text || !text.trim()) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2">
+      <div className="flex flex-wrap items-center gap-1 text-xs">
+        <FiZap className="text-blue-500" />
+        <span className="text-gray-500 mr-1">{hasSelection ? 'Selection:' : 'Block:'}</span>
+        {OPERATIONS.map(operation => (
+          <button
+            key={operation.value}
+            type="button"
+            className="px-2 py-1 rounded border border-gray-200 hover:bg-gray-100 disabled:opacity-50"
+            onClick={() => handleEdit(operation.value)}
+            disabled={isEditing || Boolean(suggestion)}
+          >
+            {operation.label}
+          </button>
+        ))}
+        <select
+          className="px-2 py-1 rounded border border-gray-200 text-xs"
+          value=""
+          onChange={(e) => handleEdit('tone', e.target.value)}
+          disabled={isEditing || Boolean(suggestion)}
+        >
+          <option value="" disabled>Change tone...</option>
+          {TONES.map(tone => (
+            <option key={tone} value={tone}>{tone.charAt(0).toUpperCase() + tone.slice(1)}</option>
+          ))}
+        </select>
+        {isEditing && <span className="text-gray-500 ml-1">Writing suggestion...</span>}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+      {suggestion && (
+        <div className="mt-2 p-3 border border-blue-200 bg-blue-50 rounded text-sm">
+          <p className="text-gray-500 line-through whitespace-pre-wrap">{suggestion.original.trim()}</p>
+          <p className="mt-2 whitespace-pre-wrap">{suggestion.text.trim()}</p>
+
+          {suggestion.moderationReasons.length > 0 && (
+            <p className="mt-2 text-red-600">
+              Flagged by moderation: {suggestion.moderationReasons.map(reason => reason.label).join(', ')}
+            </p>
+          )}
+          {suggestion.voiceViolations.length > 0 && (
+            <p className="mt-2 text-yellow-700">
+              Off-voice phrases: {suggestion.voiceViolations.map(violation => violation.phrase).join(', ')}
+            </p>
+          )}
+
+          <div className="mt-3 flex gap-2">
+            <Button size="sm" onClick={handleAccept}>
+              <FiCheck className="inline mr-1" /> Accept
+            </Button>
+            <Button size="sm" variant="outline" onClick={() => resolveSuggestion('reject')}>
+              <FiX className="inline mr-1" /> Reject
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InlineEditMenu;
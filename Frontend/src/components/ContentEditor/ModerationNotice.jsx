@@ -0,0 +1,32 @@
+// /frontend/src/components/ContentEditor/ModerationNotice.jsx
+import React from 'react';
+import { FiShield } from 'react-icons/fi';
+
+// Why the moderation check is holding the generated content, until an admin reviews it
+const ModerationNotice = ({ contentItem }) => {
+  const moderation = contentItem?.metadata?.moderation;
+
+  if (contentItem?.status !== 'needs_review' || !moderation) {
+    return null;
+  }
+
+  return (
+    <div className="p-4 border-b bg-red-50">
+      <p className="text-sm font-medium text-red-800 mb-2">
+        <FiShield className="inline mr-1" />
+        This content is held for review and cannot be published until an admin approves it
+      </p>
+      <ul className="text-sm text-red-900 space-y-1">
+        {moderation.reasons.map((reason, index) => (
+          <li key={`${reason.classifier}:${reason.category}:${index}`}>
+            <strong>{reason.label}</strong>
+            {reason.count > 1 && ` (${reason.count} times)`}
+            {reason.context && <span className="block text-xs text-red-700 italic">{reason.context}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ModerationNotice;
@@ -0,0 +1,107 @@
+// /frontend/src/components/ContentEditor/OutlineReview.jsx
+import React, { useState } from 'react';
+import { FiPlus, FiTrash2, FiCheck } from 'react-icons/fi';
+import Button from '../common/Button';
+
+// Lets the user edit the headings and key points of a long-form outline before
+// its sections are written
+const OutlineReview = ({ outline, onApprove, onCancel, isSubmitting }) => {
+  const [title, setTitle] = useState(outline.title || '');
+  const [sections, setSections] = useState(
+    outline.sections.map(section => ({ ...section, points: (section.points || []).join('\n') }))
+  );
+
+  const updateSection = (index, field, value) => {
+    setSections(sections.map((section, i) => (i === index ? { ...section, [field]: value } : section)));
+  };
+
+  const addSection = () => {
+    setSections([...sections, { heading: '', points: '' }]);
+  };
+
+  const removeSection = (index) => {
+    setSections(sections.filter((section, i) => i !== index));
+  };
+
+  // Word counts are left out so the server spreads the planned length over the edited sections
+  const handleApprove = () => {
+    onApprove({
+      title,
+      sections: sections
+        .filter(section => section.heading.trim())
+        .map(section => ({
+          heading: section.heading,
+          points: section.points.split('\n').map(point => point.trim()).filter(Boolean)
+        }))
+    });
+  };
+
+  return (
+    <div className="bg-white p-4 rounded border">
+      <h3 className="font-medium text-gray-800 mb-2">Review the outline</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Each section is written separately, in this order. Edit the headings and key points, then approve.
+      </p>
+
+      <input
+        type="text"
+        className="w-full p-2 border rounded mb-4 font-semibold"
+        placeholder="Post title"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        disabled={isSubmitting}
+      />
+
+      {sections.map((section, index) => (
+        <div key={index} className="mb-3 p-3 bg-gray-50 rounded">
+          <div className="flex items-center gap-2 mb-2">
+            <span className="text-sm text-gray-500">{index + 1}.</span>
+            <input
+              type="text"
+              className="flex-grow p-2 border rounded"
+              placeholder="Section heading"
+              value={section.heading}
+              onChange={(e) => updateSection(index, 'heading', e.target.value)}
+              disabled={isSubmitting}
+            />
+            {section.wordCount && (
+              <span className="text-xs text-gray-500">~{section.wordCount} words</span>
+            )}
+            <button
+              className="text-gray-400 hover:text-red-600"
+              onClick={() => removeSection(index)}
+              disabled={isSubmitting || sections.length === 1}
+              title="Remove section"
+            >
+              <FiTrash2 />
+            </button>
+          </div>
+          <textarea
+            className="w-full p-2 border rounded text-sm"
+            rows={3}
+            placeholder="Key points, one per line"
+            value={section.points}
+            onChange={(e) => updateSection(index, 'points', e.target.value)}
+            disabled={isSubmitting}
+          />
+        </div>
+      ))}
+
+      <div className="flex justify-between mt-4">
+        <Button variant="outline" size="sm" onClick={addSection} disabled={isSubmitting}>
+          <FiPlus className="inline mr-1" /> Add section
+        </Button>
+        <div className="space-x-2">
+          <Button variant="secondary" onClick={onCancel} disabled={isSubmitting}>
+            Cancel generation
+          </Button>
+          <Button variant="success" onClick={handleApprove} disabled={isSubmitting}>
+            <FiCheck className="inline mr-1" /> Approve and write
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OutlineReview;
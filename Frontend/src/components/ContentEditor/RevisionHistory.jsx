@@ -0,0 +1,199 @@
+// /frontend/src/components/ContentEditor/RevisionHistory.jsx
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { FiClock, FiRotateCcw, FiX } from 'react-icons/fi';
+import Button from '../common/Button';
+import { useRevisions } from '../../hooks/useRevisions';
+
+const SOURCE_LABELS = {
+  manual: 'Edited',
+  generation: 'Generated',
+  inline_edit: 'AI edit',
+  restore: 'Restored'
+};
+
+const SOURCE_CLASSES = {
+  manual: 'bg-gray-100 text-gray-700',
+  generation: 'bg-blue-100 text-blue-800',
+  inline_edit: 'bg-purple-100 text-purple-800',
+  restore: 'bg-yellow-100 text-yellow-800'
+};
+
+const CHANGE_CLASSES = {
+  equal: 'text-gray-700',
+  insert: 'bg-green-100 text-green-900',
+  delete: 'bg-red-100 text-red-900 line-through'
+};
+
+const authorName = revision => (revision.author
+  ? [revision.author.firstName, revision.author.lastName].filter(Boolean).join(' ')
+  : 'Unknown author');
+
+// Changes between two revisions, with insertions and deletions highlighted
+const DiffView = ({ diff, onClose }) => {
+  const unit = diff.granularity === 'word' ? 'words' : 'lines';
+
+  return (
+    <div className="border-t pt-4 mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-medium text-gray-800">
+          #{diff.from.number} → #{diff.to.number}
+        </p>
+        <button type="button" className="text-gray-400 hover:text-gray-600" onClick={onClose}>
+          <FiX />
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-2">
+        <span className="text-green-700">+{diff.insertions}</span>{' '}
+        <span className="text-red-700">-{diff.deletions}</span> {unit}
+      </p>
+      {diff.title && (
+        <p className="text-sm mb-2">
+          Title: <span className={CHANGE_CLASSES.delete}>{diff.title.from}</span>{' '}
+          <span className={CHANGE_CLASSES.insert}>{diff.title.to}</span>
+        </p>
+      )}
+      {diff.changes.length === 0 ? (
+        <p className="text-sm text-gray-500">The content is the same.</p>
+      ) : (
+        <pre className="p-3 bg-white border rounded text-xs whitespace-pre-wrap break-words max-h-96 overflow-auto">
+          {diff.changes.map((change, index) => (
+            <span key={index} className={CHANGE_CLASSES[change.type]}>{change.value}</span>
+          ))}
+        </pre>
+      )}
+    </div>
+  );
+};
+
+// Side panel with the saved revisions of the item. Two revisions can be
+// compared, or one with the latest, and any revision restored as a new one.
+const RevisionHistory = ({ contentItemId, onRestored, onClose }) => {
+  const [selected, setSelected] = useState([]);
+  const [granularity, setGranularity] = useState('line');
+  const [isRestoring, setIsRestoring] = useState(false);
+  const { revisions, hasMore, loadMore, diff, clearDiff, compare, restore, loading, error } = useRevisions(contentItemId);
+
+  // Keep at most two selected, dropping the one selected first
+  const toggleSelected = (revisionId) => {
+    setSelected(current => (current.includes(revisionId)
+      ? current.filter(id => id !== revisionId)
+      : [...current, revisionId].slice(-2)));
+  };
+
+  const handleCompare = async () => {
+    // Compare the older revision with the newer, or a single one with the latest
+    const chosen = revisions.filter(revision => selected.includes(revision.id))
+      .sort((a, b) => a.number - b.number);
+
+    try {
+      await compare(chosen[0].id, chosen[1] && chosen[1].id, granularity);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to compare the revisions');
+    }
+  };
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore revision #${revision.number}? The current content is kept as a revision.`)) {
+      return;
+    }
+
+    try {
+      setIsRestoring(true);
+      await restore(revision.id);
+      toast.success(`Revision #${revision.number} restored`);
+      setSelected([]);
+      if (onRestored) onRestored();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to restore the revision');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <aside className="fixed inset-y-0 right-0 z-40 w-full md:w-96 bg-gray-50 shadow-xl p-4 overflow-y-auto">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-medium text-gray-800">
+          <FiClock className="inline mr-1" /> Revision history
+        </h3>
+        <button type="button" className="text-gray-400 hover:text-gray-600" onClick={onClose}>
+          <FiX />
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2 mb-4">
+        <select
+          className="p-1 border rounded text-sm"
+          value={granularity}
+          onChange={(e) => setGranularity(e.target.value)}
+        >
+          <option value="line">By line</option>
+          <option value="word">By word</option>
+        </select>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleCompare}
+          disabled={selected.length === 0}
+        >
+          {selected.length === 2 ? 'Compare selected' : 'Compare with latest'}
+        </Button>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {revisions.length === 0 && !loading ? (
+        <p className="text-sm text-gray-500">
+          No revisions yet. Every save and every generation adds one.
+        </p>
+      ) : (
+        <ul className="text-sm divide-y divide-gray-200">
+          {revisions.map((revision, index) => (
+            <li key={revision.id} className="py-2 flex items-start gap-2">
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={selected.includes(revision.id)}
+                onChange={() => toggleSelected(revision.id)}
+              />
+              <div className="flex-1 min-w-0">
+                <p className="flex items-center gap-2">
+                  <span className="font-medium text-gray-900">#{revision.number}</span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${SOURCE_CLASSES[revision.source]}`}>
+                    {SOURCE_LABELS[revision.source]}
+                  </span>
+                  {index === 0 && <span className="text-xs text-gray-500">Latest</span>}
+                </p>
+                <p className="text-xs text-gray-500 truncate">
+                  {authorName(revision)} • {new Date(revision.createdAt).toLocaleString()} • {revision.wordCount} words
+                </p>
+              </div>
+              {index > 0 && (
+                <button
+                  type="button"
+                  className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                  onClick={() => handleRestore(revision)}
+                  disabled={isRestoring}
+                  title="Restore this revision"
+                >
+                  <FiRotateCcw className="inline mr-1" />Restore
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {hasMore && (
+        <Button variant="outline" size="sm" fullWidth className="mt-2" onClick={loadMore} disabled={loading}>
+          Older revisions
+        </Button>
+      )}
+
+      {diff && <DiffView diff={diff} onClose={clearDiff} />}
+    </aside>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,94 @@
+// /frontend/src/components/ContentEditor/SeoPanel.jsx
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { FiSearch } from 'react-icons/fi';
+import Button from '../common/Button';
+import { useSeo } from '../../hooks/useSeo';
+
+// Search result limits the server truncates to, shown as character counters
+const LIMITS = {
+  metaTitle: 60,
+  metaDescription: 160
+};
+
+// Generate and review the SEO metadata sent along when the item is published
+const SeoPanel = ({ contentItem, onGenerated }) => {
+  const [keywords, setKeywords] = useState('');
+  const seo = contentItem?.metadata?.seo;
+  const { generateSeo, isGenerating, error } = useSeo(contentItem?.id, {
+    onCompleted: () => {
+      toast.success('SEO metadata generated');
+      if (onGenerated) onGenerated();
+    }
+  });
+
+  const handleGenerate = async () => {
+    try {
+      await generateSeo(keywords.split(',').map(keyword => keyword.trim()).filter(Boolean));
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to generate SEO metadata');
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-4 rounded mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-medium text-gray-800">SEO metadata</h3>
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            className="p-2 border rounded text-sm"
+            placeholder="Keywords, comma separated"
+            value={keywords}
+            onChange={(e) => setKeywords(e.target.value)}
+            disabled={isGenerating}
+          />
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleGenerate}
+            disabled={isGenerating || !contentItem?.content}
+          >
+            <FiSearch className="inline mr-1" />
+            {isGenerating ? 'Generating...' : seo ? 'Regenerate' : 'Generate'}
+          </Button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {seo ? (
+        <dl className="text-sm space-y-2">
+          <div>
+            <dt className="text-gray-500">Meta title ({seo.metaTitle.length}/{LIMITS.metaTitle})</dt>
+            <dd className="text-blue-700">{seo.metaTitle}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Meta description ({seo.metaDescription.length}/{LIMITS.metaDescription})</dt>
+            <dd>{seo.metaDescription}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Slug</dt>
+            <dd className="font-mono">{seo.slug}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Excerpt</dt>
+            <dd>{seo.excerpt}</dd>
+          </div>
+          {seo.jsonLd?.length > 0 && (
+            <div>
+              <dt className="text-gray-500">Structured data</dt>
+              <dd>{seo.jsonLd.map(item => item['@type']).join(', ')}</dd>
+            </div>
+          )}
+        </dl>
+      ) : (
+        <p className="text-sm text-gray-500">
+          No SEO metadata yet. It is generated from the current content.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SeoPanel;
@@ -0,0 +1,57 @@
+// /frontend/src/components/ContentEditor/SimilarityWarning.jsx
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { FiCopy, FiRefreshCw } from 'react-icons/fi';
+import Button from '../common/Button';
+
+const percent = value => `${Math.round(value * 100)}%`;
+
+// Items of the library the content nearly duplicates, shown before it is published
+const SimilarityWarning = ({ similarity, acknowledged, onAcknowledge, onRecheck, isChecking }) => {
+  if (!similarity || !similarity.flagged) {
+    return null;
+  }
+
+  return (
+    <div className="bg-orange-50 p-4 rounded-lg border border-orange-200">
+      <div className="flex items-start justify-between">
+        <p className="text-sm font-medium text-orange-800">
+          <FiCopy className="inline mr-1" />
+          This content is {percent(similarity.score)} similar to content you already have
+        </p>
+        <Button variant="outline" size="sm" icon={<FiRefreshCw />} onClick={onRecheck} disabled={isChecking}>
+          {isChecking ? 'Checking...' : 'Check again'}
+        </Button>
+      </div>
+
+      <ul className="mt-3 space-y-3 text-sm text-orange-900">
+        {similarity.matches.map(match => (
+          <li key={match.contentItemId}>
+            <Link to={`/content/${match.contentItemId}`} className="font-medium underline">{match.title}</Link>
+            {` — ${percent(match.score)} similar`}
+            {match.passages.map((passage, index) => (
+              <blockquote key={index} className="mt-1 pl-3 border-l-2 border-orange-300 text-xs text-orange-700 italic">
+                {passage.text}
+              </blockquote>
+            ))}
+          </li>
+        ))}
+      </ul>
+
+      <div className="mt-3 flex items-center">
+        <input
+          id="acknowledge-duplicates"
+          type="checkbox"
+          className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          checked={acknowledged}
+          onChange={(e) => onAcknowledge(e.target.checked)}
+        />
+        <label htmlFor="acknowledge-duplicates" className="ml-2 text-sm text-orange-800">
+          I have reviewed the overlap and want to publish anyway
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default SimilarityWarning;
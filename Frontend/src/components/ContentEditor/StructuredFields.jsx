@@ -0,0 +1,77 @@
+// /frontend/src/components/ContentEditor/StructuredFields.jsx
+import React from 'react';
+import { FiGrid } from 'react-icons/fi';
+
+// "metaDescription" -> "Meta description"
+const labelOf = (name) => {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const renderValue = (value) => {
+  if (Array.isArray(value)) {
+    // Table rows are objects, list items are strings
+    if (value.length > 0 && typeof value[0] === 'object') {
+      const columns = Object.keys(value[0]);
+
+      return (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr>
+              {columns.map(column => (
+                <th key={column} className="text-left font-medium text-gray-700 pr-4">{labelOf(column)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {value.map((row, index) => (
+              <tr key={index}>
+                {columns.map(column => <td key={column} className="pr-4 text-gray-600">{row[column]}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      );
+    }
+
+    return (
+      <ul className="list-disc pl-5 text-sm text-gray-600">
+        {value.map((item, index) => <li key={index}>{item}</li>)}
+      </ul>
+    );
+  }
+
+  if (typeof value === 'boolean') {
+    return <p className="text-sm text-gray-600">{value ? 'Yes' : 'No'}</p>;
+  }
+
+  return <p className="text-sm text-gray-600 whitespace-pre-line">{String(value)}</p>;
+};
+
+// Fields of content generated from a template with an output schema,
+// including those left out of the rendered content, like subject lines
+const StructuredFields = ({ contentItem }) => {
+  const structured = contentItem?.metadata?.structured;
+
+  if (!structured || Object.keys(structured).length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-gray-50 p-4 rounded mb-6">
+      <h3 className="font-medium text-gray-800 mb-4">
+        <FiGrid className="inline mr-1" /> Structured fields
+      </h3>
+      <dl className="space-y-3">
+        {Object.entries(structured).map(([name, value]) => (
+          <div key={name}>
+            <dt className="text-sm font-medium text-gray-700">{labelOf(name)}</dt>
+            <dd className="mt-1">{renderValue(value)}</dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+};
+
+export default StructuredFields;
@@ -0,0 +1,131 @@
+// /frontend/src/components/ContentEditor/TranslationsPanel.jsx
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { FiGlobe } from 'react-icons/fi';
+import Button from '../common/Button';
+import { useTranslations } from '../../hooks/useTranslations';
+
+const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Translate the item into other locales and list the translations linked to it
+const TranslationsPanel = ({ contentItem, onTranslated }) => {
+  const [locales, setLocales] = useState('');
+  const [sourceLocale, setSourceLocale] = useState('');
+  const [glossary, setGlossary] = useState('');
+  const { translate, translating, isTranslating, failures, error } = useTranslations(contentItem?.id, {
+    onSettled: () => {
+      toast.success('Translations finished');
+      if (onTranslated) onTranslated();
+    }
+  });
+
+  // A translation is translated from its source, not on its own
+  if (contentItem?.sourceItem) {
+    return (
+      <div className="bg-gray-50 p-4 rounded mb-6 text-sm">
+        <p>
+          This is the <span className="font-medium">{contentItem.locale}</span> translation of{' '}
+          <Link to={`/content/${contentItem.sourceItem.id}`} className="text-blue-600 hover:text-blue-800">
+            {contentItem.sourceItem.title}
+          </Link>.
+        </p>
+        {contentItem.translationStale && (
+          <p className="mt-2 text-yellow-700">
+            The source has changed since it was translated. Translate the source again to update it.
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  const translations = contentItem?.translations || [];
+
+  const handleTranslate = async (e) => {
+    e.preventDefault();
+    try {
+      const result = await translate({
+        locales: splitList(locales),
+        sourceLocale: sourceLocale.trim() || contentItem?.locale,
+        glossary: splitList(glossary)
+      });
+      toast.success(`Translating into ${result.translations.map(translation => translation.locale).join(', ')}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to start the translation');
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-4 rounded mb-6">
+      <h3 className="font-medium text-gray-800 mb-4">Translations</h3>
+
+      <form onSubmit={handleTranslate} className="grid grid-cols-1 md:grid-cols-4 gap-2 mb-4">
+        <input
+          type="text"
+          className="p-2 border rounded text-sm"
+          placeholder="Locales, e.g. fr-FR, de-DE"
+          value={locales}
+          onChange={(e) => setLocales(e.target.value)}
+          disabled={isTranslating}
+        />
+        <input
+          type="text"
+          className="p-2 border rounded text-sm"
+          placeholder={contentItem?.locale ? `Source locale (${contentItem.locale})` : 'Source locale, e.g. en-US'}
+          value={sourceLocale}
+          onChange={(e) => setSourceLocale(e.target.value)}
+          disabled={isTranslating}
+        />
+        <input
+          type="text"
+          className="p-2 border rounded text-sm"
+          placeholder="Do-not-translate terms, comma separated"
+          value={glossary}
+          onChange={(e) => setGlossary(e.target.value)}
+          disabled={isTranslating}
+        />
+        <Button
+          type="submit"
+          variant="outline"
+          size="sm"
+          disabled={isTranslating || !contentItem?.content || splitList(locales).length === 0}
+        >
+          <FiGlobe className="inline mr-1" />
+          {isTranslating ? `Translating ${translating.join(', ')}...` : 'Translate'}
+        </Button>
+      </form>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+      {Object.keys(failures).map(locale => (
+        <p key={locale} className="text-sm text-red-600 mb-2">{locale}: {failures[locale]}</p>
+      ))}
+
+      {translations.length > 0 ? (
+        <ul className="text-sm divide-y divide-gray-200">
+          {translations.map(translation => (
+            <li key={translation.id} className="py-2 flex items-center justify-between">
+              <Link to={`/content/${translation.id}`} className="text-blue-600 hover:text-blue-800">
+                <span className="font-mono mr-2">{translation.locale}</span>
+                {translation.title}
+              </Link>
+              <span className="flex items-center gap-2">
+                {translation.translationStale && (
+                  <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                    Stale
+                  </span>
+                )}
+                <span className="text-gray-500">{translation.status.replace('_', ' ')}</span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">
+          No translations yet. Each locale becomes a content item of its own, linked to this one.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TranslationsPanel;
@@ -0,0 +1,151 @@
+// /frontend/src/components/ContentEditor/VariationsPanel.jsx
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import { toast } from 'react-hot-toast';
+import { FiLayers, FiCheck } from 'react-icons/fi';
+import Button from '../common/Button';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { useVariations } from '../../hooks/useVariations';
+
+const TARGET_LABELS = {
+  content: 'Whole content',
+  headline: 'Headline',
+  section: 'Selected passage'
+};
+
+// Request alternative versions of a content item and promote the best one
+const VariationsPanel = ({ contentItem, onPromoted }) => {
+  const [target, setTarget] = useState('content');
+  const [count, setCount] = useState(3);
+  const [selection, setSelection] = useState('');
+  const [isRequesting, setIsRequesting] = useState(false);
+  const { groups, loading, error, requestVariations, promoteVariation } = useVariations(contentItem?.id);
+
+  const handleRequest = async () => {
+    try {
+      setIsRequesting(true);
+      const result = await requestVariations({
+        target,
+        count,
+        ...(target === 'section' && { selection })
+      });
+      toast.success(`${count} variations queued (about ${result.estimatedCost} credits)`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to request variations');
+    } finally {
+      setIsRequesting(false);
+    }
+  };
+
+  const handlePromote = async (variant) => {
+    try {
+      await promoteVariation(variant.id);
+      toast.success('Variation promoted');
+      if (onPromoted) onPromoted();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to promote variation');
+    }
+  };
+
+  return (
+    <div>
+      <div className="bg-gray-50 p-4 rounded mb-6">
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Vary</label>
+            <select
+              className="p-2 border rounded"
+              value={target}
+              onChange={(e) => setTarget(e.target.value)}
+              disabled={isRequesting}
+            >
+              {Object.entries(TARGET_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Versions</label>
+            <select
+              className="p-2 border rounded"
+              value={count}
+              onChange={(e) => setCount(parseInt(e.target.value))}
+              disabled={isRequesting}
+            >
+              {[2, 3, 4, 5].map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </div>
+          <Button
+            variant="primary"
+            onClick={handleRequest}
+            disabled={isRequesting || (target === 'section' && !selection.trim())}
+          >
+            <FiLayers className="inline mr-1" /> Generate variations
+          </Button>
+        </div>
+        {target === 'section' && (
+          <textarea
+            className="w-full p-2 border rounded mt-4 text-sm"
+            rows={4}
+            placeholder="Paste the passage of the content to vary"
+            value={selection}
+            onChange={(e) => setSelection(e.target.value)}
+            disabled={isRequesting}
+          />
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {loading ? (
+        <LoadingSpinner className="mx-auto" />
+      ) : groups.length === 0 ? (
+        <p className="text-gray-500 text-center">No variations yet.</p>
+      ) : (
+        groups.map(group => (
+          <div key={group.variationGroupId} className="mb-8">
+            <h3 className="text-sm font-medium text-gray-700 mb-2">
+              {TARGET_LABELS[group.target] || group.target} • {new Date(group.createdAt).toLocaleString()}
+            </h3>
+            <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+              {group.variants.map(variant => (
+                <div key={variant.id} className="border rounded p-4 flex flex-col">
+                  <div className="flex justify-between text-xs text-gray-500 mb-2">
+                    <span>Version {variant.variantIndex + 1}</span>
+                    <span>
+                      {variant.status === 'completed'
+                        ? `${variant.wordCount} words • ${variant.creditsUsed} credits`
+                        : variant.status}
+                    </span>
+                  </div>
+                  <div className="prose prose-sm max-w-none flex-grow overflow-auto max-h-64">
+                    {variant.status === 'completed' && <ReactMarkdown>{variant.output}</ReactMarkdown>}
+                    {variant.status === 'failed' && <p className="text-red-600">{variant.error}</p>}
+                    {['queued', 'processing'].includes(variant.status) && <LoadingSpinner size="sm" />}
+                  </div>
+                  {variant.status === 'completed' && (
+                    <div className="mt-3">
+                      {variant.promotedAt ? (
+                        <span className="text-sm text-green-600">
+                          <FiCheck className="inline mr-1" /> Promoted
+                        </span>
+                      ) : (
+                        <Button variant="outline" size="sm" onClick={() => handlePromote(variant)}>
+                          Use this version
+                        </Button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default VariationsPanel;
@@ -0,0 +1,32 @@
+// /frontend/src/components/ContentEditor/VoiceViolations.jsx
+import React from 'react';
+import { FiAlertTriangle } from 'react-icons/fi';
+
+// Banned phrases and avoided terms of the brand voice found in the generated content
+const VoiceViolations = ({ violations }) => {
+  if (!violations || violations.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="p-4 border-b bg-yellow-50">
+      <p className="text-sm font-medium text-yellow-800 mb-2">
+        <FiAlertTriangle className="inline mr-1" />
+        The generated content does not follow the brand voice in {violations.length} {violations.length === 1 ? 'place' : 'places'}
+      </p>
+      <ul className="text-sm text-yellow-900 space-y-1">
+        {violations.map(violation => (
+          <li key={`${violation.type}:${violation.phrase}`}>
+            {violation.type === 'terminology'
+              ? <>Use <strong>{violation.preferred}</strong> instead of <strong>{violation.phrase}</strong></>
+              : <>Banned phrase <strong>{violation.phrase}</strong></>}
+            {violation.count > 1 && ` (${violation.count} times)`}
+            <span className="block text-xs text-yellow-700 italic">{violation.context}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default VoiceViolations;
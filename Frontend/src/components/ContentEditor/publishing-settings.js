@@ -5,6 +5,8 @@ import { FiGlobe, FiCalendar, FiCheck, FiAlertCircle, FiInfo } from 'react-icons
 import { useIntegrations } from '../../hooks/useIntegrations';
 import { Button } from '../common/Button';
 import { LoadingSpinner } from '../common/LoadingSpinner';
+import SimilarityWarning from './SimilarityWarning';
+import api from '../../services/api';
 
 export const PublishingSettings = ({ contentItem, onPublish }) => {
   const { integrations, isLoading: isLoadingIntegrations } = useIntegrations();
@@ -14,6 +16,31 @@ export const PublishingSettings = ({ contentItem, onPublish }) => {
   const [scheduleTime, setScheduleTime] = useState('');
   const [isScheduled, setIsScheduled] = useState(false);
   const [isPublishing, setIsPublishing] = useState(false);
+  const [similarity, setSimilarity] = useState(null);
+  const [acknowledgedDuplicates, setAcknowledgedDuplicates] = useState(false);
+  const [isCheckingSimilarity, setIsCheckingSimilarity] = useState(false);
+  
+  // Near-duplicates found when the content was generated
+  useEffect(() => {
+    setSimilarity(contentItem?.metadata?.similarity || null);
+    setAcknowledgedDuplicates(false);
+  }, [contentItem]);
+  
+  // Compare the current content, which may have been edited since, with the library
+  const handleRecheckSimilarity = async () => {
+    try {
+      setIsCheckingSimilarity(true);
+      const response = await api.content.checkSimilarity(contentItem.id);
+      setSimilarity(response.data.similarity);
+      setAcknowledgedDuplicates(false);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to check for similar content');
+    } finally {
+      setIsCheckingSimilarity(false);
+    }
+  };
+  
+  const needsAcknowledgement = Boolean(similarity?.flagged) && !acknowledgedDuplicates;
   
   // Set default date/time if content is already scheduled
   useEffect(() => {
@@ -41,6 +68,11 @@ export const PublishingSettings = ({ contentItem, onPublish }) => {
       return;
     }
     
+    if (needsAcknowledgement) {
+      toast.error('Review the similar content before publishing');
+      return;
+    }
+    
     try {
       setIsPublishing(true);
       
@@ -170,6 +202,17 @@ export const PublishingSettings = ({ contentItem, onPublish }) => {
         </div>
       )}
       
+      {/* Near-duplicate warning */}
+      {isContentReady && (
+        <SimilarityWarning
+          similarity={similarity}
+          acknowledged={acknowledgedDuplicates}
+          onAcknowledge={setAcknowledgedDuplicates}
+          onRecheck={handleRecheckSimilarity}
+          isChecking={isCheckingSimilarity}
+        />
+      )}
+      
       {/* Already published notification */}
       {contentItem.status === 'published' && (
         <div className="bg-green-50 p-4 rounded-lg border border-green-200 flex items-start">
@@ -318,7 +361,7 @@ export const PublishingSettings = ({ contentItem, onPublish }) => {
             icon={isScheduled ? <FiCalendar /> : <FiGlobe />}
             onClick={handlePublish}
             isLoading={isPublishing}
-            disabled={!isContentReady || !selectedIntegration || isPublishing}
+            disabled={!isContentReady || !selectedIntegration || isPublishing || needsAcknowledgement}
           >
             {isScheduled ? 'Schedule Publishing' : 'Publish Now'}
           </Button>
@@ -20,6 +20,7 @@ export const RecentContentItem = ({ item }) => {
     const statusClasses = {
       draft: 'bg-gray-100 text-gray-800',
       generated: 'bg-blue-100 text-blue-800',
+      needs_review: 'bg-red-100 text-red-800',
       published: 'bg-green-100 text-green-800',
       archived: 'bg-yellow-100 text-yellow-800'
     };
@@ -62,7 +63,7 @@ export const RecentContentItem = ({ item }) => {
         </div>
         <div className="flex items-center space-x-2">
           <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${getStatusBadge(item.status)}`}>
-            {item.status.charAt(0).toUpperCase() + item.status.slice(1)}
+            {item.status.charAt(0).toUpperCase() + item.status.slice(1).replace('_', ' ')}
           </span>
           <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${getContentTypeBadge(item.contentType)}`}>
             {item.contentType.charAt(0).toUpperCase() + item.contentType.slice(1)}
@@ -0,0 +1,224 @@
+// /frontend/src/components/Organization/OrganizationSidebar.jsx
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { FiFolder, FiBriefcase, FiTag, FiPlus, FiTrash2, FiLayers } from 'react-icons/fi';
+import { useOrganization } from '../../hooks/useOrganization';
+
+const rowClasses = selected => `group flex items-center justify-between w-full px-2 py-1 rounded text-sm text-left ${
+  selected ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-100'
+}`;
+
+// A one-line form that names a new project, folder or tag
+const NameInput = ({ placeholder, onSubmit, onCancel }) => {
+  const [name, setName] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (name.trim()) {
+      onSubmit(name.trim());
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="px-2 py-1">
+      <input
+        type="text"
+        autoFocus
+        className="block w-full text-sm border-gray-300 rounded-md"
+        placeholder={placeholder}
+        value={name}
+        onChange={e => setName(e.target.value)}
+        onKeyDown={e => e.key === 'Escape' && onCancel()}
+        onBlur={() => !name.trim() && onCancel()}
+      />
+    </form>
+  );
+};
+
+const SectionHeading = ({ icon, title, onAdd }) => (
+  <div className="flex items-center justify-between mt-4 mb-1 px-2">
+    <h3 className="flex items-center text-xs font-semibold uppercase tracking-wide text-gray-500">
+      {icon}
+      <span className="ml-1">{title}</span>
+    </h3>
+    <button type="button" className="text-gray-400 hover:text-gray-700" onClick={onAdd} title={`New ${title.toLowerCase().slice(0, -1)}`}>
+      <FiPlus />
+    </button>
+  </div>
+);
+
+const Count = ({ value }) => <span className="ml-2 text-xs text-gray-400">{value}</span>;
+
+const DeleteButton = ({ label, onClick }) => (
+  <span
+    role="button"
+    tabIndex={0}
+    className="ml-1 hidden group-hover:inline text-gray-400 hover:text-red-600"
+    title={`Delete ${label}`}
+    onClick={(e) => {
+      e.stopPropagation();
+      onClick();
+    }}
+  >
+    <FiTrash2 />
+  </span>
+);
+
+// Projects, the folder tree and tags of the content library. Picking one
+// filters the list; the selection is { projectId, folderId, tagId }.
+const OrganizationSidebar = ({ selection, onSelect, onChanged }) => {
+  const {
+    projects,
+    folders,
+    tags,
+    createProject,
+    deleteProject,
+    createFolder,
+    deleteFolder,
+    createTag,
+    deleteTag
+  } = useOrganization();
+  const [adding, setAdding] = useState(null);
+
+  const run = async (action, errorMessage) => {
+    try {
+      await action();
+      setAdding(null);
+      if (onChanged) onChanged();
+    } catch (err) {
+      toast.error(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || errorMessage);
+    }
+  };
+
+  // A folder implies its project, so picking one drops any other project
+  const selectFolder = folder => onSelect({ folderId: folder.id, projectId: folder.projectId || '' });
+
+  const selectProject = id => onSelect({ projectId: id, folderId: '' });
+
+  const handleDelete = (message, action, cleared) => {
+    if (!window.confirm(message)) {
+      return;
+    }
+    run(async () => {
+      await action();
+      if (cleared) onSelect(cleared);
+    }, 'Failed to delete');
+  };
+
+  // Folders of the picked project, or all of them
+  const visibleFolders = selection.projectId
+    ? folders.filter(folder => folder.projectId === selection.projectId)
+    : folders;
+
+  const renderFolders = (parentId, depth) => visibleFolders
+    .filter(folder => (folder.parentId || null) === parentId)
+    .map(folder => (
+      <React.Fragment key={folder.id}>
+        <button type="button" className={rowClasses(selection.folderId === folder.id)} onClick={() => selectFolder(folder)}>
+          <span className="flex items-center truncate" style={{ paddingLeft: `${depth * 12}px` }}>
+            <FiFolder className="mr-2 flex-shrink-0" />
+            <span className="truncate">{folder.name}</span>
+          </span>
+          <span className="flex items-center">
+            <Count value={folder.contentCount} />
+            <DeleteButton
+              label={folder.name}
+              onClick={() => handleDelete(
+                `Delete the folder "${folder.name}"? Its subfolders and content move up a level.`,
+                () => deleteFolder(folder.id),
+                selection.folderId === folder.id ? { folderId: folder.parentId || '' } : null
+              )}
+            />
+          </span>
+        </button>
+        {renderFolders(folder.id, depth + 1)}
+      </React.Fragment>
+    ));
+
+  return (
+    <nav className="text-sm">
+      <button type="button" className={rowClasses(!selection.projectId && !selection.folderId && !selection.tagId)} onClick={() => onSelect({ projectId: '', folderId: '', tagId: '' })}>
+        <span className="flex items-center">
+          <FiLayers className="mr-2" />
+          All content
+        </span>
+      </button>
+
+      <SectionHeading icon={<FiBriefcase />} title="Projects" onAdd={() => setAdding('project')} />
+      {adding === 'project' && (
+        <NameInput
+          placeholder="Project name"
+          onCancel={() => setAdding(null)}
+          onSubmit={name => run(() => createProject({ name }), 'Failed to create project')}
+        />
+      )}
+      {projects.map(project => (
+        <button key={project.id} type="button" className={rowClasses(selection.projectId === project.id && !selection.folderId)} onClick={() => selectProject(project.id)}>
+          <span className="flex items-center truncate">
+            <span className="mr-2 h-2.5 w-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: project.color || '#9ca3af' }} />
+            <span className="truncate">{project.name}</span>
+          </span>
+          <span className="flex items-center">
+            <Count value={project.contentCount} />
+            <DeleteButton
+              label={project.name}
+              onClick={() => handleDelete(
+                `Delete the project "${project.name}" and its folders? Its content is kept.`,
+                () => deleteProject(project.id),
+                selection.projectId === project.id ? { projectId: '', folderId: '' } : null
+              )}
+            />
+          </span>
+        </button>
+      ))}
+
+      <SectionHeading icon={<FiFolder />} title="Folders" onAdd={() => setAdding('folder')} />
+      {adding === 'folder' && (
+        <NameInput
+          placeholder={selection.folderId ? 'Subfolder name' : 'Folder name'}
+          onCancel={() => setAdding(null)}
+          onSubmit={name => run(() => createFolder({
+            name,
+            parentId: selection.folderId || undefined,
+            projectId: selection.folderId ? undefined : selection.projectId || undefined
+          }), 'Failed to create folder')}
+        />
+      )}
+      {renderFolders(null, 0)}
+
+      <SectionHeading icon={<FiTag />} title="Tags" onAdd={() => setAdding('tag')} />
+      {adding === 'tag' && (
+        <NameInput
+          placeholder="Tag name"
+          onCancel={() => setAdding(null)}
+          onSubmit={name => run(() => createTag({ name }), 'Failed to create tag')}
+        />
+      )}
+      <div className="flex flex-wrap gap-1 px-2">
+        {tags.map(tag => (
+          <button
+            key={tag.id}
+            type="button"
+            className={`group inline-flex items-center px-2 py-0.5 rounded-full text-xs ${
+              selection.tagId === tag.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+            onClick={() => onSelect({ tagId: selection.tagId === tag.id ? '' : tag.id })}
+          >
+            {tag.name}
+            <span className="ml-1 opacity-70">{tag.contentCount}</span>
+            <DeleteButton
+              label={tag.name}
+              onClick={() => handleDelete(
+                `Delete the tag "${tag.name}"? It is removed from everything tagged with it.`,
+                () => deleteTag(tag.id),
+                selection.tagId === tag.id ? { tagId: '' } : null
+              )}
+            />
+          </button>
+        ))}
+      </div>
+    </nav>
+  );
+};
+
+export default OrganizationSidebar;
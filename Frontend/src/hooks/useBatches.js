@@ -0,0 +1,99 @@
+// /frontend/src/hooks/useBatches.js
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+// How often the progress of running batches is refreshed
+const POLL_INTERVAL = 5000;
+
+// The current user's generation batches, refreshed while any of them is processing
+export const useBatches = () => {
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchBatches = useCallback(async () => {
+    try {
+      const response = await api.batches.getAll();
+      setBatches(response.data.batches);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to fetch batches');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBatches();
+  }, [fetchBatches]);
+
+  const hasRunning = batches.some(batch => batch.status === 'processing');
+
+  useEffect(() => {
+    if (!hasRunning) {
+      return undefined;
+    }
+
+    const timer = setInterval(fetchBatches, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [hasRunning, fetchBatches]);
+
+  const uploadBatch = async (file, name) => {
+    const response = await api.batches.upload(file, name);
+    await fetchBatches();
+    return response.data;
+  };
+
+  const previewBatch = async (id, settings) => {
+    const response = await api.batches.preview(id, settings);
+    return response.data;
+  };
+
+  const startBatch = async (id, settings) => {
+    const response = await api.batches.start(id, settings);
+    await fetchBatches();
+    return response.data;
+  };
+
+  const pauseBatch = async (id) => {
+    await api.batches.pause(id);
+    await fetchBatches();
+  };
+
+  const resumeBatch = async (id) => {
+    await api.batches.resume(id);
+    await fetchBatches();
+  };
+
+  const getFailedRows = async (id) => {
+    const response = await api.batches.getRows(id, { status: 'failed', limit: 100 });
+    return response.data.rows;
+  };
+
+  // Save the results CSV through a temporary link
+  const downloadResults = async (batch) => {
+    const response = await api.batches.downloadResults(batch.id);
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = `${batch.name.replace(/\.(csv|json)$/i, '')}-results.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  return {
+    batches,
+    loading,
+    error,
+    uploadBatch,
+    previewBatch,
+    startBatch,
+    pauseBatch,
+    resumeBatch,
+    getFailedRows,
+    downloadResults
+  };
+};
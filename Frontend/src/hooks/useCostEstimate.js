@@ -0,0 +1,49 @@
+// /frontend/src/hooks/useCostEstimate.js
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// Wait for a pause in typing before asking for a new estimate
+const ESTIMATE_DELAY = 400;
+
+// Estimate the credits a generation request would cost, again whenever it changes
+export const useCostEstimate = (request, { enabled = true } = {}) => {
+  const [estimate, setEstimate] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Compare requests by value, since callers build a new object on every render
+  const requestKey = JSON.stringify(request);
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const response = await api.generation.estimate(JSON.parse(requestKey));
+        if (!cancelled) {
+          setEstimate(response.data);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.response?.data?.error || 'Failed to estimate cost');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    }, ESTIMATE_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [requestKey, enabled]);
+
+  return { estimate, loading, error };
+};
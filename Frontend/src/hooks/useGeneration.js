@@ -0,0 +1,122 @@
+// /frontend/src/hooks/useGeneration.js
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+export const useGeneration = () => {
+  const [generationId, setGenerationId] = useState(null);
+  const [generationStatus, setGenerationStatus] = useState(null);
+  const [streamedContent, setStreamedContent] = useState('');
+  const [error, setError] = useState(null);
+
+  const checkGenerationStatus = useCallback(async (id) => {
+    try {
+      const response = await api.generation.getById(id);
+      setGenerationStatus(response.data.generation);
+      return response.data.generation;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to fetch generation status');
+      throw err;
+    }
+  }, []);
+
+  // Follow the active generation over Server-Sent Events instead of polling
+  useEffect(() => {
+    if (!generationId) {
+      return undefined;
+    }
+
+    const unsubscribe = api.generation.subscribe(
+      generationId,
+      (event) => {
+        if (event.type === 'content') {
+          setStreamedContent(content => content + event.delta);
+          return;
+        }
+
+        // Outline and section progress of long-form generations
+        if (event.type === 'step') {
+          setGenerationStatus(status => ({ ...status, currentStep: event }));
+          return;
+        }
+
+        setGenerationStatus(status => ({
+          ...status,
+          id: event.generationId,
+          status: event.status,
+          error: event.error,
+          contentItemId: event.contentItemId || status?.contentItemId,
+          creditsUsed: event.creditsUsed,
+          outline: event.outline || status?.outline
+        }));
+
+        if (TERMINAL_STATUSES.includes(event.status)) {
+          setGenerationId(null);
+        }
+      },
+      // If the stream drops, fall back to a single status check
+      () => {
+        checkGenerationStatus(generationId).catch(() => {});
+        setGenerationId(null);
+      }
+    );
+
+    return unsubscribe;
+  }, [generationId, checkGenerationStatus]);
+
+  const createGeneration = async (data) => {
+    try {
+      setError(null);
+      setStreamedContent('');
+      const response = await api.generation.create(data);
+      setGenerationStatus({
+        id: response.data.generationId,
+        status: response.data.status,
+        contentItemId: response.data.contentItemId
+      });
+      setGenerationId(response.data.generationId);
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start generation');
+      throw err;
+    }
+  };
+
+  // Approve a long-form outline, edited or as generated, to write its sections
+  const approveOutline = async (id, outline) => {
+    try {
+      setError(null);
+      const response = await api.generation.approveOutline(id, outline);
+      setGenerationStatus(status => ({
+        ...status,
+        status: response.data.status,
+        outline: response.data.outline
+      }));
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to approve outline');
+      throw err;
+    }
+  };
+
+  const cancelGeneration = async (id) => {
+    try {
+      const response = await api.generation.cancel(id);
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to cancel generation');
+      throw err;
+    }
+  };
+
+  return {
+    createGeneration,
+    approveOutline,
+    cancelGeneration,
+    checkGenerationStatus,
+    generationStatus,
+    streamedContent,
+    error
+  };
+};
@@ -0,0 +1,35 @@
+// /frontend/src/hooks/useGenerationAudit.js
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// Audit trail of a generation, for its owner and admins
+export const useGenerationAudit = (generationId) => {
+  const [generation, setGeneration] = useState(null);
+  const [audits, setAudits] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchAudit = async () => {
+      try {
+        setLoading(true);
+        const response = await api.generation.getAudit(generationId);
+        setGeneration(response.data.generation);
+        setAudits(response.data.audits);
+        setRetentionDays(response.data.retentionDays);
+        setError(null);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to fetch the audit trail');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (generationId) {
+      fetchAudit();
+    }
+  }, [generationId]);
+
+  return { generation, audits, retentionDays, loading, error };
+};
@@ -0,0 +1,70 @@
+// /frontend/src/hooks/useInlineEdit.js
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// Request an AI edit of a selected passage and follow the job until its suggestion arrives
+export const useInlineEdit = (contentId) => {
+  const [generationId, setGenerationId] = useState(null);
+  const [suggestion, setSuggestion] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isEditing || !generationId) {
+      return undefined;
+    }
+
+    const unsubscribe = api.generation.subscribe(
+      generationId,
+      (event) => {
+        if (event.type !== 'status') return;
+
+        if (event.status === 'completed') {
+          setIsEditing(false);
+          setSuggestion({
+            ...event.suggestion,
+            generationId,
+            moderationReasons: event.moderationReasons || [],
+            voiceViolations: event.voiceViolations || []
+          });
+        } else if (event.status === 'failed') {
+          setIsEditing(false);
+          setError(event.error || 'Failed to edit the passage');
+        }
+      },
+      () => setIsEditing(false)
+    );
+
+    return unsubscribe;
+  }, [isEditing, generationId]);
+
+  const requestEdit = async (editData) => {
+    try {
+      setError(null);
+      setSuggestion(null);
+      const response = await api.generation.edit(contentId, editData);
+      setGenerationId(response.data.generationId);
+      setIsEditing(true);
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to edit the passage');
+      throw err;
+    }
+  };
+
+  // The decision is only recorded; the caller applies an accepted suggestion
+  const resolveSuggestion = async (decision) => {
+    const resolved = suggestion;
+    setSuggestion(null);
+
+    try {
+      await api.generation.resolveSuggestion(resolved.generationId, decision);
+    } catch (err) {
+      console.error('Error recording the suggestion decision:', err);
+    }
+
+    return resolved;
+  };
+
+  return { requestEdit, resolveSuggestion, suggestion, isEditing, error };
+};
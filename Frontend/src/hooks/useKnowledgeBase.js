@@ -0,0 +1,46 @@
+// /frontend/src/hooks/useKnowledgeBase.js
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// The documents of the current user's knowledge base
+export const useKnowledgeBase = () => {
+  const [documents, setDocuments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchDocuments = async () => {
+      try {
+        setLoading(true);
+        const response = await api.knowledge.getAll({ limit: 100 });
+        setDocuments(response.data.documents);
+        setError(null);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to fetch documents');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDocuments();
+  }, []);
+
+  const uploadDocument = async (file, name) => {
+    const response = await api.knowledge.upload(file, name);
+    setDocuments(items => [response.data.document, ...items]);
+    return response.data.document;
+  };
+
+  // The document's indexed passages, in order
+  const getPassages = async (id) => {
+    const response = await api.knowledge.getById(id);
+    return response.data.document.chunks;
+  };
+
+  const deleteDocument = async (id) => {
+    await api.knowledge.delete(id);
+    setDocuments(items => items.filter(item => item.id !== id));
+  };
+
+  return { documents, loading, error, uploadDocument, getPassages, deleteDocument };
+};
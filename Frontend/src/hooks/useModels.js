@@ -0,0 +1,42 @@
+// /frontend/src/hooks/useModels.js
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+export const useModels = () => {
+  const [models, setModels] = useState([]);
+  const [defaultProvider, setDefaultProvider] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchModels = async () => {
+      try {
+        setLoading(true);
+        const response = await api.generation.getModels();
+        setModels(response.data.models);
+        setDefaultProvider(response.data.defaultProvider);
+        setError(null);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to fetch models');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchModels();
+  }, []);
+
+  // Group models by provider for display
+  const modelsByProvider = models.reduce((groups, model) => ({
+    ...groups,
+    [model.provider]: [...(groups[model.provider] || []), model]
+  }), {});
+
+  return {
+    models,
+    modelsByProvider,
+    defaultProvider,
+    loading,
+    error
+  };
+};
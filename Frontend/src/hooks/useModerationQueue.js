@@ -0,0 +1,39 @@
+// /frontend/src/hooks/useModerationQueue.js
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+// Content held for moderation review, for admins
+export const useModerationQueue = () => {
+  const [contentItems, setContentItems] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, totalPages: 0, totalItems: 0 });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.moderation.getQueue({ page });
+      setContentItems(response.data.contentItems);
+      setPagination(response.data.pagination);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to fetch the moderation queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  // A reviewed item leaves the queue
+  const reviewContent = async (id, decision, note) => {
+    const response = await api.moderation.review(id, decision, note);
+    await fetchQueue();
+    return response.data.contentItem;
+  };
+
+  return { contentItems, pagination, loading, error, setPage, reviewContent };
+};
@@ -0,0 +1,64 @@
+// /frontend/src/hooks/useOrganization.js
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+// The current user's projects, folders and tags, with their content counts
+export const useOrganization = () => {
+  const [projects, setProjects] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchOrganization = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [projectResponse, folderResponse, tagResponse] = await Promise.all([
+        api.projects.getAll(),
+        api.folders.getAll(),
+        api.tags.getAll()
+      ]);
+      setProjects(projectResponse.data.projects);
+      setFolders(folderResponse.data.folders);
+      setTags(tagResponse.data.tags);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to fetch projects, folders and tags');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOrganization();
+  }, [fetchOrganization]);
+
+  // Counts and moved subfolders come from the server, so changes reload everything
+  const change = async (request) => {
+    const response = await request();
+    await fetchOrganization();
+    return response.data;
+  };
+
+  const createProject = data => change(() => api.projects.create(data)).then(result => result.project);
+  const deleteProject = id => change(() => api.projects.delete(id));
+  const createFolder = data => change(() => api.folders.create(data)).then(result => result.folder);
+  const deleteFolder = id => change(() => api.folders.delete(id));
+  const createTag = data => change(() => api.tags.create(data)).then(result => result.tag);
+  const deleteTag = id => change(() => api.tags.delete(id));
+
+  return {
+    projects,
+    folders,
+    tags,
+    loading,
+    error,
+    refresh: fetchOrganization,
+    createProject,
+    deleteProject,
+    createFolder,
+    deleteFolder,
+    createTag,
+    deleteTag
+  };
+};
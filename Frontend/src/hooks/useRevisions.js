@@ -0,0 +1,77 @@
+// /frontend/src/hooks/useRevisions.js
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+// Revisions listed per page, newest first
+const PAGE_SIZE = 20;
+
+// Revision history of a content item: list, compare and restore its revisions
+export const useRevisions = (contentId) => {
+  const [revisions, setRevisions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchRevisions = useCallback(async (nextPage = 1) => {
+    try {
+      setLoading(true);
+      const response = await api.content.getRevisions(contentId, { page: nextPage, limit: PAGE_SIZE });
+      setRevisions(current => (nextPage === 1 ? response.data.revisions : [...current, ...response.data.revisions]));
+      setTotal(response.data.pagination.total);
+      setPage(nextPage);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to fetch the revisions');
+    } finally {
+      setLoading(false);
+    }
+  }, [contentId]);
+
+  useEffect(() => {
+    if (contentId) {
+      fetchRevisions();
+    }
+  }, [contentId, fetchRevisions]);
+
+  const compare = async (from, to, granularity) => {
+    try {
+      setError(null);
+      const params = { from, granularity };
+      if (to) params.to = to;
+      const response = await api.content.diffRevisions(contentId, params);
+      setDiff(response.data.diff);
+      return response.data.diff;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to compare the revisions');
+      throw err;
+    }
+  };
+
+  const restore = async (revisionId) => {
+    try {
+      setError(null);
+      const response = await api.content.restoreRevision(contentId, revisionId);
+      setDiff(null);
+      await fetchRevisions();
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore the revision');
+      throw err;
+    }
+  };
+
+  return {
+    revisions,
+    hasMore: revisions.length < total,
+    loadMore: () => fetchRevisions(page + 1),
+    refresh: () => fetchRevisions(),
+    diff,
+    clearDiff: () => setDiff(null),
+    compare,
+    restore,
+    loading,
+    error
+  };
+};
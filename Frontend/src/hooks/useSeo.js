@@ -0,0 +1,51 @@
+// /frontend/src/hooks/useSeo.js
+import { useState, useEffect, useRef } from 'react';
+import api from '../services/api';
+
+// Generate the SEO metadata of a content item and follow the job until it finishes
+export const useSeo = (contentId, { onCompleted } = {}) => {
+  const [generationId, setGenerationId] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Kept in a ref so a new callback does not resubscribe to the job's events
+  const onCompletedRef = useRef(onCompleted);
+  onCompletedRef.current = onCompleted;
+
+  useEffect(() => {
+    if (!generationId) {
+      return undefined;
+    }
+
+    const unsubscribe = api.generation.subscribe(
+      generationId,
+      (event) => {
+        if (event.type !== 'status') return;
+
+        if (event.status === 'completed') {
+          setGenerationId(null);
+          if (onCompletedRef.current) onCompletedRef.current(event.seo);
+        } else if (event.status === 'failed') {
+          setGenerationId(null);
+          setError(event.error || 'Failed to generate SEO metadata');
+        }
+      },
+      () => setGenerationId(null)
+    );
+
+    return unsubscribe;
+  }, [generationId]);
+
+  const generateSeo = async (keywords = []) => {
+    try {
+      setError(null);
+      const response = await api.generation.generateSeo(contentId, keywords.length > 0 ? { keywords } : {});
+      setGenerationId(response.data.generationId);
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to generate SEO metadata');
+      throw err;
+    }
+  };
+
+  return { generateSeo, isGenerating: Boolean(generationId), error };
+};
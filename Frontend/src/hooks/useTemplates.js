@@ -12,7 +12,7 @@ export const useTemplates = () => {
       try {
         setLoading(true);
         const response = await api.templates.getAll();
-        setTemplates(response.data);
+        setTemplates(response.data.templates);
         setError(null);
       } catch (err) {
         setError(err.response?.data?.message || 'Failed to fetch templates');
@@ -28,8 +28,8 @@ export const useTemplates = () => {
     try {
       setLoading(true);
       const response = await api.templates.create(data);
-      setTemplates([...templates, response.data]);
-      return response.data;
+      setTemplates([...templates, response.data.template]);
+      return response.data.template;
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to create template');
       throw err;
@@ -42,8 +42,8 @@ export const useTemplates = () => {
     try {
       setLoading(true);
       const response = await api.templates.update(id, data);
-      setTemplates(templates.map(t => t.id === id ? response.data : t));
-      return response.data;
+      setTemplates(templates.map(t => t.id === id ? response.data.template : t));
+      return response.data.template;
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to update template');
       throw err;
@@ -0,0 +1,79 @@
+// /frontend/src/hooks/useTranslations.js
+import { useState, useEffect, useRef } from 'react';
+import api from '../services/api';
+
+// Translate a content item into other locales and follow the jobs until they all finish
+export const useTranslations = (contentId, { onSettled } = {}) => {
+  const [pending, setPending] = useState([]);
+  const [failures, setFailures] = useState({});
+  const [error, setError] = useState(null);
+
+  // Kept in a ref so a new callback does not resubscribe to the jobs' events
+  const onSettledRef = useRef(onSettled);
+  onSettledRef.current = onSettled;
+
+  // Locale of each job, which its events do not repeat when it fails
+  const localesRef = useRef({});
+
+  const pendingIds = pending.map(translation => translation.generationId).join(',');
+
+  useEffect(() => {
+    if (!pendingIds) {
+      return undefined;
+    }
+
+    const finish = (generationId) => {
+      setPending(current => {
+        const remaining = current.filter(translation => translation.generationId !== generationId);
+        if (remaining.length === 0 && onSettledRef.current) onSettledRef.current();
+        return remaining;
+      });
+    };
+
+    const unsubscribers = pendingIds.split(',').map(generationId => api.generation.subscribe(
+      generationId,
+      (event) => {
+        if (event.type !== 'status') return;
+
+        if (event.status === 'failed') {
+          const locale = localesRef.current[generationId];
+          setFailures(current => ({ ...current, [locale]: event.error || 'Translation failed' }));
+        }
+        if (['completed', 'failed', 'cancelled'].includes(event.status)) {
+          finish(generationId);
+        }
+      },
+      () => finish(generationId)
+    ));
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [pendingIds]);
+
+  const translate = async ({ locales, sourceLocale, glossary }) => {
+    try {
+      setError(null);
+      setFailures({});
+      const data = { locales };
+      if (sourceLocale) data.sourceLocale = sourceLocale;
+      if (glossary.length > 0) data.glossary = glossary;
+
+      const response = await api.content.translate(contentId, data);
+      response.data.translations.forEach((translation) => {
+        localesRef.current[translation.generationId] = translation.locale;
+      });
+      setPending(response.data.translations);
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start the translation');
+      throw err;
+    }
+  };
+
+  return {
+    translate,
+    translating: pending.map(translation => translation.locale),
+    isTranslating: pending.length > 0,
+    failures,
+    error
+  };
+};
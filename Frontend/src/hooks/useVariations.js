@@ -0,0 +1,78 @@
+// /frontend/src/hooks/useVariations.js
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+// Refresh interval while variants are still being generated
+const POLL_INTERVAL = 3000;
+
+const PENDING_STATUSES = ['queued', 'processing'];
+
+export const useVariations = (contentId) => {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchVariations = useCallback(async () => {
+    try {
+      const response = await api.generation.getVariations(contentId);
+      setGroups(response.data.groups);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to fetch variations');
+    } finally {
+      setLoading(false);
+    }
+  }, [contentId]);
+
+  useEffect(() => {
+    if (contentId) {
+      fetchVariations();
+    }
+  }, [contentId, fetchVariations]);
+
+  const isPending = groups.some(group => group.variants.some(variant => PENDING_STATUSES.includes(variant.status)));
+
+  // Poll until every variant has finished
+  useEffect(() => {
+    if (!isPending) {
+      return undefined;
+    }
+
+    const timer = setInterval(fetchVariations, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isPending, fetchVariations]);
+
+  const requestVariations = async (data) => {
+    try {
+      setError(null);
+      const response = await api.generation.createVariations(contentId, data);
+      await fetchVariations();
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to request variations');
+      throw err;
+    }
+  };
+
+  const promoteVariation = async (id) => {
+    try {
+      setError(null);
+      const response = await api.generation.promoteVariation(id);
+      await fetchVariations();
+      return response.data.contentItem;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to promote variation');
+      throw err;
+    }
+  };
+
+  return {
+    groups,
+    loading,
+    error,
+    isPending,
+    requestVariations,
+    promoteVariation,
+    refetch: fetchVariations
+  };
+};
@@ -0,0 +1,46 @@
+// /frontend/src/hooks/useVoiceProfiles.js
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// The current user's brand voice profiles
+export const useVoiceProfiles = () => {
+  const [voiceProfiles, setVoiceProfiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchVoiceProfiles = async () => {
+      try {
+        setLoading(true);
+        const response = await api.voiceProfiles.getAll();
+        setVoiceProfiles(response.data.voiceProfiles);
+        setError(null);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to fetch voice profiles');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchVoiceProfiles();
+  }, []);
+
+  const createVoiceProfile = async (data) => {
+    const response = await api.voiceProfiles.create(data);
+    setVoiceProfiles(profiles => [...profiles, response.data.voiceProfile]);
+    return response.data.voiceProfile;
+  };
+
+  const updateVoiceProfile = async (id, data) => {
+    const response = await api.voiceProfiles.update(id, data);
+    setVoiceProfiles(profiles => profiles.map(profile => (profile.id === id ? response.data.voiceProfile : profile)));
+    return response.data.voiceProfile;
+  };
+
+  const deleteVoiceProfile = async (id) => {
+    await api.voiceProfiles.delete(id);
+    setVoiceProfiles(profiles => profiles.filter(profile => profile.id !== id));
+  };
+
+  return { voiceProfiles, loading, error, createVoiceProfile, updateVoiceProfile, deleteVoiceProfile };
+};
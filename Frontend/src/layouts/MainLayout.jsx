@@ -14,7 +14,11 @@ import {
   FiMenu,
   FiX,
   FiUser,
-  FiChevronDown
+  FiChevronDown,
+  FiMic,
+  FiLayers,
+  FiShield,
+  FiBookOpen
 } from 'react-icons/fi';
 
 const MainLayout = () => {
@@ -28,6 +32,9 @@ const MainLayout = () => {
     { name: 'Dashboard', path: '/dashboard', icon: <FiHome /> },
     { name: 'Content', path: '/content', icon: <FiFileText /> },
     { name: 'Templates', path: '/templates', icon: <FiCopy /> },
+    { name: 'Brand Voices', path: '/voice-profiles', icon: <FiMic /> },
+    { name: 'Batch Generation', path: '/batches', icon: <FiLayers /> },
+    { name: 'Knowledge Base', path: '/knowledge', icon: <FiBookOpen /> },
     { name: 'Generation History', path: '/generations', icon: <FiRefreshCw /> },
     { name: 'Integrations', path: '/integrations', icon: <FiLink /> },
     { name: 'Buy Credits', path: '/credits/buy', icon: <FiCreditCard /> },
@@ -37,6 +44,7 @@ const MainLayout = () => {
   // Admin navigation items
   const adminNavigation = [
     { name: 'Users', path: '/admin/users', icon: <FiUser /> },
+    { name: 'Moderation', path: '/admin/moderation', icon: <FiShield /> },
     { name: 'Analytics', path: '/admin/analytics', icon: <FiRefreshCw /> },
     { name: 'System Settings', path: '/admin/system-settings', icon: <FiSettings /> },
   ];
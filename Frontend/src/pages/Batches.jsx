@@ -0,0 +1,131 @@
+// src/pages/Batches.jsx
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { FiUpload, FiLayers } from 'react-icons/fi';
+import Button from '../components/common/Button';
+import Card from '../components/common/Card';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import BatchSetup from '../components/Batches/BatchSetup';
+import BatchCard from '../components/Batches/BatchCard';
+import { useBatches } from '../hooks/useBatches';
+
+// Bulk generation: upload a CSV or JSON file of rows and generate one content item per row
+const Batches = () => {
+  const {
+    batches,
+    loading,
+    error,
+    uploadBatch,
+    previewBatch,
+    startBatch,
+    pauseBatch,
+    resumeBatch,
+    getFailedRows,
+    downloadResults
+  } = useBatches();
+  const [file, setFile] = useState(null);
+  const [name, setName] = useState('');
+  const [isUploading, setIsUploading] = useState(false);
+  const [setup, setSetup] = useState(null);
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsUploading(true);
+      const { batch, sample } = await uploadBatch(file, name.trim());
+      setSetup({ batch, sample });
+      setFile(null);
+      setName('');
+      e.target.reset();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to upload file');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  return (
+    <div className="container mx-auto">
+      <div className="mb-6">
+        <h1 className="text-2xl font-semibold text-gray-900">Batch Generation</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Upload a CSV with a header row, or a JSON array of objects, and generate one content item per row.
+        </p>
+      </div>
+
+      {setup ? (
+        <BatchSetup
+          batch={setup.batch}
+          sample={setup.sample}
+          onPreview={previewBatch}
+          onStart={startBatch}
+          onClose={() => setSetup(null)}
+        />
+      ) : (
+        <Card className="mb-8">
+          <form onSubmit={handleUpload} className="flex flex-col md:flex-row md:items-end gap-4">
+            <div className="flex-grow">
+              <label htmlFor="batch-file" className="block text-sm font-medium text-gray-700 mb-1">File</label>
+              <input
+                id="batch-file"
+                type="file"
+                accept=".csv,.json,text/csv,application/json"
+                className="w-full text-sm"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                disabled={isUploading}
+              />
+            </div>
+            <div className="flex-grow">
+              <label htmlFor="batch-name" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                id="batch-name"
+                type="text"
+                className="w-full p-2 border rounded"
+                placeholder="Defaults to the file name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                disabled={isUploading}
+              />
+            </div>
+            <Button type="submit" icon={<FiUpload />} disabled={isUploading || !file}>
+              {isUploading ? 'Uploading...' : 'Upload'}
+            </Button>
+          </form>
+        </Card>
+      )}
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {loading ? (
+        <div className="py-12 flex justify-center">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : batches.length === 0 ? (
+        <Card className="text-center py-12">
+          <FiLayers className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-lg font-medium text-gray-900">No batches yet</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Batches generate many items from one template, such as a description for every product in a catalog.
+          </p>
+        </Card>
+      ) : (
+        <div className="grid grid-cols-1 gap-4 lg:grid-cols-2">
+          {batches.map(batch => (
+            <BatchCard
+              key={batch.id}
+              batch={batch}
+              onSetUp={item => setSetup({ batch: item, sample: null })}
+              onPause={pauseBatch}
+              onResume={resumeBatch}
+              onDownload={downloadResults}
+              onLoadFailedRows={getFailedRows}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Batches;
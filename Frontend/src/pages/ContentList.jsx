@@ -12,21 +12,61 @@ import {
   FiFilter,
   FiChevronLeft,
   FiChevronRight,
-  FiSlash
+  FiSlash,
+  FiGlobe
 } from 'react-icons/fi';
 import api from '../services/api';
+import { useTemplates } from '../hooks/useTemplates';
 import  Button from '../components/common/Button';
 import { Card, CardContent } from '../components/common/Card';
 import  LoadingSpinner  from '../components/common/LoadingSpinner';
+import OrganizationSidebar from '../components/Organization/OrganizationSidebar';
+
+const EMPTY_FILTER = {
+  status: '',
+  contentType: '',
+  search: '',
+  templateId: '',
+  integrationId: '',
+  dateField: 'updatedAt',
+  from: '',
+  to: '',
+  minWords: '',
+  maxWords: '',
+  sort: '',
+  order: 'desc',
+  projectId: '',
+  folderId: '',
+  tagId: ''
+};
+
+// Filters typed into text fields, which apply when the form is submitted
+const TYPED_FILTERS = ['search', 'minWords', 'maxWords'];
+
+const SORT_OPTIONS = [
+  { value: 'updatedAt', label: 'Last updated' },
+  { value: 'createdAt', label: 'Created' },
+  { value: 'publishedAt', label: 'Published' },
+  { value: 'title', label: 'Title' },
+  { value: 'wordCount', label: 'Word count' }
+];
+
+// Search result text with the matched words marked
+const Highlight = ({ parts }) => parts.map((part, index) => (part.match
+  ? <mark key={index} className="bg-yellow-200 rounded-sm">{part.text}</mark>
+  : <React.Fragment key={index}>{part.text}</React.Fragment>));
 
 const ContentList = () => {
   // Pagination and filter state
   const [page, setPage] = useState(1);
-  const [filter, setFilter] = useState({
-    status: '',
-    contentType: '',
-    search: ''
+  const [filter, setFilter] = useState(EMPTY_FILTER);
+  const [typed, setTyped] = useState({ search: '', minWords: '', maxWords: '' });
+  const { templates } = useTemplates();
+  const { data: integrationData } = useQuery(['integrations'], async () => {
+    const response = await api.integrations.getAll();
+    return response.data;
   });
+  const integrations = integrationData?.integrations || [];
 
   // Fetch content items
   const {
@@ -50,6 +90,10 @@ const ContentList = () => {
         }
       });
 
+      // Dates are picked as days; the range covers the whole of both
+      if (params.from) params.from = new Date(`${params.from}T00:00:00`).toISOString();
+      if (params.to) params.to = new Date(`${params.to}T23:59:59.999`).toISOString();
+
       const response = await api.get('/content', { params });
       return response.data;
     },
@@ -61,6 +105,10 @@ const ContentList = () => {
   // Handle filter change
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
+    if (TYPED_FILTERS.includes(name)) {
+      setTyped(prev => ({ ...prev, [name]: value }));
+      return;
+    }
     setFilter(prev => ({ ...prev, [name]: value }));
     setPage(1); // Reset to first page when filter changes
   };
@@ -68,19 +116,26 @@ const ContentList = () => {
   // Handle search
   const handleSearch = (e) => {
     e.preventDefault();
+    setFilter(prev => ({ ...prev, ...typed }));
+    setPage(1);
     refetch();
   };
 
+  // Picking a project, folder or tag in the sidebar
+  const handleSelectOrganization = (changes) => {
+    setFilter(prev => ({ ...prev, ...changes }));
+    setPage(1);
+  };
+
   // Reset filters
   const resetFilters = () => {
-    setFilter({
-      status: '',
-      contentType: '',
-      search: ''
-    });
+    setFilter(EMPTY_FILTER);
+    setTyped({ search: '', minWords: '', maxWords: '' });
     setPage(1);
   };
 
+  const hasFilters = Object.keys(EMPTY_FILTER).some(key => key !== 'dateField' && key !== 'order' && filter[key] !== EMPTY_FILTER[key]);
+
   // Handle delete content
   const handleDeleteContent = async (id) => {
     if (!window.confirm('Are you sure you want to delete this content?')) {
@@ -111,6 +166,7 @@ const ContentList = () => {
     const statusClasses = {
       draft: 'bg-gray-100 text-gray-800',
       generated: 'bg-blue-100 text-blue-800',
+      needs_review: 'bg-red-100 text-red-800',
       published: 'bg-green-100 text-green-800',
       archived: 'bg-yellow-100 text-yellow-800'
     };
@@ -142,199 +198,387 @@ const ContentList = () => {
         </Link>
       </div>
 
-      <Card className="mb-8">
-        <CardContent>
-          <form onSubmit={handleSearch} className="space-y-4">
-            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-              <div className="md:col-span-2">
-                <label htmlFor="search" className="sr-only">Search</label>
-                <div className="relative rounded-md shadow-sm">
-                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                    <FiSearch className="text-gray-400" />
+      <div className="flex flex-col md:flex-row gap-6">
+        <aside className="md:w-60 flex-shrink-0">
+          <OrganizationSidebar
+            selection={{ projectId: filter.projectId, folderId: filter.folderId, tagId: filter.tagId }}
+            onSelect={handleSelectOrganization}
+            onChanged={refetch}
+          />
+        </aside>
+
+        <div className="flex-1 min-w-0">
+          <Card className="mb-8">
+            <CardContent>
+              <form onSubmit={handleSearch} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                  <div className="md:col-span-2">
+                    <label htmlFor="search" className="sr-only">Search</label>
+                    <div className="relative rounded-md shadow-sm">
+                      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                        <FiSearch className="text-gray-400" />
+                      </div>
+                      <input
+                        type="text"
+                        name="search"
+                        id="search"
+                        className="focus:ring-blue-500 focus:border-blue-500 block w-full pl-10 sm:text-sm border-gray-300 rounded-md"
+                        placeholder='Search titles, keywords and content, e.g. "remote work" -office'
+                        value={typed.search}
+                        onChange={handleFilterChange}
+                      />
+                    </div>
+                  </div>
+
+                  <div>
+                    <label htmlFor="status" className="sr-only">Status</label>
+                    <select
+                      id="status"
+                      name="status"
+                      className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                      value={filter.status}
+                      onChange={handleFilterChange}
+                    >
+                      <option value="">All Status</option>
+                      <option value="draft">Draft</option>
+                      <option value="generated">Generated</option>
+                      <option value="needs_review">Needs review</option>
+                      <option value="published">Published</option>
+                      <option value="archived">Archived</option>
+                    </select>
+                  </div>
+
+                  <div>
+                    <label htmlFor="contentType" className="sr-only">Content Type</label>
+                    <select
+                      id="contentType"
+                      name="contentType"
+                      className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                      value={filter.contentType}
+                      onChange={handleFilterChange}
+                    >
+                      <option value="">All Types</option>
+                      <option value="blog">Blog Post</option>
+                      <option value="product">Product</option>
+                      <option value="social">Social Media</option>
+                      <option value="email">Email</option>
+                      <option value="custom">Custom</option>
+                    </select>
                   </div>
-                  <input
-                    type="text"
-                    name="search"
-                    id="search"
-                    className="focus:ring-blue-500 focus:border-blue-500 block w-full pl-10 sm:text-sm border-gray-300 rounded-md"
-                    placeholder="Search content..."
-                    value={filter.search}
-                    onChange={handleFilterChange}
-                  />
                 </div>
-              </div>
 
-              <div>
-                <label htmlFor="status" className="sr-only">Status</label>
-                <select
-                  id="status"
-                  name="status"
-                  className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-                  value={filter.status}
-                  onChange={handleFilterChange}
-                >
-                  <option value="">All Status</option>
-                  <option value="draft">Draft</option>
-                  <option value="generated">Generated</option>
-                  <option value="published">Published</option>
-                  <option value="archived">Archived</option>
-                </select>
-              </div>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                  <div>
+                    <label htmlFor="templateId" className="sr-only">Template</label>
+                    <select
+                      id="templateId"
+                      name="templateId"
+                      className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                      value={filter.templateId}
+                      onChange={handleFilterChange}
+                    >
+                      <option value="">All Templates</option>
+                      {templates.map(template => (
+                        <option key={template.id} value={template.id}>{template.name}</option>
+                      ))}
+                    </select>
+                  </div>
 
-              <div>
-                <label htmlFor="contentType" className="sr-only">Content Type</label>
-                <select
-                  id="contentType"
-                  name="contentType"
-                  className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-                  value={filter.contentType}
-                  onChange={handleFilterChange}
-                >
-                  <option value="">All Types</option>
-                  <option value="blog">Blog Post</option>
-                  <option value="product">Product</option>
-                  <option value="social">Social Media</option>
-                  <option value="email">Email</option>
-                  <option value="custom">Custom</option>
-                </select>
-              </div>
-            </div>
+                  <div>
+                    <label htmlFor="integrationId" className="sr-only">Integration</label>
+                    <select
+                      id="integrationId"
+                      name="integrationId"
+                      className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                      value={filter.integrationId}
+                      onChange={handleFilterChange}
+                    >
+                      <option value="">All Integrations</option>
+                      {integrations.map(integration => (
+                        <option key={integration.id} value={integration.id}>{integration.name}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="flex gap-2">
+                    <label htmlFor="minWords" className="sr-only">Minimum words</label>
+                    <input
+                      type="number"
+                      min="0"
+                      name="minWords"
+                      id="minWords"
+                      className="mt-1 block w-full sm:text-sm border-gray-300 rounded-md"
+                      placeholder="Min words"
+                      value={typed.minWords}
+                      onChange={handleFilterChange}
+                    />
+                    <label htmlFor="maxWords" className="sr-only">Maximum words</label>
+                    <input
+                      type="number"
+                      min="0"
+                      name="maxWords"
+                      id="maxWords"
+                      className="mt-1 block w-full sm:text-sm border-gray-300 rounded-md"
+                      placeholder="Max words"
+                      value={typed.maxWords}
+                      onChange={handleFilterChange}
+                    />
+                  </div>
+
+                  <div className="flex gap-2">
+                    <label htmlFor="sort" className="sr-only">Sort by</label>
+                    <select
+                      id="sort"
+                      name="sort"
+                      className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                      value={filter.sort}
+                      onChange={handleFilterChange}
+                    >
+                      <option value="">{filter.search ? 'Relevance' : 'Last updated'}</option>
+                      {SORT_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <label htmlFor="order" className="sr-only">Order</label>
+                    <select
+                      id="order"
+                      name="order"
+                      className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                      value={filter.order}
+                      onChange={handleFilterChange}
+                    >
+                      <option value="desc">Descending</option>
+                      <option value="asc">Ascending</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                  <div>
+                    <label htmlFor="dateField" className="sr-only">Date</label>
+                    <select
+                      id="dateField"
+                      name="dateField"
+                      className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+                      value={filter.dateField}
+                      onChange={handleFilterChange}
+                    >
+                      <option value="updatedAt">Updated</option>
+                      <option value="createdAt">Created</option>
+                      <option value="publishedAt">Published</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="from" className="sr-only">From</label>
+                    <input
+                      type="date"
+                      name="from"
+                      id="from"
+                      className="mt-1 block w-full sm:text-sm border-gray-300 rounded-md"
+                      value={filter.from}
+                      onChange={handleFilterChange}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="to" className="sr-only">To</label>
+                    <input
+                      type="date"
+                      name="to"
+                      id="to"
+                      className="mt-1 block w-full sm:text-sm border-gray-300 rounded-md"
+                      value={filter.to}
+                      onChange={handleFilterChange}
+                    />
+                  </div>
+                </div>
             
-            <div className="flex justify-end space-x-3">
-              <Button type="button" variant="outline" onClick={resetFilters}>
-                Clear Filters
-              </Button>
-              <Button type="submit" icon={<FiFilter />}>
-                Apply Filters
-              </Button>
-            </div>
-          </form>
-        </CardContent>
-      </Card>
-
-      {/* Content list */}
-      {isLoading ? (
-        <div className="py-12 flex justify-center">
-          <LoadingSpinner size="lg" message="Loading content..." />
-        </div>
-      ) : isError ? (
-        <Card>
-          <CardContent className="text-center py-12">
-            <FiSlash className="mx-auto h-12 w-12 text-gray-400" />
-            <h3 className="mt-2 text-lg font-medium text-gray-900">Error loading content</h3>
-            <p className="mt-1 text-sm text-gray-500">An error occurred while loading your content.</p>
-            <div className="mt-6">
-              <Button onClick={() => refetch()}>
-                Try Again
-              </Button>
-            </div>
-          </CardContent>
-        </Card>
-      ) : data?.contentItems?.length === 0 ? (
-        <Card>
-          <CardContent className="text-center py-12">
-            <FiFileText className="mx-auto h-12 w-12 text-gray-400" />
-            <h3 className="mt-2 text-lg font-medium text-gray-900">No content found</h3>
-            <p className="mt-1 text-sm text-gray-500">
-              {filter.search || filter.status || filter.contentType
-                ? "No content matches your filters. Try adjusting your search criteria."
-                : "You haven't created any content yet. Get started by creating your first content item."}
-            </p>
-            <div className="mt-6">
-              <Link to="/content/new">
-                <Button icon={<FiPlus />}>
-                  Create New Content
-                </Button>
-              </Link>
+                <div className="flex justify-end space-x-3">
+                  <Button type="button" variant="outline" onClick={resetFilters}>
+                    Clear Filters
+                  </Button>
+                  <Button type="submit" icon={<FiFilter />}>
+                    Apply Filters
+                  </Button>
+                </div>
+              </form>
+            </CardContent>
+          </Card>
+
+          {/* Content list */}
+          {isLoading ? (
+            <div className="py-12 flex justify-center">
+              <LoadingSpinner size="lg" message="Loading content..." />
             </div>
-          </CardContent>
-        </Card>
-      ) : (
-        <>
-          <div className="bg-white shadow overflow-hidden sm:rounded-md">
-            <ul className="divide-y divide-gray-200">
-              {data.contentItems.map((item) => (
-                <li key={item.id}>
-                  <div className="px-4 py-4 sm:px-6 hover:bg-gray-50">
-                    <div className="flex items-center justify-between">
-                      <div className="flex items-center">
-                        <div className="flex-shrink-0">
-                          <FiFileText className="h-6 w-6 text-gray-600" />
-                        </div>
-                        <div className="ml-4">
-                          <div className="text-sm font-medium text-blue-600 hover:text-blue-800">
-                            <Link to={`/content/${item.id}`}>{item.title}</Link>
+          ) : isError ? (
+            <Card>
+              <CardContent className="text-center py-12">
+                <FiSlash className="mx-auto h-12 w-12 text-gray-400" />
+                <h3 className="mt-2 text-lg font-medium text-gray-900">Error loading content</h3>
+                <p className="mt-1 text-sm text-gray-500">An error occurred while loading your content.</p>
+                <div className="mt-6">
+                  <Button onClick={() => refetch()}>
+                    Try Again
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          ) : data?.contentItems?.length === 0 ? (
+            <Card>
+              <CardContent className="text-center py-12">
+                <FiFileText className="mx-auto h-12 w-12 text-gray-400" />
+                <h3 className="mt-2 text-lg font-medium text-gray-900">No content found</h3>
+                <p className="mt-1 text-sm text-gray-500">
+                  {hasFilters
+                    ? "No content matches your filters. Try adjusting your search criteria."
+                    : "You haven't created any content yet. Get started by creating your first content item."}
+                </p>
+                <div className="mt-6">
+                  <Link to="/content/new">
+                    <Button icon={<FiPlus />}>
+                      Create New Content
+                    </Button>
+                  </Link>
+                </div>
+              </CardContent>
+            </Card>
+          ) : (
+            <>
+              <div className="bg-white shadow overflow-hidden sm:rounded-md">
+                <ul className="divide-y divide-gray-200">
+                  {data.contentItems.map((item) => (
+                    <li key={item.id}>
+                      <div className="px-4 py-4 sm:px-6 hover:bg-gray-50">
+                        <div className="flex items-center justify-between">
+                          <div className="flex items-center">
+                            <div className="flex-shrink-0">
+                              <FiFileText className="h-6 w-6 text-gray-600" />
+                            </div>
+                            <div className="ml-4">
+                              <div className="text-sm font-medium text-blue-600 hover:text-blue-800">
+                                <Link to={`/content/${item.id}`}>
+                                  {item.search ? <Highlight parts={item.search.title} /> : item.title}
+                                </Link>
+                              </div>
+                              <div className="text-sm text-gray-500">
+                                Created: {formatDate(item.createdAt)} • 
+                                {item.wordCount > 0 ? ` ${item.wordCount} words` : ' No content yet'}
+                              </div>
+                              {(item.project || item.tags?.length > 0) && (
+                                <div className="mt-1 flex flex-wrap items-center gap-1">
+                                  {item.project && (
+                                    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700">
+                                      <span className="mr-1 h-2 w-2 rounded-full" style={{ backgroundColor: item.project.color || '#9ca3af' }} />
+                                      {item.project.name}
+                                    </span>
+                                  )}
+                                  {item.tags?.map(tag => (
+                                    <span key={tag.id} className="inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-blue-50 text-blue-700">
+                                      #{tag.name}
+                                    </span>
+                                  ))}
+                                </div>
+                              )}
+                              {item.search?.snippet.length > 0 && (
+                                <p className="mt-1 text-sm text-gray-600">
+                                  <Highlight parts={item.search.snippet} />
+                                </p>
+                              )}
+                            </div>
                           </div>
-                          <div className="text-sm text-gray-500">
-                            Created: {formatDate(item.createdAt)} • 
-                            {item.wordCount > 0 ? ` ${item.wordCount} words` : ' No content yet'}
+                          <div className="flex items-center space-x-2">
+                            {item.locale && (
+                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-mono bg-gray-100 text-gray-700">
+                                {item.locale}
+                              </span>
+                            )}
+                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadge(item.status)}`}>
+                              {item.status.charAt(0).toUpperCase() + item.status.slice(1).replace('_', ' ')}
+                            </span>
+                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getContentTypeBadge(item.contentType)}`}>
+                              {item.contentType.charAt(0).toUpperCase() + item.contentType.slice(1)}
+                            </span>
+                            <div className="ml-4 flex items-center space-x-2">
+                              <Link to={`/content/${item.id}`}>
+                                <Button variant="outline" size="sm" icon={<FiEdit2 />}>
+                                  Edit
+                                </Button>
+                              </Link>
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                icon={<FiTrash2 />}
+                                onClick={() => handleDeleteContent(item.id)}
+                              >
+                                Delete
+                              </Button>
+                            </div>
                           </div>
                         </div>
+
+                        {/* Translations are listed under the item they were translated from */}
+                        {item.translations?.length > 0 && (
+                          <ul className="mt-3 ml-10 space-y-1">
+                            {item.translations.map((translation) => (
+                              <li key={translation.id} className="flex items-center text-sm">
+                                <FiGlobe className="mr-2 text-gray-400" />
+                                <span className="font-mono text-gray-700 mr-2">{translation.locale}</span>
+                                <Link to={`/content/${translation.id}`} className="text-blue-600 hover:text-blue-800">
+                                  {translation.title}
+                                </Link>
+                                <span className={`ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${getStatusBadge(translation.status)}`}>
+                                  {translation.status.charAt(0).toUpperCase() + translation.status.slice(1).replace('_', ' ')}
+                                </span>
+                                {translation.translationStale && (
+                                  <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                                    Stale
+                                  </span>
+                                )}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
                       </div>
-                      <div className="flex items-center space-x-2">
-                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadge(item.status)}`}>
-                          {item.status.charAt(0).toUpperCase() + item.status.slice(1)}
-                        </span>
-                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getContentTypeBadge(item.contentType)}`}>
-                          {item.contentType.charAt(0).toUpperCase() + item.contentType.slice(1)}
-                        </span>
-                        <div className="ml-4 flex items-center space-x-2">
-                          <Link to={`/content/${item.id}`}>
-                            <Button variant="outline" size="sm" icon={<FiEdit2 />}>
-                              Edit
-                            </Button>
-                          </Link>
-                          <Button
-                            variant="outline"
-                            size="sm"
-                            icon={<FiTrash2 />}
-                            onClick={() => handleDeleteContent(item.id)}
-                          >
-                            Delete
-                          </Button>
-                        </div>
-                      </div>
-                    </div>
-                  </div>
-                </li>
-              ))}
-            </ul>
-          </div>
-
-          {/* Pagination */}
-          {data.pagination && (
-            <div className="flex items-center justify-between mt-6">
-              <div className="text-sm text-gray-700">
-                Showing <span className="font-medium">{(page - 1) * 10 + 1}</span> to{' '}
-                <span className="font-medium">
-                  {Math.min(page * 10, data.pagination.totalItems)}
-                </span>{' '}
-                of <span className="font-medium">{data.pagination.totalItems}</span> results
-              </div>
-              <div className="flex space-x-2">
-                <Button
-                  variant="outline"
-                  size="sm"
-                  disabled={page === 1}
-                  onClick={() => setPage(p => Math.max(1, p - 1))}
-                  icon={<FiChevronLeft />}
-                >
-                  Previous
-                </Button>
-                <Button
-                  variant="outline"
-                  size="sm"
-                  disabled={page >= data.pagination.totalPages}
-                  onClick={() => setPage(p => Math.min(data.pagination.totalPages, p + 1))}
-                  icon={<FiChevronRight className="ml-1" />}
-                >
-                  Next
-                </Button>
+                    </li>
+                  ))}
+                </ul>
               </div>
-            </div>
+
+              {/* Pagination */}
+              {data.pagination && (
+                <div className="flex items-center justify-between mt-6">
+                  <div className="text-sm text-gray-700">
+                    Showing <span className="font-medium">{(page - 1) * 10 + 1}</span> to{' '}
+                    <span className="font-medium">
+                      {Math.min(page * 10, data.pagination.totalItems)}
+                    </span>{' '}
+                    of <span className="font-medium">{data.pagination.totalItems}</span> results
+                  </div>
+                  <div className="flex space-x-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={page === 1}
+                      onClick={() => setPage(p => Math.max(1, p - 1))}
+                      icon={<FiChevronLeft />}
+                    >
+                      Previous
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={page >= data.pagination.totalPages}
+                      onClick={() => setPage(p => Math.min(data.pagination.totalPages, p + 1))}
+                      icon={<FiChevronRight className="ml-1" />}
+                    >
+                      Next
+                    </Button>
+                  </div>
+                </div>
+              )}
+            </>
           )}
-        </>
-      )}
+        </div>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,136 @@
+// src/pages/GenerationAudit.jsx
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { FiAlertTriangle, FiClock, FiExternalLink, FiSearch } from 'react-icons/fi';
+import Card from '../components/common/Card';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import { useGenerationAudit } from '../hooks/useGenerationAudit';
+
+const formatJson = value => JSON.stringify(value, null, 2);
+
+const formatUsage = usage => (usage
+  ? `${usage.promptTokens} prompt + ${usage.completionTokens} completion = ${usage.totalTokens} tokens`
+  : 'No usage reported');
+
+// Collapsed block of text or JSON
+const Section = ({ title, children }) => (
+  <details className="mt-2">
+    <summary className="cursor-pointer text-sm font-medium text-gray-700">{title}</summary>
+    <pre className="mt-1 p-3 bg-gray-50 border rounded text-xs whitespace-pre-wrap break-words max-h-96 overflow-auto">
+      {children}
+    </pre>
+  </details>
+);
+
+const Call = ({ call, index }) => (
+  <li className="border rounded p-3">
+    <div className="flex items-start justify-between">
+      <p className="text-sm font-medium text-gray-900">
+        Call {index + 1}: {call.provider} / {call.model}
+      </p>
+      <p className="text-xs text-gray-500">
+        <FiClock className="inline mr-1" />
+        {new Date(call.startedAt).toLocaleString()} • {call.duration} ms
+      </p>
+    </div>
+    {call.error ? (
+      <p className="mt-1 text-sm text-red-700">
+        <FiAlertTriangle className="inline mr-1" />
+        {call.error.type}: {call.error.message}
+      </p>
+    ) : (
+      <p className="mt-1 text-sm text-gray-500">{formatUsage(call.usage)}</p>
+    )}
+    <Section title="System message">{call.systemMessage}</Section>
+    <Section title="Prompt">{call.prompt}</Section>
+    {call.request && <Section title="Request options">{formatJson(call.request)}</Section>}
+    {call.response && <Section title="Raw response">{formatJson(call.response)}</Section>}
+  </li>
+);
+
+// Everything a generation sent to the AI providers and got back, and what
+// post-processing made of it, for finding out why it produced what it did
+const GenerationAudit = () => {
+  const { id } = useParams();
+  const { generation, audits, retentionDays, loading, error } = useGenerationAudit(id);
+
+  if (loading) {
+    return (
+      <div className="py-12 flex justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  return (
+    <div className="container mx-auto">
+      <div className="mb-6 flex items-start justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">Generation audit</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            {generation.task} generation • {generation.status} • {generation.aiProvider || 'default provider'}
+            {generation.aiModel && ` / ${generation.aiModel}`} • {formatUsage(generation.usage)}
+          </p>
+        </div>
+        {generation.contentItemId && (
+          <Link to={`/content/${generation.contentItemId}`} className="text-sm text-blue-600 hover:underline flex items-center">
+            Open content <FiExternalLink className="ml-1" />
+          </Link>
+        )}
+      </div>
+
+      {generation.error && (
+        <p className="mb-4 text-sm text-red-700">
+          <FiAlertTriangle className="inline mr-1" />
+          {generation.error}
+        </p>
+      )}
+
+      <Card className="mb-6" title="Request">
+        <pre className="text-xs whitespace-pre-wrap break-words">{formatJson(generation.promptData)}</pre>
+      </Card>
+
+      {audits.length === 0 ? (
+        <Card className="text-center py-12">
+          <FiSearch className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-lg font-medium text-gray-900">No audit trail</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            {retentionDays > 0
+              ? `Trails are kept for ${retentionDays} days; this generation has none, or it has expired.`
+              : 'Audit trails are not recorded.'}
+          </p>
+        </Card>
+      ) : (
+        <div className="space-y-6">
+          {audits.map((audit, runIndex) => (
+            <Card
+              key={audit.id}
+              title={audits.length > 1 ? `Run ${runIndex + 1}` : 'Trail'}
+              subtitle={`Recorded ${new Date(audit.createdAt).toLocaleString()}, kept for ${retentionDays} days`}
+            >
+              <h4 className="font-medium text-gray-800 mb-2">Provider calls</h4>
+              <ol className="space-y-3">
+                {audit.calls.map((call, index) => <Call key={index} call={call} index={index} />)}
+              </ol>
+
+              {audit.processingSteps.length > 0 && (
+                <>
+                  <h4 className="font-medium text-gray-800 mt-6 mb-2">Post-processing</h4>
+                  {audit.processingSteps.map((step, index) => (
+                    <Section key={index} title={`${index + 1}. ${step.step}`}>{step.output}</Section>
+                  ))}
+                </>
+              )}
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GenerationAudit;
@@ -0,0 +1,164 @@
+// src/pages/KnowledgeBase.jsx
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { FiUpload, FiBookOpen, FiTrash2, FiList } from 'react-icons/fi';
+import Button from '../components/common/Button';
+import Card from '../components/common/Card';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import { useKnowledgeBase } from '../hooks/useKnowledgeBase';
+
+const FORMAT_LABELS = {
+  markdown: 'Markdown',
+  html: 'HTML',
+  pdf: 'PDF',
+  text: 'Text'
+};
+
+// Reference documents that generations can be grounded in and cite
+const KnowledgeBase = () => {
+  const { documents, loading, error, uploadDocument, getPassages, deleteDocument } = useKnowledgeBase();
+  const [file, setFile] = useState(null);
+  const [name, setName] = useState('');
+  const [isUploading, setIsUploading] = useState(false);
+  const [passages, setPassages] = useState({});
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsUploading(true);
+      const document = await uploadDocument(file, name.trim());
+      toast.success(`Added ${document.name} (${document.chunkCount} passages)`);
+      setFile(null);
+      setName('');
+      e.target.reset();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to upload document');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const togglePassages = async (id) => {
+    if (passages[id]) {
+      setPassages(({ [id]: hidden, ...rest }) => rest);
+      return;
+    }
+
+    try {
+      const chunks = await getPassages(id);
+      setPassages(current => ({ ...current, [id]: chunks }));
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load passages');
+    }
+  };
+
+  const handleDelete = async (document) => {
+    if (!window.confirm(`Remove "${document.name}" from your knowledge base?`)) {
+      return;
+    }
+
+    try {
+      await deleteDocument(document.id);
+      toast.success('Document removed');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to remove document');
+    }
+  };
+
+  return (
+    <div className="container mx-auto">
+      <div className="mb-6">
+        <h1 className="text-2xl font-semibold text-gray-900">Knowledge Base</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Upload Markdown, HTML, PDF or plain-text documents. Generations that use the knowledge base are
+          grounded in their most relevant passages and end with a list of the sources they cite.
+        </p>
+      </div>
+
+      <Card className="mb-8">
+        <form onSubmit={handleUpload} className="flex flex-col md:flex-row md:items-end gap-4">
+          <div className="flex-grow">
+            <label htmlFor="knowledge-file" className="block text-sm font-medium text-gray-700 mb-1">Document</label>
+            <input
+              id="knowledge-file"
+              type="file"
+              accept=".md,.markdown,.html,.htm,.pdf,.txt,text/markdown,text/html,application/pdf,text/plain"
+              className="w-full text-sm"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              disabled={isUploading}
+            />
+          </div>
+          <div className="flex-grow">
+            <label htmlFor="knowledge-name" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              id="knowledge-name"
+              type="text"
+              className="w-full p-2 border rounded"
+              placeholder="Defaults to the file name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={isUploading}
+            />
+          </div>
+          <Button type="submit" icon={<FiUpload />} disabled={isUploading || !file}>
+            {isUploading ? 'Uploading...' : 'Upload'}
+          </Button>
+        </form>
+      </Card>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {loading ? (
+        <div className="py-12 flex justify-center">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : documents.length === 0 ? (
+        <Card className="text-center py-12">
+          <FiBookOpen className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-lg font-medium text-gray-900">No documents yet</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Product specs, style guides and FAQs keep generated content accurate to your business.
+          </p>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {documents.map(document => (
+            <Card key={document.id}>
+              <div className="flex items-start justify-between">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900">{document.name}</h3>
+                  <p className="text-sm text-gray-500">
+                    {FORMAT_LABELS[document.format]} • {document.chunkCount} passages • {document.wordCount} words
+                    {' • '}{new Date(document.createdAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <Button variant="outline" size="sm" icon={<FiList />} onClick={() => togglePassages(document.id)}>
+                    {passages[document.id] ? 'Hide passages' : 'Passages'}
+                  </Button>
+                  <Button variant="outline" size="sm" icon={<FiTrash2 />} onClick={() => handleDelete(document)}>
+                    Remove
+                  </Button>
+                </div>
+              </div>
+
+              {passages[document.id] && (
+                <ol className="mt-4 space-y-3 max-h-96 overflow-auto text-sm text-gray-700">
+                  {passages[document.id].map(chunk => (
+                    <li key={chunk.id} className="border-l-2 border-gray-200 pl-3">
+                      {chunk.heading && <p className="font-medium text-gray-900">{chunk.heading}</p>}
+                      <p className="whitespace-pre-line">{chunk.text}</p>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KnowledgeBase;
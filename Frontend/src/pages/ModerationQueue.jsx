@@ -0,0 +1,125 @@
+// src/pages/ModerationQueue.jsx
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { FiCheck, FiX, FiShield, FiExternalLink, FiSearch } from 'react-icons/fi';
+import Button from '../components/common/Button';
+import Card from '../components/common/Card';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import Pagination from '../components/common/Pagination';
+import { useModerationQueue } from '../hooks/useModerationQueue';
+
+const ownerName = (user) => {
+  if (!user) {
+    return 'Unknown user';
+  }
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  return name ? `${name} (${user.email})` : user.email;
+};
+
+// Generated content the moderation check flagged, for admins to approve or reject
+const ModerationQueue = () => {
+  const { contentItems, pagination, loading, error, setPage, reviewContent } = useModerationQueue();
+  const [notes, setNotes] = useState({});
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const handleReview = async (item, decision) => {
+    try {
+      setReviewingId(item.id);
+      await reviewContent(item.id, decision, notes[item.id] || null);
+      toast.success(decision === 'approve' ? `"${item.title}" approved` : `"${item.title}" rejected and archived`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to record the review');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  return (
+    <div className="container mx-auto">
+      <div className="mb-6">
+        <h1 className="text-2xl font-semibold text-gray-900">Moderation</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Generated content flagged by the moderation check is held here. Approving releases it to its owner; rejecting archives it.
+        </p>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {loading ? (
+        <div className="py-12 flex justify-center">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : contentItems.length === 0 ? (
+        <Card className="text-center py-12">
+          <FiShield className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-lg font-medium text-gray-900">Nothing to review</h3>
+          <p className="mt-1 text-sm text-gray-500">No generated content is held for review.</p>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {contentItems.map(item => (
+            <Card key={item.id}>
+              <div className="flex items-start justify-between">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900">{item.title}</h3>
+                  <p className="text-sm text-gray-500">
+                    {ownerName(item.User)} • held since {new Date(item.updatedAt).toLocaleString()}
+                  </p>
+                </div>
+                <div className="flex space-x-4">
+                  {item.metadata?.generationId && (
+                    <Link to={`/generations/${item.metadata.generationId}/audit`} className="text-sm text-blue-600 hover:underline flex items-center">
+                      Audit trail <FiSearch className="ml-1" />
+                    </Link>
+                  )}
+                  <Link to={`/content/${item.id}`} className="text-sm text-blue-600 hover:underline flex items-center">
+                    Open <FiExternalLink className="ml-1" />
+                  </Link>
+                </div>
+              </div>
+
+              <ul className="mt-3 text-sm text-red-900 space-y-1">
+                {(item.metadata?.moderation?.reasons || []).map((reason, index) => (
+                  <li key={`${reason.classifier}:${reason.category}:${index}`}>
+                    <strong>{reason.label}</strong>
+                    <span className="text-gray-500"> — {reason.classifier}</span>
+                    {reason.score !== undefined && ` (score ${reason.score.toFixed(2)})`}
+                    {reason.context && <span className="block text-xs text-red-700 italic">{reason.context}</span>}
+                  </li>
+                ))}
+              </ul>
+
+              <div className="mt-4 flex flex-col md:flex-row md:items-center gap-3">
+                <input
+                  type="text"
+                  className="flex-grow p-2 border rounded text-sm"
+                  placeholder="Note for the record (optional)"
+                  value={notes[item.id] || ''}
+                  onChange={(e) => setNotes({ ...notes, [item.id]: e.target.value })}
+                  disabled={reviewingId === item.id}
+                />
+                <div className="flex space-x-2">
+                  <Button size="sm" icon={<FiCheck />} disabled={reviewingId === item.id} onClick={() => handleReview(item, 'approve')}>
+                    Approve
+                  </Button>
+                  <Button variant="danger" size="sm" icon={<FiX />} disabled={reviewingId === item.id} onClick={() => handleReview(item, 'reject')}>
+                    Reject
+                  </Button>
+                </div>
+              </div>
+            </Card>
+          ))}
+
+          <Pagination
+            currentPage={pagination.currentPage}
+            totalPages={pagination.totalPages}
+            onPageChange={setPage}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModerationQueue;
@@ -13,7 +13,8 @@ import {
   FiStar,
   FiSlash,
   FiChevronLeft,
-  FiChevronRight
+  FiChevronRight,
+  FiGrid
 } from 'react-icons/fi';
 import api from '../services/api';
 import  Button  from '../components/common/Button';
@@ -100,7 +101,20 @@ const TemplateList = () => {
       refetch();
     } catch (error) {
       console.error('Delete template error:', error);
-      toast.error('Failed to delete template');
+      // Templates used by existing content can only be archived
+      toast.error(error.response?.data?.error || 'Failed to delete template');
+    }
+  };
+
+  // Handle clone template
+  const handleCloneTemplate = async (id) => {
+    try {
+      await api.templates.clone(id);
+      toast.success('Template cloned successfully');
+      refetch();
+    } catch (error) {
+      console.error('Clone template error:', error);
+      toast.error('Failed to clone template');
     }
   };
 
@@ -296,6 +310,14 @@ const TemplateList = () => {
                     <p className="text-sm text-gray-500 h-12 overflow-hidden">
                       {template.description || 'No description provided.'}
                     </p>
+                    {template.outputSchema && (
+                      <span className="mt-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                        <FiGrid className="mr-1" />
+                        {typeof template.outputSchema === 'string'
+                          ? `Structured: ${template.outputSchema}`
+                          : `Structured: ${template.outputSchema.length} fields`}
+                      </span>
+                    )}
                     <div className="mt-4 flex justify-between">
                       <Link to={`/templates/${template.id}`}>
                         <Button variant="outline" size="sm" icon={<FiEdit2 />}>
@@ -303,6 +325,14 @@ const TemplateList = () => {
                         </Button>
                       </Link>
                       <div className="space-x-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          icon={<FiCopy />}
+                          onClick={() => handleCloneTemplate(template.id)}
+                        >
+                          Clone
+                        </Button>
                         {!template.isSystem && (
                           <>
                             <Button
@@ -0,0 +1,209 @@
+// src/pages/VoiceProfiles.jsx
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { FiPlus, FiEdit2, FiTrash2, FiMic } from 'react-icons/fi';
+import Button from '../components/common/Button';
+import Card from '../components/common/Card';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import { useVoiceProfiles } from '../hooks/useVoiceProfiles';
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  tone: '',
+  readingLevel: '',
+  bannedPhrases: '',
+  terminology: '',
+  samples: ''
+};
+
+const lines = text => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+// Terminology is edited one rule per line, as "preferred: avoided, avoided"
+const parseTerminology = text => lines(text).map((line) => {
+  const [preferred, avoid = ''] = line.split(':');
+  return { preferred: preferred.trim(), avoid: avoid.split(',').map(term => term.trim()).filter(Boolean) };
+});
+
+const toForm = profile => ({
+  name: profile.name,
+  description: profile.description || '',
+  tone: profile.tone || '',
+  readingLevel: profile.readingLevel || '',
+  bannedPhrases: profile.bannedPhrases.join('\n'),
+  terminology: profile.terminology.map(rule => (rule.avoid.length > 0 ? `${rule.preferred}: ${rule.avoid.join(', ')}` : rule.preferred)).join('\n'),
+  samples: profile.samples.join('\n\n')
+});
+
+const fromForm = form => ({
+  name: form.name,
+  description: form.description || null,
+  tone: form.tone || null,
+  readingLevel: form.readingLevel || null,
+  bannedPhrases: lines(form.bannedPhrases),
+  terminology: parseTerminology(form.terminology),
+  // Sample paragraphs are separated by blank lines
+  samples: form.samples.split(/\n\s*\n/).map(sample => sample.trim()).filter(Boolean)
+});
+
+// Brand voice profiles, applied to generations from the generation settings or a template
+const VoiceProfiles = () => {
+  const { voiceProfiles, loading, error, createVoiceProfile, updateVoiceProfile, deleteVoiceProfile } = useVoiceProfiles();
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const startEditing = (profile) => {
+    setEditing(profile ? profile.id : 'new');
+    setForm(profile ? toForm(profile) : EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+
+      if (editing === 'new') {
+        await createVoiceProfile(fromForm(form));
+      } else {
+        await updateVoiceProfile(editing, fromForm(form));
+      }
+
+      toast.success('Voice profile saved');
+      setEditing(null);
+    } catch (err) {
+      const errors = err.response?.data?.errors;
+      toast.error(errors ? errors.map(item => item.msg).join(', ') : err.response?.data?.error || 'Failed to save voice profile');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Are you sure you want to delete the voice profile "${profile.name}"?`)) {
+      return;
+    }
+
+    try {
+      await deleteVoiceProfile(profile.id);
+      toast.success('Voice profile deleted');
+    } catch (err) {
+      // Profiles used by a template must be detached from it first
+      toast.error(err.response?.data?.error || 'Failed to delete voice profile');
+    }
+  };
+
+  const textField = (name, label, placeholder) => (
+    <div>
+      <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <input
+        id={name}
+        name={name}
+        type="text"
+        className="w-full p-2 border rounded"
+        placeholder={placeholder}
+        value={form[name]}
+        onChange={handleChange}
+        disabled={isSaving}
+      />
+    </div>
+  );
+
+  const textArea = (name, label, placeholder, rows = 4) => (
+    <div>
+      <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <textarea
+        id={name}
+        name={name}
+        className="w-full p-2 border rounded text-sm"
+        rows={rows}
+        placeholder={placeholder}
+        value={form[name]}
+        onChange={handleChange}
+        disabled={isSaving}
+      />
+    </div>
+  );
+
+  return (
+    <div className="container mx-auto">
+      <div className="flex flex-col md:flex-row items-start md:items-center justify-between mb-6">
+        <h1 className="text-2xl font-semibold text-gray-900">Brand Voices</h1>
+        <Button icon={<FiPlus />} onClick={() => startEditing(null)} disabled={Boolean(editing)}>
+          Create Voice Profile
+        </Button>
+      </div>
+
+      {editing && (
+        <Card className="mb-8">
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {textField('name', 'Name', 'E.g., Acme Corporate')}
+              {textField('tone', 'Tone', 'E.g., warm, direct and confident')}
+              {textField('readingLevel', 'Reading level', 'E.g., 8th grade')}
+            </div>
+            {textField('description', 'Description', 'Where this voice is used')}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {textArea('bannedPhrases', 'Banned phrases, one per line', 'game changer\nleverage')}
+              {textArea('terminology', 'Preferred terms, one per line as "preferred: avoid, avoid"', 'sign in: login, log in')}
+            </div>
+            {textArea('samples', 'Sample paragraphs in this voice, separated by a blank line (at most 5)', '', 6)}
+            <div className="flex justify-end space-x-3">
+              <Button type="button" variant="outline" onClick={() => setEditing(null)} disabled={isSaving}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isSaving || !form.name.trim()}>
+                {isSaving ? 'Saving...' : 'Save'}
+              </Button>
+            </div>
+          </form>
+        </Card>
+      )}
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {loading ? (
+        <div className="py-12 flex justify-center">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : voiceProfiles.length === 0 ? (
+        <Card className="text-center py-12">
+          <FiMic className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-lg font-medium text-gray-900">No voice profiles yet</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            A voice profile keeps generated content in your brand's tone and terminology.
+          </p>
+        </Card>
+      ) : (
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {voiceProfiles.map(profile => (
+            <Card key={profile.id}>
+              <h3 className="text-lg font-medium text-gray-900">{profile.name}</h3>
+              <p className="mt-1 text-sm text-gray-500 h-10 overflow-hidden">
+                {[profile.tone, profile.readingLevel].filter(Boolean).join(' • ') || profile.description || 'No tone set.'}
+              </p>
+              <p className="mt-2 text-xs text-gray-500">
+                {profile.bannedPhrases.length} banned phrases • {profile.terminology.length} terms • {profile.samples.length} samples
+              </p>
+              <div className="mt-4 flex justify-between">
+                <Button variant="outline" size="sm" icon={<FiEdit2 />} onClick={() => startEditing(profile)} disabled={Boolean(editing)}>
+                  Edit
+                </Button>
+                <Button variant="outline" size="sm" icon={<FiTrash2 />} onClick={() => handleDelete(profile)}>
+                  Delete
+                </Button>
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VoiceProfiles;
@@ -72,6 +72,61 @@ api.interceptors.response.use(
   }
 );
 
+// Read a Server-Sent Events stream. EventSource cannot send the Authorization
+// header, so the stream is read with fetch instead. Returns a function that
+// closes the stream.
+const streamEvents = (url, onEvent, onError) => {
+  const controller = new AbortController();
+
+  const read = async () => {
+    const response = await fetch(`${api.defaults.baseURL}${url}`, {
+      headers: {
+        Accept: 'text/event-stream',
+        Authorization: `Bearer ${localStorage.getItem('token')}`
+      },
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Event stream failed with status ${response.status}`);
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    let chunk = await reader.read();
+
+    while (!chunk.done) {
+      buffer += chunk.value;
+
+      // Events are separated by a blank line; keep any partial event buffered
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const event of events) {
+        const data = event
+          .split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trim())
+          .join('\n');
+
+        if (data) {
+          onEvent(JSON.parse(data));
+        }
+      }
+
+      chunk = await reader.read();
+    }
+  };
+
+  read().catch((error) => {
+    if (error.name !== 'AbortError' && onError) {
+      onError(error);
+    }
+  });
+
+  return () => controller.abort();
+};
+
 // Create specialized service modules
 const services = {
   // Auth service
@@ -95,7 +150,13 @@ const services = {
     update: (id, contentData) => api.put(`/content/${id}`, contentData),
     delete: (id) => api.delete(`/content/${id}`),
     publish: (id, integrationData) => api.post(`/content/${id}/publish`, integrationData),
-    schedule: (id, scheduleData) => api.post(`/content/${id}/schedule`, scheduleData)
+    schedule: (id, scheduleData) => api.post(`/content/${id}/schedule`, scheduleData),
+    checkSimilarity: (id) => api.post(`/content/${id}/similarity`),
+    getRevisions: (id, params) => api.get(`/content/${id}/revisions`, { params }),
+    getRevision: (id, revisionId) => api.get(`/content/${id}/revisions/${revisionId}`),
+    diffRevisions: (id, params) => api.get(`/content/${id}/revisions/diff`, { params }),
+    restoreRevision: (id, revisionId) => api.post(`/content/${id}/revisions/${revisionId}/restore`),
+    translate: (id, translationData) => api.post(`/generation/translate/${id}`, translationData)
   },
   
   // Template service
@@ -105,7 +166,20 @@ const services = {
     create: (templateData) => api.post('/templates', templateData),
     update: (id, templateData) => api.put(`/templates/${id}`, templateData),
     delete: (id) => api.delete(`/templates/${id}`),
-    archive: (id, isArchived) => api.patch(`/templates/${id}`, { isArchived })
+    archive: (id, isArchived) => api.patch(`/templates/${id}`, { isArchived }),
+    clone: (id, name) => api.post(`/templates/${id}/clone`, { name }),
+    getVersions: (id) => api.get(`/templates/${id}/versions`),
+    getVersion: (id, version) => api.get(`/templates/${id}/versions/${version}`)
+  },
+  
+  // Voice profile service
+  voiceProfiles: {
+    getAll: () => api.get('/voice-profiles'),
+    getById: (id) => api.get(`/voice-profiles/${id}`),
+    create: (profileData) => api.post('/voice-profiles', profileData),
+    update: (id, profileData) => api.put(`/voice-profiles/${id}`, profileData),
+    delete: (id) => api.delete(`/voice-profiles/${id}`),
+    check: (id, text) => api.post(`/voice-profiles/${id}/check`, { text })
   },
   
   // Generation service
@@ -113,8 +187,62 @@ const services = {
     create: (generationData) => api.post('/generation', generationData),
     getById: (id) => api.get(`/generation/${id}`),
     getHistory: (params) => api.get('/generation/history', { params }),
+    getModels: () => api.get('/generation/models'),
+    preview: (previewData) => api.post('/generation/preview', previewData),
+    estimate: (estimateData) => api.post('/generation/estimate', estimateData),
     cancel: (id) => api.post(`/generation/${id}/cancel`),
-    regenerate: (id, promptUpdates) => api.post(`/generation/${id}/regenerate`, { promptUpdates })
+    approveOutline: (id, outline) => api.put(`/generation/${id}/outline`, { outline }),
+    regenerate: (id, promptUpdates) => api.post(`/generation/${id}/regenerate`, { promptUpdates }),
+    createVariations: (contentId, data) => api.post(`/generation/content/${contentId}/variations`, data),
+    getVariations: (contentId) => api.get(`/generation/content/${contentId}/variations`),
+    promoteVariation: (id) => api.post(`/generation/${id}/promote`),
+    generateSeo: (contentId, data) => api.post(`/generation/seo/${contentId}`, data),
+    edit: (contentId, editData) => api.post(`/generation/edit/${contentId}`, editData),
+    resolveSuggestion: (id, decision) => api.put(`/generation/${id}/suggestion`, { decision }),
+    getAudit: (id) => api.get(`/generation/${id}/audit`),
+    updateOrganization: (id, organization) => api.put(`/generation/${id}/organization`, organization),
+    subscribe: (id, onEvent, onError) => streamEvents(`/generation/${id}/events`, onEvent, onError)
+  },
+  
+  // Batch generation service
+  batches: {
+    getAll: (params) => api.get('/batches', { params }),
+    getById: (id) => api.get(`/batches/${id}`),
+    upload: (file, name) => {
+      const formData = new FormData();
+      formData.append('file', file);
+      if (name) {
+        formData.append('name', name);
+      }
+      return api.post('/batches', formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+    },
+    preview: (id, settings) => api.post(`/batches/${id}/preview`, settings),
+    start: (id, settings) => api.post(`/batches/${id}/start`, settings),
+    getRows: (id, params) => api.get(`/batches/${id}/rows`, { params }),
+    pause: (id) => api.post(`/batches/${id}/pause`),
+    resume: (id) => api.post(`/batches/${id}/resume`),
+    downloadResults: (id) => api.get(`/batches/${id}/results`, { responseType: 'blob' })
+  },
+  
+  // Knowledge base service
+  knowledge: {
+    getAll: (params) => api.get('/knowledge', { params }),
+    getById: (id) => api.get(`/knowledge/${id}`),
+    upload: (file, name) => {
+      const formData = new FormData();
+      formData.append('file', file);
+      if (name) {
+        formData.append('name', name);
+      }
+      return api.post('/knowledge', formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+    },
+    delete: (id) => api.delete(`/knowledge/${id}`)
+  },
+  
+  // Moderation review service (admins only)
+  moderation: {
+    getQueue: (params) => api.get('/moderation/queue', { params }),
+    review: (id, decision, note) => api.post(`/moderation/${id}/review`, { decision, note })
   },
   
   // Credits service
@@ -134,7 +262,28 @@ const services = {
     testConnection: (id) => api.post(`/integrations/${id}/test`),
     sync: (id) => api.post(`/integrations/${id}/sync`)
   },
-  
+
+  // Organization services
+  projects: {
+    getAll: (params) => api.get('/projects', { params }),
+    getById: (id) => api.get(`/projects/${id}`),
+    create: (projectData) => api.post('/projects', projectData),
+    update: (id, projectData) => api.put(`/projects/${id}`, projectData),
+    delete: (id) => api.delete(`/projects/${id}`)
+  },
+  folders: {
+    getAll: (params) => api.get('/folders', { params }),
+    create: (folderData) => api.post('/folders', folderData),
+    update: (id, folderData) => api.put(`/folders/${id}`, folderData),
+    delete: (id) => api.delete(`/folders/${id}`)
+  },
+  tags: {
+    getAll: () => api.get('/tags'),
+    create: (tagData) => api.post('/tags', tagData),
+    update: (id, tagData) => api.put(`/tags/${id}`, tagData),
+    delete: (id) => api.delete(`/tags/${id}`)
+  },
+
   // Dashboard service
   dashboard: {
     getStats: () => api.get('/dashboard/stats'),
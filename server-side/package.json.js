@@ -7,6 +7,7 @@
   "scripts": {
     "start": "node src/server.js",
     "dev": "nodemon src/server.js",
+    "worker": "node src/workers/generationWorker.js",
     "lint": "eslint src/",
     "test": "jest",
     "migrate": "node src/db/migrations/run.js",
@@ -14,6 +15,7 @@
   },
   "dependencies": {
     "amqplib": "^0.10.3",
+    "axios": "^1.6.0",
     "bcrypt": "^5.1.1",
     "cookie-parser": "^1.4.6",
     "cors": "^2.8.5",
@@ -22,10 +24,12 @@
     "express-rate-limit": "^7.1.4",
     "express-validator": "^7.0.1",
     "helmet": "^7.1.0",
+    "js-tiktoken": "^1.0.21",
     "jsonwebtoken": "^9.0.2",
     "morgan": "^1.10.0",
     "multer": "^1.4.5-lts.1",
     "openai": "^4.17.4",
+    "pdf-parse": "^1.1.1",
     "pg": "^8.11.3",
     "pg-hstore": "^2.3.4",
     "redis": "^4.6.10",
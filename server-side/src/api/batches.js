@@ -0,0 +1,394 @@
+// src/api/batches.js
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const batchController = require('../controllers/batchController');
+const { authenticate } = require('../middlewares/auth');
+const { generationLimiter } = require('../middlewares/rateLimiter');
+const { batchUpload } = require('../middlewares/upload');
+
+const router = express.Router();
+
+// Settings a batch is previewed and started with
+const settingsValidators = [
+  param('id').isUUID().withMessage('Invalid batch ID'),
+  body('templateId').isUUID().withMessage('Template ID is required'),
+  body('templateVersion').optional().isInt({ min: 1 }).withMessage('Template version must be a positive integer'),
+  body('columnMapping').isObject().withMessage('Column mapping must be an object'),
+  body('columnMapping.*').isString().withMessage('Columns must be given by name'),
+  body('promptData').optional().isObject().withMessage('Prompt data must be an object'),
+  body('contentType').optional().isIn(['blog', 'product', 'social', 'email', 'custom']),
+  body('aiProvider').optional().isString(),
+  body('voiceProfileId').optional({ nullable: true }).isUUID().withMessage('Invalid voice profile ID')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Batches
+ *   description: >
+ *     Bulk generation: upload rows, map their columns onto a template's
+ *     variables, preview the cost and generate one content item per row
+ */
+
+/**
+ * @swagger
+ * /batches:
+ *   post:
+ *     summary: Upload the rows of a batch
+ *     description: >
+ *       Creates a draft batch from a CSV file with a header row, a JSON file
+ *       holding an array of objects, or a JSON body with the rows. Nothing is
+ *       generated until the batch is started.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               name:
+ *                 type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rows
+ *             properties:
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Draft batch with its columns and first rows
+ *       400:
+ *         description: The upload could not be read, or has no rows or too many
+ *       413:
+ *         description: File too large
+ */
+router.post(
+  '/',
+  authenticate,
+  batchUpload.single('file'),
+  [
+    body('name').optional().isString().trim().notEmpty().isLength({ max: 255 }).withMessage('Name must be at most 255 characters')
+  ],
+  batchController.uploadBatch
+);
+
+/**
+ * @swagger
+ * /batches:
+ *   get:
+ *     summary: Get the current user's batches with their progress
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Batches, newest first
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  batchController.getBatches
+);
+
+/**
+ * @swagger
+ * /batches/{id}:
+ *   get:
+ *     summary: Get a batch with its aggregate progress
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Batch ID
+ *     responses:
+ *       200:
+ *         description: Batch, row counts by status and credits used
+ *       404:
+ *         description: Batch not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid batch ID')
+  ],
+  batchController.getBatch
+);
+
+/**
+ * @swagger
+ * /batches/{id}/preview:
+ *   post:
+ *     summary: Preview the generation of a batch
+ *     description: >
+ *       Maps every row onto the template and estimates its cost. Rows whose
+ *       values do not satisfy the template's variables are reported with
+ *       their errors; they are skipped when the batch is started.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Batch ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BatchSettings'
+ *     responses:
+ *       200:
+ *         description: Total and per-row estimated cost and errors, and the credits remaining
+ *       400:
+ *         description: Invalid column mapping
+ *       404:
+ *         description: Batch, template or voice profile not found
+ */
+router.post(
+  '/:id/preview',
+  authenticate,
+  settingsValidators,
+  batchController.previewBatch
+);
+
+/**
+ * @swagger
+ * /batches/{id}/start:
+ *   post:
+ *     summary: Start a draft batch
+ *     description: >
+ *       Creates a content item and queues a generation for every row that
+ *       can be generated, holding the estimated credits of all of them.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Batch ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BatchSettings'
+ *     responses:
+ *       202:
+ *         description: Batch queued
+ *       400:
+ *         description: Invalid column mapping, or no row can be generated
+ *       402:
+ *         description: Insufficient credits
+ *       404:
+ *         description: Batch, template or voice profile not found
+ *       409:
+ *         description: Batch already started
+ */
+router.post(
+  '/:id/start',
+  authenticate,
+  generationLimiter,
+  settingsValidators,
+  batchController.startBatch
+);
+
+/**
+ * @swagger
+ * /batches/{id}/rows:
+ *   get:
+ *     summary: Get the rows of a batch with their status and errors
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Batch ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, processing, completed, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Rows in upload order
+ *       404:
+ *         description: Batch not found
+ */
+router.get(
+  '/:id/rows',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid batch ID'),
+    query('status').optional().isIn(['queued', 'processing', 'completed', 'failed']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  batchController.getBatchRows
+);
+
+/**
+ * @swagger
+ * /batches/{id}/pause:
+ *   post:
+ *     summary: Pause a batch
+ *     description: Rows already being generated finish; queued rows wait until the batch is resumed.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Batch ID
+ *     responses:
+ *       200:
+ *         description: Batch paused
+ *       404:
+ *         description: Batch not found
+ *       409:
+ *         description: Batch is not processing
+ */
+router.post(
+  '/:id/pause',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid batch ID')
+  ],
+  batchController.pauseBatch
+);
+
+/**
+ * @swagger
+ * /batches/{id}/resume:
+ *   post:
+ *     summary: Resume a paused batch
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Batch ID
+ *     responses:
+ *       200:
+ *         description: Batch resumed
+ *       404:
+ *         description: Batch not found
+ *       409:
+ *         description: Batch is not paused
+ */
+router.post(
+  '/:id/resume',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid batch ID')
+  ],
+  batchController.resumeBatch
+);
+
+/**
+ * @swagger
+ * /batches/{id}/results:
+ *   get:
+ *     summary: Download the results of a batch as CSV
+ *     description: >
+ *       The uploaded rows with result_status, result_error,
+ *       result_content_item_id, result_title, result_credits_used and
+ *       result_content columns appended.
+ *     tags: [Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Batch ID
+ *     responses:
+ *       200:
+ *         description: Results CSV
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Batch not found
+ */
+router.get(
+  '/:id/results',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid batch ID')
+  ],
+  batchController.downloadResults
+);
+
+module.exports = router;
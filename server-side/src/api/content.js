@@ -4,9 +4,18 @@ const { body, query, param } = require('express-validator');
 const contentController = require('../controllers/contentController');
 const { authenticate, isEditor, isOwnerOrAdmin } = require('../middlewares/auth');
 const { ContentItem } = require('../db/models');
+const { SORTS, DATE_FIELDS } = require('../services/searchService');
 
 const router = express.Router();
 
+// Project, folder and tags of an item on create and update; null unfiles it
+const organizationValidators = [
+  body('projectId').optional({ nullable: true }).isUUID().withMessage('Invalid project ID'),
+  body('folderId').optional({ nullable: true }).isUUID().withMessage('Invalid folder ID'),
+  body('tags').optional().isArray({ max: 20 }).withMessage('Tags must be an array of at most 20 names'),
+  body('tags.*').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Tag names must be 1 to 50 characters')
+];
+
 /**
  * @swagger
  * tags:
@@ -39,7 +48,7 @@ const router = express.Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [draft, generated, published, archived]
+ *           enum: [draft, generated, needs_review, published, archived]
  *         description: Filter by content status
  *       - in: query
  *         name: contentType
@@ -47,6 +56,98 @@ const router = express.Router();
  *           type: string
  *           enum: [blog, product, social, email, custom]
  *         description: Filter by content type
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *         description: >
+ *           List the items of this locale, translations included. Without it,
+ *           translations are listed under their source item.
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Full-text search of the title, SEO keywords and content, in web
+ *           search syntax: "quoted phrases", OR, and -word to exclude. Matching
+ *           items come with a search field of their rank and the highlighted
+ *           title and snippet, as parts of { text, match }.
+ *       - in: query
+ *         name: templateId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by the template the items were created from
+ *       - in: query
+ *         name: integrationId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by the integration the items were published or scheduled to
+ *       - in: query
+ *         name: dateField
+ *         schema:
+ *           type: string
+ *           enum: [updatedAt, createdAt, publishedAt]
+ *           default: updatedAt
+ *         description: Date the from and to filters apply to
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Earliest date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Latest date
+ *       - in: query
+ *         name: minWords
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Least words
+ *       - in: query
+ *         name: maxWords
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Most words
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, updatedAt, createdAt, publishedAt, title, wordCount]
+ *         description: >
+ *           Sort field. Defaults to relevance when searching and to the last
+ *           update otherwise; relevance without a search sorts by the last update.
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by project
+ *       - in: query
+ *         name: folderId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by folder, including its subfolders
+ *       - in: query
+ *         name: tagId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by tag
  *     responses:
  *       200:
  *         description: List of content items
@@ -59,8 +160,22 @@ router.get(
   [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('status').optional().isIn(['draft', 'generated', 'published', 'archived']),
-    query('contentType').optional().isIn(['blog', 'product', 'social', 'email', 'custom'])
+    query('status').optional().isIn(['draft', 'generated', 'needs_review', 'published', 'archived']),
+    query('contentType').optional().isIn(['blog', 'product', 'social', 'email', 'custom']),
+    query('locale').optional().isString().trim().notEmpty().isLength({ max: 35 }),
+    query('search').optional().isString().trim().isLength({ max: 200 }).withMessage('Search must be at most 200 characters'),
+    query('templateId').optional().isUUID().withMessage('Invalid template ID'),
+    query('integrationId').optional().isUUID().withMessage('Invalid integration ID'),
+    query('dateField').optional().isIn(DATE_FIELDS).withMessage(`Date field must be one of: ${DATE_FIELDS.join(', ')}`),
+    query('from').optional().isISO8601().withMessage('From must be a date'),
+    query('to').optional().isISO8601().withMessage('To must be a date'),
+    query('minWords').optional().isInt({ min: 0 }).withMessage('Minimum words must be a non-negative integer'),
+    query('maxWords').optional().isInt({ min: 0 }).withMessage('Maximum words must be a non-negative integer'),
+    query('sort').optional().isIn(SORTS).withMessage(`Sort must be one of: ${SORTS.join(', ')}`),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+    query('projectId').optional().isUUID().withMessage('Invalid project ID'),
+    query('folderId').optional().isUUID().withMessage('Invalid folder ID'),
+    query('tagId').optional().isUUID().withMessage('Invalid tag ID')
   ],
   contentController.getContentItems
 );
@@ -127,10 +242,23 @@ router.get(
  *               templateId:
  *                 type: string
  *                 format: uuid
+ *                 description: Defaults to the project's default template
  *               format:
  *                 type: string
  *                 enum: [markdown, html, plain]
  *                 default: markdown
+ *               projectId:
+ *                 type: string
+ *                 format: uuid
+ *               folderId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Filing in a folder also puts the item in the folder's project
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Tag names; tags the user does not have yet are created
  *     responses:
  *       201:
  *         description: Content item created
@@ -147,7 +275,8 @@ router.post(
     body('contentType').isIn(['blog', 'product', 'social', 'email', 'custom']).withMessage('Valid content type is required'),
     body('content').optional(),
     body('templateId').optional().isUUID().withMessage('Invalid template ID'),
-    body('format').optional().isIn(['markdown', 'html', 'plain']).withMessage('Invalid format')
+    body('format').optional().isIn(['markdown', 'html', 'plain']).withMessage('Invalid format'),
+    ...organizationValidators
   ],
   contentController.createContentItem
 );
@@ -185,6 +314,29 @@ router.post(
  *               format:
  *                 type: string
  *                 enum: [markdown, html, plain]
+ *               inlineEditIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: >
+ *                   Inline edits whose accepted suggestions are in the saved
+ *                   content. The revision recorded for the save is marked as an
+ *                   inline edit, with the last of them as its generation.
+ *               projectId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Moving the item to another project takes it out of its folder
+ *               folderId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: All the item's tag names, replacing its current tags
  *     responses:
  *       200:
  *         description: Content item updated
@@ -196,6 +348,8 @@ router.post(
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
+ *       409:
+ *         description: The content is held for moderation review, so its status cannot be changed
  */
 router.put(
   '/:id',
@@ -205,7 +359,10 @@ router.put(
     body('title').optional().notEmpty().withMessage('Title cannot be empty'),
     body('content').optional(),
     body('status').optional().isIn(['draft', 'generated', 'published', 'archived']).withMessage('Invalid status'),
-    body('format').optional().isIn(['markdown', 'html', 'plain']).withMessage('Invalid format')
+    body('format').optional().isIn(['markdown', 'html', 'plain']).withMessage('Invalid format'),
+    body('inlineEditIds').optional().isArray({ max: 100 }).withMessage('Inline edit IDs must be an array'),
+    body('inlineEditIds.*').isUUID().withMessage('Invalid inline edit ID'),
+    ...organizationValidators
   ],
   isOwnerOrAdmin(ContentItem),
   contentController.updateContentItem
@@ -269,12 +426,11 @@ router.delete(
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - integrationId
  *             properties:
  *               integrationId:
  *                 type: string
  *                 format: uuid
+ *                 description: Required unless the item's project has an integration
  *               publishOptions:
  *                 type: object
  *     responses:
@@ -294,7 +450,7 @@ router.post(
   authenticate,
   [
     param('id').isUUID().withMessage('Invalid content item ID'),
-    body('integrationId').isUUID().withMessage('Valid integration ID is required'),
+    body('integrationId').optional().isUUID().withMessage('Invalid integration ID'),
     body('publishOptions').optional().isObject().withMessage('Publish options must be an object')
   ],
   isOwnerOrAdmin(ContentItem),
@@ -325,7 +481,6 @@ router.post(
  *             type: object
  *             required:
  *               - scheduledAt
- *               - integrationId
  *             properties:
  *               scheduledAt:
  *                 type: string
@@ -333,6 +488,7 @@ router.post(
  *               integrationId:
  *                 type: string
  *                 format: uuid
+ *                 description: Required unless the item's project has an integration
  *               publishOptions:
  *                 type: object
  *     responses:
@@ -353,11 +509,263 @@ router.post(
   [
     param('id').isUUID().withMessage('Invalid content item ID'),
     body('scheduledAt').isISO8601().withMessage('Valid date-time is required'),
-    body('integrationId').isUUID().withMessage('Valid integration ID is required'),
+    body('integrationId').optional().isUUID().withMessage('Invalid integration ID'),
     body('publishOptions').optional().isObject().withMessage('Publish options must be an object')
   ],
   isOwnerOrAdmin(ContentItem),
   contentController.scheduleContent
 );
 
+/**
+ * @swagger
+ * /content/{id}/similarity:
+ *   post:
+ *     summary: Compare content with the rest of the library
+ *     description: >
+ *       Fingerprints the current content and compares it with the owner's
+ *       other content items, replacing the similarity report in
+ *       metadata.similarity. Generated content is compared automatically;
+ *       this re-checks it after edits.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Content item ID
+ *     responses:
+ *       200:
+ *         description: Similarity report with the closest items and the passages they share
+ *       404:
+ *         description: Content item not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/:id/similarity',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid content item ID')
+  ],
+  isOwnerOrAdmin(ContentItem),
+  contentController.checkSimilarity
+);
+
+/**
+ * @swagger
+ * /content/{id}/revisions:
+ *   get:
+ *     summary: List the revisions of a content item
+ *     description: >
+ *       Every save and every generation that changes the title or content
+ *       records a numbered revision. Revisions are listed newest first, without
+ *       their content.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Content item ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Revisions per page
+ *     responses:
+ *       200:
+ *         description: Revisions with their number, source, author and word count
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/:id/revisions',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid content item ID'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  isOwnerOrAdmin(ContentItem),
+  contentController.getRevisions
+);
+
+/**
+ * @swagger
+ * /content/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of a content item
+ *     description: >
+ *       Returns the changes between the two revisions as runs of equal,
+ *       inserted and deleted lines or words, with the number of lines or
+ *       words inserted and deleted.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Content item ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Revision to compare from
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Revision to compare to; the latest if not given
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [line, word]
+ *           default: line
+ *         description: Compare line by line or word by word
+ *     responses:
+ *       200:
+ *         description: Changes between the revisions
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Revision not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/:id/revisions/diff',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid content item ID'),
+    query('from').isUUID().withMessage('Valid revision ID to compare from is required'),
+    query('to').optional().isUUID().withMessage('Invalid revision ID to compare to'),
+    query('granularity').optional().isIn(['line', 'word']).withMessage('Granularity must be line or word')
+  ],
+  isOwnerOrAdmin(ContentItem),
+  contentController.diffRevisions
+);
+
+/**
+ * @swagger
+ * /content/{id}/revisions/{revisionId}:
+ *   get:
+ *     summary: Get a revision of a content item with its content
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Content item ID
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Revision ID
+ *     responses:
+ *       200:
+ *         description: Revision
+ *       404:
+ *         description: Revision not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/:id/revisions/:revisionId',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid content item ID'),
+    param('revisionId').isUUID().withMessage('Invalid revision ID')
+  ],
+  isOwnerOrAdmin(ContentItem),
+  contentController.getRevision
+);
+
+/**
+ * @swagger
+ * /content/{id}/revisions/{revisionId}/restore:
+ *   post:
+ *     summary: Restore a revision of a content item
+ *     description: >
+ *       Puts the title and content of the revision back on the item. This
+ *       records a new revision; the revisions in between are kept.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Content item ID
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Revision ID
+ *     responses:
+ *       200:
+ *         description: Revision restored, with the new revision and the updated content item
+ *       400:
+ *         description: The content is already that of the revision
+ *       404:
+ *         description: Content item or revision not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/:id/revisions/:revisionId/restore',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid content item ID'),
+    param('revisionId').isUUID().withMessage('Invalid revision ID')
+  ],
+  isOwnerOrAdmin(ContentItem),
+  contentController.restoreRevision
+);
+
 module.exports = router;
@@ -0,0 +1,181 @@
+// src/api/folders.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const folderController = require('../controllers/folderController');
+const { authenticate } = require('../middlewares/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Folders
+ *   description: Nested folders, on their own or in a project
+ */
+
+/**
+ * @swagger
+ * /folders:
+ *   get:
+ *     summary: Get the current user's folders
+ *     description: >
+ *       Returns a flat list by name; parentId gives the tree. Each folder has
+ *       the number of content items directly in it.
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only the folders of this project
+ *     responses:
+ *       200:
+ *         description: Folders
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    query('projectId').optional().isUUID().withMessage('Invalid project ID')
+  ],
+  folderController.getFolders
+);
+
+/**
+ * @swagger
+ * /folders:
+ *   post:
+ *     summary: Create a folder
+ *     description: >
+ *       A folder in another folder is in that folder's project. Folders nest
+ *       at most 5 levels deep, and names are unique within a parent.
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *               projectId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Project of a top-level folder
+ *     responses:
+ *       201:
+ *         description: Folder created
+ *       400:
+ *         description: Invalid input, unknown parent or project, or too deep
+ *       409:
+ *         description: The parent has a folder of that name
+ */
+router.post(
+  '/',
+  authenticate,
+  [
+    body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required'),
+    body('parentId').optional({ nullable: true }).isUUID().withMessage('Invalid parent folder ID'),
+    body('projectId').optional({ nullable: true }).isUUID().withMessage('Invalid project ID')
+  ],
+  folderController.createFolder
+);
+
+/**
+ * @swagger
+ * /folders/{id}:
+ *   put:
+ *     summary: Rename or move a folder
+ *     description: Folders move with their contents, and only within their project.
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Folder ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: New parent, or null for the top level
+ *     responses:
+ *       200:
+ *         description: Folder updated
+ *       400:
+ *         description: Invalid input or move
+ *       404:
+ *         description: Folder not found
+ *       409:
+ *         description: The parent has a folder of that name
+ */
+router.put(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid folder ID'),
+    body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must not be empty'),
+    body('parentId').optional({ nullable: true }).isUUID().withMessage('Invalid parent folder ID')
+  ],
+  folderController.updateFolder
+);
+
+/**
+ * @swagger
+ * /folders/{id}:
+ *   delete:
+ *     summary: Delete a folder
+ *     description: Its subfolders, content, templates and generations move up to its parent.
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Folder ID
+ *     responses:
+ *       200:
+ *         description: Folder deleted
+ *       404:
+ *         description: Folder not found
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid folder ID')
+  ],
+  folderController.deleteFolder
+);
+
+module.exports = router;
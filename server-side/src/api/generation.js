@@ -5,6 +5,7 @@ const generationController = require('../controllers/generationController');
 const { authenticate, isOwnerOrAdmin } = require('../middlewares/auth');
 const { ContentGeneration } = require('../db/models');
 const { generationLimiter } = require('../middlewares/rateLimiter');
+const config = require('../config/ai');
 
 const router = express.Router();
 
@@ -42,13 +43,29 @@ const router = express.Router();
  *               templateId:
  *                 type: string
  *                 format: uuid
- *                 description: Template to use for generation
+ *                 description: Template to use for generation; new content in a project defaults to the project's
+ *               templateVersion:
+ *                 type: integer
+ *                 description: Template version to use (defaults to the current version)
  *               promptData:
  *                 type: object
- *                 description: Generation parameters
+ *                 description: >
+ *                   Generation parameters. Long blog posts are written section by
+ *                   section from an outline; set longForm to force this on or off
+ *                   and reviewOutline to approve the outline before the sections
+ *                   are written. Set useKnowledgeBase to ground the content in
+ *                   the most relevant passages of the user's knowledge base,
+ *                   which it cites in a list of sources.
  *               aiProvider:
  *                 type: string
  *                 description: AI provider to use
+ *               voiceProfileId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: >
+ *                   Voice profile compiled into the system prompt; defaults to
+ *                   the project's, then the template's. Violations of its banned phrases and
+ *                   terminology are reported with the result.
  *               isNewContent:
  *                 type: boolean
  *                 default: true
@@ -57,6 +74,14 @@ const router = express.Router();
  *                 type: string
  *                 format: uuid
  *                 description: Existing content item ID (required if isNewContent is false)
+ *               projectId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Project to file new content in. Generations are filed with their content item.
+ *               folderId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Folder to file new content in
  *     responses:
  *       202:
  *         description: Generation request queued
@@ -76,13 +101,246 @@ router.post(
     body('title').optional().isString().withMessage('Title must be a string'),
     body('contentType').optional().isIn(['blog', 'product', 'social', 'email', 'custom']).withMessage('Invalid content type'),
     body('templateId').optional().isUUID().withMessage('Invalid template ID'),
+    body('templateVersion').optional().isInt({ min: 1 }).withMessage('Invalid template version'),
     body('aiProvider').optional().isString().withMessage('AI provider must be a string'),
+    body('voiceProfileId').optional({ nullable: true }).isUUID().withMessage('Invalid voice profile ID'),
     body('isNewContent').optional().isBoolean().withMessage('isNewContent must be a boolean'),
-    body('contentItemId').optional().isUUID().withMessage('Invalid content item ID')
+    body('contentItemId').optional().isUUID().withMessage('Invalid content item ID'),
+    body('projectId').optional().isUUID().withMessage('Invalid project ID'),
+    body('folderId').optional().isUUID().withMessage('Invalid folder ID'),
+    body('promptData.longForm').optional().isBoolean().withMessage('longForm must be a boolean'),
+    body('promptData.reviewOutline').optional().isBoolean().withMessage('reviewOutline must be a boolean'),
+    body('promptData.useKnowledgeBase').optional().isBoolean().withMessage('useKnowledgeBase must be a boolean')
   ],
   generationController.createGenerationRequest
 );
 
+/**
+ * @swagger
+ * /generation/models:
+ *   get:
+ *     summary: List available AI models
+ *     description: >
+ *       Lists every model of every configured provider with its context window,
+ *       pricing (USD per million tokens), credit multiplier and availability.
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *         description: Re-check provider availability instead of using cached results (admin only)
+ *     responses:
+ *       200:
+ *         description: List of models
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/models',
+  authenticate,
+  [
+    query('refresh').optional().isBoolean()
+  ],
+  generationController.getModels
+);
+
+/**
+ * @swagger
+ * /generation/preview:
+ *   post:
+ *     summary: Preview the prompt for a generation request
+ *     description: >
+ *       Validates the prompt data against the template's variables and renders
+ *       the prompt that would be sent to the AI provider. No credits are used.
+ *       promptTemplate and variables preview unsaved template edits.
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               contentType:
+ *                 type: string
+ *                 enum: [blog, product, social, email, custom]
+ *                 default: blog
+ *               templateId:
+ *                 type: string
+ *                 format: uuid
+ *               promptData:
+ *                 type: object
+ *               promptTemplate:
+ *                 type: string
+ *                 description: Template source to render instead of the stored one
+ *               variables:
+ *                 type: array
+ *                 description: Variable declarations to validate against instead of the stored ones
+ *               aiProvider:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rendered prompt, resolved parameters and estimated cost
+ *       400:
+ *         description: Invalid prompt data or template syntax
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Template not found
+ */
+router.post(
+  '/preview',
+  authenticate,
+  [
+    body('promptData').optional().isObject().withMessage('Prompt data must be an object'),
+    body('contentType').optional().isIn(['blog', 'product', 'social', 'email', 'custom']).withMessage('Invalid content type'),
+    body('templateId').optional().isUUID().withMessage('Invalid template ID'),
+    body('promptTemplate').optional().isString().withMessage('Prompt template must be a string'),
+    body('variables').optional().isArray().withMessage('Variables must be an array'),
+    body('aiProvider').optional().isString().withMessage('AI provider must be a string')
+  ],
+  generationController.previewGeneration
+);
+
+/**
+ * @swagger
+ * /generation/estimate:
+ *   post:
+ *     summary: Estimate the cost of a generation request
+ *     description: >
+ *       Renders the prompt the request would send, counts its tokens with the
+ *       model's tokenizer and adds the completion tokens the requested length
+ *       takes, priced per model. Partially filled prompt data is estimated
+ *       rather than rejected, so this can be called as options change.
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               contentType:
+ *                 type: string
+ *                 enum: [blog, product, social, email, custom]
+ *                 default: blog
+ *               templateId:
+ *                 type: string
+ *                 format: uuid
+ *               templateVersion:
+ *                 type: integer
+ *               promptData:
+ *                 type: object
+ *               aiProvider:
+ *                 type: string
+ *               voiceProfileId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: >
+ *           Estimated cost with the model, prompt and completion tokens, credit
+ *           pricing per thousand tokens and the user's remaining credits
+ *       400:
+ *         description: Invalid input or template syntax
+ *       404:
+ *         description: Template or voice profile not found
+ */
+router.post(
+  '/estimate',
+  authenticate,
+  [
+    body('promptData').optional().isObject().withMessage('Prompt data must be an object'),
+    body('contentType').optional().isIn(['blog', 'product', 'social', 'email', 'custom']).withMessage('Invalid content type'),
+    body('templateId').optional().isUUID().withMessage('Invalid template ID'),
+    body('templateVersion').optional().isInt({ min: 1 }).withMessage('Invalid template version'),
+    body('aiProvider').optional().isString().withMessage('AI provider must be a string'),
+    body('voiceProfileId').optional({ nullable: true }).isUUID().withMessage('Invalid voice profile ID')
+  ],
+  generationController.estimateGeneration
+);
+
+/**
+ * @swagger
+ * /generation/history:
+ *   get:
+ *     summary: Get generation history
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, processing, awaiting_outline, completed, failed]
+ *         description: Filter by generation status
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Full-text search of the prompt data, e.g. the topic and keywords,
+ *           and of the text of variants, in web search syntax. Matches are
+ *           sorted by relevance instead of date.
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by project
+ *       - in: query
+ *         name: folderId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by folder, including its subfolders
+ *       - in: query
+ *         name: tagId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by tag
+ *     responses:
+ *       200:
+ *         description: List of generation requests
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/history',
+  authenticate,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['queued', 'processing', 'awaiting_outline', 'completed', 'failed']),
+    query('search').optional().isString().trim().isLength({ max: 200 }).withMessage('Search must be at most 200 characters'),
+    query('projectId').optional().isUUID().withMessage('Invalid project ID'),
+    query('folderId').optional().isUUID().withMessage('Invalid folder ID'),
+    query('tagId').optional().isUUID().withMessage('Invalid tag ID')
+  ],
+  generationController.getGenerationHistory
+);
+
 /**
  * @swagger
  * /generation/{id}:
@@ -119,9 +377,14 @@ router.get(
 
 /**
  * @swagger
- * /generation/{id}/cancel:
- *   post:
- *     summary: Cancel a generation request
+ * /generation/{id}/events:
+ *   get:
+ *     summary: Stream generation progress as Server-Sent Events
+ *     description: >
+ *       Sends the current status first, then `status` events for each transition
+ *       and `content` events with partial content while the provider streams.
+ *       Long-form generations also send `step` events as the outline and each
+ *       section are written. The stream closes after a `completed` or `failed` status.
  *     tags: [Generation]
  *     security:
  *       - bearerAuth: []
@@ -135,73 +398,74 @@ router.get(
  *         description: Generation request ID
  *     responses:
  *       200:
- *         description: Generation request cancelled
- *       400:
- *         description: Cannot cancel generation that is already processing or completed
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
  *       404:
  *         description: Generation request not found
  *       401:
  *         description: Unauthorized
  */
-router.post(
-  '/:id/cancel',
+router.get(
+  '/:id/events',
   authenticate,
   [
     param('id').isUUID().withMessage('Invalid generation ID')
   ],
   isOwnerOrAdmin(ContentGeneration),
-  generationController.cancelGeneration
+  generationController.streamGenerationEvents
 );
 
 /**
  * @swagger
- * /generation/history:
+ * /generation/{id}/audit:
  *   get:
- *     summary: Get generation history
+ *     summary: Get the audit trail of a generation
+ *     description: >
+ *       Returns the stored trails of the generation, one per time the worker
+ *       processed it. Each lists the provider calls in order, failed ones
+ *       included, with the system message and prompt sent, the request options,
+ *       the raw provider response and the token usage, and the content after
+ *       each post-processing step. Trails are deleted after the configured
+ *       retention period. Available to the generation's owner and to admins.
  *     tags: [Generation]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Number of items per page
- *       - in: query
- *         name: status
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: string
- *           enum: [queued, processing, completed, failed]
- *         description: Filter by generation status
+ *           format: uuid
+ *         description: Generation request ID
  *     responses:
  *       200:
- *         description: List of generation requests
+ *         description: Generation summary, its audit trails and the retention period in days
+ *       403:
+ *         description: Not the owner of the generation
+ *       404:
+ *         description: Generation request not found
  *       401:
  *         description: Unauthorized
  */
 router.get(
-  '/history',
+  '/:id/audit',
   authenticate,
   [
-    query('page').optional().isInt({ min: 1 }),
-    query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('status').optional().isIn(['queued', 'processing', 'completed', 'failed'])
+    param('id').isUUID().withMessage('Invalid generation ID')
   ],
-  generationController.getGenerationHistory
+  isOwnerOrAdmin(ContentGeneration),
+  generationController.getGenerationAudit
 );
 
 /**
  * @swagger
- * /generation/{id}/regenerate:
+ * /generation/{id}/cancel:
  *   post:
- *     summary: Regenerate content based on previous generation
+ *     summary: Cancel a generation request
  *     tags: [Generation]
  *     security:
  *       - bearerAuth: []
@@ -212,33 +476,196 @@ router.get(
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Original generation request ID
+ *         description: Generation request ID
+ *     responses:
+ *       200:
+ *         description: Generation request cancelled
+ *       400:
+ *         description: Cannot cancel generation that is already processing or completed
+ *       404:
+ *         description: Generation request not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/:id/cancel',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid generation ID')
+  ],
+  isOwnerOrAdmin(ContentGeneration),
+  generationController.cancelGeneration
+);
+
+/**
+ * @swagger
+ * /generation/{id}/outline:
+ *   put:
+ *     summary: Approve the outline of a long-form generation
+ *     description: >
+ *       Queues a generation that is awaiting outline approval to write its
+ *       sections. Send an edited outline to replace the generated one.
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Generation request ID
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               promptUpdates:
+ *               outline:
  *                 type: object
- *                 description: Updates to the original prompt data
+ *                 properties:
+ *                   title:
+ *                     type: string
+ *                   sections:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         heading:
+ *                           type: string
+ *                         points:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         wordCount:
+ *                           type: integer
  *     responses:
  *       202:
- *         description: Generation request queued
+ *         description: Outline approved and generation queued
  *       400:
- *         description: Invalid input
- *       402:
- *         description: Insufficient credits
+ *         description: Invalid outline, or the generation is not awaiting approval
  *       404:
- *         description: Original generation not found
+ *         description: Generation request not found
  *       401:
  *         description: Unauthorized
  */
-router.post(
-  '/:id/regenerate',
+router.put(
+  '/:id/outline',
   authenticate,
-  generationLimiter,
+  [
+    param('id').isUUID().withMessage('Invalid generation ID'),
+    body('outline').optional().isObject().withMessage('Outline must be an object')
+  ],
+  isOwnerOrAdmin(ContentGeneration),
+  generationController.approveOutline
+);
+
+/**
+ * @swagger
+ * /generation/{id}/organization:
+ *   put:
+ *     summary: File a generation and set its tags
+ *     description: >
+ *       Filing in a folder also puts the generation in the folder's project,
+ *       and moving it to another project takes it out of its folder. Null
+ *       unfiles it.
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Generation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               projectId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               folderId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: All the generation's tag names, replacing its current tags
+ *     responses:
+ *       200:
+ *         description: Generation filed
+ *       400:
+ *         description: Invalid input, or an unknown project or folder
+ *       404:
+ *         description: Generation not found
+ */
+router.put(
+  '/:id/organization',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid generation ID'),
+    body('projectId').optional({ nullable: true }).isUUID().withMessage('Invalid project ID'),
+    body('folderId').optional({ nullable: true }).isUUID().withMessage('Invalid folder ID'),
+    body('tags').optional().isArray({ max: 20 }).withMessage('Tags must be an array of at most 20 names'),
+    body('tags.*').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Tag names must be 1 to 50 characters')
+  ],
+  generationController.updateGenerationOrganization
+);
+
+/**
+ * @swagger
+ * /generation/{id}/regenerate:
+ *   post:
+ *     summary: Regenerate content based on previous generation
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Original generation request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               promptUpdates:
+ *                 type: object
+ *                 description: Updates to the original prompt data
+ *     responses:
+ *       202:
+ *         description: Generation request queued
+ *       400:
+ *         description: >
+ *           Invalid input, or an SEO, translation, inline edit or variant
+ *           generation, which is regenerated through its own endpoint
+ *       402:
+ *         description: Insufficient credits
+ *       404:
+ *         description: Original generation not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/:id/regenerate',
+  authenticate,
+  generationLimiter,
   [
     param('id').isUUID().withMessage('Invalid generation ID'),
     body('promptUpdates').optional().isObject().withMessage('Prompt updates must be an object')
@@ -247,4 +674,410 @@ router.post(
   generationController.regenerateContent
 );
 
+/**
+ * @swagger
+ * /generation/content/{id}/variations:
+ *   post:
+ *     summary: Request alternative versions of a content item
+ *     description: >
+ *       Generates several variants of the item's content, its headline or a
+ *       passage of it in one job. Variants are stored as sibling generations
+ *       of the item and do not change it until one is promoted. Each variant
+ *       is estimated and charged separately.
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Content item ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               count:
+ *                 type: integer
+ *                 minimum: 2
+ *                 maximum: 5
+ *                 default: 3
+ *               target:
+ *                 type: string
+ *                 enum: [content, headline, section]
+ *                 default: content
+ *               selection:
+ *                 type: string
+ *                 description: Passage of the content to vary (required for section)
+ *               promptData:
+ *                 type: object
+ *                 description: Updates to the prompt data of the item's latest generation
+ *               aiProvider:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Variations queued
+ *       400:
+ *         description: Invalid input
+ *       402:
+ *         description: Insufficient credits
+ *       404:
+ *         description: Content item not found
+ *   get:
+ *     summary: List the variations requested for a content item
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Content item ID
+ *     responses:
+ *       200:
+ *         description: Variation requests, newest first, with their variants
+ *       404:
+ *         description: Content item not found
+ */
+router.post(
+  '/content/:id/variations',
+  authenticate,
+  generationLimiter,
+  [
+    param('id').isUUID().withMessage('Invalid content item ID'),
+    body('count').optional().isInt({ min: 2, max: 5 }).withMessage('Count must be between 2 and 5').toInt(),
+    body('target').optional().isIn(['content', 'headline', 'section']).withMessage('Invalid variation target'),
+    body('selection')
+      .if(body('target').equals('section'))
+      .isString().trim().notEmpty().withMessage('Selection is required for section variations'),
+    body('promptData').optional().isObject().withMessage('Prompt data must be an object'),
+    body('aiProvider').optional().isString().withMessage('AI provider must be a string')
+  ],
+  generationController.createVariations
+);
+
+router.get(
+  '/content/:id/variations',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid content item ID')
+  ],
+  generationController.getVariations
+);
+
+/**
+ * @swagger
+ * /generation/{id}/promote:
+ *   post:
+ *     summary: Promote a variation
+ *     description: >
+ *       Makes a completed variant the content item's content, its title, or
+ *       replaces the varied passage, depending on what was varied.
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Generation ID of the variant
+ *     responses:
+ *       200:
+ *         description: Variation promoted
+ *       400:
+ *         description: Variation is not completed
+ *       404:
+ *         description: Variation not found
+ *       409:
+ *         description: The varied passage is no longer in the content item
+ */
+router.post(
+  '/:id/promote',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid generation ID')
+  ],
+  isOwnerOrAdmin(ContentGeneration),
+  generationController.promoteVariation
+);
+
+/**
+ * @swagger
+ * /generation/seo/{contentId}:
+ *   post:
+ *     summary: Generate SEO metadata for a content item
+ *     description: >
+ *       Queues a job that writes the item's meta title and description within
+ *       search result limits, URL slug, excerpt, Open Graph fields and
+ *       schema.org JSON-LD from its current content. The result is stored in
+ *       the item's metadata.seo and sent along when it is published.
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: contentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Content item ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keywords:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Target keywords, by default those the content was generated for
+ *               model:
+ *                 type: string
+ *               aiProvider:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: SEO metadata generation queued
+ *       400:
+ *         description: Invalid input or the content item has no content
+ *       402:
+ *         description: Insufficient credits
+ *       404:
+ *         description: Content item not found
+ */
+router.post(
+  '/seo/:contentId',
+  authenticate,
+  generationLimiter,
+  [
+    param('contentId').isUUID().withMessage('Invalid content item ID'),
+    body('keywords').optional().isArray({ max: 10 }).withMessage('Keywords must be an array of at most 10 keywords'),
+    body('keywords.*').isString().trim().notEmpty().withMessage('Keywords must be non-empty strings'),
+    body('model').optional().isString().withMessage('Model must be a string'),
+    body('aiProvider').optional().isString().withMessage('AI provider must be a string')
+  ],
+  generationController.generateSeo
+);
+
+/**
+ * @swagger
+ * /generation/translate/{contentId}:
+ *   post:
+ *     summary: Translate a content item into other locales
+ *     description: >
+ *       Queues one translation per locale. Each is stored as a sibling content
+ *       item with its own locale, linked to the source by sourceItemId; a
+ *       locale the item was already translated into is translated again in
+ *       place. The Markdown structure is kept, and glossary terms are left
+ *       untranslated. Translations are marked stale when the source changes.
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: contentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Source content item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - locales
+ *             properties:
+ *               locales:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: BCP 47 language tags to translate into, e.g. fr-FR
+ *               sourceLocale:
+ *                 type: string
+ *                 description: Language of the source, by default the item's locale
+ *               glossary:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Terms not to translate, in addition to the configured ones
+ *               model:
+ *                 type: string
+ *               aiProvider:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Translations queued, with the content item of each locale
+ *       400:
+ *         description: Invalid locale, the item is itself a translation, or it has no content
+ *       402:
+ *         description: Insufficient credits
+ *       404:
+ *         description: Content item not found
+ *       409:
+ *         description: A translation into one of the locales is already in progress
+ */
+router.post(
+  '/translate/:contentId',
+  authenticate,
+  generationLimiter,
+  [
+    param('contentId').isUUID().withMessage('Invalid content item ID'),
+    body('locales').isArray({ min: 1, max: config.translation.maxLocales })
+      .withMessage(`Locales must be an array of 1 to ${config.translation.maxLocales} language tags`),
+    body('locales.*').isString().trim().notEmpty().withMessage('Locales must be language tags'),
+    body('sourceLocale').optional().isString().trim().notEmpty().withMessage('Source locale must be a language tag'),
+    body('glossary').optional().isArray({ max: 200 }).withMessage('Glossary must be an array of at most 200 terms'),
+    body('glossary.*').isString().trim().notEmpty().withMessage('Glossary terms must be non-empty strings'),
+    body('model').optional().isString().withMessage('Model must be a string'),
+    body('aiProvider').optional().isString().withMessage('AI provider must be a string')
+  ],
+  generationController.translateContent
+);
+
+/**
+ * @swagger
+ * /generation/edit/{contentId}:
+ *   post:
+ *     summary: Suggest an edit of a passage of a content item
+ *     description: >
+ *       Queues a small generation that rewrites, shortens, expands, changes the
+ *       tone of, simplifies, corrects or continues the selected passage. The
+ *       text around the selection is sent for context only. The result is
+ *       published on the generation's events and kept in its
+ *       metadata.suggestion, as text that replaces the selection; the content
+ *       item itself is not changed.
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: contentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Content item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operation
+ *               - text
+ *             properties:
+ *               operation:
+ *                 type: string
+ *                 enum: [rewrite, shorten, expand, tone, simplify, grammar, continue]
+ *               text:
+ *                 type: string
+ *                 description: The selected passage
+ *               before:
+ *                 type: string
+ *                 description: Text before the selection, for context
+ *               after:
+ *                 type: string
+ *                 description: Text after the selection, for context
+ *               tone:
+ *                 type: string
+ *                 description: Tone of voice to rewrite in, required by the tone operation
+ *               model:
+ *                 type: string
+ *               aiProvider:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Edit queued
+ *       400:
+ *         description: Invalid input, an unknown operation, or a selection that is empty or too long
+ *       402:
+ *         description: Insufficient credits
+ *       404:
+ *         description: Content item not found
+ */
+router.post(
+  '/edit/:contentId',
+  authenticate,
+  generationLimiter,
+  [
+    param('contentId').isUUID().withMessage('Invalid content item ID'),
+    body('operation').isString().notEmpty().withMessage('Operation is required'),
+    body('text').isString().notEmpty().withMessage('Text is required'),
+    body('before').optional().isString().withMessage('Before must be a string'),
+    body('after').optional().isString().withMessage('After must be a string'),
+    body('tone').optional().isString().trim().isLength({ max: 100 }).withMessage('Tone must be at most 100 characters'),
+    body('model').optional().isString().withMessage('Model must be a string'),
+    body('aiProvider').optional().isString().withMessage('AI provider must be a string')
+  ],
+  generationController.editContent
+);
+
+/**
+ * @swagger
+ * /generation/{id}/suggestion:
+ *   put:
+ *     summary: Accept or reject the suggestion of an edit
+ *     description: >
+ *       Records the decision on the suggestion of a completed edit. The
+ *       editor applies an accepted suggestion to its blocks itself.
+ *     tags: [Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Generation ID of the edit
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [accept, reject]
+ *     responses:
+ *       200:
+ *         description: Decision recorded
+ *       400:
+ *         description: The edit has no suggestion yet
+ *       404:
+ *         description: Edit not found
+ *       409:
+ *         description: The suggestion was already accepted or rejected
+ */
+router.put(
+  '/:id/suggestion',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid generation ID'),
+    body('decision').isIn(['accept', 'reject']).withMessage('Decision must be accept or reject')
+  ],
+  isOwnerOrAdmin(ContentGeneration),
+  generationController.resolveSuggestion
+);
+
 module.exports = router;
@@ -0,0 +1,160 @@
+// src/api/knowledge.js
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const knowledgeController = require('../controllers/knowledgeController');
+const { authenticate } = require('../middlewares/auth');
+const { documentUpload } = require('../middlewares/upload');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Knowledge Base
+ *   description: >
+ *     Reference documents that generations can be grounded in. Generations
+ *     with promptData.useKnowledgeBase get the most relevant passages added to
+ *     their prompt and a list of the sources they cite.
+ */
+
+/**
+ * @swagger
+ * /knowledge:
+ *   post:
+ *     summary: Add a document to the knowledge base
+ *     description: >
+ *       Accepts Markdown, HTML, PDF and plain-text files. The text of the
+ *       document is split into passages under their headings and indexed;
+ *       the file itself is not kept.
+ *     tags: [Knowledge Base]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Document added
+ *       400:
+ *         description: Unsupported format, or the document has no text
+ *       413:
+ *         description: File too large
+ */
+router.post(
+  '/',
+  authenticate,
+  documentUpload.single('file'),
+  [
+    body('name').optional().isString().trim().notEmpty().isLength({ max: 255 }).withMessage('Name must be at most 255 characters')
+  ],
+  knowledgeController.uploadDocument
+);
+
+/**
+ * @swagger
+ * /knowledge:
+ *   get:
+ *     summary: Get the documents of the current user's knowledge base
+ *     tags: [Knowledge Base]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Documents, newest first
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  knowledgeController.getDocuments
+);
+
+/**
+ * @swagger
+ * /knowledge/{id}:
+ *   get:
+ *     summary: Get a document with its indexed passages
+ *     tags: [Knowledge Base]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Document and its passages in order
+ *       404:
+ *         description: Document not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid document ID')
+  ],
+  knowledgeController.getDocument
+);
+
+/**
+ * @swagger
+ * /knowledge/{id}:
+ *   delete:
+ *     summary: Remove a document from the knowledge base
+ *     description: Content already generated from it keeps its sources list.
+ *     tags: [Knowledge Base]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Document deleted
+ *       404:
+ *         description: Document not found
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid document ID')
+  ],
+  knowledgeController.deleteDocument
+);
+
+module.exports = router;
@@ -0,0 +1,119 @@
+// src/api/moderation.js
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const moderationController = require('../controllers/moderationController');
+const { authenticate, isAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Moderation
+ *   description: >
+ *     Review of generated content the moderation classifiers flagged. Flagged
+ *     content is held in the needs_review status, with the reasons in
+ *     metadata.moderation, until an admin approves or rejects it.
+ */
+
+/**
+ * @swagger
+ * /moderation/queue:
+ *   get:
+ *     summary: List content held for review
+ *     description: Oldest first, without the content itself. Admins only.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Held content items with their owners and moderation results
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/queue',
+  authenticate,
+  isAdmin,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  moderationController.getQueue
+);
+
+/**
+ * @swagger
+ * /moderation/{id}/review:
+ *   post:
+ *     summary: Approve or reject held content
+ *     description: >
+ *       Overrides the moderation check. Approved content becomes generated
+ *       content again; rejected content is archived. The decision is recorded
+ *       in metadata.moderation.review. Admins only.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Content item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               note:
+ *                 type: string
+ *                 description: Reason for the decision
+ *     responses:
+ *       200:
+ *         description: Decision recorded
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Content item not found
+ *       409:
+ *         description: The content item is not held for review
+ */
+router.post(
+  '/:id/review',
+  authenticate,
+  isAdmin,
+  [
+    param('id').isUUID().withMessage('Invalid content item ID'),
+    body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters')
+  ],
+  moderationController.reviewContent
+);
+
+module.exports = router;
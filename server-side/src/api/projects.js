@@ -0,0 +1,211 @@
+// src/api/projects.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const projectController = require('../controllers/projectController');
+const { authenticate } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Body validators shared by create and update; update makes every field optional.
+// The defaults are checked against the user's records by organizationService.
+const projectValidators = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required'),
+    body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+    body('color').optional({ nullable: true }).matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex color such as #2563eb'),
+    body('defaultTemplateId').optional({ nullable: true }).isUUID().withMessage('Invalid template ID'),
+    body('voiceProfileId').optional({ nullable: true }).isUUID().withMessage('Invalid voice profile ID'),
+    body('integrationId').optional({ nullable: true }).isUUID().withMessage('Invalid integration ID'),
+    body('isArchived').optional().isBoolean().withMessage('isArchived must be a boolean')
+  ];
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Projects
+ *   description: Projects that group content by client or campaign
+ */
+
+/**
+ * @swagger
+ * /projects:
+ *   get:
+ *     summary: Get the current user's projects
+ *     description: Returns the projects by name, each with the number of content items in it.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *         description: Also list archived projects
+ *     responses:
+ *       200:
+ *         description: Projects
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    query('includeArchived').optional().isBoolean()
+  ],
+  projectController.getProjects
+);
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   get:
+ *     summary: Get a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project
+ *       404:
+ *         description: Project not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid project ID')
+  ],
+  projectController.getProject
+);
+
+/**
+ * @swagger
+ * /projects:
+ *   post:
+ *     summary: Create a project
+ *     description: >
+ *       The default template is used for content created in the project
+ *       without one, the voice profile for its generations unless another is
+ *       requested, and the integration for publishing its content unless
+ *       another is given.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 example: '#2563eb'
+ *               defaultTemplateId:
+ *                 type: string
+ *                 format: uuid
+ *               voiceProfileId:
+ *                 type: string
+ *                 format: uuid
+ *               integrationId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Project created
+ *       400:
+ *         description: Invalid input
+ */
+router.post(
+  '/',
+  authenticate,
+  projectValidators(false),
+  projectController.createProject
+);
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   put:
+ *     summary: Update a project
+ *     description: Takes the same fields as creation, all optional, and isArchived.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Project not found
+ */
+router.put(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid project ID'),
+    ...projectValidators(true)
+  ],
+  projectController.updateProject
+);
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   delete:
+ *     summary: Delete a project
+ *     description: Deletes the project's folders too. Its content, templates and generations are kept, unfiled.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project deleted
+ *       404:
+ *         description: Project not found
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid project ID')
+  ],
+  projectController.deleteProject
+);
+
+module.exports = router;
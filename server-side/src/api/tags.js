@@ -0,0 +1,147 @@
+// src/api/tags.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const tagController = require('../controllers/tagController');
+const { authenticate } = require('../middlewares/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tags
+ *   description: Free-form tags of content items, templates and generations
+ */
+
+/**
+ * @swagger
+ * /tags:
+ *   get:
+ *     summary: Get the current user's tags
+ *     description: Returns the tags by name, each with the number of content items tagged with it.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tags
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/',
+  authenticate,
+  tagController.getTags
+);
+
+/**
+ * @swagger
+ * /tags:
+ *   post:
+ *     summary: Create a tag
+ *     description: Tags are also created when a record is tagged with a new name.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 example: '#16a34a'
+ *     responses:
+ *       201:
+ *         description: Tag created
+ *       400:
+ *         description: Invalid input
+ *       409:
+ *         description: A tag of that name exists, ignoring case
+ */
+router.post(
+  '/',
+  authenticate,
+  [
+    body('name').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Name is required, at most 50 characters'),
+    body('color').optional({ nullable: true }).matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex color such as #16a34a')
+  ],
+  tagController.createTag
+);
+
+/**
+ * @swagger
+ * /tags/{id}:
+ *   put:
+ *     summary: Rename or recolor a tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Tag ID
+ *     responses:
+ *       200:
+ *         description: Tag updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: Another tag has that name
+ */
+router.put(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid tag ID'),
+    body('name').optional().isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Name must be at most 50 characters'),
+    body('color').optional({ nullable: true }).matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex color such as #16a34a')
+  ],
+  tagController.updateTag
+);
+
+/**
+ * @swagger
+ * /tags/{id}:
+ *   delete:
+ *     summary: Delete a tag
+ *     description: Removes the tag from everything tagged with it.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Tag ID
+ *     responses:
+ *       200:
+ *         description: Tag deleted
+ *       404:
+ *         description: Tag not found
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid tag ID')
+  ],
+  tagController.deleteTag
+);
+
+module.exports = router;
@@ -0,0 +1,448 @@
+// src/api/templates.js
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const templateController = require('../controllers/templateController');
+const { authenticate, isOwnerOrAdmin } = require('../middlewares/auth');
+const { Template } = require('../db/models');
+
+const router = express.Router();
+
+const CONTENT_TYPES = ['blog', 'product', 'social', 'email', 'custom'];
+
+// Body validators shared by create and update; update makes every field optional
+const templateValidators = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+    body('contentType').optional().isIn(CONTENT_TYPES).withMessage('Invalid content type'),
+    body('promptTemplate').optional({ nullable: true }).isString().withMessage('Prompt template must be a string'),
+    body('variables').optional().isArray().withMessage('Variables must be an array'),
+    body('structure').optional().custom(value => typeof value === 'object').withMessage('Structure must be an object or array'),
+    body('defaultParameters').optional().isObject().withMessage('Default parameters must be an object'),
+    body('outputSchema').optional({ nullable: true }).custom(value => typeof value === 'string' || Array.isArray(value))
+      .withMessage('Output schema must be a preset name or a list of fields'),
+    body('voiceProfileId').optional({ nullable: true }).isUUID().withMessage('Invalid voice profile ID'),
+    body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean'),
+    body('isArchived').optional().isBoolean().withMessage('isArchived must be a boolean'),
+    body('isSystem').optional().isBoolean().withMessage('isSystem must be a boolean'),
+    body('changeNote').optional().isString().isLength({ max: 255 }).withMessage('Change note must be at most 255 characters'),
+    body('projectId').optional({ nullable: true }).isUUID().withMessage('Invalid project ID'),
+    body('folderId').optional({ nullable: true }).isUUID().withMessage('Invalid folder ID'),
+    body('tags').optional().isArray({ max: 20 }).withMessage('Tags must be an array of at most 20 names'),
+    body('tags.*').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Tag names must be 1 to 50 characters')
+  ];
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Templates
+ *   description: Content template management endpoints
+ */
+
+/**
+ * @swagger
+ * /templates:
+ *   get:
+ *     summary: Get templates visible to the current user
+ *     description: Lists the user's own templates together with public and system templates.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: contentType
+ *         schema:
+ *           type: string
+ *           enum: [blog, product, social, email, custom]
+ *         description: Filter by content type
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search template names and descriptions
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [all, own, public, system]
+ *           default: all
+ *         description: Which templates to list
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *         description: Include the user's archived templates
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter the user's templates by project
+ *       - in: query
+ *         name: folderId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter the user's templates by folder, including its subfolders
+ *       - in: query
+ *         name: tagId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter the user's templates by tag
+ *     responses:
+ *       200:
+ *         description: List of templates
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('contentType').optional().isIn(CONTENT_TYPES),
+    query('search').optional().isString().isLength({ max: 100 }),
+    query('scope').optional().isIn(['all', 'own', 'public', 'system']),
+    query('includeArchived').optional().isBoolean(),
+    query('projectId').optional().isUUID().withMessage('Invalid project ID'),
+    query('folderId').optional().isUUID().withMessage('Invalid folder ID'),
+    query('tagId').optional().isUUID().withMessage('Invalid tag ID')
+  ],
+  templateController.getTemplates
+);
+
+/**
+ * @swagger
+ * /templates/{id}:
+ *   get:
+ *     summary: Get a specific template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template details
+ *       404:
+ *         description: Template not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid template ID')
+  ],
+  templateController.getTemplate
+);
+
+/**
+ * @swagger
+ * /templates:
+ *   post:
+ *     summary: Create a new template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               contentType:
+ *                 type: string
+ *                 enum: [blog, product, social, email, custom]
+ *               promptTemplate:
+ *                 type: string
+ *                 description: Prompt with {variable}, {#if}, {#unless} and {#each} placeholders
+ *               variables:
+ *                 type: array
+ *                 description: Declared variables with name, type, required and default
+ *               structure:
+ *                 type: object
+ *               defaultParameters:
+ *                 type: object
+ *               outputSchema:
+ *                 oneOf:
+ *                   - type: string
+ *                     enum: [product, email]
+ *                   - type: array
+ *                     items:
+ *                       type: object
+ *                 description: >
+ *                   Fields generations reply with as JSON, validated and rendered to
+ *                   Markdown: a preset name, or fields with name, type (string, text,
+ *                   list, table, number, boolean), label, description, required,
+ *                   display (title, section, body, field, hidden), maxLength,
+ *                   minItems, maxItems and columns (tables)
+ *               voiceProfileId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Voice profile of the user applied to generations from this template
+ *               isPublic:
+ *                 type: boolean
+ *               isSystem:
+ *                 type: boolean
+ *                 description: Admin only
+ *               changeNote:
+ *                 type: string
+ *               projectId:
+ *                 type: string
+ *                 format: uuid
+ *               folderId:
+ *                 type: string
+ *                 format: uuid
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Tag names; filing and tags do not add a version
+ *     responses:
+ *       201:
+ *         description: Template created
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  '/',
+  authenticate,
+  templateValidators(false),
+  templateController.createTemplate
+);
+
+/**
+ * @swagger
+ * /templates/{id}:
+ *   put:
+ *     summary: Update a template
+ *     description: >
+ *       Changing the content type, structure, prompt, variables, default
+ *       parameters, output schema or voice profile adds a new version. Earlier versions are
+ *       kept unchanged.
+ *       PATCH accepts the same fields, e.g. { isArchived: true } to archive.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Template not found
+ */
+router.put(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid template ID'),
+    ...templateValidators(true)
+  ],
+  isOwnerOrAdmin(Template),
+  templateController.updateTemplate
+);
+
+router.patch(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid template ID'),
+    ...templateValidators(true)
+  ],
+  isOwnerOrAdmin(Template),
+  templateController.updateTemplate
+);
+
+/**
+ * @swagger
+ * /templates/{id}:
+ *   delete:
+ *     summary: Delete a template
+ *     description: Only templates no content refers to can be deleted; archive the others.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Template not found
+ *       409:
+ *         description: Template is in use
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid template ID')
+  ],
+  isOwnerOrAdmin(Template),
+  templateController.deleteTemplate
+);
+
+/**
+ * @swagger
+ * /templates/{id}/clone:
+ *   post:
+ *     summary: Clone a template into a private copy
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Template ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Name of the copy
+ *     responses:
+ *       201:
+ *         description: Template cloned
+ *       404:
+ *         description: Template not found
+ */
+router.post(
+  '/:id/clone',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid template ID'),
+    body('name').optional().isString().trim().notEmpty().withMessage('Name must not be empty')
+  ],
+  templateController.cloneTemplate
+);
+
+/**
+ * @swagger
+ * /templates/{id}/versions:
+ *   get:
+ *     summary: Get the version history of a template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Template ID
+ *     responses:
+ *       200:
+ *         description: Template versions, newest first
+ *       404:
+ *         description: Template not found
+ */
+router.get(
+  '/:id/versions',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid template ID')
+  ],
+  templateController.getTemplateVersions
+);
+
+/**
+ * @swagger
+ * /templates/{id}/versions/{version}:
+ *   get:
+ *     summary: Get one version of a template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Template ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version number
+ *     responses:
+ *       200:
+ *         description: Template version
+ *       404:
+ *         description: Template or version not found
+ */
+router.get(
+  '/:id/versions/:version',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid template ID'),
+    param('version').isInt({ min: 1 }).withMessage('Invalid version')
+  ],
+  templateController.getTemplateVersion
+);
+
+module.exports = router;
@@ -0,0 +1,257 @@
+// src/api/voiceProfiles.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const voiceProfileController = require('../controllers/voiceProfileController');
+const { authenticate } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Body validators shared by create and update; update makes every field optional.
+// The list fields are checked in depth by voiceService.validateProfile.
+const voiceProfileValidators = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required'),
+    body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+    body('tone').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('Tone must be at most 255 characters'),
+    body('readingLevel').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Reading level must be at most 100 characters'),
+    body('bannedPhrases').optional().isArray({ max: 200 }).withMessage('Banned phrases must be an array of at most 200 phrases'),
+    body('terminology').optional().isArray({ max: 200 }).withMessage('Terminology must be an array of at most 200 rules'),
+    body('samples').optional().isArray().withMessage('Samples must be an array')
+  ];
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Voice Profiles
+ *   description: Brand voice profiles applied to generations
+ */
+
+/**
+ * @swagger
+ * /voice-profiles:
+ *   get:
+ *     summary: Get the current user's voice profiles
+ *     tags: [Voice Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Voice profiles, by name
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/',
+  authenticate,
+  voiceProfileController.getVoiceProfiles
+);
+
+/**
+ * @swagger
+ * /voice-profiles/{id}:
+ *   get:
+ *     summary: Get a voice profile
+ *     description: Returns the profile with the system message it compiles to.
+ *     tags: [Voice Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Voice profile ID
+ *     responses:
+ *       200:
+ *         description: Voice profile and system message
+ *       404:
+ *         description: Voice profile not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid voice profile ID')
+  ],
+  voiceProfileController.getVoiceProfile
+);
+
+/**
+ * @swagger
+ * /voice-profiles:
+ *   post:
+ *     summary: Create a voice profile
+ *     tags: [Voice Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               tone:
+ *                 type: string
+ *                 example: warm and direct
+ *               readingLevel:
+ *                 type: string
+ *                 example: 8th grade
+ *               bannedPhrases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               terminology:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     preferred:
+ *                       type: string
+ *                     avoid:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *               samples:
+ *                 type: array
+ *                 description: Up to 5 paragraphs written in the voice
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Voice profile created
+ *       400:
+ *         description: Invalid input
+ */
+router.post(
+  '/',
+  authenticate,
+  voiceProfileValidators(false),
+  voiceProfileController.createVoiceProfile
+);
+
+/**
+ * @swagger
+ * /voice-profiles/{id}:
+ *   put:
+ *     summary: Update a voice profile
+ *     description: Takes the same fields as creation, all optional.
+ *     tags: [Voice Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Voice profile ID
+ *     responses:
+ *       200:
+ *         description: Voice profile updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Voice profile not found
+ */
+router.put(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid voice profile ID'),
+    ...voiceProfileValidators(true)
+  ],
+  voiceProfileController.updateVoiceProfile
+);
+
+/**
+ * @swagger
+ * /voice-profiles/{id}:
+ *   delete:
+ *     summary: Delete a voice profile
+ *     description: Profiles used by a template must be detached from it first.
+ *     tags: [Voice Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Voice profile ID
+ *     responses:
+ *       200:
+ *         description: Voice profile deleted
+ *       404:
+ *         description: Voice profile not found
+ *       409:
+ *         description: Voice profile is used by templates
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid voice profile ID')
+  ],
+  voiceProfileController.deleteVoiceProfile
+);
+
+/**
+ * @swagger
+ * /voice-profiles/{id}/check:
+ *   post:
+ *     summary: Check a text against a voice profile
+ *     description: Reports the banned phrases and avoided terms the text uses.
+ *     tags: [Voice Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Voice profile ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Violations found
+ *       404:
+ *         description: Voice profile not found
+ */
+router.post(
+  '/:id/check',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Invalid voice profile ID'),
+    body('text').isString().withMessage('Text is required')
+  ],
+  voiceProfileController.checkText
+);
+
+module.exports = router;
@@ -7,6 +7,7 @@ const cookieParser = require('cookie-parser');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
 const logger = require('./utils/logger');
+const aiService = require('./services/aiService');
 const errorHandler = require('./middlewares/errorHandler');
 const rateLimiter = require('./middlewares/rateLimiter');
 
@@ -15,9 +16,17 @@ const authRoutes = require('./api/auth');
 const userRoutes = require('./api/users');
 const contentRoutes = require('./api/content');
 const generationRoutes = require('./api/generation');
+const templateRoutes = require('./api/templates');
 const creditRoutes = require('./api/credits');
 const adminRoutes = require('./api/admin');
 const integrationRoutes = require('./api/integrations');
+const voiceProfileRoutes = require('./api/voiceProfiles');
+const batchRoutes = require('./api/batches');
+const moderationRoutes = require('./api/moderation');
+const knowledgeRoutes = require('./api/knowledge');
+const projectRoutes = require('./api/projects');
+const folderRoutes = require('./api/folders');
+const tagRoutes = require('./api/tags');
 
 // Initialize Express app
 const app = express();
@@ -41,6 +50,20 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date() });
 });
 
+// AI provider health: circuit breaker state of each provider. The API stays
+// up while providers are down, so this reports degraded rather than failing.
+app.get('/health/ai', (req, res) => {
+  const health = aiService.getHealth();
+  const usable = health.providers.some(provider =>
+    health.fallbackChain.includes(provider.name) && provider.state !== 'open');
+
+  res.status(200).json({
+    status: usable ? 'ok' : 'degraded',
+    timestamp: new Date(),
+    ...health
+  });
+});
+
 // API documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs));
 
@@ -49,9 +72,17 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/content', contentRoutes);
 app.use('/api/generation', generationRoutes);
+app.use('/api/templates', templateRoutes);
 app.use('/api/credits', creditRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/integrations', integrationRoutes);
+app.use('/api/voice-profiles', voiceProfileRoutes);
+app.use('/api/batches', batchRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/knowledge', knowledgeRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/tags', tagRoutes);
 
 // 404 handler
 app.use((req, res, next) => {
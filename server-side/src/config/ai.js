@@ -0,0 +1,190 @@
+// src/config/ai.js
+require('dotenv').config();
+
+// Parse a comma-separated list from the environment
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Parse a comma-separated list of model IDs from the environment
+const parseModelList = (value) => parseList(value).map(id => ({ id, name: id }));
+
+// Parse a JSON array from the environment variable of the given name
+const parseJsonList = (name) => {
+  try {
+    return process.env[name] ? JSON.parse(process.env[name]) : [];
+  } catch (error) {
+    throw new Error(`${name} must be a JSON array: ${error.message}`);
+  }
+};
+
+// Model entries: id, name, contextWindow (tokens), pricing (USD per million
+// tokens), creditPricing (credits per thousand prompt and completion tokens),
+// creditMultiplier (credits relative to the base rate, used when usage is not
+// split into prompt and completion tokens) and optionally tokensPerWord
+// (completion tokens per word of output)
+module.exports = {
+  // Provider used when a generation does not request one
+  defaultProvider: process.env.AI_DEFAULT_PROVIDER || null,
+
+  // Providers tried in order after the requested one fails, e.g. 'anthropic,openai'.
+  // When unset, only the default provider is tried.
+  fallbackChain: parseList(process.env.AI_FALLBACK_CHAIN),
+
+  // Retries of rate-limited, timed-out and server errors, with exponential backoff
+  retry: {
+    maxRetries: parseInt(process.env.AI_MAX_RETRIES || '2'),
+    baseDelay: parseInt(process.env.AI_RETRY_BASE_DELAY_MS || '500'),
+    maxDelay: parseInt(process.env.AI_RETRY_MAX_DELAY_MS || '10000')
+  },
+
+  // A provider is skipped for resetTimeout after failureThreshold consecutive failures
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.AI_BREAKER_FAILURE_THRESHOLD || '5'),
+    resetTimeout: parseInt(process.env.AI_BREAKER_RESET_MS || '30000')
+  },
+
+  // Outline-first generation of long posts, one AI call per section. Blog posts
+  // of at least minWordCount words use it unless promptData.longForm is false.
+  longForm: {
+    minWordCount: parseInt(process.env.AI_LONG_FORM_MIN_WORDS || '2000'),
+    maxSections: parseInt(process.env.AI_LONG_FORM_MAX_SECTIONS || '12'),
+    // Words of the preceding sections sent as context with each section
+    contextWords: parseInt(process.env.AI_LONG_FORM_CONTEXT_WORDS || '1500')
+  },
+
+  // Character limits of generated SEO metadata. Search engines truncate
+  // titles and descriptions beyond roughly these lengths.
+  seo: {
+    metaTitleLength: parseInt(process.env.AI_SEO_META_TITLE_LENGTH || '60'),
+    metaDescriptionLength: parseInt(process.env.AI_SEO_META_DESCRIPTION_LENGTH || '160'),
+    excerptLength: parseInt(process.env.AI_SEO_EXCERPT_LENGTH || '300'),
+    slugLength: parseInt(process.env.AI_SEO_SLUG_LENGTH || '75')
+  },
+
+  // Bulk generation from uploaded CSV or JSON rows, one generation per row
+  batch: {
+    maxRows: parseInt(process.env.AI_BATCH_MAX_ROWS || '1000'),
+    // Bytes of an uploaded file
+    maxFileSize: parseInt(process.env.AI_BATCH_MAX_FILE_SIZE || '5242880')
+  },
+
+  // Screening of generated text. Flagged content is held in needs_review until
+  // an admin approves or rejects it. Classifiers run in the order given:
+  // 'rules' (local keyword and pattern rules) and 'openai' (the OpenAI
+  // moderation endpoint, which needs OPENAI_API_KEY).
+  moderation: {
+    enabled: process.env.AI_MODERATION_ENABLED !== 'false',
+    classifiers: parseList(process.env.AI_MODERATION_CLASSIFIERS || 'rules'),
+    // Hold the content when a classifier fails instead of letting it through
+    failClosed: process.env.AI_MODERATION_FAIL_CLOSED !== 'false',
+    // Phrases the rules classifier flags in addition to its built-in rules
+    blockedTerms: parseList(process.env.AI_MODERATION_BLOCKED_TERMS),
+    // Additional rules, e.g.
+    // '[{"category":"claims","label":"Guarantee","terms":["guaranteed results"]},{"category":"claims","label":"Percentage off","pattern":"\\d+% off"}]'
+    rules: parseJsonList('AI_MODERATION_RULES'),
+    openaiModel: process.env.AI_MODERATION_OPENAI_MODEL || 'omni-moderation-latest'
+  },
+
+  // Near-duplicate detection. Each generated item is fingerprinted from its
+  // runs of shingleSize words and compared with the rest of the owner's
+  // library; a similarity of threshold or more (0 to 1, the share of runs the
+  // two items have in common) warns before it is published.
+  similarity: {
+    shingleSize: parseInt(process.env.AI_SIMILARITY_SHINGLE_SIZE || '4'),
+    threshold: parseFloat(process.env.AI_SIMILARITY_THRESHOLD || '0.35'),
+    // Similar items and shared passages per item recorded
+    maxMatches: parseInt(process.env.AI_SIMILARITY_MAX_MATCHES || '5'),
+    maxPassages: parseInt(process.env.AI_SIMILARITY_MAX_PASSAGES || '3')
+  },
+
+  // Per-user knowledge base of reference documents. Documents are split into
+  // chunks of about chunkWords words, indexed with BM25, and the maxReferences
+  // chunks most relevant to a generation's topic and keywords are added to its
+  // prompt when promptData.useKnowledgeBase is set.
+  knowledge: {
+    // Bytes of an uploaded document
+    maxFileSize: parseInt(process.env.AI_KNOWLEDGE_MAX_FILE_SIZE || '10485760'),
+    chunkWords: parseInt(process.env.AI_KNOWLEDGE_CHUNK_WORDS || '200'),
+    maxReferences: parseInt(process.env.AI_KNOWLEDGE_MAX_REFERENCES || '5')
+  },
+
+  // Translation of content items into sibling items of other locales
+  translation: {
+    // Terms never translated, such as brand and product names, in addition to
+    // the glossary sent with a request
+    glossary: parseList(process.env.AI_TRANSLATION_GLOSSARY),
+    maxLocales: parseInt(process.env.AI_TRANSLATION_MAX_LOCALES || '10')
+  },
+
+  // Inline edits of a passage selected in the editor. The words around the
+  // selection, up to contextWords on either side, are sent along so the edit
+  // fits in; continueWords is the length of a "continue writing" suggestion.
+  inlineEdit: {
+    maxSelectionWords: parseInt(process.env.AI_EDIT_MAX_SELECTION_WORDS || '1000'),
+    contextWords: parseInt(process.env.AI_EDIT_CONTEXT_WORDS || '150'),
+    continueWords: parseInt(process.env.AI_EDIT_CONTINUE_WORDS || '100')
+  },
+
+  // Generations from templates with an output schema. A reply that is not
+  // valid JSON matching the schema is sent back to the model with the errors,
+  // up to maxAttempts calls in all.
+  structuredOutput: {
+    maxAttempts: parseInt(process.env.AI_STRUCTURED_OUTPUT_MAX_ATTEMPTS || '3')
+  },
+
+  // Audit trail of generations: the prompts, request options and raw response
+  // of every provider call, and the output of each post-processing step. The
+  // worker deletes trails older than retentionDays every purgeInterval
+  // milliseconds; a retentionDays of 0 stops them from being recorded.
+  audit: {
+    retentionDays: parseInt(process.env.AI_AUDIT_RETENTION_DAYS || '30'),
+    purgeInterval: parseInt(process.env.AI_AUDIT_PURGE_INTERVAL || '3600000')
+  },
+
+  // Completion tokens expected per requested word, for models without their own figure
+  tokensPerWord: parseFloat(process.env.AI_TOKENS_PER_WORD || '1.35'),
+
+  // Credit multiplier for models without a catalog entry
+  defaultCreditMultiplier: parseFloat(process.env.AI_DEFAULT_CREDIT_MULTIPLIER || '1'),
+
+  // Additional or overriding models, e.g.
+  // '[{"provider":"local","id":"mistral","creditPricing":{"input":200,"output":400},"creditMultiplier":0.5}]'
+  modelCatalog: parseJsonList('AI_MODEL_CATALOG'),
+
+  // OpenAI configuration
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    defaultModel: process.env.OPENAI_DEFAULT_MODEL || 'gpt-4',
+    models: [
+      { id: 'gpt-4', name: 'GPT-4', contextWindow: 8192, pricing: { input: 30, output: 60 }, creditPricing: { input: 750, output: 1500 }, creditMultiplier: 1.5 },
+      { id: 'gpt-4o', name: 'GPT-4o', contextWindow: 128000, pricing: { input: 2.5, output: 10 }, creditPricing: { input: 500, output: 1250 }, creditMultiplier: 1.25 },
+      { id: 'gpt-4o-mini', name: 'GPT-4o mini', contextWindow: 128000, pricing: { input: 0.15, output: 0.6 }, creditPricing: { input: 200, output: 500 }, creditMultiplier: 0.5 },
+      { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', contextWindow: 16385, pricing: { input: 0.5, output: 1.5 }, creditPricing: { input: 500, output: 1000 }, creditMultiplier: 1 }
+    ]
+  },
+
+  // Anthropic Messages API configuration
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    apiVersion: process.env.ANTHROPIC_API_VERSION || '2023-06-01',
+    defaultModel: process.env.ANTHROPIC_DEFAULT_MODEL || 'claude-3-5-sonnet-latest',
+    timeout: parseInt(process.env.ANTHROPIC_TIMEOUT_MS || '120000'),
+    models: [
+      { id: 'claude-3-5-sonnet-latest', name: 'Claude 3.5 Sonnet', contextWindow: 200000, pricing: { input: 3, output: 15 }, creditPricing: { input: 500, output: 1250 }, creditMultiplier: 1.25 },
+      { id: 'claude-3-5-haiku-latest', name: 'Claude 3.5 Haiku', contextWindow: 200000, pricing: { input: 0.8, output: 4 }, creditPricing: { input: 300, output: 800 }, creditMultiplier: 0.75 },
+      { id: 'claude-3-opus-latest', name: 'Claude 3 Opus', contextWindow: 200000, pricing: { input: 15, output: 75 }, creditPricing: { input: 1000, output: 2500 }, creditMultiplier: 2 }
+    ]
+  },
+
+  // Self-hosted server exposing the OpenAI chat completions API (e.g. Ollama, vLLM)
+  openaiCompatible: {
+    name: process.env.OPENAI_COMPATIBLE_NAME || 'local',
+    baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+    defaultModel: process.env.OPENAI_COMPATIBLE_DEFAULT_MODEL || 'llama3',
+    models: parseModelList(process.env.OPENAI_COMPATIBLE_MODELS)
+  }
+};
@@ -115,7 +115,7 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['draft', 'generated', 'published', 'archived'],
+              enum: ['draft', 'generated', 'needs_review', 'published', 'archived'],
               description: 'Content status',
             },
             format: {
@@ -127,6 +127,19 @@ const options = {
               type: 'integer',
               description: 'Word count',
             },
+            locale: {
+              type: 'string',
+              description: 'BCP 47 language tag of the content',
+            },
+            sourceItemId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Content item this one is a translation of',
+            },
+            translationStale: {
+              type: 'boolean',
+              description: 'Whether the source item changed after this translation was made',
+            },
             publishedUrl: {
               type: 'string',
               format: 'uri',
@@ -291,6 +304,51 @@ const options = {
             },
           },
         },
+        BatchSettings: {
+          type: 'object',
+          required: ['templateId', 'columnMapping'],
+          properties: {
+            templateId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Template the rows are generated from',
+            },
+            templateVersion: {
+              type: 'integer',
+              description: 'Template version to use (defaults to the current version)',
+            },
+            columnMapping: {
+              type: 'object',
+              description: 'Template variable -> upload column. The "title" key names the column content item titles are taken from.',
+              additionalProperties: {
+                type: 'string',
+              },
+              example: {
+                productName: 'Name',
+                features: 'Features',
+                title: 'Name',
+              },
+            },
+            promptData: {
+              type: 'object',
+              description: 'Prompt data shared by every row; mapped cells that are not empty take precedence',
+            },
+            contentType: {
+              type: 'string',
+              enum: ['blog', 'product', 'social', 'email', 'custom'],
+              description: "Type of content (defaults to the template's)",
+            },
+            aiProvider: {
+              type: 'string',
+              description: 'AI provider to use',
+            },
+            voiceProfileId: {
+              type: 'string',
+              format: 'uuid',
+              description: "Voice profile (defaults to the template's)",
+            },
+          },
+        },
         Error: {
           type: 'object',
           properties: {
@@ -443,7 +501,7 @@ module.exports = specs;
  *         name: status
  *         schema:
  *           type: string
- *           enum: [draft, generated, published, archived]
+ *           enum: [draft, generated, needs_review, published, archived]
  *         description: Filter by content status
  *       - in: query
  *         name: contentType
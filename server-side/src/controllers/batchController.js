@@ -0,0 +1,466 @@
+// src/controllers/batchController.js
+const { validationResult } = require('express-validator');
+const { CreditAccount } = require('../db/models');
+const { batchService } = require('../services/batchService');
+const { templateService } = require('../services/templateService');
+const { voiceService } = require('../services/voiceService');
+const { TemplateSyntaxError } = require('../utils/templateEngine');
+const logger = require('../utils/logger');
+
+// A batch without the uploaded rows, which may be large
+const summarize = (batch) => {
+  const { rows, ...summary } = batch.toJSON();
+  return summary;
+};
+
+// Resolve the template, version, voice profile and column mapping a batch is
+// previewed or started with, and plan its rows. Resolves to { error } with the
+// response status and body when the settings are invalid.
+const planBatch = async (batch, body, userId) => {
+  const {
+    templateId,
+    templateVersion: requestedVersion,
+    columnMapping = {},
+    promptData = {},
+    contentType: requestedContentType,
+    aiProvider,
+    voiceProfileId
+  } = body;
+
+  const template = await templateService.getAccessibleTemplate(templateId, userId);
+  if (!template) {
+    return { error: { status: 404, body: { error: 'Template not found or access denied' } } };
+  }
+
+  const templateVersion = await templateService.getVersion(template.id, requestedVersion || template.currentVersion);
+  if (!templateVersion && requestedVersion) {
+    return { error: { status: 404, body: { error: 'Template version not found' } } };
+  }
+
+  const source = templateVersion || template;
+  const mappingErrors = batchService.validateMapping(batch, source.variables || [], columnMapping, promptData);
+  if (mappingErrors.length > 0) {
+    return { error: { status: 400, body: { errors: mappingErrors } } };
+  }
+
+  const voiceProfile = await voiceService.resolveProfile(voiceProfileId, source, userId);
+  if (voiceProfileId && !voiceProfile) {
+    return { error: { status: 404, body: { error: 'Voice profile not found or access denied' } } };
+  }
+
+  const settings = {
+    template,
+    templateVersion,
+    columnMapping,
+    promptData,
+    contentType: requestedContentType || source.contentType || 'blog',
+    aiProvider,
+    voiceProfile
+  };
+
+  try {
+    return { settings, plannedRows: batchService.planRows(batch, settings) };
+  } catch (error) {
+    if (error instanceof TemplateSyntaxError) {
+      return { error: { status: 400, body: { error: error.message } } };
+    }
+    throw error;
+  }
+};
+
+// Totals of planned rows, with the errors of those that cannot be generated
+const summarizePlan = plannedRows => ({
+  rowCount: plannedRows.length,
+  validRows: plannedRows.filter(planned => planned.errors.length === 0).length,
+  estimatedCost: plannedRows.reduce((total, planned) => total + planned.estimatedCost, 0),
+  rows: plannedRows.map(({ row, title, estimatedCost, errors }) => ({ row, title, estimatedCost, errors }))
+});
+
+/**
+ * Upload the rows of a batch, as a CSV or JSON file or a JSON array of rows
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.uploadBatch = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file && req.body.rows === undefined) {
+      return res.status(400).json({ error: 'Upload a CSV or JSON file, or send the rows as a JSON array' });
+    }
+
+    const name = req.body.name || (req.file ? req.file.originalname : 'Untitled batch');
+    let batch;
+    try {
+      const upload = req.file ? batchService.parseFile(req.file) : batchService.parseRows(req.body.rows);
+      batch = await batchService.createBatch(req.user.id, name, upload);
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Batch uploaded successfully',
+      batch: summarize(batch),
+      // The first rows, to map the columns against
+      sample: batch.rows.slice(0, 5)
+    });
+  } catch (error) {
+    logger.error('Upload batch error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's batches, newest first
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getBatches = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const { count, rows } = await batchService.listBatches(req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    const batches = [];
+    for (const batch of rows) {
+      batches.push({
+        ...batch.toJSON(),
+        progress: await batchService.getProgress(batch)
+      });
+    }
+
+    res.status(200).json({
+      batches,
+      pagination: {
+        totalItems: count,
+        totalPages: Math.ceil(count / parseInt(limit)),
+        currentPage: parseInt(page),
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get batches error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a batch with its aggregate progress
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getBatch = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await batchService.getBatch(req.params.id, req.user.id);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found or access denied' });
+    }
+
+    res.status(200).json({
+      batch: summarize(batch),
+      progress: await batchService.getProgress(batch),
+      sample: batch.rows.slice(0, 5)
+    });
+  } catch (error) {
+    logger.error('Get batch error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Preview a batch: map its rows onto a template and estimate their cost,
+ * reporting the rows that cannot be generated
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.previewBatch = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const batch = await batchService.getBatch(req.params.id, userId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found or access denied' });
+    }
+
+    const { error, plannedRows } = await planBatch(batch, req.body, userId);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const creditAccount = await CreditAccount.findOne({ where: { userId } });
+
+    res.status(200).json({
+      ...summarizePlan(plannedRows),
+      creditsRemaining: creditAccount ? creditAccount.creditsRemaining : null
+    });
+  } catch (error) {
+    logger.error('Preview batch error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Start a draft batch: queue one generation per row that can be generated.
+ * The credits of every row are held up front.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.startBatch = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const batch = await batchService.getBatch(req.params.id, userId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found or access denied' });
+    }
+
+    if (batch.status !== 'draft') {
+      return res.status(409).json({ error: 'Batch has already been started' });
+    }
+
+    const { error, settings, plannedRows } = await planBatch(batch, req.body, userId);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const plan = summarizePlan(plannedRows);
+    if (plan.validRows === 0) {
+      return res.status(400).json({
+        error: 'None of the rows can be generated',
+        rows: plan.rows
+      });
+    }
+
+    // Fast path for the common case; placing the holds re-checks the balance
+    const creditAccount = await CreditAccount.findOne({ where: { userId } });
+    if (!creditAccount) {
+      return res.status(404).json({ error: 'Credit account not found' });
+    }
+
+    if (creditAccount.creditsRemaining < plan.estimatedCost) {
+      return res.status(402).json({
+        error: 'Insufficient credits for this batch',
+        required: plan.estimatedCost,
+        available: creditAccount.creditsRemaining
+      });
+    }
+
+    try {
+      await batchService.startBatch(batch, settings, plannedRows);
+    } catch (error) {
+      if (error.statusCode === 402) {
+        return res.status(402).json({
+          error: 'Insufficient credits for this batch',
+          ...error.data
+        });
+      }
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(202).json({
+      message: 'Batch queued successfully',
+      batch: summarize(batch),
+      progress: await batchService.getProgress(batch)
+    });
+  } catch (error) {
+    logger.error('Start batch error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a page of a batch's rows with their status and errors
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getBatchRows = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await batchService.getBatch(req.params.id, req.user.id);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found or access denied' });
+    }
+
+    const { page = 1, limit = 50, status } = req.query;
+    const { count, rows } = await batchService.listRows(batch, {
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      rows,
+      pagination: {
+        totalItems: count,
+        totalPages: Math.ceil(count / parseInt(limit)),
+        currentPage: parseInt(page),
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get batch rows error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Pause a processing batch
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.pauseBatch = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await batchService.getBatch(req.params.id, req.user.id, { attributes: { exclude: ['rows'] } });
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found or access denied' });
+    }
+
+    try {
+      await batchService.pauseBatch(batch);
+    } catch (error) {
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(200).json({
+      message: 'Batch paused successfully',
+      batch,
+      progress: await batchService.getProgress(batch)
+    });
+  } catch (error) {
+    logger.error('Pause batch error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Resume a paused batch
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.resumeBatch = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await batchService.getBatch(req.params.id, req.user.id, { attributes: { exclude: ['rows'] } });
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found or access denied' });
+    }
+
+    try {
+      await batchService.resumeBatch(batch);
+    } catch (error) {
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(200).json({
+      message: 'Batch resumed successfully',
+      batch,
+      progress: await batchService.getProgress(batch)
+    });
+  } catch (error) {
+    logger.error('Resume batch error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Download the upload with each row's result as CSV
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.downloadResults = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await batchService.getBatch(req.params.id, req.user.id);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found or access denied' });
+    }
+
+    const filename = `${batch.name.replace(/\.(csv|json)$/i, '').replace(/[^\w.-]+/g, '_')}-results.csv`;
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.status(200).send(await batchService.buildResultsCsv(batch));
+  } catch (error) {
+    logger.error('Download batch results error:', error);
+    next(error);
+  }
+};
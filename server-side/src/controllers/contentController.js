@@ -1,10 +1,28 @@
 // src/controllers/contentController.js
 const { validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
-const { ContentItem, Template, ContentGeneration } = require('../db/models');
+const { ContentItem, Template, ContentGeneration, Project, Folder, Tag } = require('../db/models');
 const { queueService } = require('../services/queueService');
+const { similarityService } = require('../services/similarityService');
+const { translationService } = require('../services/translationService');
+const { revisionService } = require('../services/revisionService');
+const { searchService } = require('../services/searchService');
+const { organizationService, TAG_ATTRIBUTES } = require('../services/organizationService');
 const logger = require('../utils/logger');
 
+// Fields of the translations listed with their source item
+const TRANSLATION_ATTRIBUTES = ['id', 'title', 'locale', 'status', 'wordCount', 'translationStale', 'updatedAt'];
+
+// The integration to publish an item to: the one given, or else its project's
+const resolveIntegrationId = async (integrationId, contentItem) => {
+  if (integrationId || !contentItem.projectId) {
+    return integrationId || null;
+  }
+
+  const project = await organizationService.getProject(contentItem.projectId, contentItem.userId);
+  return project ? project.integrationId : null;
+};
+
 /**
  * Get all content items for the current user
  * @param {object} req - Express request object
@@ -23,31 +41,55 @@ exports.getContentItems = async (req, res, next) => {
     const { 
       page = 1, 
       limit = 10,
+      search,
       status,
-      contentType
+      contentType,
+      locale,
+      templateId,
+      integrationId,
+      dateField,
+      from,
+      to,
+      minWords,
+      maxWords,
+      sort,
+      order,
+      projectId,
+      folderId,
+      tagId
     } = req.query;
 
-    // Build filter
-    const filter = { userId };
-    if (status) filter.status = status;
-    if (contentType) filter.contentType = contentType;
-
-    // Calculate pagination
-    const offset = (page - 1) * limit;
+    // Translations are listed under their source item, unless the items of
+    // one locale are asked for
+    let canonicalLocale = null;
+    if (locale) {
+      try {
+        canonicalLocale = translationService.normalizeLocale(locale);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
 
-    // Get content items
-    const { count, rows: contentItems } = await ContentItem.findAndCountAll({
-      where: filter,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      order: [['updatedAt', 'DESC']],
-      include: [
-        { 
-          model: Template, 
-          as: 'template',
-          attributes: ['id', 'name']
-        }
-      ]
+    // Search, filter and sort
+    const organization = await organizationService.resolveFilter(userId, { projectId, folderId, tagId });
+    const { count, rows: contentItems } = await searchService.searchContent(userId, {
+      ...organization,
+      search,
+      status,
+      contentType,
+      locale: canonicalLocale,
+      templateId,
+      integrationId,
+      dateField,
+      from,
+      to,
+      minWords,
+      maxWords
+    }, {
+      sort,
+      order,
+      page: parseInt(page),
+      limit: parseInt(limit)
     });
 
     // Calculate total pages
@@ -88,12 +130,39 @@ exports.getContentItem = async (req, res, next) => {
     // Get content item with associated data
     const contentItem = await ContentItem.findOne({
       where: { id },
+      attributes: { exclude: ['fingerprint'] },
       include: [
         { 
           model: Template, 
           as: 'template',
           attributes: ['id', 'name', 'description', 'structure', 'promptTemplate']
         },
+        {
+          model: ContentItem,
+          as: 'translations',
+          attributes: TRANSLATION_ATTRIBUTES
+        },
+        {
+          model: ContentItem,
+          as: 'sourceItem',
+          attributes: ['id', 'title', 'locale', 'updatedAt']
+        },
+        {
+          model: Project,
+          as: 'project',
+          attributes: ['id', 'name', 'color', 'integrationId']
+        },
+        {
+          model: Folder,
+          as: 'folder',
+          attributes: ['id', 'name']
+        },
+        {
+          model: Tag,
+          as: 'tags',
+          attributes: TAG_ATTRIBUTES,
+          through: { attributes: [] }
+        },
         {
           model: ContentGeneration,
           as: 'generations',
@@ -139,10 +208,27 @@ exports.createContentItem = async (req, res, next) => {
       title, 
       content, 
       contentType, 
-      templateId,
-      format = 'markdown'
+      format = 'markdown',
+      projectId,
+      folderId,
+      tags
     } = req.body;
 
+    // Check the project and folder before creating anything
+    let placement;
+    try {
+      placement = await organizationService.resolvePlacement(userId, { projectId, folderId });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Content created in a project without a template gets the project's
+    const project = placement.projectId ? await organizationService.getProject(placement.projectId, userId) : null;
+    const templateId = req.body.templateId || (project && project.defaultTemplateId) || undefined;
+
     // Check if template exists if provided
     if (templateId) {
       const template = await Template.findOne({
@@ -175,9 +261,18 @@ exports.createContentItem = async (req, res, next) => {
       metadata: {
         createdManually: true,
         createdAt: new Date().toISOString()
-      }
+      },
+      ...placement
     });
 
+    if (tags !== undefined) {
+      await organizationService.assign(contentItem, userId, { tags });
+    }
+
+    if (content) {
+      await revisionService.record(contentItem, { source: 'manual', authorId: userId });
+    }
+
     res.status(201).json({
       message: 'Content item created successfully',
       contentItem
@@ -204,7 +299,7 @@ exports.updateContentItem = async (req, res, next) => {
 
     const { id } = req.params;
     const userId = req.user.id;
-    const { title, content, status, format } = req.body;
+    const { title, content, status, format, inlineEditIds, projectId, folderId, tags } = req.body;
 
     // Find the content item
     const contentItem = await ContentItem.findByPk(id);
@@ -218,12 +313,30 @@ exports.updateContentItem = async (req, res, next) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    // Held content is released through the moderation review, not by editing it
+    if (contentItem.status === 'needs_review' && status !== undefined) {
+      return res.status(409).json({ error: 'Content held for moderation review can only be released by an admin review' });
+    }
+
+    // File the item with its owner's projects, folders and tags
+    if (projectId !== undefined || folderId !== undefined || tags !== undefined) {
+      try {
+        await organizationService.assign(contentItem, contentItem.userId, { projectId, folderId, tags });
+      } catch (error) {
+        if (error.statusCode === 400) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
+
     // Update content item
     const updateData = {};
     if (title !== undefined) updateData.title = title;
     if (content !== undefined) {
       updateData.content = content;
       updateData.wordCount = content.split(/\s+/).filter(Boolean).length;
+      updateData.fingerprint = similarityService.fingerprint(content);
     }
     if (status !== undefined) updateData.status = status;
     if (format !== undefined) updateData.format = format;
@@ -242,6 +355,26 @@ exports.updateContentItem = async (req, res, next) => {
 
     await contentItem.update(updateData);
 
+    if (updateData.title !== undefined || updateData.content !== undefined) {
+      await translationService.markStale(contentItem.id);
+
+      // Content with accepted inline AI suggestions is credited to the last of them
+      const inlineEdits = inlineEditIds && inlineEditIds.length > 0
+        ? (await ContentGeneration.findAll({
+          where: { id: inlineEditIds, contentItemId: id, task: 'edit' },
+          attributes: ['id', 'metadata', 'updatedAt'],
+          order: [['updatedAt', 'ASC']]
+        })).filter(edit => edit.metadata && edit.metadata.suggestion && edit.metadata.suggestion.decision === 'accept')
+        : [];
+      const lastEdit = inlineEdits[inlineEdits.length - 1];
+
+      await revisionService.record(contentItem, {
+        source: lastEdit ? 'inline_edit' : 'manual',
+        authorId: userId,
+        generationId: lastEdit ? lastEdit.id : null
+      });
+    }
+
     res.status(200).json({
       message: 'Content item updated successfully',
       contentItem: {
@@ -312,7 +445,7 @@ exports.publishContent = async (req, res, next) => {
 
     const { id } = req.params;
     const userId = req.user.id;
-    const { integrationId, publishOptions = {} } = req.body;
+    const { publishOptions = {} } = req.body;
 
     // Find the content item
     const contentItem = await ContentItem.findByPk(id);
@@ -333,6 +466,11 @@ exports.publishContent = async (req, res, next) => {
       });
     }
 
+    const integrationId = await resolveIntegrationId(req.body.integrationId, contentItem);
+    if (!integrationId) {
+      return res.status(400).json({ error: 'Integration ID is required for content outside a project with an integration' });
+    }
+
     // Queue publishing job
     const publishingJobId = uuidv4();
     
@@ -384,7 +522,7 @@ exports.scheduleContent = async (req, res, next) => {
 
     const { id } = req.params;
     const userId = req.user.id;
-    const { scheduledAt, integrationId, publishOptions = {} } = req.body;
+    const { scheduledAt, publishOptions = {} } = req.body;
 
     // Find the content item
     const contentItem = await ContentItem.findByPk(id);
@@ -405,6 +543,11 @@ exports.scheduleContent = async (req, res, next) => {
       });
     }
 
+    const integrationId = await resolveIntegrationId(req.body.integrationId, contentItem);
+    if (!integrationId) {
+      return res.status(400).json({ error: 'Integration ID is required for content outside a project with an integration' });
+    }
+
     // Check if scheduled date is in the future
     const scheduledDate = new Date(scheduledAt);
     if (scheduledDate <= new Date()) {
@@ -448,3 +591,199 @@ exports.scheduleContent = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Compare a content item with the rest of its owner's library
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.checkSimilarity = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Find the content item
+    const contentItem = await ContentItem.findByPk(id);
+
+    if (!contentItem) {
+      return res.status(404).json({ error: 'Content item not found' });
+    }
+
+    // Check if user owns the content (already handled by middleware, but double check)
+    if (contentItem.userId !== userId && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const fingerprint = similarityService.fingerprint(contentItem.content);
+    const similarity = await similarityService.compare(contentItem, contentItem.content, fingerprint);
+
+    await contentItem.update({
+      fingerprint,
+      metadata: {
+        ...contentItem.metadata,
+        similarity
+      }
+    });
+
+    res.status(200).json({ similarity });
+  } catch (error) {
+    logger.error('Check similarity error:', error);
+    next(error);
+  }
+};
+
+/**
+ * List the revisions of a content item, newest first
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getRevisions = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const { count, rows: revisions } = await revisionService.list(id, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      revisions,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get revisions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get one revision of a content item with its content
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getRevision = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, revisionId } = req.params;
+
+    const revision = await revisionService.get(id, revisionId);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.status(200).json({ revision });
+  } catch (error) {
+    logger.error('Get revision error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Compare two revisions of a content item, or one with the latest
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.diffRevisions = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { from: fromId, to: toId, granularity = 'line' } = req.query;
+
+    const [from, to] = await Promise.all([
+      revisionService.get(id, fromId),
+      toId ? revisionService.get(id, toId) : revisionService.latest(id)
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.status(200).json({ diff: revisionService.compare(from, to, granularity) });
+  } catch (error) {
+    logger.error('Diff revisions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Restore the title and content of a revision, as a new revision
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.restoreRevision = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, revisionId } = req.params;
+    const userId = req.user.id;
+
+    const contentItem = await ContentItem.findByPk(id);
+
+    if (!contentItem) {
+      return res.status(404).json({ error: 'Content item not found' });
+    }
+
+    const revision = await revisionService.get(id, revisionId);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    let restored;
+    try {
+      restored = await revisionService.restore(contentItem, revision, userId);
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(200).json({
+      message: `Revision ${revision.number} restored`,
+      revision: restored,
+      contentItem
+    });
+  } catch (error) {
+    logger.error('Restore revision error:', error);
+    next(error);
+  }
+};
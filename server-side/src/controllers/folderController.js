@@ -0,0 +1,133 @@
+// src/controllers/folderController.js
+const { validationResult } = require('express-validator');
+const { organizationService } = require('../services/organizationService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the current user's folders, as a flat list
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getFolders = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const folders = await organizationService.listFolders(req.user.id, {
+      projectId: req.query.projectId
+    });
+
+    res.status(200).json({ folders });
+  } catch (error) {
+    logger.error('Get folders error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a folder
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.createFolder = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let folder;
+    try {
+      folder = await organizationService.createFolder(req.user.id, req.body);
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 409) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Folder created successfully',
+      folder
+    });
+  } catch (error) {
+    logger.error('Create folder error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Rename a folder or move it to another parent
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.updateFolder = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const folder = await organizationService.getFolder(req.params.id, req.user.id);
+
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found or access denied' });
+    }
+
+    try {
+      await organizationService.updateFolder(folder, req.body);
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 409) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(200).json({
+      message: 'Folder updated successfully',
+      folder
+    });
+  } catch (error) {
+    logger.error('Update folder error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a folder, moving its contents up to its parent
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.deleteFolder = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const folder = await organizationService.getFolder(req.params.id, req.user.id);
+
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found or access denied' });
+    }
+
+    await organizationService.deleteFolder(folder);
+
+    res.status(200).json({
+      message: 'Folder deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete folder error:', error);
+    next(error);
+  }
+};
@@ -1,11 +1,68 @@
 // src/controllers/generationController.js
 const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
 const { validationResult } = require('express-validator');
-const { ContentGeneration, ContentItem, CreditAccount, User, Template } = require('../db/models');
+const { sequelize, ContentGeneration, ContentItem, CreditAccount, User, TemplateVersion, GenerationStep, VoiceProfile, Tag } = require('../db/models');
 const { queueService } = require('../services/queueService');
-const { estimateGenerationCost } = require('../services/creditService');
+const { creditService, estimateGenerationCost } = require('../services/creditService');
+const { progressService } = require('../services/progressService');
+const { modelRegistry } = require('../services/modelRegistry');
+const { templateService } = require('../services/templateService');
+const { longFormService } = require('../services/longFormService');
+const { voiceService } = require('../services/voiceService');
+const { batchService } = require('../services/batchService');
+const { moderationService } = require('../services/moderationService');
+const { similarityService } = require('../services/similarityService');
+const { translationService } = require('../services/translationService');
+const { editService } = require('../services/editService');
+const { structuredOutputService } = require('../services/structuredOutputService');
+const { auditService } = require('../services/auditService');
+const { revisionService } = require('../services/revisionService');
+const { searchService } = require('../services/searchService');
+const { organizationService, TAG_ATTRIBUTES } = require('../services/organizationService');
+const { TemplateSyntaxError } = require('../utils/templateEngine');
+const aiService = require('../services/aiService');
+const config = require('../config/ai');
 const logger = require('../utils/logger');
 
+// Render the prompt a generation will send, as the worker does, for
+// token-based cost estimates. Throws TemplateSyntaxError for broken templates.
+const renderPrompt = (template, promptData, contentType) => {
+  const parameters = templateService.resolveParameters(template, { ...promptData, contentType });
+  const prompt = aiService.buildPrompt(contentType, parameters, template);
+  const outputSchema = structuredOutputService.resolveSchema(template && template.outputSchema);
+
+  return {
+    parameters,
+    prompt: outputSchema ? `${prompt}\n\n${structuredOutputService.buildInstructions(outputSchema)}` : prompt
+  };
+};
+
+// A voice profile's system message is sent with every call, so it is
+// estimated as part of the prompt
+const withSystemMessage = (prompt, voiceProfile) => (voiceProfile
+  ? `${aiService.buildSystemMessage(voiceProfile)}\n\n${prompt}`
+  : prompt);
+
+// Queue the job of generations whose credits are held. A job that could not
+// be queued would never settle its holds, so they are released, the
+// generations failed and any item created for them deleted before the error
+// is passed on.
+const enqueueHeld = async (generations, job, createdItem = null) => {
+  try {
+    await queueService.enqueue('content-generation', job);
+  } catch (error) {
+    for (const generation of generations) {
+      await generation.update({ status: 'failed', error: error.message });
+      await creditService.releaseHold(generation.id, 'generation_not_queued');
+    }
+    if (createdItem) {
+      await createdItem.destroy();
+    }
+    throw error;
+  }
+};
+
 // Create new content generation request
 exports.createGenerationRequest = async (req, res, next) => {
   try {
@@ -20,10 +77,13 @@ exports.createGenerationRequest = async (req, res, next) => {
       title, 
       contentType = 'blog', 
       templateId, 
-      promptData,
+      templateVersion: requestedVersion,
       aiProvider,
+      voiceProfileId,
       isNewContent = true, 
-      contentItemId
+      contentItemId,
+      projectId,
+      folderId
     } = req.body;
 
     // If updating existing content, verify content item exists and user owns it
@@ -41,33 +101,85 @@ exports.createGenerationRequest = async (req, res, next) => {
       }
     }
 
+    // New content is filed where requested; generations go where their item is
+    let placement = {};
+    if (!contentItem) {
+      try {
+        placement = await organizationService.resolvePlacement(userId, { projectId, folderId });
+      } catch (error) {
+        if (error.statusCode === 400) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
+    const placedProjectId = contentItem ? contentItem.projectId : placement.projectId;
+    const project = placedProjectId ? await organizationService.getProject(placedProjectId, userId) : null;
+
+    // New content in a project is generated from the project's default
+    // template unless another is given
+    const effectiveTemplateId = templateId || (!contentItem && project && project.defaultTemplateId) || null;
+
     // Get template if specified
     let template = null;
-    if (templateId) {
-      template = await Template.findOne({
-        where: {
-          id: templateId,
-          $or: [
-            { userId },
-            { isPublic: true },
-            { isSystem: true }
-          ]
-        }
-      });
+    let templateVersion = null;
+    let { promptData } = req.body;
+    if (effectiveTemplateId) {
+      template = await templateService.getAccessibleTemplate(effectiveTemplateId, userId);
       
       if (!template) {
         return res.status(404).json({ error: 'Template not found or access denied' });
       }
+
+      // Pin the generation to a template version: the requested one, e.g. when
+      // regenerating older content, or else the current one
+      templateVersion = await templateService.getVersion(template.id, requestedVersion || template.currentVersion);
+
+      if (!templateVersion && requestedVersion) {
+        return res.status(404).json({ error: 'Template version not found' });
+      }
+
+      // Check the prompt data against the version's declared variables
+      const { values, errors: variableErrors } = templateService.validatePromptData(
+        (templateVersion || template).variables,
+        promptData
+      );
+      if (variableErrors.length > 0) {
+        return res.status(400).json({ errors: variableErrors });
+      }
+      promptData = values;
+    }
+
+    // A project's brand voice takes precedence over its templates' voices
+    const voiceProfile = await voiceService.resolveProfile(
+      voiceProfileId || (project && project.voiceProfileId),
+      templateVersion || template,
+      userId
+    );
+    if (voiceProfileId && !voiceProfile) {
+      return res.status(404).json({ error: 'Voice profile not found or access denied' });
     }
 
-    // Check user's credit balance
+    // Check user's credit balance. This is only a fast path for the common
+    // case; placeHold below re-checks the balance under a row lock.
     const creditAccount = await CreditAccount.findOne({ where: { userId } });
     if (!creditAccount) {
       return res.status(404).json({ error: 'Credit account not found' });
     }
 
-    // Estimate the cost of this generation
-    const estimatedCost = estimateGenerationCost(promptData, contentType);
+    // Estimate the cost of this generation from the prompt it will send
+    let estimatedCost;
+    try {
+      const { parameters, prompt } = renderPrompt(templateVersion || template, promptData, contentType);
+      estimatedCost = estimateGenerationCost(parameters, contentType, aiProvider, {
+        prompt: withSystemMessage(prompt, voiceProfile)
+      });
+    } catch (error) {
+      if (error instanceof TemplateSyntaxError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
     
     if (creditAccount.creditsRemaining < estimatedCost) {
       return res.status(402).json({ 
@@ -92,7 +204,8 @@ exports.createGenerationRequest = async (req, res, next) => {
         metadata: {
           generationRequest: true,
           generationId
-        }
+        },
+        ...placement
       });
     }
 
@@ -101,33 +214,56 @@ exports.createGenerationRequest = async (req, res, next) => {
       id: generationId,
       userId,
       contentItemId: contentItem.id,
+      projectId: contentItem.projectId,
+      folderId: contentItem.folderId,
       promptData: {
         ...promptData,
         contentType,
         templateId: template ? template.id : null
       },
+      templateVersionId: templateVersion ? templateVersion.id : null,
+      voiceProfileId: voiceProfile ? voiceProfile.id : null,
       aiProvider: aiProvider || 'default',
       status: 'queued',
       estimatedCredits: estimatedCost
     });
 
-    // Reserve credits
-    creditAccount.creditsRemaining -= estimatedCost;
-    await creditAccount.save();
+    // Reserve credits until the worker settles the actual cost
+    try {
+      await creditService.placeHold(userId, estimatedCost, generation.id);
+    } catch (error) {
+      await generation.update({ status: 'failed', error: error.message });
+
+      // The draft was only created to hold this generation's content
+      if (isNewContent) {
+        await contentItem.destroy();
+      }
+
+      if (error.statusCode === 402) {
+        return res.status(402).json({ 
+          error: 'Insufficient credits for this generation',
+          ...error.data
+        });
+      }
+
+      throw error;
+    }
 
     // Queue the generation job
-    await queueService.enqueue('content-generation', {
+    await enqueueHeld([generation], {
       generationId: generation.id,
       userId,
       contentItemId: contentItem.id,
       promptData: generation.promptData,
       aiProvider: generation.aiProvider
-    });
+    }, isNewContent ? contentItem : null);
 
     res.status(202).json({
       message: 'Content generation request queued successfully',
       generationId: generation.id,
       contentItemId: contentItem.id,
+      templateVersion: templateVersion ? templateVersion.version : null,
+      voiceProfileId: generation.voiceProfileId,
       estimatedCost,
       status: 'queued'
     });
@@ -137,6 +273,168 @@ exports.createGenerationRequest = async (req, res, next) => {
   }
 };
 
+// Render the prompt a generation request would send, without spending credits
+exports.previewGeneration = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const {
+      contentType = 'blog',
+      templateId,
+      promptData = {},
+      promptTemplate,
+      variables,
+      aiProvider
+    } = req.body;
+
+    let template = null;
+    if (templateId) {
+      template = await templateService.getAccessibleTemplate(templateId, userId);
+
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found or access denied' });
+      }
+
+      template = template.toJSON();
+    }
+
+    // Unsaved template edits take precedence over the stored template
+    if (promptTemplate !== undefined || variables !== undefined) {
+      template = {
+        ...template,
+        ...(promptTemplate !== undefined && { promptTemplate }),
+        ...(variables !== undefined && { variables })
+      };
+
+      const schemaErrors = templateService.validateVariableSchema(template.variables);
+      if (schemaErrors.length > 0) {
+        return res.status(400).json({ errors: schemaErrors });
+      }
+    }
+
+    const { values, errors: variableErrors } = templateService.validatePromptData(
+      template ? template.variables : [],
+      promptData
+    );
+    if (variableErrors.length > 0) {
+      return res.status(400).json({ errors: variableErrors });
+    }
+
+    const parameters = templateService.resolveParameters(template, { ...values, contentType });
+
+    let prompt;
+    try {
+      prompt = aiService.buildPrompt(contentType, parameters, template);
+    } catch (error) {
+      if (error instanceof TemplateSyntaxError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(200).json({
+      prompt,
+      parameters,
+      estimatedCost: estimateGenerationCost(parameters, contentType, aiProvider, { prompt }),
+      undeclaredVariables: template ? templateService.getUndeclaredVariables(template) : []
+    });
+  } catch (error) {
+    logger.error('Generation preview error:', error);
+    next(error);
+  }
+};
+
+// Estimate what a generation request would cost, from the prompt it would
+// send. Meant to be called as generation options change, so partially filled
+// prompt data is estimated rather than rejected.
+exports.estimateGeneration = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const {
+      contentType = 'blog',
+      templateId,
+      templateVersion: requestedVersion,
+      promptData = {},
+      aiProvider,
+      voiceProfileId
+    } = req.body;
+
+    let template = null;
+    if (templateId) {
+      const stored = await templateService.getAccessibleTemplate(templateId, userId);
+
+      if (!stored) {
+        return res.status(404).json({ error: 'Template not found or access denied' });
+      }
+
+      const templateVersion = await templateService.getVersion(stored.id, requestedVersion || stored.currentVersion);
+
+      if (!templateVersion && requestedVersion) {
+        return res.status(404).json({ error: 'Template version not found' });
+      }
+
+      template = templateVersion || stored;
+    }
+
+    const voiceProfile = await voiceService.resolveProfile(voiceProfileId, template, userId);
+    if (voiceProfileId && !voiceProfile) {
+      return res.status(404).json({ error: 'Voice profile not found or access denied' });
+    }
+
+    const { values } = templateService.validatePromptData(template ? template.variables : [], promptData);
+
+    let estimate;
+    try {
+      const { parameters, prompt } = renderPrompt(template, values, contentType);
+      estimate = creditService.estimatePromptCost(withSystemMessage(prompt, voiceProfile), parameters, contentType, aiProvider);
+    } catch (error) {
+      if (error instanceof TemplateSyntaxError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const creditAccount = await CreditAccount.findOne({ where: { userId } });
+
+    res.status(200).json({
+      ...estimate,
+      creditsRemaining: creditAccount ? creditAccount.creditsRemaining : null
+    });
+  } catch (error) {
+    logger.error('Generation estimate error:', error);
+    next(error);
+  }
+};
+
+// List the AI models available for generation
+exports.getModels = async (req, res, next) => {
+  try {
+    // Availability checks call the providers, so only admins may bypass the cache
+    const refresh = req.query.refresh === 'true' && req.user.role === 'admin';
+
+    const models = await modelRegistry.listModels({ refresh });
+
+    res.status(200).json({
+      models,
+      defaultProvider: aiService.defaultProvider
+    });
+  } catch (error) {
+    logger.error('Get models error:', error);
+    next(error);
+  }
+};
+
 // Get generation request status
 exports.getGenerationStatus = async (req, res, next) => {
   try {
@@ -161,6 +459,13 @@ exports.getGenerationStatus = async (req, res, next) => {
       return res.status(404).json({ error: 'Generation request not found' });
     }
 
+    // AI calls of long-form generations, with the credits each one used
+    const steps = await GenerationStep.findAll({
+      where: { generationId: generation.id },
+      attributes: ['id', 'type', 'position', 'title', 'status', 'aiProvider', 'aiModel', 'usage', 'creditsUsed', 'error', 'completionTime'],
+      order: [['position', 'ASC']]
+    });
+
     res.status(200).json({
       generation: {
         id: generation.id,
@@ -173,6 +478,10 @@ exports.getGenerationStatus = async (req, res, next) => {
         estimatedCredits: generation.estimatedCredits,
         creditsUsed: generation.creditsUsed,
         error: generation.error,
+        outline: generation.metadata.outline || null,
+        voiceProfileId: generation.voiceProfileId,
+        voiceViolations: generation.metadata.voiceViolations || null,
+        steps,
         contentItem: generation.contentItem ? {
           id: generation.contentItem.id,
           title: generation.contentItem.title,
@@ -186,6 +495,161 @@ exports.getGenerationStatus = async (req, res, next) => {
   }
 };
 
+// Get the audit trail of a generation: what was sent to the providers, what
+// they returned and what post-processing made of it. Owners and admins only;
+// the route checks ownership, so admins can inspect any generation.
+exports.getGenerationAudit = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const generation = await ContentGeneration.findByPk(req.params.id);
+
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation request not found' });
+    }
+
+    const audits = await auditService.list(generation.id);
+
+    res.status(200).json({
+      generation: {
+        id: generation.id,
+        userId: generation.userId,
+        contentItemId: generation.contentItemId,
+        task: generation.task,
+        status: generation.status,
+        promptData: generation.promptData,
+        aiProvider: generation.aiProvider,
+        aiModel: generation.aiModel,
+        usage: generation.metadata.usage || null,
+        processingSteps: generation.metadata.processingSteps || [],
+        error: generation.error,
+        createdAt: generation.createdAt,
+        completionTime: generation.completionTime
+      },
+      audits: audits.map(audit => ({
+        id: audit.id,
+        createdAt: audit.createdAt,
+        calls: audit.calls,
+        processingSteps: audit.processingSteps
+      })),
+      retentionDays: config.audit.retentionDays
+    });
+  } catch (error) {
+    logger.error('Get generation audit error:', error);
+    next(error);
+  }
+};
+
+// Stream generation progress as Server-Sent Events
+exports.streamGenerationEvents = async (req, res, next) => {
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  const cleanup = () => {
+    if (unsubscribe) unsubscribe();
+    clearInterval(heartbeat);
+  };
+
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const send = (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    const close = () => {
+      cleanup();
+      res.end();
+    };
+
+    // Subscribe before reading the current status so no transition is missed
+    const buffered = [];
+    let streaming = false;
+    unsubscribe = await progressService.subscribe(id, (event) => {
+      if (!streaming) {
+        buffered.push(event);
+        return;
+      }
+
+      send(event);
+
+      if (progressService.isTerminal(event)) {
+        close();
+      }
+    });
+
+    const generation = await ContentGeneration.findOne({
+      where: { 
+        id,
+        userId
+      }
+    });
+    
+    if (!generation) {
+      cleanup();
+      return res.status(404).json({ error: 'Generation request not found' });
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Start with the current state, then replay anything received meanwhile
+    const snapshot = {
+      type: 'status',
+      generationId: generation.id,
+      status: generation.status,
+      contentItemId: generation.contentItemId,
+      creditsUsed: generation.creditsUsed,
+      error: generation.error,
+      timestamp: new Date().toISOString()
+    };
+    send(snapshot);
+
+    if (progressService.isTerminal(snapshot)) {
+      return close();
+    }
+
+    for (const event of buffered) {
+      send(event);
+
+      if (progressService.isTerminal(event)) {
+        return close();
+      }
+    }
+    streaming = true;
+
+    // Keep idle connections open through proxies
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    req.on('close', cleanup);
+  } catch (error) {
+    cleanup();
+    logger.error('Stream generation events error:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    next(error);
+  }
+};
+
 // Cancel generation request
 exports.cancelGeneration = async (req, res, next) => {
   try {
@@ -204,25 +668,54 @@ exports.cancelGeneration = async (req, res, next) => {
       return res.status(404).json({ error: 'Generation request not found' });
     }
 
-    // Can only cancel if still in queued status
-    if (generation.status !== 'queued') {
+    // Can only cancel if still queued or waiting for outline approval
+    if (!['queued', 'awaiting_outline'].includes(generation.status)) {
       return res.status(400).json({ 
         error: 'Cannot cancel generation that is already processing or completed'
       });
     }
 
-    // Update generation status
-    generation.status = 'failed';
-    generation.error = 'Cancelled by user';
-    await generation.save();
+    // The outline of a long-form generation was written before it was
+    // cancelled, so the calls of its completed steps are charged
+    const steps = await GenerationStep.findAll({
+      where: { generationId: generation.id, status: 'completed' }
+    });
+    const creditsUsed = steps.reduce((total, step) => total + step.creditsUsed, 0);
 
-    // Refund credits
-    const creditAccount = await CreditAccount.findOne({ where: { userId } });
-    if (creditAccount) {
-      creditAccount.creditsRemaining += generation.estimatedCredits;
-      await creditAccount.save();
+    // Update generation status only if a worker has not claimed it meanwhile
+    const [cancelled] = await ContentGeneration.update({
+      status: 'failed',
+      error: 'Cancelled by user',
+      completionTime: new Date(),
+      ...(creditsUsed > 0 && { creditsUsed })
+    }, {
+      where: { 
+        id: generation.id,
+        status: { [Op.in]: ['queued', 'awaiting_outline'] }
+      }
+    });
+
+    if (cancelled === 0) {
+      return res.status(400).json({ 
+        error: 'Cannot cancel generation that is already processing or completed'
+      });
+    }
+
+    // Settle the hold for the completed steps, or release it in full
+    let creditsRefunded;
+    if (creditsUsed > 0) {
+      const settlement = await creditService.settleHold(generation.id, creditsUsed);
+      creditsRefunded = settlement ? settlement.creditsRefunded : 0;
+    } else {
+      ({ creditsReleased: creditsRefunded } = await creditService.releaseHold(generation.id, 'cancelled_by_user'));
     }
 
+    await progressService.publish(generation.id, {
+      type: 'status',
+      status: 'failed',
+      error: 'Cancelled by user'
+    });
+
     // Try to remove from queue (may not succeed if already picked up by worker)
     try {
       await queueService.removeFromQueue('content-generation', generation.id);
@@ -230,10 +723,15 @@ exports.cancelGeneration = async (req, res, next) => {
       logger.warn('Failed to remove from queue, may already be processing:', error);
     }
 
+    // A batch completes once its last row is finished, cancelled ones included
+    if (generation.batchId) {
+      await batchService.refreshProgress(generation.batchId);
+    }
+
     res.status(200).json({
       message: 'Generation request cancelled successfully',
       generationId: generation.id,
-      creditsRefunded: generation.estimatedCredits
+      creditsRefunded
     });
   } catch (error) {
     logger.error('Cancel generation error:', error);
@@ -241,36 +739,1029 @@ exports.cancelGeneration = async (req, res, next) => {
   }
 };
 
-// Get generation history for user
-exports.getGenerationHistory = async (req, res, next) => {
+// Approve the outline of a long-form generation, optionally edited, and queue
+// the generation again to write its sections
+exports.approveOutline = async (req, res, next) => {
   try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
     const userId = req.user.id;
-    const { page = 1, limit = 10, status } = req.query;
 
-    // Set up filter
-    const filter = { userId };
-    if (status) {
-      filter.status = status;
+    const generation = await ContentGeneration.findOne({
+      where: { 
+        id,
+        userId
+      }
+    });
+    
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation request not found' });
     }
 
-    // Calculate pagination
-    const offset = (page - 1) * limit;
+    if (generation.status !== 'awaiting_outline') {
+      return res.status(400).json({ error: 'Generation is not awaiting outline approval' });
+    }
 
-    // Find generations
-    const { count, rows: generations } = await ContentGeneration.findAndCountAll({
-      where: filter,
-      include: [
-        {
-          model: ContentItem,
-          as: 'contentItem',
-          attributes: ['id', 'title', 'status', 'contentType']
+    let { outline } = generation.metadata;
+
+    if (req.body.outline) {
+      const outlineErrors = longFormService.validateOutline(req.body.outline);
+      if (outlineErrors.length > 0) {
+        return res.status(400).json({ errors: outlineErrors });
+      }
+
+      // Keep the length the generated outline was planned for
+      const wordCount = outline.sections.reduce((total, section) => total + section.wordCount, 0);
+      outline = longFormService.normalizeOutline(req.body.outline, wordCount);
+    }
+
+    // Queue the generation only if it has not been cancelled meanwhile
+    const [approved] = await ContentGeneration.update({
+      status: 'queued',
+      metadata: {
+        ...generation.metadata,
+        outline,
+        outlineApprovedAt: new Date().toISOString()
+      }
+    }, {
+      where: { 
+        id: generation.id,
+        status: 'awaiting_outline'
+      }
+    });
+
+    if (approved === 0) {
+      return res.status(400).json({ error: 'Generation is not awaiting outline approval' });
+    }
+
+    try {
+      await queueService.enqueue('content-generation', {
+        generationId: generation.id,
+        userId,
+        contentItemId: generation.contentItemId,
+        promptData: generation.promptData,
+        aiProvider: generation.aiProvider
+      });
+    } catch (error) {
+      // Hand the outline back for approval. Its hold stays open until the
+      // generation is approved again or cancelled.
+      await ContentGeneration.update({
+        status: 'awaiting_outline',
+        metadata: generation.metadata
+      }, {
+        where: { id: generation.id }
+      });
+      throw error;
+    }
+
+    await progressService.publish(generation.id, {
+      type: 'status',
+      status: 'queued'
+    });
+
+    res.status(202).json({
+      message: 'Outline approved, generation queued',
+      generationId: generation.id,
+      outline,
+      status: 'queued'
+    });
+  } catch (error) {
+    logger.error('Approve outline error:', error);
+    next(error);
+  }
+};
+
+// Words a headline variant is expected to take; estimateGenerationCost applies its minimum
+const HEADLINE_WORD_COUNT = 20;
+
+const countWords = text => (text || '').split(/\s+/).filter(Boolean).length;
+
+// Request several alternative versions of a content item, its headline or a
+// passage of it, generated in one job as sibling generations of the item
+exports.createVariations = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { id: contentItemId } = req.params;
+    const {
+      count = 3,
+      target = 'content',
+      selection,
+      promptData: promptUpdates = {},
+      aiProvider
+    } = req.body;
+
+    const contentItem = await ContentItem.findOne({
+      where: {
+        id: contentItemId,
+        userId
+      }
+    });
+
+    if (!contentItem) {
+      return res.status(404).json({ error: 'Content item not found or access denied' });
+    }
+
+    if (target !== 'content' && !contentItem.content) {
+      return res.status(400).json({ error: 'Content item has no content to vary' });
+    }
+
+    if (target === 'section' && !contentItem.content.includes(selection)) {
+      return res.status(400).json({ error: 'Selection was not found in the content item' });
+    }
+
+    // Start from the parameters, template version and voice of the item's latest generation
+    const latest = await ContentGeneration.findOne({
+      where: {
+        contentItemId,
+        userId,
+        task: 'content',
+        variationGroupId: null
+      },
+      order: [['createdAt', 'DESC']]
+    });
+
+    let promptData = {
+      topic: contentItem.title,
+      ...(latest && latest.promptData),
+      ...promptUpdates,
+      contentType: contentItem.contentType
+    };
+    const templateVersionId = latest ? latest.templateVersionId : null;
+    const templateVersion = templateVersionId ? await TemplateVersion.findByPk(templateVersionId) : null;
+    const voiceProfile = latest && latest.voiceProfileId ? await VoiceProfile.findByPk(latest.voiceProfileId) : null;
+
+    if (templateVersionId && Object.keys(promptUpdates).length > 0) {
+      const { values, errors: variableErrors } = templateService.validatePromptData(
+        templateVersion ? templateVersion.variables : [],
+        promptData
+      );
+      if (variableErrors.length > 0) {
+        return res.status(400).json({ errors: variableErrors });
+      }
+      promptData = values;
+    }
+
+    const provider = aiProvider || (latest && latest.aiProvider) || 'default';
+
+    // Every variant is estimated, from the first variant's prompt, and held separately
+    let estimatedCost;
+    try {
+      const { parameters, prompt: basePrompt } = renderPrompt(templateVersion, promptData, contentItem.contentType);
+      const prompt = aiService.buildVariationPrompt(
+        target === 'content' ? basePrompt : null,
+        { target, index: 0, count, selection },
+        contentItem,
+        parameters
+      );
+      const costData = {
+        content: parameters,
+        headline: { ...parameters, wordCount: HEADLINE_WORD_COUNT },
+        section: { ...parameters, wordCount: countWords(selection) }
+      }[target];
+      estimatedCost = estimateGenerationCost(costData, contentItem.contentType, provider === 'default' ? undefined : provider, {
+        prompt: withSystemMessage(prompt, voiceProfile)
+      });
+    } catch (error) {
+      if (error instanceof TemplateSyntaxError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+    const totalCost = estimatedCost * count;
+
+    const creditAccount = await CreditAccount.findOne({ where: { userId } });
+    if (!creditAccount) {
+      return res.status(404).json({ error: 'Credit account not found' });
+    }
+
+    if (creditAccount.creditsRemaining < totalCost) {
+      return res.status(402).json({ 
+        error: 'Insufficient credits for these variations',
+        required: totalCost,
+        available: creditAccount.creditsRemaining
+      });
+    }
+
+    const variationGroupId = uuidv4();
+    const generations = [];
+
+    for (let index = 0; index < count; index++) {
+      const generation = await ContentGeneration.create({
+        id: uuidv4(),
+        userId,
+        contentItemId,
+        projectId: contentItem.projectId,
+        folderId: contentItem.folderId,
+        promptData: {
+          ...promptData,
+          variation: {
+            target,
+            index,
+            count,
+            ...(target === 'section' && { selection })
+          }
+        },
+        templateVersionId,
+        voiceProfileId: voiceProfile ? voiceProfile.id : null,
+        variationGroupId,
+        variantIndex: index,
+        aiProvider: provider,
+        status: 'queued',
+        estimatedCredits: estimatedCost
+      });
+
+      try {
+        await creditService.placeHold(userId, estimatedCost, generation.id);
+      } catch (error) {
+        // Release the holds already placed for this request
+        await generation.update({ status: 'failed', error: error.message });
+
+        for (const placed of generations) {
+          await placed.update({ status: 'failed', error: error.message });
+          await creditService.releaseHold(placed.id, 'variations_not_queued');
+        }
+
+        if (error.statusCode === 402) {
+          return res.status(402).json({ 
+            error: 'Insufficient credits for these variations',
+            ...error.data
+          });
+        }
+
+        throw error;
+      }
+
+      generations.push(generation);
+    }
+
+    // One job generates all the variants
+    await enqueueHeld(generations, {
+      variationGroupId,
+      generationIds: generations.map(generation => generation.id),
+      userId,
+      contentItemId
+    });
+
+    res.status(202).json({
+      message: 'Variations queued successfully',
+      variationGroupId,
+      contentItemId,
+      target,
+      generationIds: generations.map(generation => generation.id),
+      estimatedCost: totalCost,
+      estimatedCostPerVariant: estimatedCost,
+      status: 'queued'
+    });
+  } catch (error) {
+    logger.error('Create variations error:', error);
+    next(error);
+  }
+};
+
+// List the variations requested for a content item, newest request first
+exports.getVariations = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { id: contentItemId } = req.params;
+
+    const contentItem = await ContentItem.findOne({
+      where: {
+        id: contentItemId,
+        userId
+      }
+    });
+
+    if (!contentItem) {
+      return res.status(404).json({ error: 'Content item not found or access denied' });
+    }
+
+    const variants = await ContentGeneration.findAll({
+      where: {
+        contentItemId,
+        userId,
+        variationGroupId: { [Op.ne]: null }
+      },
+      order: [['createdAt', 'DESC'], ['variantIndex', 'ASC']]
+    });
+
+    // Group the variants of each request, keeping the newest request first
+    const groups = new Map();
+
+    variants.forEach(variant => {
+      if (!groups.has(variant.variationGroupId)) {
+        const { target, selection } = variant.promptData.variation || {};
+
+        groups.set(variant.variationGroupId, {
+          variationGroupId: variant.variationGroupId,
+          target,
+          selection,
+          createdAt: variant.createdAt,
+          variants: []
+        });
+      }
+
+      groups.get(variant.variationGroupId).variants.push({
+        id: variant.id,
+        variantIndex: variant.variantIndex,
+        status: variant.status,
+        output: variant.output,
+        wordCount: variant.metadata.wordCount,
+        aiProvider: variant.aiProvider,
+        aiModel: variant.aiModel,
+        creditsUsed: variant.creditsUsed,
+        error: variant.error,
+        voiceViolations: variant.metadata.voiceViolations || null,
+        promotedAt: variant.metadata.promotedAt || null
+      });
+    });
+
+    res.status(200).json({
+      contentItemId,
+      groups: [...groups.values()]
+    });
+  } catch (error) {
+    logger.error('Get variations error:', error);
+    next(error);
+  }
+};
+
+// Make a completed variant the content item's content, title or passage
+exports.promoteVariation = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const variant = await ContentGeneration.findOne({
+      where: { 
+        id,
+        userId,
+        variationGroupId: { [Op.ne]: null }
+      }
+    });
+    
+    if (!variant) {
+      return res.status(404).json({ error: 'Variation not found' });
+    }
+
+    if (variant.status !== 'completed') {
+      return res.status(400).json({ error: 'Only completed variations can be promoted' });
+    }
+
+    const contentItem = await ContentItem.findOne({
+      where: {
+        id: variant.contentItemId,
+        userId
+      }
+    });
+
+    if (!contentItem) {
+      return res.status(404).json({ error: 'Content item not found' });
+    }
+
+    const { target, selection } = variant.promptData.variation;
+    const promotedVariant = {
+      generationId: variant.id,
+      variationGroupId: variant.variationGroupId,
+      target,
+      promotedAt: new Date().toISOString()
+    };
+    let changes;
+
+    if (target === 'headline') {
+      changes = { title: variant.output };
+    } else if (target === 'section') {
+      // The passage may have been edited since the variations were requested
+      if (!contentItem.content || !contentItem.content.includes(selection)) {
+        return res.status(409).json({ error: 'The varied passage is no longer in the content item' });
+      }
+
+      const content = contentItem.content.replace(selection, () => variant.output);
+      changes = { content, wordCount: countWords(content) };
+    } else {
+      changes = {
+        content: variant.output,
+        wordCount: variant.metadata.wordCount,
+        status: 'generated'
+      };
+    }
+
+    if (changes.content !== undefined) {
+      changes.fingerprint = similarityService.fingerprint(changes.content);
+    }
+
+    // A flagged variant holds the item for review whatever part of it it replaces
+    const moderation = variant.metadata.moderation || null;
+    const needsReview = moderationService.isFlagged(moderation);
+
+    if (needsReview) {
+      changes.status = 'needs_review';
+    }
+
+    await contentItem.update({
+      ...changes,
+      metadata: {
+        ...contentItem.metadata,
+        ...(target === 'content' && {
+          generationId: variant.id,
+          voiceViolations: variant.metadata.voiceViolations || null,
+          sources: variant.metadata.sources || null
+        }),
+        ...((target === 'content' || needsReview) && { moderation }),
+        promotedVariant
+      }
+    });
+
+    await variant.update({
+      metadata: { ...variant.metadata, promotedAt: promotedVariant.promotedAt }
+    });
+
+    await translationService.markStale(contentItem.id);
+    await revisionService.record(contentItem, {
+      source: 'generation',
+      authorId: userId,
+      generationId: variant.id
+    });
+
+    res.status(200).json({
+      message: 'Variation promoted successfully',
+      contentItem
+    });
+  } catch (error) {
+    logger.error('Promote variation error:', error);
+    next(error);
+  }
+};
+
+// Words the SEO metadata is expected to take; estimateGenerationCost applies its minimum
+const SEO_WORD_COUNT = 100;
+
+// Generate the SEO metadata of a content item from its current content
+exports.generateSeo = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { contentId } = req.params;
+    const { keywords, model, aiProvider } = req.body;
+
+    const contentItem = await ContentItem.findOne({
+      where: {
+        id: contentId,
+        userId
+      }
+    });
+
+    if (!contentItem) {
+      return res.status(404).json({ error: 'Content item not found or access denied' });
+    }
+
+    if (!contentItem.content) {
+      return res.status(400).json({ error: 'Content item has no content to optimize' });
+    }
+
+    // Default to the keywords and voice the content was generated with
+    const latest = await ContentGeneration.findOne({
+      where: {
+        contentItemId: contentItem.id,
+        userId,
+        task: 'content'
+      },
+      order: [['createdAt', 'DESC']]
+    });
+
+    const promptData = {
+      keywords: keywords || (latest && latest.promptData.keywords) || [],
+      ...(model && { model }),
+      contentType: contentItem.contentType
+    };
+    const voiceProfile = latest && latest.voiceProfileId ? await VoiceProfile.findByPk(latest.voiceProfileId) : null;
+    const estimatedCost = estimateGenerationCost({ ...promptData, wordCount: SEO_WORD_COUNT }, contentItem.contentType, aiProvider, {
+      prompt: withSystemMessage(aiService.buildSeoPrompt(contentItem, { keywords: promptData.keywords, limits: config.seo }), voiceProfile)
+    });
+
+    const creditAccount = await CreditAccount.findOne({ where: { userId } });
+    if (!creditAccount) {
+      return res.status(404).json({ error: 'Credit account not found' });
+    }
+
+    if (creditAccount.creditsRemaining < estimatedCost) {
+      return res.status(402).json({ 
+        error: 'Insufficient credits for SEO metadata',
+        required: estimatedCost,
+        available: creditAccount.creditsRemaining
+      });
+    }
+
+    const generation = await ContentGeneration.create({
+      id: uuidv4(),
+      userId,
+      contentItemId: contentItem.id,
+      projectId: contentItem.projectId,
+      folderId: contentItem.folderId,
+      task: 'seo',
+      promptData,
+      voiceProfileId: voiceProfile ? voiceProfile.id : null,
+      aiProvider: aiProvider || 'default',
+      status: 'queued',
+      estimatedCredits: estimatedCost
+    });
+
+    try {
+      await creditService.placeHold(userId, estimatedCost, generation.id);
+    } catch (error) {
+      await generation.update({ status: 'failed', error: error.message });
+
+      if (error.statusCode === 402) {
+        return res.status(402).json({ 
+          error: 'Insufficient credits for SEO metadata',
+          ...error.data
+        });
+      }
+
+      throw error;
+    }
+
+    await enqueueHeld([generation], {
+      generationId: generation.id,
+      userId,
+      contentItemId: contentItem.id,
+      promptData: generation.promptData,
+      aiProvider: generation.aiProvider
+    });
+
+    res.status(202).json({
+      message: 'SEO metadata generation queued successfully',
+      generationId: generation.id,
+      contentItemId: contentItem.id,
+      estimatedCost,
+      status: 'queued'
+    });
+  } catch (error) {
+    logger.error('Generate SEO error:', error);
+    next(error);
+  }
+};
+
+// Translate a content item into other locales, one sibling item per locale.
+// A locale the item was already translated into is translated again in place.
+exports.translateContent = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { contentId } = req.params;
+    const { glossary = [], model, aiProvider } = req.body;
+
+    const source = await ContentItem.findOne({
+      where: {
+        id: contentId,
+        userId
+      }
+    });
+
+    if (!source) {
+      return res.status(404).json({ error: 'Content item not found or access denied' });
+    }
+
+    if (source.sourceItemId) {
+      return res.status(400).json({ error: 'This item is a translation; translate its source item instead' });
+    }
+
+    if (!source.content) {
+      return res.status(400).json({ error: 'Content item has no content to translate' });
+    }
+
+    const givenSourceLocale = req.body.sourceLocale || source.locale;
+    let locales;
+    let sourceLocale = null;
+    try {
+      locales = [...new Set(req.body.locales.map(locale => translationService.normalizeLocale(locale)))];
+      if (givenSourceLocale) {
+        sourceLocale = translationService.normalizeLocale(givenSourceLocale);
+      }
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    if (sourceLocale && locales.includes(sourceLocale)) {
+      return res.status(400).json({ error: `The content is already in ${sourceLocale}` });
+    }
+
+    // Plan every locale before anything is created, so a conflict or missing
+    // credits leave nothing half-queued
+    const planned = [];
+    for (const locale of locales) {
+      const existing = await translationService.findTranslation(source.id, locale);
+
+      if (existing) {
+        const running = await ContentGeneration.findOne({
+          where: {
+            contentItemId: existing.id,
+            task: 'translation',
+            status: { [Op.in]: ['queued', 'processing'] }
+          }
+        });
+
+        if (running) {
+          return res.status(409).json({ error: `A translation into ${locale} is already in progress` });
+        }
+      }
+
+      const promptData = {
+        locale,
+        sourceLocale,
+        glossary,
+        wordCount: source.wordCount,
+        contentType: source.contentType,
+        ...(model && { model })
+      };
+      const estimatedCost = estimateGenerationCost(promptData, source.contentType, aiProvider, {
+        prompt: translationService.buildPrompt(source, promptData).prompt
+      });
+
+      planned.push({ locale, existing, promptData, estimatedCost });
+    }
+
+    const totalCost = planned.reduce((sum, item) => sum + item.estimatedCost, 0);
+
+    const creditAccount = await CreditAccount.findOne({ where: { userId } });
+    if (!creditAccount) {
+      return res.status(404).json({ error: 'Credit account not found' });
+    }
+
+    if (creditAccount.creditsRemaining < totalCost) {
+      return res.status(402).json({ 
+        error: 'Insufficient credits for the translations',
+        required: totalCost,
+        available: creditAccount.creditsRemaining
+      });
+    }
+
+    if (sourceLocale && !source.locale) {
+      await source.update({ locale: sourceLocale });
+    }
+
+    const translations = [];
+    for (const { locale, existing, promptData, estimatedCost } of planned) {
+      const target = existing || await ContentItem.create({
+        id: uuidv4(),
+        userId,
+        title: source.title,
+        content: '',
+        contentType: source.contentType,
+        templateId: source.templateId,
+        format: source.format,
+        status: 'draft',
+        locale,
+        sourceItemId: source.id,
+        projectId: source.projectId,
+        folderId: source.folderId,
+        metadata: {
+          createdAt: new Date().toISOString()
+        }
+      });
+
+      const generation = await ContentGeneration.create({
+        id: uuidv4(),
+        userId,
+        contentItemId: target.id,
+        projectId: target.projectId,
+        folderId: target.folderId,
+        task: 'translation',
+        promptData,
+        aiProvider: aiProvider || 'default',
+        status: 'queued',
+        estimatedCredits: estimatedCost
+      });
+
+      try {
+        await creditService.placeHold(userId, estimatedCost, generation.id);
+      } catch (error) {
+        await generation.update({ status: 'failed', error: error.message });
+
+        if (!existing) {
+          await target.destroy();
+        }
+
+        if (error.statusCode === 402) {
+          // Translations queued before the balance ran out carry on
+          return res.status(402).json({ 
+            error: `Insufficient credits for the translation into ${locale}`,
+            ...error.data,
+            translations
+          });
+        }
+
+        throw error;
+      }
+
+      await enqueueHeld([generation], {
+        generationId: generation.id,
+        userId,
+        contentItemId: target.id,
+        promptData: generation.promptData,
+        aiProvider: generation.aiProvider
+      }, existing ? null : target);
+
+      translations.push({
+        locale,
+        contentItemId: target.id,
+        generationId: generation.id,
+        estimatedCost
+      });
+    }
+
+    res.status(202).json({
+      message: 'Translations queued successfully',
+      sourceItemId: source.id,
+      sourceLocale,
+      translations,
+      estimatedCost: totalCost,
+      status: 'queued'
+    });
+  } catch (error) {
+    logger.error('Translate content error:', error);
+    next(error);
+  }
+};
+
+// Suggest an edit of a passage selected in a content item. The selection
+// and the text around it are sent by the editor, whose blocks may not be
+// saved yet; the suggestion is not applied to the item.
+exports.editContent = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { contentId } = req.params;
+    const { operation, text, before, after, tone, model, aiProvider } = req.body;
+
+    const contentItem = await ContentItem.findOne({
+      where: {
+        id: contentId,
+        userId
+      }
+    });
+
+    if (!contentItem) {
+      return res.status(404).json({ error: 'Content item not found or access denied' });
+    }
+
+    let prompt;
+    try {
+      prompt = editService.buildPrompt(contentItem, { operation, text, before, after, tone });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Edits keep the voice the content was generated with
+    const latest = await ContentGeneration.findOne({
+      where: {
+        contentItemId: contentItem.id,
+        userId,
+        task: 'content'
+      },
+      order: [['createdAt', 'DESC']]
+    });
+    const voiceProfile = latest && latest.voiceProfileId ? await VoiceProfile.findByPk(latest.voiceProfileId) : null;
+
+    const promptData = {
+      operation,
+      text,
+      before: before || '',
+      after: after || '',
+      ...(tone && { tone }),
+      wordCount: editService.targetWords(operation, countWords(text)),
+      contentType: contentItem.contentType,
+      ...(model && { model })
+    };
+    const estimatedCost = estimateGenerationCost(promptData, contentItem.contentType, aiProvider, {
+      prompt: withSystemMessage(prompt, voiceProfile)
+    });
+
+    const creditAccount = await CreditAccount.findOne({ where: { userId } });
+    if (!creditAccount) {
+      return res.status(404).json({ error: 'Credit account not found' });
+    }
+
+    if (creditAccount.creditsRemaining < estimatedCost) {
+      return res.status(402).json({ 
+        error: 'Insufficient credits for the edit',
+        required: estimatedCost,
+        available: creditAccount.creditsRemaining
+      });
+    }
+
+    const generation = await ContentGeneration.create({
+      id: uuidv4(),
+      userId,
+      contentItemId: contentItem.id,
+      projectId: contentItem.projectId,
+      folderId: contentItem.folderId,
+      task: 'edit',
+      promptData,
+      voiceProfileId: voiceProfile ? voiceProfile.id : null,
+      aiProvider: aiProvider || 'default',
+      status: 'queued',
+      estimatedCredits: estimatedCost
+    });
+
+    try {
+      await creditService.placeHold(userId, estimatedCost, generation.id);
+    } catch (error) {
+      await generation.update({ status: 'failed', error: error.message });
+
+      if (error.statusCode === 402) {
+        return res.status(402).json({ 
+          error: 'Insufficient credits for the edit',
+          ...error.data
+        });
+      }
+
+      throw error;
+    }
+
+    await enqueueHeld([generation], {
+      generationId: generation.id,
+      userId,
+      contentItemId: contentItem.id,
+      promptData: generation.promptData,
+      aiProvider: generation.aiProvider
+    });
+
+    res.status(202).json({
+      message: 'Edit queued successfully',
+      generationId: generation.id,
+      contentItemId: contentItem.id,
+      operation,
+      estimatedCost,
+      status: 'queued'
+    });
+  } catch (error) {
+    logger.error('Edit content error:', error);
+    next(error);
+  }
+};
+
+// Record whether the suggestion of an edit was accepted or rejected. The
+// editor applies an accepted suggestion itself; this keeps the decision with
+// the generation it was billed as.
+exports.resolveSuggestion = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { decision } = req.body;
+    const userId = req.user.id;
+
+    const generation = await ContentGeneration.findOne({
+      where: {
+        id,
+        userId,
+        task: 'edit'
+      }
+    });
+
+    if (!generation) {
+      return res.status(404).json({ error: 'Edit not found' });
+    }
+
+    const suggestion = generation.metadata && generation.metadata.suggestion;
+
+    if (generation.status !== 'completed' || !suggestion) {
+      return res.status(400).json({ error: 'The edit has no suggestion yet' });
+    }
+
+    if (suggestion.decision) {
+      return res.status(409).json({ error: `The suggestion was already ${suggestion.decision}ed` });
+    }
+
+    await generation.update({
+      metadata: {
+        ...generation.metadata,
+        suggestion: {
+          ...suggestion,
+          decision,
+          decidedAt: new Date().toISOString()
         }
-      ],
-      order: [['createdAt', 'DESC']],
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+      }
     });
 
+    res.status(200).json({
+      generationId: generation.id,
+      suggestion: generation.metadata.suggestion
+    });
+  } catch (error) {
+    logger.error('Resolve suggestion error:', error);
+    next(error);
+  }
+};
+
+// Get generation history for user
+exports.getGenerationHistory = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { page = 1, limit = 10, status, search, projectId, folderId, tagId } = req.query;
+    const organization = await organizationService.resolveFilter(userId, { projectId, folderId, tagId });
+
+    // Set up filter
+    const filter = { userId };
+    if (status) {
+      filter.status = status;
+    }
+    if (organization.projectId) {
+      filter.projectId = organization.projectId;
+    }
+    if (organization.folderIds) {
+      filter.folderId = organization.folderIds;
+    }
+    if (organization.tagId) {
+      filter.id = {
+        [Op.in]: sequelize.literal(`(SELECT "generationId" FROM "ContentGenerationTags" WHERE "tagId" = ${sequelize.escape(organization.tagId)})`)
+      };
+    }
+
+    // Calculate pagination
+    const offset = (page - 1) * limit;
+
+    // Find generations, best matches first when searching
+    const { count, rows: generations } = search
+      ? await searchService.searchGenerations(userId, { search, status, ...organization }, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      })
+      : await ContentGeneration.findAndCountAll({
+        where: filter,
+        include: [
+          {
+            model: ContentItem,
+            as: 'contentItem',
+            attributes: ['id', 'title', 'status', 'contentType']
+          },
+          {
+            model: Tag,
+            as: 'tags',
+            attributes: TAG_ATTRIBUTES,
+            through: { attributes: [] }
+          }
+        ],
+        distinct: true,
+        order: [['createdAt', 'DESC']],
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
     // Calculate total pages
     const totalPages = Math.ceil(count / limit);
 
@@ -289,6 +1780,60 @@ exports.getGenerationHistory = async (req, res, next) => {
   }
 };
 
+// File a generation in a project and folder, and set its tags
+exports.updateGenerationOrganization = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { projectId, folderId, tags } = req.body;
+
+    const generation = await ContentGeneration.findOne({
+      where: {
+        id: req.params.id,
+        userId
+      }
+    });
+
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found or access denied' });
+    }
+
+    try {
+      await organizationService.assign(generation, userId, { projectId, folderId, tags });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(200).json({
+      message: 'Generation filed successfully',
+      generationId: generation.id,
+      projectId: generation.projectId,
+      folderId: generation.folderId,
+      tags: await generation.getTags({ attributes: TAG_ATTRIBUTES, joinTableAttributes: [] })
+    });
+  } catch (error) {
+    logger.error('Update generation organization error:', error);
+    next(error);
+  }
+};
+
+// Tasks regenerated through their own endpoints. Run again as content, they
+// would overwrite the whole item: translations in the default language, inline
+// edits in place of the passage they were asked for.
+const REGENERATE_ENDPOINTS = {
+  seo: 'SEO metadata is regenerated through /generation/seo/:contentId',
+  translation: 'Translations are regenerated through /generation/translate/:contentId',
+  edit: 'Inline edits are regenerated through /generation/edit/:contentId'
+};
+
 // Regenerate content based on previous generation
 exports.regenerateContent = async (req, res, next) => {
   try {
@@ -306,6 +1851,11 @@ exports.regenerateContent = async (req, res, next) => {
         {
           model: ContentItem,
           as: 'contentItem'
+        },
+        {
+          model: TemplateVersion,
+          as: 'templateVersion',
+          attributes: ['id', 'templateId', 'version']
         }
       ]
     });
@@ -319,6 +1869,17 @@ exports.regenerateContent = async (req, res, next) => {
       return res.status(404).json({ error: 'Content item not found' });
     }
 
+    if (originalGeneration.task !== 'content') {
+      return res.status(400).json({
+        error: REGENERATE_ENDPOINTS[originalGeneration.task] || `${originalGeneration.task} generations cannot be regenerated as content`
+      });
+    }
+
+    // Run again as content, a variant would overwrite the item it is a variant of
+    if (originalGeneration.variationGroupId) {
+      return res.status(400).json({ error: 'Variants are regenerated through /generation/content/:id/variations' });
+    }
+
     // Merge original prompt data with updates
     const updatedPromptData = {
       ...originalGeneration.promptData,
@@ -326,11 +1887,17 @@ exports.regenerateContent = async (req, res, next) => {
     };
 
     // Create a new generation request using the updated prompt
+    // Regenerate with the template version that produced the original
+    const { templateVersion } = originalGeneration;
+
     req.body = {
       isNewContent: false,
       contentItemId: originalGeneration.contentItemId,
+      templateId: templateVersion ? templateVersion.templateId : updatedPromptData.templateId || undefined,
+      templateVersion: templateVersion ? templateVersion.version : undefined,
       promptData: updatedPromptData,
       aiProvider: originalGeneration.aiProvider,
+      voiceProfileId: originalGeneration.voiceProfileId || undefined,
       contentType: originalGeneration.contentItem.contentType
     };
 
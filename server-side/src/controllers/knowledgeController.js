@@ -0,0 +1,135 @@
+// src/controllers/knowledgeController.js
+const { validationResult } = require('express-validator');
+const { knowledgeService } = require('../services/knowledgeService');
+const logger = require('../utils/logger');
+
+/**
+ * Add an uploaded document to the current user's knowledge base
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.uploadDocument = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload a Markdown, HTML, PDF or plain-text file' });
+    }
+
+    let document;
+    try {
+      document = await knowledgeService.addDocument(req.user.id, req.file, req.body.name);
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Document added successfully',
+      document
+    });
+  } catch (error) {
+    logger.error('Upload knowledge document error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the documents of the current user's knowledge base, newest first
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getDocuments = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const { count, rows } = await knowledgeService.listDocuments(req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      documents: rows,
+      pagination: {
+        totalItems: count,
+        totalPages: Math.ceil(count / parseInt(limit)),
+        currentPage: parseInt(page),
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get knowledge documents error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a document with its passages
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getDocument = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await knowledgeService.getDocument(req.params.id, req.user.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found or access denied' });
+    }
+
+    res.status(200).json({ document });
+  } catch (error) {
+    logger.error('Get knowledge document error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Remove a document from the knowledge base
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.deleteDocument = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await knowledgeService.getDocument(req.params.id, req.user.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found or access denied' });
+    }
+
+    await knowledgeService.deleteDocument(document);
+
+    res.status(200).json({
+      message: 'Document deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete knowledge document error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,78 @@
+// src/controllers/moderationController.js
+const { validationResult } = require('express-validator');
+const { ContentItem } = require('../db/models');
+const { moderationService } = require('../services/moderationService');
+const logger = require('../utils/logger');
+
+/**
+ * List the content items held for moderation review, oldest first
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getQueue = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const { count, rows } = await moderationService.listHeld({
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      contentItems: rows,
+      pagination: {
+        totalItems: count,
+        totalPages: Math.ceil(count / parseInt(limit)),
+        currentPage: parseInt(page),
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get moderation queue error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject a content item held for review, overriding the classifiers
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.reviewContent = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { decision, note = null } = req.body;
+
+    const contentItem = await ContentItem.findByPk(id);
+
+    if (!contentItem) {
+      return res.status(404).json({ error: 'Content item not found' });
+    }
+
+    const reviewed = await moderationService.review(contentItem, decision, req.user.id, note);
+
+    res.status(200).json({
+      message: decision === 'approve' ? 'Content approved' : 'Content rejected',
+      contentItem: reviewed
+    });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('Review content error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,155 @@
+// src/controllers/projectController.js
+const { validationResult } = require('express-validator');
+const { organizationService } = require('../services/organizationService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the current user's projects
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getProjects = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const projects = await organizationService.listProjects(req.user.id, {
+      includeArchived: req.query.includeArchived === 'true'
+    });
+
+    res.status(200).json({ projects });
+  } catch (error) {
+    logger.error('Get projects error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a project
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getProject = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await organizationService.getProject(req.params.id, req.user.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found or access denied' });
+    }
+
+    res.status(200).json({ project });
+  } catch (error) {
+    logger.error('Get project error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a project
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.createProject = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const defaultErrors = await organizationService.validateProjectDefaults(req.body, req.user.id);
+    if (defaultErrors.length > 0) {
+      return res.status(400).json({ errors: defaultErrors });
+    }
+
+    const project = await organizationService.createProject(req.user.id, req.body);
+
+    res.status(201).json({
+      message: 'Project created successfully',
+      project
+    });
+  } catch (error) {
+    logger.error('Create project error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a project, its defaults or whether it is archived
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.updateProject = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await organizationService.getProject(req.params.id, req.user.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found or access denied' });
+    }
+
+    const defaultErrors = await organizationService.validateProjectDefaults(req.body, req.user.id);
+    if (defaultErrors.length > 0) {
+      return res.status(400).json({ errors: defaultErrors });
+    }
+
+    await organizationService.updateProject(project, req.body);
+
+    res.status(200).json({
+      message: 'Project updated successfully',
+      project
+    });
+  } catch (error) {
+    logger.error('Update project error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a project and its folders, leaving their content unfiled
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.deleteProject = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await organizationService.getProject(req.params.id, req.user.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found or access denied' });
+    }
+
+    await organizationService.deleteProject(project);
+
+    res.status(200).json({
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete project error:', error);
+    next(error);
+  }
+};
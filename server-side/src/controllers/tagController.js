@@ -0,0 +1,125 @@
+// src/controllers/tagController.js
+const { validationResult } = require('express-validator');
+const { organizationService } = require('../services/organizationService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the current user's tags
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getTags = async (req, res, next) => {
+  try {
+    const tags = await organizationService.listTags(req.user.id);
+
+    res.status(200).json({ tags });
+  } catch (error) {
+    logger.error('Get tags error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a tag
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.createTag = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let tag;
+    try {
+      tag = await organizationService.createTag(req.user.id, req.body);
+    } catch (error) {
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Tag created successfully',
+      tag
+    });
+  } catch (error) {
+    logger.error('Create tag error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Rename or recolor a tag
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.updateTag = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tag = await organizationService.getTag(req.params.id, req.user.id);
+
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found or access denied' });
+    }
+
+    try {
+      await organizationService.updateTag(tag, req.body);
+    } catch (error) {
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(200).json({
+      message: 'Tag updated successfully',
+      tag
+    });
+  } catch (error) {
+    logger.error('Update tag error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a tag, removing it from everything tagged with it
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.deleteTag = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tag = await organizationService.getTag(req.params.id, req.user.id);
+
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found or access denied' });
+    }
+
+    await organizationService.deleteTag(tag);
+
+    res.status(200).json({
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete tag error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,370 @@
+// src/controllers/templateController.js
+const { validationResult } = require('express-validator');
+const { Template } = require('../db/models');
+const { templateService } = require('../services/templateService');
+const { voiceService } = require('../services/voiceService');
+const { structuredOutputService } = require('../services/structuredOutputService');
+const { organizationService } = require('../services/organizationService');
+const templateEngine = require('../utils/templateEngine');
+const logger = require('../utils/logger');
+
+// Find a template the current user may read; admins may read any template
+const findReadableTemplate = (req) => (req.user.role === 'admin'
+  ? Template.findByPk(req.params.id)
+  : templateService.getAccessibleTemplate(req.params.id, req.user.id));
+
+// Validation errors in a template's prompt, variable declarations and output schema
+const validateTemplateFields = ({ promptTemplate, variables, outputSchema }) => {
+  const errors = [
+    ...(variables !== undefined ? templateService.validateVariableSchema(variables) : []),
+    ...structuredOutputService.validateSchema(outputSchema)
+  ];
+
+  if (promptTemplate) {
+    try {
+      templateEngine.parse(promptTemplate);
+    } catch (error) {
+      if (!(error instanceof templateEngine.TemplateSyntaxError)) throw error;
+      errors.push({ type: 'field', value: promptTemplate, msg: error.message, path: 'promptTemplate', location: 'body' });
+    }
+  }
+
+  return errors;
+};
+
+// Project, folder and tags a template is to be filed with, if any are given
+const organizationOf = ({ projectId, folderId, tags }) => (
+  projectId !== undefined || folderId !== undefined || tags !== undefined
+    ? { projectId, folderId, tags }
+    : null
+);
+
+// Templates may only use voice profiles of the user who attaches them
+const validateVoiceProfile = async ({ voiceProfileId }, userId) => {
+  if (!voiceProfileId || await voiceService.getProfile(voiceProfileId, userId)) {
+    return [];
+  }
+
+  return [{ type: 'field', value: voiceProfileId, msg: 'Voice profile not found', path: 'voiceProfileId', location: 'body' }];
+};
+
+/**
+ * Get templates visible to the current user
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getTemplates = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      page = 1,
+      limit = 10,
+      contentType,
+      search,
+      includeArchived,
+      scope,
+      projectId,
+      folderId,
+      tagId
+    } = req.query;
+
+    const organization = await organizationService.resolveFilter(req.user.id, { projectId, folderId, tagId });
+    const { count, rows: templates } = await templateService.listTemplates(req.user.id, {
+      ...organization,
+      page,
+      limit,
+      contentType,
+      search,
+      includeArchived: includeArchived === 'true',
+      scope
+    });
+
+    res.status(200).json({
+      templates,
+      pagination: {
+        totalItems: count,
+        totalPages: Math.ceil(count / parseInt(limit)),
+        currentPage: parseInt(page),
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get templates error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a specific template
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getTemplate = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await findReadableTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found or access denied' });
+    }
+
+    res.status(200).json({ template });
+  } catch (error) {
+    logger.error('Get template error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a new template
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.createTemplate = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const templateErrors = [
+      ...validateTemplateFields(req.body),
+      ...await validateVoiceProfile(req.body, req.user.id)
+    ];
+    if (templateErrors.length > 0) {
+      return res.status(400).json({ errors: templateErrors });
+    }
+
+    // Check the project and folder before creating anything
+    const organization = organizationOf(req.body);
+    if (organization) {
+      try {
+        await organizationService.resolvePlacement(req.user.id, organization);
+      } catch (error) {
+        if (error.statusCode === 400) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    const template = await templateService.createTemplate(req.user.id, req.body, {
+      allowSystem: req.user.role === 'admin'
+    });
+
+    if (organization) {
+      await organizationService.assign(template, req.user.id, organization);
+    }
+
+    res.status(201).json({
+      message: 'Template created successfully',
+      template
+    });
+  } catch (error) {
+    logger.error('Create template error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a template, adding a version when its prompt fields change. Also
+ * used for partial updates such as archiving.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const templateErrors = [
+      ...validateTemplateFields(req.body),
+      ...await validateVoiceProfile(req.body, req.user.id)
+    ];
+    if (templateErrors.length > 0) {
+      return res.status(400).json({ errors: templateErrors });
+    }
+
+    // Templates are filed with the projects and folders of the user filing them
+    const organization = organizationOf(req.body);
+    if (organization) {
+      try {
+        await organizationService.resolvePlacement(req.user.id, organization);
+      } catch (error) {
+        if (error.statusCode === 400) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    const template = await templateService.updateTemplate(req.params.id, req.body, req.user.id, {
+      allowSystem: req.user.role === 'admin'
+    });
+
+    if (organization) {
+      await organizationService.assign(template, req.user.id, organization);
+    }
+
+    res.status(200).json({
+      message: 'Template updated successfully',
+      template
+    });
+  } catch (error) {
+    logger.error('Update template error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Clone a template the current user can read into a private copy
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.cloneTemplate = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const source = await findReadableTemplate(req);
+
+    if (!source) {
+      return res.status(404).json({ error: 'Template not found or access denied' });
+    }
+
+    const template = await templateService.cloneTemplate(source, req.user.id, { name: req.body.name });
+
+    res.status(201).json({
+      message: 'Template cloned successfully',
+      template
+    });
+  } catch (error) {
+    logger.error('Clone template error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a template that is not in use
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await Template.findByPk(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    try {
+      await templateService.deleteTemplate(template);
+    } catch (error) {
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(200).json({
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete template error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the version history of a template
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getTemplateVersions = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await findReadableTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found or access denied' });
+    }
+
+    const versions = await templateService.getVersions(template.id);
+
+    res.status(200).json({
+      currentVersion: template.currentVersion,
+      versions
+    });
+  } catch (error) {
+    logger.error('Get template versions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get one version of a template
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getTemplateVersion = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await findReadableTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found or access denied' });
+    }
+
+    const version = await templateService.getVersion(template.id, parseInt(req.params.version));
+
+    if (!version) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    res.status(200).json({ version });
+  } catch (error) {
+    logger.error('Get template version error:', error);
+    next(error);
+  }
+};
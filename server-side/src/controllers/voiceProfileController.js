@@ -0,0 +1,187 @@
+// src/controllers/voiceProfileController.js
+const { validationResult } = require('express-validator');
+const { voiceService } = require('../services/voiceService');
+const aiService = require('../services/aiService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the current user's voice profiles
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getVoiceProfiles = async (req, res, next) => {
+  try {
+    const voiceProfiles = await voiceService.listProfiles(req.user.id);
+
+    res.status(200).json({ voiceProfiles });
+  } catch (error) {
+    logger.error('Get voice profiles error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a voice profile with the system message it compiles to
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.getVoiceProfile = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const voiceProfile = await voiceService.getProfile(req.params.id, req.user.id);
+
+    if (!voiceProfile) {
+      return res.status(404).json({ error: 'Voice profile not found or access denied' });
+    }
+
+    res.status(200).json({
+      voiceProfile,
+      systemMessage: aiService.buildSystemMessage(voiceProfile)
+    });
+  } catch (error) {
+    logger.error('Get voice profile error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a voice profile
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.createVoiceProfile = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profileErrors = voiceService.validateProfile(req.body);
+    if (profileErrors.length > 0) {
+      return res.status(400).json({ errors: profileErrors });
+    }
+
+    const voiceProfile = await voiceService.createProfile(req.user.id, req.body);
+
+    res.status(201).json({
+      message: 'Voice profile created successfully',
+      voiceProfile
+    });
+  } catch (error) {
+    logger.error('Create voice profile error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a voice profile
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.updateVoiceProfile = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profileErrors = voiceService.validateProfile(req.body);
+    if (profileErrors.length > 0) {
+      return res.status(400).json({ errors: profileErrors });
+    }
+
+    const voiceProfile = await voiceService.getProfile(req.params.id, req.user.id);
+
+    if (!voiceProfile) {
+      return res.status(404).json({ error: 'Voice profile not found or access denied' });
+    }
+
+    await voiceService.updateProfile(voiceProfile, req.body);
+
+    res.status(200).json({
+      message: 'Voice profile updated successfully',
+      voiceProfile
+    });
+  } catch (error) {
+    logger.error('Update voice profile error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a voice profile no template uses
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.deleteVoiceProfile = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const voiceProfile = await voiceService.getProfile(req.params.id, req.user.id);
+
+    if (!voiceProfile) {
+      return res.status(404).json({ error: 'Voice profile not found or access denied' });
+    }
+
+    try {
+      await voiceService.deleteProfile(voiceProfile);
+    } catch (error) {
+      if (error.statusCode === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(200).json({
+      message: 'Voice profile deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete voice profile error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Check a text against a voice profile's banned phrases and terminology
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+exports.checkText = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const voiceProfile = await voiceService.getProfile(req.params.id, req.user.id);
+
+    if (!voiceProfile) {
+      return res.status(404).json({ error: 'Voice profile not found or access denied' });
+    }
+
+    res.status(200).json({
+      violations: voiceService.checkText(req.body.text, voiceProfile)
+    });
+  } catch (error) {
+    logger.error('Check voice error:', error);
+    next(error);
+  }
+};
@@ -828,3 +828,1267 @@ module.exports = {
     await queryInterface.bulkDelete('Users', null, {});
   }
 };
+
+// src/db/migrations/scripts/010-create-credit-transactions.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('CreditAccounts', 'creditsReserved', {
+      type: Sequelize.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    });
+
+    await queryInterface.createTable('CreditTransactions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      creditAccountId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'CreditAccounts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      generationId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'ContentGenerations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      holdId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'CreditTransactions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      type: {
+        type: Sequelize.ENUM('hold', 'settlement', 'refund', 'release', 'purchase', 'renewal', 'deduction', 'adjustment'),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      balanceAfter: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'settled', 'released', 'completed'),
+        defaultValue: 'completed'
+      },
+      description: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        defaultValue: {}
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('CreditTransactions', ['userId', 'createdAt']);
+    await queryInterface.addIndex('CreditTransactions', ['generationId', 'type']);
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('CreditTransactions');
+    await queryInterface.removeColumn('CreditAccounts', 'creditsReserved');
+  }
+};
+
+// src/db/migrations/scripts/011-add-credit-balance-constraints.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Enforce non-negative balances in the database as well as in the service
+    await queryInterface.addConstraint('CreditAccounts', {
+      fields: ['creditsRemaining'],
+      type: 'check',
+      where: {
+        creditsRemaining: { [Sequelize.Op.gte]: 0 }
+      },
+      name: 'credit_accounts_credits_remaining_non_negative'
+    });
+
+    await queryInterface.addConstraint('CreditAccounts', {
+      fields: ['creditsReserved'],
+      type: 'check',
+      where: {
+        creditsReserved: { [Sequelize.Op.gte]: 0 }
+      },
+      name: 'credit_accounts_credits_reserved_non_negative'
+    });
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeConstraint('CreditAccounts', 'credit_accounts_credits_reserved_non_negative');
+    await queryInterface.removeConstraint('CreditAccounts', 'credit_accounts_credits_remaining_non_negative');
+  }
+};
+
+// src/db/migrations/scripts/012-add-template-variables.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Templates', 'variables', {
+      type: Sequelize.JSONB,
+      defaultValue: []
+    });
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('Templates', 'variables');
+  }
+};
+
+// src/db/migrations/scripts/013-create-template-versions.js
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('TemplateVersions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      templateId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Templates',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      contentType: {
+        type: Sequelize.ENUM('blog', 'product', 'social', 'email', 'custom'),
+        defaultValue: 'blog'
+      },
+      structure: {
+        type: Sequelize.JSONB,
+        defaultValue: {}
+      },
+      promptTemplate: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      variables: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      defaultParameters: {
+        type: Sequelize.JSONB,
+        defaultValue: {}
+      },
+      createdBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      changeNote: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('TemplateVersions', ['templateId', 'version'], { unique: true });
+
+    await queryInterface.addColumn('Templates', 'currentVersion', {
+      type: Sequelize.INTEGER,
+      defaultValue: 1
+    });
+
+    await queryInterface.addColumn('ContentGenerations', 'templateVersionId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'TemplateVersions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    // Existing templates start at version 1
+    const [templates] = await queryInterface.sequelize.query(
+      'SELECT id, "userId", "contentType", structure, "promptTemplate", variables, "defaultParameters" FROM "Templates"'
+    );
+
+    if (templates.length > 0) {
+      await queryInterface.bulkInsert('TemplateVersions', templates.map(template => ({
+        id: uuidv4(),
+        templateId: template.id,
+        version: 1,
+        contentType: template.contentType,
+        structure: JSON.stringify(template.structure || {}),
+        promptTemplate: template.promptTemplate,
+        variables: JSON.stringify(template.variables || []),
+        defaultParameters: JSON.stringify(template.defaultParameters || {}),
+        createdBy: template.userId,
+        changeNote: 'Initial version',
+        createdAt: new Date()
+      })));
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('ContentGenerations', 'templateVersionId');
+    await queryInterface.removeColumn('Templates', 'currentVersion');
+    await queryInterface.dropTable('TemplateVersions');
+  }
+};
+
+// src/db/migrations/scripts/014-create-generation-steps.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_ContentGenerations_status" ADD VALUE IF NOT EXISTS 'awaiting_outline' AFTER 'processing'`
+    );
+
+    await queryInterface.createTable('GenerationSteps', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      generationId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'ContentGenerations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('outline', 'section'),
+        allowNull: false
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('processing', 'completed', 'failed'),
+        defaultValue: 'processing'
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      aiProvider: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      aiModel: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      usage: {
+        type: Sequelize.JSONB,
+        defaultValue: {}
+      },
+      creditsUsed: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      failedAttempts: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      completionTime: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('GenerationSteps', ['generationId', 'position']);
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('GenerationSteps');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_GenerationSteps_type"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_GenerationSteps_status"');
+    // Postgres cannot drop a value from an enum type, so awaiting_outline is kept
+  }
+};
+
+// src/db/migrations/scripts/015-add-generation-variations.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ContentGenerations', 'variationGroupId', {
+      type: Sequelize.UUID,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('ContentGenerations', 'variantIndex', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('ContentGenerations', 'output', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('ContentGenerations', ['variationGroupId']);
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('ContentGenerations', ['variationGroupId']);
+    await queryInterface.removeColumn('ContentGenerations', 'output');
+    await queryInterface.removeColumn('ContentGenerations', 'variantIndex');
+    await queryInterface.removeColumn('ContentGenerations', 'variationGroupId');
+  }
+};
+
+// src/db/migrations/scripts/016-add-generation-task.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ContentGenerations', 'task', {
+      type: Sequelize.ENUM('content', 'seo'),
+      allowNull: false,
+      defaultValue: 'content'
+    });
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('ContentGenerations', 'task');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ContentGenerations_task"');
+  }
+};
+
+// src/db/migrations/scripts/017-create-voice-profiles.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('VoiceProfiles', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      tone: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      readingLevel: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      bannedPhrases: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      terminology: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      samples: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('VoiceProfiles', ['userId']);
+
+    // Profiles used by a template cannot be deleted; past versions and
+    // generations merely lose the reference
+    for (const table of ['Templates', 'TemplateVersions', 'ContentGenerations']) {
+      await queryInterface.addColumn(table, 'voiceProfileId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'VoiceProfiles',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      });
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    for (const table of ['ContentGenerations', 'TemplateVersions', 'Templates']) {
+      await queryInterface.removeColumn(table, 'voiceProfileId');
+    }
+
+    await queryInterface.dropTable('VoiceProfiles');
+  }
+};
+
+// src/db/migrations/scripts/018-create-generation-batches.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('GenerationBatches', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('draft', 'processing', 'paused', 'completed', 'failed'),
+        defaultValue: 'draft'
+      },
+      columns: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      rows: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      rowCount: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      templateId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Templates',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      templateVersionId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'TemplateVersions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      voiceProfileId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'VoiceProfiles',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      contentType: {
+        type: Sequelize.ENUM('blog', 'product', 'social', 'email', 'custom'),
+        allowNull: true
+      },
+      aiProvider: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      columnMapping: {
+        type: Sequelize.JSONB,
+        defaultValue: {}
+      },
+      promptData: {
+        type: Sequelize.JSONB,
+        defaultValue: {}
+      },
+      estimatedCredits: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      startedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('GenerationBatches', ['userId']);
+
+    await queryInterface.addColumn('ContentGenerations', 'batchId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'GenerationBatches',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('ContentGenerations', 'batchRow', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('ContentGenerations', ['batchId', 'batchRow']);
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('ContentGenerations', ['batchId', 'batchRow']);
+    await queryInterface.removeColumn('ContentGenerations', 'batchRow');
+    await queryInterface.removeColumn('ContentGenerations', 'batchId');
+    await queryInterface.dropTable('GenerationBatches');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_GenerationBatches_status"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_GenerationBatches_contentType"');
+  }
+};
+
+// src/db/migrations/scripts/019-add-content-moderation.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_ContentItems_status" ADD VALUE IF NOT EXISTS 'needs_review' AFTER 'generated'`
+    );
+
+    // The moderation queue lists held items of every user
+    await queryInterface.addIndex('ContentItems', ['status']);
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('ContentItems', ['status']);
+    // Postgres cannot drop a value from an enum type, so needs_review is kept
+  }
+};
+
+// src/db/migrations/scripts/020-add-content-fingerprints.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Items generated before this migration are fingerprinted when first compared
+    await queryInterface.addColumn('ContentItems', 'fingerprint', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('ContentItems', 'fingerprint');
+  }
+};
+
+// src/db/migrations/scripts/021-create-knowledge-base.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('KnowledgeDocuments', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      format: {
+        type: Sequelize.ENUM('markdown', 'html', 'pdf', 'text'),
+        allowNull: false
+      },
+      size: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      chunkCount: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      wordCount: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('KnowledgeDocuments', ['userId']);
+
+    await queryInterface.createTable('KnowledgeChunks', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      documentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'KnowledgeDocuments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      heading: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      text: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      terms: {
+        type: Sequelize.JSONB,
+        defaultValue: {}
+      },
+      termCount: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('KnowledgeChunks', ['userId']);
+    await queryInterface.addIndex('KnowledgeChunks', ['documentId', 'position']);
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('KnowledgeChunks');
+    await queryInterface.dropTable('KnowledgeDocuments');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_KnowledgeDocuments_format"');
+  }
+};
+
+// src/db/migrations/scripts/022-add-content-translations.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ContentItems', 'locale', {
+      type: Sequelize.STRING(35),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('ContentItems', 'sourceItemId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'ContentItems',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      // Translations outlive their source as standalone items
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('ContentItems', 'translationStale', {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false
+    });
+
+    await queryInterface.addIndex('ContentItems', ['sourceItemId', 'locale']);
+
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_ContentGenerations_task" ADD VALUE IF NOT EXISTS 'translation'`
+    );
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('ContentItems', ['sourceItemId', 'locale']);
+    await queryInterface.removeColumn('ContentItems', 'translationStale');
+    await queryInterface.removeColumn('ContentItems', 'sourceItemId');
+    await queryInterface.removeColumn('ContentItems', 'locale');
+    // Postgres cannot drop a value from an enum type, so translation is kept
+  }
+};
+
+// src/db/migrations/scripts/023-add-inline-edit-task.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_ContentGenerations_task" ADD VALUE IF NOT EXISTS 'edit'`
+    );
+  },
+  down: async (queryInterface, Sequelize) => {
+    // Postgres cannot drop a value from an enum type, so edit is kept
+  }
+};
+
+// src/db/migrations/scripts/024-add-template-output-schema.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of ['Templates', 'TemplateVersions']) {
+      await queryInterface.addColumn(table, 'outputSchema', {
+        type: Sequelize.JSONB,
+        allowNull: true
+      });
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    for (const table of ['TemplateVersions', 'Templates']) {
+      await queryInterface.removeColumn(table, 'outputSchema');
+    }
+  }
+};
+
+// src/db/migrations/scripts/025-create-generation-audits.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('GenerationAudits', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      generationId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'ContentGenerations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      calls: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      processingSteps: {
+        type: Sequelize.JSONB,
+        defaultValue: []
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('GenerationAudits', ['generationId']);
+    // Trails are purged by age
+    await queryInterface.addIndex('GenerationAudits', ['createdAt']);
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('GenerationAudits');
+  }
+};
+
+// src/db/migrations/scripts/026-create-content-revisions.js
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ContentRevisions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      contentItemId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'ContentItems',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      number: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        defaultValue: ''
+      },
+      wordCount: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      source: {
+        type: Sequelize.ENUM('manual', 'generation', 'inline_edit', 'restore'),
+        allowNull: false
+      },
+      authorId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      generationId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'ContentGenerations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      restoredFromId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'ContentRevisions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('ContentRevisions', ['contentItemId', 'number'], { unique: true });
+
+    // The current content of existing items is their first revision, so the
+    // next save can be compared to and undone
+    const [items] = await queryInterface.sequelize.query(
+      `SELECT id, title, content, "wordCount", "updatedAt" FROM "ContentItems" WHERE content IS NOT NULL AND content <> ''`
+    );
+
+    if (items.length > 0) {
+      await queryInterface.bulkInsert('ContentRevisions', items.map(item => ({
+        id: uuidv4(),
+        contentItemId: item.id,
+        number: 1,
+        title: item.title,
+        content: item.content,
+        wordCount: item.wordCount || 0,
+        source: 'manual',
+        authorId: null,
+        createdAt: item.updatedAt
+      })));
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('ContentRevisions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ContentRevisions_source"');
+  }
+};
+
+// src/db/migrations/scripts/027-add-search-vectors.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Kept up to date by Postgres. Title words rank above SEO keywords, and
+    // those above the body. searchService queries with the same 'english'
+    // configuration.
+    await queryInterface.sequelize.query(`
+      ALTER TABLE "ContentItems" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english',
+          coalesce(metadata #>> '{seo,focusKeyword}', '') || ' ' || coalesce(metadata #>> '{seo,keywords}', '')
+        ), 'B') ||
+        setweight(to_tsvector('english', coalesce(content, '')), 'C')
+      ) STORED
+    `);
+    await queryInterface.addIndex('ContentItems', ['searchVector'], { using: 'GIN' });
+
+    // Generations are found by what they were asked for, e.g. the topic and
+    // keywords, and by the text of variants
+    await queryInterface.sequelize.query(`
+      ALTER TABLE "ContentGenerations" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+        setweight(jsonb_to_tsvector('english', "promptData", '["string"]'), 'A') ||
+        setweight(to_tsvector('english', coalesce(output, '')), 'C')
+      ) STORED
+    `);
+    await queryInterface.addIndex('ContentGenerations', ['searchVector'], { using: 'GIN' });
+
+    // Filters of the content search
+    await queryInterface.addIndex('ContentItems', ['userId', 'updatedAt']);
+    await queryInterface.addIndex('ContentItems', ['templateId']);
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('ContentItems', ['templateId']);
+    await queryInterface.removeIndex('ContentItems', ['userId', 'updatedAt']);
+    await queryInterface.removeColumn('ContentGenerations', 'searchVector');
+    await queryInterface.removeColumn('ContentItems', 'searchVector');
+  }
+};
+
+// src/db/migrations/scripts/028-create-projects-folders-tags.js
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('Projects', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      color: {
+        type: Sequelize.STRING(7),
+        allowNull: true
+      },
+      defaultTemplateId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Templates',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      voiceProfileId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'VoiceProfiles',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      integrationId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Integrations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      isArchived: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('Projects', ['userId']);
+
+    // Folders go with their project; items in them are unfiled by the
+    // foreign keys below
+    await queryInterface.createTable('Folders', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      projectId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Projects',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      parentId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Folders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('Folders', ['userId', 'parentId']);
+
+    await queryInterface.createTable('Tags', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      color: {
+        type: Sequelize.STRING(7),
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.sequelize.query(
+      'CREATE UNIQUE INDEX "tags_user_id_lower_name" ON "Tags" ("userId", lower(name))'
+    );
+
+    // Tag join tables, one per kind of tagged record
+    const joins = [
+      ['ContentItemTags', 'contentItemId', 'ContentItems'],
+      ['TemplateTags', 'templateId', 'Templates'],
+      ['ContentGenerationTags', 'generationId', 'ContentGenerations']
+    ];
+
+    for (const [table, column, target] of joins) {
+      await queryInterface.createTable(table, {
+        [column]: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          primaryKey: true,
+          references: {
+            model: target,
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        tagId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          primaryKey: true,
+          references: {
+            model: 'Tags',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+
+      await queryInterface.addIndex(table, ['tagId']);
+    }
+
+    // Deleting a project or folder leaves what was filed in it unfiled
+    for (const table of ['ContentItems', 'Templates', 'ContentGenerations']) {
+      await queryInterface.addColumn(table, 'projectId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Projects',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      });
+      await queryInterface.addColumn(table, 'folderId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Folders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      });
+
+      await queryInterface.addIndex(table, ['projectId']);
+      await queryInterface.addIndex(table, ['folderId']);
+    }
+  },
+  down: async (queryInterface, Sequelize) => {
+    for (const table of ['ContentItems', 'Templates', 'ContentGenerations']) {
+      await queryInterface.removeColumn(table, 'folderId');
+      await queryInterface.removeColumn(table, 'projectId');
+    }
+
+    await queryInterface.dropTable('ContentGenerationTags');
+    await queryInterface.dropTable('TemplateTags');
+    await queryInterface.dropTable('ContentItemTags');
+    await queryInterface.dropTable('Tags');
+    await queryInterface.dropTable('Folders');
+    await queryInterface.dropTable('Projects');
+  }
+};
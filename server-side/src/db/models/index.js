@@ -26,6 +26,18 @@ const Template = require('./Template')(sequelize);
 const Integration = require('./Integration')(sequelize);
 const Subscription = require('./Subscription')(sequelize);
 const PaymentRecord = require('./PaymentRecord')(sequelize);
+const CreditTransaction = require('./CreditTransaction')(sequelize);
+const TemplateVersion = require('./TemplateVersion')(sequelize);
+const GenerationStep = require('./GenerationStep')(sequelize);
+const VoiceProfile = require('./VoiceProfile')(sequelize);
+const GenerationBatch = require('./GenerationBatch')(sequelize);
+const KnowledgeDocument = require('./KnowledgeDocument')(sequelize);
+const KnowledgeChunk = require('./KnowledgeChunk')(sequelize);
+const GenerationAudit = require('./GenerationAudit')(sequelize);
+const ContentRevision = require('./ContentRevision')(sequelize);
+const Project = require('./Project')(sequelize);
+const Folder = require('./Folder')(sequelize);
+const Tag = require('./Tag')(sequelize);
 
 // Define relationships
 
@@ -51,13 +63,123 @@ PaymentRecord.belongsTo(User, { foreignKey: 'userId' });
 User.hasOne(Subscription, { foreignKey: 'userId', as: 'subscription' });
 Subscription.belongsTo(User, { foreignKey: 'userId' });
 
+User.hasMany(CreditTransaction, { foreignKey: 'userId', as: 'creditTransactions' });
+CreditTransaction.belongsTo(User, { foreignKey: 'userId' });
+
+User.hasMany(VoiceProfile, { foreignKey: 'userId', as: 'voiceProfiles' });
+VoiceProfile.belongsTo(User, { foreignKey: 'userId' });
+
+User.hasMany(GenerationBatch, { foreignKey: 'userId', as: 'generationBatches' });
+GenerationBatch.belongsTo(User, { foreignKey: 'userId' });
+
+// Credit relationships
+CreditAccount.hasMany(CreditTransaction, { foreignKey: 'creditAccountId', as: 'transactions' });
+CreditTransaction.belongsTo(CreditAccount, { foreignKey: 'creditAccountId' });
+
+ContentGeneration.hasMany(CreditTransaction, { foreignKey: 'generationId', as: 'creditTransactions' });
+CreditTransaction.belongsTo(ContentGeneration, { foreignKey: 'generationId' });
+
+CreditTransaction.belongsTo(CreditTransaction, { foreignKey: 'holdId', as: 'hold' });
+
 // Content relationships
 ContentItem.hasMany(ContentGeneration, { foreignKey: 'contentItemId', as: 'generations' });
 ContentGeneration.belongsTo(ContentItem, { foreignKey: 'contentItemId' });
 
+// Translations are sibling items linked to the item they were translated from
+ContentItem.hasMany(ContentItem, { foreignKey: 'sourceItemId', as: 'translations' });
+ContentItem.belongsTo(ContentItem, { foreignKey: 'sourceItemId', as: 'sourceItem' });
+
+// Every saved state of an item's content, numbered from 1
+ContentItem.hasMany(ContentRevision, { foreignKey: 'contentItemId', as: 'revisions', onDelete: 'CASCADE' });
+ContentRevision.belongsTo(ContentItem, { foreignKey: 'contentItemId' });
+ContentRevision.belongsTo(User, { foreignKey: 'authorId', as: 'author' });
+ContentRevision.belongsTo(ContentGeneration, { foreignKey: 'generationId', as: 'generation' });
+ContentRevision.belongsTo(ContentRevision, { foreignKey: 'restoredFromId', as: 'restoredFrom' });
+
 Template.hasMany(ContentItem, { foreignKey: 'templateId', as: 'contentItems' });
 ContentItem.belongsTo(Template, { foreignKey: 'templateId' });
 
+// Template relationships
+Template.hasMany(TemplateVersion, { foreignKey: 'templateId', as: 'versions' });
+TemplateVersion.belongsTo(Template, { foreignKey: 'templateId' });
+
+TemplateVersion.hasMany(ContentGeneration, { foreignKey: 'templateVersionId', as: 'generations' });
+ContentGeneration.belongsTo(TemplateVersion, { foreignKey: 'templateVersionId', as: 'templateVersion' });
+
+// Generation relationships
+ContentGeneration.hasMany(GenerationStep, { foreignKey: 'generationId', as: 'steps' });
+GenerationStep.belongsTo(ContentGeneration, { foreignKey: 'generationId' });
+
+ContentGeneration.hasMany(GenerationAudit, { foreignKey: 'generationId', as: 'audits', onDelete: 'CASCADE' });
+GenerationAudit.belongsTo(ContentGeneration, { foreignKey: 'generationId' });
+
+// Voice profile relationships
+VoiceProfile.hasMany(Template, { foreignKey: 'voiceProfileId', as: 'templates' });
+Template.belongsTo(VoiceProfile, { foreignKey: 'voiceProfileId', as: 'voiceProfile' });
+
+VoiceProfile.hasMany(TemplateVersion, { foreignKey: 'voiceProfileId', as: 'templateVersions' });
+TemplateVersion.belongsTo(VoiceProfile, { foreignKey: 'voiceProfileId', as: 'voiceProfile' });
+
+VoiceProfile.hasMany(ContentGeneration, { foreignKey: 'voiceProfileId', as: 'generations' });
+ContentGeneration.belongsTo(VoiceProfile, { foreignKey: 'voiceProfileId', as: 'voiceProfile' });
+
+// Batch relationships
+GenerationBatch.hasMany(ContentGeneration, { foreignKey: 'batchId', as: 'generations' });
+ContentGeneration.belongsTo(GenerationBatch, { foreignKey: 'batchId', as: 'batch' });
+
+GenerationBatch.belongsTo(Template, { foreignKey: 'templateId', as: 'template' });
+GenerationBatch.belongsTo(TemplateVersion, { foreignKey: 'templateVersionId', as: 'templateVersion' });
+GenerationBatch.belongsTo(VoiceProfile, { foreignKey: 'voiceProfileId', as: 'voiceProfile' });
+
+// Knowledge base relationships
+KnowledgeDocument.hasMany(KnowledgeChunk, { foreignKey: 'documentId', as: 'chunks', onDelete: 'CASCADE' });
+KnowledgeChunk.belongsTo(KnowledgeDocument, { foreignKey: 'documentId', as: 'document' });
+
+// Organization relationships: content items, templates and generations are
+// filed in a project and one of its folders, and tagged
+User.hasMany(Project, { foreignKey: 'userId', as: 'projects' });
+Project.belongsTo(User, { foreignKey: 'userId' });
+
+User.hasMany(Folder, { foreignKey: 'userId', as: 'folders' });
+Folder.belongsTo(User, { foreignKey: 'userId' });
+
+User.hasMany(Tag, { foreignKey: 'userId', as: 'tags' });
+Tag.belongsTo(User, { foreignKey: 'userId' });
+
+Project.belongsTo(Template, { foreignKey: 'defaultTemplateId', as: 'defaultTemplate' });
+Project.belongsTo(VoiceProfile, { foreignKey: 'voiceProfileId', as: 'voiceProfile' });
+Project.belongsTo(Integration, { foreignKey: 'integrationId', as: 'integration' });
+
+Project.hasMany(Folder, { foreignKey: 'projectId', as: 'folders', onDelete: 'CASCADE' });
+Folder.belongsTo(Project, { foreignKey: 'projectId', as: 'project' });
+
+Folder.hasMany(Folder, { foreignKey: 'parentId', as: 'children' });
+Folder.belongsTo(Folder, { foreignKey: 'parentId', as: 'parent' });
+
+Project.hasMany(ContentItem, { foreignKey: 'projectId', as: 'contentItems' });
+ContentItem.belongsTo(Project, { foreignKey: 'projectId', as: 'project' });
+Folder.hasMany(ContentItem, { foreignKey: 'folderId', as: 'contentItems' });
+ContentItem.belongsTo(Folder, { foreignKey: 'folderId', as: 'folder' });
+
+Project.hasMany(Template, { foreignKey: 'projectId', as: 'templates' });
+Template.belongsTo(Project, { foreignKey: 'projectId', as: 'project' });
+Folder.hasMany(Template, { foreignKey: 'folderId', as: 'templates' });
+Template.belongsTo(Folder, { foreignKey: 'folderId', as: 'folder' });
+
+Project.hasMany(ContentGeneration, { foreignKey: 'projectId', as: 'generations' });
+ContentGeneration.belongsTo(Project, { foreignKey: 'projectId', as: 'project' });
+Folder.hasMany(ContentGeneration, { foreignKey: 'folderId', as: 'generations' });
+ContentGeneration.belongsTo(Folder, { foreignKey: 'folderId', as: 'folder' });
+
+ContentItem.belongsToMany(Tag, { through: 'ContentItemTags', foreignKey: 'contentItemId', otherKey: 'tagId', as: 'tags' });
+Tag.belongsToMany(ContentItem, { through: 'ContentItemTags', foreignKey: 'tagId', otherKey: 'contentItemId', as: 'contentItems' });
+
+Template.belongsToMany(Tag, { through: 'TemplateTags', foreignKey: 'templateId', otherKey: 'tagId', as: 'tags' });
+Tag.belongsToMany(Template, { through: 'TemplateTags', foreignKey: 'tagId', otherKey: 'templateId', as: 'templates' });
+
+ContentGeneration.belongsToMany(Tag, { through: 'ContentGenerationTags', foreignKey: 'generationId', otherKey: 'tagId', as: 'tags' });
+Tag.belongsToMany(ContentGeneration, { through: 'ContentGenerationTags', foreignKey: 'tagId', otherKey: 'generationId', as: 'generations' });
+
 // Export models and Sequelize instance
 module.exports = {
   sequelize,
@@ -68,7 +190,19 @@ module.exports = {
   Template,
   Integration,
   Subscription,
-  PaymentRecord
+  PaymentRecord,
+  CreditTransaction,
+  TemplateVersion,
+  GenerationStep,
+  VoiceProfile,
+  GenerationBatch,
+  KnowledgeDocument,
+  KnowledgeChunk,
+  GenerationAudit,
+  ContentRevision,
+  Project,
+  Folder,
+  Tag
 };
 
 // src/db/models/User.js
@@ -179,13 +313,24 @@ module.exports = (sequelize) => {
     creditsRemaining: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
-      allowNull: false
+      allowNull: false,
+      validate: {
+        min: 0
+      }
     },
     creditsUsed: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
       allowNull: false
     },
+    creditsReserved: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
     monthlyAllowance: {
       type: DataTypes.INTEGER,
       defaultValue: 1000,
@@ -245,7 +390,7 @@ module.exports = (sequelize) => {
       defaultValue: 'blog'
     },
     status: {
-      type: DataTypes.ENUM('draft', 'generated', 'published', 'archived'),
+      type: DataTypes.ENUM('draft', 'generated', 'needs_review', 'published', 'archived'),
       defaultValue: 'draft'
     },
     format: {
@@ -260,6 +405,30 @@ module.exports = (sequelize) => {
       type: DataTypes.JSONB,
       defaultValue: {}
     },
+    // MinHash signature of the content, compared to find near-duplicates
+    fingerprint: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    // BCP 47 language tag of the content, e.g. 'en-US'
+    locale: {
+      type: DataTypes.STRING(35),
+      allowNull: true
+    },
+    // Item this one is a translation of
+    sourceItemId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'ContentItems',
+        key: 'id'
+      }
+    },
+    // Set on a translation when its source item changes after it was translated
+    translationStale: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
     publishedUrl: {
       type: DataTypes.STRING,
       allowNull: true
@@ -271,9 +440,37 @@ module.exports = (sequelize) => {
     scheduledAt: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    // Project and folder the item is filed in
+    projectId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Projects',
+        key: 'id'
+      }
+    },
+    folderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Folders',
+        key: 'id'
+      }
     }
+    // The table also has searchVector, a tsvector the database generates from
+    // the title, SEO keywords and content. It is only read by searchService's
+    // SQL, so it is not an attribute here and is never written.
   }, {
-    timestamps: true
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['sourceItemId', 'locale']
+      }
+    ]
   });
 
   return ContentItem;
@@ -317,8 +514,63 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: true
     },
+    // Exact template version the prompt was rendered from
+    templateVersionId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'TemplateVersions',
+        key: 'id'
+      }
+    },
+    // Voice profile the system prompt was compiled from, if any
+    voiceProfileId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'VoiceProfiles',
+        key: 'id'
+      }
+    },
+    // What the generation produces: the item's content, its SEO metadata, its
+    // content translated from its source item, or a suggested edit of a
+    // passage, kept in metadata.suggestion until the user accepts or rejects it
+    task: {
+      type: DataTypes.ENUM('content', 'seo', 'translation', 'edit'),
+      allowNull: false,
+      defaultValue: 'content'
+    },
+    // Variants requested together share a group; their text is kept in output
+    // until one of them is promoted to the content item
+    variationGroupId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    variantIndex: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Generations of a bulk upload belong to its batch; batchRow is the
+    // position of their row in the upload, from 0
+    batchId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'GenerationBatches',
+        key: 'id'
+      }
+    },
+    batchRow: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    output: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
     status: {
-      type: DataTypes.ENUM('queued', 'processing', 'completed', 'failed'),
+      // awaiting_outline: a long-form generation waits for its outline to be approved
+      type: DataTypes.ENUM('queued', 'processing', 'awaiting_outline', 'completed', 'failed'),
       defaultValue: 'queued'
     },
     creditsUsed: {
@@ -344,9 +596,36 @@ module.exports = (sequelize) => {
     metadata: {
       type: DataTypes.JSONB,
       defaultValue: {}
+    },
+    // Project and folder the generation is filed in
+    projectId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Projects',
+        key: 'id'
+      }
+    },
+    folderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Folders',
+        key: 'id'
+      }
     }
+    // Like ContentItems, the table has a generated searchVector, of the
+    // prompt data's strings and the output, read only by searchService
   }, {
-    timestamps: true
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['variationGroupId']
+      },
+      {
+        fields: ['batchId', 'batchRow']
+      }
+    ]
   });
 
   return ContentGeneration;
@@ -390,10 +669,35 @@ module.exports = (sequelize) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    // Declared prompt variables: [{ name, type, required, default, label, ... }]
+    variables: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
     defaultParameters: {
       type: DataTypes.JSONB,
       defaultValue: {}
     },
+    // Fields generations reply with as JSON instead of free text: a preset
+    // name ('product', 'email') or [{ name, type, required, display, ... }]
+    outputSchema: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    // Brand voice compiled into the system prompt of generations
+    voiceProfileId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'VoiceProfiles',
+        key: 'id'
+      }
+    },
+    // Latest TemplateVersion; the versioned fields above mirror it
+    currentVersion: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1
+    },
     isPublic: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
@@ -405,6 +709,23 @@ module.exports = (sequelize) => {
     isArchived: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
+    },
+    // Project and folder the template is filed in
+    projectId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Projects',
+        key: 'id'
+      }
+    },
+    folderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Folders',
+        key: 'id'
+      }
     }
   }, {
     timestamps: true
@@ -587,3 +908,818 @@ module.exports = (sequelize) => {
 
   return PaymentRecord;
 };
+
+// src/db/models/CreditTransaction.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const CreditTransaction = sequelize.define('CreditTransaction', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    creditAccountId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'CreditAccounts',
+        key: 'id'
+      }
+    },
+    generationId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'ContentGenerations',
+        key: 'id'
+      }
+    },
+    holdId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'CreditTransactions',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('hold', 'settlement', 'refund', 'release', 'purchase', 'renewal', 'deduction', 'adjustment'),
+      allowNull: false
+    },
+    // Signed change to creditsRemaining: negative debits, positive credits
+    amount: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    balanceAfter: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'settled', 'released', 'completed'),
+      defaultValue: 'completed'
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    }
+  }, {
+    timestamps: true
+  });
+
+  return CreditTransaction;
+};
+
+// src/db/models/TemplateVersion.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Immutable snapshot of a template's prompt fields, written on every change
+  const TemplateVersion = sequelize.define('TemplateVersion', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    templateId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Templates',
+        key: 'id'
+      }
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    contentType: {
+      type: DataTypes.ENUM('blog', 'product', 'social', 'email', 'custom'),
+      defaultValue: 'blog'
+    },
+    structure: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    promptTemplate: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    variables: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    defaultParameters: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    outputSchema: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    voiceProfileId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'VoiceProfiles',
+        key: 'id'
+      }
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    changeNote: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['templateId', 'version']
+      }
+    ]
+  });
+
+  return TemplateVersion;
+};
+
+// src/db/models/GenerationStep.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // One AI call of a multi-step generation, e.g. the outline or a section of a
+  // long-form post, with the provider, usage and credits attributable to it
+  const GenerationStep = sequelize.define('GenerationStep', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    generationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ContentGenerations',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('outline', 'section'),
+      allowNull: false
+    },
+    // 0 for the outline, 1-based for sections
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('processing', 'completed', 'failed'),
+      defaultValue: 'processing'
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    aiProvider: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    aiModel: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    usage: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    creditsUsed: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Failed provider attempts, including those before a successful failover
+    failedAttempts: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    completionTime: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['generationId', 'position']
+      }
+    ]
+  });
+
+  return GenerationStep;
+};
+
+// src/db/models/VoiceProfile.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // A brand's writing voice, compiled into the system prompt of generations
+  // and checked against their output
+  const VoiceProfile = sequelize.define('VoiceProfile', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // e.g. "warm and direct"
+    tone: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // e.g. "8th grade" or "expert"
+    readingLevel: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Phrases the brand never uses
+    bannedPhrases: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    // Preferred terms and the variants to avoid: [{ preferred, avoid: [] }]
+    terminology: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    // Paragraphs written in the voice, given to the model as examples
+    samples: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    }
+  }, {
+    timestamps: true
+  });
+
+  return VoiceProfile;
+};
+
+// src/db/models/GenerationBatch.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Rows uploaded as CSV or JSON, each generated from the same template as
+  // one ContentGeneration of the batch
+  const GenerationBatch = sequelize.define('GenerationBatch', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // draft: uploaded and being mapped; paused: queued rows wait for a resume
+    status: {
+      type: DataTypes.ENUM('draft', 'processing', 'paused', 'completed', 'failed'),
+      defaultValue: 'draft'
+    },
+    // Column names of the upload, in order, and its rows keyed by column
+    columns: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    rows: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    rowCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    // Settings the rows are generated with, fixed when the batch is started
+    templateId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Templates',
+        key: 'id'
+      }
+    },
+    templateVersionId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'TemplateVersions',
+        key: 'id'
+      }
+    },
+    voiceProfileId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'VoiceProfiles',
+        key: 'id'
+      }
+    },
+    contentType: {
+      type: DataTypes.ENUM('blog', 'product', 'social', 'email', 'custom'),
+      allowNull: true
+    },
+    aiProvider: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Template variable (or "title") -> upload column
+    columnMapping: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    // Prompt data shared by every row, under the mapped columns
+    promptData: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    estimatedCredits: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  return GenerationBatch;
+};
+
+// src/db/models/KnowledgeDocument.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Reference document uploaded to a user's knowledge base. Only its extracted
+  // text is kept, split into KnowledgeChunks.
+  const KnowledgeDocument = sequelize.define('KnowledgeDocument', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    format: {
+      type: DataTypes.ENUM('markdown', 'html', 'pdf', 'text'),
+      allowNull: false
+    },
+    // Size of the uploaded file in bytes
+    size: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    chunkCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    wordCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  return KnowledgeDocument;
+};
+
+// src/db/models/KnowledgeChunk.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Passage of a knowledge document, indexed for BM25 retrieval
+  const KnowledgeChunk = sequelize.define('KnowledgeChunk', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    documentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'KnowledgeDocuments',
+        key: 'id'
+      }
+    },
+    // Copied from the document, so retrieval reads a single table
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    // Order of the chunk within its document
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Nearest heading above the chunk, if any
+    heading: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    text: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // Term frequencies of the chunk, keyed by term
+    terms: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    termCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId']
+      },
+      {
+        fields: ['documentId', 'position']
+      }
+    ]
+  });
+
+  return KnowledgeChunk;
+};
+
+// src/db/models/GenerationAudit.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // What one run of the worker sent to and received from the AI providers for
+  // a generation, and what post-processing made of it. A generation queued
+  // again, e.g. after its outline was reviewed, gets a trail per run.
+  const GenerationAudit = sequelize.define('GenerationAudit', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    generationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ContentGenerations',
+        key: 'id'
+      }
+    },
+    // Provider calls in the order they were made, failed ones included: the
+    // system message and prompt, the request options, the raw response and usage
+    calls: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    // Content after each post-processing step, as { step, output }
+    processingSteps: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    }
+  }, {
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['generationId']
+      },
+      {
+        fields: ['createdAt']
+      }
+    ]
+  });
+
+  return GenerationAudit;
+};
+
+// src/db/models/ContentRevision.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // A saved state of a content item's title and content. Revisions are only
+  // ever added: restoring an old one adds a new revision with its content.
+  const ContentRevision = sequelize.define('ContentRevision', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    contentItemId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ContentItems',
+        key: 'id'
+      }
+    },
+    // 1 for the first revision of the item, counting up
+    number: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: ''
+    },
+    wordCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    // What produced the revision: an edit in the editor, a generation, an
+    // edit with accepted inline AI suggestions, or restoring an older revision
+    source: {
+      type: DataTypes.ENUM('manual', 'generation', 'inline_edit', 'restore'),
+      allowNull: false
+    },
+    // User who saved the revision, or who requested the generation. Empty
+    // for revisions recorded from content that existed before revisions did.
+    authorId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // Generation that wrote the content, or the last inline edit accepted
+    generationId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'ContentGenerations',
+        key: 'id'
+      }
+    },
+    // Revision a 'restore' revision copied its content from
+    restoredFromId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'ContentRevisions',
+        key: 'id'
+      }
+    }
+  }, {
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['contentItemId', 'number']
+      }
+    ]
+  });
+
+  return ContentRevision;
+};
+
+// src/db/models/Project.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // A client or campaign. Its defaults apply to the content filed in it.
+  const Project = sequelize.define('Project', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Hex color the project is shown in, e.g. '#2563eb'
+    color: {
+      type: DataTypes.STRING(7),
+      allowNull: true
+    },
+    // Template of content created in the project without one
+    defaultTemplateId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Templates',
+        key: 'id'
+      }
+    },
+    // Brand voice of generations in the project, unless one is requested
+    voiceProfileId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'VoiceProfiles',
+        key: 'id'
+      }
+    },
+    // Integration content in the project is published to, unless one is given
+    integrationId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Integrations',
+        key: 'id'
+      }
+    },
+    isArchived: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    }
+  }, {
+    timestamps: true
+  });
+
+  return Project;
+};
+
+// src/db/models/Folder.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Folders nest, and a folder in a project belongs to it with all of its
+  // subfolders
+  const Folder = sequelize.define('Folder', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    projectId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Projects',
+        key: 'id'
+      }
+    },
+    // Folder this one is in; empty at the top level
+    parentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Folders',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    }
+  }, {
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'parentId']
+      }
+    ]
+  });
+
+  return Folder;
+};
+
+// src/db/models/Tag.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Free-form label. Names are unique per user, ignoring case.
+  const Tag = sequelize.define('Tag', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    color: {
+      type: DataTypes.STRING(7),
+      allowNull: true
+    }
+  }, {
+    timestamps: true
+  });
+
+  return Tag;
+};
@@ -50,6 +50,11 @@ const errorHandler = (err, req, res, next) => {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
 
+  // File upload errors
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message });
+  }
+
   // Handle rate limiting errors
   if (err.name === 'TooManyRequests') {
     return res.status(429).json({ 
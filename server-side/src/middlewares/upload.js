@@ -0,0 +1,24 @@
+// src/middlewares/upload.js
+const multer = require('multer');
+const config = require('../config/ai');
+
+// Batch uploads are small enough to be parsed from memory
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.batch.maxFileSize,
+    files: 1
+  }
+});
+
+// Knowledge documents are reduced to text straight away, so memory is enough
+// for them as well
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.knowledge.maxFileSize,
+    files: 1
+  }
+});
+
+module.exports = { batchUpload, documentUpload };
@@ -2,6 +2,7 @@
 require('dotenv').config();
 const app = require('./app');
 const logger = require('./utils/logger');
+const aiService = require('./services/aiService');
 const { sequelize } = require('./db/models');
 
 const PORT = process.env.PORT || 5000;
@@ -12,6 +13,12 @@ async function startServer() {
     await sequelize.authenticate();
     logger.info('Database connection established successfully');
 
+    // The worker makes the AI calls; follow its breakers for /health/ai. The
+    // API can serve without the broker, so a failure here is not fatal.
+    aiService.shareBreakers().catch(error => {
+      logger.error('Failed to subscribe to circuit breaker state:', error);
+    });
+
     // Start the server
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
@@ -1,12 +1,171 @@
 // src/services/aiService.js
 const { OpenAI } = require('openai');
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+const templateEngine = require('../utils/templateEngine');
+const { countTokens } = require('../utils/tokenizer');
+const { structuredOutputService } = require('./structuredOutputService');
+const { queueService } = require('./queueService');
 const config = require('../config/ai');
 
+// Broker exchange on which processes share their circuit breaker state
+const BREAKER_EXCHANGE = 'ai-breakers';
+
+const DEFAULT_SYSTEM_MESSAGE = 'You are a professional content creator who writes high-quality articles, blog posts, and other content.';
+
+// Angles that steer each variant of a variations request somewhere different
+const VARIATION_ANGLES = [
+  'a straightforward, practical angle',
+  'a story-driven angle that opens with a concrete example',
+  'a bold, opinionated angle',
+  'a question-led angle that speaks directly to the reader',
+  'a data- and evidence-focused angle'
+];
+
+// Usage in the shape every provider returns
+const buildUsage = (promptTokens, completionTokens) => ({
+  promptTokens,
+  completionTokens,
+  totalTokens: promptTokens + completionTokens
+});
+
+// Body of a provider request without its prompt, for the audit trail
+const requestOptions = ({ messages, system, ...options }) => options;
+
+// How each kind of provider error is handled: retriable errors are retried
+// with backoff; failover errors are the provider's fault, so they count
+// against its circuit breaker and the next provider in the chain is tried
+const ERROR_TYPES = {
+  rate_limit: { retriable: true, failover: true, statusCode: 429 },
+  timeout: { retriable: true, failover: true, statusCode: 504 },
+  server: { retriable: true, failover: true, statusCode: 502 },
+  unavailable: { retriable: true, failover: true, statusCode: 503 },
+  auth: { retriable: false, failover: true, statusCode: 502 },
+  content_policy: { retriable: false, failover: false, statusCode: 422 },
+  invalid_request: { retriable: false, failover: false, statusCode: 400 },
+  unknown: { retriable: false, failover: true, statusCode: 500 }
+};
+
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+// Error raised by a provider, classified by ERROR_TYPES
+class AIProviderError extends Error {
+  constructor(message, { provider, type = 'unknown', retryAfter = null, cause } = {}) {
+    super(message);
+    this.name = 'AIProviderError';
+    this.provider = provider;
+    this.type = type;
+    this.retriable = ERROR_TYPES[type].retriable;
+    this.failover = ERROR_TYPES[type].failover;
+    this.statusCode = ERROR_TYPES[type].statusCode;
+    this.retryAfter = retryAfter;
+    this.cause = cause;
+  }
+}
+
+// Classify an OpenAI SDK, axios or stream error into one of ERROR_TYPES
+const classifyError = (error) => {
+  const status = error.status || (error.response && error.response.status);
+  const apiType = (error.response?.data?.error?.type) || error.type;
+  const { code } = error;
+
+  if (error instanceof OpenAI.APIConnectionTimeoutError || code === 'ECONNABORTED' ||
+      code === 'ETIMEDOUT' || status === 408) {
+    return 'timeout';
+  }
+
+  if (code === 'content_policy_violation' || code === 'content_filter') {
+    return 'content_policy';
+  }
+
+  // An exhausted quota will not recover by retrying, so treat it as an account problem
+  if (code === 'insufficient_quota' || status === 401 || status === 403 ||
+      apiType === 'authentication_error' || apiType === 'permission_error') {
+    return 'auth';
+  }
+
+  if (status === 429 || apiType === 'rate_limit_error') {
+    return 'rate_limit';
+  }
+
+  if (status >= 500 || apiType === 'overloaded_error' || apiType === 'api_error') {
+    return 'server';
+  }
+
+  if (status >= 400 || apiType === 'invalid_request_error') {
+    return 'invalid_request';
+  }
+
+  if (error instanceof OpenAI.APIConnectionError || CONNECTION_ERROR_CODES.includes(code)) {
+    return 'unavailable';
+  }
+
+  return 'unknown';
+};
+
+// Retry-After header of a rate-limited response, in milliseconds
+const parseRetryAfter = (error) => {
+  const headers = error.headers || (error.response && error.response.headers) || {};
+  const seconds = parseFloat(headers['retry-after']);
+
+  return Number.isNaN(seconds) ? null : seconds * 1000;
+};
+
+// Wrap a provider error with its classification, keeping the provider's message
+const toProviderError = (error, provider, message = error.message) => {
+  if (error instanceof AIProviderError) {
+    return error;
+  }
+
+  return new AIProviderError(message, {
+    provider,
+    type: classifyError(error),
+    retryAfter: parseRetryAfter(error),
+    cause: error
+  });
+};
+
+// Parse a Server-Sent Events byte stream into { event, data } messages
+async function* parseEventStream(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk).replace(/\r\n/g, '\n');
+    
+    let boundary = buffer.indexOf('\n\n');
+    
+    while (boundary !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+      
+      let event = 'message';
+      const data = [];
+      
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).trim());
+        }
+      });
+      
+      if (data.length > 0) {
+        yield { event, data: data.join('\n') };
+      }
+    }
+  }
+}
+
 // Base AI Provider class
 class AIProvider {
   constructor() {
     this.name = 'base';
+    this.models = [];
   }
   
   async generate(prompt, options = {}) {
@@ -16,36 +175,52 @@ class AIProvider {
   async isAvailable() {
     return false;
   }
+  
+  // Models this provider can serve
+  async getModels() {
+    return this.models;
+  }
 }
 
 // OpenAI Provider implementation
 class OpenAIProvider extends AIProvider {
-  constructor(apiKey = config.openai.apiKey) {
+  constructor(apiKey = config.openai.apiKey, {
+    baseURL,
+    defaultModel = config.openai.defaultModel,
+    models = config.openai.models
+  } = {}) {
     super();
     this.name = 'openai';
+    this.displayName = 'OpenAI';
+    this.defaultModel = defaultModel;
+    this.models = models;
     this.client = new OpenAI({
-      apiKey: apiKey
+      apiKey: apiKey,
+      ...(baseURL && { baseURL })
     });
   }
   
   async generate(prompt, options = {}) {
     try {
       const {
-        model = 'gpt-4',
+        model = this.defaultModel,
         maxTokens = 2000,
         temperature = 0.7,
         topP = 1,
         presencePenalty = 0,
         frequencyPenalty = 0,
-        systemMessage = 'You are a professional content creator who writes high-quality articles, blog posts, and other content.'
+        systemMessage = DEFAULT_SYSTEM_MESSAGE,
+        responseFormat,
+        onToken
       } = options;
       
-      logger.info(`Generating content with OpenAI ${model}`, { 
+      logger.info(`Generating content with ${this.displayName} ${model}`, { 
         promptLength: prompt.length,
-        model 
+        model,
+        stream: typeof onToken === 'function'
       });
       
-      const response = await this.client.chat.completions.create({
+      const request = {
         model,
         messages: [
           {
@@ -61,36 +236,289 @@ class OpenAIProvider extends AIProvider {
         temperature,
         top_p: topP,
         presence_penalty: presencePenalty,
-        frequency_penalty: frequencyPenalty
-      });
+        frequency_penalty: frequencyPenalty,
+        // JSON mode: the reply is a single valid JSON object
+        ...(responseFormat === 'json' && { response_format: { type: 'json_object' } })
+      };
+      
+      // Stream tokens to the caller as they arrive
+      if (typeof onToken === 'function') {
+        return await this.generateStream(request, onToken);
+      }
+      
+      const response = await this.client.chat.completions.create(request);
       
-      logger.info('OpenAI response received', {
+      logger.info(`${this.displayName} response received`, {
         model,
         usage: response.usage
       });
       
+      const content = response.choices[0].message.content;
+      
       return {
-        content: response.choices[0].message.content,
+        content,
         model: response.model,
-        usage: {
-          promptTokens: response.usage.prompt_tokens,
-          completionTokens: response.usage.completion_tokens,
-          totalTokens: response.usage.total_tokens
-        },
-        provider: this.name
+        usage: this.normalizeUsage(response.usage, request, content),
+        provider: this.name,
+        exchange: { request: requestOptions(request), response }
       };
     } catch (error) {
-      logger.error('OpenAI generation error:', error);
-      throw new Error(`OpenAI generation failed: ${error.message}`);
+      logger.error(`${this.displayName} generation error:`, error);
+      throw toProviderError(error, this.name, `${this.displayName} generation failed: ${error.message}`);
     }
   }
   
+  // Stream a chat completion, passing each content delta to onToken
+  async generateStream(request, onToken) {
+    const stream = await this.client.chat.completions.create({
+      ...request,
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+    
+    let content = '';
+    let model = request.model;
+    let usage = null;
+    
+    for await (const chunk of stream) {
+      model = chunk.model || model;
+      
+      // The final chunk carries usage and no choices
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+      
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta.content;
+      
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+    }
+    
+    logger.info(`${this.displayName} stream completed`, {
+      model,
+      usage
+    });
+    
+    return {
+      content,
+      model,
+      usage: this.normalizeUsage(usage, request, content),
+      provider: this.name,
+      // A stream has no single response; its deltas are kept joined
+      exchange: {
+        request: requestOptions({ ...request, stream: true }),
+        response: { model, content, usage }
+      }
+    };
+  }
+  
+  // Convert reported usage, estimating it for servers that omit it
+  normalizeUsage(usage, request, content) {
+    if (usage) {
+      return buildUsage(usage.prompt_tokens, usage.completion_tokens);
+    }
+    
+    const promptText = request.messages.map(message => message.content).join('\n');
+    
+    return buildUsage(countTokens(promptText, request.model), countTokens(content, request.model));
+  }
+  
   async isAvailable() {
     try {
       await this.client.models.list();
       return true;
     } catch (error) {
-      logger.error('OpenAI availability check failed:', error);
+      logger.error(`${this.displayName} availability check failed:`, error);
+      return false;
+    }
+  }
+}
+
+// Self-hosted server speaking the OpenAI chat completions API (Ollama, vLLM, etc.)
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = config.openaiCompatible) {
+    // Local servers usually ignore the key, but the client requires one
+    super(options.apiKey || 'not-required', {
+      baseURL: options.baseUrl,
+      defaultModel: options.defaultModel,
+      models: options.models
+    });
+    this.name = options.name;
+    this.displayName = `OpenAI-compatible (${options.name})`;
+  }
+  
+  // Prefer the models the server reports, falling back to configuration
+  async getModels() {
+    try {
+      const response = await this.client.models.list();
+      
+      return response.data.map(model => ({
+        id: model.id,
+        name: model.id
+      }));
+    } catch (error) {
+      logger.warn(`${this.displayName} model list unavailable, using configured models`, {
+        error: error.message
+      });
+      return this.models;
+    }
+  }
+}
+
+// Anthropic Messages API provider
+class AnthropicProvider extends AIProvider {
+  constructor(options = config.anthropic) {
+    super();
+    this.name = 'anthropic';
+    this.defaultModel = options.defaultModel;
+    this.models = options.models;
+    this.client = axios.create({
+      baseURL: options.baseUrl,
+      timeout: options.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': options.apiKey,
+        'anthropic-version': options.apiVersion
+      }
+    });
+  }
+  
+  async generate(prompt, options = {}) {
+    try {
+      const {
+        model = this.defaultModel,
+        maxTokens = 2000,
+        temperature = 0.7,
+        systemMessage = DEFAULT_SYSTEM_MESSAGE,
+        responseFormat,
+        onToken
+      } = options;
+      
+      // The Messages API has no JSON mode; a JSON reply is started for the
+      // model with its opening brace instead, which the reply then lacks
+      const prefill = responseFormat === 'json' && typeof onToken !== 'function' ? '{' : '';
+      
+      logger.info(`Generating content with Anthropic ${model}`, { 
+        promptLength: prompt.length,
+        model,
+        stream: typeof onToken === 'function'
+      });
+      
+      const request = {
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        system: systemMessage,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          },
+          ...(prefill ? [{ role: 'assistant', content: prefill }] : [])
+        ]
+      };
+      
+      // Stream tokens to the caller as they arrive
+      if (typeof onToken === 'function') {
+        return await this.generateStream(request, onToken);
+      }
+      
+      const { data } = await this.client.post('/v1/messages', request);
+      
+      logger.info('Anthropic response received', {
+        model,
+        usage: data.usage
+      });
+      
+      return {
+        content: prefill + data.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        model: data.model,
+        usage: buildUsage(data.usage.input_tokens, data.usage.output_tokens),
+        provider: this.name,
+        exchange: { request: requestOptions(request), response: data }
+      };
+    } catch (error) {
+      logger.error('Anthropic generation error:', error);
+      
+      // Surface the API's own error message when there is one
+      const apiError = error.response?.data?.error;
+      throw toProviderError(error, this.name, `Anthropic generation failed: ${apiError ? apiError.message : error.message}`);
+    }
+  }
+  
+  // Stream a message, passing each text delta to onToken
+  async generateStream(request, onToken) {
+    const response = await this.client.post('/v1/messages', {
+      ...request,
+      stream: true
+    }, {
+      responseType: 'stream'
+    });
+    
+    let content = '';
+    let model = request.model;
+    let inputTokens = 0;
+    let outputTokens = 0;
+    
+    for await (const { event, data } of parseEventStream(response.data)) {
+      const payload = JSON.parse(data);
+      
+      switch (event) {
+        case 'message_start':
+          model = payload.message.model || model;
+          inputTokens = payload.message.usage.input_tokens;
+          outputTokens = payload.message.usage.output_tokens || 0;
+          break;
+        case 'content_block_delta':
+          if (payload.delta.type === 'text_delta') {
+            content += payload.delta.text;
+            onToken(payload.delta.text);
+          }
+          break;
+        case 'message_delta':
+          // Output token counts are cumulative
+          outputTokens = payload.usage.output_tokens;
+          break;
+        case 'error': {
+          // Keep the API error type, e.g. overloaded_error, for classification
+          const streamError = new Error(payload.error.message);
+          streamError.type = payload.error.type;
+          throw streamError;
+        }
+        default:
+          break;
+      }
+    }
+    
+    logger.info('Anthropic stream completed', {
+      model,
+      inputTokens,
+      outputTokens
+    });
+    
+    return {
+      content,
+      model,
+      usage: buildUsage(inputTokens, outputTokens),
+      provider: this.name,
+      exchange: {
+        request: requestOptions({ ...request, stream: true }),
+        response: { model, content, usage: { input_tokens: inputTokens, output_tokens: outputTokens } }
+      }
+    };
+  }
+  
+  async isAvailable() {
+    try {
+      await this.client.get('/v1/models');
+      return true;
+    } catch (error) {
+      logger.error('Anthropic availability check failed:', error);
       return false;
     }
   }
@@ -101,6 +529,10 @@ class MockProvider extends AIProvider {
   constructor() {
     super();
     this.name = 'mock';
+    this.defaultModel = 'mock-model-v1';
+    this.models = [
+      { id: 'mock-model-v1', name: 'Mock Model', contextWindow: 8192, pricing: { input: 0, output: 0 }, creditPricing: { input: 750, output: 750 }, creditMultiplier: 1 }
+    ];
   }
   
   async generate(prompt, options = {}) {
@@ -123,15 +555,17 @@ Etiam euismod, arcu id pharetra aliquam, risus velit aliquet risus, id aliquam r
 ## Conclusion
 In conclusion, this is a mock response generated for testing purposes.`;
     
+    // Simulate streaming by emitting the content line by line
+    if (typeof options.onToken === 'function') {
+      content.split(/(?<=\n)/).forEach(chunk => options.onToken(chunk));
+    }
+    
     return {
       content,
       model: 'mock-model-v1',
-      usage: {
-        promptTokens: Math.floor(prompt.length / 4),
-        completionTokens: content.length / 4,
-        totalTokens: (prompt.length + content.length) / 4
-      },
-      provider: this.name
+      usage: buildUsage(countTokens(prompt, 'mock-model-v1'), countTokens(content, 'mock-model-v1')),
+      provider: this.name,
+      exchange: { request: { model: 'mock-model-v1' }, response: { content } }
     };
   }
   
@@ -142,27 +576,55 @@ In conclusion, this is a mock response generated for testing purposes.`;
 
 // AI Service class to manage providers
 class AIService {
-  constructor() {
+  /**
+   * @param {object} dependencies - Broker with publish/subscribe for sharing breaker state (defaults to queueService)
+   */
+  constructor({ broker = queueService } = {}) {
     this.providers = {};
+    this.breakers = {};
     this.defaultProvider = null;
+    this.broker = broker;
+    this.instanceId = uuidv4();
+    this.breakerSubscription = null;
     
     // Initialize providers
     this.registerProviders();
+    
+    // Broker subscriptions do not survive a reconnect, so resubscribe
+    this.broker.on('connected', () => {
+      if (this.breakerSubscription) {
+        this.breakerSubscription = null;
+        this.shareBreakers().catch(error => {
+          logger.error('Failed to resubscribe to circuit breaker state:', error);
+        });
+      }
+    });
   }
   
   registerProviders() {
     // Register OpenAI if API key is available
     if (config.openai.apiKey) {
       this.registerProvider('openai', new OpenAIProvider());
-      this.defaultProvider = 'openai';
+    }
+    
+    // Register Anthropic if API key is available
+    if (config.anthropic.apiKey) {
+      this.registerProvider('anthropic', new AnthropicProvider());
+    }
+    
+    // Register a self-hosted OpenAI-compatible server if one is configured
+    if (config.openaiCompatible.baseUrl) {
+      this.registerProvider(config.openaiCompatible.name, new OpenAICompatibleProvider());
     }
     
     // Always register mock provider for testing
     this.registerProvider('mock', new MockProvider());
     
-    // If no other provider is available, use mock as default
-    if (!this.defaultProvider) {
-      this.defaultProvider = 'mock';
+    // Use the configured default, else the first real provider, else mock
+    if (config.defaultProvider && this.providers[config.defaultProvider]) {
+      this.defaultProvider = config.defaultProvider;
+    } else {
+      this.defaultProvider = Object.keys(this.providers).find(name => name !== 'mock') || 'mock';
     }
     
     logger.info('AI providers registered', { 
@@ -173,38 +635,355 @@ class AIService {
   
   registerProvider(name, provider) {
     this.providers[name] = provider;
+    this.breakers[name] = new CircuitBreaker({ name, ...config.circuitBreaker });
   }
   
   getProvider(name) {
     return this.providers[name] || this.providers[this.defaultProvider];
   }
   
+  getBreaker(name) {
+    if (!this.breakers[name]) {
+      this.breakers[name] = new CircuitBreaker({ name, ...config.circuitBreaker });
+    }
+    
+    return this.breakers[name];
+  }
+  
+  // Share circuit breaker state with the other processes that call this. The
+  // worker makes the AI calls, so without this the API's health endpoint only
+  // sees its own breakers. Subscribes once; changes are published afterwards.
+  shareBreakers() {
+    if (!this.breakerSubscription) {
+      this.breakerSubscription = this.broker
+        .subscribe(BREAKER_EXCHANGE, 'breaker.*', (message) => {
+          if (message.source !== this.instanceId) {
+            this.getBreaker(message.provider).restore(message);
+          }
+        })
+        .catch((error) => {
+          this.breakerSubscription = null;
+          throw error;
+        });
+    }
+    
+    return this.breakerSubscription;
+  }
+  
+  // Record a call's outcome on the provider's breaker, publishing any change
+  // of its state when breakers are shared. Publishing failures are logged only.
+  recordOutcome(name, error = null) {
+    const breaker = this.getBreaker(name);
+    const { state, failures } = breaker;
+    
+    if (error) {
+      breaker.recordFailure(error);
+    } else {
+      breaker.recordSuccess();
+    }
+    
+    if (!this.breakerSubscription || (breaker.state === state && breaker.failures === failures)) {
+      return;
+    }
+    
+    this.broker
+      .publish(BREAKER_EXCHANGE, `breaker.${name}`, { ...breaker.snapshot(), provider: name, source: this.instanceId })
+      .catch(publishError => {
+        logger.warn('Failed to publish circuit breaker state', { provider: name, error: publishError.message });
+      });
+  }
+  
+  // Registered providers to try, in order: the requested provider, then the
+  // configured fallback chain (or the default provider if none is configured)
+  getFallbackChain(requested = this.defaultProvider) {
+    const fallbacks = config.fallbackChain.length > 0 ? config.fallbackChain : [this.defaultProvider];
+    
+    return [...new Set([requested, ...fallbacks])].filter(name => this.providers[name]);
+  }
+  
+  // Generate with the first provider in the fallback chain that succeeds. The
+  // result lists the failed attempts, if any, before the successful one.
   async generate(prompt, options = {}) {
-    const providerName = options.provider || this.defaultProvider;
-    const provider = this.getProvider(providerName);
+    const { provider: requested = this.defaultProvider, ...generateOptions } = options;
+    const chain = this.getFallbackChain(requested);
     
-    if (!provider) {
-      throw new Error(`AI provider '${providerName}' not found`);
+    if (chain.length === 0) {
+      throw new Error(`AI provider '${requested}' not found`);
     }
     
-    try {
-      return await provider.generate(prompt, options);
-    } catch (error) {
-      logger.error(`Generation failed with provider ${providerName}:`, error);
+    const attempts = [];
+    let lastError = null;
+    
+    for (const name of chain) {
+      if (!this.getBreaker(name).canRequest()) {
+        logger.warn(`Skipping provider ${name}, its circuit is open`);
+        attempts.push({ provider: name, type: 'circuit_open' });
+        continue;
+      }
+      
+      // A requested model belongs to the requested provider; fallbacks use their default
+      const providerOptions = name === requested ? generateOptions : { ...generateOptions, model: undefined };
+      
+      try {
+        const result = await this.generateWithRetry(name, prompt, providerOptions, attempts);
+        
+        return { ...result, attempts };
+      } catch (error) {
+        lastError = error;
+        
+        if (!error.failover) {
+          break;
+        }
+        
+        logger.info(`Generation failed with provider ${name}, trying the next provider`, { type: error.type });
+      }
+    }
+    
+    const error = lastError || new AIProviderError(`No AI provider is available: ${chain.join(', ')}`, {
+      type: 'unavailable'
+    });
+    error.attempts = attempts;
+    
+    throw error;
+  }
+  
+  // Generate a JSON object with the fields of an output schema. Replies that
+  // do not match the schema are sent back with the errors for the model to
+  // correct, up to config.structuredOutput.maxAttempts calls. The usage of
+  // every call is added up, since every call is paid for. When no reply
+  // matches, the error carries the usage, provider and model of the replies
+  // received, and the failed provider attempts, for the caller to charge.
+  async generateStructured(prompt, fields, options = {}) {
+    const { maxAttempts } = config.structuredOutput;
+    const request = `${prompt}\n\n${structuredOutputService.buildInstructions(fields)}`;
+    const attempts = [];
+    let promptTokens = 0;
+    let completionTokens = 0;
+    let current = request;
+    let errors = [];
+    let last = null;
+    
+    const withUsage = (error) => {
+      error.attempts = attempts.concat(error.attempts || []);
+      if (last) {
+        error.usage = buildUsage(promptTokens, completionTokens);
+        error.provider = last.provider;
+        error.model = last.model;
+      }
+      return error;
+    };
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let result;
+      try {
+        result = await this.generate(current, { ...options, responseFormat: 'json' });
+      } catch (error) {
+        // A repair that fails leaves the replies before it to be paid for
+        throw withUsage(error);
+      }
+      last = result;
+      
+      attempts.push(...(result.attempts || []));
+      promptTokens += result.usage.promptTokens;
+      completionTokens += result.usage.completionTokens;
       
-      // If not already using the default provider, try falling back
-      if (providerName !== this.defaultProvider) {
-        logger.info(`Falling back to default provider ${this.defaultProvider}`);
-        return await this.providers[this.defaultProvider].generate(prompt, options);
+      const validated = structuredOutputService.validateResponse(fields, result.content);
+      errors = validated.errors;
+      
+      if (errors.length === 0) {
+        return {
+          ...result,
+          usage: buildUsage(promptTokens, completionTokens),
+          attempts,
+          structured: validated.value,
+          repairs: attempt - 1
+        };
       }
       
-      // If we're already using the default provider, rethrow the error
-      throw error;
+      logger.warn('Structured output does not match its schema', { attempt, errors });
+      current = structuredOutputService.buildRepairPrompt(request, result.content, errors);
+    }
+    
+    throw withUsage(new Error(`The generated output did not match the output schema after ${maxAttempts} attempts: ${errors.join('; ')}`));
+  }
+  
+  // Call one provider, retrying retriable errors with exponential backoff.
+  // Each call, failed or not, is passed to options.onCall for the audit trail.
+  async generateWithRetry(name, prompt, options, attempts) {
+    const provider = this.providers[name];
+    const breaker = this.getBreaker(name);
+    
+    for (let attempt = 0; ; attempt++) {
+      let streamed = false;
+      const onToken = options.onToken && (token => {
+        streamed = true;
+        options.onToken(token);
+      });
+      const startedAt = new Date();
+      
+      try {
+        const { exchange, ...result } = await provider.generate(prompt, { ...options, ...(onToken && { onToken }) });
+        this.recordOutcome(name);
+        
+        this.recordCall(options, {
+          provider: name,
+          model: result.model,
+          prompt,
+          startedAt,
+          request: exchange ? exchange.request : null,
+          response: exchange ? exchange.response : null,
+          usage: result.usage
+        });
+        
+        return result;
+      } catch (caught) {
+        const error = toProviderError(caught, name);
+        
+        this.recordCall(options, {
+          provider: name,
+          model: options.model || provider.defaultModel,
+          prompt,
+          startedAt,
+          error: { type: error.type, message: error.message }
+        });
+        
+        attempts.push({
+          provider: name,
+          model: options.model || provider.defaultModel,
+          type: error.type,
+          error: error.message
+        });
+        
+        // Request errors such as a content-policy refusal mean the provider is up
+        this.recordOutcome(name, error.failover ? error : null);
+        
+        // Tokens already streamed to the caller cannot be taken back
+        if (streamed) {
+          error.failover = false;
+          throw error;
+        }
+        
+        if (!error.retriable || attempt >= config.retry.maxRetries || !breaker.canRequest()) {
+          throw error;
+        }
+        
+        const delay = this.getRetryDelay(attempt, error);
+        logger.warn(`Retrying provider ${name} in ${delay}ms`, { type: error.type, attempt: attempt + 1 });
+        
+        await this.sleep(delay);
+      }
     }
   }
   
+  // Pass a provider call to the caller's onCall, with the system message the
+  // provider sends when none is given
+  recordCall(options, { startedAt, ...call }) {
+    if (typeof options.onCall !== 'function') {
+      return;
+    }
+    
+    options.onCall({
+      provider: call.provider,
+      model: call.model,
+      systemMessage: options.systemMessage || DEFAULT_SYSTEM_MESSAGE,
+      prompt: call.prompt,
+      request: call.request || null,
+      response: call.response || null,
+      usage: call.usage || null,
+      error: call.error || null,
+      startedAt: startedAt.toISOString(),
+      duration: Date.now() - startedAt.getTime()
+    });
+  }
+  
+  // Exponential backoff with full jitter, honouring a provider's Retry-After
+  getRetryDelay(attempt, error) {
+    const { baseDelay, maxDelay } = config.retry;
+    const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    
+    return Math.min(maxDelay, Math.max(Math.round(Math.random() * backoff), error.retryAfter || 0));
+  }
+  
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+  
+  // Circuit breaker state of every registered provider
+  getHealth() {
+    const providers = Object.keys(this.providers).map(name => ({
+      name,
+      ...this.getBreaker(name).getStatus()
+    }));
+    
+    return {
+      defaultProvider: this.defaultProvider,
+      fallbackChain: this.getFallbackChain(),
+      providers
+    };
+  }
+  
+  // Compile a voice profile into the system message sent with the prompt.
+  // Without a profile the providers' default system message is used.
+  buildSystemMessage(voiceProfile = null) {
+    if (!voiceProfile) {
+      return DEFAULT_SYSTEM_MESSAGE;
+    }
+    
+    const {
+      name,
+      tone,
+      readingLevel,
+      bannedPhrases = [],
+      terminology = [],
+      samples = []
+    } = voiceProfile;
+    
+    let message = `${DEFAULT_SYSTEM_MESSAGE} You write in the brand voice "${name}", whatever the prompt asks for.\n\n`;
+    
+    if (tone) {
+      message += `Tone of voice: ${tone}. This takes precedence over any tone the prompt asks for.\n`;
+    }
+    
+    if (readingLevel) {
+      message += `Reading level: ${readingLevel}.\n`;
+    }
+    
+    if (bannedPhrases.length > 0) {
+      message += `\nNever use these phrases:\n`;
+      bannedPhrases.forEach(phrase => {
+        message += `- "${phrase}"\n`;
+      });
+    }
+    
+    if (terminology.length > 0) {
+      message += `\nAlways use the preferred terms:\n`;
+      terminology.forEach(rule => {
+        const avoid = (rule.avoid || []).map(term => `"${term}"`).join(', ');
+        message += `- "${rule.preferred}"${avoid ? `, never ${avoid}` : ''}\n`;
+      });
+    }
+    
+    if (samples.length > 0) {
+      message += `\nThese paragraphs are written in the brand voice. Match their style, not their content:\n`;
+      samples.forEach(sample => {
+        message += `\n"""\n${sample}\n"""\n`;
+      });
+    }
+    
+    return message.trim();
+  }
+  
   // Helper method to build prompts based on content type
-  buildPrompt(contentType, parameters) {
+  buildPrompt(contentType, parameters, template = null) {
+    // A template's own prompt takes precedence over the built-in prompts
+    if (template && template.promptTemplate) {
+      const rendered = templateEngine.render(template.promptTemplate, parameters)
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+      
+      return this.appendReferences(rendered, parameters.references);
+    }
+    
     let basePrompt = '';
     
     switch (contentType) {
@@ -225,7 +1004,26 @@ class AIService {
         basePrompt = parameters.customPrompt || this.buildGenericPrompt(parameters);
     }
     
-    return basePrompt;
+    return this.appendReferences(basePrompt, parameters.references);
+  }
+  
+  // Add knowledge base passages to a prompt as numbered references. The model
+  // cites them as [n], which contentProcessor resolves into a sources list.
+  appendReferences(prompt, references = []) {
+    if (!references || references.length === 0) {
+      return prompt;
+    }
+    
+    let section = `\n\nBase the content on the following reference material where it is relevant. `;
+    section += `Cite a reference with its number in square brackets, such as [1], right after the statement it supports. `;
+    section += `Do not cite anything else, and do not add a list of sources yourself.\n\n`;
+    
+    references.forEach((reference, i) => {
+      const label = [reference.documentName, reference.heading].filter(Boolean).join(' — ');
+      section += `[${i + 1}]${label ? ` ${label}` : ''}\n${reference.text}\n\n`;
+    });
+    
+    return `${prompt}${section}`.trim();
   }
   
   buildBlogPrompt(parameters) {
@@ -280,6 +1078,166 @@ class AIService {
     return prompt;
   }
   
+  // Ask for the outline of a long-form post instead of the post itself. The
+  // brief is the prompt the post would otherwise be generated from.
+  buildOutlinePrompt(brief, { wordCount = 2000, maxSections = 12 } = {}) {
+    let prompt = `You are planning a long-form post of approximately ${wordCount} words. This is the brief:\n\n`;
+    
+    prompt += `${brief}\n\n`;
+    
+    prompt += `Do not write the post yet. Reply with its outline only, in Markdown:\n`;
+    prompt += `- the post title as a "# " heading\n`;
+    prompt += `- one "## " heading per section, including the introduction and conclusion, at most ${maxSections} sections\n`;
+    prompt += `- under each section heading, 2 to 5 bullet points with the key points the section covers\n\n`;
+    
+    prompt += `Order the sections so the post reads as one coherent piece.`;
+    
+    return prompt;
+  }
+  
+  // Ask for one section of a long-form post, with the outline and the most
+  // recent sections as context so the sections read as one piece
+  buildSectionPrompt(brief, outline, index, previousSections = []) {
+    const section = outline.sections[index];
+    
+    let prompt = `You are writing a long-form post section by section. This is the brief for the whole post:\n\n`;
+    
+    prompt += `${brief}\n\n`;
+    
+    prompt += `Outline${outline.title ? ` of "${outline.title}"` : ''}:\n`;
+    outline.sections.forEach((item, i) => {
+      prompt += `${i + 1}. ${item.heading}${i === index ? ' (this section)' : ''}\n`;
+    });
+    prompt += `\n`;
+    
+    if (previousSections.length > 0) {
+      prompt += `The post so far ends with:\n\n`;
+      previousSections.forEach(previous => {
+        prompt += `## ${previous.heading}\n\n${previous.content}\n\n`;
+      });
+    }
+    
+    prompt += `Now write section ${index + 1} of ${outline.sections.length}, "${section.heading}", in approximately ${section.wordCount} words.\n\n`;
+    
+    if (section.points && section.points.length > 0) {
+      prompt += `Cover these points:\n`;
+      section.points.forEach(point => {
+        prompt += `- ${point}\n`;
+      });
+      prompt += `\n`;
+    }
+    
+    prompt += `Continue naturally from the previous sections without repeating them, and do not write any other section. `;
+    prompt += `Reply with the body of the section only, without its "## " heading; use "### " for any sub-headings.`;
+    
+    return prompt;
+  }
+  
+  // Ask for one of several alternative versions of a content item, its
+  // headline or a passage of it. Each variant is steered towards a different
+  // angle so the alternatives are worth comparing.
+  buildVariationPrompt(basePrompt, variation, contentItem = {}, parameters = {}) {
+    const { target = 'content', index = 0, count = 1, selection } = variation;
+    const angle = VARIATION_ANGLES[index % VARIATION_ANGLES.length];
+    const { toneOfVoice } = parameters;
+    let prompt;
+    
+    switch (target) {
+      case 'headline':
+        prompt = `Write an alternative headline for the ${contentItem.contentType || 'content'} below`;
+        prompt += contentItem.title ? `, currently titled "${contentItem.title}".\n\n` : `.\n\n`;
+        prompt += `Content:\n${(contentItem.content || '').split(/\s+/).slice(0, 500).join(' ')}\n\n`;
+        prompt += `Take ${angle}${toneOfVoice ? ` in a ${toneOfVoice} tone of voice` : ''}. `;
+        prompt += `Reply with the headline only, without quotes.`;
+        break;
+      case 'section':
+        prompt = `Rewrite the following passage from a longer ${contentItem.contentType || 'piece'}`;
+        prompt += contentItem.title ? ` titled "${contentItem.title}".\n\n` : `.\n\n`;
+        prompt += `Passage:\n${selection}\n\n`;
+        prompt += `Keep its meaning, its format and roughly its length, but take ${angle}`;
+        prompt += `${toneOfVoice ? ` in a ${toneOfVoice} tone of voice` : ''}. `;
+        prompt += `Reply with the rewritten passage only.`;
+        break;
+      default:
+        prompt = `${basePrompt}\n\n`;
+        prompt += `This is version ${index + 1} of ${count} alternative versions of this content. `;
+        prompt += `Take ${angle}, with its own structure and opening.`;
+    }
+    
+    return prompt;
+  }
+  
+  // Ask for the SEO metadata of a finished content item as a JSON object.
+  // Limits are the character limits from config.seo.
+  buildSeoPrompt(contentItem, { keywords = [], limits = {} } = {}) {
+    const content = (contentItem.content || '').split(/\s+/).slice(0, 1500).join(' ');
+    
+    let prompt = `Write the SEO metadata for the ${contentItem.contentType || 'content'} below`;
+    prompt += contentItem.title ? `, titled "${contentItem.title}".\n\n` : `.\n\n`;
+    
+    if (keywords.length > 0) {
+      prompt += `Target keywords: ${keywords.join(', ')}\n\n`;
+    }
+    
+    prompt += `Content:\n${content}\n\n`;
+    
+    prompt += `Reply with a JSON object only, with these fields:\n`;
+    prompt += `- "metaTitle": the title shown in search results, at most ${limits.metaTitleLength || 60} characters\n`;
+    prompt += `- "metaDescription": a compelling summary for search results, at most ${limits.metaDescriptionLength || 160} characters\n`;
+    prompt += `- "slug": a short URL slug of lowercase words separated by hyphens\n`;
+    prompt += `- "excerpt": one or two sentences introducing the content, at most ${limits.excerptLength || 300} characters\n`;
+    prompt += `- "focusKeyword": the main keyword the content should rank for\n`;
+    prompt += `- "ogTitle" and "ogDescription": the title and description shown when the content is shared on social media\n\n`;
+    
+    prompt += `Use the target keywords naturally, near the start of the title and description.`;
+    
+    return prompt;
+  }
+  
+  // Ask for a translation of a content item's title and content. Terms that
+  // must not be translated have been replaced with numbered placeholders.
+  buildTranslationPrompt(source, { language, sourceLanguage = null, protectedTerms = false } = {}) {
+    let prompt = `Translate the ${source.contentType || 'content'} below`;
+    prompt += sourceLanguage ? ` from ${sourceLanguage} into ${language}.\n\n` : ` into ${language}.\n\n`;
+    
+    prompt += `Keep the Markdown structure exactly as it is: the same headings at the same levels, lists, tables, links, emphasis and paragraph breaks. `;
+    prompt += `Do not translate code, URLs or HTML tags. Write naturally for native readers rather than word for word, without adding or leaving out anything.\n\n`;
+    
+    if (protectedTerms) {
+      prompt += `Placeholders such as ⟦1⟧ stand for terms that must not be translated. Keep every placeholder exactly as written, where it belongs in the translated sentence.\n\n`;
+    }
+    
+    prompt += `Reply with the translated title between <title> and </title>, then the translated content between <content> and </content>, and nothing else.\n\n`;
+    
+    prompt += `<title>${source.title || ''}</title>\n<content>\n${source.content || ''}\n</content>`;
+    
+    return prompt;
+  }
+  
+  // Ask for an edit of a passage selected in a content item. The text around
+  // the selection is shown for context only; the reply replaces the selection.
+  buildEditPrompt(selection, { instruction, before = '', after = '', contentItem = {} } = {}) {
+    let prompt = `You are editing a passage of a ${contentItem.contentType || 'piece of content'}`;
+    prompt += contentItem.title ? ` titled "${contentItem.title}".\n\n` : `.\n\n`;
+    
+    prompt += `${instruction}\n`;
+    prompt += `Keep the Markdown formatting of the passage. Do not repeat or change the surrounding text.\n\n`;
+    
+    if (before) {
+      prompt += `TEXT BEFORE THE PASSAGE:\n${before}\n\n`;
+    }
+    
+    prompt += `PASSAGE:\n<passage>\n${selection}\n</passage>\n\n`;
+    
+    if (after) {
+      prompt += `TEXT AFTER THE PASSAGE:\n${after}\n\n`;
+    }
+    
+    prompt += `Reply with the result between <suggestion> and </suggestion>, and nothing else.`;
+    
+    return prompt;
+  }
+  
   buildProductPrompt(parameters) {
     const {
       productName,
@@ -465,5 +1423,13 @@ class AIService {
   }
 }
 
-// Export a singleton instance
+// Export a singleton instance, with the provider classes for custom registration
 module.exports = new AIService();
+module.exports.AIService = AIService;
+module.exports.AIProvider = AIProvider;
+module.exports.OpenAIProvider = OpenAIProvider;
+module.exports.OpenAICompatibleProvider = OpenAICompatibleProvider;
+module.exports.AnthropicProvider = AnthropicProvider;
+module.exports.MockProvider = MockProvider;
+module.exports.AIProviderError = AIProviderError;
+module.exports.classifyError = classifyError;
@@ -0,0 +1,126 @@
+// src/services/auditService.js
+const { Op } = require('sequelize');
+const { GenerationAudit } = require('../db/models');
+const config = require('../config/ai');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Audit trail of generations, for finding out why one produced what it did.
+ * The worker collects a trail while it processes a generation: every
+ * provider call through aiService's onCall option and the content after each
+ * contentProcessor step through its onStep option. The trail is stored when
+ * the generation completes or fails, and deleted after the retention period.
+ */
+class AuditService {
+  /**
+   * @param {object} options - Retention, as in config.audit
+   */
+  constructor(options = config.audit) {
+    this.options = options;
+  }
+
+  /**
+   * Whether trails are recorded at all
+   * @returns {boolean} True unless the retention period is 0 days
+   */
+  get enabled() {
+    return this.options.retentionDays > 0;
+  }
+
+  /**
+   * Milliseconds between purges of expired trails
+   * @returns {number} Interval
+   */
+  get purgeInterval() {
+    return this.options.purgeInterval;
+  }
+
+  /**
+   * Start an empty trail
+   * @returns {object} Trail with its calls and processingSteps, and the
+   *   onCall and onStep callbacks that fill them
+   */
+  createTrail() {
+    const trail = {
+      calls: [],
+      processingSteps: [],
+      onCall: call => trail.calls.push(call),
+      onStep: (step, output) => trail.processingSteps.push({ step, output })
+    };
+
+    return trail;
+  }
+
+  /**
+   * Store a trail of a generation. Empty trails, of generations that failed
+   * before calling a provider, are not stored.
+   * @param {object} generation - Generation the trail was collected for
+   * @param {object} trail - Result of createTrail
+   * @returns {Promise<object|null>} GenerationAudit, or null if nothing was stored
+   */
+  async save(generation, trail) {
+    if (!this.enabled || (trail.calls.length === 0 && trail.processingSteps.length === 0)) {
+      return null;
+    }
+
+    try {
+      return await GenerationAudit.create({
+        generationId: generation.id,
+        calls: trail.calls,
+        processingSteps: trail.processingSteps
+      });
+    } catch (error) {
+      logger.error('Error saving generation audit trail:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Trails of a generation, oldest first
+   * @param {string} generationId - Generation ID
+   * @returns {Promise<Array<object>>} GenerationAudits
+   */
+  async list(generationId) {
+    try {
+      return await GenerationAudit.findAll({
+        where: { generationId },
+        order: [['createdAt', 'ASC']]
+      });
+    } catch (error) {
+      logger.error('Error listing generation audit trails:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete trails older than the retention period. With a retention period
+   * of 0 days nothing new is recorded, and the existing trails are all deleted.
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Trails deleted
+   */
+  async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - Math.max(this.options.retentionDays, 0) * DAY);
+
+    try {
+      const deleted = await GenerationAudit.destroy({
+        where: { createdAt: { [Op.lt]: cutoff } }
+      });
+
+      if (deleted > 0) {
+        logger.info('Expired generation audit trails deleted', { deleted, retentionDays: this.options.retentionDays });
+      }
+
+      return deleted;
+    } catch (error) {
+      logger.error('Error purging generation audit trails:', error);
+      throw error;
+    }
+  }
+}
+
+// Export a singleton instance
+const auditService = new AuditService();
+
+module.exports = { AuditService, auditService };
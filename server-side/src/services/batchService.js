@@ -0,0 +1,629 @@
+// src/services/batchService.js
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { GenerationBatch, ContentGeneration, ContentItem } = require('../db/models');
+const { queueService } = require('./queueService');
+const { creditService, estimateGenerationCost } = require('./creditService');
+const { templateService } = require('./templateService');
+const aiService = require('./aiService');
+const csv = require('../utils/csv');
+const config = require('../config/ai');
+const logger = require('../utils/logger');
+
+// Mapping key of the column content item titles are taken from
+const TITLE_KEY = 'title';
+
+// Columns appended to the upload's own in the results CSV
+const RESULT_COLUMNS = ['result_status', 'result_error', 'result_content_item_id', 'result_title', 'result_credits_used', 'result_content'];
+
+const MAX_TITLE_LENGTH = 255;
+
+// Validation error in the express-validator shape the API already returns
+const fieldError = (path, msg, value) => ({ type: 'field', value, msg, path, location: 'body' });
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+};
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+/**
+ * Bulk generation: rows uploaded as CSV or a JSON array are mapped onto a
+ * template's variables and generated as one ContentGeneration per row, each
+ * with its own content item and credit hold, under a GenerationBatch. The
+ * worker skips the rows of paused batches; resuming queues them again.
+ */
+class BatchService {
+  /**
+   * @param {object} limits - Row and file size limits, as in config.batch
+   */
+  constructor(limits = config.batch) {
+    this.limits = limits;
+  }
+
+  /**
+   * Read the rows of an uploaded CSV or JSON file
+   * @param {object} file - Multer file: buffer, originalname and mimetype
+   * @returns {object} { columns, rows }
+   * @throws {Error} With statusCode 400 when the file cannot be read
+   */
+  parseFile(file) {
+    const text = file.buffer.toString('utf8');
+    const isJson = path.extname(file.originalname || '').toLowerCase() === '.json' ||
+      file.mimetype === 'application/json';
+
+    if (!isJson) {
+      return csv.parse(text);
+    }
+
+    let rows;
+    try {
+      rows = JSON.parse(text);
+    } catch (error) {
+      throw badRequest(`File is not valid JSON: ${error.message}`);
+    }
+
+    return this.parseRows(rows);
+  }
+
+  /**
+   * Read rows given as a JSON array of objects. The columns are the keys of
+   * the rows, in the order they first appear.
+   * @param {Array<object>} rows - Rows
+   * @returns {object} { columns, rows }
+   * @throws {Error} With statusCode 400 when rows is not an array of objects
+   */
+  parseRows(rows) {
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw badRequest('Rows must be an array of objects');
+    }
+
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+    return { columns, rows };
+  }
+
+  /**
+   * Create a draft batch from uploaded rows, to be mapped and started
+   * @param {string} userId - Owner
+   * @param {string} name - Batch name
+   * @param {object} upload - { columns, rows } from parseFile or parseRows
+   * @returns {Promise<object>} GenerationBatch
+   * @throws {Error} With statusCode 400 when there are no rows or too many
+   */
+  async createBatch(userId, name, { columns, rows }) {
+    if (rows.length === 0) {
+      throw badRequest('The upload has no rows');
+    }
+
+    if (rows.length > this.limits.maxRows) {
+      throw badRequest(`The upload has ${rows.length} rows; at most ${this.limits.maxRows} can be generated at once`);
+    }
+
+    try {
+      return await GenerationBatch.create({
+        userId,
+        name,
+        columns,
+        rows,
+        rowCount: rows.length,
+        status: 'draft'
+      });
+    } catch (error) {
+      logger.error('Error creating generation batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a batch the user owns
+   * @param {string} batchId - Batch ID
+   * @param {string} userId - User ID
+   * @param {object} options - Sequelize find options, e.g. attributes
+   * @returns {Promise<object|null>} GenerationBatch
+   */
+  async getBatch(batchId, userId, options = {}) {
+    try {
+      return await GenerationBatch.findOne({
+        ...options,
+        where: {
+          id: batchId,
+          userId
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting generation batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's batches, newest first, without their rows
+   * @param {string} userId - User ID
+   * @param {object} options - page and limit
+   * @returns {Promise<object>} { count, rows }
+   */
+  async listBatches(userId, { page = 1, limit = 20 } = {}) {
+    try {
+      return await GenerationBatch.findAndCountAll({
+        where: { userId },
+        attributes: { exclude: ['rows'] },
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+    } catch (error) {
+      logger.error('Error listing generation batches:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a column mapping against the upload and the template's variables.
+   * Required variables must be mapped, given in the shared prompt data or
+   * have a default.
+   * @param {object} batch - GenerationBatch
+   * @param {Array} variables - Template variable declarations
+   * @param {object} columnMapping - Variable (or "title") -> column
+   * @param {object} promptData - Prompt data shared by every row
+   * @returns {Array} Validation errors
+   */
+  validateMapping(batch, variables, columnMapping = {}, promptData = {}) {
+    const errors = [];
+    const names = variables.map(variable => variable.name);
+
+    Object.entries(columnMapping).forEach(([key, column]) => {
+      const path = `columnMapping.${key}`;
+
+      if (key !== TITLE_KEY && !names.includes(key)) {
+        errors.push(fieldError(path, `"${key}" is not a variable of the template`, column));
+      } else if (!batch.columns.includes(column)) {
+        errors.push(fieldError(path, `Column "${column}" is not in the upload`, column));
+      }
+    });
+
+    variables.forEach((variable) => {
+      if (variable.required && variable.default === undefined &&
+          columnMapping[variable.name] === undefined && isBlank(promptData[variable.name])) {
+        errors.push(fieldError(`columnMapping.${variable.name}`, `${variable.label || variable.name} must be mapped to a column`));
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Prompt data and title of one row. Empty cells leave the shared value.
+   * @param {object} row - Uploaded row
+   * @param {object} columnMapping - Variable (or "title") -> column
+   * @param {object} promptData - Prompt data shared by every row
+   * @returns {object} { title, promptData }
+   */
+  mapRow(row, columnMapping = {}, promptData = {}) {
+    const values = { ...promptData };
+    let title = null;
+
+    Object.entries(columnMapping).forEach(([key, column]) => {
+      const value = row[column];
+
+      if (isBlank(value)) {
+        return;
+      }
+
+      if (key === TITLE_KEY) {
+        title = String(value).trim().slice(0, MAX_TITLE_LENGTH);
+      } else {
+        values[key] = typeof value === 'string' ? value.trim() : value;
+      }
+    });
+
+    return { title, promptData: values };
+  }
+
+  /**
+   * Map, validate and estimate every row of a batch as it would be generated
+   * @param {object} batch - GenerationBatch with its rows
+   * @param {object} settings - template, templateVersion (rendered instead
+   * of the template when set), columnMapping, promptData, contentType,
+   * aiProvider and voiceProfile
+   * @returns {Array} Per row: row (from 1), title, promptData, estimatedCost
+   * and errors; rows with errors are not generated
+   * @throws {TemplateSyntaxError} When the template cannot be rendered
+   */
+  planRows(batch, { template, templateVersion, columnMapping, promptData, contentType, aiProvider, voiceProfile = null }) {
+    const source = templateVersion || template;
+    // A voice profile's system message is part of every prompt
+    const systemMessage = voiceProfile ? aiService.buildSystemMessage(voiceProfile) : null;
+    const provider = aiProvider && aiProvider !== 'default' ? aiProvider : undefined;
+
+    return batch.rows.map((row, index) => {
+      const mapped = this.mapRow(row, columnMapping, promptData);
+      const { values, errors } = templateService.validatePromptData(source.variables, mapped.promptData);
+      const planned = {
+        row: index + 1,
+        title: mapped.title || `${batch.name} #${index + 1}`,
+        promptData: values,
+        estimatedCost: 0,
+        errors
+      };
+
+      if (errors.length === 0) {
+        const parameters = templateService.resolveParameters(source, { ...values, contentType });
+        const prompt = aiService.buildPrompt(contentType, parameters, source);
+
+        planned.estimatedCost = estimateGenerationCost(parameters, contentType, provider, {
+          prompt: systemMessage ? `${systemMessage}\n\n${prompt}` : prompt
+        });
+      }
+
+      return planned;
+    });
+  }
+
+  /**
+   * Start a draft batch: create a content item, generation and credit hold
+   * for each planned row without errors and queue them. Rows with errors are
+   * recorded as failed generations so they are reported with the others.
+   * @param {object} batch - Draft GenerationBatch
+   * @param {object} settings - Settings the rows were planned with
+   * @param {Array} plannedRows - Result of planRows
+   * @returns {Promise<object>} Started batch
+   * @throws {Error} With statusCode 409 when the batch is not a draft, and
+   * 402 when the credits run out while placing holds
+   */
+  async startBatch(batch, settings, plannedRows) {
+    const { template, templateVersion, columnMapping, promptData, contentType, aiProvider, voiceProfile } = settings;
+    const templateId = template.id;
+    const provider = aiProvider || 'default';
+    const validRows = plannedRows.filter(planned => planned.errors.length === 0);
+
+    try {
+      const fields = {
+        status: 'processing',
+        templateId,
+        templateVersionId: templateVersion ? templateVersion.id : null,
+        voiceProfileId: voiceProfile ? voiceProfile.id : null,
+        contentType,
+        aiProvider: provider,
+        columnMapping,
+        promptData,
+        estimatedCredits: validRows.reduce((total, planned) => total + planned.estimatedCost, 0),
+        startedAt: new Date()
+      };
+
+      // Conditional, so a batch started twice concurrently is only queued once
+      const [started] = await GenerationBatch.update(fields, {
+        where: { id: batch.id, status: 'draft' }
+      });
+
+      if (started === 0) {
+        throw conflict('Batch has already been started');
+      }
+
+      batch.set(fields);
+
+      const generationFields = planned => ({
+        id: uuidv4(),
+        userId: batch.userId,
+        templateVersionId: batch.templateVersionId,
+        voiceProfileId: batch.voiceProfileId,
+        batchId: batch.id,
+        batchRow: planned.row - 1,
+        aiProvider: provider
+      });
+      const jobs = [];
+
+      for (const planned of plannedRows) {
+        if (planned.errors.length > 0) {
+          await ContentGeneration.create({
+            ...generationFields(planned),
+            promptData: planned.promptData,
+            status: 'failed',
+            completionTime: new Date(),
+            error: planned.errors.map(error => error.msg).join('; '),
+            metadata: { errors: planned.errors }
+          });
+          continue;
+        }
+
+        const generationId = uuidv4();
+        const contentItem = await ContentItem.create({
+          id: uuidv4(),
+          userId: batch.userId,
+          templateId,
+          title: planned.title,
+          contentType,
+          status: 'draft',
+          metadata: {
+            generationRequest: true,
+            generationId,
+            batchId: batch.id
+          }
+        });
+
+        const generation = await ContentGeneration.create({
+          ...generationFields(planned),
+          id: generationId,
+          contentItemId: contentItem.id,
+          promptData: {
+            ...planned.promptData,
+            contentType,
+            templateId,
+            // Nobody is waiting to review the outlines of a batch's long posts
+            reviewOutline: false
+          },
+          status: 'queued',
+          estimatedCredits: planned.estimatedCost
+        });
+
+        try {
+          await creditService.placeHold(batch.userId, planned.estimatedCost, generation.id);
+        } catch (error) {
+          await generation.update({ status: 'failed', error: error.message });
+          await contentItem.destroy();
+          await this.abortStart(batch, jobs, error);
+          throw error;
+        }
+
+        jobs.push({
+          generationId: generation.id,
+          userId: batch.userId,
+          contentItemId: contentItem.id,
+          promptData: generation.promptData,
+          aiProvider: provider,
+          batchId: batch.id
+        });
+      }
+
+      for (const job of jobs) {
+        await queueService.enqueue('content-generation', job);
+      }
+
+      logger.info('Generation batch started', {
+        batchId: batch.id,
+        queued: jobs.length,
+        failed: plannedRows.length - jobs.length
+      });
+
+      return batch;
+    } catch (error) {
+      logger.error('Error starting generation batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fail a batch whose holds could not all be placed, releasing those that
+   * were and deleting the draft items created for their rows. The failed
+   * generations are kept to report the rows.
+   * @param {object} batch - GenerationBatch
+   * @param {Array} jobs - Jobs of the rows held so far
+   * @param {Error} error - Failure
+   */
+  async abortStart(batch, jobs, error) {
+    for (const job of jobs) {
+      await ContentGeneration.update(
+        { status: 'failed', error: error.message },
+        { where: { id: job.generationId } }
+      );
+      await creditService.releaseHold(job.generationId, 'batch_not_queued');
+      await ContentItem.destroy({ where: { id: job.contentItemId } });
+    }
+
+    await batch.update({
+      status: 'failed',
+      error: error.message,
+      completedAt: new Date()
+    });
+  }
+
+  /**
+   * Pause a batch. Rows already processing finish; queued rows wait.
+   * @param {object} batch - GenerationBatch
+   * @returns {Promise<object>} Paused batch
+   * @throws {Error} With statusCode 409 when the batch is not processing
+   */
+  async pauseBatch(batch) {
+    if (batch.status !== 'processing') {
+      throw conflict(`Cannot pause a batch that is ${batch.status}`);
+    }
+
+    try {
+      return await batch.update({ status: 'paused' });
+    } catch (error) {
+      logger.error('Error pausing generation batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resume a paused batch, queueing its waiting rows again. Rows whose jobs
+   * are still in the queue get a second one; only the first claims the row.
+   * @param {object} batch - GenerationBatch
+   * @returns {Promise<object>} Resumed batch
+   * @throws {Error} With statusCode 409 when the batch is not paused
+   */
+  async resumeBatch(batch) {
+    if (batch.status !== 'paused') {
+      throw conflict(`Cannot resume a batch that is ${batch.status}`);
+    }
+
+    try {
+      await batch.update({ status: 'processing' });
+
+      const waiting = await ContentGeneration.findAll({
+        where: { batchId: batch.id, status: 'queued' },
+        order: [['batchRow', 'ASC']]
+      });
+
+      for (const generation of waiting) {
+        await queueService.enqueue('content-generation', {
+          generationId: generation.id,
+          userId: generation.userId,
+          contentItemId: generation.contentItemId,
+          promptData: generation.promptData,
+          aiProvider: generation.aiProvider,
+          batchId: batch.id
+        });
+      }
+
+      // Rows may all have finished while the batch was paused
+      await this.refreshProgress(batch.id);
+
+      return batch.reload({ attributes: ['status', 'completedAt'] });
+    } catch (error) {
+      logger.error('Error resuming generation batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the worker should generate the batch's queued rows
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<boolean>} True while the batch is processing
+   */
+  async isRunning(batchId) {
+    const batch = await GenerationBatch.findByPk(batchId, { attributes: ['id', 'status'] });
+
+    return Boolean(batch) && batch.status === 'processing';
+  }
+
+  /**
+   * Count a batch's rows by status
+   * @param {object} batch - GenerationBatch
+   * @returns {Promise<object>} total, queued, processing, completed, failed,
+   * percent (finished rows), creditsUsed and estimatedCredits
+   */
+  async getProgress(batch) {
+    const counts = await ContentGeneration.count({
+      where: { batchId: batch.id },
+      group: ['status']
+    });
+    const progress = { total: batch.rowCount, queued: 0, processing: 0, completed: 0, failed: 0 };
+
+    counts.forEach(({ status, count }) => {
+      progress[status] = (progress[status] || 0) + Number(count);
+    });
+
+    const finished = progress.completed + progress.failed;
+
+    return {
+      ...progress,
+      percent: progress.total > 0 ? Math.round(finished / progress.total * 100) : 0,
+      creditsUsed: (await ContentGeneration.sum('creditsUsed', { where: { batchId: batch.id } })) || 0,
+      estimatedCredits: batch.estimatedCredits
+    };
+  }
+
+  /**
+   * Update a batch after one of its rows finished, completing it once no row
+   * is queued or processing
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<object|null>} Progress, as from getProgress
+   */
+  async refreshProgress(batchId) {
+    const batch = await GenerationBatch.findByPk(batchId, { attributes: { exclude: ['rows'] } });
+
+    if (!batch) {
+      return null;
+    }
+
+    const progress = await this.getProgress(batch);
+
+    if (progress.queued + progress.processing === 0) {
+      // A paused batch stays paused until it is resumed
+      await GenerationBatch.update(
+        { status: 'completed', completedAt: new Date() },
+        { where: { id: batchId, status: 'processing' } }
+      );
+    }
+
+    return progress;
+  }
+
+  /**
+   * A page of a batch's rows with their status and errors
+   * @param {object} batch - GenerationBatch
+   * @param {object} options - status, page and limit
+   * @returns {Promise<object>} { count, rows }
+   */
+  async listRows(batch, { status, page = 1, limit = 50 } = {}) {
+    try {
+      const { count, rows } = await ContentGeneration.findAndCountAll({
+        where: {
+          batchId: batch.id,
+          ...(status && { status })
+        },
+        include: [{ model: ContentItem, attributes: ['id', 'title', 'status', 'wordCount'] }],
+        order: [['batchRow', 'ASC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      return {
+        count,
+        rows: rows.map(generation => ({
+          row: generation.batchRow + 1,
+          generationId: generation.id,
+          status: generation.status,
+          error: generation.error,
+          errors: (generation.metadata && generation.metadata.errors) || null,
+          creditsUsed: generation.creditsUsed,
+          contentItem: generation.ContentItem,
+          values: batch.rows[generation.batchRow]
+        }))
+      };
+    } catch (error) {
+      logger.error('Error listing generation batch rows:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The upload with each row's result appended, as CSV
+   * @param {object} batch - GenerationBatch with its rows
+   * @returns {Promise<string>} CSV text
+   */
+  async buildResultsCsv(batch) {
+    try {
+      const generations = await ContentGeneration.findAll({
+        where: { batchId: batch.id },
+        include: [{ model: ContentItem, attributes: ['id', 'title', 'content'] }]
+      });
+      const byRow = new Map(generations.map(generation => [generation.batchRow, generation]));
+
+      const rows = batch.rows.map((source, index) => {
+        const generation = byRow.get(index);
+        const contentItem = generation ? generation.ContentItem : null;
+
+        return {
+          ...source,
+          result_status: generation ? generation.status : 'not_started',
+          result_error: generation ? generation.error : null,
+          result_content_item_id: contentItem ? contentItem.id : null,
+          result_title: contentItem ? contentItem.title : null,
+          result_credits_used: generation ? generation.creditsUsed : null,
+          result_content: contentItem && generation.status === 'completed' ? contentItem.content : null
+        };
+      });
+
+      return csv.stringify([...batch.columns, ...RESULT_COLUMNS], rows, { escapeFormulas: true });
+    } catch (error) {
+      logger.error('Error building generation batch results:', error);
+      throw error;
+    }
+  }
+}
+
+// Export a singleton instance
+const batchService = new BatchService();
+
+module.exports = { BatchService, batchService };
@@ -24,7 +24,8 @@ class ContentProcessor {
   /**
    * Process the content with various transformations
    * @param {string} rawContent - The raw content from AI
-   * @param {object} options - Processing options
+   * @param {object} options - Processing options. onStep, if given, is called
+   *   with the name of each step and the content after it.
    * @returns {object} Processed content with metadata
    */
   async process(rawContent, options = {}) {
@@ -37,7 +38,10 @@ class ContentProcessor {
         applyKeywordOptimization = false,
         keywords = [],
         targetLength = null,
-        sanitize = true
+        sanitize = true,
+        sources = [],
+        structured = false,
+        onStep = null
       } = options;
       
       // Initialize metadata
@@ -50,15 +54,37 @@ class ContentProcessor {
       let title = this.extractTitle(rawContent);
       let content = rawContent;
       
-      // Apply content-type specific processing
-      content = await this.applyTypeSpecificProcessing(content, contentType);
-      metadata.processingSteps.push('type-specific-processing');
+      const recordStep = (step) => {
+        metadata.processingSteps.push(step);
+        
+        if (onStep) {
+          onStep(step, content);
+        }
+      };
+      
+      // Apply content-type specific processing. Content rendered from
+      // structured output already has the structure it would recover.
+      if (structured) {
+        recordStep('structured-output');
+      } else {
+        content = await this.applyTypeSpecificProcessing(content, contentType);
+        recordStep('type-specific-processing');
+      }
+      
+      // Resolve citations of knowledge base references into a sources list,
+      // while the content is still Markdown
+      if (sources && sources.length > 0) {
+        const cited = this.resolveCitations(content, sources);
+        content = cited.content;
+        metadata.sources = cited.sources;
+        recordStep('citation-resolution');
+      }
       
       // Format conversion if needed
       if (formatType !== 'markdown') {
         const formatted = await this.convertFormat(content, formatType);
         content = formatted.content;
-        metadata.processingSteps.push('format-conversion');
+        recordStep('format-conversion');
         metadata.format = formatType;
       }
       
@@ -67,7 +93,7 @@ class ContentProcessor {
         const optimized = await this.optimizeForKeywords(content, keywords, contentType);
         content = optimized.content;
         metadata.keywordOptimization = optimized.metadata;
-        metadata.processingSteps.push('keyword-optimization');
+        recordStep('keyword-optimization');
       }
       
       // Length adjustment if needed
@@ -78,14 +104,14 @@ class ContentProcessor {
           const adjusted = await this.adjustLength(content, targetLength);
           content = adjusted.content;
           metadata.lengthAdjustment = adjusted.metadata;
-          metadata.processingSteps.push('length-adjustment');
+          recordStep('length-adjustment');
         }
       }
       
       // Sanitize HTML content if needed
       if (sanitize && formatType === 'html') {
         content = this.sanitizeHTML(content);
-        metadata.processingSteps.push('sanitization');
+        recordStep('sanitization');
       }
       
       // Extract headings and calculate reading time
@@ -119,6 +145,52 @@ class ContentProcessor {
     }
   }
   
+  /**
+   * Renumber the [n] citation markers of content in order of first use,
+   * dropping markers that do not match a reference, and append the cited
+   * references as a "Sources" list
+   * @param {string} content - Markdown content citing references as [n]
+   * @param {Array<object>} references - References in the order they were
+   *   numbered in the prompt: documentId, documentName, chunkId and heading
+   * @returns {object} Content and the cited sources, each with its number
+   */
+  resolveCitations(content, references) {
+    const numbers = new Map();
+    
+    // "[2]" and "[1, 3]", but not Markdown links "[1](...)" or definitions "[1]: ..."
+    const resolved = content.replace(/(\s*)\[(\d+(?:\s*,\s*\d+)*)\](?![(:])/g, (marker, space, list) => {
+      const cited = list.split(',')
+        .map(value => parseInt(value.trim()))
+        .filter(value => value >= 1 && value <= references.length)
+        .map(value => {
+          if (!numbers.has(value)) {
+            numbers.set(value, numbers.size + 1);
+          }
+          return numbers.get(value);
+        });
+      
+      return cited.length > 0 ? `${space}[${[...new Set(cited)].join(', ')}]` : '';
+    });
+    
+    const sources = [...numbers.entries()].map(([original, number]) => {
+      const { documentId, documentName, chunkId, heading } = references[original - 1];
+      return { number, documentId, documentName, chunkId, heading };
+    });
+    
+    if (sources.length === 0) {
+      return { content: resolved, sources };
+    }
+    
+    const list = sources
+      .map(source => `${source.number}. ${[source.documentName, source.heading].filter(Boolean).join(' — ')}`)
+      .join('\n');
+    
+    return {
+      content: `${resolved.trimEnd()}\n\n## Sources\n\n${list}\n`,
+      sources
+    };
+  }
+  
   /**
    * Extract title from content
    * @param {string} content 
@@ -1,12 +1,36 @@
 // src/services/creditService.js
-const { CreditAccount, User, Subscription, PaymentRecord } = require('../db/models');
+const { sequelize, CreditAccount, User, Subscription, PaymentRecord, CreditTransaction } = require('../db/models');
+const { modelRegistry } = require('./modelRegistry');
+const { longFormService } = require('./longFormService');
+const { countTokens } = require('../utils/tokenizer');
+const config = require('../config/ai');
 const logger = require('../utils/logger');
 
+// One credit buys roughly one word, and a word is roughly 4/3 tokens
+const CREDITS_PER_TOKEN = 0.75;
+
+// Length of a generation that does not ask for one
+const DEFAULT_WORD_COUNT = 1000;
+
+// Smallest amount a generation is estimated at
+const MINIMUM_COST = 100;
+
+// Keyword optimization rewrites the content once more
+const SEO_MULTIPLIER = 1.2;
+
+// Build an error the global error handler maps to 402 Payment Required
+const createInsufficientCreditsError = (required, available) => {
+  const error = new Error('Insufficient credits');
+  error.statusCode = 402;
+  error.data = { required, available };
+  return error;
+};
+
 class CreditService {
   // Get credit account for a user
-  async getCreditAccount(userId) {
+  async getCreditAccount(userId, options = {}) {
     try {
-      const creditAccount = await CreditAccount.findOne({ where: { userId } });
+      const creditAccount = await CreditAccount.findOne({ where: { userId }, ...options });
       
       if (!creditAccount) {
         throw new Error(`Credit account not found for user ${userId}`);
@@ -30,31 +54,61 @@ class CreditService {
     }
   }
   
+  // Run a callback inside a managed database transaction
+  async runInTransaction(callback) {
+    return await sequelize.transaction(callback);
+  }
+  
+  // Apply a change to a user's credit account while holding a row lock on it.
+  // Every balance mutation goes through here, so concurrent requests are
+  // serialized and a change that would leave a negative balance is rolled back.
+  async mutateBalance(userId, mutate, transaction = null) {
+    if (!transaction) {
+      return await this.runInTransaction(t => this.mutateBalance(userId, mutate, t));
+    }
+    
+    const creditAccount = await this.getCreditAccount(userId, { transaction, lock: true });
+    
+    const result = await mutate(creditAccount, transaction);
+    
+    if (creditAccount.creditsRemaining < 0 || creditAccount.creditsReserved < 0) {
+      throw new Error('Credit balance cannot go below zero');
+    }
+    
+    await creditAccount.save({ transaction });
+    
+    return result;
+  }
+  
   // Deduct credits from user account
   async deductCredits(userId, credits, reason) {
     try {
-      const creditAccount = await this.getCreditAccount(userId);
-      
-      if (creditAccount.creditsRemaining < credits) {
-        throw new Error('Insufficient credits');
-      }
-      
-      // Update credit account
-      creditAccount.creditsRemaining -= credits;
-      creditAccount.creditsUsed += credits;
-      
-      await creditAccount.save();
+      const remainingCredits = await this.mutateBalance(userId, async (creditAccount, transaction) => {
+        if (creditAccount.creditsRemaining < credits) {
+          throw createInsufficientCreditsError(credits, creditAccount.creditsRemaining);
+        }
+        
+        // Update credit account
+        creditAccount.creditsRemaining -= credits;
+        creditAccount.creditsUsed += credits;
+        
+        await this.recordTransaction(creditAccount, 'deduction', -credits, {
+          description: reason
+        }, transaction);
+        
+        return creditAccount.creditsRemaining;
+      });
       
       logger.info('Credits deducted successfully', { 
         userId, 
         creditsDeducted: credits, 
         reason,
-        remainingCredits: creditAccount.creditsRemaining 
+        remainingCredits 
       });
       
       return {
         success: true,
-        remainingCredits: creditAccount.creditsRemaining
+        remainingCredits
       };
     } catch (error) {
       logger.error('Error deducting credits:', error);
@@ -65,24 +119,29 @@ class CreditService {
   // Add credits to user account
   async addCredits(userId, credits, reason, source = 'manual') {
     try {
-      const creditAccount = await this.getCreditAccount(userId);
-      
-      // Update credit account
-      creditAccount.creditsRemaining += credits;
-      
-      await creditAccount.save();
+      const remainingCredits = await this.mutateBalance(userId, async (creditAccount, transaction) => {
+        // Update credit account
+        creditAccount.creditsRemaining += credits;
+        
+        await this.recordTransaction(creditAccount, source === 'payment' ? 'purchase' : 'adjustment', credits, {
+          description: reason,
+          metadata: { source }
+        }, transaction);
+        
+        return creditAccount.creditsRemaining;
+      });
       
       logger.info('Credits added successfully', { 
         userId, 
         creditsAdded: credits, 
         reason,
         source,
-        remainingCredits: creditAccount.creditsRemaining 
+        remainingCredits 
       });
       
       return {
         success: true,
-        remainingCredits: creditAccount.creditsRemaining
+        remainingCredits
       };
     } catch (error) {
       logger.error('Error adding credits:', error);
@@ -93,8 +152,6 @@ class CreditService {
   // Renew monthly credits for a user
   async renewMonthlyCredits(userId) {
     try {
-      const creditAccount = await this.getCreditAccount(userId);
-      
       // Check if subscription is active
       const subscription = await Subscription.findOne({ 
         where: { 
@@ -108,23 +165,33 @@ class CreditService {
         return { success: false, reason: 'no_active_subscription' };
       }
       
-      // Update credit account
-      creditAccount.creditsRemaining = creditAccount.monthlyAllowance;
-      creditAccount.lastRenewalDate = new Date();
-      creditAccount.renewalDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days later
-      
-      await creditAccount.save();
+      const renewal = await this.mutateBalance(userId, async (creditAccount, transaction) => {
+        // Update credit account
+        const previousBalance = creditAccount.creditsRemaining;
+        creditAccount.creditsRemaining = creditAccount.monthlyAllowance;
+        creditAccount.lastRenewalDate = new Date();
+        creditAccount.renewalDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days later
+        
+        await this.recordTransaction(creditAccount, 'renewal', creditAccount.creditsRemaining - previousBalance, {
+          description: 'monthly_renewal',
+          metadata: { monthlyAllowance: creditAccount.monthlyAllowance, previousBalance }
+        }, transaction);
+        
+        return {
+          creditsRenewed: creditAccount.monthlyAllowance,
+          nextRenewalDate: creditAccount.renewalDate
+        };
+      });
       
       logger.info('Monthly credits renewed successfully', { 
         userId, 
-        creditsRenewed: creditAccount.monthlyAllowance,
-        nextRenewalDate: creditAccount.renewalDate
+        creditsRenewed: renewal.creditsRenewed,
+        nextRenewalDate: renewal.nextRenewalDate
       });
       
       return {
         success: true,
-        creditsRenewed: creditAccount.monthlyAllowance,
-        nextRenewalDate: creditAccount.renewalDate
+        ...renewal
       };
     } catch (error) {
       logger.error('Error renewing monthly credits:', error);
@@ -132,6 +199,191 @@ class CreditService {
     }
   }
   
+  // Reserve credits for a generation until its actual cost is known
+  async placeHold(userId, credits, generationId) {
+    try {
+      const hold = await this.mutateBalance(userId, async (creditAccount, transaction) => {
+        if (creditAccount.creditsRemaining < credits) {
+          throw createInsufficientCreditsError(credits, creditAccount.creditsRemaining);
+        }
+        
+        // Move credits from the available balance into the reserve
+        creditAccount.creditsRemaining -= credits;
+        creditAccount.creditsReserved += credits;
+        
+        return await this.recordTransaction(creditAccount, 'hold', -credits, {
+          generationId,
+          status: 'open',
+          description: 'generation_hold'
+        }, transaction);
+      });
+      
+      logger.info('Credits held for generation', { 
+        userId, 
+        generationId,
+        creditsHeld: credits,
+        remainingCredits: hold.balanceAfter 
+      });
+      
+      return hold;
+    } catch (error) {
+      logger.error('Error placing credit hold:', error);
+      throw error;
+    }
+  }
+  
+  // Get the open hold for a generation, if any, locking it when in a transaction
+  async getOpenHold(generationId, transaction = null) {
+    return await CreditTransaction.findOne({
+      where: {
+        generationId,
+        type: 'hold',
+        status: 'open'
+      },
+      ...(transaction && { transaction, lock: true })
+    });
+  }
+  
+  // Settle a generation's hold against the credits it actually cost
+  async settleHold(generationId, actualCredits) {
+    try {
+      const settlement = await this.runInTransaction(async (transaction) => {
+        // Lock the hold before the account so a concurrent release cannot also close it
+        const hold = await this.getOpenHold(generationId, transaction);
+        
+        if (!hold) {
+          return null;
+        }
+        
+        return await this.mutateBalance(hold.userId, async (creditAccount) => {
+          const heldCredits = -hold.amount;
+          
+          // Overruns are charged only up to the available balance
+          const coveredCredits = Math.min(actualCredits, heldCredits);
+          const overrunCredits = Math.min(
+            Math.max(actualCredits - heldCredits, 0),
+            creditAccount.creditsRemaining
+          );
+          const creditsCharged = coveredCredits + overrunCredits;
+          const creditsRefunded = heldCredits - coveredCredits;
+          
+          // Update credit account
+          creditAccount.creditsReserved -= heldCredits;
+          creditAccount.creditsRemaining += creditsRefunded - overrunCredits;
+          creditAccount.creditsUsed += creditsCharged;
+          
+          hold.status = 'settled';
+          await hold.save({ transaction });
+          
+          await this.recordTransaction(creditAccount, 'settlement', -overrunCredits, {
+            generationId,
+            holdId: hold.id,
+            balanceAfter: creditAccount.creditsRemaining - creditsRefunded,
+            description: 'generation_settlement',
+            metadata: { heldCredits, actualCredits, creditsCharged }
+          }, transaction);
+          
+          if (creditsRefunded > 0) {
+            await this.recordTransaction(creditAccount, 'refund', creditsRefunded, {
+              generationId,
+              holdId: hold.id,
+              description: 'unused_hold_refund'
+            }, transaction);
+          }
+          
+          return {
+            creditsCharged,
+            creditsRefunded,
+            remainingCredits: creditAccount.creditsRemaining
+          };
+        }, transaction);
+      });
+      
+      if (!settlement) {
+        logger.warn('No open credit hold to settle', { generationId });
+        return null;
+      }
+      
+      logger.info('Credit hold settled', { 
+        generationId,
+        ...settlement
+      });
+      
+      return settlement;
+    } catch (error) {
+      logger.error('Error settling credit hold:', error);
+      throw error;
+    }
+  }
+  
+  // Release a generation's hold in full after a failure or cancellation
+  async releaseHold(generationId, reason) {
+    try {
+      const release = await this.runInTransaction(async (transaction) => {
+        // Lock the hold before the account so a concurrent settlement cannot also close it
+        const hold = await this.getOpenHold(generationId, transaction);
+        
+        if (!hold) {
+          return null;
+        }
+        
+        return await this.mutateBalance(hold.userId, async (creditAccount) => {
+          const heldCredits = -hold.amount;
+          
+          // Return the reserved credits to the available balance
+          creditAccount.creditsReserved -= heldCredits;
+          creditAccount.creditsRemaining += heldCredits;
+          
+          hold.status = 'released';
+          await hold.save({ transaction });
+          
+          await this.recordTransaction(creditAccount, 'release', heldCredits, {
+            generationId,
+            holdId: hold.id,
+            description: reason
+          }, transaction);
+          
+          return {
+            creditsReleased: heldCredits,
+            remainingCredits: creditAccount.creditsRemaining
+          };
+        }, transaction);
+      });
+      
+      if (!release) {
+        logger.warn('No open credit hold to release', { generationId, reason });
+        return { creditsReleased: 0 };
+      }
+      
+      logger.info('Credit hold released', { 
+        generationId,
+        reason,
+        ...release
+      });
+      
+      return release;
+    } catch (error) {
+      logger.error('Error releasing credit hold:', error);
+      throw error;
+    }
+  }
+  
+  // Write a ledger row for a balance movement on a credit account
+  async recordTransaction(creditAccount, type, amount, details = {}, transaction = null) {
+    return await CreditTransaction.create({
+      userId: creditAccount.userId,
+      creditAccountId: creditAccount.id,
+      generationId: details.generationId || null,
+      holdId: details.holdId || null,
+      type,
+      amount,
+      balanceAfter: details.balanceAfter !== undefined ? details.balanceAfter : creditAccount.creditsRemaining,
+      status: details.status || 'completed',
+      description: details.description || null,
+      metadata: details.metadata || {}
+    }, { transaction });
+  }
+  
   // Process credit purchase
   async processCreditPurchase(userId, packageId, paymentDetails) {
     try {
@@ -240,20 +492,20 @@ class CreditService {
       // Get date 30 days ago if startDate not provided
       startDate = startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
       
-      // Query credit usage from generation history
+      // Summarize ledger movements per day and transaction type
       const sequelize = CreditAccount.sequelize;
       const usage = await sequelize.query(`
         SELECT 
-          DATE(createdAt) as date, 
-          SUM(creditsUsed) as creditsUsed, 
-          COUNT(*) as generations
-        FROM ContentGenerations
+          DATE("createdAt") as date, 
+          type,
+          SUM(amount) as credits, 
+          COUNT(*) as transactions
+        FROM "CreditTransactions"
         WHERE 
-          userId = :userId AND 
-          createdAt BETWEEN :startDate AND :endDate AND
-          status = 'completed'
-        GROUP BY DATE(createdAt)
-        ORDER BY date ASC
+          "userId" = :userId AND 
+          "createdAt" BETWEEN :startDate AND :endDate
+        GROUP BY DATE("createdAt"), type
+        ORDER BY date ASC, type ASC
       `, {
         replacements: { userId, startDate, endDate },
         type: sequelize.QueryTypes.SELECT
@@ -266,10 +518,16 @@ class CreditService {
     }
   }
   
-  // Estimate the cost of a generation
-  estimateGenerationCost(promptData, contentType) {
+  // Estimate the cost of a generation. With the rendered prompt, the estimate
+  // is token-based (see estimatePromptCost); without it, it is based on the
+  // requested word count only.
+  estimateGenerationCost(promptData, contentType, aiProvider, { prompt } = {}) {
+    if (prompt) {
+      return this.estimatePromptCost(prompt, promptData, contentType, aiProvider).estimatedCost;
+    }
+    
     // Base cost calculation on word count
-    const requestedWordCount = promptData.wordCount || 1000;
+    const requestedWordCount = promptData.wordCount || DEFAULT_WORD_COUNT;
     
     // Different content types have different multipliers
     const typeMultipliers = {
@@ -282,26 +540,90 @@ class CreditService {
     
     const multiplier = typeMultipliers[contentType] || 1;
     
-    // Different AI models have different costs
-    const modelMultipliers = {
-      'gpt-4': 1.5,
-      'gpt-3.5-turbo': 1,
-      'default': 1
-    };
-    
-    const modelMultiplier = modelMultipliers[promptData.model] || modelMultipliers.default;
+    // Different AI models have different costs, as listed in the model registry
+    const modelMultiplier = modelRegistry.getCreditMultiplier(promptData.model, aiProvider);
     
     // SEO optimization adds cost
-    const seoMultiplier = promptData.seoOptimize ? 1.2 : 1;
+    const seoMultiplier = promptData.seoOptimize ? SEO_MULTIPLIER : 1;
     
     // Calculate estimated cost
     let estimatedCost = Math.ceil(requestedWordCount * multiplier * modelMultiplier * seoMultiplier);
     
     // Ensure minimum cost
-    estimatedCost = Math.max(estimatedCost, 100);
+    estimatedCost = Math.max(estimatedCost, MINIMUM_COST);
     
     return estimatedCost;
   }
+  
+  // Estimate the cost of a generation from its rendered prompt: the prompt's
+  // tokens as counted by the model's tokenizer, plus the completion tokens
+  // the requested word count takes, priced with the model's credit pricing.
+  // Long posts resend the prompt, and earlier sections as context, once per
+  // outline and section call.
+  estimatePromptCost(prompt, promptData, contentType, aiProvider) {
+    const model = modelRegistry.resolveModel(promptData.model, aiProvider);
+    const modelId = promptData.model || (model && model.id);
+    const tokensPerWord = (model && model.tokensPerWord) || config.tokensPerWord;
+    const wordCount = parseInt(promptData.wordCount) || DEFAULT_WORD_COUNT;
+    
+    let promptTokens = countTokens(prompt, modelId);
+    let completionTokens = Math.ceil(wordCount * tokensPerWord);
+    
+    // Knowledge base chunks are retrieved and added to the prompt by the worker
+    if (promptData.useKnowledgeBase) {
+      promptTokens += Math.ceil(config.knowledge.maxReferences * config.knowledge.chunkWords * tokensPerWord);
+    }
+    
+    if (longFormService.isLongForm(promptData, contentType)) {
+      const sections = longFormService.estimateSections(wordCount);
+      const contextTokens = Math.ceil(Math.min(longFormService.contextWords, wordCount) * tokensPerWord);
+      
+      promptTokens = promptTokens * (sections + 1) + contextTokens * (sections - 1);
+    } else if (promptData.maxTokens) {
+      completionTokens = Math.min(completionTokens, parseInt(promptData.maxTokens));
+    }
+    
+    const pricing = this.getCreditPricing(modelId, aiProvider);
+    const seoMultiplier = promptData.seoOptimize ? SEO_MULTIPLIER : 1;
+    const cost = (promptTokens * pricing.input + completionTokens * pricing.output) / 1000 * seoMultiplier;
+    
+    return {
+      model: modelId || null,
+      promptTokens,
+      completionTokens,
+      pricing,
+      estimatedCost: Math.max(Math.ceil(cost), MINIMUM_COST)
+    };
+  }
+  
+  // Credits per thousand prompt and completion tokens of a model. Models
+  // without a pricing entry are charged their multiplier of the base rate.
+  getCreditPricing(model, aiProvider) {
+    const entry = modelRegistry.resolveModel(model, aiProvider);
+    
+    if (entry && entry.creditPricing) {
+      return entry.creditPricing;
+    }
+    
+    const rate = CREDITS_PER_TOKEN * 1000 * modelRegistry.getCreditMultiplier(model, aiProvider);
+    
+    return { input: rate, output: rate };
+  }
+  
+  // Convert a provider's reported token usage into credits, pricing prompt
+  // and completion tokens separately when the usage is split
+  calculateActualCost(usage = {}, model, aiProvider) {
+    if (usage.promptTokens !== undefined && usage.completionTokens !== undefined) {
+      const pricing = this.getCreditPricing(model, aiProvider);
+      
+      return Math.ceil((usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1000);
+    }
+    
+    const totalTokens = usage.totalTokens || 0;
+    const modelMultiplier = modelRegistry.getCreditMultiplier(model, aiProvider);
+    
+    return Math.ceil(totalTokens * CREDITS_PER_TOKEN * modelMultiplier);
+  }
 }
 
 // Export a singleton instance and the estimate function separately
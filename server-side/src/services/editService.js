@@ -0,0 +1,215 @@
+// src/services/editService.js
+const aiService = require('./aiService');
+const config = require('../config/ai');
+
+// Inline edit operations. Each gives the instruction for the passage, from its
+// current and target word counts, and the temperature of the call: edits that
+// must keep the wording stay close to it, rewrites are allowed more freedom.
+const OPERATIONS = {
+  rewrite: {
+    temperature: 0.7,
+    instruction: ({ words }) => `Please rewrite the following passage in different words, keeping its meaning and roughly its length (about ${words} words).`
+  },
+  shorten: {
+    temperature: 0.3,
+    instruction: ({ words, target }) => `Please condense the following passage to approximately ${target} words (current length: ${words} words). `
+      + 'Maintain the key points but remove redundancies and unnecessary details.'
+  },
+  expand: {
+    temperature: 0.7,
+    instruction: ({ words, target }) => `Please expand the following passage to approximately ${target} words (current length: ${words} words). `
+      + 'Add more details, examples, or explanations but maintain the original style and message.'
+  },
+  tone: {
+    temperature: 0.5,
+    instruction: ({ tone }) => `Please rewrite the following passage in a ${tone} tone of voice, keeping its meaning and roughly its length.`
+  },
+  simplify: {
+    temperature: 0.3,
+    instruction: () => 'Please simplify the following passage so that it is easy to read, with short sentences and common words, without leaving out any of its points.'
+  },
+  grammar: {
+    temperature: 0.1,
+    instruction: () => 'Please correct the spelling, grammar and punctuation of the following passage. Change nothing else: keep its wording, style and length.'
+  },
+  continue: {
+    temperature: 0.7,
+    instruction: ({ target }) => `Please continue writing from the end of the following passage with about ${target} words that follow on naturally, in the same style. `
+      + 'Reply with the new text only, without repeating the passage.'
+  }
+};
+
+const SUGGESTION_PATTERN = /<suggestion>([\s\S]*?)(?:<\/suggestion>|$)/i;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const countWords = text => (text || '').split(/\s+/).filter(Boolean).length;
+
+const firstWords = (text, count) => {
+  const words = [...(text || '').matchAll(/\S+/g)];
+  if (words.length <= count) {
+    return (text || '').trim();
+  }
+
+  const last = words[count - 1];
+  return text.slice(0, last.index + last[0].length).trim();
+};
+
+const lastWords = (text, count) => {
+  const words = [...(text || '').matchAll(/\S+/g)];
+  if (words.length <= count) {
+    return (text || '').trim();
+  }
+
+  return text.slice(words[words.length - count].index).trim();
+};
+
+/**
+ * Inline AI edits of a passage selected in the editor: rewrite, shorten,
+ * expand, change tone, simplify, fix grammar or continue writing. The edit is
+ * generated like a small generation and kept as a suggestion; the editor
+ * applies it to its blocks if the user accepts it.
+ */
+class EditService {
+  /**
+   * @param {object} options - Selection and context limits, as in config.inlineEdit
+   */
+  constructor(options = config.inlineEdit) {
+    this.options = options;
+  }
+
+  /**
+   * Names of the supported operations
+   * @returns {Array<string>} Operation names
+   */
+  get operations() {
+    return Object.keys(OPERATIONS);
+  }
+
+  /**
+   * Temperature of the AI call for an operation
+   * @param {string} operation - Operation name
+   * @returns {number} Temperature
+   */
+  temperature(operation) {
+    return OPERATIONS[operation].temperature;
+  }
+
+  /**
+   * Words an edit is expected to take, from the words of the selection
+   * @param {string} operation - Operation name
+   * @param {number} words - Words of the selection
+   * @returns {number} Target word count
+   */
+  targetWords(operation, words) {
+    switch (operation) {
+      case 'shorten':
+        return Math.max(Math.round(words / 2), 1);
+      case 'expand':
+        return words * 2;
+      case 'continue':
+        return this.options.continueWords;
+      default:
+        return words;
+    }
+  }
+
+  /**
+   * Build the prompt of an edit
+   * @param {object} contentItem - ContentItem the passage is from: title and contentType
+   * @param {object} edit - Operation, text (the selection), before and after
+   *   (the text around it) and tone, for the tone operation
+   * @returns {string} Prompt
+   * @throws {Error} With statusCode 400 for an unknown operation, a missing
+   *   tone or a selection that is empty or too long
+   */
+  buildPrompt(contentItem, { operation, text, before = '', after = '', tone } = {}) {
+    const definition = OPERATIONS[operation];
+
+    if (!definition) {
+      throw badRequest(`Unknown edit operation: ${operation}`);
+    }
+
+    if (operation === 'tone' && !(tone && tone.trim())) {
+      throw badRequest('A tone is required to change the tone of the passage');
+    }
+
+    const words = countWords(text);
+
+    if (words === 0) {
+      throw badRequest('The selection has no text');
+    }
+
+    if (words > this.options.maxSelectionWords) {
+      throw badRequest(`The selection is longer than ${this.options.maxSelectionWords} words`);
+    }
+
+    const instruction = definition.instruction({
+      words,
+      target: this.targetWords(operation, words),
+      tone: tone && tone.trim()
+    });
+
+    return aiService.buildEditPrompt(text.trim(), {
+      instruction,
+      before: lastWords(before, this.options.contextWords),
+      after: firstWords(after, this.options.contextWords),
+      contentItem
+    });
+  }
+
+  /**
+   * Text of the model's reply, without the suggestion tags. A reply without
+   * them is taken as a whole.
+   * @param {string} content - Reply of the model
+   * @returns {string} Suggested text
+   * @throws {Error} When the reply has no text
+   */
+  parseResponse(content) {
+    const match = (content || '').match(SUGGESTION_PATTERN);
+    const text = (match ? match[1] : content || '').trim();
+
+    if (!text) {
+      throw new Error('The suggestion is empty');
+    }
+
+    return text;
+  }
+
+  /**
+   * Suggestion that replaces the selection. Whitespace around the selection
+   * is kept, and a continuation is appended to the selected text, so an
+   * accepted suggestion always replaces the selection as a whole.
+   * @param {string} operation - Operation name
+   * @param {string} original - Selected text
+   * @param {string} text - Result of parseResponse
+   * @returns {object} Suggestion as { operation, original, text, wordCount }
+   */
+  buildSuggestion(operation, original, text) {
+    const leading = original.match(/^\s*/)[0];
+    const trailing = original.slice(leading.length).match(/\s*$/)[0];
+    const selected = original.trim();
+    let replacement = text;
+
+    if (operation === 'continue') {
+      // A selection ending a paragraph is continued with a new one
+      replacement = `${selected}${trailing.includes('\n') ? '\n\n' : ' '}${text}`;
+    }
+
+    return {
+      operation,
+      original,
+      text: `${leading}${replacement}${trailing}`,
+      wordCount: countWords(replacement)
+    };
+  }
+}
+
+// Export a singleton instance
+const editService = new EditService();
+
+module.exports = { EditService, editService };
@@ -4,6 +4,18 @@ const { marked } = require('marked');
 const logger = require('../../utils/logger');
 const { Integration } = require('../../db/models');
 
+// Post meta keys the generated SEO metadata is sent as, by default those of
+// Yoast SEO. WordPress ignores keys a plugin has not registered for the REST
+// API, so integrations using another plugin set config.seoMetaKeys.
+const DEFAULT_SEO_META_KEYS = {
+  metaTitle: '_yoast_wpseo_title',
+  metaDescription: '_yoast_wpseo_metadesc',
+  focusKeyword: '_yoast_wpseo_focuskw',
+  ogTitle: '_yoast_wpseo_opengraph-title',
+  ogDescription: '_yoast_wpseo_opengraph-description',
+  jsonLd: 'content_ai_json_ld'
+};
+
 class WordPressService {
   /**
    * Initialize WordPress API service
@@ -166,14 +178,17 @@ class WordPressService {
         content = marked(content);
       }
       
+      const seo = this.buildSeoFields(contentItem);
       const postData = {
         title: contentItem.title,
         content,
         status,
         categories: categoryIds,
         tags: tagIds,
-        excerpt: excerpt || '',
-        comment_status: allowComments ? 'open' : 'closed'
+        excerpt: excerpt || seo.excerpt || '',
+        comment_status: allowComments ? 'open' : 'closed',
+        ...(seo.slug && { slug: seo.slug }),
+        ...(seo.meta && { meta: seo.meta })
       };
       
       // Add author if specified
@@ -240,6 +255,7 @@ class WordPressService {
         content = marked(content);
       }
       
+      const seo = this.buildSeoFields(contentItem);
       const updateData = {
         title: contentItem.title,
         content
@@ -250,6 +266,9 @@ class WordPressService {
       if (categoryIds) updateData.categories = categoryIds;
       if (tagIds) updateData.tags = tagIds;
       if (excerpt !== undefined) updateData.excerpt = excerpt;
+      else if (seo.excerpt) updateData.excerpt = seo.excerpt;
+      if (seo.slug) updateData.slug = seo.slug;
+      if (seo.meta) updateData.meta = seo.meta;
       if (authorId) updateData.author = authorId;
       if (featuredMediaId) updateData.featured_media = featuredMediaId;
       if (allowComments !== undefined) updateData.comment_status = allowComments ? 'open' : 'closed';
@@ -283,6 +302,43 @@ class WordPressService {
     }
   }
   
+  /**
+   * Map a content item's generated SEO metadata onto WordPress post fields
+   * @param {object} contentItem - Content item
+   * @returns {object} slug, excerpt and meta, each only if there is SEO metadata
+   */
+  buildSeoFields(contentItem) {
+    const seo = contentItem.metadata && contentItem.metadata.seo;
+    
+    if (!seo) {
+      return {};
+    }
+    
+    const keys = { ...DEFAULT_SEO_META_KEYS, ...this.integration.config.seoMetaKeys };
+    const values = {
+      metaTitle: seo.metaTitle,
+      metaDescription: seo.metaDescription,
+      focusKeyword: seo.focusKeyword,
+      ogTitle: seo.openGraph && seo.openGraph.title,
+      ogDescription: seo.openGraph && seo.openGraph.description,
+      jsonLd: seo.jsonLd && seo.jsonLd.length > 0 ? JSON.stringify(seo.jsonLd) : null
+    };
+    
+    // A key set to null in config.seoMetaKeys is not sent
+    const meta = {};
+    Object.entries(values).forEach(([field, value]) => {
+      if (keys[field] && value) {
+        meta[keys[field]] = value;
+      }
+    });
+    
+    return {
+      slug: seo.slug,
+      excerpt: seo.excerpt,
+      meta: Object.keys(meta).length > 0 ? meta : null
+    };
+  }
+  
   /**
    * Delete a post from WordPress
    * @param {number} postId - WordPress post ID
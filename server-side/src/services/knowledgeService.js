@@ -0,0 +1,372 @@
+// src/services/knowledgeService.js
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { sequelize, KnowledgeDocument, KnowledgeChunk } = require('../db/models');
+const { tokenize, termFrequencies, rank } = require('../utils/bm25');
+const config = require('../config/ai');
+const logger = require('../utils/logger');
+
+// Document formats by file extension, with the MIME types browsers send for them
+const FORMATS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.pdf': 'pdf',
+  '.txt': 'text'
+};
+
+const MIME_FORMATS = {
+  'text/markdown': 'markdown',
+  'text/html': 'html',
+  'application/pdf': 'pdf',
+  'text/plain': 'text'
+};
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*$/;
+
+const MAX_HEADING_LENGTH = 255;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const countWords = text => text.split(/\s+/).filter(Boolean).length;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Per-user knowledge base of reference documents for grounded generation.
+ * Uploaded Markdown, HTML, PDF and plain-text files are reduced to text,
+ * split into chunks under their nearest heading and indexed with BM25 term
+ * frequencies. Generations that set useKnowledgeBase get the chunks most
+ * relevant to their topic and keywords added to the prompt as numbered
+ * references, which contentProcessor turns into a sources list.
+ */
+class KnowledgeService {
+  /**
+   * @param {object} options - Chunk size and reference limits, as in config.knowledge
+   */
+  constructor(options = config.knowledge) {
+    this.options = options;
+  }
+
+  /**
+   * Format of an uploaded file, from its extension or MIME type
+   * @param {object} file - Multer file: originalname and mimetype
+   * @returns {string} 'markdown', 'html', 'pdf' or 'text'
+   * @throws {Error} With statusCode 400 for other files
+   */
+  detectFormat(file) {
+    const format = FORMATS[path.extname(file.originalname || '').toLowerCase()] || MIME_FORMATS[file.mimetype];
+
+    if (!format) {
+      throw badRequest('Only Markdown, HTML, PDF and plain-text documents can be added');
+    }
+
+    return format;
+  }
+
+  /**
+   * Text of an uploaded file. Headings of HTML documents are kept as Markdown
+   * headings, so chunks can be labelled with them.
+   * @param {object} file - Multer file: buffer
+   * @param {string} format - Result of detectFormat
+   * @returns {Promise<string>} Text
+   */
+  async extractText(file, format) {
+    if (format === 'pdf') {
+      // Loaded on first use; only PDF uploads need it
+      const pdfParse = require('pdf-parse');
+
+      try {
+        const { text } = await pdfParse(file.buffer);
+        return text;
+      } catch (error) {
+        throw badRequest(`PDF could not be read: ${error.message}`);
+      }
+    }
+
+    const text = file.buffer.toString('utf8');
+
+    return format === 'html' ? this.htmlToText(text) : text;
+  }
+
+  htmlToText(html) {
+    const { document } = new JSDOM(html).window;
+
+    document.querySelectorAll('script, style, noscript, template').forEach(element => element.remove());
+
+    document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((heading) => {
+      const level = Number(heading.tagName[1]);
+      const text = heading.textContent.replace(/\s+/g, ' ').trim();
+      heading.replaceWith(document.createTextNode(`\n\n${'#'.repeat(level)} ${text}\n\n`));
+    });
+
+    // Block elements end a paragraph
+    document.querySelectorAll('p, div, li, tr, br, blockquote, pre, section, article, table')
+      .forEach(element => element.append(document.createTextNode('\n\n')));
+
+    return document.body ? document.body.textContent : '';
+  }
+
+  /**
+   * Split text into chunks of paragraphs, up to chunkWords words each. A
+   * heading starts a new chunk and labels the chunks below it; a paragraph
+   * longer than chunkWords is split between chunks.
+   * @param {string} text - Text, with Markdown headings
+   * @returns {Array<object>} Chunks as { heading, text }
+   */
+  chunk(text) {
+    const { chunkWords } = this.options;
+    const chunks = [];
+    let heading = null;
+    let paragraphs = [];
+    let words = 0;
+
+    const flush = () => {
+      if (paragraphs.length > 0) {
+        chunks.push({ heading, text: paragraphs.join('\n\n') });
+      }
+      paragraphs = [];
+      words = 0;
+    };
+
+    const blocks = (text || '')
+      .replace(/\r\n?/g, '\n')
+      // Headings are blocks of their own, even without blank lines around them
+      .replace(/^(#{1,6}\s.*)$/gm, '\n$1\n')
+      .split(/\n\s*\n/)
+      .map(block => block.trim())
+      .filter(Boolean);
+
+    for (const block of blocks) {
+      const headingMatch = block.match(HEADING_PATTERN);
+
+      if (headingMatch) {
+        flush();
+        heading = headingMatch[2].slice(0, MAX_HEADING_LENGTH);
+        continue;
+      }
+
+      const blockWords = countWords(block);
+
+      if (paragraphs.length > 0 && words + blockWords > chunkWords) {
+        flush();
+      }
+
+      if (blockWords <= chunkWords) {
+        paragraphs.push(block);
+        words += blockWords;
+        continue;
+      }
+
+      const parts = block.split(/\s+/).filter(Boolean);
+      for (let start = 0; start < parts.length; start += chunkWords) {
+        chunks.push({ heading, text: parts.slice(start, start + chunkWords).join(' ') });
+      }
+    }
+
+    flush();
+
+    return chunks;
+  }
+
+  /**
+   * Add an uploaded document to a user's knowledge base
+   * @param {string} userId - Owner
+   * @param {object} file - Multer file: buffer, originalname, mimetype and size
+   * @param {string} name - Document name; defaults to the file name
+   * @returns {Promise<object>} KnowledgeDocument
+   * @throws {Error} With statusCode 400 when the file cannot be read or has no text
+   */
+  async addDocument(userId, file, name) {
+    const format = this.detectFormat(file);
+    const chunks = this.chunk(await this.extractText(file, format));
+
+    if (chunks.length === 0) {
+      throw badRequest('The document has no text');
+    }
+
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const document = await KnowledgeDocument.create({
+          userId,
+          name: name || file.originalname || 'Untitled document',
+          format,
+          size: file.size || file.buffer.length,
+          chunkCount: chunks.length,
+          wordCount: chunks.reduce((sum, item) => sum + countWords(item.text), 0)
+        }, { transaction });
+
+        await KnowledgeChunk.bulkCreate(chunks.map((item, position) => {
+          const { terms, count } = termFrequencies(`${item.heading || ''} ${item.text}`);
+
+          return {
+            documentId: document.id,
+            userId,
+            position,
+            heading: item.heading,
+            text: item.text,
+            terms,
+            termCount: count
+          };
+        }), { transaction });
+
+        logger.info('Knowledge document added', {
+          documentId: document.id,
+          userId,
+          format,
+          chunks: chunks.length
+        });
+
+        return document;
+      });
+    } catch (error) {
+      logger.error('Error adding knowledge document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Documents of a user, newest first
+   * @param {string} userId - User ID
+   * @param {object} options - Page and limit
+   * @returns {Promise<object>} Rows and count
+   */
+  async listDocuments(userId, { page = 1, limit = 20 } = {}) {
+    try {
+      return await KnowledgeDocument.findAndCountAll({
+        where: { userId },
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+    } catch (error) {
+      logger.error('Error listing knowledge documents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a document the user owns, with its chunks in order
+   * @param {string} documentId - Document ID
+   * @param {string} userId - User ID
+   * @returns {Promise<object|null>} KnowledgeDocument
+   */
+  async getDocument(documentId, userId) {
+    try {
+      return await KnowledgeDocument.findOne({
+        where: { id: documentId, userId },
+        include: [
+          {
+            model: KnowledgeChunk,
+            as: 'chunks',
+            attributes: ['id', 'position', 'heading', 'text']
+          }
+        ],
+        order: [[{ model: KnowledgeChunk, as: 'chunks' }, 'position', 'ASC']]
+      });
+    } catch (error) {
+      logger.error('Error getting knowledge document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a document and its chunks. Content generated from it keeps its
+   * sources list.
+   * @param {object} document - KnowledgeDocument
+   * @returns {Promise<void>}
+   */
+  async deleteDocument(document) {
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await KnowledgeChunk.destroy({ where: { documentId: document.id }, transaction });
+        await document.destroy({ transaction });
+      });
+    } catch (error) {
+      logger.error('Error deleting knowledge document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search text for a generation: its topic, title, product name and keywords
+   * @param {object} parameters - Generation parameters
+   * @returns {string} Query
+   */
+  buildQuery(parameters = {}) {
+    const keywords = Array.isArray(parameters.keywords) ? parameters.keywords.join(' ') : parameters.keywords;
+
+    return [parameters.topic, parameters.title, parameters.productName, keywords]
+      .filter(value => typeof value === 'string' && value.trim())
+      .join(' ');
+  }
+
+  /**
+   * Chunks of a user's knowledge base most relevant to a query, ranked with
+   * BM25 over all of the user's chunks
+   * @param {string} userId - User ID
+   * @param {string} query - Search text, e.g. from buildQuery
+   * @param {number} limit - Most chunks returned
+   * @returns {Promise<Array<object>>} References as { chunkId, documentId,
+   *   documentName, heading, text, score }, most relevant first
+   */
+  async retrieve(userId, query, limit = this.options.maxReferences) {
+    if (tokenize(query).length === 0) {
+      return [];
+    }
+
+    try {
+      // Only the index columns are read to rank; the text of the best chunks is loaded after
+      const chunks = await KnowledgeChunk.findAll({
+        where: { userId },
+        attributes: ['id', 'documentId', 'heading', 'terms', 'termCount']
+      });
+
+      const ranked = rank(query, chunks).slice(0, limit);
+
+      if (ranked.length === 0) {
+        return [];
+      }
+
+      const texts = await KnowledgeChunk.findAll({
+        where: { id: ranked.map(({ document }) => document.id) },
+        attributes: ['id', 'text'],
+        include: [
+          {
+            model: KnowledgeDocument,
+            as: 'document',
+            attributes: ['id', 'name']
+          }
+        ]
+      });
+
+      return ranked
+        .map(({ document: chunk, score }) => {
+          const loaded = texts.find(item => item.id === chunk.id);
+
+          return loaded && {
+            chunkId: chunk.id,
+            documentId: chunk.documentId,
+            documentName: loaded.document ? loaded.document.name : null,
+            heading: chunk.heading,
+            text: loaded.text,
+            score: round(score)
+          };
+        })
+        .filter(Boolean);
+    } catch (error) {
+      logger.error('Error retrieving knowledge base references:', error);
+      throw error;
+    }
+  }
+}
+
+// Export a singleton instance
+const knowledgeService = new KnowledgeService();
+
+module.exports = { KnowledgeService, knowledgeService };
@@ -0,0 +1,236 @@
+// src/services/longFormService.js
+const config = require('../config/ai');
+
+// Words per section when the outline does not say otherwise and no total is known
+const DEFAULT_SECTION_WORDS = 300;
+
+// Validation error in the express-validator shape the API already returns
+const fieldError = (path, msg, value) => ({ type: 'field', value, msg, path, location: 'body' });
+
+const countWords = text => (text || '').split(/\s+/).filter(Boolean).length;
+
+/**
+ * Outline-first generation of long posts: decides which generations use it,
+ * parses and checks outlines, budgets words per section and stitches the
+ * generated sections into one Markdown document. The AI calls themselves are
+ * made by the generation worker.
+ */
+class LongFormService {
+  /**
+   * @param {object} options - minWordCount, maxSections and contextWords, as in config.longForm
+   */
+  constructor(options = config.longForm) {
+    this.minWordCount = options.minWordCount;
+    this.maxSections = options.maxSections;
+    this.contextWords = options.contextWords;
+  }
+
+  /**
+   * Whether a generation should be written section by section. Blog posts of
+   * at least minWordCount words are, unless parameters.longForm says otherwise.
+   * @param {object} parameters - Resolved prompt parameters
+   * @param {string} contentType - Content type
+   * @returns {boolean}
+   */
+  isLongForm(parameters, contentType) {
+    if (contentType !== 'blog') {
+      return false;
+    }
+
+    if (parameters.longForm !== undefined) {
+      return Boolean(parameters.longForm);
+    }
+
+    return parseInt(parameters.wordCount) >= this.minWordCount;
+  }
+
+  /**
+   * Number of sections a post of this length is expected to be written in,
+   * before its outline exists
+   * @param {number} wordCount - Target length of the whole post
+   * @returns {number} Sections
+   */
+  estimateSections(wordCount) {
+    return Math.min(Math.max(Math.round(parseInt(wordCount) / DEFAULT_SECTION_WORDS), 1), this.maxSections);
+  }
+
+  /**
+   * Parse the Markdown outline the model returns: a "# " title followed by
+   * "## " section headings with bulleted key points
+   * @param {string} text - Outline returned by the model
+   * @param {number} wordCount - Target length of the whole post
+   * @returns {object} Outline: title and sections of heading, points and wordCount
+   */
+  parseOutline(text, wordCount) {
+    let title = null;
+    const sections = [];
+
+    for (const rawLine of (text || '').split('\n')) {
+      const line = rawLine.trim();
+      const heading = line.match(/^(#{1,2})\s+(.+)$/);
+
+      if (heading && heading[1] === '#' && !title && sections.length === 0) {
+        title = heading[2].trim();
+      } else if (heading) {
+        sections.push({ heading: heading[2].trim(), points: [] });
+      } else if (sections.length > 0) {
+        // Sub-headings count as key points of their section
+        const point = line.match(/^(?:[-*+]|\d+[.)]|#{3,6})\s+(.+)$/);
+
+        if (point) {
+          sections[sections.length - 1].points.push(point[1].trim());
+        }
+      }
+    }
+
+    if (sections.length === 0) {
+      throw new Error('The generated outline has no sections');
+    }
+
+    return this.allocateWords({
+      title,
+      sections: sections.slice(0, this.maxSections)
+    }, wordCount);
+  }
+
+  /**
+   * Give each section without a word count an equal share of what is left
+   * @param {object} outline - Outline
+   * @param {number} wordCount - Target length of the whole post
+   * @returns {object} Outline with a wordCount on every section
+   */
+  allocateWords(outline, wordCount) {
+    const fixed = outline.sections.filter(section => section.wordCount);
+    const open = outline.sections.length - fixed.length;
+    const remaining = parseInt(wordCount) - fixed.reduce((total, section) => total + section.wordCount, 0);
+    const share = remaining > 0 && open > 0 ? Math.max(Math.round(remaining / open), 50) : DEFAULT_SECTION_WORDS;
+
+    return {
+      ...outline,
+      sections: outline.sections.map(section => ({
+        ...section,
+        wordCount: section.wordCount || share
+      }))
+    };
+  }
+
+  /**
+   * Check an outline submitted for approval
+   * @param {object} outline - Outline: title and sections of heading, points and wordCount
+   * @returns {Array} Validation errors
+   */
+  validateOutline(outline) {
+    if (!outline || typeof outline !== 'object' || !Array.isArray(outline.sections)) {
+      return [fieldError('outline', 'Outline must have a list of sections', outline)];
+    }
+
+    const errors = [];
+
+    if (outline.title !== undefined && outline.title !== null && typeof outline.title !== 'string') {
+      errors.push(fieldError('outline.title', 'Title must be a string', outline.title));
+    }
+
+    if (outline.sections.length === 0 || outline.sections.length > this.maxSections) {
+      errors.push(fieldError('outline.sections', `Outline must have between 1 and ${this.maxSections} sections`, outline.sections.length));
+    }
+
+    outline.sections.forEach((section, index) => {
+      const path = `outline.sections[${index}]`;
+
+      if (!section || typeof section.heading !== 'string' || !section.heading.trim()) {
+        errors.push(fieldError(`${path}.heading`, 'Section heading is required', section && section.heading));
+        return;
+      }
+
+      if (section.points !== undefined && !(Array.isArray(section.points) && section.points.every(point => typeof point === 'string'))) {
+        errors.push(fieldError(`${path}.points`, 'Points must be a list of strings', section.points));
+      }
+
+      if (section.wordCount !== undefined && !(Number.isInteger(section.wordCount) && section.wordCount > 0)) {
+        errors.push(fieldError(`${path}.wordCount`, 'Word count must be a positive integer', section.wordCount));
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Normalize an approved outline, keeping only known fields
+   * @param {object} outline - Validated outline
+   * @param {number} wordCount - Target length of the whole post
+   * @returns {object} Outline
+   */
+  normalizeOutline(outline, wordCount) {
+    return this.allocateWords({
+      title: outline.title ? outline.title.trim() : null,
+      sections: outline.sections.map(section => ({
+        heading: section.heading.trim(),
+        points: section.points || [],
+        ...(section.wordCount && { wordCount: section.wordCount })
+      }))
+    }, wordCount);
+  }
+
+  /**
+   * The most recent sections that fit in the context budget, oldest first.
+   * The latest section is always included so the next one follows on from it.
+   * @param {Array} sections - Written sections: heading and content
+   * @returns {Array} Sections to send as context
+   */
+  selectContext(sections) {
+    const context = [];
+    let words = 0;
+
+    for (let i = sections.length - 1; i >= 0; i--) {
+      words += countWords(sections[i].content);
+
+      if (context.length > 0 && words > this.contextWords) {
+        break;
+      }
+
+      context.unshift(sections[i]);
+    }
+
+    return context;
+  }
+
+  /**
+   * Remove a heading the model repeated at the start of a section, since the
+   * stitched document adds the outline's heading itself
+   * @param {string} content - Section content
+   * @returns {string} Section body
+   */
+  stripLeadingHeading(content) {
+    return (content || '').replace(/^\s*#{1,6}\s+[^\n]*\n*/, '').trim();
+  }
+
+  /**
+   * Markdown for the start of a section, also streamed before its body
+   * @param {object} outline - Outline
+   * @param {number} index - Section index
+   * @returns {string} Heading Markdown
+   */
+  sectionHeading(outline, index) {
+    const title = index === 0 && outline.title ? `# ${outline.title}\n\n` : '';
+    const separator = index > 0 ? '\n\n' : '';
+
+    return `${separator}${title}## ${outline.sections[index].heading}\n\n`;
+  }
+
+  /**
+   * Join the outline title and written sections into one Markdown document
+   * @param {object} outline - Outline
+   * @param {Array} bodies - Section bodies, in outline order
+   * @returns {string} Markdown
+   */
+  stitch(outline, bodies) {
+    return bodies
+      .map((body, index) => `${this.sectionHeading(outline, index)}${body}`)
+      .join('');
+  }
+}
+
+// Export a singleton instance
+const longFormService = new LongFormService();
+
+module.exports = { LongFormService, longFormService };
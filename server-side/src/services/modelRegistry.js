@@ -0,0 +1,226 @@
+// src/services/modelRegistry.js
+const aiService = require('./aiService');
+const config = require('../config/ai');
+const logger = require('../utils/logger');
+
+// How long a provider availability check is reused before asking again
+const AVAILABILITY_TTL = parseInt(process.env.AI_AVAILABILITY_TTL_MS || '60000');
+
+/**
+ * Catalog of the models each registered provider can serve. Entries come from
+ * the providers' model lists, overlaid with config.modelCatalog, so pricing and
+ * credit multipliers for new models are configuration rather than code.
+ */
+class ModelRegistry {
+  /**
+   * @param {object} dependencies - AI service whose providers are listed
+   */
+  constructor({ ai = aiService, availabilityTtl = AVAILABILITY_TTL } = {}) {
+    this.ai = ai;
+    this.availabilityTtl = availabilityTtl;
+    this.availability = {};
+    this.catalog = null;
+  }
+
+  /**
+   * List every model of every registered provider with its availability
+   * @param {object} options - Set refresh to bypass the availability cache
+   * @returns {Promise<Array>} Model entries
+   */
+  async listModels({ refresh = false } = {}) {
+    const providerNames = Object.keys(this.ai.providers);
+
+    const results = await Promise.all(providerNames.map(async (name) => {
+      const provider = this.ai.providers[name];
+      const [models, available] = await Promise.all([
+        provider.getModels(),
+        this.checkAvailability(name, refresh)
+      ]);
+
+      return { name, models, available };
+    }));
+
+    const modelsByProvider = {};
+    const availableByProvider = {};
+    results.forEach(({ name, models, available }) => {
+      modelsByProvider[name] = models;
+      availableByProvider[name] = available;
+    });
+
+    // Keep the latest listing for synchronous lookups during cost estimation
+    this.catalog = this.buildCatalog(modelsByProvider).map(entry => ({
+      ...entry,
+      available: availableByProvider[entry.provider]
+    }));
+
+    return this.catalog;
+  }
+
+  /**
+   * Check whether a provider is available, reusing recent results
+   * @param {string} name - Provider name
+   * @param {boolean} refresh - Ignore any cached result
+   * @returns {Promise<boolean>} Provider is available
+   */
+  async checkAvailability(name, refresh = false) {
+    const cached = this.availability[name];
+
+    if (!refresh && cached && Date.now() - cached.checkedAt < this.availabilityTtl) {
+      return cached.available;
+    }
+
+    let available = false;
+
+    try {
+      available = await this.ai.providers[name].isAvailable();
+    } catch (error) {
+      logger.warn('Provider availability check failed', { provider: name, error: error.message });
+    }
+
+    this.availability[name] = { available, checkedAt: Date.now() };
+
+    return available;
+  }
+
+  /**
+   * Find a model by ID, matching dated snapshots (gpt-4o-2024-08-06) and
+   * -latest aliases (claude-3-5-sonnet-latest) to their catalog entry
+   * @param {string} modelId - Model ID as requested or as reported by a provider
+   * @param {string} providerName - Optionally restrict to one provider
+   * @returns {object|null} Model entry
+   */
+  getModel(modelId, providerName) {
+    if (!modelId) {
+      return null;
+    }
+
+    const candidates = this.getCatalog()
+      .filter(entry => !providerName || entry.provider === providerName);
+
+    const exact = candidates.find(entry => entry.id === modelId);
+
+    if (exact) {
+      return exact;
+    }
+
+    // Prefer the longest family name, so gpt-4o-mini-... does not match gpt-4o
+    const matches = candidates
+      .map(entry => ({ entry, family: entry.id.replace(/-latest$/, '') }))
+      .filter(({ family }) => modelId.startsWith(`${family}-`))
+      .sort((a, b) => b.family.length - a.family.length);
+
+    return matches.length > 0 ? matches[0].entry : null;
+  }
+
+  /**
+   * Default model of a provider, or of the default provider
+   * @param {string} providerName - Provider name
+   * @returns {object|null} Model entry
+   */
+  getDefaultModel(providerName = this.ai.defaultProvider) {
+    const provider = this.ai.providers[providerName] || this.ai.providers[this.ai.defaultProvider];
+
+    if (!provider) {
+      return null;
+    }
+
+    return this.getModel(provider.defaultModel, provider.name);
+  }
+
+  /**
+   * The model a generation would use: the requested one, or the provider's
+   * default when none is requested
+   * @param {string} modelId - Requested model ID
+   * @param {string} providerName - Provider name
+   * @returns {object|null} Model entry, or null for unknown models
+   */
+  resolveModel(modelId, providerName) {
+    return modelId
+      ? this.getModel(modelId, providerName)
+      : this.getDefaultModel(providerName);
+  }
+
+  /**
+   * Credit multiplier for a model, falling back to the default model when
+   * none is requested and to the configured default for unknown models
+   * @param {string} modelId - Model ID
+   * @param {string} providerName - Provider name
+   * @returns {number} Credit multiplier
+   */
+  getCreditMultiplier(modelId, providerName) {
+    const model = this.resolveModel(modelId, providerName);
+
+    return model ? model.creditMultiplier : config.defaultCreditMultiplier;
+  }
+
+  /**
+   * Latest listing, or the providers' static model lists before any listing
+   * @returns {Array} Model entries
+   */
+  getCatalog() {
+    if (this.catalog) {
+      return this.catalog;
+    }
+
+    const modelsByProvider = {};
+    Object.entries(this.ai.providers).forEach(([name, provider]) => {
+      modelsByProvider[name] = provider.models;
+    });
+
+    return this.buildCatalog(modelsByProvider);
+  }
+
+  /**
+   * Describe provider models and apply the configured catalog overrides
+   * @param {object} modelsByProvider - Model lists keyed by provider name
+   * @returns {Array} Model entries
+   */
+  buildCatalog(modelsByProvider) {
+    const entries = [];
+
+    Object.entries(modelsByProvider).forEach(([provider, models]) => {
+      (models || []).forEach(model => entries.push(this.describeModel(provider, model)));
+    });
+
+    config.modelCatalog.forEach((override) => {
+      const existing = entries.find(entry => entry.id === override.id &&
+        (!override.provider || entry.provider === override.provider));
+
+      if (existing) {
+        Object.assign(existing, override);
+      } else if (modelsByProvider[override.provider]) {
+        entries.push(this.describeModel(override.provider, override));
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Normalize a provider model into a catalog entry
+   * @param {string} provider - Provider name
+   * @param {object} model - Model from the provider or catalog
+   * @returns {object} Model entry
+   */
+  describeModel(provider, model) {
+    const providerInstance = this.ai.providers[provider];
+
+    return {
+      id: model.id,
+      name: model.name || model.id,
+      provider,
+      contextWindow: model.contextWindow || null,
+      pricing: model.pricing || null,
+      creditPricing: model.creditPricing || null,
+      creditMultiplier: model.creditMultiplier || config.defaultCreditMultiplier,
+      tokensPerWord: model.tokensPerWord || config.tokensPerWord,
+      isDefault: provider === this.ai.defaultProvider &&
+        Boolean(providerInstance) && model.id === providerInstance.defaultModel
+    };
+  }
+}
+
+// Export a singleton instance
+const modelRegistry = new ModelRegistry();
+
+module.exports = { ModelRegistry, modelRegistry };
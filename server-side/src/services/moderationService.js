@@ -0,0 +1,347 @@
+// src/services/moderationService.js
+const { OpenAI } = require('openai');
+const { ContentItem, User } = require('../db/models');
+const config = require('../config/ai');
+const logger = require('../utils/logger');
+
+// Characters of text shown on either side of a match
+const CONTEXT_LENGTH = 40;
+
+// Status a reviewed item moves to, per decision
+const REVIEW_STATUSES = {
+  approve: 'generated',
+  reject: 'archived'
+};
+
+// Rules applied before the configured ones. Operators add categories of their
+// own, such as competitor names or regulated claims, through config.moderation.
+const DEFAULT_RULES = [
+  {
+    category: 'model_refusal',
+    label: 'Refusal or disclaimer from the model',
+    terms: [
+      'as an AI language model',
+      'as an AI model',
+      "I'm sorry, but I can't",
+      'I cannot fulfill this request',
+      "I can't assist with that"
+    ]
+  },
+  {
+    category: 'self_harm',
+    label: 'Encouragement of self-harm',
+    terms: ['kill yourself', 'how to commit suicide', 'ways to hurt yourself']
+  },
+  {
+    category: 'violence',
+    label: 'Weapon or attack instructions',
+    terms: ['how to make a bomb', 'build a pipe bomb', 'how to make a molotov cocktail']
+  },
+  {
+    category: 'personal_data',
+    label: 'US Social Security number',
+    pattern: '\\b\\d{3}-\\d{2}-\\d{4}\\b'
+  },
+  {
+    category: 'personal_data',
+    label: 'Payment card number',
+    pattern: '\\b\\d(?:[ -]?\\d){12,18}\\b',
+    validate: match => luhnValid(match.replace(/\D/g, ''))
+  }
+];
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Match a phrase as whole words, ignoring case and the whitespace between words
+const termPattern = term => new RegExp(
+  `(?<!\\w)${term.trim().split(/\s+/).map(escapeRegExp).join('\\s+')}(?!\\w)`,
+  'gi'
+);
+
+// Luhn checksum of a card number, which rules out most other digit runs
+function luhnValid(digits) {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+const excerpt = (text, index, length) => {
+  const start = Math.max(index - CONTEXT_LENGTH, 0);
+  const end = Math.min(index + length + CONTEXT_LENGTH, text.length);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+};
+
+// Local classifier: flags the terms and regular expressions of its rules
+class RuleClassifier {
+  /**
+   * @param {object} options - Additional rules ({ category, label, terms } or
+   *   { category, label, pattern, flags }) and blocked terms
+   */
+  constructor({ rules = [], blockedTerms = [] } = {}) {
+    this.name = 'rules';
+    this.rules = [
+      ...DEFAULT_RULES,
+      ...rules,
+      ...(blockedTerms.length > 0 ? [{ category: 'blocked_term', label: 'Blocked term', terms: blockedTerms }] : [])
+    ].map(rule => this.compileRule(rule));
+  }
+
+  compileRule(rule) {
+    if (!rule.category || (!Array.isArray(rule.terms) && !rule.pattern)) {
+      throw new Error(`Moderation rule ${JSON.stringify(rule)} needs a category and terms or a pattern`);
+    }
+
+    const patterns = rule.pattern
+      ? [new RegExp(rule.pattern, rule.flags ? `${rule.flags.replace('g', '')}g` : 'gi')]
+      : rule.terms.filter(term => typeof term === 'string' && term.trim()).map(termPattern);
+
+    return { ...rule, label: rule.label || rule.category, patterns };
+  }
+
+  async classify(text) {
+    return this.rules.reduce((reasons, rule) => {
+      const matches = rule.patterns
+        .flatMap(pattern => [...text.matchAll(pattern)])
+        .filter(match => !rule.validate || rule.validate(match[0]));
+
+      if (matches.length > 0) {
+        reasons.push({
+          classifier: this.name,
+          category: rule.category,
+          label: rule.label,
+          count: matches.length,
+          context: excerpt(text, matches[0].index, matches[0][0].length)
+        });
+      }
+
+      return reasons;
+    }, []);
+  }
+}
+
+// The OpenAI moderation endpoint, which scores text against its own categories
+class OpenAIModerationClassifier {
+  constructor({ apiKey = config.openai.apiKey, model = config.moderation.openaiModel, client } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.client = client || new OpenAI({ apiKey });
+  }
+
+  async classify(text) {
+    const response = await this.client.moderations.create({
+      model: this.model,
+      input: text
+    });
+
+    return response.results.flatMap(result => Object.keys(result.categories)
+      .filter(category => result.categories[category])
+      .map(category => ({
+        classifier: this.name,
+        category,
+        label: category,
+        score: result.category_scores[category]
+      })));
+  }
+}
+
+/**
+ * Screening of generated text before it reaches a content item. Each
+ * registered classifier returns the reasons it flags the text for; flagged
+ * content is held in the needs_review status, with the result of the check in
+ * ContentItem.metadata.moderation, until an admin reviews it.
+ */
+class ModerationService {
+  /**
+   * @param {object} options - Moderation settings, as in config.moderation
+   */
+  constructor(options = config.moderation) {
+    this.options = options;
+    this.classifiers = {};
+
+    if (options.enabled) {
+      this.registerClassifiers();
+    }
+  }
+
+  registerClassifiers() {
+    this.options.classifiers.forEach((name) => {
+      if (name === 'rules') {
+        this.registerClassifier(new RuleClassifier(this.options));
+      } else if (name === 'openai' && config.openai.apiKey) {
+        this.registerClassifier(new OpenAIModerationClassifier({ model: this.options.openaiModel }));
+      } else {
+        logger.warn('Moderation classifier not available', { classifier: name });
+      }
+    });
+
+    logger.info('Moderation classifiers registered', {
+      classifiers: Object.keys(this.classifiers)
+    });
+  }
+
+  /**
+   * Add a classifier; it replaces any registered under the same name
+   * @param {object} classifier - Object with a name and an async classify(text) returning reasons
+   */
+  registerClassifier(classifier) {
+    this.classifiers[classifier.name] = classifier;
+  }
+
+  /**
+   * Run the text through every classifier. A failing classifier flags the text
+   * when failClosed is set, and is otherwise only logged.
+   * @param {string} text - Generated text
+   * @returns {Promise<object|null>} Result with flagged, reasons, classifiers and
+   *   checkedAt; null when no classifier is registered
+   */
+  async check(text) {
+    const names = Object.keys(this.classifiers);
+
+    if (names.length === 0) {
+      return null;
+    }
+
+    const reasons = [];
+
+    for (const name of names) {
+      try {
+        reasons.push(...await this.classifiers[name].classify(text || ''));
+      } catch (error) {
+        logger.error('Moderation classifier failed:', { classifier: name, error: error.message });
+
+        if (this.options.failClosed) {
+          reasons.push({
+            classifier: name,
+            category: 'classifier_error',
+            label: 'The moderation check could not be completed'
+          });
+        }
+      }
+    }
+
+    return {
+      flagged: reasons.length > 0,
+      reasons,
+      classifiers: names,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Content items held for review, oldest first. The content itself is left
+   * out; reviewers open the item to read it.
+   * @param {object} options - Page and limit
+   * @returns {Promise<object>} Rows and count
+   */
+  async listHeld({ page = 1, limit = 20 } = {}) {
+    try {
+      return await ContentItem.findAndCountAll({
+        where: { status: 'needs_review' },
+        attributes: { exclude: ['content'] },
+        include: [
+          {
+            model: User,
+            attributes: ['id', 'email', 'firstName', 'lastName']
+          }
+        ],
+        order: [['updatedAt', 'ASC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+    } catch (error) {
+      logger.error('Error listing content held for review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release or reject a held content item. Approving makes it generated
+   * content again; rejecting archives it.
+   * @param {object} contentItem - ContentItem in needs_review
+   * @param {string} decision - 'approve' or 'reject'
+   * @param {string} reviewerId - ID of the admin
+   * @param {string|null} note - Reason given by the admin
+   * @returns {Promise<object>} Updated ContentItem
+   */
+  async review(contentItem, decision, reviewerId, note = null) {
+    const status = REVIEW_STATUSES[decision];
+
+    if (!status) {
+      const error = new Error(`Unknown review decision: ${decision}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const metadata = {
+      ...contentItem.metadata,
+      moderation: {
+        ...(contentItem.metadata && contentItem.metadata.moderation),
+        review: {
+          decision,
+          reviewedBy: reviewerId,
+          reviewedAt: new Date().toISOString(),
+          note
+        }
+      }
+    };
+
+    let updated;
+
+    try {
+      // Conditional, so two reviewers cannot both decide on the same item
+      [updated] = await ContentItem.update(
+        { status, metadata },
+        { where: { id: contentItem.id, status: 'needs_review' } }
+      );
+    } catch (error) {
+      logger.error('Error reviewing content item:', error);
+      throw error;
+    }
+
+    if (updated === 0) {
+      const error = new Error('Content item is not held for review');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    logger.info('Moderation review recorded', {
+      contentItemId: contentItem.id,
+      decision,
+      reviewedBy: reviewerId
+    });
+
+    return contentItem.reload();
+  }
+
+  /**
+   * Whether a moderation result holds content for review
+   * @param {object|null} moderation - Result of check
+   * @returns {boolean} True when flagged
+   */
+  isFlagged(moderation) {
+    return Boolean(moderation && moderation.flagged);
+  }
+}
+
+// Export a singleton instance
+const moderationService = new ModerationService();
+
+module.exports = {
+  ModerationService,
+  RuleClassifier,
+  OpenAIModerationClassifier,
+  moderationService
+};
@@ -0,0 +1,688 @@
+// src/services/organizationService.js
+const { Op } = require('sequelize');
+const { sequelize, Project, Folder, Tag, ContentItem, Template, ContentGeneration, Integration } = require('../db/models');
+const { templateService } = require('./templateService');
+const { voiceService } = require('./voiceService');
+const logger = require('../utils/logger');
+
+const PROJECT_FIELDS = ['name', 'description', 'color', 'defaultTemplateId', 'voiceProfileId', 'integrationId', 'isArchived'];
+const TAG_FIELDS = ['name', 'color'];
+
+// Fields of the tags listed with a record
+const TAG_ATTRIBUTES = ['id', 'name', 'color'];
+
+// Folders nest at most this deep, the top level being 1
+const MAX_FOLDER_DEPTH = 5;
+
+// Most tags a record can have
+const MAX_TAGS = 20;
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) {
+    picked[field] = source[field];
+  }
+  return picked;
+}, {});
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+};
+
+// Validation error in the express-validator shape the API already returns
+const fieldError = (path, msg, value) => ({ type: 'field', value, msg, path, location: 'body' });
+
+// Tag names are compared ignoring case and repeated whitespace
+const normalizeTagName = name => String(name).trim().replace(/\s+/g, ' ');
+
+const lowerName = name => sequelize.where(sequelize.fn('lower', sequelize.col('name')), name.toLowerCase());
+
+/**
+ * IDs of a folder and all the folders under it
+ * @param {Array<object>} folders - Folders of the user, with id and parentId
+ * @param {string} folderId - Folder ID
+ * @returns {Array<string>} IDs, the folder's first; empty if it is not among them
+ */
+const subtreeIds = (folders, folderId) => {
+  if (!folders.some(folder => folder.id === folderId)) {
+    return [];
+  }
+
+  const ids = [folderId];
+  for (let index = 0; index < ids.length; index++) {
+    folders.forEach((folder) => {
+      if (folder.parentId === ids[index]) {
+        ids.push(folder.id);
+      }
+    });
+  }
+
+  return ids;
+};
+
+/**
+ * Level of a folder, 1 at the top
+ * @param {Array<object>} folders - Folders of the user, with id and parentId
+ * @param {string} folderId - Folder ID
+ * @returns {number} Depth
+ */
+const depthOf = (folders, folderId) => {
+  const byId = new Map(folders.map(folder => [folder.id, folder]));
+  let depth = 0;
+
+  // Bounded, in case the data has a cycle
+  for (let folder = byId.get(folderId); folder && depth <= folders.length; folder = byId.get(folder.parentId)) {
+    depth++;
+  }
+
+  return depth;
+};
+
+/**
+ * Projects, folders and tags, which content items, templates and generations
+ * are filed in and labelled with. A record is in at most one project and one
+ * folder, and a folder in a project keeps everything filed in it in that
+ * project. A project's default template, brand voice and integration apply
+ * to the content created and published in it.
+ */
+class OrganizationService {
+  /**
+   * Number of a user's content items in each project or folder. Translations
+   * are counted with their source item.
+   * @param {string} userId - User ID
+   * @param {string} column - 'projectId' or 'folderId'
+   * @returns {Promise<Map>} Count by ID
+   */
+  async countContent(userId, column) {
+    const counts = await ContentItem.count({
+      where: { userId, sourceItemId: null, [column]: { [Op.ne]: null } },
+      group: [column]
+    });
+
+    return new Map(counts.map(row => [row[column], parseInt(row.count)]));
+  }
+
+  /**
+   * A user's projects by name, with the number of content items in each
+   * @param {string} userId - User ID
+   * @param {object} options - Set includeArchived to list archived projects too
+   * @returns {Promise<Array>} Projects as plain objects with a contentCount
+   */
+  async listProjects(userId, { includeArchived = false } = {}) {
+    try {
+      const where = includeArchived ? { userId } : { userId, isArchived: false };
+      const [projects, counts] = await Promise.all([
+        Project.findAll({ where, order: [['name', 'ASC']] }),
+        this.countContent(userId, 'projectId')
+      ]);
+
+      return projects.map(project => ({
+        ...project.toJSON(),
+        contentCount: counts.get(project.id) || 0
+      }));
+    } catch (error) {
+      logger.error('Error listing projects:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a project the user owns
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User ID
+   * @returns {Promise<object|null>} Project
+   */
+  async getProject(projectId, userId) {
+    try {
+      return await Project.findOne({ where: { id: projectId, userId } });
+    } catch (error) {
+      logger.error('Error getting project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that the defaults of a project are a template the user can use and
+   * a voice profile and integration they own
+   * @param {object} data - Project fields
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Validation errors, empty if the defaults are fine
+   */
+  async validateProjectDefaults({ defaultTemplateId, voiceProfileId, integrationId }, userId) {
+    const [template, voiceProfile, integration] = await Promise.all([
+      defaultTemplateId ? templateService.getAccessibleTemplate(defaultTemplateId, userId) : null,
+      voiceProfileId ? voiceService.getProfile(voiceProfileId, userId) : null,
+      integrationId ? Integration.findOne({ where: { id: integrationId, userId } }) : null
+    ]);
+    const errors = [];
+
+    if (defaultTemplateId && !template) {
+      errors.push(fieldError('defaultTemplateId', 'Template not found', defaultTemplateId));
+    }
+    if (voiceProfileId && !voiceProfile) {
+      errors.push(fieldError('voiceProfileId', 'Voice profile not found', voiceProfileId));
+    }
+    if (integrationId && !integration) {
+      errors.push(fieldError('integrationId', 'Integration not found', integrationId));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create a project
+   * @param {string} userId - Owner
+   * @param {object} data - Project fields
+   * @returns {Promise<object>} Project
+   */
+  async createProject(userId, data) {
+    try {
+      return await Project.create({ ...pick(data, PROJECT_FIELDS), userId });
+    } catch (error) {
+      logger.error('Error creating project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a project. Its new defaults apply to content created afterwards.
+   * @param {object} project - Project
+   * @param {object} changes - Changed fields
+   * @returns {Promise<object>} Updated project
+   */
+  async updateProject(project, changes) {
+    try {
+      return await project.update(pick(changes, PROJECT_FIELDS));
+    } catch (error) {
+      logger.error('Error updating project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a project with its folders. The database leaves the content,
+   * templates and generations that were filed in them unfiled.
+   * @param {object} project - Project
+   */
+  async deleteProject(project) {
+    try {
+      await project.destroy();
+    } catch (error) {
+      logger.error('Error deleting project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's folders by name, with the number of content items directly in
+   * each. The list is flat; parentId gives the tree.
+   * @param {string} userId - User ID
+   * @param {object} filters - Set projectId for the folders of one project
+   * @returns {Promise<Array>} Folders as plain objects with a contentCount
+   */
+  async listFolders(userId, { projectId } = {}) {
+    try {
+      const where = projectId ? { userId, projectId } : { userId };
+      const [folders, counts] = await Promise.all([
+        Folder.findAll({ where, order: [['name', 'ASC']] }),
+        this.countContent(userId, 'folderId')
+      ]);
+
+      return folders.map(folder => ({
+        ...folder.toJSON(),
+        contentCount: counts.get(folder.id) || 0
+      }));
+    } catch (error) {
+      logger.error('Error listing folders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a folder the user owns
+   * @param {string} folderId - Folder ID
+   * @param {string} userId - User ID
+   * @returns {Promise<object|null>} Folder
+   */
+  async getFolder(folderId, userId) {
+    try {
+      return await Folder.findOne({ where: { id: folderId, userId } });
+    } catch (error) {
+      logger.error('Error getting folder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The folder tree of a user, as id and parentId pairs
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Folders
+   */
+  async loadTree(userId) {
+    return Folder.findAll({ where: { userId }, attributes: ['id', 'parentId'], raw: true });
+  }
+
+  /**
+   * Throw if a folder of that name is already in the parent
+   * @param {string} userId - User ID
+   * @param {object} place - projectId and parentId of the folder
+   * @param {string} name - Folder name
+   * @param {string} exceptId - Folder being renamed or moved
+   */
+  async checkFolderName(userId, { projectId, parentId }, name, exceptId = null) {
+    const where = {
+      [Op.and]: [
+        { userId, projectId: projectId || null, parentId: parentId || null },
+        lowerName(name.trim())
+      ]
+    };
+    if (exceptId) {
+      where[Op.and].push({ id: { [Op.ne]: exceptId } });
+    }
+
+    if (await Folder.findOne({ where })) {
+      throw conflict(`A folder named ${name.trim()} already exists there`);
+    }
+  }
+
+  /**
+   * Create a folder, at the top of a project or of the user's unfiled
+   * folders, or in another folder and its project
+   * @param {string} userId - Owner
+   * @param {object} data - name, and parentId or projectId
+   * @returns {Promise<object>} Folder
+   * @throws {Error} With statusCode 400 for an unknown parent or project or
+   *   too deep a folder, 409 if the name is taken
+   */
+  async createFolder(userId, { name, parentId, projectId }) {
+    let place;
+
+    if (parentId) {
+      const parent = await this.getFolder(parentId, userId);
+
+      if (!parent) {
+        throw badRequest('Parent folder not found');
+      }
+      if (projectId !== undefined && (projectId || null) !== parent.projectId) {
+        throw badRequest('A subfolder is in the project of its parent folder');
+      }
+      if (depthOf(await this.loadTree(userId), parent.id) >= MAX_FOLDER_DEPTH) {
+        throw badRequest(`Folders nest at most ${MAX_FOLDER_DEPTH} levels deep`);
+      }
+
+      place = { projectId: parent.projectId, parentId: parent.id };
+    } else {
+      if (projectId && !await this.getProject(projectId, userId)) {
+        throw badRequest('Project not found');
+      }
+
+      place = { projectId: projectId || null, parentId: null };
+    }
+
+    await this.checkFolderName(userId, place, name);
+
+    try {
+      return await Folder.create({ ...place, name: name.trim(), userId });
+    } catch (error) {
+      logger.error('Error creating folder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a folder, or move it with its contents to another parent in the
+   * same project
+   * @param {object} folder - Folder
+   * @param {object} changes - name and parentId, null for the top level
+   * @returns {Promise<object>} Updated folder
+   * @throws {Error} With statusCode 400 for a move into another project, into
+   *   the folder itself or too deep, 409 if the name is taken there
+   */
+  async updateFolder(folder, { name, parentId }) {
+    const updates = {};
+
+    if (parentId !== undefined && (parentId || null) !== folder.parentId) {
+      const folders = await this.loadTree(folder.userId);
+      const subtree = subtreeIds(folders, folder.id);
+
+      if (parentId) {
+        const parent = await this.getFolder(parentId, folder.userId);
+
+        if (!parent) {
+          throw badRequest('Parent folder not found');
+        }
+        if (parent.projectId !== folder.projectId) {
+          throw badRequest('Folders can only be moved within their project');
+        }
+        if (subtree.includes(parent.id)) {
+          throw badRequest('A folder cannot be moved into itself');
+        }
+
+        // Levels below the folder move down with it
+        const height = Math.max(...subtree.map(id => depthOf(folders, id))) - depthOf(folders, folder.id) + 1;
+        if (depthOf(folders, parent.id) + height > MAX_FOLDER_DEPTH) {
+          throw badRequest(`Folders nest at most ${MAX_FOLDER_DEPTH} levels deep`);
+        }
+      }
+
+      updates.parentId = parentId || null;
+    }
+    if (name !== undefined) {
+      updates.name = name.trim();
+    }
+
+    if (updates.name !== undefined || updates.parentId !== undefined) {
+      await this.checkFolderName(folder.userId, {
+        projectId: folder.projectId,
+        parentId: updates.parentId !== undefined ? updates.parentId : folder.parentId
+      }, updates.name || folder.name, folder.id);
+    }
+
+    try {
+      return await folder.update(updates);
+    } catch (error) {
+      logger.error('Error updating folder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a folder. Its subfolders and everything filed in it move up to
+   * its parent, so nothing is lost.
+   * @param {object} folder - Folder
+   */
+  async deleteFolder(folder) {
+    try {
+      await sequelize.transaction(async (transaction) => {
+        const parentId = folder.parentId;
+
+        await Folder.update({ parentId }, { where: { parentId: folder.id }, transaction });
+        for (const model of [ContentItem, Template, ContentGeneration]) {
+          await model.update({ folderId: parentId }, { where: { folderId: folder.id }, transaction });
+        }
+        await folder.destroy({ transaction });
+      });
+    } catch (error) {
+      logger.error('Error deleting folder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's tags by name, with the number of content items tagged with each
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Tags as plain objects with a contentCount
+   */
+  async listTags(userId) {
+    try {
+      const [tags, counts] = await Promise.all([
+        Tag.findAll({ where: { userId }, order: [['name', 'ASC']] }),
+        sequelize.query(`
+          SELECT cit."tagId", COUNT(*)::int AS count
+          FROM "ContentItemTags" cit
+          JOIN "Tags" t ON t.id = cit."tagId"
+          WHERE t."userId" = :userId
+          GROUP BY cit."tagId"
+        `, { replacements: { userId }, type: sequelize.QueryTypes.SELECT })
+      ]);
+      const byTag = new Map(counts.map(row => [row.tagId, row.count]));
+
+      return tags.map(tag => ({
+        ...tag.toJSON(),
+        contentCount: byTag.get(tag.id) || 0
+      }));
+    } catch (error) {
+      logger.error('Error listing tags:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a tag the user owns
+   * @param {string} tagId - Tag ID
+   * @param {string} userId - User ID
+   * @returns {Promise<object|null>} Tag
+   */
+  async getTag(tagId, userId) {
+    try {
+      return await Tag.findOne({ where: { id: tagId, userId } });
+    } catch (error) {
+      logger.error('Error getting tag:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw if the user has a tag of that name
+   * @param {string} userId - User ID
+   * @param {string} name - Normalized tag name
+   * @param {string} exceptId - Tag being renamed
+   */
+  async checkTagName(userId, name, exceptId = null) {
+    const conditions = [{ userId }, lowerName(name)];
+    if (exceptId) {
+      conditions.push({ id: { [Op.ne]: exceptId } });
+    }
+
+    if (await Tag.findOne({ where: { [Op.and]: conditions } })) {
+      throw conflict(`Tag ${name} already exists`);
+    }
+  }
+
+  /**
+   * Create a tag. Tags are also created by name when records are tagged.
+   * @param {string} userId - Owner
+   * @param {object} data - name and color
+   * @returns {Promise<object>} Tag
+   * @throws {Error} With statusCode 409 if the user has a tag of that name
+   */
+  async createTag(userId, data) {
+    const fields = pick(data, TAG_FIELDS);
+    fields.name = normalizeTagName(fields.name);
+
+    await this.checkTagName(userId, fields.name);
+
+    try {
+      return await Tag.create({ ...fields, userId });
+    } catch (error) {
+      logger.error('Error creating tag:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename or recolor a tag
+   * @param {object} tag - Tag
+   * @param {object} changes - name and color
+   * @returns {Promise<object>} Updated tag
+   * @throws {Error} With statusCode 409 if the user has another tag of the new name
+   */
+  async updateTag(tag, changes) {
+    const updates = pick(changes, TAG_FIELDS);
+
+    if (updates.name !== undefined) {
+      updates.name = normalizeTagName(updates.name);
+      await this.checkTagName(tag.userId, updates.name, tag.id);
+    }
+
+    try {
+      return await tag.update(updates);
+    } catch (error) {
+      logger.error('Error updating tag:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a tag, untagging everything tagged with it
+   * @param {object} tag - Tag
+   */
+  async deleteTag(tag) {
+    try {
+      await tag.destroy();
+    } catch (error) {
+      logger.error('Error deleting tag:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tags of the given names, created if the user has none of that name yet
+   * @param {string} userId - User ID
+   * @param {Array<string>} names - Tag names, matched ignoring case
+   * @param {object} transaction - Transaction
+   * @returns {Promise<Array>} Tags, in the order of the names
+   */
+  async resolveTags(userId, names, transaction = null) {
+    const unique = new Map();
+    names.map(normalizeTagName).filter(Boolean).forEach((name) => {
+      if (!unique.has(name.toLowerCase())) {
+        unique.set(name.toLowerCase(), name);
+      }
+    });
+
+    if (unique.size > MAX_TAGS) {
+      throw badRequest(`A record can have at most ${MAX_TAGS} tags`);
+    }
+    if (unique.size === 0) {
+      return [];
+    }
+
+    const find = () => Tag.findAll({
+      where: {
+        [Op.and]: [
+          { userId },
+          sequelize.where(sequelize.fn('lower', sequelize.col('name')), { [Op.in]: [...unique.keys()] })
+        ]
+      },
+      transaction
+    });
+
+    let tags = await find();
+    if (tags.length < unique.size) {
+      const existing = new Set(tags.map(tag => tag.name.toLowerCase()));
+
+      // Tagging the same new name twice at once creates it once
+      await Tag.bulkCreate(
+        [...unique.entries()].filter(([key]) => !existing.has(key)).map(([, name]) => ({ userId, name })),
+        { ignoreDuplicates: true, transaction }
+      );
+      tags = await find();
+    }
+
+    const byName = new Map(tags.map(tag => [tag.name.toLowerCase(), tag]));
+    return [...unique.keys()].map(key => byName.get(key));
+  }
+
+  /**
+   * Where a record is to be filed. Filing it in a folder also puts it in the
+   * folder's project, and moving it to another project takes it out of its
+   * folder.
+   * @param {string} userId - Owner of the record
+   * @param {object} placement - projectId and folderId; null to unfile,
+   *   undefined to leave as it is
+   * @param {object} current - The record's projectId and folderId
+   * @returns {Promise<object>} The projectId and folderId to change
+   * @throws {Error} With statusCode 400 for an unknown project or folder, or
+   *   a folder of another project
+   */
+  async resolvePlacement(userId, { projectId, folderId }, current = {}) {
+    const changes = {};
+
+    const folder = folderId ? await this.getFolder(folderId, userId) : null;
+    if (folderId && !folder) {
+      throw badRequest('Folder not found');
+    }
+    if (folderId !== undefined) {
+      changes.folderId = folder ? folder.id : null;
+    }
+
+    const project = projectId ? await this.getProject(projectId, userId) : null;
+    if (projectId && !project) {
+      throw badRequest('Project not found');
+    }
+    if (projectId !== undefined) {
+      changes.projectId = project ? project.id : null;
+    } else if (folder) {
+      changes.projectId = folder.projectId;
+    }
+
+    if (folder && folder.projectId !== changes.projectId) {
+      throw badRequest('The folder is in another project');
+    }
+
+    if (changes.projectId !== undefined && changes.folderId === undefined &&
+      current.folderId && changes.projectId !== (current.projectId || null)) {
+      changes.folderId = null;
+    }
+
+    return changes;
+  }
+
+  /**
+   * File a content item, template or generation and set its tags
+   * @param {object} record - ContentItem, Template or ContentGeneration
+   * @param {string} userId - Owner of the record
+   * @param {object} organization - projectId and folderId as for
+   *   resolvePlacement, and the names of all its tags
+   * @returns {Promise<object>} The record
+   * @throws {Error} With statusCode 400 for an unknown project or folder, a
+   *   folder of another project or too many tags
+   */
+  async assign(record, userId, { projectId, folderId, tags }) {
+    const changes = await this.resolvePlacement(userId, { projectId, folderId }, record);
+
+    try {
+      await sequelize.transaction(async (transaction) => {
+        if (Object.keys(changes).length > 0) {
+          await record.update(changes, { transaction });
+        }
+        if (tags !== undefined) {
+          await record.setTags(await this.resolveTags(userId, tags, transaction), { transaction });
+        }
+      });
+
+      return record;
+    } catch (error) {
+      if (error.statusCode !== 400) {
+        logger.error('Error filing record:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Filters of a list of records by project, folder and tag. A folder
+   * includes its subfolders.
+   * @param {string} userId - User ID
+   * @param {object} query - projectId, folderId and tagId
+   * @returns {Promise<object>} { projectId, folderIds, tagId }; folderIds is
+   *   empty for a folder the user does not have, which matches nothing
+   */
+  async resolveFilter(userId, { projectId, folderId, tagId } = {}) {
+    return {
+      projectId,
+      folderIds: folderId ? subtreeIds(await this.loadTree(userId), folderId) : undefined,
+      tagId
+    };
+  }
+}
+
+// Export a singleton instance
+const organizationService = new OrganizationService();
+
+module.exports = {
+  OrganizationService,
+  organizationService,
+  TAG_ATTRIBUTES,
+  MAX_FOLDER_DEPTH,
+  subtreeIds,
+  depthOf
+};
@@ -0,0 +1,114 @@
+// src/services/progressService.js
+const { EventEmitter } = require('events');
+const { queueService } = require('./queueService');
+const logger = require('../utils/logger');
+
+const EXCHANGE = 'generation-progress';
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+/**
+ * Relays generation progress events between processes. Workers publish to a
+ * broker topic exchange; each API process holds a single subscription and
+ * fans events out locally to the listeners of each generation.
+ */
+class ProgressService extends EventEmitter {
+  /**
+   * @param {object} dependencies - Broker with publish/subscribe (defaults to queueService)
+   */
+  constructor({ broker = queueService } = {}) {
+    super();
+    this.broker = broker;
+    this.subscription = null;
+    this.consumerTag = null;
+
+    // One listener per open stream, so there is no meaningful upper bound
+    this.setMaxListeners(0);
+
+    // Broker subscriptions do not survive a reconnect, so resubscribe
+    this.broker.on('connected', () => {
+      if (this.consumerTag) {
+        this.consumerTag = null;
+        this.subscription = null;
+        this.ensureSubscribed().catch(error => {
+          logger.error('Failed to resubscribe to generation progress:', error);
+        });
+      }
+    });
+  }
+
+  /**
+   * Publish a progress event for a generation. Failures are logged, not
+   * thrown, so progress reporting never fails the generation itself.
+   * @param {string} generationId - Generation ID
+   * @param {object} event - Event with a type ('status' or 'content') and its fields
+   * @returns {Promise<object>} Published event
+   */
+  async publish(generationId, event) {
+    const message = {
+      ...event,
+      generationId,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      await this.broker.publish(EXCHANGE, `generation.${generationId}`, message);
+    } catch (error) {
+      logger.warn('Failed to publish generation progress', {
+        generationId,
+        type: event.type,
+        error: error.message
+      });
+    }
+
+    return message;
+  }
+
+  /**
+   * Listen for progress events of a single generation
+   * @param {string} generationId - Generation ID
+   * @param {Function} listener - Called with each event
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribe(generationId, listener) {
+    await this.ensureSubscribed();
+
+    this.on(generationId, listener);
+
+    return () => this.removeListener(generationId, listener);
+  }
+
+  /**
+   * Subscribe to the broker once per process
+   * @returns {Promise<string>} Consumer tag
+   */
+  ensureSubscribed() {
+    if (!this.subscription) {
+      this.subscription = this.broker
+        .subscribe(EXCHANGE, 'generation.*', message => this.emit(message.generationId, message))
+        .then((consumerTag) => {
+          this.consumerTag = consumerTag;
+          return consumerTag;
+        })
+        .catch((error) => {
+          this.subscription = null;
+          throw error;
+        });
+    }
+
+    return this.subscription;
+  }
+
+  /**
+   * Whether an event ends the generation's stream
+   * @param {object} event - Progress event
+   * @returns {boolean} True for completed or failed status events
+   */
+  isTerminal(event) {
+    return event.type === 'status' && TERMINAL_STATUSES.includes(event.status);
+  }
+}
+
+// Export a singleton instance
+const progressService = new ProgressService();
+
+module.exports = { ProgressService, progressService };
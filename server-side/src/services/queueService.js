@@ -12,6 +12,7 @@ class QueueService extends EventEmitter {
     this.connected = false;
     this.connecting = false;
     this.queues = {};
+    this.exchanges = {};
     
     // Queue definitions
     this.queueDefinitions = {
@@ -84,6 +85,7 @@ class QueueService extends EventEmitter {
     this.connected = false;
     this.channel = null;
     this.connection = null;
+    this.exchanges = {};
     
     // Clear any existing reconnect timeout
     if (this.reconnectTimeout) {
@@ -265,6 +267,50 @@ class QueueService extends EventEmitter {
     return true;
   }
   
+  // Ensure a non-durable topic exchange exists for broadcast messages
+  async assertTopicExchange(exchange) {
+    if (!this.exchanges[exchange]) {
+      await this.channel.assertExchange(exchange, 'topic', { durable: false });
+      this.exchanges[exchange] = true;
+    }
+  }
+  
+  // Publish a broadcast message to a topic exchange
+  async publish(exchange, routingKey, message) {
+    await this.ensureConnection();
+    await this.assertTopicExchange(exchange);
+    
+    this.channel.publish(exchange, routingKey, Buffer.from(JSON.stringify(message)), {
+      contentType: 'application/json'
+    });
+    
+    return true;
+  }
+  
+  // Subscribe to broadcast messages matching a routing pattern
+  async subscribe(exchange, pattern, handler) {
+    await this.ensureConnection();
+    await this.assertTopicExchange(exchange);
+    
+    // Each subscriber gets its own exclusive queue that goes away with the connection
+    const { queue } = await this.channel.assertQueue('', { exclusive: true, autoDelete: true });
+    await this.channel.bindQueue(queue, exchange, pattern);
+    
+    const { consumerTag } = await this.channel.consume(queue, (msg) => {
+      if (!msg) return;
+      
+      try {
+        handler(JSON.parse(msg.content.toString()), msg.fields.routingKey);
+      } catch (error) {
+        logger.error(`Error handling message from exchange ${exchange}:`, error);
+      }
+    }, { noAck: true });
+    
+    logger.info(`Subscribed to exchange ${exchange}`, { pattern, consumerTag });
+    
+    return consumerTag;
+  }
+  
   // Remove a message from the queue (by message ID)
   async removeFromQueue(queue, messageId) {
     await this.ensureConnection();
@@ -333,6 +379,7 @@ class QueueService extends EventEmitter {
     this.connected = false;
     this.channel = null;
     this.connection = null;
+    this.exchanges = {};
     
     logger.info('Closed RabbitMQ connection');
     
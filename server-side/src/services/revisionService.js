@@ -0,0 +1,216 @@
+// src/services/revisionService.js
+const { ContentRevision, User } = require('../db/models');
+const { similarityService } = require('./similarityService');
+const { translationService } = require('./translationService');
+const { MAX_EDITS, diff } = require('../utils/diff');
+const logger = require('../utils/logger');
+
+// Fields of the revisions in a list; their content is fetched one at a time
+const LIST_ATTRIBUTES = ['id', 'contentItemId', 'number', 'title', 'wordCount', 'source', 'authorId', 'generationId', 'restoredFromId', 'createdAt'];
+
+// Two saves of the same item can pick the same next number; the loser retries
+const MAX_NUMBER_ATTEMPTS = 3;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Revision history of content items. Every save and every generation that
+ * changes an item's title or content records the new state as a numbered,
+ * immutable ContentRevision, so any two states can be compared and an old
+ * one restored. Restoring records a new revision rather than rewinding.
+ */
+class RevisionService {
+  /**
+   * @param {object} options - Options
+   * @param {number} options.maxDiffEdits - Edit distance above which a diff
+   *   stops aligning the texts, see utils/diff
+   */
+  constructor({ maxDiffEdits = MAX_EDITS } = {}) {
+    this.maxDiffEdits = maxDiffEdits;
+  }
+
+  /**
+   * Most recent revision of an item
+   * @param {string} contentItemId - Content item ID
+   * @returns {Promise<object|null>} ContentRevision
+   */
+  async latest(contentItemId) {
+    try {
+      return await ContentRevision.findOne({
+        where: { contentItemId },
+        order: [['number', 'DESC']]
+      });
+    } catch (error) {
+      logger.error('Error getting latest content revision:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the current title and content of an item, unless they are those
+   * of its latest revision already
+   * @param {object} contentItem - ContentItem, after its update
+   * @param {object} details - Where the change came from
+   * @param {string} details.source - 'manual', 'generation', 'inline_edit' or 'restore'
+   * @param {string} details.authorId - User who made the change
+   * @param {string} details.generationId - Generation that made the change
+   * @param {string} details.restoredFromId - Revision restored
+   * @returns {Promise<object|null>} ContentRevision, or null if nothing changed
+   */
+  async record(contentItem, { source, authorId = null, generationId = null, restoredFromId = null }) {
+    const content = contentItem.content || '';
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const latest = await this.latest(contentItem.id);
+
+        if (latest && latest.title === contentItem.title && latest.content === content) {
+          return null;
+        }
+
+        try {
+          return await ContentRevision.create({
+            contentItemId: contentItem.id,
+            number: latest ? latest.number + 1 : 1,
+            title: contentItem.title,
+            content,
+            wordCount: contentItem.wordCount || 0,
+            source,
+            authorId,
+            generationId,
+            restoredFromId
+          });
+        } catch (error) {
+          if (error.name !== 'SequelizeUniqueConstraintError' || attempt >= MAX_NUMBER_ATTEMPTS) {
+            throw error;
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('Error recording content revision:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revisions of an item, newest first, without their content
+   * @param {string} contentItemId - Content item ID
+   * @param {object} options - Pagination
+   * @param {number} options.page - Page, from 1
+   * @param {number} options.limit - Revisions per page
+   * @returns {Promise<object>} { count, rows }
+   */
+  async list(contentItemId, { page = 1, limit = 20 } = {}) {
+    try {
+      return await ContentRevision.findAndCountAll({
+        where: { contentItemId },
+        attributes: LIST_ATTRIBUTES,
+        include: [{ model: User, as: 'author', attributes: ['id', 'firstName', 'lastName'] }],
+        order: [['number', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+    } catch (error) {
+      logger.error('Error listing content revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * One revision of an item, with its content
+   * @param {string} contentItemId - Content item ID
+   * @param {string} revisionId - Revision ID
+   * @returns {Promise<object|null>} ContentRevision, or null if the item has no such revision
+   */
+  async get(contentItemId, revisionId) {
+    try {
+      return await ContentRevision.findOne({
+        where: { id: revisionId, contentItemId },
+        include: [{ model: User, as: 'author', attributes: ['id', 'firstName', 'lastName'] }]
+      });
+    } catch (error) {
+      logger.error('Error getting content revision:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Differences between two revisions
+   * @param {object} from - Older ContentRevision
+   * @param {object} to - Newer ContentRevision
+   * @param {string} granularity - 'line' or 'word'
+   * @returns {object} The two revisions without content, the title before and
+   *   after if it changed, and the changes, insertions and deletions of utils/diff
+   */
+  compare(from, to, granularity = 'line') {
+    const summary = revision => LIST_ATTRIBUTES.reduce(
+      (fields, name) => ({ ...fields, [name]: revision[name] }),
+      {}
+    );
+
+    return {
+      from: summary(from),
+      to: summary(to),
+      granularity,
+      title: from.title === to.title ? null : { from: from.title, to: to.title },
+      ...diff(from.content, to.content, { granularity, maxEdits: this.maxDiffEdits })
+    };
+  }
+
+  /**
+   * Put the title and content of an old revision back on its item, as a new
+   * revision
+   * @param {object} contentItem - ContentItem
+   * @param {object} revision - ContentRevision of the item to restore
+   * @param {string} userId - User restoring it
+   * @returns {Promise<object>} The new ContentRevision
+   * @throws {Error} With statusCode 400 if the item already has that content
+   */
+  async restore(contentItem, revision, userId) {
+    if (contentItem.title === revision.title && (contentItem.content || '') === revision.content) {
+      throw badRequest(`The content is already that of revision ${revision.number}`);
+    }
+
+    try {
+      await contentItem.update({
+        title: revision.title,
+        content: revision.content,
+        wordCount: revision.wordCount,
+        fingerprint: similarityService.fingerprint(revision.content),
+        metadata: {
+          ...contentItem.metadata,
+          lastEditedAt: new Date().toISOString(),
+          lastEditedBy: userId
+        }
+      });
+
+      await translationService.markStale(contentItem.id);
+
+      const restored = await this.record(contentItem, {
+        source: 'restore',
+        authorId: userId,
+        restoredFromId: revision.id
+      });
+
+      logger.info('Content revision restored', {
+        contentItemId: contentItem.id,
+        restoredFrom: revision.number,
+        revision: restored && restored.number
+      });
+
+      return restored;
+    } catch (error) {
+      logger.error('Error restoring content revision:', error);
+      throw error;
+    }
+  }
+}
+
+// Export a singleton instance
+const revisionService = new RevisionService();
+
+module.exports = { RevisionService, revisionService };
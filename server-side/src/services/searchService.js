@@ -0,0 +1,397 @@
+// src/services/searchService.js
+const { sequelize, ContentItem, ContentGeneration, Template, Project, Tag } = require('../db/models');
+const { TAG_ATTRIBUTES } = require('./organizationService');
+const logger = require('../utils/logger');
+
+// Text search configuration the searchVector columns are generated with
+const SEARCH_CONFIG = 'english';
+
+// Put around the matched words of a snippet by ts_headline. Private use
+// characters do not occur in content, and the snippet is returned as parts
+// rather than HTML, so it is safe to render.
+const MARK_START = '\uE000';
+const MARK_END = '\uE001';
+
+const SNIPPET_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_END}, MinWords=15, MaxWords=35, MaxFragments=2, FragmentDelimiter=" … "`;
+const TITLE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_END}, HighlightAll=true`;
+
+// Columns the results can be sorted by. Relevance needs a search query.
+const SORT_COLUMNS = {
+  relevance: 'rank',
+  updatedAt: 'ci."updatedAt"',
+  createdAt: 'ci."createdAt"',
+  publishedAt: 'ci."publishedAt"',
+  title: 'lower(ci.title)',
+  wordCount: 'ci."wordCount"'
+};
+
+const SORTS = Object.keys(SORT_COLUMNS);
+
+// Dates the date range can apply to
+const DATE_FIELDS = ['updatedAt', 'createdAt', 'publishedAt'];
+
+// Fields of the translations listed with their source item
+const TRANSLATION_ATTRIBUTES = ['id', 'title', 'locale', 'status', 'wordCount', 'translationStale', 'updatedAt'];
+
+/**
+ * Split a ts_headline result into its matched and unmatched parts
+ * @param {string} headline - Text with MARK_START and MARK_END around matches
+ * @returns {Array<object>} Parts as { text, match }
+ */
+const parseHighlight = (headline) => {
+  const parts = [];
+
+  (headline || '').split(MARK_START).forEach((segment, index) => {
+    if (index === 0) {
+      parts.push({ text: segment, match: false });
+      return;
+    }
+
+    const end = segment.indexOf(MARK_END);
+    parts.push({ text: end < 0 ? segment : segment.slice(0, end), match: true });
+    if (end >= 0) {
+      parts.push({ text: segment.slice(end + 1), match: false });
+    }
+  });
+
+  return parts.filter(part => part.text.length > 0);
+};
+
+/**
+ * Full-text search of content items and generations, ranked by Postgres.
+ * The searchVector columns are generated by the database (migration 027);
+ * queries use websearch syntax, so quoted phrases, OR and -word work.
+ * Matching ids are found with SQL and the records then loaded with their
+ * associations, in the same order.
+ */
+class SearchService {
+  /**
+   * WHERE conditions and replacements of a content search
+   * @param {string} userId - Owner of the items
+   * @param {object} filters - Filters, as for searchContent
+   * @returns {object} { conditions, replacements }
+   */
+  buildContentFilter(userId, {
+    search,
+    status,
+    contentType,
+    locale,
+    templateId,
+    integrationId,
+    dateField = 'updatedAt',
+    from,
+    to,
+    minWords,
+    maxWords,
+    projectId,
+    folderIds,
+    tagId
+  } = {}) {
+    const conditions = ['ci."userId" = :userId'];
+    const replacements = { userId };
+
+    if (search) {
+      conditions.push('ci."searchVector" @@ query');
+      replacements.search = search;
+    }
+    if (status) {
+      conditions.push('ci.status = :status');
+      replacements.status = status;
+    }
+    if (contentType) {
+      conditions.push('ci."contentType" = :contentType');
+      replacements.contentType = contentType;
+    }
+    // Translations are listed under their source item, unless the items of
+    // one locale are asked for
+    if (locale) {
+      conditions.push('ci.locale = :locale');
+      replacements.locale = locale;
+    } else {
+      conditions.push('ci."sourceItemId" IS NULL');
+    }
+    if (templateId) {
+      conditions.push('ci."templateId" = :templateId');
+      replacements.templateId = templateId;
+    }
+    // Items are linked to the integration they were last published or scheduled to
+    if (integrationId) {
+      conditions.push(`ci.metadata->>'integrationId' = :integrationId`);
+      replacements.integrationId = integrationId;
+    }
+
+    const dateColumn = `ci."${DATE_FIELDS.includes(dateField) ? dateField : 'updatedAt'}"`;
+    if (from) {
+      conditions.push(`${dateColumn} >= :from`);
+      replacements.from = new Date(from);
+    }
+    if (to) {
+      conditions.push(`${dateColumn} <= :to`);
+      replacements.to = new Date(to);
+    }
+    if (minWords !== undefined && minWords !== null) {
+      conditions.push('ci."wordCount" >= :minWords');
+      replacements.minWords = parseInt(minWords);
+    }
+    if (maxWords !== undefined && maxWords !== null) {
+      conditions.push('ci."wordCount" <= :maxWords');
+      replacements.maxWords = parseInt(maxWords);
+    }
+    if (projectId) {
+      conditions.push('ci."projectId" = :projectId');
+      replacements.projectId = projectId;
+    }
+    // An empty list is a folder the user does not have, and matches nothing
+    if (folderIds) {
+      conditions.push(folderIds.length > 0 ? 'ci."folderId" IN (:folderIds)' : 'FALSE');
+      replacements.folderIds = folderIds;
+    }
+    if (tagId) {
+      conditions.push('EXISTS (SELECT 1 FROM "ContentItemTags" cit WHERE cit."contentItemId" = ci.id AND cit."tagId" = :tagId)');
+      replacements.tagId = tagId;
+    }
+
+    return { conditions, replacements };
+  }
+
+  /**
+   * Search and filter the content items of a user
+   * @param {string} userId - Owner of the items
+   * @param {object} filters - Filters
+   * @param {string} filters.search - Search query, in websearch syntax
+   * @param {string} filters.status - Status
+   * @param {string} filters.contentType - Content type
+   * @param {string} filters.locale - Canonical locale; translations are only
+   *   listed on their own with one
+   * @param {string} filters.templateId - Template the items were created from
+   * @param {string} filters.integrationId - Integration the items were published to
+   * @param {string} filters.dateField - 'updatedAt', 'createdAt' or 'publishedAt'
+   * @param {string} filters.from - Start of the date range
+   * @param {string} filters.to - End of the date range
+   * @param {number} filters.minWords - Least words
+   * @param {number} filters.maxWords - Most words
+   * @param {string} filters.projectId - Project the items are in
+   * @param {Array<string>} filters.folderIds - Folders the items are in, see
+   *   organizationService.resolveFilter
+   * @param {string} filters.tagId - Tag the items have
+   * @param {object} options - Sorting and pagination
+   * @param {string} options.sort - One of SORTS; relevance by default when searching,
+   *   otherwise the last update
+   * @param {string} options.order - 'asc' or 'desc'
+   * @param {number} options.page - Page, from 1
+   * @param {number} options.limit - Items per page
+   * @returns {Promise<object>} { count, rows }: ContentItems with their
+   *   template, project, tags and translations, and with a search field of { rank, title,
+   *   snippet } when searching, title and snippet as highlight parts
+   */
+  async searchContent(userId, filters = {}, { sort, order = 'desc', page = 1, limit = 10 } = {}) {
+    const { search } = filters;
+    const { conditions, replacements } = this.buildContentFilter(userId, filters);
+    const sortBy = SORT_COLUMNS[sort] && (sort !== 'relevance' || search) ? sort : (search ? 'relevance' : 'updatedAt');
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    // Items never published sort last either way
+    const nulls = sortBy === 'publishedAt' ? ' NULLS LAST' : '';
+
+    const from = search
+      ? `"ContentItems" ci, websearch_to_tsquery('${SEARCH_CONFIG}', :search) query`
+      : '"ContentItems" ci';
+    const where = conditions.join(' AND ');
+
+    try {
+      const [{ count }] = await sequelize.query(
+        `SELECT COUNT(*)::int AS count FROM ${from} WHERE ${where}`,
+        { replacements, type: sequelize.QueryTypes.SELECT }
+      );
+
+      if (count === 0) {
+        return { count, rows: [] };
+      }
+
+      // Snippets are made for the page of matches only, as ts_headline reads
+      // the whole content
+      const matches = await sequelize.query(search ? `
+        SELECT page.id, page.rank,
+          ts_headline('${SEARCH_CONFIG}', page.title, query, :titleOptions) AS title,
+          ts_headline('${SEARCH_CONFIG}', page.content, query, :snippetOptions) AS snippet
+        FROM (
+          SELECT ci.id, ci.title, ci.content, ts_rank(ci."searchVector", query, 1) AS rank
+          FROM ${from}
+          WHERE ${where}
+          ORDER BY ${SORT_COLUMNS[sortBy]} ${direction}${nulls}, ci.id
+          LIMIT :limit OFFSET :offset
+        ) page, websearch_to_tsquery('${SEARCH_CONFIG}', :search) query
+      ` : `
+        SELECT ci.id
+        FROM ${from}
+        WHERE ${where}
+        ORDER BY ${SORT_COLUMNS[sortBy]} ${direction}${nulls}, ci.id
+        LIMIT :limit OFFSET :offset
+      `, {
+        replacements: {
+          ...replacements,
+          limit,
+          offset: (page - 1) * limit,
+          titleOptions: TITLE_OPTIONS,
+          snippetOptions: SNIPPET_OPTIONS
+        },
+        type: sequelize.QueryTypes.SELECT
+      });
+
+      const contentItems = await ContentItem.findAll({
+        where: { id: matches.map(match => match.id) },
+        attributes: { exclude: ['fingerprint'] },
+        include: [
+          {
+            model: Template,
+            as: 'template',
+            attributes: ['id', 'name']
+          },
+          {
+            model: Project,
+            as: 'project',
+            attributes: ['id', 'name', 'color']
+          },
+          {
+            model: Tag,
+            as: 'tags',
+            attributes: TAG_ATTRIBUTES,
+            through: { attributes: [] }
+          },
+          {
+            model: ContentItem,
+            as: 'translations',
+            attributes: TRANSLATION_ATTRIBUTES,
+            separate: true,
+            order: [['locale', 'ASC']]
+          }
+        ]
+      });
+      const byId = new Map(contentItems.map(contentItem => [contentItem.id, contentItem]));
+
+      // Items deleted between the two queries are left out
+      const rows = matches.filter(match => byId.has(match.id)).map((match) => {
+        const contentItem = byId.get(match.id).toJSON();
+
+        return search
+          ? {
+            ...contentItem,
+            search: {
+              rank: match.rank,
+              title: parseHighlight(match.title),
+              snippet: parseHighlight(match.snippet)
+            }
+          }
+          : contentItem;
+      });
+
+      return { count, rows };
+    } catch (error) {
+      logger.error('Error searching content items:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search the generations of a user by their prompt data and output,
+   * best matches first
+   * @param {string} userId - Owner of the generations
+   * @param {object} filters - Filters
+   * @param {string} filters.search - Search query, in websearch syntax
+   * @param {string} filters.status - Status
+   * @param {string} filters.projectId - Project the generations are in
+   * @param {Array<string>} filters.folderIds - Folders the generations are in
+   * @param {string} filters.tagId - Tag the generations have
+   * @param {object} options - Pagination
+   * @param {number} options.page - Page, from 1
+   * @param {number} options.limit - Generations per page
+   * @returns {Promise<object>} { count, rows }: ContentGenerations with their
+   *   content item and a rank
+   */
+  async searchGenerations(userId, { search, status, projectId, folderIds, tagId } = {}, { page = 1, limit = 10 } = {}) {
+    const conditions = ['cg."userId" = :userId', 'cg."searchVector" @@ query'];
+    const replacements = { userId, search };
+
+    if (status) {
+      conditions.push('cg.status = :status');
+      replacements.status = status;
+    }
+    if (projectId) {
+      conditions.push('cg."projectId" = :projectId');
+      replacements.projectId = projectId;
+    }
+    if (folderIds) {
+      conditions.push(folderIds.length > 0 ? 'cg."folderId" IN (:folderIds)' : 'FALSE');
+      replacements.folderIds = folderIds;
+    }
+    if (tagId) {
+      conditions.push('EXISTS (SELECT 1 FROM "ContentGenerationTags" cgt WHERE cgt."generationId" = cg.id AND cgt."tagId" = :tagId)');
+      replacements.tagId = tagId;
+    }
+
+    const from = `"ContentGenerations" cg, websearch_to_tsquery('${SEARCH_CONFIG}', :search) query`;
+    const where = conditions.join(' AND ');
+
+    try {
+      const [{ count }] = await sequelize.query(
+        `SELECT COUNT(*)::int AS count FROM ${from} WHERE ${where}`,
+        { replacements, type: sequelize.QueryTypes.SELECT }
+      );
+
+      if (count === 0) {
+        return { count, rows: [] };
+      }
+
+      const matches = await sequelize.query(`
+        SELECT cg.id, ts_rank(cg."searchVector", query, 1) AS rank
+        FROM ${from}
+        WHERE ${where}
+        ORDER BY rank DESC, cg."createdAt" DESC
+        LIMIT :limit OFFSET :offset
+      `, {
+        replacements: { ...replacements, limit, offset: (page - 1) * limit },
+        type: sequelize.QueryTypes.SELECT
+      });
+
+      const generations = await ContentGeneration.findAll({
+        where: { id: matches.map(match => match.id) },
+        include: [
+          {
+            model: ContentItem,
+            as: 'contentItem',
+            attributes: ['id', 'title', 'status', 'contentType']
+          },
+          {
+            model: Tag,
+            as: 'tags',
+            attributes: TAG_ATTRIBUTES,
+            through: { attributes: [] }
+          }
+        ]
+      });
+      const byId = new Map(generations.map(generation => [generation.id, generation]));
+
+      const rows = matches.filter(match => byId.has(match.id)).map(match => ({
+        ...byId.get(match.id).toJSON(),
+        search: { rank: match.rank }
+      }));
+
+      return { count, rows };
+    } catch (error) {
+      logger.error('Error searching generations:', error);
+      throw error;
+    }
+  }
+}
+
+// Export a singleton instance
+const searchService = new SearchService();
+
+module.exports = {
+  SearchService,
+  searchService,
+  SORTS,
+  DATE_FIELDS,
+  MARK_START,
+  MARK_END,
+  parseHighlight
+};
@@ -0,0 +1,254 @@
+// src/services/seoService.js
+const config = require('../config/ai');
+
+// Longest headline Google shows for an Article
+const ARTICLE_HEADLINE_LENGTH = 110;
+
+// schema.org and Open Graph types per content type. Social posts and emails
+// are not published as pages, so they get no structured data.
+const SCHEMA_TYPES = {
+  blog: 'Article',
+  custom: 'Article',
+  product: 'Product'
+};
+const OG_TYPES = {
+  blog: 'article',
+  custom: 'article',
+  product: 'product'
+};
+
+/**
+ * SEO metadata of content items: reads the fields the model generated, keeps
+ * them within the character limits of search results and derives Open Graph
+ * fields and schema.org JSON-LD. The AI call itself is made by the generation
+ * worker; the result is stored in ContentItem.metadata.seo.
+ */
+class SeoService {
+  /**
+   * @param {object} limits - Character limits, as in config.seo
+   */
+  constructor(limits = config.seo) {
+    this.limits = limits;
+  }
+
+  /**
+   * Parse the JSON object the model returns, tolerating a code fence or text
+   * around it
+   * @param {string} text - Response of the model
+   * @returns {object} Generated fields
+   */
+  parseResponse(text) {
+    const start = (text || '').indexOf('{');
+    const end = (text || '').lastIndexOf('}');
+
+    if (start !== -1 && end > start) {
+      try {
+        const fields = JSON.parse(text.slice(start, end + 1));
+
+        if (fields && typeof fields === 'object' && !Array.isArray(fields)) {
+          return fields;
+        }
+      } catch (error) {
+        // Reported below
+      }
+    }
+
+    throw new Error('The generated SEO metadata is not a valid JSON object');
+  }
+
+  /**
+   * Build the SEO metadata of a content item from the generated fields. Fields
+   * that are missing or empty fall back to the item's title and content.
+   * @param {object} fields - Fields from parseResponse
+   * @param {object} contentItem - Content item
+   * @param {object} options - keywords of the generation
+   * @returns {object} SEO metadata
+   */
+  buildMetadata(fields, contentItem, { keywords = [] } = {}) {
+    const text = value => (typeof value === 'string' ? this.plainText(value) : '');
+    const excerpt = this.truncate(text(fields.excerpt) || this.extractExcerpt(contentItem.content), this.limits.excerptLength);
+    const metaTitle = this.truncate(text(fields.metaTitle) || contentItem.title, this.limits.metaTitleLength);
+    const metaDescription = this.truncate(text(fields.metaDescription) || excerpt, this.limits.metaDescriptionLength);
+
+    const seo = {
+      metaTitle,
+      metaDescription,
+      slug: this.slugify(text(fields.slug) || contentItem.title),
+      excerpt,
+      focusKeyword: text(fields.focusKeyword) || keywords[0] || null,
+      keywords,
+      openGraph: {
+        type: OG_TYPES[contentItem.contentType] || 'website',
+        title: this.truncate(text(fields.ogTitle) || metaTitle, this.limits.metaTitleLength),
+        description: this.truncate(text(fields.ogDescription) || metaDescription, this.limits.metaDescriptionLength)
+      },
+      generatedAt: new Date().toISOString()
+    };
+
+    seo.jsonLd = this.buildJsonLd(contentItem, seo);
+
+    return seo;
+  }
+
+  /**
+   * schema.org structured data for a content item: an Article or a Product
+   * depending on its content type, and a FAQPage if it has question headings
+   * @param {object} contentItem - Content item
+   * @param {object} seo - SEO metadata
+   * @returns {Array} JSON-LD objects
+   */
+  buildJsonLd(contentItem, seo) {
+    const type = SCHEMA_TYPES[contentItem.contentType];
+
+    if (!type) {
+      return [];
+    }
+
+    const jsonLd = [];
+
+    if (type === 'Product') {
+      jsonLd.push({
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: contentItem.title,
+        description: seo.metaDescription
+      });
+    } else {
+      jsonLd.push({
+        '@context': 'https://schema.org',
+        '@type': 'Article',
+        headline: this.truncate(contentItem.title, ARTICLE_HEADLINE_LENGTH),
+        description: seo.metaDescription,
+        ...(seo.keywords.length > 0 && { keywords: seo.keywords.join(', ') }),
+        ...(contentItem.wordCount && { wordCount: contentItem.wordCount }),
+        ...(contentItem.publishedAt && { datePublished: new Date(contentItem.publishedAt).toISOString() }),
+        ...(contentItem.updatedAt && { dateModified: new Date(contentItem.updatedAt).toISOString() })
+      });
+    }
+
+    const faq = this.extractFaq(contentItem.content);
+
+    if (faq.length > 0) {
+      jsonLd.push({
+        '@context': 'https://schema.org',
+        '@type': 'FAQPage',
+        mainEntity: faq.map(item => ({
+          '@type': 'Question',
+          name: item.question,
+          acceptedAnswer: {
+            '@type': 'Answer',
+            text: item.answer
+          }
+        }))
+      });
+    }
+
+    return jsonLd;
+  }
+
+  /**
+   * Questions and answers of a Markdown document: headings ending with a
+   * question mark and the text up to the next heading
+   * @param {string} content - Markdown content
+   * @returns {Array} Questions and answers
+   */
+  extractFaq(content) {
+    const faq = [];
+    let current = null;
+
+    for (const line of (content || '').split('\n')) {
+      const heading = line.trim().match(/^#{2,6}\s+(.+)$/);
+
+      if (heading) {
+        current = heading[1].trim().endsWith('?') ? { question: heading[1].trim(), answer: [] } : null;
+
+        if (current) {
+          faq.push(current);
+        }
+      } else if (current && line.trim()) {
+        current.answer.push(line.trim());
+      }
+    }
+
+    return faq
+      .map(item => ({ question: this.plainText(item.question), answer: this.plainText(item.answer.join(' ')) }))
+      .filter(item => item.answer);
+  }
+
+  /**
+   * The first paragraph of a Markdown document, as plain text
+   * @param {string} content - Markdown content
+   * @returns {string} Excerpt
+   */
+  extractExcerpt(content) {
+    const paragraph = (content || '')
+      .split(/\n\s*\n/)
+      .map(block => block.trim())
+      .find(block => block && !/^(#|[-*+]\s|\d+[.)]\s|>|```|!\[)/.test(block));
+
+    return paragraph ? this.plainText(paragraph) : '';
+  }
+
+  /**
+   * Strip Markdown and HTML formatting from a text
+   * @param {string} text - Text
+   * @returns {string} Plain text on one line
+   */
+  plainText(text) {
+    return (text || '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^#+\s+/gm, '')
+      .replace(/(\*\*|__|\*|_|`)/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Shorten a text to a character limit at a word boundary
+   * @param {string} text - Text
+   * @param {number} length - Character limit
+   * @returns {string} Text of at most length characters
+   */
+  truncate(text, length) {
+    const value = (text || '').trim();
+
+    if (value.length <= length) {
+      return value;
+    }
+
+    // Cut at the last space within the limit, which leaves room for the ellipsis
+    const cut = value.slice(0, length);
+    const boundary = cut.lastIndexOf(' ');
+
+    return `${cut.slice(0, boundary > 0 ? boundary : length - 1).replace(/[\s.,;:!?-]+$/, '')}…`;
+  }
+
+  /**
+   * URL slug of lowercase ASCII words separated by hyphens
+   * @param {string} text - Title or generated slug
+   * @returns {string} Slug
+   */
+  slugify(text) {
+    const slug = (text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+
+    if (slug.length <= this.limits.slugLength) {
+      return slug;
+    }
+
+    const cut = slug.slice(0, this.limits.slugLength + 1);
+
+    return cut.slice(0, cut.lastIndexOf('-') > 0 ? cut.lastIndexOf('-') : this.limits.slugLength);
+  }
+}
+
+// Export a singleton instance
+const seoService = new SeoService();
+
+module.exports = { SeoService, seoService };
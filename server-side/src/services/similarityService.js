@@ -0,0 +1,142 @@
+// src/services/similarityService.js
+const { Op } = require('sequelize');
+const { ContentItem } = require('../db/models');
+const { signature, similarity, sharedPassages } = require('../utils/minhash');
+const config = require('../config/ai');
+const logger = require('../utils/logger');
+
+// Items without a fingerprint, generated before fingerprints were stored,
+// fingerprinted per comparison. The rest are done by later comparisons.
+const BACKFILL_LIMIT = 100;
+
+// Characters of a shared passage kept in the report
+const PASSAGE_LENGTH = 300;
+
+const round = value => Math.round(value * 100) / 100;
+
+const truncate = text => (text.length > PASSAGE_LENGTH ? `${text.slice(0, PASSAGE_LENGTH)}…` : text);
+
+/**
+ * Near-duplicate detection across a user's content library. Items are
+ * fingerprinted with a MinHash signature of their word shingles, stored in
+ * ContentItem.fingerprint; a new item's signature is compared with every other
+ * item of its owner, and the passages it shares with the closest ones are
+ * found by comparing the texts themselves. The report is stored in
+ * ContentItem.metadata.similarity.
+ */
+class SimilarityService {
+  /**
+   * @param {object} options - Shingle size, threshold and report limits, as in config.similarity
+   */
+  constructor(options = config.similarity) {
+    this.options = options;
+  }
+
+  /**
+   * MinHash signature of a text
+   * @param {string} text - Content
+   * @returns {Array<number>|null} Signature, or null for text without words
+   */
+  fingerprint(text) {
+    return signature(text, this.options.shingleSize);
+  }
+
+  /**
+   * Compare content with the rest of its owner's library. Archived items are
+   * left out.
+   * @param {object} contentItem - ContentItem the content belongs to
+   * @param {string} text - Its content
+   * @param {Array<number>|null} fingerprint - Signature of the content, if already computed
+   * @returns {Promise<object>} Report with score (of the closest item), threshold,
+   *   flagged, matches ({ contentItemId, title, score, passages }) and checkedAt
+   */
+  async compare(contentItem, text, fingerprint = this.fingerprint(text)) {
+    const { threshold, maxMatches, maxPassages } = this.options;
+
+    try {
+      const library = fingerprint ? await ContentItem.findAll({
+        where: {
+          userId: contentItem.userId,
+          id: { [Op.ne]: contentItem.id },
+          status: { [Op.ne]: 'archived' },
+          content: { [Op.ne]: null }
+        },
+        attributes: ['id', 'title', 'fingerprint']
+      }) : [];
+
+      await this.backfill(library.filter(item => !item.fingerprint));
+
+      const scored = library
+        .map(item => ({ item, score: similarity(fingerprint, item.fingerprint) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score);
+      const similar = scored.filter(({ score }) => score >= threshold).slice(0, maxMatches);
+
+      // Only the closest items are loaded in full, to find the passages they share
+      const contents = similar.length > 0 ? await ContentItem.findAll({
+        where: { id: similar.map(({ item }) => item.id) },
+        attributes: ['id', 'content']
+      }) : [];
+
+      const matches = similar.map(({ item, score }) => {
+        const match = contents.find(other => other.id === item.id);
+        const passages = match ? sharedPassages(text, match.content, this.options.shingleSize) : [];
+
+        return {
+          contentItemId: item.id,
+          title: item.title,
+          score: round(score),
+          passages: passages.slice(0, maxPassages).map(passage => ({
+            text: truncate(passage.text),
+            words: passage.words
+          }))
+        };
+      });
+
+      const score = scored.length > 0 ? round(scored[0].score) : 0;
+
+      return {
+        score,
+        threshold,
+        flagged: score >= threshold,
+        matches,
+        checkedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Error comparing content with the library:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fingerprint library items stored without one, up to BACKFILL_LIMIT. The
+   * instances passed in get their fingerprint set.
+   * @param {Array<object>} items - ContentItems without a fingerprint
+   * @returns {Promise<void>}
+   */
+  async backfill(items) {
+    const pending = items.slice(0, BACKFILL_LIMIT);
+
+    if (pending.length === 0) {
+      return;
+    }
+
+    const contents = await ContentItem.findAll({
+      where: { id: pending.map(item => item.id) },
+      attributes: ['id', 'content']
+    });
+
+    for (const item of pending) {
+      const stored = contents.find(other => other.id === item.id);
+      // Text without words gets an empty signature, so it is not fingerprinted again
+      item.fingerprint = (stored && this.fingerprint(stored.content)) || [];
+
+      await ContentItem.update({ fingerprint: item.fingerprint }, { where: { id: item.id } });
+    }
+  }
+}
+
+// Export a singleton instance
+const similarityService = new SimilarityService();
+
+module.exports = { SimilarityService, similarityService };
@@ -0,0 +1,376 @@
+// src/services/structuredOutputService.js
+const config = require('../config/ai');
+
+const FIELD_TYPES = ['string', 'text', 'list', 'table', 'number', 'boolean'];
+const FIELD_NAME_PATTERN = /^\w+$/;
+
+// How a field appears in the rendered content: as its title, as a section
+// under its label, as part of the body without a heading, as a labelled line,
+// or not at all (stored only, like meta descriptions and subject lines)
+const DISPLAYS = ['title', 'section', 'body', 'field', 'hidden'];
+
+const DEFAULT_DISPLAYS = {
+  string: 'field',
+  text: 'section',
+  list: 'section',
+  table: 'section',
+  number: 'field',
+  boolean: 'field'
+};
+
+// Output schemas templates can name instead of declaring their fields
+const PRESETS = {
+  product: [
+    { name: 'title', type: 'string', display: 'title', maxLength: 120, description: 'Product name, used as the page heading' },
+    { name: 'shortDescription', label: 'Description', type: 'text', display: 'body', description: 'Two or three sentences on what the product is and who it is for' },
+    { name: 'features', label: 'Key Features', type: 'list', minItems: 3, maxItems: 8, description: 'Benefit-led features, one sentence each' },
+    { name: 'specs', label: 'Specifications', type: 'table', columns: ['name', 'value'], required: false, description: 'Technical specifications' },
+    { name: 'metaDescription', label: 'Meta description', type: 'string', display: 'hidden', maxLength: 160, description: 'Summary for search results' }
+  ],
+  email: [
+    { name: 'subjectLines', label: 'Subject lines', type: 'list', display: 'hidden', minItems: 3, maxItems: 5, description: 'Alternative subject lines of at most 60 characters' },
+    { name: 'preheader', label: 'Preheader', type: 'string', display: 'hidden', maxLength: 120, description: 'Preview text shown after the subject line' },
+    { name: 'body', label: 'Body', type: 'text', display: 'body', description: 'The email in Markdown, from the greeting to the sign-off' },
+    { name: 'cta', label: 'Call to action', type: 'string', display: 'body', maxLength: 60, description: 'Text of the call-to-action button' }
+  ]
+};
+
+// Validation error in the express-validator shape the API already returns
+const fieldError = (path, msg, value) => ({ type: 'field', value, msg, path, location: 'body' });
+
+const labelOf = field => field.label || field.name;
+
+const isEmpty = value => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+// Lists sometimes come back as one string of lines or bullets
+const splitLines = text => text.split('\n').map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim()).filter(Boolean);
+
+const escapeCell = value => String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+/**
+ * Structured output of templates that declare an output schema. The model is
+ * asked for a JSON object with the schema's fields instead of free text; the
+ * object is checked against the schema (with small type repairs, such as a
+ * list sent as lines of text), and rendered to the Markdown stored as the
+ * item's content. The fields themselves are kept in metadata.structured.
+ */
+class StructuredOutputService {
+  /**
+   * @param {object} options - Attempts before giving up, as in config.structuredOutput
+   */
+  constructor(options = config.structuredOutput) {
+    this.options = options;
+  }
+
+  /**
+   * Names of the preset schemas
+   * @returns {Array<string>} Preset names
+   */
+  get presets() {
+    return Object.keys(PRESETS);
+  }
+
+  /**
+   * Field declarations of a template's output schema
+   * @param {string|Array|null} outputSchema - Preset name or field declarations
+   * @returns {Array<object>|null} Fields, or null when the template has no schema
+   */
+  resolveSchema(outputSchema) {
+    if (typeof outputSchema === 'string') {
+      return PRESETS[outputSchema] || null;
+    }
+
+    return Array.isArray(outputSchema) && outputSchema.length > 0 ? outputSchema : null;
+  }
+
+  /**
+   * Check a template's output schema
+   * @param {string|Array|null} outputSchema - Preset name or field declarations:
+   *   name, type, label, description, required (default true), display,
+   *   maxLength (strings), minItems/maxItems (lists and tables), columns (tables)
+   * @returns {Array} Validation errors
+   */
+  validateSchema(outputSchema) {
+    if (outputSchema === null || outputSchema === undefined) {
+      return [];
+    }
+
+    if (typeof outputSchema === 'string') {
+      return PRESETS[outputSchema]
+        ? []
+        : [fieldError('outputSchema', `Output schema must be one of: ${this.presets.join(', ')}, or a list of fields`, outputSchema)];
+    }
+
+    if (!Array.isArray(outputSchema)) {
+      return [fieldError('outputSchema', 'Output schema must be a preset name or a list of fields', outputSchema)];
+    }
+
+    const errors = [];
+    const seen = new Set();
+
+    outputSchema.forEach((field, index) => {
+      const path = `outputSchema[${index}]`;
+
+      if (!field || !FIELD_NAME_PATTERN.test(field.name)) {
+        errors.push(fieldError(`${path}.name`, 'Field name must be a word', field && field.name));
+        return;
+      }
+
+      if (seen.has(field.name)) {
+        errors.push(fieldError(`${path}.name`, `Field ${field.name} is declared twice`, field.name));
+      }
+      seen.add(field.name);
+
+      if (!FIELD_TYPES.includes(field.type)) {
+        errors.push(fieldError(`${path}.type`, `Field type must be one of: ${FIELD_TYPES.join(', ')}`, field.type));
+      }
+
+      if (field.display !== undefined && !DISPLAYS.includes(field.display)) {
+        errors.push(fieldError(`${path}.display`, `Field display must be one of: ${DISPLAYS.join(', ')}`, field.display));
+      }
+
+      if (field.type === 'table' && field.columns !== undefined
+        && (!Array.isArray(field.columns) || field.columns.length === 0 || !field.columns.every(column => FIELD_NAME_PATTERN.test(column)))) {
+        errors.push(fieldError(`${path}.columns`, 'Table columns must be a list of words', field.columns));
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Instructions appended to the prompt, describing the JSON object to reply with
+   * @param {Array<object>} fields - Resolved schema
+   * @returns {string} Instructions
+   */
+  buildInstructions(fields) {
+    const lines = fields.map((field) => {
+      let line = `- "${field.name}" (${this.describeType(field)}${field.required === false ? ', optional' : ''})`;
+
+      if (field.description) {
+        line += `: ${field.description}`;
+      }
+      if (field.maxLength) {
+        line += `, at most ${field.maxLength} characters`;
+      }
+      if (field.minItems || field.maxItems) {
+        line += `, ${field.minItems || 1} to ${field.maxItems || 'any number of'} items`;
+      }
+
+      return line;
+    });
+
+    return `Reply with a JSON object only, without a code fence or any other text, with these fields:\n${lines.join('\n')}`;
+  }
+
+  describeType(field) {
+    switch (field.type) {
+      case 'text':
+        return 'string of Markdown';
+      case 'list':
+        return 'array of strings';
+      case 'table':
+        return `array of objects with ${this.columnsOf(field).map(column => `"${column}"`).join(', ')}`;
+      default:
+        return field.type;
+    }
+  }
+
+  columnsOf(field) {
+    return field.columns || ['name', 'value'];
+  }
+
+  /**
+   * Parse the JSON object the model returns, tolerating a code fence or text
+   * around it
+   * @param {string} text - Response of the model
+   * @returns {object|null} Object, or null when the reply holds none
+   */
+  parseResponse(text) {
+    const start = (text || '').indexOf('{');
+    const end = (text || '').lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(text.slice(start, end + 1));
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check a reply against a schema, repairing what can be repaired without
+   * the model: strings are trimmed, numbers and booleans sent as text are
+   * converted, and lists sent as lines of text are split. Undeclared fields
+   * are dropped.
+   * @param {Array<object>} fields - Resolved schema
+   * @param {string} text - Response of the model
+   * @returns {object} { value, errors }, errors being messages for the model
+   */
+  validateResponse(fields, text) {
+    const data = this.parseResponse(text);
+
+    if (!data) {
+      return { value: null, errors: ['The reply is not a JSON object'] };
+    }
+
+    const value = {};
+    const errors = [];
+
+    fields.forEach((field) => {
+      const raw = data[field.name];
+
+      if (isEmpty(raw)) {
+        if (field.required !== false) {
+          errors.push(`"${field.name}" is required`);
+        }
+        return;
+      }
+
+      const coerced = this.coerceValue(field, raw);
+
+      if (coerced.error) {
+        errors.push(`"${field.name}" ${coerced.error}`);
+      } else {
+        value[field.name] = coerced.value;
+      }
+    });
+
+    return { value, errors };
+  }
+
+  /**
+   * Convert a value of the reply to its field's type
+   * @param {object} field - Field declaration
+   * @param {*} raw - Value from the reply
+   * @returns {object} { value } or { error }
+   */
+  coerceValue(field, raw) {
+    switch (field.type) {
+      case 'number': {
+        const value = Number(raw);
+        return typeof raw === 'boolean' || Number.isNaN(value) ? { error: 'must be a number' } : { value };
+      }
+      case 'boolean':
+        if (raw === true || raw === 'true') return { value: true };
+        if (raw === false || raw === 'false') return { value: false };
+        return { error: 'must be true or false' };
+      case 'list': {
+        const items = typeof raw === 'string' ? splitLines(raw) : raw;
+
+        if (!Array.isArray(items) || items.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+          return { error: 'must be an array of strings' };
+        }
+        return this.checkItems(field, items.map(item => String(item).trim()).filter(Boolean));
+      }
+      case 'table': {
+        const columns = this.columnsOf(field);
+
+        if (!Array.isArray(raw) || raw.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+          return { error: `must be an array of objects with ${columns.join(', ')}` };
+        }
+        return this.checkItems(field, raw.map(row => columns.reduce((cells, column) => {
+          cells[column] = row[column] === undefined || row[column] === null ? '' : String(row[column]).trim();
+          return cells;
+        }, {})));
+      }
+      default: {
+        if (typeof raw === 'object') {
+          return { error: 'must be a string' };
+        }
+
+        const value = String(raw).trim();
+
+        if (field.maxLength && value.length > field.maxLength) {
+          return { error: `must be at most ${field.maxLength} characters, not ${value.length}` };
+        }
+        return { value };
+      }
+    }
+  }
+
+  checkItems(field, items) {
+    if (field.minItems && items.length < field.minItems) {
+      return { error: `must have at least ${field.minItems} items, not ${items.length}` };
+    }
+    if (field.maxItems && items.length > field.maxItems) {
+      return { error: `must have at most ${field.maxItems} items, not ${items.length}` };
+    }
+    return { value: items };
+  }
+
+  /**
+   * Prompt asking the model to correct a reply that did not match the schema
+   * @param {string} prompt - Prompt of the first attempt, with its instructions
+   * @param {string} reply - The invalid reply
+   * @param {Array<string>} errors - Result of validateResponse
+   * @returns {string} Prompt
+   */
+  buildRepairPrompt(prompt, reply, errors) {
+    let repair = `${prompt}\n\n`;
+    repair += `Your previous reply did not match the required fields:\n${errors.map(error => `- ${error}`).join('\n')}\n\n`;
+    repair += `Previous reply:\n${reply}\n\n`;
+    repair += 'Reply with the corrected JSON object only.';
+
+    return repair;
+  }
+
+  /**
+   * Render structured fields as Markdown, in the order of the schema
+   * @param {Array<object>} fields - Resolved schema
+   * @param {object} value - Validated fields
+   * @returns {string} Markdown
+   */
+  render(fields, value) {
+    return fields
+      .filter(field => !isEmpty(value[field.name]))
+      .map((field) => {
+        const display = field.display || DEFAULT_DISPLAYS[field.type];
+        const body = this.renderValue(field, value[field.name]);
+
+        switch (display) {
+          case 'hidden':
+            return null;
+          case 'title':
+            return `# ${body}`;
+          case 'section':
+            return `## ${labelOf(field)}\n\n${body}`;
+          case 'field':
+            return `**${labelOf(field)}:** ${body}`;
+          default:
+            return body;
+        }
+      })
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  renderValue(field, value) {
+    switch (field.type) {
+      case 'list':
+        return value.map(item => `- ${item}`).join('\n');
+      case 'table': {
+        const columns = this.columnsOf(field);
+        const header = `| ${columns.map(column => column.charAt(0).toUpperCase() + column.slice(1)).join(' | ')} |`;
+        const divider = `| ${columns.map(() => '---').join(' | ')} |`;
+        const rows = value.map(row => `| ${columns.map(column => escapeCell(row[column])).join(' | ')} |`);
+
+        return [header, divider, ...rows].join('\n');
+      }
+      case 'boolean':
+        return value ? 'Yes' : 'No';
+      default:
+        return String(value);
+    }
+  }
+}
+
+// Export a singleton instance
+const structuredOutputService = new StructuredOutputService();
+
+module.exports = { StructuredOutputService, structuredOutputService };
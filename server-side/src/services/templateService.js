@@ -0,0 +1,468 @@
+// src/services/templateService.js
+const { isDeepStrictEqual } = require('util');
+const { Op } = require('sequelize');
+const { sequelize, Template, TemplateVersion, ContentItem, ContentGeneration, Tag } = require('../db/models');
+const templateEngine = require('../utils/templateEngine');
+const logger = require('../utils/logger');
+
+const VARIABLE_TYPES = ['string', 'text', 'number', 'integer', 'boolean', 'list', 'enum'];
+const VARIABLE_NAME_PATTERN = /^\w+$/;
+
+// Fields snapshotted in a TemplateVersion; changing any of them adds a version
+const VERSIONED_FIELDS = ['contentType', 'structure', 'promptTemplate', 'variables', 'defaultParameters', 'outputSchema', 'voiceProfileId'];
+const EDITABLE_FIELDS = ['name', 'description', 'isPublic', 'isArchived', ...VERSIONED_FIELDS];
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) {
+    picked[field] = source[field];
+  }
+  return picked;
+}, {});
+
+// Escape LIKE wildcards in user-supplied search text
+const escapeLike = text => text.replace(/[\\%_]/g, '\\$&');
+
+// Validation error in the express-validator shape the API already returns
+const fieldError = (path, msg, value) => ({ type: 'field', value, msg, path, location: 'body' });
+
+class TemplateService {
+  /**
+   * Find a template the user owns, or a public or system template
+   * @param {string} templateId - Template ID
+   * @param {string} userId - User ID
+   * @returns {Promise<object|null>} Template
+   */
+  async getAccessibleTemplate(templateId, userId) {
+    try {
+      return await Template.findOne({
+        where: {
+          id: templateId,
+          [Op.or]: [
+            { userId },
+            { isPublic: true },
+            { isSystem: true }
+          ]
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List templates visible to a user, newest first with system templates on top
+   * @param {string} userId - User ID
+   * @param {object} options - page, limit, contentType, search, includeArchived,
+   * scope (all, own, public or system), and projectId, folderIds and tagId as
+   * resolved by organizationService.resolveFilter
+   * @returns {Promise<object>} { count, rows }, with the tags of the templates
+   */
+  async listTemplates(userId, {
+    page = 1,
+    limit = 10,
+    contentType,
+    search,
+    includeArchived = false,
+    scope = 'all',
+    projectId,
+    folderIds,
+    tagId
+  } = {}) {
+    try {
+      const scopes = {
+        all: [{ userId }, { isPublic: true }, { isSystem: true }],
+        own: [{ userId }],
+        public: [{ isPublic: true }],
+        system: [{ isSystem: true }]
+      };
+      const conditions = [{ [Op.or]: scopes[scope] }];
+
+      // Archived templates are hidden from everyone but their owner
+      conditions.push(includeArchived
+        ? { [Op.or]: [{ isArchived: false }, { userId }] }
+        : { isArchived: false });
+
+      if (contentType) {
+        conditions.push({ contentType });
+      }
+
+      if (search) {
+        const pattern = `%${escapeLike(search)}%`;
+        conditions.push({
+          [Op.or]: [
+            { name: { [Op.iLike]: pattern } },
+            { description: { [Op.iLike]: pattern } }
+          ]
+        });
+      }
+
+      // Only owners file and tag templates, so these match the user's own
+      if (projectId) {
+        conditions.push({ projectId });
+      }
+      if (folderIds) {
+        conditions.push({ folderId: folderIds });
+      }
+      if (tagId) {
+        conditions.push({
+          id: { [Op.in]: sequelize.literal(`(SELECT "templateId" FROM "TemplateTags" WHERE "tagId" = ${sequelize.escape(tagId)})`) }
+        });
+      }
+
+      return await Template.findAndCountAll({
+        where: { [Op.and]: conditions },
+        include: [{ model: Tag, as: 'tags', attributes: ['id', 'name', 'color'], through: { attributes: [] } }],
+        distinct: true,
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit),
+        order: [['isSystem', 'DESC'], ['updatedAt', 'DESC']]
+      });
+    } catch (error) {
+      logger.error('Error listing templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a template and its first version
+   * @param {string} userId - Owner
+   * @param {object} data - Template fields, plus an optional changeNote
+   * @param {object} options - Set allowSystem for admins creating system templates
+   * @returns {Promise<object>} Template
+   */
+  async createTemplate(userId, data, { allowSystem = false } = {}) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const template = await Template.create({
+          ...pick(data, EDITABLE_FIELDS),
+          userId,
+          isSystem: allowSystem && Boolean(data.isSystem),
+          currentVersion: 1
+        }, { transaction });
+
+        await this.createVersion(template, userId, data.changeNote || 'Initial version', transaction);
+
+        return template;
+      });
+    } catch (error) {
+      logger.error('Error creating template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a template. Changes to versioned fields add a new version; earlier
+   * versions are never modified, so generations can be reproduced.
+   * @param {string} templateId - Template ID
+   * @param {object} changes - Changed fields, plus an optional changeNote
+   * @param {string} userId - User making the change
+   * @param {object} options - Set allowSystem for admins
+   * @returns {Promise<object>} Updated template
+   */
+  async updateTemplate(templateId, changes, userId, { allowSystem = false } = {}) {
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        // Lock the template so concurrent edits cannot claim the same version
+        const template = await Template.findByPk(templateId, { transaction, lock: true });
+
+        if (!template) {
+          const error = new Error('Template not found');
+          error.statusCode = 404;
+          throw error;
+        }
+
+        const updates = pick(changes, EDITABLE_FIELDS);
+
+        if (allowSystem && changes.isSystem !== undefined) {
+          updates.isSystem = Boolean(changes.isSystem);
+        }
+
+        const versionChanged = VERSIONED_FIELDS.some(field =>
+          updates[field] !== undefined && !isDeepStrictEqual(updates[field], template[field]));
+
+        if (versionChanged) {
+          updates.currentVersion = template.currentVersion + 1;
+        }
+
+        await template.update(updates, { transaction });
+
+        if (versionChanged) {
+          await this.createVersion(template, userId, changes.changeNote, transaction);
+        }
+
+        return template;
+      });
+    } catch (error) {
+      logger.error('Error updating template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Copy a template's current version into a new private template
+   * @param {object} source - Template to clone
+   * @param {string} userId - Owner of the copy
+   * @param {object} overrides - Optional name
+   * @returns {Promise<object>} New template
+   */
+  async cloneTemplate(source, userId, { name } = {}) {
+    return this.createTemplate(userId, {
+      ...pick(source, VERSIONED_FIELDS),
+      name: name || `${source.name} (copy)`,
+      description: source.description,
+      isPublic: false,
+      changeNote: `Cloned from ${source.name} v${source.currentVersion}`
+    });
+  }
+
+  /**
+   * Delete a template that no content or generation refers to. Templates in
+   * use must be archived instead, so their versions stay available.
+   * @param {object} template - Template
+   */
+  async deleteTemplate(template) {
+    try {
+      const versions = await TemplateVersion.findAll({
+        where: { templateId: template.id },
+        attributes: ['id']
+      });
+
+      const [contentCount, generationCount] = await Promise.all([
+        ContentItem.count({ where: { templateId: template.id } }),
+        versions.length > 0
+          ? ContentGeneration.count({ where: { templateVersionId: versions.map(version => version.id) } })
+          : 0
+      ]);
+
+      if (contentCount > 0 || generationCount > 0) {
+        const error = new Error('Template is used by existing content; archive it instead');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await TemplateVersion.destroy({ where: { templateId: template.id }, transaction });
+        await template.destroy({ transaction });
+      });
+    } catch (error) {
+      logger.error('Error deleting template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Snapshot a template's versioned fields as its current version
+   * @param {object} template - Template, already at the new version number
+   * @param {string} userId - Author of the version
+   * @param {string} changeNote - Description of the change
+   * @param {object} transaction - Transaction
+   * @returns {Promise<object>} TemplateVersion
+   */
+  async createVersion(template, userId, changeNote, transaction) {
+    return TemplateVersion.create({
+      ...pick(template, VERSIONED_FIELDS),
+      templateId: template.id,
+      version: template.currentVersion,
+      createdBy: userId,
+      changeNote: changeNote || null
+    }, { transaction });
+  }
+
+  /**
+   * All versions of a template, newest first
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Array>} TemplateVersions
+   */
+  async getVersions(templateId) {
+    return TemplateVersion.findAll({
+      where: { templateId },
+      order: [['version', 'DESC']]
+    });
+  }
+
+  /**
+   * One version of a template
+   * @param {string} templateId - Template ID
+   * @param {number} version - Version number
+   * @returns {Promise<object|null>} TemplateVersion
+   */
+  async getVersion(templateId, version) {
+    return TemplateVersion.findOne({
+      where: { templateId, version }
+    });
+  }
+
+  /**
+   * Check a template's variable declarations
+   * @param {Array} variables - Declarations: name, type, required, default,
+   * label, options (enum), min/max (numbers), maxLength (strings)
+   * @returns {Array} Validation errors
+   */
+  validateVariableSchema(variables = []) {
+    if (!Array.isArray(variables)) {
+      return [fieldError('variables', 'Variables must be an array', variables)];
+    }
+
+    const errors = [];
+    const seen = new Set();
+
+    variables.forEach((variable, index) => {
+      const path = `variables[${index}]`;
+
+      if (!variable || !VARIABLE_NAME_PATTERN.test(variable.name)) {
+        errors.push(fieldError(`${path}.name`, 'Variable name must be a word', variable && variable.name));
+        return;
+      }
+
+      if (seen.has(variable.name)) {
+        errors.push(fieldError(`${path}.name`, `Variable ${variable.name} is declared twice`, variable.name));
+      }
+      seen.add(variable.name);
+
+      if (!VARIABLE_TYPES.includes(variable.type)) {
+        errors.push(fieldError(`${path}.type`, `Variable type must be one of: ${VARIABLE_TYPES.join(', ')}`, variable.type));
+      }
+
+      if (variable.type === 'enum' && (!Array.isArray(variable.options) || variable.options.length === 0)) {
+        errors.push(fieldError(`${path}.options`, 'Enum variables need a list of options', variable.options));
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate prompt data against a template's variables, converting values
+   * to their declared types. Undeclared fields pass through unchanged.
+   * @param {Array} variables - Variable declarations
+   * @param {object} promptData - Submitted values
+   * @returns {object} { values, errors }
+   */
+  validatePromptData(variables = [], promptData = {}) {
+    const values = { ...promptData };
+    const errors = [];
+
+    variables.forEach((variable) => {
+      const path = `promptData.${variable.name}`;
+      const label = variable.label || variable.name;
+      const raw = promptData[variable.name];
+
+      if (raw === undefined || raw === null || raw === '' || Array.isArray(raw) && raw.length === 0) {
+        if (variable.required) {
+          errors.push(fieldError(path, `${label} is required`, raw));
+        } else if (variable.default !== undefined) {
+          values[variable.name] = variable.default;
+        }
+        return;
+      }
+
+      const { value, error } = this.coerceValue(variable, raw);
+
+      if (error) {
+        errors.push(fieldError(path, `${label} ${error}`, raw));
+      } else {
+        values[variable.name] = value;
+      }
+    });
+
+    return { values, errors };
+  }
+
+  /**
+   * Convert a submitted value to a variable's type
+   * @param {object} variable - Variable declaration
+   * @param {*} raw - Submitted value
+   * @returns {object} { value } or { error }
+   */
+  coerceValue(variable, raw) {
+    switch (variable.type) {
+      case 'number':
+      case 'integer': {
+        const value = Number(raw);
+
+        if (typeof raw === 'boolean' || Number.isNaN(value) ||
+            variable.type === 'integer' && !Number.isInteger(value)) {
+          return { error: `must be ${variable.type === 'integer' ? 'an integer' : 'a number'}` };
+        }
+        if (variable.min !== undefined && value < variable.min) {
+          return { error: `must be at least ${variable.min}` };
+        }
+        if (variable.max !== undefined && value > variable.max) {
+          return { error: `must be at most ${variable.max}` };
+        }
+        return { value };
+      }
+      case 'boolean':
+        if (raw === true || raw === 'true') return { value: true };
+        if (raw === false || raw === 'false') return { value: false };
+        return { error: 'must be true or false' };
+      case 'list': {
+        // Lists such as keywords may arrive comma-separated from forms
+        const value = Array.isArray(raw)
+          ? raw
+          : String(raw).split(',').map(item => item.trim()).filter(Boolean);
+        return { value };
+      }
+      case 'enum':
+        return variable.options.includes(raw)
+          ? { value: raw }
+          : { error: `must be one of: ${variable.options.join(', ')}` };
+      default: {
+        if (typeof raw === 'object') {
+          return { error: 'must be text' };
+        }
+
+        const value = String(raw);
+
+        if (variable.maxLength && value.length > variable.maxLength) {
+          return { error: `must be at most ${variable.maxLength} characters` };
+        }
+        return { value };
+      }
+    }
+  }
+
+  /**
+   * Merge a template's defaults under the prompt data: declared variable
+   * defaults first, then the template's default parameters
+   * @param {object|null} template - Template
+   * @param {object} promptData - Prompt data
+   * @returns {object} Parameters for prompt building
+   */
+  resolveParameters(template, promptData = {}) {
+    if (!template) {
+      return promptData;
+    }
+
+    const variableDefaults = {};
+    (template.variables || []).forEach((variable) => {
+      if (variable.default !== undefined) {
+        variableDefaults[variable.name] = variable.default;
+      }
+    });
+
+    return {
+      ...variableDefaults,
+      ...template.defaultParameters,
+      ...promptData
+    };
+  }
+
+  /**
+   * Variables a template refers to without declaring them
+   * @param {object} template - Template with promptTemplate and variables
+   * @returns {Array<string>} Variable names
+   */
+  getUndeclaredVariables(template) {
+    const declared = (template.variables || []).map(variable => variable.name);
+
+    return templateEngine.getVariables(template.promptTemplate || '')
+      .filter(name => !declared.includes(name));
+  }
+}
+
+// Export a singleton instance
+const templateService = new TemplateService();
+
+module.exports = { TemplateService, templateService };
@@ -0,0 +1,252 @@
+// src/services/translationService.js
+const { ContentItem } = require('../db/models');
+const aiService = require('./aiService');
+const config = require('../config/ai');
+const logger = require('../utils/logger');
+
+// Placeholder a protected term is sent to the model as: ⟦1⟧, ⟦2⟧...
+const placeholder = index => `⟦${index + 1}⟧`;
+const PLACEHOLDER_PATTERN = /⟦(\d+)⟧/g;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Levels of the Markdown headings of a text, in order
+const headingLevels = text => ((text || '').match(/^#{1,6}(?=\s)/gm) || []).map(marks => marks.length);
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Translation of content items into other locales. Each translation is a
+ * sibling ContentItem with its own locale, linked to the item it was
+ * translated from by sourceItemId. Do-not-translate glossary terms are sent
+ * to the model as placeholders and put back afterwards, and the Markdown
+ * headings of the result are compared with the source's. The AI call itself
+ * is made by the generation worker.
+ */
+class TranslationService {
+  /**
+   * @param {object} options - Default glossary and locale limit, as in config.translation
+   */
+  constructor(options = config.translation) {
+    this.options = options;
+  }
+
+  /**
+   * Canonical form of a BCP 47 language tag, e.g. 'pt-br' becomes 'pt-BR'
+   * @param {string} locale - Language tag
+   * @returns {string} Canonical tag
+   * @throws {Error} With statusCode 400 for a malformed tag
+   */
+  normalizeLocale(locale) {
+    try {
+      const [canonical] = Intl.getCanonicalLocales(locale);
+
+      if (canonical) {
+        return canonical;
+      }
+    } catch (error) {
+      // Reported below
+    }
+
+    throw badRequest(`Invalid locale: ${locale}`);
+  }
+
+  /**
+   * English name of a locale for the prompt, e.g. "Brazilian Portuguese
+   * (pt-BR)" or "French (France, fr-FR)"
+   * @param {string} locale - Canonical language tag
+   * @returns {string} Name and tag, or the tag alone when it has no name
+   */
+  describeLocale(locale) {
+    let name;
+    try {
+      name = new Intl.DisplayNames(['en'], { type: 'language' }).of(locale);
+    } catch (error) {
+      return locale;
+    }
+
+    if (!name || name === locale) {
+      return locale;
+    }
+
+    return name.endsWith(')') ? `${name.slice(0, -1)}, ${locale})` : `${name} (${locale})`;
+  }
+
+  /**
+   * Terms never to translate: the configured glossary and a request's own,
+   * without duplicates, longest first so that "Acme Cloud" is protected
+   * before "Acme"
+   * @param {Array<string>} terms - Glossary of the request
+   * @returns {Array<string>} Terms
+   */
+  glossary(terms = []) {
+    const seen = new Set();
+
+    return [...this.options.glossary, ...terms]
+      .filter(term => typeof term === 'string' && term.trim())
+      .map(term => term.trim())
+      .filter((term) => {
+        const key = term.toLowerCase();
+        return !seen.has(key) && seen.add(key);
+      })
+      .sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Replace the glossary terms of a text with placeholders. Each distinct
+   * spelling of a term gets its own placeholder, so it is restored as written.
+   * @param {string} text - Text to translate
+   * @param {Array<string>} terms - Result of glossary
+   * @param {Array<string>} placeholders - Terms already replaced, by
+   *   placeholder number; extended with the terms of this text
+   * @returns {string} Text with placeholders
+   */
+  protectTerms(text, terms, placeholders = []) {
+    if (!text || terms.length === 0) {
+      return text;
+    }
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+    return text.replace(pattern, (match) => {
+      if (!placeholders.includes(match)) {
+        placeholders.push(match);
+      }
+      return placeholder(placeholders.indexOf(match));
+    });
+  }
+
+  /**
+   * Put the protected terms back in place of their placeholders
+   * @param {string} text - Translated text
+   * @param {Array<string>} placeholders - Terms by placeholder number
+   * @returns {string} Text with the original terms
+   */
+  restoreTerms(text, placeholders) {
+    return text.replace(PLACEHOLDER_PATTERN, (marker, number) => {
+      const term = placeholders[parseInt(number) - 1];
+      return term === undefined ? marker : term;
+    });
+  }
+
+  /**
+   * Protected terms whose placeholder the model left out of its translation
+   * @param {Array<string>} texts - Translated texts, before restoreTerms
+   * @param {Array<string>} placeholders - Terms by placeholder number
+   * @returns {Array<string>} Missing terms
+   */
+  findMissingTerms(texts, placeholders) {
+    return placeholders.filter((term, index) => !texts.some(text => text.includes(placeholder(index))));
+  }
+
+  /**
+   * Build the translation prompt of a source item with its glossary terms
+   * protected
+   * @param {object} source - Source ContentItem: title, content and contentType
+   * @param {object} options - locale, sourceLocale and glossary of the request
+   * @returns {object} { prompt, placeholders }
+   */
+  buildPrompt(source, { locale, sourceLocale = null, glossary = [] } = {}) {
+    const terms = this.glossary(glossary);
+    const placeholders = [];
+    const prompt = aiService.buildTranslationPrompt({
+      contentType: source.contentType,
+      title: this.protectTerms(source.title, terms, placeholders),
+      content: this.protectTerms(source.content, terms, placeholders)
+    }, {
+      language: this.describeLocale(locale),
+      sourceLanguage: sourceLocale ? this.describeLocale(sourceLocale) : null,
+      protectedTerms: placeholders.length > 0
+    });
+
+    return { prompt, placeholders };
+  }
+
+  /**
+   * Read the title and content the model returns. A reply cut off before its
+   * closing tag keeps what was written; a reply without tags is taken as the
+   * content.
+   * @param {string} text - Response of the model
+   * @returns {object} { title, content }; title is null when missing
+   * @throws {Error} When the reply has no content
+   */
+  parseResponse(text) {
+    const reply = text || '';
+    const title = reply.match(/<title>([\s\S]*?)<\/title>/i);
+    const content = reply.match(/<content>([\s\S]*?)(?:<\/content>|$)/i);
+    const body = (content ? content[1] : reply.replace(/<title>[\s\S]*?<\/title>/i, '')).trim();
+
+    if (!body) {
+      throw new Error('The translation has no content');
+    }
+
+    return {
+      title: title ? title[1].replace(/\s+/g, ' ').trim() || null : null,
+      content: body
+    };
+  }
+
+  /**
+   * Compare the Markdown headings of a translation with its source's
+   * @param {string} source - Source content
+   * @param {string} translation - Translated content
+   * @returns {object} { matches, sourceHeadings, translatedHeadings }
+   */
+  compareStructure(source, translation) {
+    const expected = headingLevels(source);
+    const actual = headingLevels(translation);
+
+    return {
+      matches: expected.length === actual.length && expected.every((level, index) => level === actual[index]),
+      sourceHeadings: expected.length,
+      translatedHeadings: actual.length
+    };
+  }
+
+  /**
+   * The translation of a source item into a locale, if there is one
+   * @param {string} sourceItemId - Source ContentItem ID
+   * @param {string} locale - Canonical language tag
+   * @returns {Promise<object|null>} ContentItem
+   */
+  async findTranslation(sourceItemId, locale) {
+    try {
+      return await ContentItem.findOne({ where: { sourceItemId, locale } });
+    } catch (error) {
+      logger.error('Error finding translation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark the translations of an item stale after its title or content changed
+   * @param {string} sourceItemId - Source ContentItem ID
+   * @returns {Promise<number>} Translations newly marked stale
+   */
+  async markStale(sourceItemId) {
+    try {
+      const [updated] = await ContentItem.update(
+        { translationStale: true },
+        { where: { sourceItemId, translationStale: false } }
+      );
+
+      if (updated > 0) {
+        logger.info('Translations marked stale', { sourceItemId, translations: updated });
+      }
+
+      return updated;
+    } catch (error) {
+      logger.error('Error marking translations stale:', error);
+      throw error;
+    }
+  }
+}
+
+// Export a singleton instance
+const translationService = new TranslationService();
+
+module.exports = { TranslationService, translationService };
@@ -0,0 +1,268 @@
+// src/services/voiceService.js
+const { sequelize, VoiceProfile, Template, TemplateVersion, ContentGeneration } = require('../db/models');
+const logger = require('../utils/logger');
+
+const EDITABLE_FIELDS = ['name', 'description', 'tone', 'readingLevel', 'bannedPhrases', 'terminology', 'samples'];
+
+// Sample paragraphs are sent with every prompt, so they are kept short
+const MAX_SAMPLES = 5;
+const MAX_SAMPLE_LENGTH = 2000;
+
+// Characters of text shown on either side of a violation
+const CONTEXT_LENGTH = 40;
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) {
+    picked[field] = source[field];
+  }
+  return picked;
+}, {});
+
+// Validation error in the express-validator shape the API already returns
+const fieldError = (path, msg, value) => ({ type: 'field', value, msg, path, location: 'body' });
+
+const isPhraseList = value => Array.isArray(value) &&
+  value.every(item => typeof item === 'string' && item.trim());
+
+// Match a phrase as whole words, ignoring case and the whitespace between words
+const phrasePattern = phrase => new RegExp(
+  `(?<!\\w)${phrase.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+')}(?!\\w)`,
+  'gi'
+);
+
+/**
+ * Brand voice profiles: stores them, and checks generated text against their
+ * banned phrases and terminology. The profile is compiled into the system
+ * prompt by aiService.buildSystemMessage.
+ */
+class VoiceService {
+  /**
+   * Find a voice profile the user owns
+   * @param {string} profileId - Voice profile ID
+   * @param {string} userId - User ID
+   * @returns {Promise<object|null>} VoiceProfile
+   */
+  async getProfile(profileId, userId) {
+    try {
+      return await VoiceProfile.findOne({
+        where: {
+          id: profileId,
+          userId
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting voice profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The voice profile of a generation: the requested one, which the user must
+   * own, or else the one of its template
+   * @param {string|null} profileId - Requested voice profile ID
+   * @param {object|null} template - Template or TemplateVersion
+   * @param {string} userId - User ID
+   * @returns {Promise<object|null>} VoiceProfile; null when a requested profile is not found
+   */
+  async resolveProfile(profileId, template, userId) {
+    const templateProfileId = template ? template.voiceProfileId : null;
+
+    if (profileId && profileId !== templateProfileId) {
+      return this.getProfile(profileId, userId);
+    }
+
+    return templateProfileId ? VoiceProfile.findByPk(templateProfileId) : null;
+  }
+
+  /**
+   * List a user's voice profiles by name
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} VoiceProfiles
+   */
+  async listProfiles(userId) {
+    try {
+      return await VoiceProfile.findAll({
+        where: { userId },
+        order: [['name', 'ASC']]
+      });
+    } catch (error) {
+      logger.error('Error listing voice profiles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a voice profile
+   * @param {string} userId - Owner
+   * @param {object} data - Profile fields
+   * @returns {Promise<object>} VoiceProfile
+   */
+  async createProfile(userId, data) {
+    try {
+      return await VoiceProfile.create({
+        ...this.normalizeProfile(pick(data, EDITABLE_FIELDS)),
+        userId
+      });
+    } catch (error) {
+      logger.error('Error creating voice profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a voice profile. Templates and queued generations that use it pick
+   * up the change.
+   * @param {object} profile - VoiceProfile
+   * @param {object} changes - Changed fields
+   * @returns {Promise<object>} Updated profile
+   */
+  async updateProfile(profile, changes) {
+    try {
+      return await profile.update(this.normalizeProfile(pick(changes, EDITABLE_FIELDS)));
+    } catch (error) {
+      logger.error('Error updating voice profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a voice profile no template uses. Template versions and
+   * generations that used it keep their output but lose the reference.
+   * @param {object} profile - VoiceProfile
+   */
+  async deleteProfile(profile) {
+    try {
+      const templateCount = await Template.count({ where: { voiceProfileId: profile.id } });
+
+      if (templateCount > 0) {
+        const error = new Error('Voice profile is used by templates; detach it first');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        const where = { voiceProfileId: profile.id };
+
+        await TemplateVersion.update({ voiceProfileId: null }, { where, transaction });
+        await ContentGeneration.update({ voiceProfileId: null }, { where, transaction });
+        await profile.destroy({ transaction });
+      });
+    } catch (error) {
+      logger.error('Error deleting voice profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the list fields of a voice profile
+   * @param {object} data - Profile fields
+   * @returns {Array} Validation errors
+   */
+  validateProfile(data) {
+    const errors = [];
+
+    if (data.bannedPhrases !== undefined && !isPhraseList(data.bannedPhrases)) {
+      errors.push(fieldError('bannedPhrases', 'Banned phrases must be a list of phrases', data.bannedPhrases));
+    }
+
+    if (data.terminology !== undefined) {
+      if (!Array.isArray(data.terminology)) {
+        errors.push(fieldError('terminology', 'Terminology must be a list of rules', data.terminology));
+      } else {
+        data.terminology.forEach((rule, index) => {
+          const path = `terminology[${index}]`;
+
+          if (!rule || typeof rule.preferred !== 'string' || !rule.preferred.trim()) {
+            errors.push(fieldError(`${path}.preferred`, 'Preferred term is required', rule && rule.preferred));
+          }
+
+          if (rule && rule.avoid !== undefined && !isPhraseList(rule.avoid)) {
+            errors.push(fieldError(`${path}.avoid`, 'Terms to avoid must be a list of terms', rule.avoid));
+          }
+        });
+      }
+    }
+
+    if (data.samples !== undefined) {
+      if (!isPhraseList(data.samples) || data.samples.length > MAX_SAMPLES) {
+        errors.push(fieldError('samples', `Samples must be a list of at most ${MAX_SAMPLES} paragraphs`, data.samples));
+      } else if (data.samples.some(sample => sample.length > MAX_SAMPLE_LENGTH)) {
+        errors.push(fieldError('samples', `Samples must be at most ${MAX_SAMPLE_LENGTH} characters each`, data.samples));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Trim the phrases of validated profile fields and drop duplicates
+   * @param {object} data - Profile fields
+   * @returns {object} Normalized fields
+   */
+  normalizeProfile(data) {
+    const normalized = { ...data };
+    const phrases = list => [...new Set(list.map(item => item.trim()))];
+
+    if (data.bannedPhrases) {
+      normalized.bannedPhrases = phrases(data.bannedPhrases);
+    }
+
+    if (data.terminology) {
+      normalized.terminology = data.terminology.map(rule => ({
+        preferred: rule.preferred.trim(),
+        avoid: phrases(rule.avoid || [])
+      }));
+    }
+
+    if (data.samples) {
+      normalized.samples = data.samples.map(sample => sample.trim());
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Find the banned phrases and avoided terms a text uses
+   * @param {string} text - Generated text
+   * @param {object|null} profile - Voice profile
+   * @returns {Array} Violations: type (banned_phrase or terminology), phrase,
+   * preferred term, count and the context of the first occurrence
+   */
+  checkText(text, profile) {
+    if (!profile || !text) {
+      return [];
+    }
+
+    const rules = [
+      ...(profile.bannedPhrases || []).map(phrase => ({ type: 'banned_phrase', phrase })),
+      ...(profile.terminology || []).flatMap(rule => (rule.avoid || []).map(phrase => ({
+        type: 'terminology',
+        phrase,
+        preferred: rule.preferred
+      })))
+    ];
+
+    return rules.reduce((violations, rule) => {
+      const matches = [...text.matchAll(phrasePattern(rule.phrase))];
+
+      if (matches.length > 0) {
+        const { index } = matches[0];
+        const start = Math.max(index - CONTEXT_LENGTH, 0);
+        const end = Math.min(index + matches[0][0].length + CONTEXT_LENGTH, text.length);
+
+        violations.push({
+          ...rule,
+          count: matches.length,
+          context: `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`
+        });
+      }
+
+      return violations;
+    }, []);
+  }
+}
+
+// Export a singleton instance
+const voiceService = new VoiceService();
+
+module.exports = { VoiceService, voiceService };
@@ -0,0 +1,97 @@
+// src/utils/bm25.js
+
+// BM25 parameters: K1 limits how much repeating a term raises a score, B how
+// much long chunks are penalized. These are the usual defaults.
+const K1 = 1.2;
+const B = 0.75;
+
+// Letters and digits of any script; punctuation and Markdown syntax are ignored
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// English words too common to tell chunks apart
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'had', 'has',
+  'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'more', 'most', 'no',
+  'not', 'of', 'on', 'or', 'other', 'our', 'out', 'so', 'such', 'than', 'that',
+  'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'up',
+  'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+// Fold English plurals onto the singular, so "policies" matches "policy"
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+};
+
+/**
+ * Index terms of a text: lowercased, stemmed words without stop words
+ * @param {string} text - Text
+ * @returns {Array<string>} Terms in text order
+ */
+const tokenize = text => ((text || '').toLowerCase().match(WORD_PATTERN) || [])
+  .filter(word => !STOP_WORDS.has(word))
+  .map(stem);
+
+/**
+ * Number of occurrences of each term of a text
+ * @param {string} text - Text
+ * @returns {object} Frequencies keyed by term, and the term count as { terms, count }
+ */
+const termFrequencies = (text) => {
+  const tokens = tokenize(text);
+  const terms = tokens.reduce((frequencies, term) => {
+    frequencies[term] = (frequencies[term] || 0) + 1;
+    return frequencies;
+  }, {});
+
+  return { terms, count: tokens.length };
+};
+
+/**
+ * Score documents against a query with Okapi BM25. Inverse document
+ * frequencies are taken from the documents given, so they should be the
+ * whole collection searched.
+ * @param {string} query - Query text
+ * @param {Array<object>} documents - Documents with terms (frequencies) and termCount
+ * @returns {Array<object>} Documents matching at least one query term, as
+ *   { document, score }, highest score first
+ */
+const rank = (query, documents) => {
+  const queryTerms = [...new Set(tokenize(query))];
+
+  if (queryTerms.length === 0 || documents.length === 0) {
+    return [];
+  }
+
+  const averageLength = documents.reduce((sum, document) => sum + document.termCount, 0) / documents.length || 1;
+  const idf = queryTerms.reduce((weights, term) => {
+    const containing = documents.filter(document => document.terms[term]).length;
+    weights[term] = Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5));
+    return weights;
+  }, {});
+
+  return documents
+    .map((document) => {
+      const lengthNorm = 1 - B + B * (document.termCount / averageLength);
+      const score = queryTerms.reduce((sum, term) => {
+        const frequency = document.terms[term] || 0;
+        return sum + idf[term] * (frequency * (K1 + 1)) / (frequency + K1 * lengthNorm);
+      }, 0);
+
+      return { document, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  tokenize,
+  termFrequencies,
+  rank
+};
@@ -0,0 +1,138 @@
+// src/utils/circuitBreaker.js
+const logger = require('./logger');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Circuit breaker for a single downstream dependency. After failureThreshold
+ * consecutive failures it opens and rejects requests for resetTimeout, then
+ * lets a single trial request through; the trial's outcome closes or reopens it.
+ */
+class CircuitBreaker {
+  /**
+   * @param {object} options - name, failureThreshold, resetTimeout (ms) and
+   * an optional clock for tests
+   */
+  constructor({ name, failureThreshold = 5, resetTimeout = 30000, now = Date.now } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.now = now;
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Whether a request may be sent now. Once the reset timeout has passed this
+   * admits one trial request and rejects others until it is recorded.
+   * @returns {boolean} Request may proceed
+   */
+  canRequest() {
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === STATES.OPEN && this.now() - this.openedAt >= this.resetTimeout) {
+      this.state = STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.state === STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a successful request, closing the breaker
+   */
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      logger.info('Circuit breaker closed', { name: this.name });
+    }
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed request, opening the breaker at the threshold or when a
+   * trial request fails
+   * @param {Error} error - Failure, summarized in the status
+   */
+  recordFailure(error) {
+    this.failures += 1;
+    this.lastFailure = {
+      type: (error && error.type) || 'unknown',
+      at: new Date(this.now()).toISOString()
+    };
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== STATES.OPEN) {
+        logger.warn('Circuit breaker opened', { name: this.name, failures: this.failures });
+      }
+
+      this.state = STATES.OPEN;
+      this.openedAt = this.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * State to share with the breakers of the same dependency in other processes
+   * @returns {object} state, failures, openedAt and lastFailure
+   */
+  snapshot() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt,
+      lastFailure: this.lastFailure
+    };
+  }
+
+  /**
+   * Take over the state another process shared with snapshot()
+   * @param {object} snapshot - state, failures, openedAt and lastFailure
+   */
+  restore({ state, failures, openedAt, lastFailure }) {
+    this.state = state;
+    this.failures = failures;
+    this.openedAt = openedAt;
+    this.lastFailure = lastFailure;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Current state for health reporting
+   * @returns {object} state, failures, retryAt and lastFailure
+   */
+  getStatus() {
+    const retryAt = this.state === STATES.OPEN
+      ? new Date(this.openedAt + this.resetTimeout).toISOString()
+      : null;
+
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAt,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = { CircuitBreaker };
@@ -0,0 +1,138 @@
+// src/utils/csv.js
+
+// Spreadsheet applications run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may contain commas, quotes doubled
+ * and line breaks). The first record is the header; blank lines are skipped.
+ * @param {string} text - CSV text, optionally starting with a byte order mark
+ * @param {object} options - delimiter (default ',')
+ * @returns {object} { columns, rows } with each row keyed by column name
+ * @throws {Error} With statusCode 400 for an unterminated quote, a missing or
+ * duplicated header, or a row with more fields than the header
+ */
+const parse = (text, { delimiter = ',' } = {}) => {
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
+  };
+
+  const endRecord = () => {
+    record.push(field);
+    // A lone empty field is a blank line
+    if (record.length > 1 || record[0] !== '') {
+      records.push({ fields: record, line });
+    }
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      endRecord();
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    fail(`Unterminated quoted field on line ${line}`);
+  }
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+  if (records.length === 0) {
+    fail('CSV has no header row');
+  }
+
+  const columns = records[0].fields.map(column => column.trim());
+
+  columns.forEach((column, index) => {
+    if (!column) {
+      fail(`Column ${index + 1} has no name`);
+    }
+    if (columns.indexOf(column) !== index) {
+      fail(`Column "${column}" appears more than once`);
+    }
+  });
+
+  const rows = records.slice(1).map(({ fields, line: recordLine }) => {
+    if (fields.length > columns.length) {
+      fail(`Line ${recordLine} has ${fields.length} fields but the header has ${columns.length}`);
+    }
+
+    // Missing trailing fields are empty
+    return columns.reduce((row, column, index) => {
+      row[column] = fields[index] !== undefined ? fields[index] : '';
+      return row;
+    }, {});
+  });
+
+  return { columns, rows };
+};
+
+/**
+ * Quote a value for a CSV field where needed
+ * @param {*} value - Value; null and undefined are empty, objects are JSON
+ * @param {boolean} escapeFormulas - Prefix formula-like text with a quote mark
+ * @returns {string} Field
+ */
+const formatField = (value, escapeFormulas) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (escapeFormulas && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV text with a header record and CRLF line endings
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<object>} rows - Rows keyed by column name
+ * @param {object} options - escapeFormulas: guard cells against formula
+ * injection when the file is opened in a spreadsheet
+ * @returns {string} CSV text
+ */
+const stringify = (columns, rows, { escapeFormulas = false } = {}) => [
+  columns.map(column => formatField(column, escapeFormulas)).join(','),
+  ...rows.map(row => columns.map(column => formatField(row[column], escapeFormulas)).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+  parse,
+  stringify
+};
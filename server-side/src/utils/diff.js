@@ -0,0 +1,172 @@
+// src/utils/diff.js
+
+// Most edits the diff looks for before it gives up on aligning two texts and
+// reports the rest as replaced. Memory grows with the square of this number.
+const MAX_EDITS = 2000;
+
+const GRANULARITIES = ['line', 'word'];
+
+/**
+ * Split a text into the units it is compared in. Lines keep their line break
+ * and words are separated from the whitespace between them, so that joining
+ * the tokens gives back the text.
+ * @param {string} text - Text
+ * @param {string} granularity - 'line' or 'word'
+ * @returns {Array<string>} Tokens
+ */
+const tokenize = (text, granularity = 'line') => {
+  if (!text) {
+    return [];
+  }
+
+  const pattern = granularity === 'word' ? /\s+|\S+/g : /[^\n]*\n|[^\n]+$/g;
+
+  return text.match(pattern) || [];
+};
+
+/**
+ * Edits turning a into b, by the Myers algorithm: the shortest edit script
+ * is found one edit distance at a time, remembering for every diagonal how
+ * far it got, and then traced back from the end.
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @param {number} maxEdits - Edit distance to give up at
+ * @returns {Array<object>|null} Operations as { type, token } in order, or
+ *   null if a and b are further apart than maxEdits
+ */
+const shortestEdit = (a, b, maxEdits) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const furthest = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Only diagonals -d - 1 to d + 1 are read when tracing back step d
+    trace.push(furthest.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && furthest[offset + k - 1] < furthest[offset + k + 1])
+        ? furthest[offset + k + 1]
+        : furthest[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      furthest[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace);
+      }
+    }
+  }
+
+  return null;
+};
+
+// Operations of the path found by shortestEdit, from the start of both texts
+const backtrack = (a, b, trace) => {
+  const operations = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const at = k => trace[d][k + d + 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      operations.push({ type: 'equal', token: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      operations.push(x === previousX
+        ? { type: 'insert', token: b[previousY] }
+        : { type: 'delete', token: a[previousX] });
+    }
+
+    x = previousX;
+    y = previousY;
+  }
+
+  return operations.reverse();
+};
+
+/**
+ * Compare two texts line by line or word by word
+ * @param {string} oldText - Text before
+ * @param {string} newText - Text after
+ * @param {object} options - Options
+ * @param {string} options.granularity - 'line' or 'word'
+ * @param {number} options.maxEdits - Edit distance above which the differing
+ *   middle of the texts is reported as deleted and inserted whole
+ * @returns {object} { changes, insertions, deletions }: changes are runs of
+ *   { type: 'equal' | 'insert' | 'delete', value } that join back into
+ *   either text, and insertions and deletions count the lines or words
+ *   that have text in them
+ */
+const diff = (oldText, newText, { granularity = 'line', maxEdits = MAX_EDITS } = {}) => {
+  const a = tokenize(oldText, granularity);
+  const b = tokenize(newText, granularity);
+
+  // Unchanged beginnings and ends are common and cost nothing to skip
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = shortestEdit(middleA, middleB, maxEdits) || [
+    ...middleA.map(token => ({ type: 'delete', token })),
+    ...middleB.map(token => ({ type: 'insert', token }))
+  ];
+
+  const operations = [
+    ...a.slice(0, start).map(token => ({ type: 'equal', token })),
+    ...middle,
+    ...a.slice(endA).map(token => ({ type: 'equal', token }))
+  ];
+
+  const changes = [];
+  const counts = { insert: 0, delete: 0 };
+
+  for (const { type, token } of operations) {
+    const last = changes[changes.length - 1];
+
+    if (last && last.type === type) {
+      last.value += token;
+    } else {
+      changes.push({ type, value: token });
+    }
+
+    // Whitespace between words is compared but not counted
+    if (type !== 'equal' && /\S/.test(token)) {
+      counts[type]++;
+    }
+  }
+
+  return { changes, insertions: counts.insert, deletions: counts.delete };
+};
+
+module.exports = {
+  MAX_EDITS,
+  GRANULARITIES,
+  tokenize,
+  diff
+};
@@ -0,0 +1,140 @@
+// src/utils/minhash.js
+
+// Hash functions in a signature. The error of an estimated similarity is
+// about 1 / sqrt(SIGNATURE_SIZE), so 128 keeps it near 0.09 at worst.
+const SIGNATURE_SIZE = 128;
+
+// Letters and digits of any script; punctuation and Markdown syntax are ignored
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// 32-bit FNV-1a hash of a string
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+};
+
+// Finalizer of MurmurHash3, which spreads a 32-bit value over all bits
+const mix = (value) => {
+  let hash = value;
+
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+
+  return hash >>> 0;
+};
+
+// One seed per hash function, fixed so that stored signatures stay comparable
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, index) => mix(index + 1));
+
+/**
+ * Words of a text with their positions, lowercased for comparison
+ * @param {string} text - Text
+ * @returns {Array<object>} Words as { word, index, length }
+ */
+const tokenize = text => [...(text || '').matchAll(WORD_PATTERN)].map(match => ({
+  word: match[0].toLowerCase(),
+  index: match.index,
+  length: match[0].length
+}));
+
+/**
+ * Overlapping runs of size words ("shingles"). A text shorter than size words
+ * is a single shingle.
+ * @param {Array<object>} words - Result of tokenize
+ * @param {number} size - Words per shingle
+ * @returns {Array<string>} Shingles in text order
+ */
+const shingles = (words, size) => {
+  if (words.length === 0) {
+    return [];
+  }
+
+  const count = Math.max(words.length - size + 1, 1);
+  return Array.from({ length: count }, (_, start) => words.slice(start, start + size).map(item => item.word).join(' '));
+};
+
+/**
+ * MinHash signature of a text: for each hash function, the least hash of any
+ * of its shingles. Two signatures agree in a share of positions that
+ * estimates the Jaccard similarity of the texts' shingle sets.
+ * @param {string} text - Text
+ * @param {number} size - Words per shingle
+ * @returns {Array<number>|null} Signature, or null for text without words
+ */
+const signature = (text, size) => {
+  const hashes = [...new Set(shingles(tokenize(text), size))].map(fnv1a);
+
+  if (hashes.length === 0) {
+    return null;
+  }
+
+  return SEEDS.map(seed => hashes.reduce((min, hash) => Math.min(min, mix(hash ^ seed)), 0xffffffff));
+};
+
+/**
+ * Estimated Jaccard similarity of two signatures
+ * @param {Array<number>} first - Signature
+ * @param {Array<number>} second - Signature
+ * @returns {number} Similarity from 0 to 1; 0 when either is missing or they differ in size
+ */
+const similarity = (first, second) => {
+  if (!first || !second || first.length !== second.length) {
+    return 0;
+  }
+
+  return first.filter((value, index) => value === second[index]).length / first.length;
+};
+
+/**
+ * Passages of a text that also occur in another one: runs of shared shingles,
+ * longest first, as they are written in the text
+ * @param {string} text - Text the passages are taken from
+ * @param {string} other - Text compared against
+ * @param {number} size - Words per shingle
+ * @returns {Array<object>} Passages as { text, words }
+ */
+const sharedPassages = (text, other, size) => {
+  const words = tokenize(text);
+  const otherShingles = new Set(shingles(tokenize(other), size));
+  const shared = shingles(words, size).map(shingle => otherShingles.has(shingle));
+  const passages = [];
+
+  for (let start = 0; start < shared.length; start++) {
+    if (!shared[start]) {
+      continue;
+    }
+
+    let end = start;
+    while (end + 1 < shared.length && shared[end + 1]) {
+      end++;
+    }
+
+    const first = words[start];
+    const last = words[Math.min(end + size, words.length) - 1];
+    passages.push({
+      text: text.slice(first.index, last.index + last.length),
+      words: Math.min(end + size, words.length) - start
+    });
+    start = end;
+  }
+
+  return passages.sort((a, b) => b.words - a.words);
+};
+
+module.exports = {
+  SIGNATURE_SIZE,
+  tokenize,
+  shingles,
+  signature,
+  similarity,
+  sharedPassages
+};
@@ -0,0 +1,253 @@
+// src/utils/templateEngine.js
+
+/**
+ * Prompt template syntax, extending the {placeholder} style of the seeded templates:
+ *
+ *   {topic}                        variable; lists render comma-separated
+ *   {product.name}                 nested value
+ *   {#if audience}...{else}...{/if}
+ *   {#unless draft}...{/unless}
+ *   {#each keywords}- {this}{/each}   loop; inside, {this}, {@index}, {@first},
+ *                                     {@last} and fields of object items
+ *   \{                             literal brace
+ *
+ * Anything else in braces, such as JSON in the prompt, is left as text. A block
+ * tag alone on its line removes the line, so blocks do not leave blank lines.
+ */
+
+const TAG_PATTERN = /\\\{|\{\s*(#\w+(?:\s+[^{}\s]+)?|\/\w+|else|@?\w+(?:\.\w+)*)\s*\}/g;
+const PATH_PATTERN = /^(?:this|@?\w+)(?:\.\w+)*$/;
+const BLOCKS = ['if', 'unless', 'each'];
+
+class TemplateSyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'TemplateSyntaxError';
+    this.position = position;
+    this.statusCode = 400;
+  }
+}
+
+// Split a template into text and tag tokens
+const tokenize = (source) => {
+  const tokens = [];
+  let last = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const [raw, tag] = match;
+
+    if (raw === '\\{') {
+      tokens.push({ type: 'text', value: `${source.slice(last, match.index)}{` });
+      last = TAG_PATTERN.lastIndex;
+      continue;
+    }
+
+    let textEnd = match.index;
+    let next = TAG_PATTERN.lastIndex;
+
+    // A block tag alone on its line takes the line with it
+    if (tag[0] === '#' || tag[0] === '/' || tag === 'else') {
+      const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+      const newline = source.indexOf('\n', next);
+      const lineEnd = newline === -1 ? source.length : newline;
+
+      if (lineStart >= last &&
+          /^[ \t]*$/.test(source.slice(lineStart, match.index)) &&
+          /^[ \t]*$/.test(source.slice(next, lineEnd))) {
+        textEnd = lineStart;
+        next = newline === -1 ? source.length : newline + 1;
+      }
+    }
+
+    tokens.push({ type: 'text', value: source.slice(last, textEnd) });
+    tokens.push({ type: 'tag', value: tag, position: match.index });
+
+    last = next;
+    TAG_PATTERN.lastIndex = next;
+  }
+
+  tokens.push({ type: 'text', value: source.slice(last) });
+
+  return tokens.filter(token => token.type === 'tag' || token.value !== '');
+};
+
+/**
+ * Parse a template into a tree of text, variable and block nodes
+ * @param {string} source - Template source
+ * @returns {Array} Nodes
+ * @throws {TemplateSyntaxError} For unknown, unclosed or mismatched blocks
+ */
+const parse = (source = '') => {
+  const root = { children: [] };
+  const stack = [root];
+
+  tokenize(source).forEach((token) => {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.otherwise : current.children;
+
+    if (token.type === 'text') {
+      target.push({ type: 'text', value: token.value });
+      return;
+    }
+
+    const { value, position } = token;
+
+    if (value[0] === '#') {
+      const [keyword, path] = value.slice(1).split(/\s+/);
+
+      if (!BLOCKS.includes(keyword)) {
+        throw new TemplateSyntaxError(`Unknown block {#${keyword}}`, position);
+      }
+
+      if (!path || !PATH_PATTERN.test(path)) {
+        throw new TemplateSyntaxError(`{#${keyword}} needs a variable name`, position);
+      }
+
+      const node = { type: keyword, path, children: [], otherwise: [], position };
+      target.push(node);
+      stack.push(node);
+      return;
+    }
+
+    if (value[0] === '/') {
+      const keyword = value.slice(1);
+
+      if (stack.length === 1) {
+        throw new TemplateSyntaxError(`Unexpected {/${keyword}}`, position);
+      }
+
+      if (current.type !== keyword) {
+        throw new TemplateSyntaxError(`Expected {/${current.type}} but found {/${keyword}}`, position);
+      }
+
+      stack.pop();
+      return;
+    }
+
+    if (value === 'else') {
+      if (stack.length === 1 || current.inElse) {
+        throw new TemplateSyntaxError('Unexpected {else}', position);
+      }
+
+      current.inElse = true;
+      return;
+    }
+
+    target.push({ type: 'variable', path: value });
+  });
+
+  if (stack.length > 1) {
+    const unclosed = stack[stack.length - 1];
+    throw new TemplateSyntaxError(`Unclosed {#${unclosed.type} ${unclosed.path}}`, unclosed.position);
+  }
+
+  return root.children;
+};
+
+// Look a path up through the scopes, innermost first
+const lookup = (scopes, path) => {
+  const [head, ...rest] = path.split('.');
+  let value;
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+
+    if (head === 'this' && Object.prototype.hasOwnProperty.call(scope, 'this')) {
+      value = scope.this;
+      break;
+    }
+
+    if (scope.this !== null && typeof scope.this === 'object' &&
+        Object.prototype.hasOwnProperty.call(scope.this, head)) {
+      value = scope.this[head];
+      break;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(scope, head)) {
+      value = scope[head];
+      break;
+    }
+  }
+
+  return rest.reduce((current, key) => (current == null ? undefined : current[key]), value);
+};
+
+const isTruthy = value => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const stringify = (value) => {
+  if (value == null || typeof value === 'object' && !Array.isArray(value)) {
+    return '';
+  }
+
+  return Array.isArray(value) ? value.map(stringify).join(', ') : String(value);
+};
+
+const renderNodes = (nodes, scopes) => nodes.map((node) => {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+    case 'variable':
+      return stringify(lookup(scopes, node.path));
+    case 'if':
+      return renderNodes(isTruthy(lookup(scopes, node.path)) ? node.children : node.otherwise, scopes);
+    case 'unless':
+      return renderNodes(isTruthy(lookup(scopes, node.path)) ? node.otherwise : node.children, scopes);
+    case 'each': {
+      const items = lookup(scopes, node.path);
+
+      if (!Array.isArray(items) || items.length === 0) {
+        return renderNodes(node.otherwise, scopes);
+      }
+
+      return items.map((item, index) => renderNodes(node.children, [...scopes, {
+        this: item,
+        '@index': index,
+        '@first': index === 0,
+        '@last': index === items.length - 1
+      }])).join('');
+    }
+    default:
+      return '';
+  }
+}).join('');
+
+/**
+ * Render a template with the given values
+ * @param {string} source - Template source
+ * @param {object} values - Variable values
+ * @returns {string} Rendered text
+ */
+const render = (source, values = {}) => renderNodes(parse(source), [{ ...values, this: values }]);
+
+/**
+ * Top-level variable names a template refers to, excluding loop item fields
+ * @param {string} source - Template source
+ * @returns {Array<string>} Variable names
+ */
+const getVariables = (source) => {
+  const names = new Set();
+
+  const collect = (nodes, inLoop) => nodes.forEach((node) => {
+    if (node.path && !inLoop) {
+      const [head] = node.path.split('.');
+
+      if (head !== 'this' && head[0] !== '@') {
+        names.add(head);
+      }
+    }
+
+    if (node.children) {
+      collect(node.children, inLoop || node.type === 'each');
+      collect(node.otherwise, inLoop);
+    }
+  });
+
+  collect(parse(source), false);
+
+  return [...names];
+};
+
+module.exports = { parse, render, getVariables, TemplateSyntaxError };
@@ -0,0 +1,40 @@
+// src/utils/tokenizer.js
+const { getEncoding } = require('js-tiktoken');
+
+// Encoders load large rank tables, so each is built once, on first use
+const encoders = {};
+
+/**
+ * Name of the tiktoken encoding for a model. OpenAI models from GPT-4o on use
+ * o200k_base and older ones cl100k_base. Other providers do not publish their
+ * tokenizers; cl100k_base counts within a few percent of theirs for English.
+ * @param {string} modelId - Model ID
+ * @returns {string} Encoding name
+ */
+const encodingForModel = (modelId) => (/^(gpt-4o|gpt-4\.1|o[134](-|$))/.test(modelId || '') ? 'o200k_base' : 'cl100k_base');
+
+/**
+ * Count the tokens of a text as the model's tokenizer would
+ * @param {string} text - Text
+ * @param {string} modelId - Model ID
+ * @returns {number} Token count
+ */
+const countTokens = (text, modelId) => {
+  if (!text) {
+    return 0;
+  }
+
+  const encoding = encodingForModel(modelId);
+
+  if (!encoders[encoding]) {
+    encoders[encoding] = getEncoding(encoding);
+  }
+
+  // Text that happens to contain special tokens is counted, not rejected
+  return encoders[encoding].encode(text, 'all').length;
+};
+
+module.exports = {
+  countTokens,
+  encodingForModel
+};
@@ -0,0 +1,1297 @@
+// src/workers/generationWorker.js
+require('dotenv').config();
+const { sequelize, ContentGeneration, ContentItem, Template, TemplateVersion, GenerationStep, VoiceProfile } = require('../db/models');
+const { queueService } = require('../services/queueService');
+const { creditService } = require('../services/creditService');
+const { progressService } = require('../services/progressService');
+const { templateService } = require('../services/templateService');
+const { longFormService } = require('../services/longFormService');
+const { seoService } = require('../services/seoService');
+const { voiceService } = require('../services/voiceService');
+const { batchService } = require('../services/batchService');
+const { moderationService } = require('../services/moderationService');
+const { similarityService } = require('../services/similarityService');
+const { knowledgeService } = require('../services/knowledgeService');
+const { translationService } = require('../services/translationService');
+const { editService } = require('../services/editService');
+const { structuredOutputService } = require('../services/structuredOutputService');
+const { auditService } = require('../services/auditService');
+const { revisionService } = require('../services/revisionService');
+const aiService = require('../services/aiService');
+const contentProcessor = require('../services/contentProcessor');
+const logger = require('../utils/logger');
+
+const QUEUE_NAME = 'content-generation';
+
+// Minimum time between published content chunks while streaming
+const CONTENT_FLUSH_INTERVAL = 250;
+
+// Token limit of the outline call of a long-form generation
+const OUTLINE_MAX_TOKENS = 1000;
+
+// Token limit and temperature of the SEO metadata call
+const SEO_MAX_TOKENS = 800;
+const SEO_TEMPERATURE = 0.3;
+
+// Completion tokens allowed per source word of a translation. Many scripts
+// take several tokens per word, so this is well above config.tokensPerWord.
+const TRANSLATION_TOKENS_PER_WORD = 3;
+const TRANSLATION_MIN_TOKENS = 512;
+const TRANSLATION_TEMPERATURE = 0.3;
+
+// Completion tokens allowed per target word of an inline edit, and at least
+const EDIT_TOKENS_PER_WORD = 2;
+const EDIT_MIN_TOKENS = 256;
+
+class GenerationWorker {
+  /**
+   * Create a worker for the content generation queue
+   * @param {object} dependencies - Queue, AI, content processor, credit, progress, long-form, SEO, voice, batch, moderation, similarity, knowledge base, translation, inline edit, structured output, audit and revision services to use
+   */
+  constructor({
+    queue = queueService,
+    ai = aiService,
+    processor = contentProcessor,
+    credits = creditService,
+    progress = progressService,
+    longForm = longFormService,
+    seo = seoService,
+    voice = voiceService,
+    batches = batchService,
+    moderation = moderationService,
+    similarity = similarityService,
+    knowledge = knowledgeService,
+    translation = translationService,
+    edit = editService,
+    structured = structuredOutputService,
+    audit = auditService,
+    revisions = revisionService,
+    concurrency = parseInt(process.env.GENERATION_WORKER_CONCURRENCY || '1')
+  } = {}) {
+    this.queue = queue;
+    this.ai = ai;
+    this.processor = processor;
+    this.credits = credits;
+    this.progress = progress;
+    this.longForm = longForm;
+    this.seo = seo;
+    this.voice = voice;
+    this.batches = batches;
+    this.moderation = moderation;
+    this.similarity = similarity;
+    this.knowledge = knowledge;
+    this.translation = translation;
+    this.edit = edit;
+    this.structured = structured;
+    this.audit = audit;
+    this.revisions = revisions;
+    this.concurrency = concurrency;
+    this.consumerTag = null;
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Start consuming generation jobs
+   * @returns {Promise<string>} Consumer tag
+   */
+  async start() {
+    if (this.consumerTag) {
+      return this.consumerTag;
+    }
+
+    this.consumerTag = await this.queue.consume(
+      QUEUE_NAME,
+      job => this.processJob(job),
+      { prefetch: this.concurrency }
+    );
+    this.scheduleAuditPurge();
+
+    logger.info('Generation worker started', {
+      queue: QUEUE_NAME,
+      concurrency: this.concurrency
+    });
+
+    return this.consumerTag;
+  }
+
+  /**
+   * Stop consuming generation jobs
+   * @returns {Promise<boolean>} Stopped successfully
+   */
+  async stop() {
+    if (!this.consumerTag) {
+      return false;
+    }
+
+    await this.queue.cancelConsumer(this.consumerTag);
+    this.consumerTag = null;
+    clearInterval(this.purgeTimer);
+    this.purgeTimer = null;
+
+    logger.info('Generation worker stopped', { queue: QUEUE_NAME });
+
+    return true;
+  }
+
+  /**
+   * Process a single generation job, or the variants of a variations request.
+   * SEO generations are dispatched to processSeo, translations to
+   * processTranslation, inline edits to processEdit, and the rows of batches
+   * to processBatchRow.
+   * @param {object} job - Message enqueued by the generation controller or batch service
+   * @returns {Promise<object|Array|null>} Updated generation, or null if the job was skipped
+   */
+  async processJob(job) {
+    if (job.variationGroupId) {
+      return this.processVariations(job);
+    }
+
+    if (job.batchId) {
+      return this.processBatchRow(job);
+    }
+
+    const generation = await this.claimGeneration(job.generationId);
+
+    if (!generation) {
+      return null;
+    }
+
+    if (generation.task === 'seo') {
+      return this.processSeo(generation);
+    }
+
+    if (generation.task === 'translation') {
+      return this.processTranslation(generation);
+    }
+
+    if (generation.task === 'edit') {
+      return this.processEdit(generation);
+    }
+
+    return this.processContent(generation);
+  }
+
+  /**
+   * Generate the content of a content item
+   * @param {object} generation - Claimed generation
+   * @returns {Promise<object>} Updated generation
+   */
+  async processContent(generation) {
+    const stream = this.createContentStream(generation.id);
+    const trail = this.audit.createTrail();
+    // The provider's reply, charged if a later step fails
+    let result = null;
+
+    try {
+      const contentItem = await ContentItem.findByPk(generation.contentItemId);
+
+      if (!contentItem) {
+        throw new Error('Content item not found');
+      }
+
+      const template = await this.loadTemplate(generation);
+      const voiceProfile = await this.loadVoiceProfile(generation);
+      const parameters = templateService.resolveParameters(template, generation.promptData);
+      const contentType = parameters.contentType || contentItem.contentType;
+
+      // Build the prompt, from the template if it has one, and call the AI provider
+      const references = await this.retrieveReferences(generation, parameters);
+      const prompt = this.ai.buildPrompt(contentType, { ...parameters, references }, template);
+      const options = { ...this.buildGenerationOptions(generation, parameters, voiceProfile), onCall: trail.onCall };
+      const outputSchema = this.structured.resolveSchema(template && template.outputSchema);
+
+      if (outputSchema) {
+        // Not streamed: partial JSON is of no use to the editor
+        result = await this.ai.generateStructured(prompt, outputSchema, options);
+      } else if (this.longForm.isLongForm(parameters, contentType)) {
+        // Long posts are written section by section from an outline
+        try {
+          result = await this.generateLongForm(generation, prompt, parameters, options, stream);
+        } catch (error) {
+          throw await this.chargeCompletedSteps(generation, error);
+        }
+
+        if (!result) {
+          return this.awaitOutlineReview(generation);
+        }
+      } else {
+        result = await this.ai.generate(prompt, { ...options, onToken: stream.onToken });
+      }
+      await stream.flush();
+
+      // Post-process the raw AI output, or the Markdown rendered from its fields
+      const rawContent = outputSchema ? this.structured.render(outputSchema, result.structured) : result.content;
+      const processed = await this.processor.process(rawContent, {
+        contentType,
+        structured: Boolean(outputSchema),
+        formatType: contentItem.format || 'markdown',
+        applyKeywordOptimization: Boolean(parameters.seoOptimize),
+        keywords: parameters.keywords || [],
+        sources: references,
+        onStep: trail.onStep
+      });
+      const voiceViolations = this.voice.checkText(processed.content, voiceProfile);
+      // Flagged content is stored, but held until an admin reviews it
+      const moderation = await this.moderation.check(processed.content);
+      const needsReview = this.moderation.isFlagged(moderation);
+      const fingerprint = this.similarity.fingerprint(processed.content);
+      const similarity = await this.compareWithLibrary(contentItem, processed.content, fingerprint);
+
+      await contentItem.update({
+        content: processed.content,
+        wordCount: processed.metadata.wordCount,
+        status: needsReview ? 'needs_review' : 'generated',
+        fingerprint,
+        metadata: {
+          ...contentItem.metadata,
+          generationId: generation.id,
+          generationCompleted: true,
+          generatedAt: new Date().toISOString(),
+          headings: processed.metadata.headings,
+          readingTime: processed.metadata.readingTime,
+          // Banned phrases and avoided terms of the voice profile in the content
+          voiceViolations: voiceProfile ? voiceViolations : null,
+          moderation,
+          // Closest items of the owner's library and the passages they share
+          similarity,
+          // Knowledge base references the content cites
+          sources: processed.metadata.sources || null,
+          // Fields of the template's output schema the content was rendered from
+          structured: outputSchema ? result.structured : null
+        }
+      });
+      await this.markTranslationsStale(contentItem);
+      await this.recordRevision(contentItem, generation);
+
+      const creditsUsed = await this.settleCredits(generation, result);
+
+      await generation.update({
+        status: 'completed',
+        completionTime: new Date(),
+        aiProvider: result.provider,
+        aiModel: result.model,
+        creditsUsed,
+        metadata: {
+          ...generation.metadata,
+          usage: result.usage,
+          wordCount: processed.metadata.wordCount,
+          processingSteps: processed.metadata.processingSteps,
+          ...(references.length > 0 && { references: this.summarizeReferences(references) }),
+          // Replies sent back to the model because they did not match the output schema
+          ...(outputSchema && { structuredRepairs: result.repairs }),
+          ...(voiceProfile && { voiceViolations }),
+          ...(needsReview && { moderation }),
+          // Providers that failed before the one recorded above succeeded
+          ...(result.attempts && result.attempts.length > 0 && { failedAttempts: result.attempts })
+        }
+      });
+
+      await this.progress.publish(generation.id, {
+        type: 'status',
+        status: 'completed',
+        contentItemId: contentItem.id,
+        creditsUsed: generation.creditsUsed,
+        wordCount: processed.metadata.wordCount,
+        ...(voiceProfile && { voiceViolations }),
+        ...(needsReview && { needsReview, moderationReasons: moderation.reasons }),
+        ...(similarity && similarity.flagged && { similarityScore: similarity.score })
+      });
+
+      logger.info('Generation completed', {
+        generationId: generation.id,
+        contentItemId: contentItem.id,
+        provider: result.provider,
+        model: result.model,
+        needsReview
+      });
+    } catch (error) {
+      await this.failGeneration(generation, this.chargeReply(error, result), stream);
+    } finally {
+      await this.saveAuditTrail(generation, trail);
+    }
+
+    return generation;
+  }
+
+  /**
+   * Knowledge base passages to ground a generation in, when it asks for them.
+   * Unlike the checks after generation, a failure fails the generation:
+   * content written without the references it was requested with is not what
+   * the user paid for.
+   * @param {object} generation - Generation being processed
+   * @param {object} parameters - Resolved generation parameters
+   * @returns {Promise<Array<object>>} References, most relevant first; empty
+   *   when the knowledge base is not used or nothing in it matches
+   */
+  async retrieveReferences(generation, parameters) {
+    if (!parameters.useKnowledgeBase) {
+      return [];
+    }
+
+    const references = await this.knowledge.retrieve(generation.userId, this.knowledge.buildQuery(parameters));
+
+    logger.info('Knowledge base references retrieved', {
+      generationId: generation.id,
+      references: references.length
+    });
+
+    return references;
+  }
+
+  // The references of a generation as recorded in its metadata, without their text
+  summarizeReferences(references) {
+    return references.map(({ chunkId, documentId, score }) => ({ chunkId, documentId, score }));
+  }
+
+  /**
+   * Compare generated content with the rest of its owner's library. The
+   * comparison is advisory, so a failure leaves the item without a report
+   * instead of failing the generation.
+   * @param {object} contentItem - ContentItem being generated
+   * @param {string} content - Processed content
+   * @param {Array<number>|null} fingerprint - Its signature
+   * @returns {Promise<object|null>} Similarity report, or null if the comparison failed
+   */
+  async compareWithLibrary(contentItem, content, fingerprint) {
+    try {
+      return await this.similarity.compare(contentItem, content, fingerprint);
+    } catch (error) {
+      logger.error('Near-duplicate check failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Mark the translations of regenerated content stale. The content has been
+   * delivered by now, so a failure is logged instead of failing the generation.
+   * @param {object} contentItem - Regenerated ContentItem
+   */
+  async markTranslationsStale(contentItem) {
+    try {
+      await this.translation.markStale(contentItem.id);
+    } catch (error) {
+      logger.error('Failed to mark translations stale:', error);
+    }
+  }
+
+  /**
+   * Record generated content in its item's revision history. Like marking
+   * translations stale, a failure must not refund content already delivered.
+   * @param {object} contentItem - Updated ContentItem
+   * @param {object} generation - Generation that wrote it
+   */
+  async recordRevision(contentItem, generation) {
+    try {
+      await this.revisions.record(contentItem, {
+        source: 'generation',
+        authorId: generation.userId,
+        generationId: generation.id
+      });
+    } catch (error) {
+      logger.error('Failed to record generated revision:', error);
+    }
+  }
+
+  /**
+   * Generate one row of a batch, then update the batch's progress. Rows of
+   * paused batches are left queued; resuming the batch queues them again.
+   * @param {object} job - Message with the batch and the row's generation ID
+   * @returns {Promise<object|null>} Updated generation, or null if the row was skipped
+   */
+  async processBatchRow(job) {
+    if (!(await this.batches.isRunning(job.batchId))) {
+      logger.info('Skipping row of a batch that is not running', {
+        batchId: job.batchId,
+        generationId: job.generationId
+      });
+      return null;
+    }
+
+    const generation = await this.claimGeneration(job.generationId);
+
+    if (!generation) {
+      return null;
+    }
+
+    await this.processContent(generation);
+
+    // The row is settled either way; a failed progress update must not redeliver it
+    try {
+      await this.batches.refreshProgress(job.batchId);
+    } catch (error) {
+      logger.error('Failed to update batch progress:', error);
+    }
+
+    return generation;
+  }
+
+  /**
+   * Generate the variants of a variations request one after another. Each
+   * variant is a generation with its own credit hold, so a failed or cancelled
+   * variant does not affect the others.
+   * @param {object} job - Message with the variation group and its generation IDs
+   * @returns {Promise<Array>} Variants processed; those no longer queued are skipped
+   */
+  async processVariations(job) {
+    const variants = [];
+
+    for (const generationId of job.generationIds) {
+      const generation = await this.claimGeneration(generationId);
+
+      if (generation) {
+        variants.push(await this.processVariant(generation));
+      }
+    }
+
+    logger.info('Variations processed', {
+      variationGroupId: job.variationGroupId,
+      variants: variants.length
+    });
+
+    return variants;
+  }
+
+  /**
+   * Generate one variant. Its text is kept on the generation until the user
+   * promotes it; the content item is not changed.
+   * @param {object} generation - Claimed generation
+   * @returns {Promise<object>} Updated generation
+   */
+  async processVariant(generation) {
+    const stream = this.createContentStream(generation.id);
+    const trail = this.audit.createTrail();
+    // The provider's reply, charged if a later step fails
+    let result = null;
+
+    try {
+      const contentItem = await ContentItem.findByPk(generation.contentItemId);
+
+      if (!contentItem) {
+        throw new Error('Content item not found');
+      }
+
+      const template = await this.loadTemplate(generation);
+      const voiceProfile = await this.loadVoiceProfile(generation);
+      const parameters = templateService.resolveParameters(template, generation.promptData);
+      const contentType = parameters.contentType || contentItem.contentType;
+      const { variation } = generation.promptData;
+
+      const references = variation.target === 'content' ? await this.retrieveReferences(generation, parameters) : [];
+      const basePrompt = variation.target === 'content' ? this.ai.buildPrompt(contentType, { ...parameters, references }, template) : null;
+      const prompt = this.ai.buildVariationPrompt(basePrompt, variation, contentItem, parameters);
+      const options = { ...this.buildGenerationOptions(generation, parameters, voiceProfile), onCall: trail.onCall };
+
+      if (variation.target === 'content' && this.longForm.isLongForm(parameters, contentType)) {
+        // Variants are compared side by side, so their outlines are not reviewed
+        try {
+          result = await this.generateLongForm(generation, prompt, { ...parameters, reviewOutline: false }, options, stream);
+        } catch (error) {
+          throw await this.chargeCompletedSteps(generation, error);
+        }
+      } else {
+        result = await this.ai.generate(prompt, { ...options, onToken: stream.onToken });
+      }
+      await stream.flush();
+
+      let output = result.content.trim();
+      let sources = null;
+
+      if (variation.target === 'content') {
+        const processed = await this.processor.process(result.content, {
+          contentType,
+          formatType: contentItem.format || 'markdown',
+          applyKeywordOptimization: Boolean(parameters.seoOptimize),
+          keywords: parameters.keywords || [],
+          sources: references,
+          onStep: trail.onStep
+        });
+        output = processed.content;
+        sources = processed.metadata.sources || null;
+      } else if (variation.target === 'headline') {
+        // Keep the first line, without Markdown heading marks or quotes
+        output = output.split('\n')[0].replace(/^#+\s*/, '').replace(/^["'\u201c]+|["'\u201d]+$/g, '').trim();
+      }
+
+      const wordCount = this.processor.countWords(output);
+      const voiceViolations = this.voice.checkText(output, voiceProfile);
+      // Checked now, and held for review if flagged when the variant is promoted
+      const moderation = await this.moderation.check(output);
+      const needsReview = this.moderation.isFlagged(moderation);
+      const creditsUsed = await this.settleCredits(generation, result);
+
+      await generation.update({
+        status: 'completed',
+        completionTime: new Date(),
+        aiProvider: result.provider,
+        aiModel: result.model,
+        creditsUsed,
+        output,
+        metadata: {
+          ...generation.metadata,
+          usage: result.usage,
+          wordCount,
+          ...(voiceProfile && { voiceViolations }),
+          moderation,
+          ...(references.length > 0 && { references: this.summarizeReferences(references), sources }),
+          ...(result.attempts && result.attempts.length > 0 && { failedAttempts: result.attempts })
+        }
+      });
+
+      await this.progress.publish(generation.id, {
+        type: 'status',
+        status: 'completed',
+        contentItemId: contentItem.id,
+        variationGroupId: generation.variationGroupId,
+        creditsUsed: generation.creditsUsed,
+        wordCount,
+        ...(voiceProfile && { voiceViolations }),
+        ...(needsReview && { needsReview, moderationReasons: moderation.reasons })
+      });
+    } catch (error) {
+      await this.failGeneration(generation, this.chargeReply(error, result), stream);
+    } finally {
+      await this.saveAuditTrail(generation, trail);
+    }
+
+    return generation;
+  }
+
+  /**
+   * Generate the SEO metadata of a content item from its current content and
+   * store it in the item's metadata.seo
+   * @param {object} generation - Claimed generation
+   * @returns {Promise<object>} Updated generation
+   */
+  async processSeo(generation) {
+    const stream = this.createContentStream(generation.id);
+    const trail = this.audit.createTrail();
+
+    try {
+      const contentItem = await ContentItem.findByPk(generation.contentItemId);
+
+      if (!contentItem) {
+        throw new Error('Content item not found');
+      }
+
+      if (!contentItem.content) {
+        throw new Error('Content item has no content');
+      }
+
+      const { keywords = [] } = generation.promptData;
+      const voiceProfile = await this.loadVoiceProfile(generation);
+      const prompt = this.ai.buildSeoPrompt(contentItem, { keywords, limits: this.seo.limits });
+
+      // Not streamed: partial JSON is of no use to the editor
+      const result = await this.ai.generate(prompt, {
+        ...this.buildGenerationOptions(generation, generation.promptData, voiceProfile),
+        onCall: trail.onCall,
+        temperature: SEO_TEMPERATURE,
+        maxTokens: SEO_MAX_TOKENS
+      });
+
+      const seo = this.seo.buildMetadata(this.seo.parseResponse(result.content), contentItem, { keywords });
+      const voiceViolations = this.voice.checkText(
+        [seo.metaTitle, seo.metaDescription, seo.excerpt, seo.openGraph.title, seo.openGraph.description].join('\n'),
+        voiceProfile
+      );
+
+      await contentItem.update({
+        metadata: {
+          ...contentItem.metadata,
+          seo: {
+            ...seo,
+            generationId: generation.id
+          }
+        }
+      });
+
+      const creditsUsed = await this.settleCredits(generation, result);
+
+      await generation.update({
+        status: 'completed',
+        completionTime: new Date(),
+        aiProvider: result.provider,
+        aiModel: result.model,
+        creditsUsed,
+        metadata: {
+          ...generation.metadata,
+          usage: result.usage,
+          ...(voiceProfile && { voiceViolations }),
+          ...(result.attempts && result.attempts.length > 0 && { failedAttempts: result.attempts })
+        }
+      });
+
+      await this.progress.publish(generation.id, {
+        type: 'status',
+        status: 'completed',
+        contentItemId: contentItem.id,
+        creditsUsed: generation.creditsUsed,
+        seo,
+        ...(voiceProfile && { voiceViolations })
+      });
+
+      logger.info('SEO metadata generated', {
+        generationId: generation.id,
+        contentItemId: contentItem.id
+      });
+    } catch (error) {
+      await this.failGeneration(generation, error, stream);
+    } finally {
+      await this.saveAuditTrail(generation, trail);
+    }
+
+    return generation;
+  }
+
+  /**
+   * Translate a source item into the locale of the sibling item the
+   * generation belongs to, replacing that item's title and content
+   * @param {object} generation - Claimed generation with task 'translation'
+   * @returns {Promise<object>} Updated generation
+   */
+  async processTranslation(generation) {
+    const stream = this.createContentStream(generation.id);
+    const trail = this.audit.createTrail();
+
+    try {
+      const contentItem = await ContentItem.findByPk(generation.contentItemId);
+
+      if (!contentItem) {
+        throw new Error('Content item not found');
+      }
+
+      const source = contentItem.sourceItemId ? await ContentItem.findByPk(contentItem.sourceItemId) : null;
+
+      if (!source || !source.content) {
+        throw new Error('The source of the translation has no content');
+      }
+
+      const { locale, sourceLocale = null, glossary = [] } = generation.promptData;
+      const { prompt, placeholders } = this.translation.buildPrompt(source, { locale, sourceLocale, glossary });
+
+      // Not streamed: the reply holds placeholders and tags until it is parsed
+      const result = await this.ai.generate(prompt, {
+        ...this.buildGenerationOptions(generation, generation.promptData),
+        onCall: trail.onCall,
+        temperature: TRANSLATION_TEMPERATURE,
+        maxTokens: Math.max(Math.ceil((source.wordCount || 0) * TRANSLATION_TOKENS_PER_WORD), TRANSLATION_MIN_TOKENS)
+      });
+
+      const reply = this.translation.parseResponse(result.content);
+      // Glossary terms the model translated or dropped instead of keeping their placeholder
+      const missingTerms = this.translation.findMissingTerms([reply.title || '', reply.content], placeholders);
+      const title = reply.title ? this.translation.restoreTerms(reply.title, placeholders) : source.title;
+      const content = this.translation.restoreTerms(reply.content, placeholders);
+      const structure = this.translation.compareStructure(source.content, content);
+      const wordCount = this.processor.countWords(content);
+      const moderation = await this.moderation.check(content);
+      const needsReview = this.moderation.isFlagged(moderation);
+
+      await contentItem.update({
+        title: title.slice(0, 255),
+        content,
+        wordCount,
+        status: needsReview ? 'needs_review' : 'generated',
+        fingerprint: this.similarity.fingerprint(content),
+        translationStale: false,
+        metadata: {
+          ...contentItem.metadata,
+          generationId: generation.id,
+          generationCompleted: true,
+          generatedAt: new Date().toISOString(),
+          translation: {
+            sourceItemId: source.id,
+            sourceLocale,
+            locale,
+            // The source as it was translated; later edits mark the item stale
+            sourceUpdatedAt: source.updatedAt,
+            glossary: placeholders,
+            missingTerms,
+            structure
+          },
+          moderation
+        }
+      });
+      await this.recordRevision(contentItem, generation);
+
+      const creditsUsed = await this.settleCredits(generation, result);
+
+      await generation.update({
+        status: 'completed',
+        completionTime: new Date(),
+        aiProvider: result.provider,
+        aiModel: result.model,
+        creditsUsed,
+        metadata: {
+          ...generation.metadata,
+          usage: result.usage,
+          wordCount,
+          ...(missingTerms.length > 0 && { missingTerms }),
+          ...(!structure.matches && { structure }),
+          ...(needsReview && { moderation }),
+          ...(result.attempts && result.attempts.length > 0 && { failedAttempts: result.attempts })
+        }
+      });
+
+      await this.progress.publish(generation.id, {
+        type: 'status',
+        status: 'completed',
+        contentItemId: contentItem.id,
+        sourceItemId: source.id,
+        locale,
+        creditsUsed: generation.creditsUsed,
+        wordCount,
+        ...(missingTerms.length > 0 && { missingTerms }),
+        ...(!structure.matches && { structureMismatch: true }),
+        ...(needsReview && { needsReview, moderationReasons: moderation.reasons })
+      });
+
+      logger.info('Translation completed', {
+        generationId: generation.id,
+        contentItemId: contentItem.id,
+        sourceItemId: source.id,
+        locale
+      });
+    } catch (error) {
+      await this.failGeneration(generation, error, stream);
+    } finally {
+      await this.saveAuditTrail(generation, trail);
+    }
+
+    return generation;
+  }
+
+  /**
+   * Suggest an edit of a passage of a content item. The suggestion is kept in
+   * the generation's metadata and published; the item is left as it is.
+   * @param {object} generation - Claimed generation with task 'edit'
+   * @returns {Promise<object>} Updated generation
+   */
+  async processEdit(generation) {
+    const stream = this.createContentStream(generation.id);
+    const trail = this.audit.createTrail();
+
+    try {
+      const contentItem = await ContentItem.findByPk(generation.contentItemId);
+
+      if (!contentItem) {
+        throw new Error('Content item not found');
+      }
+
+      const { operation, text, wordCount } = generation.promptData;
+      const voiceProfile = await this.loadVoiceProfile(generation);
+      const prompt = this.edit.buildPrompt(contentItem, generation.promptData);
+
+      // Not streamed: the suggestion is shown whole, next to the selection
+      const result = await this.ai.generate(prompt, {
+        ...this.buildGenerationOptions(generation, generation.promptData, voiceProfile),
+        onCall: trail.onCall,
+        temperature: this.edit.temperature(operation),
+        maxTokens: Math.max(Math.ceil(wordCount * EDIT_TOKENS_PER_WORD), EDIT_MIN_TOKENS)
+      });
+
+      const suggestion = this.edit.buildSuggestion(operation, text, this.edit.parseResponse(result.content));
+      const voiceViolations = this.voice.checkText(suggestion.text, voiceProfile);
+      const moderation = await this.moderation.check(suggestion.text);
+      const flagged = this.moderation.isFlagged(moderation);
+
+      const creditsUsed = await this.settleCredits(generation, result);
+
+      await generation.update({
+        status: 'completed',
+        completionTime: new Date(),
+        aiProvider: result.provider,
+        aiModel: result.model,
+        creditsUsed,
+        metadata: {
+          ...generation.metadata,
+          usage: result.usage,
+          suggestion,
+          ...(voiceProfile && { voiceViolations }),
+          ...(flagged && { moderation }),
+          ...(result.attempts && result.attempts.length > 0 && { failedAttempts: result.attempts })
+        }
+      });
+
+      await this.progress.publish(generation.id, {
+        type: 'status',
+        status: 'completed',
+        contentItemId: contentItem.id,
+        creditsUsed: generation.creditsUsed,
+        suggestion,
+        ...(voiceProfile && { voiceViolations }),
+        // Flagged suggestions are shown with their reasons rather than held
+        ...(flagged && { moderationReasons: moderation.reasons })
+      });
+
+      logger.info('Edit suggested', {
+        generationId: generation.id,
+        contentItemId: contentItem.id,
+        operation
+      });
+    } catch (error) {
+      await this.failGeneration(generation, error, stream);
+    } finally {
+      await this.saveAuditTrail(generation, trail);
+    }
+
+    return generation;
+  }
+
+  /**
+   * Claim a queued generation for this worker
+   * @param {string} generationId - Generation ID
+   * @returns {Promise<object|null>} Claimed generation, or null if it is gone or no longer queued
+   */
+  async claimGeneration(generationId) {
+    const generation = await ContentGeneration.findByPk(generationId);
+
+    if (!generation) {
+      logger.warn('Generation not found for queued job', { generationId });
+      return null;
+    }
+
+    // Cancelled or already handled generations are acknowledged without work
+    if (generation.status !== 'queued') {
+      logger.info('Skipping generation that is no longer queued', {
+        generationId: generation.id,
+        status: generation.status
+      });
+      return null;
+    }
+
+    // Claim the job with a conditional update so a concurrent cancellation or
+    // a redelivered message cannot start the same generation twice
+    const claim = {
+      status: 'processing',
+      processingStartedAt: new Date()
+    };
+    const [claimed] = await ContentGeneration.update(claim, {
+      where: { id: generation.id, status: 'queued' }
+    });
+
+    if (claimed === 0) {
+      logger.info('Generation was claimed or cancelled concurrently', { generationId: generation.id });
+      return null;
+    }
+
+    generation.set(claim);
+
+    await this.progress.publish(generation.id, {
+      type: 'status',
+      status: 'processing'
+    });
+
+    return generation;
+  }
+
+  /**
+   * Settle a generation's credit hold against the tokens actually used.
+   * Long-form results carry the sum of their steps' credits.
+   * @param {object} generation - Generation record
+   * @param {object} result - AI result
+   * @returns {Promise<number>} Credits charged
+   */
+  async settleCredits(generation, result) {
+    const actualCredits = result.creditsUsed !== undefined
+      ? result.creditsUsed
+      : this.credits.calculateActualCost(result.usage, result.model, result.provider);
+    const settlement = await this.credits.settleHold(generation.id, actualCredits);
+
+    return settlement ? settlement.creditsCharged : actualCredits;
+  }
+
+  /**
+   * Record a failed generation and close its credit hold. Provider calls that
+   * completed before the failure, given as error.creditsUsed or as the
+   * error.usage of a reply (see chargeReply) or of structured output that
+   * never matched its schema, are charged and the rest of the hold refunded; otherwise the whole hold is
+   * released. Failures are not rethrown, so the queue does not redeliver a
+   * job already marked failed.
+   * @param {object} generation - Generation record
+   * @param {Error} error - Failure
+   * @param {object} stream - Content stream from createContentStream
+   */
+  async failGeneration(generation, error, stream) {
+    logger.error('Generation failed:', error);
+
+    let creditsUsed = error.creditsUsed || 0;
+    if (!creditsUsed && error.usage) {
+      creditsUsed = this.credits.calculateActualCost(error.usage, error.model, error.provider);
+    }
+
+    await generation.update({
+      status: 'failed',
+      completionTime: new Date(),
+      error: error.message,
+      ...(creditsUsed > 0 && { creditsUsed }),
+      ...((error.attempts || error.usage) && {
+        metadata: {
+          ...generation.metadata,
+          ...(error.usage && { usage: error.usage }),
+          ...(error.attempts && { failedAttempts: error.attempts })
+        }
+      })
+    });
+
+    try {
+      if (creditsUsed > 0) {
+        await this.credits.settleHold(generation.id, creditsUsed);
+      } else {
+        await this.credits.releaseHold(generation.id, 'generation_failed');
+      }
+    } catch (holdError) {
+      logger.error('Failed to close credit hold:', holdError);
+    }
+
+    await stream.flush();
+    await this.progress.publish(generation.id, {
+      type: 'status',
+      status: 'failed',
+      error: error.message
+    });
+  }
+
+  /**
+   * Store the audit trail of a run. The trail only helps to explain the
+   * generation afterwards, so a failure to store it is logged and ignored.
+   * @param {object} generation - Generation record
+   * @param {object} trail - Trail from auditService.createTrail
+   */
+  async saveAuditTrail(generation, trail) {
+    try {
+      await this.audit.save(generation, trail);
+    } catch (error) {
+      logger.error('Failed to save the audit trail:', error);
+    }
+  }
+
+  /**
+   * Delete expired audit trails now, and then periodically while the worker
+   * is running
+   */
+  scheduleAuditPurge() {
+    const purge = () => this.audit.purgeExpired().catch((error) => {
+      logger.error('Failed to purge audit trails:', error);
+    });
+
+    purge();
+    this.purgeTimer = setInterval(purge, this.audit.purgeInterval);
+    // The timer alone does not keep the process running
+    this.purgeTimer.unref();
+  }
+
+  /**
+   * Write a long post from an outline, one AI call per section, with the
+   * outline and the preceding sections as context. The outline is generated
+   * first; with promptData.reviewOutline the generation then waits for it to
+   * be approved, or edited, through the API and is queued again.
+   * @param {object} generation - Generation record
+   * @param {string} brief - Prompt the post would be generated from in one call
+   * @param {object} parameters - Resolved prompt parameters
+   * @param {object} options - Options for aiService.generate
+   * @param {object} stream - Content stream from createContentStream
+   * @returns {Promise<object|null>} Combined result, or null while the outline awaits review
+   */
+  async generateLongForm(generation, brief, parameters, options, stream) {
+    const wordCount = parseInt(parameters.wordCount) || this.longForm.minWordCount;
+    let { outline } = generation.metadata || {};
+
+    // An approved outline is kept when the generation is queued again
+    if (!outline) {
+      const prompt = this.ai.buildOutlinePrompt(brief, { wordCount, maxSections: this.longForm.maxSections });
+      const { result } = await this.runStep(generation, { type: 'outline', position: 0, title: 'Outline' }, prompt, {
+        ...options,
+        maxTokens: OUTLINE_MAX_TOKENS
+      });
+
+      outline = this.longForm.parseOutline(result.content, wordCount);
+      await generation.update({ metadata: { ...generation.metadata, outline } });
+
+      if (parameters.reviewOutline) {
+        return null;
+      }
+    }
+
+    const sections = [];
+    let result = null;
+
+    for (let index = 0; index < outline.sections.length; index++) {
+      const section = outline.sections[index];
+      const prompt = this.ai.buildSectionPrompt(brief, outline, index, this.longForm.selectContext(sections));
+
+      stream.onToken(this.longForm.sectionHeading(outline, index));
+
+      ({ result } = await this.runStep(generation, { type: 'section', position: index + 1, title: section.heading }, prompt, {
+        ...options,
+        // Room for the section's words, at roughly 4/3 tokens a word, and some overrun
+        maxTokens: Math.max(Math.ceil(section.wordCount * 2), 256),
+        onToken: stream.onToken
+      }));
+
+      sections.push({ heading: section.heading, content: this.longForm.stripLeadingHeading(result.content) });
+    }
+
+    // Totals include the outline, which may have been written before a review
+    const steps = await GenerationStep.findAll({
+      where: { generationId: generation.id, status: 'completed' }
+    });
+
+    return {
+      content: this.longForm.stitch(outline, sections.map(section => section.content)),
+      provider: result.provider,
+      model: result.model,
+      usage: steps.reduce((usage, step) => ({
+        promptTokens: usage.promptTokens + (step.usage.promptTokens || 0),
+        completionTokens: usage.completionTokens + (step.usage.completionTokens || 0),
+        totalTokens: usage.totalTokens + (step.usage.totalTokens || 0)
+      }), { promptTokens: 0, completionTokens: 0, totalTokens: 0 }),
+      creditsUsed: steps.reduce((total, step) => total + step.creditsUsed, 0),
+      attempts: steps.reduce((attempts, step) => attempts.concat(step.failedAttempts || []), [])
+    };
+  }
+
+  /**
+   * Give the error of a failed long-form generation the credits of the steps
+   * completed before it, so failGeneration charges for the outline and the
+   * sections already written
+   * @param {object} generation - Generation record
+   * @param {Error} error - Failure
+   * @returns {Promise<Error>} The error
+   */
+  async chargeCompletedSteps(generation, error) {
+    const steps = await GenerationStep.findAll({
+      where: { generationId: generation.id, status: 'completed' }
+    });
+    error.creditsUsed = steps.reduce((total, step) => total + step.creditsUsed, 0);
+
+    return error;
+  }
+
+  /**
+   * Give an error raised after the provider replied, such as a failed
+   * moderation check, the usage of that reply so failGeneration charges it.
+   * Errors that already carry their cost are left as they are.
+   * @param {Error} error - Failure
+   * @param {object|null} result - Provider reply, null if there was none
+   * @returns {Error} The error
+   */
+  chargeReply(error, result) {
+    if (!result || error.creditsUsed !== undefined || error.usage) {
+      return error;
+    }
+
+    return Object.assign(error, {
+      usage: result.usage,
+      model: result.model,
+      provider: result.provider,
+      ...(result.creditsUsed !== undefined && { creditsUsed: result.creditsUsed })
+    });
+  }
+
+  /**
+   * Make one AI call of a multi-step generation, recording it as a
+   * GenerationStep so its provider, credits or failure can be traced
+   * @param {object} generation - Generation record
+   * @param {object} attributes - Step type, position and title
+   * @param {string} prompt - Prompt
+   * @param {object} options - Options for aiService.generate
+   * @returns {Promise<object>} Step record and AI result
+   */
+  async runStep(generation, attributes, prompt, options) {
+    const step = await GenerationStep.create({
+      ...attributes,
+      generationId: generation.id,
+      status: 'processing'
+    });
+
+    const publishStep = (fields) => this.progress.publish(generation.id, {
+      type: 'step',
+      step: attributes.type,
+      position: attributes.position,
+      title: attributes.title,
+      ...fields
+    });
+
+    await publishStep({ status: 'processing' });
+
+    try {
+      const result = await this.ai.generate(prompt, options);
+      const creditsUsed = this.credits.calculateActualCost(result.usage, result.model, result.provider);
+
+      await step.update({
+        status: 'completed',
+        content: result.content,
+        aiProvider: result.provider,
+        aiModel: result.model,
+        usage: result.usage,
+        creditsUsed,
+        failedAttempts: result.attempts || [],
+        completionTime: new Date()
+      });
+      await publishStep({ status: 'completed', creditsUsed });
+
+      return { step, result };
+    } catch (error) {
+      await step.update({
+        status: 'failed',
+        error: error.message,
+        failedAttempts: error.attempts || [],
+        completionTime: new Date()
+      });
+      await publishStep({ status: 'failed', error: error.message });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Hold a long-form generation until its outline is approved. The credit
+   * hold stays open meanwhile.
+   * @param {object} generation - Generation record
+   * @returns {Promise<object>} Updated generation
+   */
+  async awaitOutlineReview(generation) {
+    await generation.update({ status: 'awaiting_outline' });
+
+    await this.progress.publish(generation.id, {
+      type: 'status',
+      status: 'awaiting_outline',
+      outline: generation.metadata.outline
+    });
+
+    logger.info('Generation outline awaiting review', { generationId: generation.id });
+
+    return generation;
+  }
+
+  /**
+   * Batch streamed tokens into content progress events
+   * @param {string} generationId - Generation ID
+   * @returns {object} onToken callback for the provider and a flush function
+   */
+  createContentStream(generationId) {
+    let buffer = '';
+    let lastFlush = Date.now();
+    let publishing = Promise.resolve();
+
+    // Chain publishes so content events arrive in order
+    const flush = () => {
+      if (buffer) {
+        const delta = buffer;
+        buffer = '';
+        lastFlush = Date.now();
+        publishing = publishing.then(() => this.progress.publish(generationId, {
+          type: 'content',
+          delta
+        }));
+      }
+
+      return publishing;
+    };
+
+    const onToken = (token) => {
+      buffer += token;
+
+      if (Date.now() - lastFlush >= CONTENT_FLUSH_INTERVAL) {
+        flush();
+      }
+    };
+
+    return { onToken, flush };
+  }
+
+  /**
+   * Load the template version a generation was pinned to. Generations queued
+   * before templates were versioned use the template itself.
+   * @param {object} generation - Generation record
+   * @returns {Promise<object|null>} TemplateVersion or Template, if any
+   */
+  async loadTemplate(generation) {
+    if (generation.templateVersionId) {
+      return TemplateVersion.findByPk(generation.templateVersionId);
+    }
+
+    const { templateId } = generation.promptData || {};
+
+    return templateId ? Template.findByPk(templateId) : null;
+  }
+
+  /**
+   * Load the voice profile a generation was requested with
+   * @param {object} generation - Generation record
+   * @returns {Promise<object|null>} VoiceProfile, if any
+   */
+  async loadVoiceProfile(generation) {
+    return generation.voiceProfileId ? VoiceProfile.findByPk(generation.voiceProfileId) : null;
+  }
+
+  /**
+   * Map generation parameters onto AI provider options
+   * @param {object} generation - Generation record
+   * @param {object} parameters - Resolved prompt parameters
+   * @param {object|null} voiceProfile - Voice profile compiled into the system message
+   * @returns {object} Options for aiService.generate
+   */
+  buildGenerationOptions(generation, parameters, voiceProfile = null) {
+    const options = {};
+
+    if (voiceProfile) {
+      options.systemMessage = this.ai.buildSystemMessage(voiceProfile);
+    }
+
+    if (generation.aiProvider && generation.aiProvider !== 'default') {
+      options.provider = generation.aiProvider;
+    }
+
+    if (parameters.model) options.model = parameters.model;
+    if (parameters.creativity !== undefined) options.temperature = parameters.creativity;
+    if (parameters.maxTokens) options.maxTokens = parameters.maxTokens;
+
+    return options;
+  }
+}
+
+// Export a singleton instance
+const generationWorker = new GenerationWorker();
+
+async function startWorker() {
+  try {
+    // Test database connection
+    await sequelize.authenticate();
+    logger.info('Database connection established successfully');
+
+    await generationWorker.start();
+
+    // Let the API report the breakers this worker's AI calls trip
+    await aiService.shareBreakers();
+  } catch (error) {
+    logger.error('Unable to start generation worker:', error);
+    process.exit(1);
+  }
+}
+
+// Handle graceful shutdown
+const gracefulShutdown = async () => {
+  logger.info('Shutting down generation worker...');
+
+  try {
+    await generationWorker.stop();
+    await queueService.close();
+    await sequelize.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error during worker shutdown:', error);
+    process.exit(1);
+  }
+};
+
+// Run the worker if this script is executed directly
+if (require.main === module) {
+  startWorker();
+
+  process.on('SIGTERM', gracefulShutdown);
+  process.on('SIGINT', gracefulShutdown);
+}
+
+module.exports = { GenerationWorker, generationWorker };
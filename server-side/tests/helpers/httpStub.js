@@ -0,0 +1,81 @@
+// backend/tests/helpers/httpStub.js
+const http = require('http');
+
+/**
+ * Local HTTP server standing in for a provider API. Routes are registered
+ * as "METHOD /path" handlers; every request is recorded with its parsed body.
+ * Unregistered routes answer 404 with an API-style error body.
+ */
+class HttpStub {
+  constructor() {
+    this.routes = {};
+    this.requests = [];
+    this.url = null;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  on(method, path, handler) {
+    this.routes[`${method} ${path}`] = handler;
+    return this;
+  }
+
+  reset() {
+    this.routes = {};
+    this.requests = [];
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    // Clients keep connections alive, so close them rather than wait
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  handle(req, res) {
+    let raw = '';
+
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+
+    req.on('end', () => {
+      const path = req.url.split('?')[0];
+      const body = raw ? JSON.parse(raw) : null;
+
+      this.requests.push({ method: req.method, path, headers: req.headers, body });
+
+      const handler = this.routes[`${req.method} ${path}`];
+
+      if (!handler) {
+        return jsonResponse(404, { error: { type: 'not_found_error', message: `No stub for ${req.method} ${path}` } })(req, res);
+      }
+
+      handler(req, res, body);
+    });
+  }
+}
+
+// Respond with a JSON body
+const jsonResponse = (status, payload) => (req, res) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+};
+
+// Respond with a Server-Sent Events stream of { event, data } messages
+const sseResponse = events => (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+
+  events.forEach(({ event, data }) => {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`);
+  });
+
+  res.end();
+};
+
+module.exports = { HttpStub, jsonResponse, sseResponse };
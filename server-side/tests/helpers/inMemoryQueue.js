@@ -0,0 +1,107 @@
+// backend/tests/helpers/inMemoryQueue.js
+const { EventEmitter } = require('events');
+
+/**
+ * In-memory stand-in for queueService with the same enqueue/consume and
+ * publish/subscribe surface. Messages are delivered to the registered consumer
+ * in order; a message whose handler throws is recorded as failed instead of
+ * being redelivered. Published messages are delivered synchronously.
+ */
+class InMemoryQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.messages = {};
+    this.consumers = {};
+    this.subscribers = [];
+    this.published = [];
+    this.failed = [];
+    this.processing = Promise.resolve();
+    this.nextTag = 1;
+  }
+
+  async enqueue(queue, message) {
+    this.messages[queue] = this.messages[queue] || [];
+    this.messages[queue].push(JSON.parse(JSON.stringify(message)));
+    this.drain(queue);
+    return true;
+  }
+
+  async consume(queue, handler) {
+    const consumerTag = `consumer-${this.nextTag++}`;
+    this.consumers[queue] = { consumerTag, handler };
+    this.drain(queue);
+    return consumerTag;
+  }
+
+  async cancelConsumer(consumerTag) {
+    this.subscribers = this.subscribers.filter(s => s.consumerTag !== consumerTag);
+
+    for (const [queue, consumer] of Object.entries(this.consumers)) {
+      if (consumer.consumerTag === consumerTag) {
+        delete this.consumers[queue];
+      }
+    }
+    return true;
+  }
+
+  async publish(exchange, routingKey, message) {
+    const copy = JSON.parse(JSON.stringify(message));
+    this.published.push({ exchange, routingKey, message: copy });
+
+    this.subscribers
+      .filter(s => s.exchange === exchange && s.matcher.test(routingKey))
+      .forEach(s => s.handler(copy, routingKey));
+
+    return true;
+  }
+
+  async subscribe(exchange, pattern, handler) {
+    const consumerTag = `consumer-${this.nextTag++}`;
+
+    // Topic patterns: '*' matches one word, '#' matches any number of words
+    const source = pattern
+      .split('.')
+      .map(word => (word === '*' ? '[^.]+' : word === '#' ? '.*' : word.replace(/[*+?^${}()|[\]\\]/g, '\\$&')))
+      .join('\\.');
+
+    this.subscribers.push({ consumerTag, exchange, handler, matcher: new RegExp(`^${source}$`) });
+    return consumerTag;
+  }
+
+  async removeFromQueue(queue, messageId) {
+    const pending = this.messages[queue] || [];
+    const index = pending.findIndex(m => m.id === messageId || m.generationId === messageId);
+
+    if (index === -1) {
+      throw new Error(`Message ${messageId} not found in queue ${queue}`);
+    }
+
+    pending.splice(index, 1);
+    return true;
+  }
+
+  drain(queue) {
+    this.processing = this.processing.then(async () => {
+      const consumer = this.consumers[queue];
+      const pending = this.messages[queue] || [];
+
+      while (consumer && pending.length > 0) {
+        const message = pending.shift();
+        try {
+          await consumer.handler(message);
+          this.emit('processed', { queue, message });
+        } catch (error) {
+          this.failed.push({ queue, message, error });
+          this.emit('failed', { queue, message, error });
+        }
+      }
+    });
+  }
+
+  // Resolve once every delivered message has been handled
+  async idle() {
+    await this.processing;
+  }
+}
+
+module.exports = { InMemoryQueue };
@@ -0,0 +1,272 @@
+// backend/tests/integration/api/generation.test.js
+const request = require('supertest');
+const express = require('express');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const generationRoutes = require('../../../src/api/generation');
+const errorHandler = require('../../../src/middlewares/errorHandler');
+const config = require('../../../src/config/auth');
+const { User, ContentGeneration, ContentItem, CreditAccount, Folder, GenerationStep } = require('../../../src/db/models');
+const { creditService } = require('../../../src/services/creditService');
+const { queueService } = require('../../../src/services/queueService');
+const { progressService } = require('../../../src/services/progressService');
+const { searchService } = require('../../../src/services/searchService');
+
+describe('Generation API', () => {
+  let sandbox;
+  let app;
+  let user;
+  let token;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/generation', generationRoutes);
+    app.use(errorHandler);
+
+    user = { id: uuidv4(), email: 'writer@example.com', role: 'user', status: 'active' };
+    token = jwt.sign({ id: user.id }, config.jwtSecret);
+    sandbox.stub(User, 'findByPk').resolves(user);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('POST /api/generation', () => {
+    let contentItem;
+    let generation;
+
+    beforeEach(() => {
+      contentItem = { id: uuidv4(), projectId: null, folderId: null, destroy: sinon.stub().resolves() };
+      sandbox.stub(CreditAccount, 'findOne').resolves({ userId: user.id, creditsRemaining: 100000 });
+      sandbox.stub(ContentItem, 'create').resolves(contentItem);
+      sandbox.stub(ContentGeneration, 'create').callsFake(async (data) => {
+        generation = { ...data, update: sinon.stub().resolves() };
+        return generation;
+      });
+    });
+
+    const createGeneration = () => request(app)
+      .post('/api/generation')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Remote work', contentType: 'blog', promptData: { topic: 'Remote work', wordCount: 800 } });
+
+    it('should delete the new draft when its credits cannot be held', async () => {
+      const insufficient = Object.assign(new Error('Insufficient credits'), {
+        statusCode: 402,
+        data: { required: 800, available: 10 }
+      });
+      sandbox.stub(creditService, 'placeHold').rejects(insufficient);
+      sandbox.stub(queueService, 'enqueue');
+
+      const response = await createGeneration();
+
+      expect(response.status).to.equal(402);
+      expect(generation.update.calledWith({ status: 'failed', error: 'Insufficient credits' })).to.be.true;
+      expect(contentItem.destroy.calledOnce).to.be.true;
+      expect(queueService.enqueue.called).to.be.false;
+    });
+
+    it('should release the hold and delete the new draft when the job cannot be queued', async () => {
+      sandbox.stub(creditService, 'placeHold').resolves();
+      sandbox.stub(creditService, 'releaseHold').resolves({ creditsReleased: 800 });
+      sandbox.stub(queueService, 'enqueue').rejects(new Error('Channel closed'));
+
+      const response = await createGeneration();
+
+      expect(response.status).to.equal(500);
+      expect(creditService.releaseHold.calledOnceWith(generation.id, 'generation_not_queued')).to.be.true;
+      expect(generation.update.calledWith({ status: 'failed', error: 'Channel closed' })).to.be.true;
+      expect(contentItem.destroy.calledOnce).to.be.true;
+    });
+  });
+
+  describe('GET /api/generation/history', () => {
+    it('should search the history rather than look up a generation called history', async () => {
+      const generation = { id: uuidv4(), status: 'completed', promptData: { topic: 'Remote work' } };
+      sandbox.stub(ContentGeneration, 'findByPk').resolves(null);
+      sandbox.stub(searchService, 'searchGenerations').resolves({ count: 1, rows: [generation] });
+
+      const response = await request(app)
+        .get('/api/generation/history')
+        .query({ search: 'remote work', limit: 5 })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).to.equal(200);
+      expect(ContentGeneration.findByPk.called).to.be.false;
+      expect(searchService.searchGenerations.firstCall.args[1]).to.include({ search: 'remote work' });
+      expect(response.body.generations.map(item => item.id)).to.deep.equal([generation.id]);
+      expect(response.body.pagination).to.include({ totalItems: 1, itemsPerPage: 5 });
+    });
+
+    it('should list the generations filed in a folder and its subfolders', async () => {
+      const folderId = uuidv4();
+      const subfolderId = uuidv4();
+      sandbox.stub(ContentGeneration, 'findByPk').resolves(null);
+      sandbox.stub(Folder, 'findAll').resolves([
+        { id: folderId, parentId: null },
+        { id: subfolderId, parentId: folderId },
+        { id: uuidv4(), parentId: null }
+      ]);
+      sandbox.stub(ContentGeneration, 'findAndCountAll').resolves({ count: 0, rows: [] });
+
+      const response = await request(app)
+        .get('/api/generation/history')
+        .query({ folderId })
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).to.equal(200);
+      expect(ContentGeneration.findAndCountAll.firstCall.args[0].where).to.deep.equal({
+        userId: user.id,
+        folderId: [folderId, subfolderId]
+      });
+    });
+  });
+
+  describe('POST /api/generation/:id/cancel', () => {
+    let generation;
+
+    beforeEach(() => {
+      generation = { id: uuidv4(), userId: user.id, status: 'awaiting_outline', batchId: null };
+      sandbox.stub(ContentGeneration, 'findByPk').resolves(generation);
+      sandbox.stub(ContentGeneration, 'findOne').resolves(generation);
+      sandbox.stub(ContentGeneration, 'update').resolves([1]);
+      sandbox.stub(progressService, 'publish').resolves();
+      sandbox.stub(queueService, 'removeFromQueue').resolves();
+      sandbox.stub(creditService, 'settleHold').resolves({ creditsCharged: 40, creditsRefunded: 760 });
+      sandbox.stub(creditService, 'releaseHold').resolves({ creditsReleased: 800 });
+    });
+
+    const cancel = () => request(app)
+      .post(`/api/generation/${generation.id}/cancel`)
+      .set('Authorization', `Bearer ${token}`);
+
+    it('should charge the outline of a long-form generation and refund the rest', async () => {
+      sandbox.stub(GenerationStep, 'findAll').resolves([{ type: 'outline', status: 'completed', creditsUsed: 40 }]);
+
+      const response = await cancel();
+
+      expect(response.status).to.equal(200);
+      expect(response.body.creditsRefunded).to.equal(760);
+      expect(creditService.settleHold.calledOnceWith(generation.id, 40)).to.be.true;
+      expect(creditService.releaseHold.called).to.be.false;
+      expect(ContentGeneration.update.firstCall.args[0]).to.include({ status: 'failed', creditsUsed: 40 });
+    });
+
+    it('should release the whole hold when no step has completed', async () => {
+      generation.status = 'queued';
+      sandbox.stub(GenerationStep, 'findAll').resolves([]);
+
+      const response = await cancel();
+
+      expect(response.status).to.equal(200);
+      expect(response.body.creditsRefunded).to.equal(800);
+      expect(creditService.releaseHold.calledOnceWith(generation.id, 'cancelled_by_user')).to.be.true;
+      expect(creditService.settleHold.called).to.be.false;
+    });
+  });
+
+  describe('PUT /api/generation/:id/outline', () => {
+    it('should hand the outline back for approval when the job cannot be queued', async () => {
+      const metadata = {
+        outline: { title: 'Remote work', sections: [{ heading: 'Why', wordCount: 800 }] }
+      };
+      const generation = { id: uuidv4(), userId: user.id, status: 'awaiting_outline', metadata, promptData: {} };
+      sandbox.stub(ContentGeneration, 'findByPk').resolves(generation);
+      sandbox.stub(ContentGeneration, 'findOne').resolves(generation);
+      sandbox.stub(ContentGeneration, 'update').resolves([1]);
+      sandbox.stub(progressService, 'publish').resolves();
+      sandbox.stub(creditService, 'releaseHold');
+      sandbox.stub(queueService, 'enqueue').rejects(new Error('Channel closed'));
+
+      const response = await request(app)
+        .put(`/api/generation/${generation.id}/outline`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({});
+
+      expect(response.status).to.equal(500);
+      expect(ContentGeneration.update.secondCall.args[0]).to.deep.equal({ status: 'awaiting_outline', metadata });
+      expect(creditService.releaseHold.called).to.be.false;
+      expect(progressService.publish.called).to.be.false;
+    });
+  });
+
+  describe('POST /api/generation/:id/regenerate', () => {
+    // A generation of the user's, found both by the ownership check and the handler
+    const stubGeneration = (data) => {
+      const generation = {
+        id: uuidv4(),
+        userId: user.id,
+        contentItemId: uuidv4(),
+        task: 'content',
+        variationGroupId: null,
+        promptData: { topic: 'Remote work' },
+        contentItem: { id: uuidv4(), contentType: 'blog' },
+        templateVersion: null,
+        ...data
+      };
+      sandbox.stub(ContentGeneration, 'findByPk').resolves(generation);
+      sandbox.stub(ContentGeneration, 'findOne').resolves(generation);
+      return generation;
+    };
+
+    const regenerate = generation => request(app)
+      .post(`/api/generation/${generation.id}/regenerate`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ promptUpdates: { tone: 'casual' } });
+
+    it('should not regenerate a variant as content of its item', async () => {
+      const generation = stubGeneration({ variationGroupId: uuidv4(), variantIndex: 1 });
+      sandbox.stub(ContentItem, 'create');
+      sandbox.stub(creditService, 'placeHold');
+      sandbox.stub(queueService, 'enqueue');
+
+      const response = await regenerate(generation);
+
+      expect(response.status).to.equal(400);
+      expect(response.body.error).to.include('/generation/content/:id/variations');
+      expect(creditService.placeHold.called).to.be.false;
+      expect(queueService.enqueue.called).to.be.false;
+    });
+
+    it('should send a translation back to the translation endpoint', async () => {
+      const generation = stubGeneration({
+        task: 'translation',
+        promptData: { sourceLocale: 'en', targetLocale: 'de' },
+        contentItem: { id: uuidv4(), contentType: 'blog', locale: 'de' }
+      });
+      sandbox.stub(ContentItem, 'create');
+      sandbox.stub(creditService, 'placeHold');
+      sandbox.stub(queueService, 'enqueue');
+
+      const response = await regenerate(generation);
+
+      expect(response.status).to.equal(400);
+      expect(response.body.error).to.include('/generation/translate/:contentId');
+      expect(creditService.placeHold.called).to.be.false;
+      expect(queueService.enqueue.called).to.be.false;
+    });
+
+    it('should send an inline edit back to the edit endpoint', async () => {
+      const generation = stubGeneration({
+        task: 'edit',
+        promptData: { instruction: 'shorten', selection: 'A long passage' }
+      });
+      sandbox.stub(ContentItem, 'create');
+      sandbox.stub(creditService, 'placeHold');
+      sandbox.stub(queueService, 'enqueue');
+
+      const response = await regenerate(generation);
+
+      expect(response.status).to.equal(400);
+      expect(response.body.error).to.include('/generation/edit/:contentId');
+      expect(creditService.placeHold.called).to.be.false;
+      expect(queueService.enqueue.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,315 @@
+// backend/tests/integration/services/aiProviders.test.js
+const { expect } = require('chai');
+const aiService = require('../../../src/services/aiService');
+const config = require('../../../src/config/ai');
+const { countTokens } = require('../../../src/utils/tokenizer');
+const { HttpStub, jsonResponse, sseResponse } = require('../../helpers/httpStub');
+
+const { AnthropicProvider, OpenAICompatibleProvider } = aiService;
+
+describe('AI Providers', () => {
+  let stub;
+
+  beforeAll(async () => {
+    stub = new HttpStub();
+    await stub.start();
+  });
+
+  afterAll(async () => {
+    await stub.stop();
+  });
+
+  beforeEach(() => {
+    stub.reset();
+  });
+
+  describe('AnthropicProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new AnthropicProvider({
+        ...config.anthropic,
+        apiKey: 'test-anthropic-key',
+        baseUrl: stub.url
+      });
+    });
+
+    it('should send a Messages API request and normalize usage', async () => {
+      const message = {
+        id: 'msg_test',
+        type: 'message',
+        role: 'assistant',
+        model: 'claude-3-5-sonnet-20241022',
+        content: [
+          { type: 'text', text: 'Hello ' },
+          { type: 'text', text: 'world' }
+        ],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 12, output_tokens: 5 }
+      };
+      stub.on('POST', '/v1/messages', jsonResponse(200, message));
+
+      const result = await provider.generate('Write a greeting', {
+        maxTokens: 100,
+        temperature: 0.2,
+        systemMessage: 'Be brief.'
+      });
+
+      expect(result).to.deep.equal({
+        content: 'Hello world',
+        model: 'claude-3-5-sonnet-20241022',
+        usage: { promptTokens: 12, completionTokens: 5, totalTokens: 17 },
+        provider: 'anthropic',
+        exchange: {
+          request: { model: config.anthropic.defaultModel, max_tokens: 100, temperature: 0.2 },
+          response: message
+        }
+      });
+
+      const [request] = stub.requests;
+      expect(request.headers['x-api-key']).to.equal('test-anthropic-key');
+      expect(request.headers['anthropic-version']).to.equal(config.anthropic.apiVersion);
+      expect(request.body).to.deep.equal({
+        model: config.anthropic.defaultModel,
+        max_tokens: 100,
+        temperature: 0.2,
+        system: 'Be brief.',
+        messages: [{ role: 'user', content: 'Write a greeting' }]
+      });
+    });
+
+    it('should prefill the reply with a brace when JSON is requested', async () => {
+      stub.on('POST', '/v1/messages', jsonResponse(200, {
+        id: 'msg_test',
+        type: 'message',
+        role: 'assistant',
+        model: 'claude-3-5-sonnet-20241022',
+        content: [{ type: 'text', text: '"title": "Lamp"}' }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 12, output_tokens: 5 }
+      }));
+
+      const result = await provider.generate('Write a product page', { responseFormat: 'json' });
+
+      expect(result.content).to.equal('{"title": "Lamp"}');
+      expect(stub.requests[0].body.messages).to.deep.equal([
+        { role: 'user', content: 'Write a product page' },
+        { role: 'assistant', content: '{' }
+      ]);
+    });
+
+    it('should stream text deltas and report the final usage', async () => {
+      stub.on('POST', '/v1/messages', sseResponse([
+        { event: 'message_start', data: { type: 'message_start', message: { id: 'msg_test', model: 'claude-3-5-haiku-20241022', usage: { input_tokens: 12, output_tokens: 1 } } } },
+        { event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } } },
+        { event: 'ping', data: { type: 'ping' } },
+        { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello' } } },
+        { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: ' world' } } },
+        { event: 'content_block_stop', data: { type: 'content_block_stop', index: 0 } },
+        { event: 'message_delta', data: { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 7 } } },
+        { event: 'message_stop', data: { type: 'message_stop' } }
+      ]));
+
+      const tokens = [];
+      const result = await provider.generate('Write a greeting', { onToken: token => tokens.push(token) });
+
+      expect(tokens).to.deep.equal(['Hello', ' world']);
+      expect(result.content).to.equal('Hello world');
+      expect(result.model).to.equal('claude-3-5-haiku-20241022');
+      expect(result.usage).to.deep.equal({ promptTokens: 12, completionTokens: 7, totalTokens: 19 });
+      expect(stub.requests[0].body.stream).to.be.true;
+      expect(result.exchange.request.stream).to.be.true;
+      expect(result.exchange.response).to.deep.equal({
+        model: 'claude-3-5-haiku-20241022',
+        content: 'Hello world',
+        usage: { input_tokens: 12, output_tokens: 7 }
+      });
+    });
+
+    it('should surface the API error message', async () => {
+      stub.on('POST', '/v1/messages', jsonResponse(401, {
+        type: 'error',
+        error: { type: 'authentication_error', message: 'invalid x-api-key' }
+      }));
+
+      try {
+        await provider.generate('Write a greeting');
+        expect.fail('Expected method to throw');
+      } catch (error) {
+        expect(error.message).to.equal('Anthropic generation failed: invalid x-api-key');
+      }
+    });
+
+    it('should report availability from the models endpoint', async () => {
+      stub.on('GET', '/v1/models', jsonResponse(200, { data: [] }));
+      expect(await provider.isAvailable()).to.be.true;
+
+      stub.reset();
+      expect(await provider.isAvailable()).to.be.false;
+    });
+
+    it('should list the configured models', async () => {
+      const models = await provider.getModels();
+
+      expect(models.map(model => model.id)).to.include(config.anthropic.defaultModel);
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new OpenAICompatibleProvider({
+        name: 'local',
+        baseUrl: `${stub.url}/v1`,
+        defaultModel: 'llama3',
+        models: [{ id: 'llama3', name: 'llama3' }]
+      });
+    });
+
+    const completion = (extra = {}) => ({
+      id: 'chatcmpl-test',
+      object: 'chat.completion',
+      created: 1700000000,
+      model: 'llama3',
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Local output' }, finish_reason: 'stop' }],
+      ...extra
+    });
+
+    it('should call the chat completions endpoint of the configured server', async () => {
+      const response = completion({
+        usage: { prompt_tokens: 20, completion_tokens: 3, total_tokens: 23 }
+      });
+      stub.on('POST', '/v1/chat/completions', jsonResponse(200, response));
+
+      const result = await provider.generate('Write locally');
+
+      expect(result).to.deep.equal({
+        content: 'Local output',
+        model: 'llama3',
+        usage: { promptTokens: 20, completionTokens: 3, totalTokens: 23 },
+        provider: 'local',
+        exchange: {
+          request: { model: 'llama3', max_tokens: 2000, temperature: 0.7, top_p: 1, presence_penalty: 0, frequency_penalty: 0 },
+          response
+        }
+      });
+      expect(stub.requests[0].body.model).to.equal('llama3');
+      expect(stub.requests[0].body.messages[1]).to.deep.equal({ role: 'user', content: 'Write locally' });
+    });
+
+    it('should request JSON mode when JSON is requested', async () => {
+      stub.on('POST', '/v1/chat/completions', jsonResponse(200, completion()));
+
+      await provider.generate('Write locally', { responseFormat: 'json' });
+
+      expect(stub.requests[0].body.response_format).to.deep.equal({ type: 'json_object' });
+    });
+
+    it('should estimate usage when the server does not report it', async () => {
+      stub.on('POST', '/v1/chat/completions', jsonResponse(200, completion()));
+
+      const { usage } = await provider.generate('Write locally');
+
+      expect(usage.promptTokens).to.be.greaterThan(0);
+      expect(usage.completionTokens).to.equal(countTokens('Local output', 'llama3'));
+      expect(usage.totalTokens).to.equal(usage.promptTokens + usage.completionTokens);
+    });
+
+    it('should stream chat completion chunks', async () => {
+      const chunk = (choices, extra = {}) => ({
+        id: 'chatcmpl-test',
+        object: 'chat.completion.chunk',
+        created: 1700000000,
+        model: 'llama3',
+        choices,
+        ...extra
+      });
+
+      stub.on('POST', '/v1/chat/completions', sseResponse([
+        { data: chunk([{ index: 0, delta: { role: 'assistant', content: 'Lo' } }]) },
+        { data: chunk([{ index: 0, delta: { content: 'cal' } }]) },
+        { data: chunk([], { usage: { prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 } }) },
+        { data: '[DONE]' }
+      ]));
+
+      const tokens = [];
+      const result = await provider.generate('Write locally', { onToken: token => tokens.push(token) });
+
+      expect(tokens).to.deep.equal(['Lo', 'cal']);
+      expect(result.content).to.equal('Local');
+      expect(result.usage).to.deep.equal({ promptTokens: 4, completionTokens: 2, totalTokens: 6 });
+      expect(stub.requests[0].body.stream).to.be.true;
+    });
+
+    it('should list the models reported by the server', async () => {
+      stub.on('GET', '/v1/models', jsonResponse(200, {
+        object: 'list',
+        data: [
+          { id: 'llama3', object: 'model' },
+          { id: 'mistral', object: 'model' }
+        ]
+      }));
+
+      const models = await provider.getModels();
+
+      expect(models).to.deep.equal([
+        { id: 'llama3', name: 'llama3' },
+        { id: 'mistral', name: 'mistral' }
+      ]);
+    });
+
+    it('should fall back to the configured models if the server cannot list them', async () => {
+      const models = await provider.getModels();
+
+      expect(models).to.deep.equal([{ id: 'llama3', name: 'llama3' }]);
+    });
+  });
+
+  describe('AIService provider registration', () => {
+    let saved;
+
+    beforeEach(() => {
+      saved = {
+        providers: aiService.providers,
+        defaultProvider: aiService.defaultProvider,
+        config: JSON.parse(JSON.stringify(config))
+      };
+
+      config.openai.apiKey = undefined;
+      config.anthropic.apiKey = 'test-anthropic-key';
+      config.anthropic.baseUrl = stub.url;
+      config.openaiCompatible.name = 'local';
+      config.openaiCompatible.baseUrl = `${stub.url}/v1`;
+      config.defaultProvider = 'local';
+
+      aiService.providers = {};
+      aiService.registerProviders();
+    });
+
+    afterEach(() => {
+      aiService.providers = saved.providers;
+      aiService.defaultProvider = saved.defaultProvider;
+      Object.assign(config, saved.config);
+    });
+
+    it('should register the configured providers and honour the default', () => {
+      expect(Object.keys(aiService.providers)).to.have.members(['anthropic', 'local', 'mock']);
+      expect(aiService.defaultProvider).to.equal('local');
+    });
+
+    it('should route a generation to the requested provider', async () => {
+      stub.on('POST', '/v1/messages', jsonResponse(200, {
+        model: config.anthropic.defaultModel,
+        content: [{ type: 'text', text: 'From Anthropic' }],
+        usage: { input_tokens: 3, output_tokens: 2 }
+      }));
+
+      const result = await aiService.generate('Hello', { provider: 'anthropic' });
+
+      expect(result.provider).to.equal('anthropic');
+      expect(result.content).to.equal('From Anthropic');
+      expect(stub.requests[0].path).to.equal('/v1/messages');
+    });
+  });
+});
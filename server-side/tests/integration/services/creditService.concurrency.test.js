@@ -0,0 +1,133 @@
+// backend/tests/integration/services/creditService.concurrency.test.js
+// Runs against the Postgres test database (NODE_ENV=test, see config/database.js)
+const { expect } = require('chai');
+const { v4: uuidv4 } = require('uuid');
+const { creditService } = require('../../../src/services/creditService');
+const { sequelize, User, CreditAccount, ContentGeneration, CreditTransaction } = require('../../../src/db/models');
+const balanceConstraints = require('../../../src/db/migrations/scripts/011-add-credit-balance-constraints');
+
+describe('Credit Service concurrency', () => {
+  let user;
+  let creditAccount;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    await balanceConstraints.up(sequelize.getQueryInterface(), sequelize.Sequelize);
+
+    user = await User.create({
+      email: 'concurrency@example.com',
+      password: 'Password123!',
+      firstName: 'Concurrency',
+      lastName: 'Test'
+    });
+  });
+
+  beforeEach(async () => {
+    await CreditTransaction.destroy({ where: {} });
+    await ContentGeneration.destroy({ where: {} });
+    await CreditAccount.destroy({ where: {} });
+
+    creditAccount = await CreditAccount.create({
+      userId: user.id,
+      creditsRemaining: 1000,
+      creditsUsed: 0,
+      creditsReserved: 0
+    });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const createGenerations = (count) => Promise.all(
+    Array.from({ length: count }, () => ContentGeneration.create({
+      id: uuidv4(),
+      userId: user.id,
+      promptData: {},
+      status: 'queued',
+      estimatedCredits: 100
+    }))
+  );
+
+  it('should never hold more credits than the account has', async () => {
+    const generations = await createGenerations(20);
+
+    const results = await Promise.allSettled(
+      generations.map(generation => creditService.placeHold(user.id, 100, generation.id))
+    );
+
+    const succeeded = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    expect(succeeded).to.have.length(10);
+    expect(rejected).to.have.length(10);
+    rejected.forEach(result => expect(result.reason.statusCode).to.equal(402));
+
+    await creditAccount.reload();
+    expect(creditAccount.creditsRemaining).to.equal(0);
+    expect(creditAccount.creditsReserved).to.equal(1000);
+    expect(await CreditTransaction.count({ where: { type: 'hold' } })).to.equal(10);
+  });
+
+  it('should never drive the balance negative with concurrent deductions', async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: 15 }, () => creditService.deductCredits(user.id, 300, 'concurrency_test'))
+    );
+
+    expect(results.filter(result => result.status === 'fulfilled')).to.have.length(3);
+
+    await creditAccount.reload();
+    expect(creditAccount.creditsRemaining).to.equal(100);
+    expect(creditAccount.creditsUsed).to.equal(900);
+  });
+
+  it('should release a hold only once under concurrent cancellations', async () => {
+    const [generation] = await createGenerations(1);
+    await creditService.placeHold(user.id, 400, generation.id);
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => creditService.releaseHold(generation.id, 'cancelled_by_user'))
+    );
+
+    expect(results.filter(result => result.creditsReleased === 400)).to.have.length(1);
+
+    await creditAccount.reload();
+    expect(creditAccount.creditsRemaining).to.equal(1000);
+    expect(creditAccount.creditsReserved).to.equal(0);
+    expect(await CreditTransaction.count({ where: { type: 'release' } })).to.equal(1);
+  });
+
+  it('should let only one of a concurrent settle and release close the hold', async () => {
+    const [generation] = await createGenerations(1);
+    await creditService.placeHold(user.id, 400, generation.id);
+
+    const [settlement, release] = await Promise.all([
+      creditService.settleHold(generation.id, 250),
+      creditService.releaseHold(generation.id, 'generation_failed')
+    ]);
+
+    const settled = settlement !== null;
+    const released = release.creditsReleased > 0;
+    expect(settled).to.not.equal(released);
+
+    await creditAccount.reload();
+    expect(creditAccount.creditsReserved).to.equal(0);
+    expect(creditAccount.creditsRemaining).to.equal(settled ? 750 : 1000);
+  });
+
+  it('should reject a negative balance at the database level', async () => {
+    let error = null;
+
+    try {
+      await sequelize.query(
+        'UPDATE "CreditAccounts" SET "creditsRemaining" = -1 WHERE id = :id',
+        { replacements: { id: creditAccount.id } }
+      );
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).to.not.be.null;
+    expect(error.message).to.include('credit_accounts_credits_remaining_non_negative');
+  });
+});
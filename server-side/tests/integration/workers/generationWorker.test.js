@@ -0,0 +1,1119 @@
+// backend/tests/integration/workers/generationWorker.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { v4: uuidv4 } = require('uuid');
+const { GenerationWorker } = require('../../../src/workers/generationWorker');
+const aiService = require('../../../src/services/aiService');
+const aiConfig = require('../../../src/config/ai');
+const contentProcessor = require('../../../src/services/contentProcessor');
+const { creditService } = require('../../../src/services/creditService');
+const { ProgressService } = require('../../../src/services/progressService');
+const { ModerationService } = require('../../../src/services/moderationService');
+const { ContentGeneration, ContentItem, Template, TemplateVersion, GenerationStep, VoiceProfile, GenerationAudit, ContentRevision } = require('../../../src/db/models');
+const { InMemoryQueue } = require('../../helpers/inMemoryQueue');
+
+// Build a plain object that behaves like a Sequelize instance for set()/update()
+const buildRecord = (data) => {
+  const record = { ...data };
+  record.set = sinon.stub().callsFake((changes) => Object.assign(record, changes));
+  record.update = sinon.stub().callsFake(async (changes) => {
+    Object.assign(record, changes);
+    return record;
+  });
+  return record;
+};
+
+describe('Generation Worker', () => {
+  let sandbox;
+  let queue;
+  let progress;
+  let worker;
+  let generation;
+  let contentItem;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    queue = new InMemoryQueue();
+    progress = new ProgressService({ broker: queue });
+    worker = new GenerationWorker({ queue, ai: aiService, processor: contentProcessor, credits: creditService, progress });
+
+    contentItem = buildRecord({
+      id: uuidv4(),
+      userId: uuidv4(),
+      title: 'Untitled Content',
+      contentType: 'blog',
+      format: 'markdown',
+      status: 'draft',
+      metadata: { generationRequest: true }
+    });
+
+    generation = buildRecord({
+      id: uuidv4(),
+      userId: contentItem.userId,
+      contentItemId: contentItem.id,
+      promptData: { topic: 'AI content generation', contentType: 'blog', templateId: null },
+      aiProvider: 'mock',
+      status: 'queued',
+      metadata: {}
+    });
+
+    sandbox.stub(ContentGeneration, 'findByPk').resolves(generation);
+    sandbox.stub(ContentGeneration, 'update').callsFake(async (changes, { where }) => {
+      if (where.id !== generation.id || where.status !== generation.status) return [0];
+      Object.assign(generation, changes);
+      return [1];
+    });
+    sandbox.stub(ContentItem, 'findByPk').resolves(contentItem);
+    // The user's library, which generated content is compared with; empty unless a test fills it
+    sandbox.stub(ContentItem, 'findAll').resolves([]);
+    // Marks the translations of a regenerated item stale
+    sandbox.stub(ContentItem, 'update').resolves([0]);
+    // Audit trails of each run, and the purge of expired ones when the worker starts
+    sandbox.stub(GenerationAudit, 'create').resolves();
+    sandbox.stub(GenerationAudit, 'destroy').resolves(0);
+    // Revision history of the item; it has none unless a test gives it one
+    sandbox.stub(ContentRevision, 'findOne').resolves(null);
+    sandbox.stub(ContentRevision, 'create').callsFake(async (data) => data);
+    sandbox.stub(creditService, 'settleHold').callsFake(async (generationId, actualCredits) => ({
+      creditsCharged: actualCredits,
+      creditsRefunded: 500 - actualCredits,
+      remainingCredits: 1000
+    }));
+    sandbox.stub(creditService, 'releaseHold').resolves({ creditsReleased: 500, remainingCredits: 1500 });
+  });
+
+  afterEach(async () => {
+    await worker.stop();
+    sandbox.restore();
+  });
+
+  const enqueueGeneration = () => queue.enqueue('content-generation', {
+    generationId: generation.id,
+    userId: generation.userId,
+    contentItemId: contentItem.id,
+    promptData: generation.promptData,
+    aiProvider: generation.aiProvider
+  });
+
+  it('should generate content with the mock provider and complete the generation', async () => {
+    await worker.start();
+    await enqueueGeneration();
+    await queue.idle();
+
+    expect(generation.status).to.equal('completed');
+    expect(generation.processingStartedAt).to.be.instanceOf(Date);
+    expect(generation.completionTime).to.be.instanceOf(Date);
+    expect(generation.completionTime.getTime()).to.be.at.least(generation.processingStartedAt.getTime());
+    expect(generation.aiProvider).to.equal('mock');
+    expect(generation.aiModel).to.equal('mock-model-v1');
+    expect(generation.metadata.usage).to.have.property('totalTokens');
+    expect(generation.creditsUsed).to.equal(
+      creditService.calculateActualCost(generation.metadata.usage, generation.aiModel, generation.aiProvider)
+    );
+    expect(creditService.settleHold.calledOnceWith(generation.id, generation.creditsUsed)).to.be.true;
+
+    expect(contentItem.status).to.equal('generated');
+    expect(contentItem.content).to.include('Generated Mock Content');
+    expect(contentItem.wordCount).to.be.greaterThan(0);
+    expect(contentItem.metadata.generationId).to.equal(generation.id);
+    expect(contentItem.metadata.generationRequest).to.be.true;
+    expect(contentItem.metadata.moderation).to.include({ flagged: false });
+    expect(contentItem.fingerprint).to.have.length(128);
+    expect(contentItem.metadata.similarity).to.include({ score: 0, flagged: false });
+  });
+
+  it('should record the generated content as a revision of the item', async () => {
+    ContentRevision.findOne.resolves({ number: 3, title: contentItem.title, content: 'Draft' });
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(ContentRevision.create.calledOnce).to.be.true;
+    expect(ContentRevision.create.firstCall.args[0]).to.deep.include({
+      contentItemId: contentItem.id,
+      number: 4,
+      content: contentItem.content,
+      wordCount: contentItem.wordCount,
+      source: 'generation',
+      authorId: generation.userId,
+      generationId: generation.id
+    });
+  });
+
+  it('should complete and charge delivered content whose revision cannot be recorded', async () => {
+    ContentRevision.create.rejects(new Error('Connection lost'));
+    ContentItem.update.rejects(new Error('Connection lost'));
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(contentItem.status).to.equal('generated');
+    expect(generation.status).to.equal('completed');
+    expect(creditService.settleHold.calledOnceWith(generation.id, generation.creditsUsed)).to.be.true;
+    expect(creditService.releaseHold.called).to.be.false;
+  });
+
+  it('should record the provider call and each processing step in the audit trail', async () => {
+    generation.promptData = { topic: 'Audits', contentType: 'blog', seoOptimize: true, keywords: ['audit'] };
+
+    await worker.start();
+    await enqueueGeneration();
+    await queue.idle();
+
+    expect(GenerationAudit.destroy.calledOnce).to.be.true;
+    expect(GenerationAudit.create.calledOnce).to.be.true;
+
+    const { generationId, calls, processingSteps } = GenerationAudit.create.firstCall.args[0];
+    expect(generationId).to.equal(generation.id);
+    expect(calls).to.have.length(1);
+    expect(calls[0]).to.include({ provider: 'mock', model: 'mock-model-v1', systemMessage: aiService.buildSystemMessage(), error: null });
+    expect(calls[0].prompt).to.include('Audits');
+    expect(calls[0].response.content).to.include('Generated Mock Content');
+    expect(calls[0].usage).to.deep.equal(generation.metadata.usage);
+    expect(processingSteps.map(({ step }) => step)).to.deep.equal(generation.metadata.processingSteps);
+    expect(processingSteps[processingSteps.length - 1].output).to.equal(contentItem.content);
+  });
+
+  it('should keep the audit trail of a failed generation', async () => {
+    sandbox.stub(aiService, 'providers').value({
+      ...aiService.providers,
+      broken: { name: 'broken', defaultModel: 'broken-model', generate: sinon.stub().rejects(new Error('Bad request')) }
+    });
+    sandbox.stub(aiService, 'breakers').value({});
+    sandbox.stub(aiConfig, 'fallbackChain').value([]);
+    sandbox.stub(aiService, 'defaultProvider').value('broken');
+    generation.aiProvider = 'broken';
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(generation.status).to.equal('failed');
+    const { calls, processingSteps } = GenerationAudit.create.firstCall.args[0];
+    expect(calls.map(call => call.error.message)).to.deep.equal(['Bad request']);
+    expect(processingSteps).to.be.empty;
+  });
+
+  it('should claim the generation as processing before completing', async () => {
+    const statuses = [];
+    generation.update.callsFake(async (changes) => {
+      if (changes.status) statuses.push(changes.status);
+      Object.assign(generation, changes);
+      return generation;
+    });
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(ContentGeneration.update.calledOnce).to.be.true;
+    expect(ContentGeneration.update.firstCall.args[0].status).to.equal('processing');
+    expect(ContentGeneration.update.firstCall.args[1].where).to.deep.equal({ id: generation.id, status: 'queued' });
+    expect(statuses).to.deep.equal(['completed']);
+  });
+
+  it('should not process a generation claimed or cancelled concurrently', async () => {
+    ContentGeneration.update.resolves([0]);
+    const generateSpy = sandbox.spy(aiService, 'generate');
+
+    const result = await worker.processJob({ generationId: generation.id });
+
+    expect(result).to.be.null;
+    expect(generateSpy.called).to.be.false;
+    expect(generation.status).to.equal('queued');
+    expect(creditService.releaseHold.called).to.be.false;
+  });
+
+  it('should publish status transitions and streamed content', async () => {
+    const events = [];
+    await progress.subscribe(generation.id, event => events.push(event));
+
+    await worker.processJob({ generationId: generation.id });
+
+    const statuses = events.filter(e => e.type === 'status').map(e => e.status);
+    const content = events.filter(e => e.type === 'content').map(e => e.delta).join('');
+
+    expect(statuses).to.deep.equal(['processing', 'completed']);
+    expect(events[0]).to.include({ type: 'status', status: 'processing' });
+    expect(events[events.length - 1]).to.include({
+      type: 'status',
+      status: 'completed',
+      contentItemId: contentItem.id,
+      creditsUsed: generation.creditsUsed
+    });
+    expect(content).to.include('Generated Mock Content');
+    expect(content).to.include('In conclusion');
+  });
+
+  it('should build the prompt from the stored prompt data', async () => {
+    const buildPromptSpy = sandbox.spy(aiService, 'buildPrompt');
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(buildPromptSpy.calledOnce).to.be.true;
+    expect(buildPromptSpy.firstCall.args[0]).to.equal('blog');
+    expect(buildPromptSpy.firstCall.args[1]).to.include({ topic: 'AI content generation' });
+  });
+
+  it('should merge template default parameters under the prompt data', async () => {
+    const templateId = uuidv4();
+    generation.promptData = { topic: 'Templates', contentType: 'blog', templateId, wordCount: 800 };
+    sandbox.stub(Template, 'findByPk').resolves({
+      id: templateId,
+      defaultParameters: { wordCount: 1500, toneOfVoice: 'friendly' }
+    });
+    const buildPromptSpy = sandbox.spy(aiService, 'buildPrompt');
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(buildPromptSpy.firstCall.args[1]).to.include({ wordCount: 800, toneOfVoice: 'friendly' });
+  });
+
+  it('should render the prompt from the template when it has one', async () => {
+    const templateId = uuidv4();
+    generation.promptData = { topic: 'Templates', contentType: 'blog', templateId, keywords: ['ai', 'prompts'] };
+    sandbox.stub(Template, 'findByPk').resolves({
+      id: templateId,
+      promptTemplate: 'Write about {topic} for {audience}.\n{#each keywords}\n- {this}\n{/each}',
+      variables: [{ name: 'audience', type: 'string', default: 'marketers' }],
+      defaultParameters: {}
+    });
+    const buildPromptSpy = sandbox.spy(aiService, 'buildPrompt');
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(buildPromptSpy.firstCall.returnValue).to.equal('Write about Templates for marketers.\n- ai\n- prompts');
+  });
+
+  it('should use the template version the generation was pinned to', async () => {
+    const templateId = uuidv4();
+    generation.templateVersionId = uuidv4();
+    generation.promptData = { topic: 'Templates', contentType: 'blog', templateId };
+    sandbox.stub(TemplateVersion, 'findByPk').resolves({
+      templateId,
+      version: 1,
+      promptTemplate: 'Version one about {topic}',
+      variables: [],
+      defaultParameters: {}
+    });
+    const templateStub = sandbox.stub(Template, 'findByPk');
+    const buildPromptSpy = sandbox.spy(aiService, 'buildPrompt');
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(TemplateVersion.findByPk.firstCall.args[0]).to.equal(generation.templateVersionId);
+    expect(templateStub.called).to.be.false;
+    expect(buildPromptSpy.firstCall.returnValue).to.equal('Version one about Templates');
+  });
+
+  it('should store the fields of a template with an output schema next to their Markdown', async () => {
+    const templateId = uuidv4();
+    generation.promptData = { topic: 'Spring sale', contentType: 'email', templateId };
+    sandbox.stub(Template, 'findByPk').resolves({
+      id: templateId,
+      promptTemplate: 'Write an email about {topic}.',
+      variables: [],
+      defaultParameters: {},
+      outputSchema: 'email'
+    });
+    const email = {
+      subjectLines: ['Spring is here', 'The sale starts now', 'Fresh deals inside'],
+      preheader: 'Up to 30% off',
+      body: 'Hi there,\n\nOur spring sale starts today.',
+      cta: 'Shop the sale'
+    };
+    const reply = content => ({
+      content,
+      model: 'mock-model-v1',
+      usage: { promptTokens: 40, completionTokens: 60, totalTokens: 100 },
+      provider: 'mock',
+      attempts: []
+    });
+    sandbox.stub(aiService, 'generate')
+      .onFirstCall().resolves(reply(JSON.stringify({ ...email, cta: undefined })))
+      .onSecondCall().resolves(reply(JSON.stringify(email)));
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(aiService.generate.firstCall.args[1].responseFormat).to.equal('json');
+    expect(aiService.generate.secondCall.args[0]).to.include('- "cta" is required');
+    expect(generation.status).to.equal('completed');
+    expect(generation.metadata.structuredRepairs).to.equal(1);
+    expect(generation.metadata.usage.totalTokens).to.equal(200);
+    expect(contentItem.metadata.structured).to.deep.equal(email);
+    expect(contentItem.content).to.equal('Hi there,\n\nOur spring sale starts today.\n\nShop the sale');
+  });
+
+  it('should charge the replies of structured output that never matched its schema', async () => {
+    const templateId = uuidv4();
+    generation.promptData = { topic: 'Spring sale', contentType: 'email', templateId };
+    sandbox.stub(Template, 'findByPk').resolves({
+      id: templateId,
+      promptTemplate: 'Write an email about {topic}.',
+      variables: [],
+      defaultParameters: {},
+      outputSchema: 'email'
+    });
+    const failedAttempt = { provider: 'openai', type: 'server', message: 'HTTP 503' };
+    sandbox.stub(aiService, 'generate').resolves({
+      content: 'Not JSON',
+      model: 'mock-model-v1',
+      usage: { promptTokens: 40, completionTokens: 60, totalTokens: 100 },
+      provider: 'mock',
+      attempts: [failedAttempt]
+    });
+    sandbox.stub(creditService, 'calculateActualCost').returns(7);
+
+    await worker.processJob({ generationId: generation.id });
+
+    const { maxAttempts } = aiConfig.structuredOutput;
+    expect(aiService.generate.callCount).to.equal(maxAttempts);
+    expect(generation.status).to.equal('failed');
+    expect(creditService.calculateActualCost.lastCall.args).to.deep.equal([
+      { promptTokens: 40 * maxAttempts, completionTokens: 60 * maxAttempts, totalTokens: 100 * maxAttempts },
+      'mock-model-v1',
+      'mock'
+    ]);
+    expect(generation.creditsUsed).to.equal(7);
+    expect(generation.metadata.failedAttempts).to.have.length(maxAttempts);
+    expect(creditService.settleHold.calledOnceWith(generation.id, 7)).to.be.true;
+    expect(creditService.releaseHold.called).to.be.false;
+    expect(contentItem.update.called).to.be.false;
+  });
+
+  it('should write in the voice profile and report its violations', async () => {
+    generation.voiceProfileId = uuidv4();
+    sandbox.stub(VoiceProfile, 'findByPk').resolves({
+      id: generation.voiceProfileId,
+      name: 'Acme',
+      tone: 'warm and direct',
+      bannedPhrases: ['in conclusion'],
+      terminology: [{ preferred: 'example', avoid: ['mock response'] }],
+      samples: []
+    });
+    const generateSpy = sandbox.spy(aiService, 'generate');
+    const events = [];
+    sandbox.stub(progress, 'publish').callsFake(async (generationId, event) => events.push(event));
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(VoiceProfile.findByPk.firstCall.args[0]).to.equal(generation.voiceProfileId);
+    expect(generateSpy.firstCall.args[1].systemMessage).to.include('brand voice "Acme"');
+    expect(generateSpy.firstCall.args[1].systemMessage).to.include('Tone of voice: warm and direct.');
+
+    const violations = generation.metadata.voiceViolations;
+    expect(violations.map(violation => [violation.type, violation.phrase])).to.deep.equal([
+      ['banned_phrase', 'in conclusion'],
+      ['terminology', 'mock response']
+    ]);
+    expect(violations[1]).to.include({ preferred: 'example', count: 2 });
+    expect(contentItem.metadata.voiceViolations).to.deep.equal(violations);
+    expect(events[events.length - 1].voiceViolations).to.deep.equal(violations);
+  });
+
+  it('should hold flagged content for review with the reasons attached', async () => {
+    worker.moderation = new ModerationService({
+      enabled: true,
+      classifiers: ['rules'],
+      rules: [],
+      blockedTerms: ['mock content'],
+      failClosed: true
+    });
+    const events = [];
+    sandbox.stub(progress, 'publish').callsFake(async (generationId, event) => events.push(event));
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(generation.status).to.equal('completed');
+    expect(contentItem.status).to.equal('needs_review');
+    expect(contentItem.content).to.include('Generated Mock Content');
+
+    const { moderation } = contentItem.metadata;
+    expect(moderation.flagged).to.be.true;
+    expect(moderation.reasons.map(reason => [reason.classifier, reason.category])).to.deep.equal([['rules', 'blocked_term']]);
+    expect(generation.metadata.moderation).to.deep.equal(moderation);
+    expect(events[events.length - 1]).to.include({ status: 'completed', needsReview: true });
+  });
+
+  it('should hold content when a moderation classifier fails', async () => {
+    worker.moderation = new ModerationService({ enabled: false, failClosed: true });
+    worker.moderation.registerClassifier({
+      name: 'provider',
+      classify: sinon.stub().rejects(new Error('Moderation API unavailable'))
+    });
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(generation.status).to.equal('completed');
+    expect(contentItem.status).to.equal('needs_review');
+    expect(contentItem.metadata.moderation.reasons[0]).to.include({ classifier: 'provider', category: 'classifier_error' });
+  });
+
+  it('should charge the reply when a check after the provider call fails', async () => {
+    const usage = { promptTokens: 120, completionTokens: 300, totalTokens: 420 };
+    sandbox.stub(aiService, 'generate').resolves({ content: 'Generated post.', provider: 'mock', model: 'mock-model-v1', usage });
+    sandbox.stub(worker.moderation, 'check').rejects(new Error('Rules could not be loaded'));
+    sandbox.stub(creditService, 'calculateActualCost').returns(7);
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(generation).to.include({ status: 'failed', error: 'Rules could not be loaded', creditsUsed: 7 });
+    expect(generation.metadata.usage).to.deep.equal(usage);
+    expect(creditService.calculateActualCost.calledWith(usage, 'mock-model-v1', 'mock')).to.be.true;
+    expect(creditService.settleHold.calledOnceWith(generation.id, 7)).to.be.true;
+    expect(creditService.releaseHold.called).to.be.false;
+  });
+
+  it('should report near-duplicates in the user\'s library with their shared passages', async () => {
+    const text = 'Our oak desk is made from solid wood and has two deep drawers for storage. It ships flat and assembles in ten minutes.';
+    sandbox.stub(aiService, 'generate').resolves({
+      content: text,
+      provider: 'mock',
+      model: 'mock-model-v1',
+      usage: { promptTokens: 40, completionTokens: 30, totalTokens: 70 }
+    });
+    const earlier = {
+      id: uuidv4(),
+      title: 'Oak desk',
+      fingerprint: worker.similarity.fingerprint(text),
+      content: `${text} Order today.`
+    };
+    ContentItem.findAll.callsFake(async ({ attributes }) => [
+      attributes.includes('fingerprint')
+        ? { id: earlier.id, title: earlier.title, fingerprint: earlier.fingerprint }
+        : { id: earlier.id, content: earlier.content }
+    ]);
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(ContentItem.findAll.firstCall.args[0].where.userId).to.equal(contentItem.userId);
+    const { similarity } = contentItem.metadata;
+    expect(similarity.flagged).to.be.true;
+    expect(similarity.score).to.be.at.least(0.8);
+    expect(similarity.matches[0]).to.include({ contentItemId: earlier.id, title: 'Oak desk' });
+    expect(similarity.matches[0].passages[0].text).to.include('Our oak desk is made from solid wood');
+    expect(contentItem.status).to.equal('generated');
+  });
+
+  it('should complete the generation when the near-duplicate check fails', async () => {
+    ContentItem.findAll.rejects(new Error('Database unavailable'));
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(generation.status).to.equal('completed');
+    expect(contentItem.metadata.similarity).to.be.null;
+  });
+
+  it('should ground the content in knowledge base references and list the sources it cites', async () => {
+    generation.promptData = { ...generation.promptData, keywords: ['warranty'], useKnowledgeBase: true };
+    const references = [
+      { chunkId: 'chunk-1', documentId: 'doc-1', documentName: 'Warranty terms', heading: 'Coverage', text: 'Frames are covered for five years.', score: 2.1 },
+      { chunkId: 'chunk-2', documentId: 'doc-2', documentName: 'Care guide', heading: null, text: 'Oil the desk twice a year.', score: 1.4 }
+    ];
+    const retrieve = sandbox.stub(worker.knowledge, 'retrieve').resolves(references);
+    const generate = sandbox.stub(aiService, 'generate').resolves({
+      content: '# Desk care\n\nOil it twice a year [2]. The frame is covered for five years [1][7].',
+      provider: 'mock',
+      model: 'mock-model-v1',
+      usage: { promptTokens: 120, completionTokens: 30, totalTokens: 150 }
+    });
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(retrieve.firstCall.args).to.deep.equal([generation.userId, 'AI content generation warranty']);
+    const prompt = generate.firstCall.args[0];
+    expect(prompt).to.include('[1] Warranty terms — Coverage\nFrames are covered for five years.');
+    expect(prompt).to.include('[2] Care guide\nOil the desk twice a year.');
+    expect(contentItem.content).to.include('Oil it twice a year [1]. The frame is covered for five years [2].');
+    expect(contentItem.content).to.match(/## Sources\n\n1\. Care guide\n2\. Warranty terms — Coverage\n$/);
+    expect(contentItem.metadata.sources.map(source => source.chunkId)).to.deep.equal(['chunk-2', 'chunk-1']);
+    expect(generation.metadata.references).to.deep.equal([
+      { chunkId: 'chunk-1', documentId: 'doc-1', score: 2.1 },
+      { chunkId: 'chunk-2', documentId: 'doc-2', score: 1.4 }
+    ]);
+    expect(generation.metadata.processingSteps).to.include('citation-resolution');
+  });
+
+  it('should not search the knowledge base unless the generation asks for it', async () => {
+    const retrieve = sandbox.stub(worker.knowledge, 'retrieve').resolves([]);
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(retrieve.called).to.be.false;
+    expect(generation.status).to.equal('completed');
+    expect(contentItem.metadata.sources).to.be.null;
+  });
+
+  it('should fail the generation when the knowledge base cannot be searched', async () => {
+    generation.promptData = { ...generation.promptData, useKnowledgeBase: true };
+    sandbox.stub(worker.knowledge, 'retrieve').rejects(new Error('Database unavailable'));
+    const generate = sandbox.stub(aiService, 'generate');
+
+    await worker.processJob({ generationId: generation.id });
+
+    expect(generate.called).to.be.false;
+    expect(generation.status).to.equal('failed');
+    expect(generation.error).to.equal('Database unavailable');
+  });
+
+  it('should mark the generation failed when the provider throws', async () => {
+    sandbox.stub(aiService, 'generate').rejects(new Error('Provider unavailable'));
+
+    await worker.start();
+    await enqueueGeneration();
+    await queue.idle();
+
+    expect(queue.failed).to.have.length(0);
+    expect(generation.status).to.equal('failed');
+    expect(generation.error).to.equal('Provider unavailable');
+    expect(generation.completionTime).to.be.instanceOf(Date);
+    expect(contentItem.update.called).to.be.false;
+    expect(creditService.settleHold.called).to.be.false;
+    expect(creditService.releaseHold.calledOnceWith(generation.id, 'generation_failed')).to.be.true;
+
+    const lastEvent = queue.published[queue.published.length - 1].message;
+    expect(lastEvent).to.include({
+      generationId: generation.id,
+      type: 'status',
+      status: 'failed',
+      error: 'Provider unavailable'
+    });
+  });
+
+  it('should record the provider that served the generation after a failover', async () => {
+    const rateLimited = Object.assign(new Error('Rate limit reached'), { status: 429 });
+    sandbox.stub(aiService, 'providers').value({
+      ...aiService.providers,
+      flaky: { name: 'flaky', defaultModel: 'flaky-model', generate: sinon.stub().rejects(rateLimited) }
+    });
+    sandbox.stub(aiService, 'breakers').value({});
+    sandbox.stub(aiConfig, 'fallbackChain').value(['mock']);
+    sandbox.stub(aiConfig.retry, 'maxRetries').value(0);
+    generation.aiProvider = 'flaky';
+
+    await worker.start();
+    await enqueueGeneration();
+    await queue.idle();
+
+    expect(generation.status).to.equal('completed');
+    expect(generation.aiProvider).to.equal('mock');
+    expect(generation.aiModel).to.equal('mock-model-v1');
+    expect(generation.metadata.failedAttempts).to.deep.equal([
+      { provider: 'flaky', model: 'flaky-model', type: 'rate_limit', error: 'Rate limit reached' }
+    ]);
+  });
+
+  describe('long-form generations', () => {
+    const outlineText = '# Scaling Content\n## Introduction\n- Why it matters\n## Tools\n- Editors\n## Conclusion';
+    let steps;
+
+    beforeEach(() => {
+      steps = [];
+      generation.promptData = { topic: 'Scaling content', contentType: 'blog', wordCount: 3000 };
+
+      sandbox.stub(GenerationStep, 'create').callsFake(async (data) => {
+        const step = buildRecord(data);
+        steps.push(step);
+        return step;
+      });
+      sandbox.stub(GenerationStep, 'findAll').callsFake(async ({ where }) =>
+        steps.filter(step => step.generationId === where.generationId && step.status === where.status));
+      sandbox.stub(creditService, 'calculateActualCost').returns(10);
+    });
+
+    const stubSections = () => sandbox.stub(aiService, 'generate').callsFake(async (prompt, options) => {
+      const content = prompt.startsWith('You are planning')
+        ? outlineText
+        : `Body of ${prompt.match(/Now write section \d+ of \d+, "([^"]+)"/)[1]}.`;
+
+      if (options.onToken) options.onToken(content);
+
+      return {
+        content,
+        provider: 'mock',
+        model: 'mock-model-v1',
+        usage: { promptTokens: 100, completionTokens: 50, totalTokens: 150 },
+        attempts: []
+      };
+    });
+
+    it('should write the post section by section from a generated outline', async () => {
+      const generateStub = stubSections();
+
+      await worker.processJob({ generationId: generation.id });
+
+      expect(generateStub.callCount).to.equal(4);
+      expect(generateStub.firstCall.args[1].maxTokens).to.equal(1000);
+      expect(generateStub.secondCall.args[1].maxTokens).to.equal(2000);
+
+      // Later sections see the outline and the sections before them
+      const thirdPrompt = generateStub.thirdCall.args[0];
+      expect(thirdPrompt).to.include('2. Tools (this section)');
+      expect(thirdPrompt).to.include('## Introduction\n\nBody of Introduction.');
+
+      expect(steps.map(step => [step.type, step.position, step.title, step.status])).to.deep.equal([
+        ['outline', 0, 'Outline', 'completed'],
+        ['section', 1, 'Introduction', 'completed'],
+        ['section', 2, 'Tools', 'completed'],
+        ['section', 3, 'Conclusion', 'completed']
+      ]);
+
+      expect(contentItem.update.firstCall.args[0].content).to.equal([
+        '# Scaling Content',
+        '## Introduction',
+        'Body of Introduction.',
+        '## Tools',
+        'Body of Tools.',
+        '## Conclusion',
+        'Body of Conclusion.'
+      ].join('\n\n'));
+
+      expect(generation.status).to.equal('completed');
+      expect(generation.metadata.outline.sections).to.have.length(3);
+      expect(generation.metadata.usage).to.deep.equal({ promptTokens: 400, completionTokens: 200, totalTokens: 600 });
+      expect(creditService.settleHold.calledOnceWith(generation.id, 40)).to.be.true;
+    });
+
+    it('should wait for the outline to be approved when asked to review it', async () => {
+      generation.promptData.reviewOutline = true;
+      const generateStub = stubSections();
+
+      await worker.processJob({ generationId: generation.id });
+
+      expect(generateStub.calledOnce).to.be.true;
+      expect(generation.status).to.equal('awaiting_outline');
+      expect(contentItem.update.called).to.be.false;
+      expect(creditService.settleHold.called).to.be.false;
+      expect(creditService.releaseHold.called).to.be.false;
+
+      const lastEvent = queue.published[queue.published.length - 1].message;
+      expect(lastEvent).to.include({ type: 'status', status: 'awaiting_outline' });
+      expect(lastEvent.outline.title).to.equal('Scaling Content');
+    });
+
+    it('should write an approved outline without generating a new one', async () => {
+      generation.promptData.reviewOutline = true;
+      generation.metadata = {
+        outline: { title: 'Edited', sections: [{ heading: 'Only section', points: [], wordCount: 3000 }] }
+      };
+      const generateStub = stubSections();
+
+      await worker.processJob({ generationId: generation.id });
+
+      expect(generateStub.calledOnce).to.be.true;
+      expect(generation.status).to.equal('completed');
+      expect(contentItem.update.firstCall.args[0].content).to.equal('# Edited\n\n## Only section\n\nBody of Only section.');
+    });
+
+    it('should record which section failed and charge the calls already made', async () => {
+      const generateStub = stubSections();
+      generateStub.onCall(2).rejects(new Error('Provider unavailable'));
+
+      await worker.processJob({ generationId: generation.id });
+
+      expect(steps.map(step => step.status)).to.deep.equal(['completed', 'completed', 'failed']);
+      expect(steps[2]).to.include({ title: 'Tools', error: 'Provider unavailable' });
+      expect(generation.status).to.equal('failed');
+      // The outline and the first section, at 10 credits each
+      expect(generation.creditsUsed).to.equal(20);
+      expect(creditService.settleHold.calledOnceWith(generation.id, 20)).to.be.true;
+      expect(creditService.releaseHold.called).to.be.false;
+
+      const stepEvents = queue.published.map(entry => entry.message).filter(event => event.type === 'step');
+      expect(stepEvents[stepEvents.length - 1]).to.include({ step: 'section', position: 2, status: 'failed' });
+    });
+
+    it('should release the whole hold when the outline fails', async () => {
+      const generateStub = stubSections();
+      generateStub.onCall(0).rejects(new Error('Provider unavailable'));
+
+      await worker.processJob({ generationId: generation.id });
+
+      expect(steps.map(step => step.status)).to.deep.equal(['failed']);
+      expect(generation.status).to.equal('failed');
+      expect(creditService.settleHold.called).to.be.false;
+      expect(creditService.releaseHold.calledOnceWith(generation.id, 'generation_failed')).to.be.true;
+    });
+
+    it('should charge the calls already made when a section of a variant fails', async () => {
+      generation.variationGroupId = uuidv4();
+      generation.promptData.variation = { target: 'content', index: 0, count: 2 };
+      const generateStub = stubSections();
+      generateStub.onCall(2).rejects(new Error('Provider unavailable'));
+
+      await worker.processJob({ variationGroupId: generation.variationGroupId, generationIds: [generation.id] });
+
+      expect(steps.map(step => step.status)).to.deep.equal(['completed', 'completed', 'failed']);
+      expect(generation.status).to.equal('failed');
+      expect(generation.creditsUsed).to.equal(20);
+      expect(creditService.settleHold.calledOnceWith(generation.id, 20)).to.be.true;
+      expect(creditService.releaseHold.called).to.be.false;
+    });
+  });
+
+  describe('variations', () => {
+    let variants;
+
+    beforeEach(() => {
+      const variationGroupId = uuidv4();
+      contentItem.content = '# Old title\n\nOriginal body about AI.';
+
+      variants = [0, 1, 2].map(index => buildRecord({
+        id: uuidv4(),
+        userId: contentItem.userId,
+        contentItemId: contentItem.id,
+        promptData: {
+          topic: 'AI content generation',
+          contentType: 'blog',
+          variation: { target: 'headline', index, count: 3 }
+        },
+        variationGroupId,
+        variantIndex: index,
+        aiProvider: 'mock',
+        status: 'queued',
+        metadata: {}
+      }));
+
+      ContentGeneration.findByPk.callsFake(async id => variants.find(variant => variant.id === id) || null);
+      ContentGeneration.update.callsFake(async (changes, { where }) => {
+        const variant = variants.find(item => item.id === where.id && item.status === where.status);
+        if (!variant) return [0];
+        Object.assign(variant, changes);
+        return [1];
+      });
+      sandbox.stub(creditService, 'calculateActualCost').returns(5);
+    });
+
+    const processVariations = () => worker.processJob({
+      variationGroupId: variants[0].variationGroupId,
+      generationIds: variants.map(variant => variant.id)
+    });
+
+    it('should generate each variant without changing the content item', async () => {
+      const generateStub = sandbox.stub(aiService, 'generate').callsFake(async (prompt) => ({
+        content: `"Headline ${generateStub.callCount}"\nExtra line`,
+        provider: 'mock',
+        model: 'mock-model-v1',
+        usage: { promptTokens: 40, completionTokens: 10, totalTokens: 50 },
+        attempts: []
+      }));
+
+      await processVariations();
+
+      expect(generateStub.callCount).to.equal(3);
+      expect(generateStub.firstCall.args[0]).to.include('currently titled');
+      expect(generateStub.firstCall.args[0]).to.include('a straightforward, practical angle');
+      expect(generateStub.secondCall.args[0]).to.include('a story-driven angle');
+
+      expect(variants.map(variant => [variant.status, variant.output, variant.creditsUsed])).to.deep.equal([
+        ['completed', 'Headline 1', 5],
+        ['completed', 'Headline 2', 5],
+        ['completed', 'Headline 3', 5]
+      ]);
+      expect(contentItem.update.called).to.be.false;
+      expect(creditService.settleHold.callCount).to.equal(3);
+    });
+
+    it('should skip cancelled variants and keep going after a failed one', async () => {
+      variants[0].status = 'failed';
+      const generateStub = sandbox.stub(aiService, 'generate');
+      generateStub.onFirstCall().rejects(new Error('Provider unavailable'));
+      generateStub.onSecondCall().resolves({
+        content: 'Another headline',
+        provider: 'mock',
+        model: 'mock-model-v1',
+        usage: { promptTokens: 40, completionTokens: 10, totalTokens: 50 }
+      });
+
+      const processed = await processVariations();
+
+      expect(processed).to.have.length(2);
+      expect(variants[1].status).to.equal('failed');
+      expect(variants[2]).to.include({ status: 'completed', output: 'Another headline' });
+      expect(creditService.releaseHold.calledOnceWith(variants[1].id, 'generation_failed')).to.be.true;
+      expect(creditService.settleHold.calledOnceWith(variants[2].id, 5)).to.be.true;
+    });
+  });
+
+  describe('translations', () => {
+    let source;
+
+    beforeEach(() => {
+      source = buildRecord({
+        id: uuidv4(),
+        userId: contentItem.userId,
+        title: 'Why Acme Cloud',
+        content: '# Why Acme Cloud\n\nAcme Cloud is fast.\n\n## Pricing\n\nPay as you go.',
+        contentType: 'blog',
+        wordCount: 13,
+        locale: 'en-US',
+        updatedAt: new Date('2026-01-05T10:00:00Z')
+      });
+      Object.assign(contentItem, { sourceItemId: source.id, locale: 'fr-FR', translationStale: true });
+      generation.task = 'translation';
+      generation.promptData = { locale: 'fr-FR', sourceLocale: 'en-US', glossary: ['Acme Cloud'], wordCount: 13, contentType: 'blog' };
+      ContentItem.findByPk.callsFake(async id => [contentItem, source].find(item => item.id === id) || null);
+      sandbox.stub(creditService, 'calculateActualCost').returns(4);
+    });
+
+    it('should store the translation on the sibling item with the glossary terms kept', async () => {
+      const generate = sandbox.stub(aiService, 'generate').resolves({
+        content: '<title>Pourquoi ⟦1⟧</title>\n<content>\n# Pourquoi ⟦1⟧\n\n⟦1⟧ est rapide.\n\n## Tarifs\n\nPayez à l\'usage.\n</content>',
+        provider: 'mock',
+        model: 'mock-model-v1',
+        usage: { promptTokens: 200, completionTokens: 40, totalTokens: 240 }
+      });
+
+      await worker.processJob({ generationId: generation.id });
+
+      expect(generate.firstCall.args[0]).to.include('into French (France, fr-FR)');
+      expect(generate.firstCall.args[0]).to.include('<title>Why ⟦1⟧</title>');
+      expect(generate.firstCall.args[0]).to.not.include('Acme Cloud');
+      expect(generate.firstCall.args[1]).to.include({ temperature: 0.3, maxTokens: 512 });
+      expect(contentItem).to.include({
+        title: 'Pourquoi Acme Cloud',
+        content: '# Pourquoi Acme Cloud\n\nAcme Cloud est rapide.\n\n## Tarifs\n\nPayez à l\'usage.',
+        status: 'generated',
+        translationStale: false
+      });
+      expect(contentItem.metadata.translation).to.deep.include({
+        sourceItemId: source.id,
+        locale: 'fr-FR',
+        missingTerms: [],
+        structure: { matches: true, sourceHeadings: 2, translatedHeadings: 2 }
+      });
+      expect(source.update.called).to.be.false;
+      expect(ContentRevision.create.firstCall.args[0]).to.deep.include({
+        contentItemId: contentItem.id,
+        number: 1,
+        title: 'Pourquoi Acme Cloud',
+        source: 'generation',
+        generationId: generation.id
+      });
+      expect(generation).to.include({ status: 'completed', creditsUsed: 4 });
+    });
+
+    it('should complete a translation whose revision cannot be recorded', async () => {
+      sandbox.stub(aiService, 'generate').resolves({
+        content: '<title>Pourquoi ⟦1⟧</title>\n<content>\n# Pourquoi ⟦1⟧\n\n⟦1⟧ est rapide.\n</content>',
+        provider: 'mock',
+        model: 'mock-model-v1',
+        usage: { promptTokens: 200, completionTokens: 20, totalTokens: 220 }
+      });
+      ContentRevision.create.rejects(new Error('Connection lost'));
+
+      await worker.processJob({ generationId: generation.id });
+
+      expect(generation).to.include({ status: 'completed', creditsUsed: 4 });
+      expect(creditService.settleHold.calledOnceWith(generation.id, 4)).to.be.true;
+      expect(creditService.releaseHold.called).to.be.false;
+    });
+
+    it('should report glossary terms and headings the translation lost', async () => {
+      sandbox.stub(aiService, 'generate').resolves({
+        content: '<title>Pourquoi le nuage Acme</title>\n<content>\nLe nuage Acme est rapide. Payez à l\'usage.\n</content>',
+        provider: 'mock',
+        model: 'mock-model-v1',
+        usage: { promptTokens: 200, completionTokens: 20, totalTokens: 220 }
+      });
+
+      await worker.processJob({ generationId: generation.id });
+
+      expect(generation.status).to.equal('completed');
+      expect(generation.metadata.missingTerms).to.deep.equal(['Acme Cloud']);
+      expect(generation.metadata.structure).to.include({ matches: false, translatedHeadings: 0 });
+    });
+
+    it('should fail when the item has no source to translate', async () => {
+      contentItem.sourceItemId = null;
+      const generate = sandbox.stub(aiService, 'generate');
+
+      await worker.processJob({ generationId: generation.id });
+
+      expect(generate.called).to.be.false;
+      expect(generation.status).to.equal('failed');
+      expect(generation.error).to.equal('The source of the translation has no content');
+    });
+
+    it('should mark the translations of a regenerated item stale', async () => {
+      generation.task = 'content';
+      generation.promptData = { topic: 'AI content generation', contentType: 'blog' };
+
+      await worker.processJob({ generationId: generation.id });
+
+      expect(generation.status).to.equal('completed');
+      expect(ContentItem.update.calledWith(
+        { translationStale: true },
+        { where: { sourceItemId: contentItem.id, translationStale: false } }
+      )).to.be.true;
+    });
+  });
+
+  describe('inline edits', () => {
+    beforeEach(() => {
+      generation.task = 'edit';
+      generation.promptData = {
+        operation: 'shorten',
+        text: 'AI content generation saves teams a great deal of time every single week.\n',
+        before: 'Intro.',
+        after: '',
+        wordCount: 7,
+        contentType: 'blog'
+      };
+      sandbox.stub(creditService, 'calculateActualCost').returns(1);
+    });
+
+    it('should keep the suggestion on the generation without changing the item', async () => {
+      const generate = sandbox.stub(aiService, 'generate').resolves({
+        content: '<suggestion>AI content generation saves hours weekly.</suggestion>',
+        provider: 'mock',
+        model: 'mock-model-v1',
+        usage: { promptTokens: 120, completionTokens: 10, totalTokens: 130 }
+      });
+      await worker.processJob({ generationId: generation.id });
+
+      expect(generate.firstCall.args[0]).to.include('approximately 7 words (current length: 13 words)');
+      expect(generate.firstCall.args[1]).to.include({ temperature: 0.3, maxTokens: 256 });
+      expect(contentItem.update.called).to.be.false;
+      expect(ContentRevision.create.called).to.be.false;
+      expect(generation).to.include({ status: 'completed', creditsUsed: 1 });
+      expect(generation.metadata.suggestion).to.deep.equal({
+        operation: 'shorten',
+        original: 'AI content generation saves teams a great deal of time every single week.\n',
+        text: 'AI content generation saves hours weekly.\n',
+        wordCount: 6
+      });
+      const lastEvent = queue.published[queue.published.length - 1].message;
+      expect(lastEvent).to.deep.include({
+        status: 'completed',
+        suggestion: generation.metadata.suggestion
+      });
+    });
+
+    it('should fail an edit whose reply has no text', async () => {
+      sandbox.stub(aiService, 'generate').resolves({
+        content: '<suggestion></suggestion>',
+        provider: 'mock',
+        model: 'mock-model-v1',
+        usage: { promptTokens: 120, completionTokens: 2, totalTokens: 122 }
+      });
+
+      await worker.processJob({ generationId: generation.id });
+
+      expect(generation.status).to.equal('failed');
+      expect(generation.error).to.equal('The suggestion is empty');
+    });
+  });
+
+  describe('SEO metadata', () => {
+    beforeEach(() => {
+      generation.task = 'seo';
+      generation.promptData = { keywords: ['content marketing'], contentType: 'blog' };
+      contentItem.title = 'Content Marketing with AI';
+      contentItem.content = '# Content Marketing with AI\n\nAI helps teams publish more.\n\n## Is AI content good for SEO?\n\nYes, when it is edited.';
+      sandbox.stub(creditService, 'calculateActualCost').returns(3);
+    });
+
+    it('should store the metadata on the content item without changing its content', async () => {
+      const generateStub = sandbox.stub(aiService, 'generate').resolves({
+        content: '```json\n{"metaTitle": "Content Marketing with AI", "metaDescription": "How AI helps teams publish more.", "slug": "AI Content Marketing!"}\n```',
+        provider: 'mock',
+        model: 'mock-model-v1',
+        usage: { promptTokens: 300, completionTokens: 60, totalTokens: 360 }
+      });
+
+      await worker.processJob({ generationId: generation.id });
+
+      expect(generateStub.firstCall.args[0]).to.include('Target keywords: content marketing');
+      expect(generateStub.firstCall.args[1]).to.include({ temperature: 0.3, maxTokens: 800 });
+
+      const { content, metadata } = contentItem.update.firstCall.args[0];
+      expect(content).to.be.undefined;
+      expect(metadata.seo).to.include({
+        metaTitle: 'Content Marketing with AI',
+        slug: 'ai-content-marketing',
+        excerpt: 'AI helps teams publish more.',
+        focusKeyword: 'content marketing',
+        generationId: generation.id
+      });
+      expect(metadata.seo.jsonLd.map(item => item['@type'])).to.deep.equal(['Article', 'FAQPage']);
+      expect(generation).to.include({ status: 'completed', creditsUsed: 3 });
+    });
+
+    it('should fail the generation when the response is not JSON', async () => {
+      sandbox.stub(aiService, 'generate').resolves({
+        content: 'Here is a great title for your post',
+        provider: 'mock',
+        model: 'mock-model-v1',
+        usage: { promptTokens: 300, completionTokens: 10, totalTokens: 310 }
+      });
+
+      await worker.processJob({ generationId: generation.id });
+
+      expect(generation.status).to.equal('failed');
+      expect(generation.error).to.equal('The generated SEO metadata is not a valid JSON object');
+      expect(contentItem.update.called).to.be.false;
+      expect(creditService.releaseHold.calledOnceWith(generation.id, 'generation_failed')).to.be.true;
+    });
+  });
+
+  describe('batch rows', () => {
+    let batches;
+
+    beforeEach(() => {
+      generation.batchId = uuidv4();
+      generation.batchRow = 0;
+      batches = {
+        isRunning: sandbox.stub().resolves(true),
+        refreshProgress: sandbox.stub().resolves({ total: 1, completed: 1 })
+      };
+      worker.batches = batches;
+    });
+
+    const processRow = () => worker.processJob({ generationId: generation.id, batchId: generation.batchId });
+
+    it('should generate the row and update the progress of its batch', async () => {
+      await processRow();
+
+      expect(generation.status).to.equal('completed');
+      expect(contentItem.status).to.equal('generated');
+      expect(batches.refreshProgress.calledOnceWith(generation.batchId)).to.be.true;
+    });
+
+    it('should leave the rows of a paused batch queued', async () => {
+      batches.isRunning.resolves(false);
+      const generateSpy = sandbox.spy(aiService, 'generate');
+
+      const result = await processRow();
+
+      expect(result).to.be.null;
+      expect(generateSpy.called).to.be.false;
+      expect(generation.status).to.equal('queued');
+      expect(batches.refreshProgress.called).to.be.false;
+    });
+
+    it('should update the progress after a failed row', async () => {
+      sandbox.stub(aiService, 'generate').rejects(new Error('Provider unavailable'));
+      batches.refreshProgress.rejects(new Error('Database unavailable'));
+
+      await processRow();
+
+      expect(generation.status).to.equal('failed');
+      expect(batches.refreshProgress.calledOnce).to.be.true;
+    });
+  });
+
+  it('should skip generations that are no longer queued', async () => {
+    generation.status = 'failed';
+    generation.error = 'Cancelled by user';
+    const generateSpy = sandbox.spy(aiService, 'generate');
+
+    const result = await worker.processJob({ generationId: generation.id });
+
+    expect(result).to.be.null;
+    expect(generateSpy.called).to.be.false;
+    expect(generation.update.called).to.be.false;
+  });
+
+  it('should skip jobs whose generation no longer exists', async () => {
+    ContentGeneration.findByPk.resolves(null);
+
+    const result = await worker.processJob({ generationId: uuidv4() });
+
+    expect(result).to.be.null;
+  });
+});
@@ -0,0 +1,369 @@
+// backend/tests/unit/services/aiService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const aiService = require('../../../src/services/aiService');
+const config = require('../../../src/config/ai');
+const { InMemoryQueue } = require('../../helpers/inMemoryQueue');
+
+const { AIService, AIProviderError, classifyError } = aiService;
+
+// Provider whose generate() is a stub the test scripts
+const buildProvider = (name) => ({
+  name,
+  defaultModel: `${name}-model`,
+  generate: sinon.stub().callsFake(async (prompt, options) => ({
+    content: `From ${name}`,
+    model: options.model || `${name}-model`,
+    usage: { promptTokens: 1, completionTokens: 2, totalTokens: 3 },
+    provider: name
+  }))
+});
+
+// Errors in the shapes the OpenAI SDK and axios raise them
+const httpError = (status, extra = {}) => Object.assign(new Error(`HTTP ${status}`), { status, ...extra });
+const axiosError = (status, type) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers: {}, data: { type: 'error', error: { type, message: type } } }
+});
+
+describe('AI Service', () => {
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+
+    sandbox.stub(aiService, 'providers').value({
+      openai: buildProvider('openai'),
+      anthropic: buildProvider('anthropic'),
+      local: buildProvider('local')
+    });
+    sandbox.stub(aiService, 'breakers').value({});
+    sandbox.stub(aiService, 'defaultProvider').value('openai');
+    sandbox.stub(aiService, 'sleep').resolves();
+
+    sandbox.stub(config, 'fallbackChain').value(['anthropic', 'local']);
+    sandbox.stub(config, 'retry').value({ maxRetries: 2, baseDelay: 100, maxDelay: 1000 });
+    sandbox.stub(config, 'circuitBreaker').value({ failureThreshold: 3, resetTimeout: 30000 });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('classifyError', () => {
+    it('should classify HTTP status codes', () => {
+      expect(classifyError(httpError(429))).to.equal('rate_limit');
+      expect(classifyError(httpError(401))).to.equal('auth');
+      expect(classifyError(httpError(503))).to.equal('server');
+      expect(classifyError(httpError(400))).to.equal('invalid_request');
+    });
+
+    it('should classify provider error codes and types', () => {
+      expect(classifyError(httpError(400, { code: 'content_policy_violation' }))).to.equal('content_policy');
+      expect(classifyError(httpError(429, { code: 'insufficient_quota' }))).to.equal('auth');
+      expect(classifyError(axiosError(529, 'overloaded_error'))).to.equal('server');
+      expect(classifyError(Object.assign(new Error('Overloaded'), { type: 'overloaded_error' }))).to.equal('server');
+    });
+
+    it('should classify timeouts and connection failures', () => {
+      expect(classifyError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))).to.equal('timeout');
+      expect(classifyError(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }))).to.equal('unavailable');
+      expect(classifyError(new Error('Something else'))).to.equal('unknown');
+    });
+  });
+
+  describe('generate', () => {
+    it('should use the requested provider and model', async () => {
+      const result = await aiService.generate('Prompt', { provider: 'local', model: 'llama3' });
+
+      expect(result).to.include({ provider: 'local', model: 'llama3' });
+      expect(result.attempts).to.deep.equal([]);
+      expect(aiService.providers.openai.generate.called).to.be.false;
+    });
+
+    it('should retry retriable errors with backoff before succeeding', async () => {
+      aiService.providers.openai.generate
+        .onFirstCall().rejects(httpError(429))
+        .onSecondCall().rejects(httpError(503));
+
+      const result = await aiService.generate('Prompt');
+
+      expect(result.provider).to.equal('openai');
+      expect(aiService.providers.openai.generate.calledThrice).to.be.true;
+      expect(aiService.sleep.calledTwice).to.be.true;
+      expect(result.attempts.map(attempt => attempt.type)).to.deep.equal(['rate_limit', 'server']);
+    });
+
+    it('should honour Retry-After when it exceeds the backoff', async () => {
+      aiService.providers.openai.generate
+        .onFirstCall().rejects(httpError(429, { headers: { 'retry-after': '0.5' } }));
+
+      await aiService.generate('Prompt');
+
+      expect(aiService.sleep.firstCall.args[0]).to.equal(500);
+    });
+
+    it('should fail over along the chain without the requested model', async () => {
+      aiService.providers.openai.generate.rejects(httpError(401));
+      aiService.providers.anthropic.generate.rejects(httpError(500));
+
+      const result = await aiService.generate('Prompt', { model: 'gpt-4o' });
+
+      expect(result).to.include({ provider: 'local', model: 'local-model' });
+      // Auth errors are not retried; server errors are retried twice
+      expect(aiService.providers.openai.generate.calledOnce).to.be.true;
+      expect(aiService.providers.anthropic.generate.calledThrice).to.be.true;
+      expect(result.attempts[0]).to.deep.equal({
+        provider: 'openai',
+        model: 'gpt-4o',
+        type: 'auth',
+        error: 'HTTP 401'
+      });
+    });
+
+    it('should not fail over on request errors', async () => {
+      aiService.providers.openai.generate.rejects(httpError(400, { code: 'content_policy_violation' }));
+
+      try {
+        await aiService.generate('Prompt');
+        expect.fail('Expected method to throw');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AIProviderError);
+        expect(error.type).to.equal('content_policy');
+        expect(error.attempts).to.have.length(1);
+      }
+
+      expect(aiService.providers.anthropic.generate.called).to.be.false;
+      expect(aiService.getBreaker('openai').getStatus().failures).to.equal(0);
+    });
+
+    it('should not retry or fail over once tokens have been streamed', async () => {
+      aiService.providers.openai.generate.callsFake(async (prompt, options) => {
+        options.onToken('Partial');
+        throw httpError(503);
+      });
+      const tokens = [];
+
+      try {
+        await aiService.generate('Prompt', { onToken: token => tokens.push(token) });
+        expect.fail('Expected method to throw');
+      } catch (error) {
+        expect(error.type).to.equal('server');
+      }
+
+      expect(tokens).to.deep.equal(['Partial']);
+      expect(aiService.providers.openai.generate.calledOnce).to.be.true;
+      expect(aiService.providers.anthropic.generate.called).to.be.false;
+    });
+
+    it('should skip providers whose circuit is open', async () => {
+      aiService.providers.openai.generate.rejects(httpError(503));
+
+      // Three failed attempts trip the breaker
+      await aiService.generate('Prompt');
+      const result = await aiService.generate('Prompt');
+
+      expect(aiService.providers.openai.generate.calledThrice).to.be.true;
+      expect(result.provider).to.equal('anthropic');
+      expect(result.attempts).to.deep.equal([{ provider: 'openai', type: 'circuit_open' }]);
+      expect(aiService.getHealth().providers.find(provider => provider.name === 'openai')).to.include({
+        state: 'open',
+        failures: 3
+      });
+    });
+
+    it('should report no available provider when every circuit is open', async () => {
+      ['openai', 'anthropic', 'local'].forEach((name) => {
+        [1, 2, 3].forEach(() => aiService.getBreaker(name).recordFailure(httpError(503)));
+      });
+
+      try {
+        await aiService.generate('Prompt');
+        expect.fail('Expected method to throw');
+      } catch (error) {
+        expect(error.type).to.equal('unavailable');
+        expect(error.statusCode).to.equal(503);
+        expect(error.attempts).to.have.length(3);
+      }
+    });
+
+    it('should fall back to the default provider when no chain is configured', async () => {
+      config.fallbackChain = [];
+      aiService.providers.local.generate.rejects(httpError(500));
+
+      const result = await aiService.generate('Prompt', { provider: 'local' });
+
+      expect(result.provider).to.equal('openai');
+      expect(aiService.providers.anthropic.generate.called).to.be.false;
+    });
+
+    it('should report every call, failed or not, to onCall without returning the exchange', async () => {
+      const exchange = { request: { model: 'openai-model', temperature: 0.2 }, response: { id: 'chatcmpl-1' } };
+      aiService.providers.openai.generate
+        .onFirstCall().rejects(httpError(503))
+        .onSecondCall().resolves({
+          content: 'From openai',
+          model: 'openai-model',
+          usage: { promptTokens: 1, completionTokens: 2, totalTokens: 3 },
+          provider: 'openai',
+          exchange
+        });
+      const calls = [];
+
+      const result = await aiService.generate('Prompt', { systemMessage: 'Be brief.', onCall: call => calls.push(call) });
+
+      expect(result).to.not.have.property('exchange');
+      expect(calls).to.have.length(2);
+      expect(calls[0]).to.include({ provider: 'openai', model: 'openai-model', prompt: 'Prompt', systemMessage: 'Be brief.', response: null });
+      expect(calls[0].error).to.deep.equal({ type: 'server', message: 'HTTP 503' });
+      expect(calls[1]).to.include({ error: null, request: exchange.request, response: exchange.response });
+      expect(calls[1].usage).to.deep.equal({ promptTokens: 1, completionTokens: 2, totalTokens: 3 });
+      expect(calls[1].duration).to.be.a('number');
+    });
+  });
+
+  describe('shareBreakers', () => {
+    let broker;
+    let worker;
+    let api;
+
+    beforeEach(async () => {
+      // The worker and API processes, each with its own service instance
+      broker = new InMemoryQueue();
+      worker = new AIService({ broker });
+      api = new AIService({ broker });
+      worker.providers = { openai: buildProvider('openai') };
+      api.providers = { openai: buildProvider('openai') };
+      worker.defaultProvider = 'openai';
+      api.defaultProvider = 'openai';
+      sandbox.stub(worker, 'sleep').resolves();
+
+      await worker.shareBreakers();
+      await api.shareBreakers();
+    });
+
+    it('should show the failures of one instance in the health of another', async () => {
+      worker.providers.openai.generate.rejects(httpError(503));
+
+      try {
+        await worker.generate('Prompt');
+        expect.fail('Expected method to throw');
+      } catch (error) {
+        expect(error.type).to.equal('server');
+      }
+
+      expect(api.getHealth().providers.find(provider => provider.name === 'openai')).to.include({
+        state: 'open',
+        failures: 3
+      });
+      expect(api.getBreaker('openai').canRequest()).to.be.false;
+    });
+
+    it('should close the breaker everywhere once its provider recovers', async () => {
+      worker.providers.openai.generate.onFirstCall().rejects(httpError(503));
+
+      await worker.generate('Prompt');
+
+      expect(api.getBreaker('openai').getStatus()).to.include({ state: 'closed', failures: 0 });
+      // Only the failure and the recovery changed the breaker
+      expect(broker.published).to.have.length(2);
+    });
+  });
+
+  describe('generateStructured', () => {
+    const fields = [
+      { name: 'title', type: 'string' },
+      { name: 'features', type: 'list', minItems: 2 }
+    ];
+
+    const reply = content => ({
+      content,
+      model: 'openai-model',
+      usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+      provider: 'openai'
+    });
+
+    beforeEach(() => {
+      sandbox.stub(config, 'structuredOutput').value({ maxAttempts: 2 });
+    });
+
+    it('should ask for JSON and return the validated fields', async () => {
+      aiService.providers.openai.generate.resolves(reply('{"title": "Lamp", "features": ["Bright", "Small"]}'));
+
+      const result = await aiService.generateStructured('Write a product page', fields);
+
+      const [prompt, options] = aiService.providers.openai.generate.firstCall.args;
+      expect(prompt).to.include('Write a product page\n\nReply with a JSON object only');
+      expect(options.responseFormat).to.equal('json');
+      expect(result.structured).to.deep.equal({ title: 'Lamp', features: ['Bright', 'Small'] });
+      expect(result.repairs).to.equal(0);
+    });
+
+    it('should send the errors back to repair an invalid reply', async () => {
+      aiService.providers.openai.generate
+        .onFirstCall().resolves(reply('{"title": "Lamp", "features": ["Bright"]}'))
+        .onSecondCall().resolves(reply('{"title": "Lamp", "features": ["Bright", "Small"]}'));
+
+      const result = await aiService.generateStructured('Write a product page', fields);
+
+      const repairPrompt = aiService.providers.openai.generate.secondCall.args[0];
+      expect(repairPrompt).to.include('- "features" must have at least 2 items, not 1');
+      expect(result.repairs).to.equal(1);
+      expect(result.usage).to.deep.equal({ promptTokens: 20, completionTokens: 10, totalTokens: 30 });
+    });
+
+    it('should fail when no attempt matches the schema', async () => {
+      aiService.providers.openai.generate.resolves(reply('Not JSON'));
+
+      try {
+        await aiService.generateStructured('Write a product page', fields);
+        expect.fail('Expected method to throw');
+      } catch (error) {
+        expect(error.message).to.equal('The generated output did not match the output schema after 2 attempts: The reply is not a JSON object');
+        // Both replies were paid for
+        expect(error.usage).to.deep.equal({ promptTokens: 20, completionTokens: 10, totalTokens: 30 });
+        expect(error).to.include({ provider: 'openai', model: 'openai-model' });
+        expect(error.attempts).to.deep.equal([]);
+      }
+      expect(aiService.providers.openai.generate.callCount).to.equal(2);
+    });
+
+    it('should keep the usage of the replies before a failed repair', async () => {
+      aiService.providers.openai.generate
+        .onFirstCall().resolves(reply('Not JSON'))
+        .onSecondCall().rejects(httpError(400, { code: 'content_policy_violation' }));
+
+      try {
+        await aiService.generateStructured('Write a product page', fields);
+        expect.fail('Expected method to throw');
+      } catch (error) {
+        expect(error.type).to.equal('content_policy');
+        expect(error.usage).to.deep.equal({ promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+        expect(error.attempts).to.have.length(1);
+      }
+    });
+  });
+
+  describe('buildSystemMessage', () => {
+    it('should compile a voice profile into the system message', () => {
+      const message = aiService.buildSystemMessage({
+        name: 'Acme',
+        tone: 'warm and direct',
+        readingLevel: '8th grade',
+        bannedPhrases: ['game changer'],
+        terminology: [{ preferred: 'sign in', avoid: ['login', 'log in'] }, { preferred: 'Acme Cloud', avoid: [] }],
+        samples: ['We keep it short.']
+      });
+
+      expect(message).to.include('brand voice "Acme"');
+      expect(message).to.include('Tone of voice: warm and direct.');
+      expect(message).to.include('Reading level: 8th grade.');
+      expect(message).to.include('Never use these phrases:\n- "game changer"');
+      expect(message).to.include('- "sign in", never "login", "log in"\n- "Acme Cloud"');
+      expect(message).to.include('"""\nWe keep it short.\n"""');
+    });
+
+    it('should use the default system message without a profile', () => {
+      expect(aiService.buildSystemMessage()).to.match(/^You are a professional content creator/);
+    });
+  });
+});
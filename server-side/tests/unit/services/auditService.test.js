@@ -0,0 +1,74 @@
+// backend/tests/unit/services/auditService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+const { GenerationAudit } = require('../../../src/db/models');
+const { AuditService } = require('../../../src/services/auditService');
+
+describe('Audit Service', () => {
+  let sandbox;
+  let audit;
+  const generation = { id: 'generation-1' };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    audit = new AuditService({ retentionDays: 30, purgeInterval: 3600000 });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('createTrail', () => {
+    it('should collect calls and processing steps through its callbacks', () => {
+      const trail = audit.createTrail();
+
+      trail.onCall({ provider: 'openai', prompt: 'Prompt' });
+      trail.onStep('keyword-optimization', 'Optimized content');
+
+      expect(trail.calls).to.deep.equal([{ provider: 'openai', prompt: 'Prompt' }]);
+      expect(trail.processingSteps).to.deep.equal([{ step: 'keyword-optimization', output: 'Optimized content' }]);
+    });
+  });
+
+  describe('save', () => {
+    it('should store the trail of the generation', async () => {
+      sandbox.stub(GenerationAudit, 'create').resolvesArg(0);
+      const trail = audit.createTrail();
+      trail.onCall({ provider: 'openai' });
+
+      const saved = await audit.save(generation, trail);
+
+      expect(saved).to.deep.equal({
+        generationId: 'generation-1',
+        calls: [{ provider: 'openai' }],
+        processingSteps: []
+      });
+    });
+
+    it('should not store empty trails, or any trail when retention is 0 days', async () => {
+      const create = sandbox.stub(GenerationAudit, 'create').resolves();
+      const trail = audit.createTrail();
+
+      expect(await audit.save(generation, trail)).to.be.null;
+
+      trail.onCall({ provider: 'openai' });
+      audit = new AuditService({ retentionDays: 0, purgeInterval: 3600000 });
+
+      expect(audit.enabled).to.be.false;
+      expect(await audit.save(generation, trail)).to.be.null;
+      expect(create.called).to.be.false;
+    });
+  });
+
+  describe('purgeExpired', () => {
+    it('should delete the trails older than the retention period', async () => {
+      const destroy = sandbox.stub(GenerationAudit, 'destroy').resolves(4);
+
+      const deleted = await audit.purgeExpired(new Date('2024-03-31T12:00:00Z'));
+
+      expect(deleted).to.equal(4);
+      expect(destroy.firstCall.args[0].where.createdAt[Op.lt]).to.deep.equal(new Date('2024-03-01T12:00:00Z'));
+    });
+  });
+});
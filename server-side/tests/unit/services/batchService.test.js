@@ -0,0 +1,266 @@
+// backend/tests/unit/services/batchService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { BatchService } = require('../../../src/services/batchService');
+const { queueService } = require('../../../src/services/queueService');
+const { creditService } = require('../../../src/services/creditService');
+const { GenerationBatch, ContentGeneration, ContentItem } = require('../../../src/db/models');
+
+describe('Batch Service', () => {
+  let sandbox;
+  let batches;
+
+  const template = {
+    contentType: 'product',
+    promptTemplate: 'Describe {productName}. Features: {features}.',
+    variables: [
+      { name: 'productName', type: 'string', required: true, label: 'Product name' },
+      { name: 'features', type: 'list' },
+      { name: 'tone', type: 'enum', options: ['formal', 'casual'], default: 'formal' }
+    ],
+    defaultParameters: {}
+  };
+
+  const batch = {
+    id: 'batch-id',
+    name: 'Spring catalog',
+    columns: ['Name', 'Features', 'Tone'],
+    rows: [
+      { Name: 'Oak desk', Features: 'solid wood, two drawers', Tone: '' },
+      { Name: '', Features: 'adjustable', Tone: 'loud' }
+    ],
+    rowCount: 2,
+    estimatedCredits: 20
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    batches = new BatchService({ maxRows: 2, maxFileSize: 1024 });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('parseFile', () => {
+    it('should read CSV files and JSON arrays', () => {
+      const csvFile = { originalname: 'rows.csv', mimetype: 'text/csv', buffer: Buffer.from('Name\nOak desk\n') };
+      const jsonFile = { originalname: 'rows.json', mimetype: 'application/octet-stream', buffer: Buffer.from('[{"Name": "Oak desk"}, {"Price": 120}]') };
+
+      expect(batches.parseFile(csvFile)).to.deep.equal({ columns: ['Name'], rows: [{ Name: 'Oak desk' }] });
+      expect(batches.parseFile(jsonFile)).to.deep.equal({ columns: ['Name', 'Price'], rows: [{ Name: 'Oak desk' }, { Price: 120 }] });
+    });
+
+    it('should reject JSON that is not an array of objects', () => {
+      const file = contents => ({ originalname: 'rows.json', buffer: Buffer.from(contents) });
+
+      expect(() => batches.parseFile(file('{"Name": "Oak desk"}'))).to.throw('Rows must be an array of objects');
+      expect(() => batches.parseFile(file('[{"Name"'))).to.throw('File is not valid JSON').with.property('statusCode', 400);
+    });
+  });
+
+  describe('createBatch', () => {
+    it('should reject uploads with more rows than the limit', async () => {
+      const create = sandbox.stub(GenerationBatch, 'create');
+
+      try {
+        await batches.createBatch('user-id', 'Too many', { columns: ['Name'], rows: [{}, {}, {}] });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(error.message).to.equal('The upload has 3 rows; at most 2 can be generated at once');
+      }
+      expect(create.called).to.be.false;
+    });
+  });
+
+  describe('validateMapping', () => {
+    it('should report unknown variables and columns and unmapped required variables', () => {
+      const errors = batches.validateMapping(batch, template.variables, {
+        features: 'Feature list',
+        colour: 'Tone',
+        title: 'Name'
+      });
+
+      expect(errors.map(error => [error.path, error.msg])).to.deep.equal([
+        ['columnMapping.features', 'Column "Feature list" is not in the upload'],
+        ['columnMapping.colour', '"colour" is not a variable of the template'],
+        ['columnMapping.productName', 'Product name must be mapped to a column']
+      ]);
+    });
+
+    it('should accept required variables given for every row', () => {
+      expect(batches.validateMapping(batch, template.variables, {}, { productName: 'Oak desk' })).to.deep.equal([]);
+    });
+  });
+
+  describe('mapRow', () => {
+    it('should map columns onto variables and keep shared values for empty cells', () => {
+      expect(batches.mapRow(batch.rows[0], { productName: 'Name', tone: 'Tone', title: 'Name' }, { tone: 'casual' })).to.deep.equal({
+        title: 'Oak desk',
+        promptData: { productName: 'Oak desk', tone: 'casual' }
+      });
+    });
+  });
+
+  describe('planRows', () => {
+    it('should estimate the rows that can be generated and report the errors of the others', () => {
+      const planned = batches.planRows(batch, {
+        template,
+        columnMapping: { productName: 'Name', features: 'Features', tone: 'Tone' },
+        promptData: {},
+        contentType: 'product'
+      });
+
+      expect(planned[0]).to.include({ row: 1, title: 'Spring catalog #1' });
+      expect(planned[0].promptData).to.deep.equal({ productName: 'Oak desk', features: ['solid wood', 'two drawers'], tone: 'formal' });
+      expect(planned[0].errors).to.deep.equal([]);
+      expect(planned[0].estimatedCost).to.be.greaterThan(0);
+
+      expect(planned[1].estimatedCost).to.equal(0);
+      expect(planned[1].errors.map(error => error.msg)).to.deep.equal([
+        'Product name is required',
+        'tone must be one of: formal, casual'
+      ]);
+    });
+  });
+
+  describe('progress', () => {
+    beforeEach(() => {
+      sandbox.stub(ContentGeneration, 'count').resolves([
+        { status: 'completed', count: '1' },
+        { status: 'failed', count: '1' }
+      ]);
+      sandbox.stub(ContentGeneration, 'sum').resolves(12);
+    });
+
+    it('should count the rows by status', async () => {
+      expect(await batches.getProgress(batch)).to.deep.equal({
+        total: 2,
+        queued: 0,
+        processing: 0,
+        completed: 1,
+        failed: 1,
+        percent: 100,
+        creditsUsed: 12,
+        estimatedCredits: 20
+      });
+    });
+
+    it('should complete a processing batch once every row is finished', async () => {
+      sandbox.stub(GenerationBatch, 'findByPk').resolves(batch);
+      const update = sandbox.stub(GenerationBatch, 'update').resolves([1]);
+
+      await batches.refreshProgress(batch.id);
+
+      expect(update.firstCall.args[0].status).to.equal('completed');
+      expect(update.firstCall.args[1].where).to.deep.equal({ id: batch.id, status: 'processing' });
+    });
+  });
+
+  describe('startBatch', () => {
+    it('should delete the drafts of every held row when a hold fails', async () => {
+      const draft = {
+        ...batch,
+        userId: 'user-id',
+        set: sinon.stub(),
+        update: sinon.stub().resolves()
+      };
+      const plannedRows = [
+        { row: 1, title: 'Oak desk', promptData: { productName: 'Oak desk' }, estimatedCost: 10, errors: [] },
+        { row: 2, title: 'Lamp', promptData: { productName: 'Lamp' }, estimatedCost: 10, errors: [] }
+      ];
+      const items = [];
+      sandbox.stub(GenerationBatch, 'update').resolves([1]);
+      sandbox.stub(ContentItem, 'create').callsFake(async (data) => {
+        const item = { ...data, destroy: sinon.stub().resolves() };
+        items.push(item);
+        return item;
+      });
+      sandbox.stub(ContentItem, 'destroy').resolves(1);
+      sandbox.stub(ContentGeneration, 'create').callsFake(async data => ({ ...data, update: sinon.stub().resolves() }));
+      sandbox.stub(ContentGeneration, 'update').resolves([1]);
+      const insufficient = Object.assign(new Error('Insufficient credits'), { statusCode: 402 });
+      sandbox.stub(creditService, 'placeHold')
+        .onFirstCall().resolves()
+        .onSecondCall().rejects(insufficient);
+      sandbox.stub(creditService, 'releaseHold').resolves({ creditsReleased: 10 });
+      sandbox.stub(queueService, 'enqueue');
+
+      try {
+        await batches.startBatch(draft, { template: { id: 'template-id' }, contentType: 'product' }, plannedRows);
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(402);
+      }
+
+      // The first row was held and is released; the second failed its hold
+      expect(creditService.releaseHold.calledOnce).to.be.true;
+      expect(ContentItem.destroy.calledOnceWith({ where: { id: items[0].id } })).to.be.true;
+      expect(items[1].destroy.calledOnce).to.be.true;
+      expect(queueService.enqueue.called).to.be.false;
+      expect(draft.update.firstCall.args[0]).to.include({ status: 'failed' });
+    });
+  });
+
+  describe('resumeBatch', () => {
+    it('should queue the waiting rows again', async () => {
+      const paused = {
+        id: batch.id,
+        status: 'paused',
+        update: sinon.stub().callsFake(async changes => Object.assign(paused, changes)),
+        reload: sinon.stub().callsFake(async () => paused)
+      };
+      sandbox.stub(ContentGeneration, 'findAll').resolves([
+        { id: 'generation-2', userId: 'user-id', contentItemId: 'item-2', promptData: { productName: 'Lamp' }, aiProvider: 'default' }
+      ]);
+      const enqueue = sandbox.stub(queueService, 'enqueue').resolves(true);
+      sandbox.stub(batches, 'refreshProgress').resolves(null);
+
+      await batches.resumeBatch(paused);
+
+      expect(paused.status).to.equal('processing');
+      expect(enqueue.calledOnce).to.be.true;
+      expect(enqueue.firstCall.args[1]).to.include({ generationId: 'generation-2', batchId: batch.id });
+    });
+
+    it('should only resume paused batches', async () => {
+      try {
+        await batches.resumeBatch({ status: 'completed' });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+      }
+    });
+  });
+
+  describe('buildResultsCsv', () => {
+    it('should append each row\'s result to the upload', async () => {
+      sandbox.stub(ContentGeneration, 'findAll').resolves([
+        {
+          batchRow: 1,
+          status: 'failed',
+          error: 'Product name is required',
+          creditsUsed: 0,
+          ContentItem: null
+        },
+        {
+          batchRow: 0,
+          status: 'completed',
+          error: null,
+          creditsUsed: 12,
+          ContentItem: { id: 'item-1', title: 'Oak desk', content: '# Oak desk\n\nSolid wood.' }
+        }
+      ]);
+
+      const text = await batches.buildResultsCsv(batch);
+
+      expect(text.split('\r\n')).to.deep.equal([
+        'Name,Features,Tone,result_status,result_error,result_content_item_id,result_title,result_credits_used,result_content',
+        'Oak desk,"solid wood, two drawers",,completed,,item-1,Oak desk,12,"# Oak desk\n\nSolid wood."',
+        ',adjustable,loud,failed,Product name is required,,,0,',
+        ''
+      ]);
+    });
+  });
+});
@@ -2,13 +2,17 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
 const { creditService, estimateGenerationCost } = require('../../../src/services/creditService');
-const { CreditAccount, User } = require('../../../src/db/models');
+const { modelRegistry } = require('../../../src/services/modelRegistry');
+const { CreditAccount, User, CreditTransaction } = require('../../../src/db/models');
 
 describe('Credit Service', () => {
   let sandbox;
   
   beforeEach(() => {
     sandbox = sinon.createSandbox();
+    
+    // Run transactional paths without a database connection
+    sandbox.stub(creditService, 'runInTransaction').callsFake(async (callback) => callback({}));
   });
   
   afterEach(() => {
@@ -16,6 +20,11 @@ describe('Credit Service', () => {
   });
   
   describe('estimateGenerationCost', () => {
+    beforeEach(() => {
+      // Base-rate model unless a test asks for another
+      sandbox.stub(modelRegistry, 'getCreditMultiplier').returns(1);
+    });
+    
     it('should calculate cost based on word count', () => {
       const promptData = { wordCount: 1000 };
       const contentType = 'blog';
@@ -43,6 +52,16 @@ describe('Credit Service', () => {
       expect(cost).to.be.greaterThan(1000);
     });
     
+    it('should apply the model multiplier from the model registry', () => {
+      modelRegistry.getCreditMultiplier.withArgs('gpt-4', 'openai').returns(1.5);
+      const promptData = { wordCount: 1000, model: 'gpt-4' };
+      
+      const cost = estimateGenerationCost(promptData, 'blog', 'openai');
+      
+      expect(cost).to.equal(1500);
+      expect(modelRegistry.getCreditMultiplier.calledWith('gpt-4', 'openai')).to.be.true;
+    });
+    
     it('should ensure minimum cost', () => {
       const promptData = { wordCount: 10 };
       const contentType = 'social';
@@ -119,6 +138,41 @@ describe('Credit Service', () => {
     });
   });
   
+  describe('mutateBalance', () => {
+    it('should lock the credit account inside a transaction', async () => {
+      const mockCreditAccount = { creditsRemaining: 1000, creditsReserved: 0, save: sandbox.stub().resolves() };
+      
+      sandbox.stub(CreditAccount, 'findOne').resolves(mockCreditAccount);
+      
+      await creditService.mutateBalance('test-user-id', async (creditAccount) => {
+        creditAccount.creditsRemaining -= 100;
+      });
+      
+      const options = CreditAccount.findOne.firstCall.args[0];
+      expect(creditService.runInTransaction.calledOnce).to.be.true;
+      expect(options.where).to.deep.equal({ userId: 'test-user-id' });
+      expect(options.lock).to.be.true;
+      expect(options.transaction).to.exist;
+      expect(mockCreditAccount.save.calledOnceWith({ transaction: options.transaction })).to.be.true;
+    });
+    
+    it('should refuse to save a negative balance', async () => {
+      const mockCreditAccount = { creditsRemaining: 100, creditsReserved: 0, save: sandbox.stub().resolves() };
+      
+      sandbox.stub(creditService, 'getCreditAccount').resolves(mockCreditAccount);
+      
+      try {
+        await creditService.mutateBalance('test-user-id', async (creditAccount) => {
+          creditAccount.creditsRemaining -= 500;
+        });
+        expect.fail('Expected method to throw');
+      } catch (error) {
+        expect(error.message).to.equal('Credit balance cannot go below zero');
+        expect(mockCreditAccount.save.called).to.be.false;
+      }
+    });
+  });
+  
   describe('deductCredits', () => {
     it('should deduct credits from user account', async () => {
       // Mock data
@@ -131,8 +185,9 @@ describe('Credit Service', () => {
         save: sandbox.stub().resolves()
       };
       
-      // Stub getCreditAccount
+      // Stub getCreditAccount and the ledger
       sandbox.stub(creditService, 'getCreditAccount').resolves(mockCreditAccount);
+      sandbox.stub(CreditTransaction, 'create').resolves({});
       
       // Call the method
       const result = await creditService.deductCredits(userId, credits, reason);
@@ -143,6 +198,12 @@ describe('Credit Service', () => {
       expect(mockCreditAccount.creditsRemaining).to.equal(500);
       expect(mockCreditAccount.creditsUsed).to.equal(2500);
       expect(mockCreditAccount.save.calledOnce).to.be.true;
+      expect(CreditTransaction.create.calledOnce).to.be.true;
+      expect(CreditTransaction.create.firstCall.args[0]).to.include({
+        type: 'deduction',
+        amount: -500,
+        balanceAfter: 500
+      });
     });
     
     it('should throw error if not enough credits', async () => {
@@ -167,6 +228,228 @@ describe('Credit Service', () => {
       }
     });
   });
+  
+  describe('estimatePromptCost', () => {
+    beforeEach(() => {
+      sandbox.stub(modelRegistry, 'resolveModel').returns({
+        id: 'gpt-4o',
+        creditPricing: { input: 500, output: 1000 },
+        tokensPerWord: 1.5
+      });
+    });
+    
+    it('should price the prompt tokens and the expected completion tokens', () => {
+      const estimate = creditService.estimatePromptCost('Write a post about testing.', { wordCount: 400 }, 'blog', 'openai');
+      
+      expect(estimate).to.include({ model: 'gpt-4o', promptTokens: 6, completionTokens: 600 });
+      // (6 * 500 + 600 * 1000) / 1000
+      expect(estimate.estimatedCost).to.equal(603);
+    });
+    
+    it('should cap the completion at maxTokens', () => {
+      const estimate = creditService.estimatePromptCost('Write a post about testing.', { wordCount: 400, maxTokens: 200 }, 'blog');
+      
+      expect(estimate.completionTokens).to.equal(200);
+      expect(estimate.estimatedCost).to.equal(203);
+    });
+    
+    it('should count the prompt once per call of a long-form generation', () => {
+      const estimate = creditService.estimatePromptCost('Write a post about testing.', { wordCount: 3000 }, 'blog');
+      
+      // One outline call and ten section calls, nine of them with context
+      expect(estimate.promptTokens).to.equal(6 * 11 + Math.ceil(1500 * 1.5) * 9);
+    });
+    
+    it('should be used by estimateGenerationCost when the prompt is known', () => {
+      const cost = estimateGenerationCost({ wordCount: 400 }, 'blog', 'openai', { prompt: 'Write a post about testing.' });
+      
+      expect(cost).to.equal(603);
+    });
+  });
+  
+  describe('getCreditPricing', () => {
+    it('should derive pricing from the multiplier of models without a pricing entry', () => {
+      sandbox.stub(modelRegistry, 'resolveModel').returns(null);
+      sandbox.stub(modelRegistry, 'getCreditMultiplier').returns(2);
+      
+      expect(creditService.getCreditPricing('unknown-model')).to.deep.equal({ input: 1500, output: 1500 });
+    });
+  });
+  
+  describe('calculateActualCost', () => {
+    beforeEach(() => {
+      sandbox.stub(modelRegistry, 'getCreditMultiplier').callsFake(model => (model === 'gpt-4' ? 1.5 : 1));
+    });
+    
+    it('should price prompt and completion tokens separately when usage is split', () => {
+      sandbox.stub(modelRegistry, 'resolveModel').returns({ id: 'gpt-4', creditPricing: { input: 750, output: 1500 } });
+      
+      const cost = creditService.calculateActualCost({ promptTokens: 200, completionTokens: 800, totalTokens: 1000 }, 'gpt-4');
+      
+      expect(cost).to.equal(1350);
+    });
+    
+    it('should convert token usage into credits', () => {
+      const cost = creditService.calculateActualCost({ totalTokens: 1000 }, 'gpt-3.5-turbo');
+      
+      expect(cost).to.equal(750);
+    });
+    
+    it('should apply the model multiplier', () => {
+      const usage = { totalTokens: 1000 };
+      
+      const standardCost = creditService.calculateActualCost(usage, 'gpt-3.5-turbo');
+      const premiumCost = creditService.calculateActualCost(usage, 'gpt-4');
+      
+      expect(premiumCost).to.be.greaterThan(standardCost);
+    });
+  });
+  
+  describe('placeHold', () => {
+    it('should move credits into the reserve and record a hold', async () => {
+      // Mock data
+      const mockCreditAccount = { 
+        id: 'test-account-id',
+        userId: 'test-user-id',
+        creditsRemaining: 1000, 
+        creditsReserved: 0,
+        save: sandbox.stub().resolves()
+      };
+      
+      sandbox.stub(creditService, 'getCreditAccount').resolves(mockCreditAccount);
+      sandbox.stub(CreditTransaction, 'create').callsFake(async (data) => data);
+      
+      // Call the method
+      const hold = await creditService.placeHold('test-user-id', 400, 'test-generation-id');
+      
+      // Assertions
+      expect(mockCreditAccount.creditsRemaining).to.equal(600);
+      expect(mockCreditAccount.creditsReserved).to.equal(400);
+      expect(hold).to.include({
+        type: 'hold',
+        status: 'open',
+        amount: -400,
+        balanceAfter: 600,
+        generationId: 'test-generation-id'
+      });
+    });
+    
+    it('should throw a 402 error if not enough credits', async () => {
+      const mockCreditAccount = { creditsRemaining: 100, creditsReserved: 0 };
+      
+      sandbox.stub(creditService, 'getCreditAccount').resolves(mockCreditAccount);
+      
+      try {
+        await creditService.placeHold('test-user-id', 400, 'test-generation-id');
+        expect.fail('Expected method to throw');
+      } catch (error) {
+        expect(error.message).to.equal('Insufficient credits');
+        expect(error.statusCode).to.equal(402);
+        expect(error.data).to.deep.equal({ required: 400, available: 100 });
+      }
+    });
+  });
+  
+  describe('settleHold', () => {
+    let mockCreditAccount;
+    let mockHold;
+    
+    beforeEach(() => {
+      mockCreditAccount = { 
+        id: 'test-account-id',
+        userId: 'test-user-id',
+        creditsRemaining: 600, 
+        creditsReserved: 400,
+        creditsUsed: 0,
+        save: sandbox.stub().resolves()
+      };
+      mockHold = {
+        id: 'test-hold-id',
+        userId: 'test-user-id',
+        amount: -400,
+        status: 'open',
+        save: sandbox.stub().resolves()
+      };
+      
+      sandbox.stub(creditService, 'getCreditAccount').resolves(mockCreditAccount);
+      sandbox.stub(CreditTransaction, 'findOne').resolves(mockHold);
+      sandbox.stub(CreditTransaction, 'create').callsFake(async (data) => data);
+    });
+    
+    it('should charge actual usage and refund the unused hold', async () => {
+      const result = await creditService.settleHold('test-generation-id', 250);
+      
+      expect(result).to.deep.equal({ creditsCharged: 250, creditsRefunded: 150, remainingCredits: 750 });
+      expect(mockCreditAccount.creditsReserved).to.equal(0);
+      expect(mockCreditAccount.creditsUsed).to.equal(250);
+      expect(mockHold.status).to.equal('settled');
+      
+      const types = CreditTransaction.create.getCalls().map(call => call.args[0].type);
+      expect(types).to.deep.equal(['settlement', 'refund']);
+      expect(CreditTransaction.create.secondCall.args[0]).to.include({ amount: 150, holdId: 'test-hold-id' });
+    });
+    
+    it('should charge overruns only up to the available balance', async () => {
+      mockCreditAccount.creditsRemaining = 50;
+      
+      const result = await creditService.settleHold('test-generation-id', 600);
+      
+      expect(result).to.deep.equal({ creditsCharged: 450, creditsRefunded: 0, remainingCredits: 0 });
+      expect(CreditTransaction.create.calledOnce).to.be.true;
+      expect(CreditTransaction.create.firstCall.args[0]).to.include({ type: 'settlement', amount: -50 });
+    });
+    
+    it('should return null if there is no open hold', async () => {
+      CreditTransaction.findOne.resolves(null);
+      
+      const result = await creditService.settleHold('test-generation-id', 250);
+      
+      expect(result).to.be.null;
+      expect(mockCreditAccount.save.called).to.be.false;
+    });
+  });
+  
+  describe('releaseHold', () => {
+    it('should return held credits and mark the hold released', async () => {
+      const mockCreditAccount = { 
+        id: 'test-account-id',
+        userId: 'test-user-id',
+        creditsRemaining: 600, 
+        creditsReserved: 400,
+        save: sandbox.stub().resolves()
+      };
+      const mockHold = {
+        id: 'test-hold-id',
+        userId: 'test-user-id',
+        amount: -400,
+        status: 'open',
+        save: sandbox.stub().resolves()
+      };
+      
+      sandbox.stub(creditService, 'getCreditAccount').resolves(mockCreditAccount);
+      sandbox.stub(CreditTransaction, 'findOne').resolves(mockHold);
+      sandbox.stub(CreditTransaction, 'create').callsFake(async (data) => data);
+      
+      const result = await creditService.releaseHold('test-generation-id', 'cancelled_by_user');
+      
+      expect(result).to.deep.equal({ creditsReleased: 400, remainingCredits: 1000 });
+      expect(mockCreditAccount.creditsReserved).to.equal(0);
+      expect(mockHold.status).to.equal('released');
+      expect(CreditTransaction.create.firstCall.args[0]).to.include({
+        type: 'release',
+        amount: 400,
+        description: 'cancelled_by_user'
+      });
+    });
+    
+    it('should release nothing if there is no open hold', async () => {
+      sandbox.stub(CreditTransaction, 'findOne').resolves(null);
+      
+      const result = await creditService.releaseHold('test-generation-id', 'generation_failed');
+      
+      expect(result).to.deep.equal({ creditsReleased: 0 });
+    });
+  });
 });
 
 // backend/tests/integration/api/auth.test.js
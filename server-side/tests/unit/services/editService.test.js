@@ -0,0 +1,95 @@
+// backend/tests/unit/services/editService.test.js
+const { expect } = require('chai');
+const { EditService } = require('../../../src/services/editService');
+
+describe('Edit Service', () => {
+  let edit;
+  const contentItem = { title: 'Remote work', contentType: 'blog' };
+
+  beforeEach(() => {
+    edit = new EditService({ maxSelectionWords: 20, contextWords: 3, continueWords: 50 });
+  });
+
+  describe('targetWords', () => {
+    it('should halve, double or keep the length of the selection', () => {
+      expect(edit.targetWords('shorten', 9)).to.equal(5);
+      expect(edit.targetWords('shorten', 1)).to.equal(1);
+      expect(edit.targetWords('expand', 9)).to.equal(18);
+      expect(edit.targetWords('grammar', 9)).to.equal(9);
+      expect(edit.targetWords('continue', 9)).to.equal(50);
+    });
+  });
+
+  describe('buildPrompt', () => {
+    it('should scope the instruction to the selection, with the nearest words around it', () => {
+      const prompt = edit.buildPrompt(contentItem, {
+        operation: 'shorten',
+        text: '  Teams that write things down spend less time in meetings.  ',
+        before: 'Working remotely takes discipline. Most of it is about writing.',
+        after: 'Meetings are still useful for hard decisions, though.'
+      });
+
+      expect(prompt).to.include('a blog titled "Remote work"');
+      expect(prompt).to.include('condense the following passage to approximately 5 words (current length: 10 words)');
+      expect(prompt).to.include('TEXT BEFORE THE PASSAGE:\nis about writing.\n');
+      expect(prompt).to.include('<passage>\nTeams that write things down spend less time in meetings.\n</passage>');
+      expect(prompt).to.include('TEXT AFTER THE PASSAGE:\nMeetings are still\n');
+    });
+
+    it('should leave out context that was not sent', () => {
+      const prompt = edit.buildPrompt(contentItem, { operation: 'grammar', text: 'Their going home.' });
+
+      expect(prompt).to.include('correct the spelling, grammar and punctuation');
+      expect(prompt).to.not.include('TEXT BEFORE');
+      expect(prompt).to.not.include('TEXT AFTER');
+    });
+
+    it('should ask for the requested tone', () => {
+      expect(edit.buildPrompt(contentItem, { operation: 'tone', text: 'Buy now.', tone: ' playful ' }))
+        .to.include('in a playful tone of voice');
+    });
+
+    it('should reject unknown operations, a missing tone and empty or long selections', () => {
+      expect(() => edit.buildPrompt(contentItem, { operation: 'translate', text: 'Hello' }))
+        .to.throw('Unknown edit operation: translate')
+        .with.property('statusCode', 400);
+      expect(() => edit.buildPrompt(contentItem, { operation: 'tone', text: 'Hello' }))
+        .to.throw('A tone is required')
+        .with.property('statusCode', 400);
+      expect(() => edit.buildPrompt(contentItem, { operation: 'rewrite', text: '  ' }))
+        .to.throw('The selection has no text');
+      expect(() => edit.buildPrompt(contentItem, { operation: 'rewrite', text: 'word '.repeat(21) }))
+        .to.throw('The selection is longer than 20 words');
+    });
+  });
+
+  describe('parseResponse', () => {
+    it('should take the text between the suggestion tags', () => {
+      expect(edit.parseResponse('Sure!\n<suggestion>\nShorter text.\n</suggestion>')).to.equal('Shorter text.');
+    });
+
+    it('should take a reply without tags as a whole', () => {
+      expect(edit.parseResponse('  Shorter text. ')).to.equal('Shorter text.');
+    });
+
+    it('should reject an empty suggestion', () => {
+      expect(() => edit.parseResponse('<suggestion> </suggestion>')).to.throw('The suggestion is empty');
+    });
+  });
+
+  describe('buildSuggestion', () => {
+    it('should keep the whitespace around the selection', () => {
+      expect(edit.buildSuggestion('shorten', ' Long sentence here.\n', 'Short one.')).to.deep.equal({
+        operation: 'shorten',
+        original: ' Long sentence here.\n',
+        text: ' Short one.\n',
+        wordCount: 2
+      });
+    });
+
+    it('should append a continuation to the selected text', () => {
+      expect(edit.buildSuggestion('continue', 'First part.', 'Then more.').text).to.equal('First part. Then more.');
+      expect(edit.buildSuggestion('continue', 'A paragraph.\n', 'Next one.').text).to.equal('A paragraph.\n\nNext one.\n');
+    });
+  });
+});
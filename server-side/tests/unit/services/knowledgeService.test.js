@@ -0,0 +1,153 @@
+// backend/tests/unit/services/knowledgeService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { KnowledgeService } = require('../../../src/services/knowledgeService');
+const { termFrequencies } = require('../../../src/utils/bm25');
+const { sequelize, KnowledgeDocument, KnowledgeChunk } = require('../../../src/db/models');
+
+describe('Knowledge Service', () => {
+  let sandbox;
+  let knowledge;
+
+  const words = count => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+  // Chunk as stored, with the index columns retrieval ranks by
+  const indexed = (id, text) => {
+    const { terms, count } = termFrequencies(text);
+    return { id, documentId: `doc-${id}`, heading: null, terms, termCount: count };
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    knowledge = new KnowledgeService({ maxFileSize: 1024 * 1024, chunkWords: 10, maxReferences: 2 });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('detectFormat', () => {
+    it('should tell formats apart by extension, then by MIME type', () => {
+      expect(knowledge.detectFormat({ originalname: 'guide.MD', mimetype: 'application/octet-stream' })).to.equal('markdown');
+      expect(knowledge.detectFormat({ originalname: 'page.htm' })).to.equal('html');
+      expect(knowledge.detectFormat({ originalname: 'specs', mimetype: 'application/pdf' })).to.equal('pdf');
+    });
+
+    it('should reject other files', () => {
+      expect(() => knowledge.detectFormat({ originalname: 'sheet.xlsx', mimetype: 'application/vnd.ms-excel' }))
+        .to.throw('Only Markdown, HTML, PDF and plain-text documents can be added')
+        .with.property('statusCode', 400);
+    });
+  });
+
+  describe('extractText', () => {
+    it('should keep the headings and paragraphs of HTML documents', async () => {
+      const html = '<html><head><style>p { color: red; }</style></head><body><h2>Returns</h2><p>Within 30 days.</p><p>Unused items only.</p><script>track()</script></body></html>';
+
+      const text = await knowledge.extractText({ buffer: Buffer.from(html) }, 'html');
+
+      expect(knowledge.chunk(text)).to.deep.equal([
+        { heading: 'Returns', text: 'Within 30 days.\n\nUnused items only.' }
+      ]);
+    });
+  });
+
+  describe('chunk', () => {
+    it('should group paragraphs under their heading up to the chunk size', () => {
+      const text = `Intro line.\n# Shipping\n\n${words(6)}\n\n${words(6)}\n\n## Returns ##\n\nShort.`;
+
+      expect(knowledge.chunk(text)).to.deep.equal([
+        { heading: null, text: 'Intro line.' },
+        { heading: 'Shipping', text: words(6) },
+        { heading: 'Shipping', text: words(6) },
+        { heading: 'Returns', text: 'Short.' }
+      ]);
+    });
+
+    it('should split paragraphs longer than the chunk size', () => {
+      const chunks = knowledge.chunk(words(25));
+
+      expect(chunks.map(item => item.text.split(' ').length)).to.deep.equal([10, 10, 5]);
+    });
+  });
+
+  describe('addDocument', () => {
+    it('should store the document with its indexed chunks', async () => {
+      sandbox.stub(sequelize, 'transaction').callsFake(async callback => callback({}));
+      const create = sandbox.stub(KnowledgeDocument, 'create').callsFake(async data => ({ id: 'document-id', ...data }));
+      const bulkCreate = sandbox.stub(KnowledgeChunk, 'bulkCreate').resolves([]);
+      const file = { originalname: 'returns.md', mimetype: 'text/markdown', size: 60, buffer: Buffer.from('# Returns\n\nRefunds within 30 days.') };
+
+      const document = await knowledge.addDocument('user-id', file);
+
+      expect(create.firstCall.args[0]).to.deep.equal({
+        userId: 'user-id',
+        name: 'returns.md',
+        format: 'markdown',
+        size: 60,
+        chunkCount: 1,
+        wordCount: 4
+      });
+      expect(bulkCreate.firstCall.args[0]).to.deep.equal([{
+        documentId: 'document-id',
+        userId: 'user-id',
+        position: 0,
+        heading: 'Returns',
+        text: 'Refunds within 30 days.',
+        terms: { return: 1, refund: 1, within: 1, 30: 1, day: 1 },
+        termCount: 5
+      }]);
+      expect(document.id).to.equal('document-id');
+    });
+
+    it('should reject documents without text', async () => {
+      const create = sandbox.stub(KnowledgeDocument, 'create');
+
+      try {
+        await knowledge.addDocument('user-id', { originalname: 'empty.txt', buffer: Buffer.from('  \n\n ') });
+        expect.fail('Expected addDocument to throw');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(error.message).to.equal('The document has no text');
+      }
+      expect(create.called).to.be.false;
+    });
+  });
+
+  describe('buildQuery', () => {
+    it('should search by topic, title, product name and keywords', () => {
+      expect(knowledge.buildQuery({ topic: 'Oak desks', productName: 'Oslo desk', keywords: ['warranty', 'drawers'], wordCount: 500 }))
+        .to.equal('Oak desks Oslo desk warranty drawers');
+    });
+  });
+
+  describe('retrieve', () => {
+    it('should return the best chunks with their text and document', async () => {
+      const findAll = sandbox.stub(KnowledgeChunk, 'findAll');
+      findAll.onFirstCall().resolves([
+        indexed('a', 'Orders ship within two business days.'),
+        indexed('b', 'The desk warranty covers the frame for five years.'),
+        indexed('c', 'Warranty claims need the order number and a photo of the warranty card.')
+      ]);
+      findAll.onSecondCall().resolves([
+        { id: 'b', text: 'The desk warranty covers the frame for five years.', document: { id: 'doc-b', name: 'Warranty' } },
+        { id: 'c', text: 'Warranty claims need the order number.', document: { id: 'doc-c', name: 'Claims' } }
+      ]);
+
+      const references = await knowledge.retrieve('user-id', 'desk warranty');
+
+      expect(findAll.firstCall.args[0].where).to.deep.equal({ userId: 'user-id' });
+      expect(findAll.firstCall.args[0].attributes).to.not.include('text');
+      expect(references.map(reference => reference.chunkId)).to.deep.equal(['b', 'c']);
+      expect(references[0]).to.include({ documentId: 'doc-b', documentName: 'Warranty', text: 'The desk warranty covers the frame for five years.' });
+      expect(references[0].score).to.be.above(references[1].score);
+    });
+
+    it('should not search without query terms', async () => {
+      const findAll = sandbox.stub(KnowledgeChunk, 'findAll');
+
+      expect(await knowledge.retrieve('user-id', 'the of and')).to.deep.equal([]);
+      expect(findAll.called).to.be.false;
+    });
+  });
+});
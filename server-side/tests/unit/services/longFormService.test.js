@@ -0,0 +1,128 @@
+// backend/tests/unit/services/longFormService.test.js
+const { expect } = require('chai');
+const { LongFormService } = require('../../../src/services/longFormService');
+
+describe('Long-form Service', () => {
+  let longForm;
+
+  beforeEach(() => {
+    longForm = new LongFormService({ minWordCount: 2000, maxSections: 4, contextWords: 50 });
+  });
+
+  describe('isLongForm', () => {
+    it('should use the pipeline for long blog posts unless told otherwise', () => {
+      expect(longForm.isLongForm({ wordCount: 3000 }, 'blog')).to.be.true;
+      expect(longForm.isLongForm({ wordCount: 1000 }, 'blog')).to.be.false;
+      expect(longForm.isLongForm({ wordCount: 1000, longForm: true }, 'blog')).to.be.true;
+      expect(longForm.isLongForm({ wordCount: 3000, longForm: false }, 'blog')).to.be.false;
+      expect(longForm.isLongForm({ wordCount: 3000 }, 'product')).to.be.false;
+    });
+  });
+
+  describe('estimateSections', () => {
+    it('should plan sections of about 300 words, within the section limit', () => {
+      expect(longForm.estimateSections(900)).to.equal(3);
+      expect(longForm.estimateSections(100)).to.equal(1);
+      expect(longForm.estimateSections(5000)).to.equal(4);
+    });
+  });
+
+  describe('parseOutline', () => {
+    it('should read the title, sections and key points', () => {
+      const outline = longForm.parseOutline([
+        'Here is the outline:',
+        '# Scaling Content Teams',
+        '## Introduction',
+        '- Why scale matters',
+        '## Tools',
+        '* Editors',
+        '1. AI assistants',
+        '### Measuring output',
+        '## Conclusion'
+      ].join('\n'), 3000);
+
+      expect(outline).to.deep.equal({
+        title: 'Scaling Content Teams',
+        sections: [
+          { heading: 'Introduction', points: ['Why scale matters'], wordCount: 1000 },
+          { heading: 'Tools', points: ['Editors', 'AI assistants', 'Measuring output'], wordCount: 1000 },
+          { heading: 'Conclusion', points: [], wordCount: 1000 }
+        ]
+      });
+    });
+
+    it('should cap the number of sections', () => {
+      const text = ['# Title', '## One', '## Two', '## Three', '## Four', '## Five'].join('\n');
+
+      expect(longForm.parseOutline(text, 2000).sections).to.have.length(4);
+    });
+
+    it('should reject an outline without sections', () => {
+      expect(() => longForm.parseOutline('# Just a title', 2000)).to.throw('The generated outline has no sections');
+    });
+  });
+
+  describe('validateOutline', () => {
+    it('should report invalid sections by path', () => {
+      const errors = longForm.validateOutline({
+        sections: [{ heading: ' ' }, { heading: 'Tools', points: 'editors', wordCount: -5 }]
+      });
+
+      expect(errors.map(error => error.path)).to.deep.equal([
+        'outline.sections[0].heading',
+        'outline.sections[1].points',
+        'outline.sections[1].wordCount'
+      ]);
+    });
+
+    it('should limit the number of sections', () => {
+      const sections = Array.from({ length: 5 }, (item, i) => ({ heading: `Section ${i}` }));
+
+      expect(longForm.validateOutline({ sections })[0].path).to.equal('outline.sections');
+    });
+  });
+
+  describe('normalizeOutline', () => {
+    it('should spread the remaining words over sections without a word count', () => {
+      const outline = longForm.normalizeOutline({
+        title: ' Title ',
+        sections: [{ heading: 'Intro', wordCount: 200 }, { heading: ' Body ' }, { heading: 'End', points: ['Wrap up'] }]
+      }, 2000);
+
+      expect(outline).to.deep.equal({
+        title: 'Title',
+        sections: [
+          { heading: 'Intro', points: [], wordCount: 200 },
+          { heading: 'Body', points: [], wordCount: 900 },
+          { heading: 'End', points: ['Wrap up'], wordCount: 900 }
+        ]
+      });
+    });
+  });
+
+  describe('selectContext', () => {
+    it('should keep the most recent sections within the word budget', () => {
+      const sections = [
+        { heading: 'One', content: 'word '.repeat(40) },
+        { heading: 'Two', content: 'word '.repeat(30) },
+        { heading: 'Three', content: 'word '.repeat(60) }
+      ];
+
+      expect(longForm.selectContext(sections).map(section => section.heading)).to.deep.equal(['Three']);
+      expect(longForm.selectContext(sections.slice(0, 2)).map(section => section.heading)).to.deep.equal(['Two']);
+      expect(longForm.selectContext([])).to.deep.equal([]);
+    });
+  });
+
+  describe('stitch', () => {
+    it('should join sections under the outline headings', () => {
+      const outline = { title: 'Title', sections: [{ heading: 'Intro' }, { heading: 'Body' }] };
+      const bodies = [
+        longForm.stripLeadingHeading('## Intro\n\nHello.'),
+        longForm.stripLeadingHeading('World.')
+      ];
+
+      expect(longForm.stitch(outline, bodies)).to.equal('# Title\n\n## Intro\n\nHello.\n\n## Body\n\nWorld.');
+    });
+  });
+});
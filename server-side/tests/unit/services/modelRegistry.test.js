@@ -0,0 +1,128 @@
+// backend/tests/unit/services/modelRegistry.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ModelRegistry } = require('../../../src/services/modelRegistry');
+const config = require('../../../src/config/ai');
+
+// Minimal provider exposing the AIProvider surface the registry uses
+const buildProvider = (name, defaultModel, models, available = true) => ({
+  name,
+  defaultModel,
+  models,
+  getModels: sinon.stub().resolves(models),
+  isAvailable: sinon.stub().resolves(available)
+});
+
+describe('Model Registry', () => {
+  let ai;
+  let registry;
+  let savedCatalog;
+
+  beforeEach(() => {
+    ai = {
+      defaultProvider: 'openai',
+      providers: {
+        openai: buildProvider('openai', 'gpt-4o', [
+          { id: 'gpt-4o', name: 'GPT-4o', contextWindow: 128000, pricing: { input: 2.5, output: 10 }, creditMultiplier: 1.25 },
+          { id: 'gpt-4o-mini', name: 'GPT-4o mini', contextWindow: 128000, pricing: { input: 0.15, output: 0.6 }, creditMultiplier: 0.5 }
+        ]),
+        anthropic: buildProvider('anthropic', 'claude-3-5-sonnet-latest', [
+          { id: 'claude-3-5-sonnet-latest', name: 'Claude 3.5 Sonnet', contextWindow: 200000, creditMultiplier: 1.25 }
+        ], false)
+      }
+    };
+    registry = new ModelRegistry({ ai, availabilityTtl: 60000 });
+    savedCatalog = config.modelCatalog;
+  });
+
+  afterEach(() => {
+    config.modelCatalog = savedCatalog;
+  });
+
+  describe('listModels', () => {
+    it('should list every provider model with pricing and availability', async () => {
+      const models = await registry.listModels();
+
+      expect(models).to.have.length(3);
+      expect(models[0]).to.deep.equal({
+        id: 'gpt-4o',
+        name: 'GPT-4o',
+        provider: 'openai',
+        contextWindow: 128000,
+        pricing: { input: 2.5, output: 10 },
+        creditPricing: null,
+        creditMultiplier: 1.25,
+        tokensPerWord: config.tokensPerWord,
+        isDefault: true,
+        available: true
+      });
+      expect(models[2]).to.include({ provider: 'anthropic', available: false, isDefault: false });
+    });
+
+    it('should reuse availability checks until refreshed', async () => {
+      await registry.listModels();
+      await registry.listModels();
+
+      expect(ai.providers.openai.isAvailable.calledOnce).to.be.true;
+
+      await registry.listModels({ refresh: true });
+
+      expect(ai.providers.openai.isAvailable.calledTwice).to.be.true;
+    });
+
+    it('should report a provider as unavailable if its check throws', async () => {
+      ai.providers.openai.isAvailable.rejects(new Error('Network error'));
+
+      const models = await registry.listModels();
+
+      expect(models.filter(model => model.provider === 'openai').every(model => !model.available)).to.be.true;
+    });
+
+    it('should apply configured catalog entries without code changes', async () => {
+      config.modelCatalog = [
+        { provider: 'openai', id: 'gpt-4o', creditMultiplier: 1.1 },
+        { provider: 'anthropic', id: 'claude-3-7-sonnet-latest', name: 'Claude 3.7 Sonnet', creditMultiplier: 1.3 },
+        { provider: 'unregistered', id: 'some-model' }
+      ];
+
+      const models = await registry.listModels();
+
+      expect(models.find(model => model.id === 'gpt-4o').creditMultiplier).to.equal(1.1);
+      expect(models.find(model => model.id === 'claude-3-7-sonnet-latest')).to.include({
+        provider: 'anthropic',
+        creditMultiplier: 1.3
+      });
+      expect(models.find(model => model.id === 'some-model')).to.be.undefined;
+    });
+  });
+
+  describe('getModel', () => {
+    it('should match dated snapshots to the most specific family', () => {
+      expect(registry.getModel('gpt-4o-2024-08-06').id).to.equal('gpt-4o');
+      expect(registry.getModel('gpt-4o-mini-2024-07-18').id).to.equal('gpt-4o-mini');
+    });
+
+    it('should match snapshots of -latest aliases', () => {
+      expect(registry.getModel('claude-3-5-sonnet-20241022').id).to.equal('claude-3-5-sonnet-latest');
+    });
+
+    it('should return null for unknown models', () => {
+      expect(registry.getModel('unknown-model')).to.be.null;
+      expect(registry.getModel('gpt-4o', 'anthropic')).to.be.null;
+    });
+  });
+
+  describe('getCreditMultiplier', () => {
+    it('should use the multiplier of the requested model', () => {
+      expect(registry.getCreditMultiplier('gpt-4o-mini')).to.equal(0.5);
+    });
+
+    it('should use the default model when no model is requested', () => {
+      expect(registry.getCreditMultiplier()).to.equal(1.25);
+    });
+
+    it('should fall back to the configured default for unknown models', () => {
+      expect(registry.getCreditMultiplier('unknown-model')).to.equal(config.defaultCreditMultiplier);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+// backend/tests/unit/services/moderationService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ModerationService, RuleClassifier, OpenAIModerationClassifier } = require('../../../src/services/moderationService');
+const { ContentItem } = require('../../../src/db/models');
+
+describe('Moderation Service', () => {
+  let sandbox;
+
+  const options = {
+    enabled: true,
+    classifiers: ['rules'],
+    rules: [{ category: 'claims', label: 'Guarantee', terms: ['guaranteed results'] }],
+    blockedTerms: ['Globex'],
+    failClosed: true
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('RuleClassifier', () => {
+    const classifier = new RuleClassifier(options);
+
+    it('should flag configured rules and blocked terms as whole words', async () => {
+      const reasons = await classifier.classify('Unlike globex, we promise Guaranteed\nresults. Globexcorp is unaffected.');
+
+      expect(reasons.map(reason => [reason.category, reason.label, reason.count])).to.deep.equal([
+        ['claims', 'Guarantee', 1],
+        ['blocked_term', 'Blocked term', 1]
+      ]);
+      expect(reasons[0].context).to.equal('Unlike globex, we promise Guaranteed results. Globexcorp is unaffected.');
+    });
+
+    it('should only flag digit runs that are valid card numbers', async () => {
+      const reasons = await classifier.classify('Order 1234 5678 9012 3456 was paid with 4111 1111 1111 1111.');
+
+      expect(reasons).to.have.length(1);
+      expect(reasons[0]).to.include({ category: 'personal_data', label: 'Payment card number', count: 1 });
+    });
+
+    it('should not flag ordinary copy', async () => {
+      expect(await classifier.classify('# Oak desk\n\nSolid wood, two drawers and a lifetime warranty.')).to.deep.equal([]);
+    });
+
+    it('should reject rules without terms or a pattern', () => {
+      expect(() => new RuleClassifier({ rules: [{ category: 'claims' }] })).to.throw('needs a category and terms or a pattern');
+    });
+  });
+
+  describe('OpenAIModerationClassifier', () => {
+    it('should report the categories the endpoint flags', async () => {
+      const client = {
+        moderations: {
+          create: sinon.stub().resolves({
+            results: [{
+              flagged: true,
+              categories: { harassment: true, violence: false },
+              category_scores: { harassment: 0.91, violence: 0.02 }
+            }]
+          })
+        }
+      };
+      const classifier = new OpenAIModerationClassifier({ model: 'omni-moderation-latest', client });
+
+      expect(await classifier.classify('Some text')).to.deep.equal([
+        { classifier: 'openai', category: 'harassment', label: 'harassment', score: 0.91 }
+      ]);
+      expect(client.moderations.create.firstCall.args[0]).to.deep.equal({ model: 'omni-moderation-latest', input: 'Some text' });
+    });
+  });
+
+  describe('check', () => {
+    it('should combine the reasons of every classifier', async () => {
+      const moderation = new ModerationService(options);
+      moderation.registerClassifier({
+        name: 'provider',
+        classify: sinon.stub().resolves([{ classifier: 'provider', category: 'hate', label: 'hate' }])
+      });
+
+      const result = await moderation.check('Compare us with Globex.');
+
+      expect(result.flagged).to.be.true;
+      expect(result.classifiers).to.deep.equal(['rules', 'provider']);
+      expect(result.reasons.map(reason => reason.category)).to.deep.equal(['blocked_term', 'hate']);
+    });
+
+    it('should let text through a failing classifier unless failing closed', async () => {
+      const failing = { name: 'provider', classify: sinon.stub().rejects(new Error('timeout')) };
+      const open = new ModerationService({ ...options, failClosed: false });
+      const closed = new ModerationService(options);
+      open.registerClassifier(failing);
+      closed.registerClassifier(failing);
+
+      expect((await open.check('Plain text.')).flagged).to.be.false;
+      expect((await closed.check('Plain text.')).reasons).to.deep.equal([
+        { classifier: 'provider', category: 'classifier_error', label: 'The moderation check could not be completed' }
+      ]);
+    });
+
+    it('should skip the check when moderation is disabled', async () => {
+      expect(await new ModerationService({ ...options, enabled: false }).check('Globex')).to.be.null;
+    });
+  });
+
+  describe('review', () => {
+    const heldItem = () => ({
+      id: 'item-id',
+      status: 'needs_review',
+      metadata: { moderation: { flagged: true, reasons: [{ category: 'blocked_term' }] } },
+      reload: sinon.stub().callsFake(async function reload() { return this; })
+    });
+
+    it('should release approved content and record the decision', async () => {
+      const update = sandbox.stub(ContentItem, 'update').resolves([1]);
+
+      await new ModerationService(options).review(heldItem(), 'approve', 'admin-id', 'Comparison is fair');
+
+      const [changes, { where }] = update.firstCall.args;
+      expect(changes.status).to.equal('generated');
+      expect(changes.metadata.moderation.reasons).to.deep.equal([{ category: 'blocked_term' }]);
+      expect(changes.metadata.moderation.review).to.include({ decision: 'approve', reviewedBy: 'admin-id', note: 'Comparison is fair' });
+      expect(where).to.deep.equal({ id: 'item-id', status: 'needs_review' });
+    });
+
+    it('should archive rejected content', async () => {
+      const update = sandbox.stub(ContentItem, 'update').resolves([1]);
+
+      await new ModerationService(options).review(heldItem(), 'reject', 'admin-id');
+
+      expect(update.firstCall.args[0].status).to.equal('archived');
+    });
+
+    it('should refuse items that are no longer held', async () => {
+      sandbox.stub(ContentItem, 'update').resolves([0]);
+
+      try {
+        await new ModerationService(options).review(heldItem(), 'approve', 'admin-id');
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+      }
+    });
+  });
+});
@@ -0,0 +1,246 @@
+// backend/tests/unit/services/organizationService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { sequelize, Project, Folder, Tag, ContentItem, Template, ContentGeneration } = require('../../../src/db/models');
+const { OrganizationService, subtreeIds, depthOf } = require('../../../src/services/organizationService');
+
+describe('Organization Service', () => {
+  let sandbox;
+  let organization;
+
+  // client/ -> campaign/ -> drafts/, and an unrelated archive/
+  const tree = [
+    { id: 'client', parentId: null },
+    { id: 'campaign', parentId: 'client' },
+    { id: 'drafts', parentId: 'campaign' },
+    { id: 'archive', parentId: null }
+  ];
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    organization = new OrganizationService();
+    sandbox.stub(sequelize, 'transaction').callsFake(async callback => callback('transaction'));
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('subtreeIds', () => {
+    it('should list a folder and every folder under it', () => {
+      expect(subtreeIds(tree, 'client')).to.deep.equal(['client', 'campaign', 'drafts']);
+      expect(subtreeIds(tree, 'drafts')).to.deep.equal(['drafts']);
+    });
+
+    it('should be empty for a folder that is not in the tree', () => {
+      expect(subtreeIds(tree, 'other')).to.deep.equal([]);
+    });
+  });
+
+  describe('depthOf', () => {
+    it('should count the levels from the top', () => {
+      expect(depthOf(tree, 'client')).to.equal(1);
+      expect(depthOf(tree, 'drafts')).to.equal(3);
+    });
+
+    it('should stop on a cycle', () => {
+      const cycle = [{ id: 'a', parentId: 'b' }, { id: 'b', parentId: 'a' }];
+
+      expect(depthOf(cycle, 'a')).to.equal(3);
+    });
+  });
+
+  describe('resolvePlacement', () => {
+    it('should put a record filed in a folder in the folder\'s project', async () => {
+      sandbox.stub(Folder, 'findOne').resolves({ id: 'folder-1', projectId: 'project-1' });
+
+      expect(await organization.resolvePlacement('user-1', { folderId: 'folder-1' })).to.deep.equal({
+        folderId: 'folder-1',
+        projectId: 'project-1'
+      });
+    });
+
+    it('should reject a folder of another project', async () => {
+      sandbox.stub(Folder, 'findOne').resolves({ id: 'folder-1', projectId: 'project-1' });
+      sandbox.stub(Project, 'findOne').resolves({ id: 'project-2' });
+
+      try {
+        await organization.resolvePlacement('user-1', { projectId: 'project-2', folderId: 'folder-1' });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('should reject a project the user does not have', async () => {
+      sandbox.stub(Project, 'findOne').resolves(null);
+
+      try {
+        await organization.resolvePlacement('user-1', { projectId: 'project-9' });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(error.message).to.equal('Project not found');
+      }
+    });
+
+    it('should take a record moved to another project out of its folder', async () => {
+      sandbox.stub(Project, 'findOne').resolves({ id: 'project-2' });
+
+      const changes = await organization.resolvePlacement(
+        'user-1',
+        { projectId: 'project-2' },
+        { projectId: 'project-1', folderId: 'folder-1' }
+      );
+
+      expect(changes).to.deep.equal({ projectId: 'project-2', folderId: null });
+    });
+
+    it('should leave out what is not given', async () => {
+      expect(await organization.resolvePlacement('user-1', {}, { projectId: 'project-1', folderId: 'folder-1' }))
+        .to.deep.equal({});
+    });
+  });
+
+  describe('createFolder', () => {
+    it('should create a subfolder in the project of its parent', async () => {
+      sandbox.stub(Folder, 'findOne')
+        .onFirstCall().resolves({ id: 'campaign', projectId: 'project-1' })
+        .onSecondCall().resolves(null);
+      sandbox.stub(Folder, 'findAll').resolves(tree);
+      sandbox.stub(Folder, 'create').callsFake(async data => data);
+
+      const folder = await organization.createFolder('user-1', { name: ' Q3 ', parentId: 'campaign' });
+
+      expect(folder).to.deep.equal({ projectId: 'project-1', parentId: 'campaign', name: 'Q3', userId: 'user-1' });
+    });
+
+    it('should not nest folders deeper than the limit', async () => {
+      const deep = [1, 2, 3, 4, 5].map(level => ({ id: `level-${level}`, parentId: level > 1 ? `level-${level - 1}` : null }));
+      sandbox.stub(Folder, 'findOne').resolves({ id: 'level-5', projectId: null });
+      sandbox.stub(Folder, 'findAll').resolves(deep);
+      sandbox.stub(Folder, 'create');
+
+      try {
+        await organization.createFolder('user-1', { name: 'Too deep', parentId: 'level-5' });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(Folder.create.called).to.be.false;
+      }
+    });
+
+    it('should refuse a name the parent already has', async () => {
+      sandbox.stub(Folder, 'findOne').resolves({ id: 'existing' });
+      sandbox.stub(Folder, 'create');
+
+      try {
+        await organization.createFolder('user-1', { name: 'Client' });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+      }
+    });
+  });
+
+  describe('updateFolder', () => {
+    it('should not move a folder into one of its subfolders', async () => {
+      const folder = { id: 'client', userId: 'user-1', projectId: null, parentId: null, update: sinon.stub() };
+      sandbox.stub(Folder, 'findAll').resolves(tree);
+      sandbox.stub(Folder, 'findOne').resolves({ id: 'drafts', projectId: null });
+
+      try {
+        await organization.updateFolder(folder, { parentId: 'drafts' });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(folder.update.called).to.be.false;
+      }
+    });
+
+    it('should not move a folder to another project', async () => {
+      const folder = { id: 'archive', userId: 'user-1', projectId: null, parentId: null, update: sinon.stub() };
+      sandbox.stub(Folder, 'findAll').resolves(tree);
+      sandbox.stub(Folder, 'findOne').resolves({ id: 'other', projectId: 'project-1' });
+
+      try {
+        await organization.updateFolder(folder, { parentId: 'other' });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Folders can only be moved within their project');
+      }
+    });
+  });
+
+  describe('deleteFolder', () => {
+    it('should move subfolders and filed records up to the parent', async () => {
+      const folder = { id: 'campaign', parentId: 'client', destroy: sinon.stub().resolves() };
+      sandbox.stub(Folder, 'update').resolves([1]);
+      sandbox.stub(ContentItem, 'update').resolves([2]);
+      sandbox.stub(Template, 'update').resolves([0]);
+      sandbox.stub(ContentGeneration, 'update').resolves([3]);
+
+      await organization.deleteFolder(folder);
+
+      expect(Folder.update.firstCall.args[0]).to.deep.equal({ parentId: 'client' });
+      expect(Folder.update.firstCall.args[1].where).to.deep.equal({ parentId: 'campaign' });
+      [ContentItem, Template, ContentGeneration].forEach((model) => {
+        expect(model.update.firstCall.args[0]).to.deep.equal({ folderId: 'client' });
+        expect(model.update.firstCall.args[1].where).to.deep.equal({ folderId: 'campaign' });
+      });
+      expect(folder.destroy.calledWith({ transaction: 'transaction' })).to.be.true;
+    });
+  });
+
+  describe('resolveTags', () => {
+    it('should reuse tags ignoring case and create the missing ones once', async () => {
+      const findAll = sandbox.stub(Tag, 'findAll');
+      findAll.onFirstCall().resolves([{ id: 'tag-1', name: 'Launch' }]);
+      findAll.onSecondCall().resolves([{ id: 'tag-1', name: 'Launch' }, { id: 'tag-2', name: 'client x' }]);
+      sandbox.stub(Tag, 'bulkCreate').resolves([]);
+
+      const tags = await organization.resolveTags('user-1', ['client  x', 'launch', 'Client X', ' ']);
+
+      expect(Tag.bulkCreate.firstCall.args[0]).to.deep.equal([{ userId: 'user-1', name: 'client x' }]);
+      expect(Tag.bulkCreate.firstCall.args[1]).to.include({ ignoreDuplicates: true });
+      expect(tags.map(tag => tag.id)).to.deep.equal(['tag-2', 'tag-1']);
+    });
+
+    it('should not query for no tags', async () => {
+      sandbox.stub(Tag, 'findAll');
+
+      expect(await organization.resolveTags('user-1', [])).to.deep.equal([]);
+      expect(Tag.findAll.called).to.be.false;
+    });
+  });
+
+  describe('assign', () => {
+    it('should file the record and replace its tags in one transaction', async () => {
+      const record = {
+        projectId: null,
+        folderId: null,
+        update: sinon.stub().resolves(),
+        setTags: sinon.stub().resolves()
+      };
+      sandbox.stub(Project, 'findOne').resolves({ id: 'project-1' });
+      sandbox.stub(Tag, 'findAll').resolves([{ id: 'tag-1', name: 'launch' }]);
+
+      await organization.assign(record, 'user-1', { projectId: 'project-1', tags: ['Launch'] });
+
+      expect(record.update.calledWith({ projectId: 'project-1' }, { transaction: 'transaction' })).to.be.true;
+      expect(record.setTags.firstCall.args[0].map(tag => tag.id)).to.deep.equal(['tag-1']);
+    });
+  });
+
+  describe('resolveFilter', () => {
+    it('should widen a folder to its subfolders', async () => {
+      sandbox.stub(Folder, 'findAll').resolves(tree);
+
+      expect(await organization.resolveFilter('user-1', { folderId: 'campaign', tagId: 'tag-1' })).to.deep.equal({
+        projectId: undefined,
+        folderIds: ['campaign', 'drafts'],
+        tagId: 'tag-1'
+      });
+    });
+  });
+});
@@ -0,0 +1,94 @@
+// backend/tests/unit/services/progressService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ProgressService } = require('../../../src/services/progressService');
+const { InMemoryQueue } = require('../../helpers/inMemoryQueue');
+
+describe('Progress Service', () => {
+  let sandbox;
+  let broker;
+  let progress;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    broker = new InMemoryQueue();
+    progress = new ProgressService({ broker });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('publish', () => {
+    it('should publish the event on the generation routing key', async () => {
+      const event = await progress.publish('test-generation-id', { type: 'status', status: 'processing' });
+
+      expect(event).to.include({ generationId: 'test-generation-id', type: 'status', status: 'processing' });
+      expect(event.timestamp).to.be.a('string');
+      expect(broker.published).to.have.length(1);
+      expect(broker.published[0].exchange).to.equal('generation-progress');
+      expect(broker.published[0].routingKey).to.equal('generation.test-generation-id');
+    });
+
+    it('should not throw if the broker is unavailable', async () => {
+      sandbox.stub(broker, 'publish').rejects(new Error('Connection closed'));
+
+      const event = await progress.publish('test-generation-id', { type: 'content', delta: 'Hello' });
+
+      expect(event).to.include({ type: 'content', delta: 'Hello' });
+    });
+  });
+
+  describe('subscribe', () => {
+    it('should deliver only the events of the subscribed generation', async () => {
+      const received = [];
+      await progress.subscribe('generation-a', event => received.push(event));
+
+      await progress.publish('generation-a', { type: 'status', status: 'processing' });
+      await progress.publish('generation-b', { type: 'status', status: 'processing' });
+
+      expect(received).to.have.length(1);
+      expect(received[0].generationId).to.equal('generation-a');
+    });
+
+    it('should subscribe to the broker once for all listeners', async () => {
+      const subscribeSpy = sandbox.spy(broker, 'subscribe');
+
+      await Promise.all([
+        progress.subscribe('generation-a', () => {}),
+        progress.subscribe('generation-b', () => {})
+      ]);
+
+      expect(subscribeSpy.calledOnce).to.be.true;
+    });
+
+    it('should stop delivering events after unsubscribing', async () => {
+      const listener = sinon.spy();
+      const unsubscribe = await progress.subscribe('generation-a', listener);
+
+      unsubscribe();
+      await progress.publish('generation-a', { type: 'status', status: 'completed' });
+
+      expect(listener.called).to.be.false;
+    });
+
+    it('should resubscribe after the broker reconnects', async () => {
+      await progress.subscribe('generation-a', () => {});
+      const subscribeSpy = sandbox.spy(broker, 'subscribe');
+
+      broker.emit('connected');
+      await progress.subscription;
+
+      expect(subscribeSpy.calledOnce).to.be.true;
+    });
+  });
+
+  describe('isTerminal', () => {
+    it('should treat completed and failed statuses as terminal', () => {
+      expect(progress.isTerminal({ type: 'status', status: 'completed' })).to.be.true;
+      expect(progress.isTerminal({ type: 'status', status: 'failed' })).to.be.true;
+      expect(progress.isTerminal({ type: 'status', status: 'processing' })).to.be.false;
+      expect(progress.isTerminal({ type: 'content', delta: 'completed' })).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,117 @@
+// backend/tests/unit/services/revisionService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ContentItem, ContentRevision } = require('../../../src/db/models');
+const { RevisionService } = require('../../../src/services/revisionService');
+
+describe('Revision Service', () => {
+  let sandbox;
+  let revisions;
+  let contentItem;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    revisions = new RevisionService();
+    contentItem = {
+      id: 'item-1',
+      title: 'Desks',
+      content: 'Oak desks.\n',
+      wordCount: 2,
+      metadata: { generationId: 'generation-1' },
+      update: sinon.stub().callsFake(async changes => Object.assign(contentItem, changes))
+    };
+    sandbox.stub(ContentRevision, 'create').callsFake(async data => ({ id: 'revision-new', ...data }));
+    sandbox.stub(ContentItem, 'update').resolves([0]);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('record', () => {
+    it('should number the first revision of an item 1', async () => {
+      sandbox.stub(ContentRevision, 'findOne').resolves(null);
+
+      const revision = await revisions.record(contentItem, { source: 'manual', authorId: 'user-1' });
+
+      expect(ContentRevision.create.firstCall.args[0]).to.deep.equal({
+        contentItemId: 'item-1',
+        number: 1,
+        title: 'Desks',
+        content: 'Oak desks.\n',
+        wordCount: 2,
+        source: 'manual',
+        authorId: 'user-1',
+        generationId: null,
+        restoredFromId: null
+      });
+      expect(revision.number).to.equal(1);
+    });
+
+    it('should not record content that is that of the latest revision', async () => {
+      sandbox.stub(ContentRevision, 'findOne').resolves({ number: 4, title: 'Desks', content: 'Oak desks.\n' });
+
+      expect(await revisions.record(contentItem, { source: 'manual' })).to.be.null;
+      expect(ContentRevision.create.called).to.be.false;
+    });
+
+    it('should take the next number when another save took this one', async () => {
+      const findOne = sandbox.stub(ContentRevision, 'findOne');
+      findOne.onFirstCall().resolves({ number: 1, title: 'Desks', content: '' });
+      findOne.onSecondCall().resolves({ number: 2, title: 'Desks', content: 'Pine desks.\n' });
+      const conflict = Object.assign(new Error('Duplicate number'), { name: 'SequelizeUniqueConstraintError' });
+      ContentRevision.create.onFirstCall().rejects(conflict);
+
+      const revision = await revisions.record(contentItem, { source: 'generation', generationId: 'generation-1' });
+
+      expect(revision).to.include({ number: 3, generationId: 'generation-1' });
+    });
+  });
+
+  describe('compare', () => {
+    it('should diff the content and report a changed title', () => {
+      const from = { id: 'revision-1', number: 1, title: 'Desks', content: 'Oak desks.\n' };
+      const to = { id: 'revision-2', number: 2, title: 'Our desks', content: 'Oak desks.\nPine desks.\n' };
+
+      const result = revisions.compare(from, to, 'line');
+
+      expect(result.from).to.include({ id: 'revision-1', number: 1 });
+      expect(result.from).to.not.have.property('content');
+      expect(result.title).to.deep.equal({ from: 'Desks', to: 'Our desks' });
+      expect(result.changes).to.deep.equal([
+        { type: 'equal', value: 'Oak desks.\n' },
+        { type: 'insert', value: 'Pine desks.\n' }
+      ]);
+      expect(result).to.include({ granularity: 'line', insertions: 1, deletions: 0 });
+      expect(revisions.compare(from, from).title).to.be.null;
+    });
+  });
+
+  describe('restore', () => {
+    const revision = { id: 'revision-1', number: 1, title: 'Old desks', content: 'Pine desks.\n', wordCount: 2 };
+
+    it('should put the revision back on the item as a new revision', async () => {
+      sandbox.stub(ContentRevision, 'findOne').resolves({ number: 5, title: 'Desks', content: 'Oak desks.\n' });
+
+      const restored = await revisions.restore(contentItem, revision, 'user-1');
+
+      expect(contentItem).to.include({ title: 'Old desks', content: 'Pine desks.\n', wordCount: 2 });
+      expect(contentItem.fingerprint).to.have.length(128);
+      expect(contentItem.metadata).to.include({ generationId: 'generation-1', lastEditedBy: 'user-1' });
+      expect(ContentItem.update.calledOnce).to.be.true;
+      expect(restored).to.include({ number: 6, source: 'restore', authorId: 'user-1', restoredFromId: 'revision-1' });
+    });
+
+    it('should reject restoring the current content', async () => {
+      try {
+        await revisions.restore(contentItem, { ...revision, title: 'Desks', content: 'Oak desks.\n' }, 'user-1');
+        expect.fail('restore should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('The content is already that of revision 1');
+        expect(error.statusCode).to.equal(400);
+      }
+
+      expect(contentItem.update.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,175 @@
+// backend/tests/unit/services/searchService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { sequelize, ContentItem, ContentGeneration } = require('../../../src/db/models');
+const { SearchService, MARK_START, MARK_END, parseHighlight } = require('../../../src/services/searchService');
+
+describe('Search Service', () => {
+  let sandbox;
+  let search;
+
+  // Stand-in for a Sequelize instance as returned by findAll
+  const record = data => ({ ...data, toJSON: () => data });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    search = new SearchService();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('parseHighlight', () => {
+    it('should split a headline into matched and unmatched parts', () => {
+      expect(parseHighlight(`Solid ${MARK_START}oak${MARK_END} desks for ${MARK_START}home${MARK_END}`)).to.deep.equal([
+        { text: 'Solid ', match: false },
+        { text: 'oak', match: true },
+        { text: ' desks for ', match: false },
+        { text: 'home', match: true }
+      ]);
+      expect(parseHighlight('No matches')).to.deep.equal([{ text: 'No matches', match: false }]);
+      expect(parseHighlight(null)).to.deep.equal([]);
+    });
+  });
+
+  describe('buildContentFilter', () => {
+    it('should list source items of the user by default', () => {
+      expect(search.buildContentFilter('user-1')).to.deep.equal({
+        conditions: ['ci."userId" = :userId', 'ci."sourceItemId" IS NULL'],
+        replacements: { userId: 'user-1' }
+      });
+    });
+
+    it('should add a condition for each filter and bind its value', () => {
+      const { conditions, replacements } = search.buildContentFilter('user-1', {
+        search: 'oak desk',
+        locale: 'fr-FR',
+        templateId: 'template-1',
+        integrationId: 'integration-1',
+        dateField: 'publishedAt',
+        from: '2026-01-01T00:00:00.000Z',
+        minWords: '0',
+        maxWords: '500'
+      });
+
+      expect(conditions).to.deep.equal([
+        'ci."userId" = :userId',
+        'ci."searchVector" @@ query',
+        'ci.locale = :locale',
+        'ci."templateId" = :templateId',
+        'ci.metadata->>\'integrationId\' = :integrationId',
+        'ci."publishedAt" >= :from',
+        'ci."wordCount" >= :minWords',
+        'ci."wordCount" <= :maxWords'
+      ]);
+      expect(replacements).to.deep.include({ search: 'oak desk', minWords: 0, maxWords: 500 });
+      expect(replacements.from).to.be.instanceOf(Date);
+    });
+
+    it('should only filter on known date fields', () => {
+      const { conditions } = search.buildContentFilter('user-1', { dateField: 'title; DROP TABLE', to: '2026-01-01' });
+
+      expect(conditions).to.include('ci."updatedAt" <= :to');
+    });
+
+    it('should filter by project, folders and tag', () => {
+      const { conditions, replacements } = search.buildContentFilter('user-1', {
+        projectId: 'project-1',
+        folderIds: ['folder-1', 'folder-2'],
+        tagId: 'tag-1'
+      });
+
+      expect(conditions.slice(2)).to.deep.equal([
+        'ci."projectId" = :projectId',
+        'ci."folderId" IN (:folderIds)',
+        'EXISTS (SELECT 1 FROM "ContentItemTags" cit WHERE cit."contentItemId" = ci.id AND cit."tagId" = :tagId)'
+      ]);
+      expect(replacements).to.deep.include({ projectId: 'project-1', folderIds: ['folder-1', 'folder-2'], tagId: 'tag-1' });
+    });
+
+    it('should match nothing for a folder the user does not have', () => {
+      const { conditions } = search.buildContentFilter('user-1', { folderIds: [] });
+
+      expect(conditions).to.include('FALSE');
+    });
+  });
+
+  describe('searchContent', () => {
+    it('should rank matches and attach their highlighted title and snippet', async () => {
+      const query = sandbox.stub(sequelize, 'query');
+      query.onFirstCall().resolves([{ count: 2 }]);
+      query.onSecondCall().resolves([
+        { id: 'item-2', rank: 0.8, title: `${MARK_START}Oak${MARK_END} desks`, snippet: `Our ${MARK_START}oak${MARK_END} range` },
+        { id: 'item-1', rank: 0.3, title: 'Desks', snippet: `An ${MARK_START}oak${MARK_END} top` }
+      ]);
+      sandbox.stub(ContentItem, 'findAll').resolves([
+        record({ id: 'item-1', title: 'Desks' }),
+        record({ id: 'item-2', title: 'Oak desks' })
+      ]);
+
+      const { count, rows } = await search.searchContent('user-1', { search: 'oak' }, { page: 2, limit: 2 });
+
+      expect(count).to.equal(2);
+      expect(rows.map(row => row.id)).to.deep.equal(['item-2', 'item-1']);
+      expect(rows[0].search).to.deep.equal({
+        rank: 0.8,
+        title: [{ text: 'Oak', match: true }, { text: ' desks', match: false }],
+        snippet: [{ text: 'Our ', match: false }, { text: 'oak', match: true }, { text: ' range', match: false }]
+      });
+
+      const [sql, { replacements }] = query.secondCall.args;
+      expect(sql).to.include('ORDER BY rank DESC, ci.id');
+      expect(sql).to.include('ts_headline(\'english\', page.content, query, :snippetOptions)');
+      expect(replacements).to.include({ userId: 'user-1', search: 'oak', limit: 2, offset: 2 });
+    });
+
+    it('should sort by the last update without a search, and not by relevance', async () => {
+      const query = sandbox.stub(sequelize, 'query');
+      query.onFirstCall().resolves([{ count: 1 }]);
+      query.onSecondCall().resolves([{ id: 'item-1' }]);
+      sandbox.stub(ContentItem, 'findAll').resolves([record({ id: 'item-1', title: 'Desks' })]);
+
+      const { rows } = await search.searchContent('user-1', {}, { sort: 'relevance' });
+
+      expect(rows).to.deep.equal([{ id: 'item-1', title: 'Desks' }]);
+      expect(query.secondCall.args[0]).to.include('ORDER BY ci."updatedAt" DESC, ci.id');
+      expect(query.secondCall.args[0]).to.not.include('ts_headline');
+    });
+
+    it('should sort by the requested field and order', async () => {
+      const query = sandbox.stub(sequelize, 'query');
+      query.onFirstCall().resolves([{ count: 1 }]);
+      query.onSecondCall().resolves([]);
+      sandbox.stub(ContentItem, 'findAll').resolves([]);
+
+      await search.searchContent('user-1', { search: 'oak' }, { sort: 'publishedAt', order: 'asc' });
+
+      expect(query.secondCall.args[0]).to.include('ORDER BY ci."publishedAt" ASC NULLS LAST, ci.id');
+    });
+
+    it('should not load items when nothing matches', async () => {
+      sandbox.stub(sequelize, 'query').resolves([{ count: 0 }]);
+      const findAll = sandbox.stub(ContentItem, 'findAll');
+
+      expect(await search.searchContent('user-1', { search: 'walnut' })).to.deep.equal({ count: 0, rows: [] });
+      expect(findAll.called).to.be.false;
+    });
+  });
+
+  describe('searchGenerations', () => {
+    it('should return the matching generations best first', async () => {
+      const query = sandbox.stub(sequelize, 'query');
+      query.onFirstCall().resolves([{ count: 1 }]);
+      query.onSecondCall().resolves([{ id: 'generation-1', rank: 0.5 }]);
+      sandbox.stub(ContentGeneration, 'findAll').resolves([record({ id: 'generation-1', status: 'completed' })]);
+
+      const { count, rows } = await search.searchGenerations('user-1', { search: 'remote work', status: 'completed' });
+
+      expect(count).to.equal(1);
+      expect(rows).to.deep.equal([{ id: 'generation-1', status: 'completed', search: { rank: 0.5 } }]);
+      expect(query.firstCall.args[0]).to.include('cg.status = :status');
+      expect(query.firstCall.args[1].replacements).to.deep.equal({ userId: 'user-1', search: 'remote work', status: 'completed' });
+    });
+  });
+});
@@ -0,0 +1,94 @@
+// backend/tests/unit/services/seoService.test.js
+const { expect } = require('chai');
+const { SeoService } = require('../../../src/services/seoService');
+
+describe('SEO Service', () => {
+  let seo;
+
+  beforeEach(() => {
+    seo = new SeoService({ metaTitleLength: 30, metaDescriptionLength: 50, excerptLength: 80, slugLength: 20 });
+  });
+
+  describe('parseResponse', () => {
+    it('should read a JSON object inside a code fence', () => {
+      expect(seo.parseResponse('Sure!\n```json\n{"metaTitle": "Title"}\n```')).to.deep.equal({ metaTitle: 'Title' });
+    });
+
+    it('should reject a response without a JSON object', () => {
+      expect(() => seo.parseResponse('["Title"]')).to.throw('The generated SEO metadata is not a valid JSON object');
+      expect(() => seo.parseResponse('{ metaTitle: Title }')).to.throw('not a valid JSON object');
+    });
+  });
+
+  describe('buildMetadata', () => {
+    const contentItem = {
+      title: 'Ten Ways to Scale a Content Team',
+      contentType: 'blog',
+      content: '# Ten Ways\n\n**Scaling** a team takes [process](https://example.com) and tools.\n\n## Why?\n\nMore output.'
+    };
+
+    it('should keep generated fields within their limits', () => {
+      const metadata = seo.buildMetadata({
+        metaTitle: 'Ten proven ways to scale your content team quickly',
+        metaDescription: 'Short description.',
+        slug: 'Ten Ways to Scale a Content Team Today'
+      }, contentItem, { keywords: ['content team'] });
+
+      expect(metadata.metaTitle).to.equal('Ten proven ways to scale your…');
+      expect(metadata.metaTitle.length).to.be.at.most(30);
+      expect(metadata.slug).to.equal('ten-ways-to-scale-a');
+      expect(metadata.focusKeyword).to.equal('content team');
+      expect(metadata.openGraph).to.deep.equal({
+        type: 'article',
+        title: 'Ten proven ways to scale your…',
+        description: 'Short description.'
+      });
+    });
+
+    it('should fall back to the title and first paragraph', () => {
+      const metadata = seo.buildMetadata({ metaTitle: 42 }, contentItem);
+
+      expect(metadata.metaTitle).to.equal('Ten Ways to Scale a Content…');
+      expect(metadata.excerpt).to.equal('Scaling a team takes process and tools.');
+      expect(metadata.metaDescription).to.equal('Scaling a team takes process and tools.');
+      expect(metadata.slug).to.equal('ten-ways-to-scale-a');
+      expect(metadata.focusKeyword).to.be.null;
+    });
+  });
+
+  describe('buildJsonLd', () => {
+    it('should describe products as a Product', () => {
+      const jsonLd = seo.buildJsonLd(
+        { title: 'Desk Lamp', contentType: 'product', content: 'A bright lamp.' },
+        { metaDescription: 'A bright lamp.', keywords: [] }
+      );
+
+      expect(jsonLd).to.deep.equal([{
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: 'Desk Lamp',
+        description: 'A bright lamp.'
+      }]);
+    });
+
+    it('should add a FAQPage for question headings', () => {
+      const jsonLd = seo.buildJsonLd({
+        title: 'Lamps',
+        contentType: 'blog',
+        wordCount: 120,
+        content: '## How bright is it?\n\nVery *bright*.\n\n## Setup\n\nPlug it in.\n\n### Does it dim?\n'
+      }, { metaDescription: 'All about lamps.', keywords: ['lamps'] });
+
+      expect(jsonLd[0]).to.include({ '@type': 'Article', headline: 'Lamps', keywords: 'lamps', wordCount: 120 });
+      expect(jsonLd[1].mainEntity).to.deep.equal([{
+        '@type': 'Question',
+        name: 'How bright is it?',
+        acceptedAnswer: { '@type': 'Answer', text: 'Very bright.' }
+      }]);
+    });
+
+    it('should leave out structured data for social posts and emails', () => {
+      expect(seo.buildJsonLd({ title: 'Hi', contentType: 'email' }, { keywords: [] })).to.deep.equal([]);
+    });
+  });
+});
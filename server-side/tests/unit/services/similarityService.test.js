@@ -0,0 +1,68 @@
+// backend/tests/unit/services/similarityService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { SimilarityService } = require('../../../src/services/similarityService');
+const { ContentItem } = require('../../../src/db/models');
+
+describe('Similarity Service', () => {
+  let sandbox;
+  let similarity;
+
+  const text = 'The oak desk is made from solid wood and has two deep drawers for storage. It ships flat and assembles in ten minutes.';
+  const contentItem = { id: 'item-id', userId: 'user-id' };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    similarity = new SimilarityService({ shingleSize: 4, threshold: 0.35, maxMatches: 5, maxPassages: 3 });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('compare', () => {
+    it('should report the items above the threshold with the passages they share', async () => {
+      const library = [
+        { id: 'copy', title: 'Oak desk', fingerprint: similarity.fingerprint(`${text} Order today.`) },
+        { id: 'other', title: 'Newsletter', fingerprint: similarity.fingerprint('Three new recipes and a gardening checklist for spring.') }
+      ];
+      const findAll = sandbox.stub(ContentItem, 'findAll');
+      findAll.onFirstCall().resolves(library);
+      findAll.onSecondCall().resolves([{ id: 'copy', content: `${text} Order today.` }]);
+
+      const report = await similarity.compare(contentItem, text);
+
+      expect(findAll.firstCall.args[0].where.userId).to.equal('user-id');
+      expect(findAll.secondCall.args[0].where).to.deep.equal({ id: ['copy'] });
+      expect(report).to.include({ threshold: 0.35, flagged: true });
+      expect(report.score).to.be.at.least(0.8);
+      expect(report.matches).to.have.length(1);
+      expect(report.matches[0]).to.include({ contentItemId: 'copy', title: 'Oak desk' });
+      expect(report.matches[0].passages).to.deep.equal([{ text: text.slice(0, -1), words: 23 }]);
+    });
+
+    it('should fingerprint library items stored without one', async () => {
+      const stored = { id: 'old', title: 'Old desk copy', fingerprint: null };
+      const findAll = sandbox.stub(ContentItem, 'findAll');
+      findAll.onFirstCall().resolves([stored]);
+      findAll.onSecondCall().resolves([{ id: 'old', content: 'A short note about shipping times.' }]);
+      const update = sandbox.stub(ContentItem, 'update').resolves([1]);
+
+      const report = await similarity.compare(contentItem, text);
+
+      expect(update.firstCall.args[0].fingerprint).to.deep.equal(similarity.fingerprint('A short note about shipping times.'));
+      expect(update.firstCall.args[1]).to.deep.equal({ where: { id: 'old' } });
+      expect(report).to.include({ flagged: false });
+      expect(report.matches).to.deep.equal([]);
+    });
+
+    it('should not query the library for content without words', async () => {
+      const findAll = sandbox.stub(ContentItem, 'findAll');
+
+      const report = await similarity.compare(contentItem, '');
+
+      expect(findAll.called).to.be.false;
+      expect(report).to.include({ score: 0, flagged: false });
+    });
+  });
+});
@@ -0,0 +1,166 @@
+// backend/tests/unit/services/structuredOutputService.test.js
+const { expect } = require('chai');
+const { StructuredOutputService } = require('../../../src/services/structuredOutputService');
+
+describe('Structured Output Service', () => {
+  let structured;
+
+  beforeEach(() => {
+    structured = new StructuredOutputService({ maxAttempts: 3 });
+  });
+
+  describe('resolveSchema', () => {
+    it('should resolve preset names and field lists', () => {
+      expect(structured.resolveSchema('product').map(field => field.name))
+        .to.deep.equal(['title', 'shortDescription', 'features', 'specs', 'metaDescription']);
+      expect(structured.resolveSchema([{ name: 'summary', type: 'text' }])).to.have.length(1);
+    });
+
+    it('should return null without a schema', () => {
+      expect(structured.resolveSchema(null)).to.be.null;
+      expect(structured.resolveSchema([])).to.be.null;
+      expect(structured.resolveSchema('brochure')).to.be.null;
+    });
+  });
+
+  describe('validateSchema', () => {
+    it('should accept presets, field lists and no schema', () => {
+      expect(structured.validateSchema('email')).to.be.empty;
+      expect(structured.validateSchema(null)).to.be.empty;
+      expect(structured.validateSchema([
+        { name: 'summary', type: 'text' },
+        { name: 'prices', type: 'table', columns: ['plan', 'price'], display: 'section' }
+      ])).to.be.empty;
+    });
+
+    it('should report unknown presets and invalid fields', () => {
+      expect(structured.validateSchema('brochure')[0].msg).to.equal('Output schema must be one of: product, email, or a list of fields');
+
+      const errors = structured.validateSchema([
+        { name: 'summary', type: 'paragraph' },
+        { name: 'summary', type: 'text', display: 'footer' },
+        { name: 'has space', type: 'string' },
+        { name: 'rows', type: 'table', columns: [] }
+      ]);
+
+      expect(errors.map(error => error.path)).to.deep.equal([
+        'outputSchema[0].type',
+        'outputSchema[1].name',
+        'outputSchema[1].display',
+        'outputSchema[2].name',
+        'outputSchema[3].columns'
+      ]);
+      expect(errors[1].msg).to.equal('Field summary is declared twice');
+    });
+  });
+
+  describe('buildInstructions', () => {
+    it('should describe each field with its type and limits', () => {
+      const instructions = structured.buildInstructions(structured.resolveSchema('product'));
+
+      expect(instructions).to.match(/^Reply with a JSON object only/);
+      expect(instructions).to.include('- "title" (string): Product name, used as the page heading, at most 120 characters');
+      expect(instructions).to.include('- "features" (array of strings): Benefit-led features, one sentence each, 3 to 8 items');
+      expect(instructions).to.include('- "specs" (array of objects with "name", "value", optional): Technical specifications');
+    });
+  });
+
+  describe('validateResponse', () => {
+    const fields = [
+      { name: 'title', type: 'string', maxLength: 20 },
+      { name: 'features', type: 'list', minItems: 2 },
+      { name: 'price', type: 'number', required: false },
+      { name: 'inStock', type: 'boolean', required: false }
+    ];
+
+    it('should parse a reply wrapped in a code fence and repair types', () => {
+      const reply = '```json\n{"title": " Desk lamp ", "features": "- Dimmable\\n- USB-C", "price": "49.5", "inStock": "true", "extra": 1}\n```';
+
+      expect(structured.validateResponse(fields, reply)).to.deep.equal({
+        value: { title: 'Desk lamp', features: ['Dimmable', 'USB-C'], price: 49.5, inStock: true },
+        errors: []
+      });
+    });
+
+    it('should report missing and invalid fields', () => {
+      const reply = JSON.stringify({ title: 'A lamp with a very long name', features: ['One'], price: 'cheap' });
+
+      expect(structured.validateResponse(fields, reply).errors).to.deep.equal([
+        '"title" must be at most 20 characters, not 28',
+        '"features" must have at least 2 items, not 1',
+        '"price" must be a number'
+      ]);
+      expect(structured.validateResponse(fields, '{}').errors).to.deep.equal([
+        '"title" is required',
+        '"features" is required'
+      ]);
+    });
+
+    it('should reject a reply without a JSON object', () => {
+      expect(structured.validateResponse(fields, 'Here is your lamp.')).to.deep.equal({
+        value: null,
+        errors: ['The reply is not a JSON object']
+      });
+    });
+
+    it('should keep only the declared columns of table rows', () => {
+      const { value } = structured.validateResponse(
+        [{ name: 'specs', type: 'table' }],
+        JSON.stringify({ specs: [{ name: 'Weight', value: 1.2, unit: 'kg' }] })
+      );
+
+      expect(value.specs).to.deep.equal([{ name: 'Weight', value: '1.2' }]);
+    });
+  });
+
+  describe('buildRepairPrompt', () => {
+    it('should list the errors and the previous reply', () => {
+      const prompt = structured.buildRepairPrompt('Write a product page.', '{"title": ""}', ['"title" is required']);
+
+      expect(prompt).to.match(/^Write a product page\./);
+      expect(prompt).to.include('did not match the required fields:\n- "title" is required');
+      expect(prompt).to.include('Previous reply:\n{"title": ""}');
+      expect(prompt).to.match(/Reply with the corrected JSON object only\.$/);
+    });
+  });
+
+  describe('render', () => {
+    it('should render a product page without its hidden fields', () => {
+      const markdown = structured.render(structured.resolveSchema('product'), {
+        title: 'Desk lamp',
+        shortDescription: 'A lamp for late nights.',
+        features: ['Dimmable', 'USB-C charging', 'Folds flat'],
+        specs: [{ name: 'Weight', value: '1.2 | 1.4 kg' }],
+        metaDescription: 'Buy the desk lamp.'
+      });
+
+      expect(markdown).to.equal([
+        '# Desk lamp',
+        'A lamp for late nights.',
+        '## Key Features\n\n- Dimmable\n- USB-C charging\n- Folds flat',
+        '## Specifications\n\n| Name | Value |\n| --- | --- |\n| Weight | 1.2 \\| 1.4 kg |'
+      ].join('\n\n'));
+    });
+
+    it('should render an email as its body and call to action', () => {
+      const markdown = structured.render(structured.resolveSchema('email'), {
+        subjectLines: ['Hello', 'Hi', 'Hey'],
+        preheader: 'Inside: news',
+        body: 'Dear reader,\n\nNews.',
+        cta: 'Read more'
+      });
+
+      expect(markdown).to.equal('Dear reader,\n\nNews.\n\nRead more');
+    });
+
+    it('should render labelled fields and skip empty ones', () => {
+      const markdown = structured.render([
+        { name: 'price', type: 'number', label: 'Price' },
+        { name: 'inStock', type: 'boolean', label: 'In stock' },
+        { name: 'notes', type: 'text', required: false }
+      ], { price: 49.5, inStock: false });
+
+      expect(markdown).to.equal('**Price:** 49.5\n\n**In stock:** No');
+    });
+  });
+});
@@ -0,0 +1,252 @@
+// backend/tests/unit/services/templateService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+const { templateService } = require('../../../src/services/templateService');
+const { sequelize, Template, TemplateVersion, ContentItem, ContentGeneration } = require('../../../src/db/models');
+
+describe('Template Service', () => {
+  let sandbox;
+
+  const variables = [
+    { name: 'topic', type: 'string', required: true, maxLength: 20 },
+    { name: 'wordCount', type: 'integer', min: 100, max: 5000, default: 1000 },
+    { name: 'includeFaq', type: 'boolean' },
+    { name: 'keywords', type: 'list' },
+    { name: 'tone', type: 'enum', options: ['formal', 'casual'], label: 'Tone of voice' }
+  ];
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('getAccessibleTemplate', () => {
+    it('should find templates the user owns or that are shared', async () => {
+      sandbox.stub(Template, 'findOne').resolves({ id: 'template-id' });
+
+      await templateService.getAccessibleTemplate('template-id', 'user-id');
+
+      const { where } = Template.findOne.firstCall.args[0];
+      expect(where.id).to.equal('template-id');
+      expect(where[Op.or]).to.deep.equal([{ userId: 'user-id' }, { isPublic: true }, { isSystem: true }]);
+    });
+  });
+
+  describe('updateTemplate', () => {
+    let template;
+
+    beforeEach(() => {
+      template = {
+        id: 'template-id',
+        name: 'Blog post',
+        contentType: 'blog',
+        promptTemplate: 'Write about {topic}',
+        variables: [{ name: 'topic', type: 'string' }],
+        structure: {},
+        defaultParameters: {},
+        currentVersion: 2,
+        update: sinon.stub().callsFake(async function (updates) {
+          Object.assign(this, updates);
+          return this;
+        })
+      };
+
+      sandbox.stub(sequelize, 'transaction').callsFake(callback => callback('transaction'));
+      sandbox.stub(Template, 'findByPk').resolves(template);
+      sandbox.stub(TemplateVersion, 'create').resolves({});
+    });
+
+    it('should add a version when the prompt changes', async () => {
+      await templateService.updateTemplate('template-id', {
+        promptTemplate: 'Write a guide to {topic}',
+        changeNote: 'Guide format'
+      }, 'user-id');
+
+      expect(Template.findByPk.firstCall.args[1]).to.include({ transaction: 'transaction', lock: true });
+      expect(template.currentVersion).to.equal(3);
+
+      const [version, options] = TemplateVersion.create.firstCall.args;
+      expect(version).to.include({
+        templateId: 'template-id',
+        version: 3,
+        promptTemplate: 'Write a guide to {topic}',
+        createdBy: 'user-id',
+        changeNote: 'Guide format'
+      });
+      expect(options).to.deep.equal({ transaction: 'transaction' });
+    });
+
+    it('should not add a version for metadata or unchanged fields', async () => {
+      await templateService.updateTemplate('template-id', {
+        name: 'Renamed',
+        isArchived: true,
+        variables: [{ name: 'topic', type: 'string' }]
+      }, 'user-id');
+
+      expect(template.name).to.equal('Renamed');
+      expect(template.currentVersion).to.equal(2);
+      expect(TemplateVersion.create.called).to.be.false;
+    });
+
+    it('should only let admins change isSystem', async () => {
+      await templateService.updateTemplate('template-id', { isSystem: true }, 'user-id');
+      expect(template.update.firstCall.args[0]).to.not.have.property('isSystem');
+
+      await templateService.updateTemplate('template-id', { isSystem: true }, 'admin-id', { allowSystem: true });
+      expect(template.update.secondCall.args[0]).to.include({ isSystem: true });
+    });
+  });
+
+  describe('cloneTemplate', () => {
+    it('should copy the current version into a private template at version 1', async () => {
+      sandbox.stub(sequelize, 'transaction').callsFake(callback => callback('transaction'));
+      sandbox.stub(Template, 'create').callsFake(async data => ({ id: 'copy-id', ...data }));
+      sandbox.stub(TemplateVersion, 'create').resolves({});
+
+      const copy = await templateService.cloneTemplate({
+        id: 'template-id',
+        name: 'Blog post',
+        promptTemplate: 'Write about {topic}',
+        variables: [],
+        isPublic: true,
+        isSystem: true,
+        currentVersion: 4
+      }, 'user-id');
+
+      expect(copy).to.include({
+        name: 'Blog post (copy)',
+        promptTemplate: 'Write about {topic}',
+        userId: 'user-id',
+        isPublic: false,
+        isSystem: false,
+        currentVersion: 1
+      });
+      expect(TemplateVersion.create.firstCall.args[0]).to.include({
+        templateId: 'copy-id',
+        version: 1,
+        changeNote: 'Cloned from Blog post v4'
+      });
+    });
+  });
+
+  describe('deleteTemplate', () => {
+    it('should refuse to delete a template that generations used', async () => {
+      const template = { id: 'template-id', destroy: sinon.stub() };
+      sandbox.stub(TemplateVersion, 'findAll').resolves([{ id: 'version-1' }]);
+      sandbox.stub(ContentItem, 'count').resolves(0);
+      sandbox.stub(ContentGeneration, 'count').resolves(2);
+
+      try {
+        await templateService.deleteTemplate(template);
+        expect.fail('Expected an error');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+      }
+
+      expect(ContentGeneration.count.firstCall.args[0].where).to.deep.equal({ templateVersionId: ['version-1'] });
+      expect(template.destroy.called).to.be.false;
+    });
+  });
+
+  describe('validatePromptData', () => {
+    it('should convert values to their declared types and apply defaults', () => {
+      const { values, errors } = templateService.validatePromptData(variables, {
+        topic: 'AI',
+        includeFaq: 'true',
+        keywords: 'ai, content ,',
+        tone: 'casual',
+        seoOptimize: true
+      });
+
+      expect(errors).to.deep.equal([]);
+      expect(values).to.deep.equal({
+        topic: 'AI',
+        wordCount: 1000,
+        includeFaq: true,
+        keywords: ['ai', 'content'],
+        tone: 'casual',
+        seoOptimize: true
+      });
+    });
+
+    it('should report missing and invalid values by field', () => {
+      const { errors } = templateService.validatePromptData(variables, {
+        wordCount: '12.5',
+        includeFaq: 'maybe',
+        tone: 'angry'
+      });
+
+      expect(errors.map(error => [error.path, error.msg])).to.deep.equal([
+        ['promptData.topic', 'topic is required'],
+        ['promptData.wordCount', 'wordCount must be an integer'],
+        ['promptData.includeFaq', 'includeFaq must be true or false'],
+        ['promptData.tone', 'Tone of voice must be one of: formal, casual']
+      ]);
+      expect(errors[0]).to.include({ type: 'field', location: 'body' });
+    });
+
+    it('should enforce ranges and lengths', () => {
+      const { errors } = templateService.validatePromptData(variables, {
+        topic: 'A topic that is far too long',
+        wordCount: 50
+      });
+
+      expect(errors.map(error => error.msg)).to.deep.equal([
+        'topic must be at most 20 characters',
+        'wordCount must be at least 100'
+      ]);
+    });
+  });
+
+  describe('validateVariableSchema', () => {
+    it('should accept valid declarations', () => {
+      expect(templateService.validateVariableSchema(variables)).to.deep.equal([]);
+    });
+
+    it('should reject bad names, duplicates, unknown types and enums without options', () => {
+      const errors = templateService.validateVariableSchema([
+        { name: 'not a name', type: 'string' },
+        { name: 'topic', type: 'string' },
+        { name: 'topic', type: 'date' },
+        { name: 'tone', type: 'enum' }
+      ]);
+
+      expect(errors.map(error => error.path)).to.deep.equal([
+        'variables[0].name',
+        'variables[2].name',
+        'variables[2].type',
+        'variables[3].options'
+      ]);
+    });
+  });
+
+  describe('resolveParameters', () => {
+    it('should layer variable defaults, template defaults and prompt data', () => {
+      const template = {
+        variables: [{ name: 'tone', type: 'string', default: 'formal' }, { name: 'wordCount', type: 'integer', default: 500 }],
+        defaultParameters: { wordCount: 1500, seoOptimize: true }
+      };
+
+      expect(templateService.resolveParameters(template, { wordCount: 800 })).to.deep.equal({
+        tone: 'formal',
+        wordCount: 800,
+        seoOptimize: true
+      });
+    });
+  });
+
+  describe('getUndeclaredVariables', () => {
+    it('should list variables the template uses without declaring', () => {
+      const undeclared = templateService.getUndeclaredVariables({
+        promptTemplate: 'Write about {topic} for {audience}',
+        variables: [{ name: 'topic', type: 'string' }]
+      });
+
+      expect(undeclared).to.deep.equal(['audience']);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// backend/tests/unit/services/translationService.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { TranslationService } = require('../../../src/services/translationService');
+const { ContentItem } = require('../../../src/db/models');
+
+describe('Translation Service', () => {
+  let sandbox;
+  let translation;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    translation = new TranslationService({ glossary: ['Acme'], maxLocales: 10 });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('normalizeLocale', () => {
+    it('should return the canonical form of a language tag', () => {
+      expect(translation.normalizeLocale('pt-br')).to.equal('pt-BR');
+      expect(translation.normalizeLocale('DE')).to.equal('de');
+    });
+
+    it('should reject malformed tags', () => {
+      expect(() => translation.normalizeLocale('not a locale'))
+        .to.throw('Invalid locale: not a locale')
+        .with.property('statusCode', 400);
+    });
+  });
+
+  describe('glossary', () => {
+    it('should merge the configured and requested terms, longest first', () => {
+      expect(translation.glossary(['Acme Cloud', ' acme ', '', 'SKU'])).to.deep.equal(['Acme Cloud', 'Acme', 'SKU']);
+    });
+  });
+
+  describe('protectTerms and restoreTerms', () => {
+    it('should replace whole glossary terms with placeholders and put them back', () => {
+      const terms = translation.glossary(['Acme Cloud']);
+      const placeholders = [];
+
+      const title = translation.protectTerms('Acme Cloud pricing', terms, placeholders);
+      const content = translation.protectTerms('Acme Cloud is run by ACME, not Acmeville. Acme Cloud scales.', terms, placeholders);
+
+      expect(title).to.equal('⟦1⟧ pricing');
+      expect(content).to.equal('⟦1⟧ is run by ⟦2⟧, not Acmeville. ⟦1⟧ scales.');
+      expect(placeholders).to.deep.equal(['Acme Cloud', 'ACME']);
+      expect(translation.restoreTerms('⟦1⟧ est géré par ⟦2⟧.', placeholders)).to.equal('Acme Cloud est géré par ACME.');
+    });
+
+    it('should report the terms whose placeholder is missing from the translation', () => {
+      expect(translation.findMissingTerms(['Tarifs ⟦1⟧', 'Le nuage est géré par ⟦2⟧.'], ['Acme Cloud', 'ACME', 'SKU']))
+        .to.deep.equal(['SKU']);
+    });
+  });
+
+  describe('buildPrompt', () => {
+    it('should send the protected source with the names of both languages', () => {
+      const { prompt, placeholders } = translation.buildPrompt(
+        { contentType: 'blog', title: 'Why Acme', content: '# Why Acme\n\nAcme is fast.' },
+        { locale: 'fr-FR', sourceLocale: 'en-US' }
+      );
+
+      expect(placeholders).to.deep.equal(['Acme']);
+      expect(prompt).to.include('from American English (en-US) into French (France, fr-FR)');
+      expect(prompt).to.include('Keep every placeholder exactly as written');
+      expect(prompt).to.include('<title>Why ⟦1⟧</title>\n<content>\n# Why ⟦1⟧\n\n⟦1⟧ is fast.\n</content>');
+    });
+  });
+
+  describe('parseResponse', () => {
+    it('should read the title and content between their tags', () => {
+      expect(translation.parseResponse('Voici :\n<title>Pourquoi ⟦1⟧</title>\n<content>\n# Pourquoi\n\nRapide.\n</content>'))
+        .to.deep.equal({ title: 'Pourquoi ⟦1⟧', content: '# Pourquoi\n\nRapide.' });
+    });
+
+    it('should keep a reply cut off before the closing tag, or without tags', () => {
+      expect(translation.parseResponse('<title>Titre</title><content># Partie')).to.deep.equal({ title: 'Titre', content: '# Partie' });
+      expect(translation.parseResponse('Texte seul')).to.deep.equal({ title: null, content: 'Texte seul' });
+    });
+
+    it('should reject a reply without content', () => {
+      expect(() => translation.parseResponse('<title>Titre</title>')).to.throw('The translation has no content');
+    });
+  });
+
+  describe('compareStructure', () => {
+    it('should compare the heading levels of the source and translation', () => {
+      const source = '# Title\n\n## One\n\nText\n\n## Two';
+
+      expect(translation.compareStructure(source, '# Titre\n\n## Un\n\nTexte\n\n## Deux').matches).to.be.true;
+      expect(translation.compareStructure(source, '# Titre\n\n### Un\n\n## Deux')).to.deep.equal({
+        matches: false,
+        sourceHeadings: 3,
+        translatedHeadings: 3
+      });
+    });
+  });
+
+  describe('markStale', () => {
+    it('should mark the current translations of an item stale', async () => {
+      const update = sandbox.stub(ContentItem, 'update').resolves([2]);
+
+      expect(await translation.markStale('source-id')).to.equal(2);
+      expect(update.firstCall.args).to.deep.equal([
+        { translationStale: true },
+        { where: { sourceItemId: 'source-id', translationStale: false } }
+      ]);
+    });
+  });
+});
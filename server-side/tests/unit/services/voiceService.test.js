@@ -0,0 +1,68 @@
+// backend/tests/unit/services/voiceService.test.js
+const { expect } = require('chai');
+const { VoiceService } = require('../../../src/services/voiceService');
+
+describe('Voice Service', () => {
+  let voice;
+
+  beforeEach(() => {
+    voice = new VoiceService();
+  });
+
+  describe('validateProfile', () => {
+    it('should report invalid list fields by path', () => {
+      const errors = voice.validateProfile({
+        bannedPhrases: ['synergy', ' '],
+        terminology: [{ preferred: 'sign in', avoid: ['login'] }, { avoid: 'log in' }],
+        samples: ['One.', 'Two.', 'Three.', 'Four.', 'Five.', 'Six.']
+      });
+
+      expect(errors.map(error => error.path)).to.deep.equal([
+        'bannedPhrases',
+        'terminology[1].preferred',
+        'terminology[1].avoid',
+        'samples'
+      ]);
+    });
+
+    it('should accept a partial update', () => {
+      expect(voice.validateProfile({ tone: 'playful' })).to.deep.equal([]);
+    });
+  });
+
+  describe('normalizeProfile', () => {
+    it('should trim phrases and drop duplicates', () => {
+      expect(voice.normalizeProfile({
+        bannedPhrases: [' synergy ', 'synergy'],
+        terminology: [{ preferred: ' sign in ' }]
+      })).to.deep.equal({
+        bannedPhrases: ['synergy'],
+        terminology: [{ preferred: 'sign in', avoid: [] }]
+      });
+    });
+  });
+
+  describe('checkText', () => {
+    const profile = {
+      bannedPhrases: ['game changer', 'leverage'],
+      terminology: [{ preferred: 'sign in', avoid: ['login', 'log in'] }]
+    };
+
+    it('should count banned phrases and avoided terms as whole words, ignoring case', () => {
+      const text = 'This is a Game\nChanger. Log in to leverage it, then log in again. Our loginPage stays.';
+      const violations = voice.checkText(text, profile);
+
+      expect(violations.map(({ type, phrase, count }) => ({ type, phrase, count }))).to.deep.equal([
+        { type: 'banned_phrase', phrase: 'game changer', count: 1 },
+        { type: 'banned_phrase', phrase: 'leverage', count: 1 },
+        { type: 'terminology', phrase: 'log in', count: 2 }
+      ]);
+      expect(violations[2].preferred).to.equal('sign in');
+      expect(violations[0].context).to.equal('This is a Game Changer. Log in to leverage it, then log in aga…');
+    });
+
+    it('should report nothing without a profile', () => {
+      expect(voice.checkText('A game changer.', null)).to.deep.equal([]);
+    });
+  });
+});
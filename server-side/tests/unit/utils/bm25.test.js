@@ -0,0 +1,43 @@
+// backend/tests/unit/utils/bm25.test.js
+const { expect } = require('chai');
+const { tokenize, termFrequencies, rank } = require('../../../src/utils/bm25');
+
+describe('BM25', () => {
+  const index = (text) => {
+    const { terms, count } = termFrequencies(text);
+    return { text, terms, termCount: count };
+  };
+
+  const returns = index('Returns are accepted within 30 days of delivery. Refunds go back to the original payment method.');
+  const shipping = index('Orders ship within two business days. Shipping is free on orders over 50 dollars.');
+  const warranty = index('Every desk has a five year warranty covering the frame and the drawers.');
+
+  describe('tokenize', () => {
+    it('should drop stop words and fold plurals onto the singular', () => {
+      expect(tokenize('The Policies of our Desks, and its drawers')).to.deep.equal(['policy', 'desk', 'drawer']);
+      expect(tokenize('Glass business status')).to.deep.equal(['glass', 'business', 'status']);
+      expect(tokenize('')).to.deep.equal([]);
+    });
+  });
+
+  describe('termFrequencies', () => {
+    it('should count the terms of a text', () => {
+      expect(termFrequencies('Orders and more orders')).to.deep.equal({ terms: { order: 2 }, count: 2 });
+    });
+  });
+
+  describe('rank', () => {
+    it('should rank the chunks sharing the rarest query terms first', () => {
+      const ranked = rank('refund policy for returns and orders', [returns, shipping, warranty]);
+
+      expect(ranked.map(({ document }) => document)).to.deep.equal([returns, shipping]);
+      expect(ranked[0].score).to.be.above(ranked[1].score);
+    });
+
+    it('should leave out chunks without any query term', () => {
+      expect(rank('warranty', [returns, shipping, warranty]).map(({ document }) => document)).to.deep.equal([warranty]);
+      expect(rank('the and of', [returns, shipping])).to.deep.equal([]);
+      expect(rank('warranty', [])).to.deep.equal([]);
+    });
+  });
+});
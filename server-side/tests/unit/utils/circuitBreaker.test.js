@@ -0,0 +1,98 @@
+// backend/tests/unit/utils/circuitBreaker.test.js
+const { expect } = require('chai');
+const { CircuitBreaker } = require('../../../src/utils/circuitBreaker');
+
+describe('Circuit Breaker', () => {
+  let clock;
+  let breaker;
+
+  const providerError = { type: 'server' };
+
+  beforeEach(() => {
+    clock = 0;
+    breaker = new CircuitBreaker({
+      name: 'openai',
+      failureThreshold: 3,
+      resetTimeout: 1000,
+      now: () => clock
+    });
+  });
+
+  it('should stay closed below the failure threshold', () => {
+    breaker.recordFailure(providerError);
+    breaker.recordFailure(providerError);
+
+    expect(breaker.canRequest()).to.be.true;
+    expect(breaker.getStatus()).to.include({ state: 'closed', failures: 2 });
+  });
+
+  it('should reset the failure count on success', () => {
+    breaker.recordFailure(providerError);
+    breaker.recordFailure(providerError);
+    breaker.recordSuccess();
+    breaker.recordFailure(providerError);
+
+    expect(breaker.getStatus().state).to.equal('closed');
+  });
+
+  it('should open at the threshold and reject requests until the reset timeout', () => {
+    breaker.recordFailure(providerError);
+    breaker.recordFailure(providerError);
+    breaker.recordFailure(providerError);
+
+    expect(breaker.canRequest()).to.be.false;
+    expect(breaker.getStatus()).to.deep.equal({
+      state: 'open',
+      failures: 3,
+      retryAt: new Date(1000).toISOString(),
+      lastFailure: { type: 'server', at: new Date(0).toISOString() }
+    });
+
+    clock = 999;
+    expect(breaker.canRequest()).to.be.false;
+  });
+
+  it('should admit a single trial request after the reset timeout', () => {
+    [1, 2, 3].forEach(() => breaker.recordFailure(providerError));
+    clock = 1000;
+
+    expect(breaker.canRequest()).to.be.true;
+    expect(breaker.canRequest()).to.be.false;
+    expect(breaker.getStatus().state).to.equal('half_open');
+  });
+
+  it('should close when the trial request succeeds', () => {
+    [1, 2, 3].forEach(() => breaker.recordFailure(providerError));
+    clock = 1000;
+    breaker.canRequest();
+
+    breaker.recordSuccess();
+
+    expect(breaker.canRequest()).to.be.true;
+    expect(breaker.getStatus()).to.include({ state: 'closed', failures: 0, retryAt: null });
+  });
+
+  it('should reopen when the trial request fails', () => {
+    [1, 2, 3].forEach(() => breaker.recordFailure(providerError));
+    clock = 1000;
+    breaker.canRequest();
+
+    breaker.recordFailure(providerError);
+
+    expect(breaker.canRequest()).to.be.false;
+    expect(breaker.getStatus()).to.include({ state: 'open', retryAt: new Date(2000).toISOString() });
+  });
+
+  it('should take over the state shared by a breaker in another process', () => {
+    const other = new CircuitBreaker({ name: 'openai', failureThreshold: 3, resetTimeout: 1000, now: () => clock });
+    [1, 2, 3].forEach(() => other.recordFailure(providerError));
+
+    breaker.restore(other.snapshot());
+
+    expect(breaker.canRequest()).to.be.false;
+    expect(breaker.getStatus()).to.deep.equal(other.getStatus());
+
+    clock = 1000;
+    expect(breaker.canRequest()).to.be.true;
+  });
+});
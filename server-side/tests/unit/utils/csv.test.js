@@ -0,0 +1,49 @@
+// backend/tests/unit/utils/csv.test.js
+const { expect } = require('chai');
+const { parse, stringify } = require('../../../src/utils/csv');
+
+describe('CSV', () => {
+  describe('parse', () => {
+    it('should read quoted fields, doubled quotes and line breaks', () => {
+      const text = '\ufeffName,Features\r\n"Desk, oak","Solid ""real"" wood\nTwo drawers"\r\n\r\nLamp\n';
+
+      expect(parse(text)).to.deep.equal({
+        columns: ['Name', 'Features'],
+        rows: [
+          { Name: 'Desk, oak', Features: 'Solid "real" wood\nTwo drawers' },
+          { Name: 'Lamp', Features: '' }
+        ]
+      });
+    });
+
+    it('should reject malformed files with the line of the problem', () => {
+      expect(() => parse('Name,Name\nDesk,Lamp')).to.throw('Column "Name" appears more than once');
+      expect(() => parse('Name\n"Desk\n')).to.throw('Unterminated quoted field on line 3');
+      expect(() => parse('Name\n"Two\nlines"\nDesk,Lamp')).to.throw('Line 4 has 2 fields but the header has 1');
+      expect(() => parse('')).to.throw('CSV has no header row').with.property('statusCode', 400);
+    });
+  });
+
+  describe('stringify', () => {
+    it('should quote fields where needed and write JSON for objects', () => {
+      const text = stringify(['name', 'notes', 'tags'], [
+        { name: 'Desk, oak', notes: 'Say "hi"', tags: ['a', 'b'] },
+        { name: 'Lamp', notes: null }
+      ]);
+
+      expect(text).to.equal('name,notes,tags\r\n"Desk, oak","Say ""hi""","[""a"",""b""]"\r\nLamp,,\r\n');
+    });
+
+    it('should guard cells against formula injection when asked to', () => {
+      expect(stringify(['value'], [{ value: '=HYPERLINK("x")' }], { escapeFormulas: true }))
+        .to.equal('value\r\n"\'=HYPERLINK(""x"")"\r\n');
+      expect(stringify(['value'], [{ value: '=1+1' }])).to.equal('value\r\n=1+1\r\n');
+    });
+
+    it('should read back what it writes', () => {
+      const rows = [{ name: 'Desk, oak', notes: 'Line one\nLine "two"' }];
+
+      expect(parse(stringify(['name', 'notes'], rows)).rows).to.deep.equal(rows);
+    });
+  });
+});
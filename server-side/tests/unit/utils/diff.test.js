@@ -0,0 +1,76 @@
+// backend/tests/unit/utils/diff.test.js
+const { expect } = require('chai');
+const { tokenize, diff } = require('../../../src/utils/diff');
+
+describe('Diff', () => {
+  // The text on one side of a diff, put back together from its changes
+  const side = (changes, skipped) => changes
+    .filter(change => change.type !== skipped)
+    .map(change => change.value)
+    .join('');
+
+  describe('tokenize', () => {
+    it('should split lines with their breaks and words from their spaces', () => {
+      expect(tokenize('# Title\n\nBody', 'line')).to.deep.equal(['# Title\n', '\n', 'Body']);
+      expect(tokenize('Two  words\n', 'word')).to.deep.equal(['Two', '  ', 'words', '\n']);
+      expect(tokenize('', 'line')).to.deep.equal([]);
+    });
+  });
+
+  describe('diff', () => {
+    it('should find the changed lines', () => {
+      expect(diff('# Desks\nOak\nPine\n', '# Desks\nWalnut\nPine\nMaple\n')).to.deep.equal({
+        changes: [
+          { type: 'equal', value: '# Desks\n' },
+          { type: 'delete', value: 'Oak\n' },
+          { type: 'insert', value: 'Walnut\n' },
+          { type: 'equal', value: 'Pine\n' },
+          { type: 'insert', value: 'Maple\n' }
+        ],
+        insertions: 2,
+        deletions: 1
+      });
+    });
+
+    it('should find the changed words and not count whitespace', () => {
+      const result = diff('The quick brown fox', 'The slow  brown fox jumps', { granularity: 'word' });
+
+      expect(result.changes).to.deep.equal([
+        { type: 'equal', value: 'The ' },
+        { type: 'delete', value: 'quick ' },
+        { type: 'insert', value: 'slow  ' },
+        { type: 'equal', value: 'brown fox' },
+        { type: 'insert', value: ' jumps' }
+      ]);
+      expect(result).to.include({ insertions: 2, deletions: 1 });
+    });
+
+    it('should compare with empty texts', () => {
+      expect(diff('', 'New\n').changes).to.deep.equal([{ type: 'insert', value: 'New\n' }]);
+      expect(diff('Old\n', null).changes).to.deep.equal([{ type: 'delete', value: 'Old\n' }]);
+      expect(diff('', '').changes).to.deep.equal([]);
+    });
+
+    it('should give up aligning texts that differ by more than maxEdits', () => {
+      const result = diff('Same\na\nb\nc\nEnd', 'Same\nc\nb\na\nEnd', { maxEdits: 2 });
+
+      expect(result.changes).to.deep.equal([
+        { type: 'equal', value: 'Same\n' },
+        { type: 'delete', value: 'a\nb\nc\n' },
+        { type: 'insert', value: 'c\nb\na\n' },
+        { type: 'equal', value: 'End' }
+      ]);
+    });
+
+    it('should produce changes that join back into both texts with a minimal number of edits', () => {
+      const oldText = 'a b c a b b a';
+      const newText = 'c b a b a c';
+      const result = diff(oldText, newText, { granularity: 'word' });
+
+      expect(side(result.changes, 'insert')).to.equal(oldText);
+      expect(side(result.changes, 'delete')).to.equal(newText);
+      // The longest common subsequence of the words is 4 long
+      expect(result.insertions + result.deletions).to.equal(5);
+    });
+  });
+});
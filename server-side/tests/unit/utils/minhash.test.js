@@ -0,0 +1,49 @@
+// backend/tests/unit/utils/minhash.test.js
+const { expect } = require('chai');
+const { SIGNATURE_SIZE, tokenize, shingles, signature, similarity, sharedPassages } = require('../../../src/utils/minhash');
+
+describe('MinHash', () => {
+  const original = 'The oak desk is made from solid wood and has two deep drawers for storage. It ships flat and assembles in ten minutes with the included tools.';
+  const reworded = 'The oak desk is made from solid wood and has two deep drawers for files. It ships flat and assembles in ten minutes with the included tools.';
+  const unrelated = 'Our spring newsletter covers three new recipes, a gardening checklist and the winners of the photo contest.';
+
+  describe('tokenize and shingles', () => {
+    it('should compare words regardless of case, punctuation and Markdown', () => {
+      expect(shingles(tokenize('## Solid *Oak*, two-drawer desk'), 3)).to.deep.equal([
+        'solid oak two',
+        'oak two drawer',
+        'two drawer desk'
+      ]);
+      expect(shingles(tokenize('Oak desk'), 3)).to.deep.equal(['oak desk']);
+      expect(shingles(tokenize(''), 3)).to.deep.equal([]);
+    });
+  });
+
+  describe('signature and similarity', () => {
+    it('should estimate how much of two texts is the same', () => {
+      const base = signature(original, 4);
+
+      expect(base).to.have.length(SIGNATURE_SIZE);
+      expect(similarity(base, signature(original.toUpperCase(), 4))).to.equal(1);
+      expect(similarity(base, signature(reworded, 4))).to.be.within(0.6, 0.95);
+      expect(similarity(base, signature(unrelated, 4))).to.be.below(0.1);
+    });
+
+    it('should treat missing signatures as dissimilar', () => {
+      expect(signature('  ...  ', 4)).to.be.null;
+      expect(similarity(signature(original, 4), null)).to.equal(0);
+      expect(similarity(signature(original, 4), [])).to.equal(0);
+    });
+  });
+
+  describe('sharedPassages', () => {
+    it('should return the passages two texts share as written, longest first', () => {
+      const passages = sharedPassages(reworded, original, 4);
+
+      expect(passages).to.deep.equal([
+        { text: 'The oak desk is made from solid wood and has two deep drawers for', words: 14 },
+        { text: 'It ships flat and assembles in ten minutes with the included tools', words: 12 }
+      ]);
+    });
+  });
+});
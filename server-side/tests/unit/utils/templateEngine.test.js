@@ -0,0 +1,81 @@
+// backend/tests/unit/utils/templateEngine.test.js
+const { expect } = require('chai');
+const { render, getVariables, TemplateSyntaxError } = require('../../../src/utils/templateEngine');
+
+describe('Template Engine', () => {
+  describe('render', () => {
+    it('should substitute variables in the seeded template style', () => {
+      const prompt = render('Write a blog post about {topic} targeting {targetAudience}.', {
+        topic: 'AI',
+        targetAudience: 'marketers'
+      });
+
+      expect(prompt).to.equal('Write a blog post about AI targeting marketers.');
+    });
+
+    it('should render nested values, lists and missing values', () => {
+      const prompt = render('{product.name}: {keywords}. {missing}', {
+        product: { name: 'Widget' },
+        keywords: ['fast', 'cheap']
+      });
+
+      expect(prompt).to.equal('Widget: fast, cheap. ');
+    });
+
+    it('should render conditionals', () => {
+      const source = '{#if audience}For {audience}.{else}For everyone.{/if}{#unless keywords} No keywords.{/unless}';
+
+      expect(render(source, { audience: 'developers', keywords: ['a'] })).to.equal('For developers.');
+      expect(render(source, { keywords: [] })).to.equal('For everyone. No keywords.');
+    });
+
+    it('should loop over lists with item fields and loop variables', () => {
+      const source = '{#each sections}{@index}. {title} ({topic}){#unless @last}, {/unless}{/each}';
+
+      const prompt = render(source, {
+        topic: 'AI',
+        sections: [{ title: 'Intro' }, { title: 'Tools', topic: 'LLMs' }]
+      });
+
+      expect(prompt).to.equal('0. Intro (AI), 1. Tools (LLMs)');
+    });
+
+    it('should drop the lines of standalone block tags', () => {
+      const source = 'Keywords:\n{#each keywords}\n- {this}\n{/each}\nDone.';
+
+      expect(render(source, { keywords: ['a', 'b'] })).to.equal('Keywords:\n- a\n- b\nDone.');
+    });
+
+    it('should leave JSON and escaped braces as text', () => {
+      const source = 'Reply with {"title": "..."} and \\{topic}';
+
+      expect(render(source, { topic: 'AI' })).to.equal('Reply with {"title": "..."} and {topic}');
+    });
+  });
+
+  describe('syntax errors', () => {
+    const expectSyntaxError = (source, message) => {
+      expect(() => render(source)).to.throw(TemplateSyntaxError, message);
+    };
+
+    it('should reject unclosed and mismatched blocks', () => {
+      expectSyntaxError('{#if topic}Hello', 'Unclosed {#if topic} at position 0');
+      expectSyntaxError('{#each items}{/if}', 'Expected {/each} but found {/if}');
+      expectSyntaxError('Hello{/if}', 'Unexpected {/if}');
+      expectSyntaxError('{#if a}x{else}y{else}z{/if}', 'Unexpected {else}');
+    });
+
+    it('should reject unknown blocks and blocks without a variable', () => {
+      expectSyntaxError('{#with topic}{/with}', 'Unknown block {#with}');
+      expectSyntaxError('{#if}{/if}', '{#if} needs a variable name');
+    });
+  });
+
+  describe('getVariables', () => {
+    it('should list top-level variables but not loop item fields', () => {
+      const source = '{topic} {#if audience}{audience.name}{/if} {#each sections}{title}{/each}';
+
+      expect(getVariables(source)).to.deep.equal(['topic', 'audience', 'sections']);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+// backend/tests/unit/utils/tokenizer.test.js
+const { expect } = require('chai');
+const { countTokens, encodingForModel } = require('../../../src/utils/tokenizer');
+
+describe('Tokenizer', () => {
+  describe('encodingForModel', () => {
+    it('should pick the encoding of the model family', () => {
+      expect(encodingForModel('gpt-4o-mini')).to.equal('o200k_base');
+      expect(encodingForModel('gpt-4')).to.equal('cl100k_base');
+      expect(encodingForModel('claude-3-5-sonnet-latest')).to.equal('cl100k_base');
+      expect(encodingForModel(undefined)).to.equal('cl100k_base');
+    });
+  });
+
+  describe('countTokens', () => {
+    it('should count tokens rather than characters', () => {
+      expect(countTokens('Hello world', 'gpt-4')).to.equal(2);
+      expect(countTokens('', 'gpt-4')).to.equal(0);
+      expect(countTokens(null)).to.equal(0);
+    });
+
+    it('should count special tokens in the text instead of rejecting it', () => {
+      expect(countTokens('<|endoftext|>', 'gpt-4')).to.equal(1);
+    });
+  });
+});